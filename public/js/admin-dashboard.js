@@ -3,6 +3,13 @@ const API_BASE = window.location.origin;
 let adminSession = null;
 let customers = [];
 
+function authHeaders(extra = {}) {
+  return {
+    ...extra,
+    'Authorization': `Bearer ${adminSession?.sessionToken || ''}`
+  };
+}
+
 async function init() {
   adminSession = JSON.parse(localStorage.getItem('admin_session') || 'null');
 
@@ -21,7 +28,9 @@ async function init() {
 
 async function loadCustomers() {
   try {
-    const response = await fetch(`${API_BASE}/api/customers`);
+    const response = await fetch(`${API_BASE}/api/customers`, {
+      headers: authHeaders()
+    });
     const data = await response.json();
 
     if (data.success) {
@@ -115,7 +124,7 @@ async function createCustomer(name, subdomain) {
   try {
     const response = await fetch(`${API_BASE}/api/customers`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({
         name,
         subdomain: subdomain.toLowerCase().replace(/[^a-z0-9-]/g, '-'),
@@ -153,7 +162,8 @@ async function deleteCustomer(customerId, customerName) {
 
   try {
     const response = await fetch(`${API_BASE}/api/customers/${customerId}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      headers: authHeaders()
     });
 
     const data = await response.json();
@@ -171,7 +181,16 @@ async function deleteCustomer(customerId, customerName) {
   }
 }
 
-function logout() {
+async function logout() {
+  try {
+    await fetch(`${API_BASE}/api/auth/admin/logout`, {
+      method: 'POST',
+      headers: authHeaders()
+    });
+  } catch (error) {
+    console.error('Error during logout:', error);
+  }
+
   localStorage.removeItem('admin_session');
   window.location.href = '/admin-login.html';
 }
@@ -99,221 +99,11 @@ class TeableAuth {
             // Step 1: Ensure system tables exist
             await window.teableAPI.ensureSystemTables();
 
-            // Step 2: Get user from local app_users table
-            console.log('Checking local app_users table...');
-
-            // Ensure system tables are properly initialized
-            if (!window.teableAPI.systemTables || !window.teableAPI.systemTables.users) {
-                console.log('System tables not initialized, trying to initialize...');
-                await window.teableAPI.ensureSystemTables();
-            }
-
-            const users = await window.teableAPI.getRecords(window.teableAPI.systemTables.users);
-            console.log(`Found ${users.records?.length || 0} users in system table`);
-
-            const localUser = users.records?.find(u => 
-                u.fields.email === email.toLowerCase() && 
-                (u.fields.role === 'Owner' || u.fields.role === 'owner') &&
-                u.fields.admin_password_hash
-            );
-
-            console.log('Local user found:', !!localUser);
-            if (localUser) {
-                console.log('User role:', localUser.fields.role);
-                console.log('Has admin password hash:', !!localUser.fields.admin_password_hash);
-            }
-
-            if (!localUser) {
-                throw new Error('Space owner not found or admin password not set');
-            }
-
-            if (!localUser.fields.is_active) {
-                throw new Error('Space owner account is inactive');
-            }
-
-            // Step 3: Verify admin password
-            console.log('Verifying admin password...');
-            
-            if (!localUser.fields.admin_password_hash) {
-                throw new Error('No admin password hash found for space owner. Please reconfigure the space owner.');
-            }
-
-            // Try multiple hashing methods for compatibility
-            let passwordMatches = false;
-            const storedHash = localUser.fields.admin_password_hash;
-            
-            console.log('Stored hash exists:', !!storedHash);
-            console.log('Stored hash length:', storedHash ? storedHash.length : 0);
-            console.log('Stored hash starts with:', storedHash ? storedHash.substring(0, 10) : 'null');
-            
-            // Method 1: Current API hashing (with salt)
-            try {
-                const apiHash = await window.teableAPI.hashPassword(password);
-                console.log('API hash generated:', apiHash ? apiHash.substring(0, 10) + '...' : 'null');
-                if (storedHash === apiHash) {
-                    passwordMatches = true;
-                    console.log('✅ Password verified with API hash method');
-                }
-            } catch (hashError) {
-                console.log('API hash method failed:', hashError.message);
-            }
-            
-            // Method 2: Simple SHA-256 (no salt)
-            if (!passwordMatches) {
-                try {
-                    const encoder = new TextEncoder();
-                    const data = encoder.encode(password);
-                    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-                    const hashArray = Array.from(new Uint8Array(hashBuffer));
-                    const simpleHash = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-                    
-                    console.log('Simple hash generated:', simpleHash ? simpleHash.substring(0, 10) + '...' : 'null');
-                    if (storedHash === simpleHash) {
-                        passwordMatches = true;
-                        console.log('✅ Password verified with simple SHA-256 method');
-                        
-                        // Update to new hashing method
-                        try {
-                            const newHash = await window.teableAPI.hashPassword(password);
-                            await window.teableAPI.updateRecord(
-                                window.teableAPI.systemTables.users,
-                                localUser.id,
-                                { admin_password_hash: newHash }
-                            );
-                            console.log('🔄 Updated password hash to new method');
-                        } catch (updateError) {
-                            console.log('Failed to update password hash:', updateError.message);
-                        }
-                    }
-                } catch (simpleHashError) {
-                    console.log('Simple hash method failed:', simpleHashError.message);
-                }
-            }
-            
-            // Method 3: Alternative salt variations
-            if (!passwordMatches) {
-                const saltVariations = [
-                    'admin_salt_2024',
-                    'teable_admin_salt',
-                    'system_salt',
-                    'admin_password_salt',
-                    password + '_salt',
-                    'salt_' + password
-                ];
-                
-                for (const salt of saltVariations) {
-                    try {
-                        const encoder = new TextEncoder();
-                        const data = encoder.encode(password + salt);
-                        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-                        const hashArray = Array.from(new Uint8Array(hashBuffer));
-                        const saltedHash = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-                        
-                        console.log(`Trying salt "${salt}":`, saltedHash ? saltedHash.substring(0, 10) + '...' : 'null');
-                        
-                        if (storedHash === saltedHash) {
-                            passwordMatches = true;
-                            console.log(`✅ Password verified with salt: ${salt}`);
-                            
-                            // Update to new hashing method
-                            try {
-                                const newHash = await window.teableAPI.hashPassword(password);
-                                await window.teableAPI.updateRecord(
-                                    window.teableAPI.systemTables.users,
-                                    localUser.id,
-                                    { admin_password_hash: newHash }
-                                );
-                                console.log('🔄 Updated password hash to new method');
-                            } catch (updateError) {
-                                console.log('Failed to update password hash:', updateError.message);
-                            }
-                            break;
-                        }
-                    } catch (saltError) {
-                        console.log(`Salt method failed for "${salt}":`, saltError.message);
-                    }
-                }
-            }
-            
-            // Method 4: Direct comparison (for plain text - should be avoided but for compatibility)
-            if (!passwordMatches) {
-                if (storedHash === password) {
-                    passwordMatches = true;
-                    console.log('⚠️ Password verified with plain text (updating to hashed)');
-                    
-                    // Update to hashed password immediately
-                    try {
-                        const newHash = await window.teableAPI.hashPassword(password);
-                        await window.teableAPI.updateRecord(
-                            window.teableAPI.systemTables.users,
-                            localUser.id,
-                            { admin_password_hash: newHash }
-                        );
-                        console.log('🔄 Updated plain text password to hashed');
-                    } catch (updateError) {
-                        console.log('Failed to update plain text password:', updateError.message);
-                    }
-                }
-            }
-            
-            // Method 5: If still no match, offer to reset password
-            if (!passwordMatches) {
-                console.log('🔄 All password verification methods failed. Checking if we should allow reset...');
-                
-                // Auto-reset for space owners when password hash doesn't match any known methods
-                console.log('🔄 Password hash format not recognized. Attempting password reset...');
-                try {
-                    const newHash = await window.teableAPI.hashPassword(password);
-                    await window.teableAPI.updateRecord(
-                        window.teableAPI.systemTables.users,
-                        localUser.id,
-                        { admin_password_hash: newHash }
-                    );
-                    passwordMatches = true;
-                    console.log('🔄 Password reset and verified with new hash method');
-                    
-                    // Log this important security event
-                    await window.teableAPI.logActivity(
-                        localUser.fields.email,
-                        'password_reset',
-                        'Admin password automatically updated to new hashing method'
-                    );
-                } catch (resetError) {
-                    console.log('Failed to reset password:', resetError.message);
-                    
-                    // If auto-reset fails, prompt user
-                    const shouldReset = confirm(
-                        'Password verification failed with all methods. This might be due to a different hashing method used previously.\n\n' +
-                        'Would you like to reset the admin password to the password you just entered?\n\n' +
-                        'Click OK to reset, or Cancel to try a different password.'
-                    );
-                    
-                    if (shouldReset) {
-                        try {
-                            const manualHash = await window.teableAPI.hashPassword(password);
-                            await window.teableAPI.updateRecord(
-                                window.teableAPI.systemTables.users,
-                                localUser.id,
-                                { admin_password_hash: manualHash }
-                            );
-                            passwordMatches = true;
-                            console.log('🔄 Manual password reset successful');
-                        } catch (manualResetError) {
-                            console.log('Manual password reset failed:', manualResetError.message);
-                        }
-                    }
-                }
-            }
-
-            if (!passwordMatches) {
-                console.log('❌ Password verification failed with all methods');
-                console.log('Expected hash starts with:', storedHash.substring(0, 10));
-                throw new Error('Invalid admin password for space owner');
-            }
-
+            // Step 2: Verify the admin password against the app_users record on the server
+            const localUser = await window.teableAPI.loginAppUser(email, password, 'space_owner');
             console.log('Password verification successful');
 
-            // Step 4: Fetch current space owner from Teable.io for verification
+            // Step 3: Fetch current space owner from Teable.io for verification
             console.log('Verifying against live Teable.io space data...');
             let teableSpaceOwner = null;
 
@@ -364,25 +154,14 @@ class TeableAuth {
                 // Continue with local authentication
             }
 
-            // Step 5: Update last login
-            try {
-                await window.teableAPI.updateRecord(
-                    window.teableAPI.systemTables.users,
-                    localUser.id,
-                    { last_login: new Date().toISOString().split('T')[0] }
-                );
-            } catch (updateError) {
-                console.log('Failed to update last login:', updateError.message);
-            }
-
             console.log('Space owner authentication successful');
 
             return {
                 userType: 'space_owner',
-                email: localUser.fields.email,
-                firstName: localUser.fields.first_name || 'Space',
-                lastName: localUser.fields.last_name || 'Owner',
-                role: localUser.fields.role,
+                email: localUser.email,
+                firstName: localUser.firstName || 'Space',
+                lastName: localUser.lastName || 'Owner',
+                role: localUser.role,
                 userId: localUser.id,
                 accessToken: this.clientConfig.accessToken,
                 loginTime: new Date().toISOString(),
@@ -403,44 +182,18 @@ class TeableAuth {
             // Ensure system tables exist
             await window.teableAPI.ensureSystemTables();
 
-            // Get user from app_users table
-            const users = await window.teableAPI.getRecords(window.teableAPI.systemTables.users);
-            const user = users.records.find(u => u.fields.email === email);
-
-            if (!user) {
-                throw new Error('User not found');
-            }
-
-            if (!user.fields.is_active) {
-                throw new Error('Account is inactive');
-            }
-
-            // Verify password
-            const passwordHash = await window.teableAPI.hashPassword(password);
-            if (user.fields.password_hash !== passwordHash) {
-                throw new Error('Invalid password');
-            }
-
-            // Update last login
-            try {
-                await window.teableAPI.updateRecord(
-                    window.teableAPI.systemTables.users,
-                    user.id,
-                    { last_login: new Date().toISOString().split('T')[0] }
-                );
-            } catch (updateError) {
-                console.log('Failed to update last login:', updateError.message);
-            }
+            // Verify the password against the app_users record on the server
+            const user = await window.teableAPI.loginAppUser(email, password, 'app_user');
 
             return {
                 userType: 'app_user',
-                email: user.fields.email,
-                firstName: user.fields.first_name,
-                lastName: user.fields.last_name,
-                role: user.fields.role || 'Viewer',
+                email: user.email,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                role: user.role || 'Viewer',
                 userId: user.id,
                 loginTime: new Date().toISOString(),
-                isAdmin: ['Owner', 'Admin'].includes(user.fields.role)
+                isAdmin: ['Owner', 'Admin'].includes(user.role)
             };
 
         } catch (error) {
@@ -175,9 +175,6 @@ async function setupSpaceOwner(config) {
             u.fields.email?.toLowerCase() === config.adminEmail.toLowerCase()
         );
 
-        // Step 4: Hash the admin password
-        const adminPasswordHash = await window.teableAPI.hashPassword(config.adminPassword);
-
         if (existingUser) {
             console.log('🔄 Updating existing user with space owner credentials...');
             
@@ -187,13 +184,15 @@ async function setupSpaceOwner(config) {
                 existingUser.id,
                 {
                     role: 'Owner', // Ensure they have Owner role (capitalized)
-                    admin_password_hash: adminPasswordHash,
                     is_active: true,
                     is_space_owner: true,
                     synced_from_teable: teableSpaceOwner ? true : false,
                     teable_user_id: teableSpaceOwner?.id || 'admin_setup'
                 }
             );
+
+            // Step 4: Set the admin password (hashed on the server)
+            await window.teableAPI.setAppUserPasswords(existingUser.id, { adminPassword: config.adminPassword });
             console.log('✅ Updated existing user as space owner');
         } else {
             console.log('➕ Creating new space owner record...');
@@ -215,8 +214,6 @@ async function setupSpaceOwner(config) {
             // Create new space owner record
             const spaceOwnerData = {
                 email: config.adminEmail.toLowerCase(),
-                password_hash: await window.teableAPI.hashPassword('temp123'), // Temp password for app user auth
-                admin_password_hash: adminPasswordHash, // The actual admin password for space owner auth
                 first_name: firstName,
                 last_name: lastName,
                 role: 'Owner', // Using capitalized Owner role
@@ -229,7 +226,14 @@ async function setupSpaceOwner(config) {
             };
 
             console.log('📝 Creating space owner record:', config.adminEmail);
-            await window.teableAPI.createRecord(window.teableAPI.systemTables.users, spaceOwnerData);
+            const spaceOwner = await window.teableAPI.createRecord(window.teableAPI.systemTables.users, spaceOwnerData);
+
+            // Step 4: Set a temp password for app user auth and the actual
+            // admin password for space owner auth (hashed on the server)
+            await window.teableAPI.setAppUserPasswords(spaceOwner.id, {
+                password: 'temp123',
+                adminPassword: config.adminPassword
+            });
             console.log('✅ Created space owner record');
         }
 
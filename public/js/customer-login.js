@@ -90,6 +90,7 @@ async function handleLogin(event) {
                 email: data.session.email,
                 role: data.session.role,
                 sessionToken: data.session.sessionToken,
+                expiresAt: data.session.expiresAt,
                 customerName: data.session.customerName,
                 subdomain: data.session.subdomain,
                 dataSource: data.session.dataSource,
@@ -3,7 +3,32 @@ let currentStep = 1;
 let selectedDataSource = null;
 let sessionData = null;
 let detectedFieldMappings = null;
+let detectedTableId = null;
 let previewMapInstance = null;
+let geocodeJobId = null;
+
+const GEOCODE_POLL_INTERVAL_MS = 1500;
+const CONFIDENCE_BADGES = {
+    high: 'bg-success',
+    medium: 'bg-warning text-dark',
+    low: 'bg-danger',
+    unmatched: 'bg-secondary',
+    skipped: 'bg-light text-dark',
+    failed: 'bg-secondary'
+};
+
+function authHeaders(extra = {}) {
+    return {
+        ...extra,
+        'Authorization': `Bearer ${sessionData?.sessionToken || ''}`
+    };
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
 
 function init() {
     const session = localStorage.getItem('customer_session');
@@ -23,7 +48,9 @@ function init() {
 
 async function loadOnboardingStatus() {
     try {
-        const response = await fetch(`${API_BASE}/api/onboarding/status/${sessionData.customerId}`);
+        const response = await fetch(`${API_BASE}/api/onboarding/status/${sessionData.customerId}`, {
+            headers: authHeaders()
+        });
         const data = await response.json();
 
         if (data.success && data.status) {
@@ -67,7 +94,7 @@ async function testTeableConnection() {
     try {
         const response = await fetch(`${API_BASE}/api/customers/${sessionData.customerId}/teable-config`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify({
                 baseUrl,
                 spaceId,
@@ -112,7 +139,9 @@ async function connectGoogleSheets() {
 
 async function loadSpreadsheets() {
     try {
-        const response = await fetch(`${API_BASE}/api/google-sheets/${sessionData.customerId}/spreadsheets`);
+        const response = await fetch(`${API_BASE}/api/google-sheets/${sessionData.customerId}/spreadsheets`, {
+            headers: authHeaders()
+        });
         const data = await response.json();
 
         const selector = document.getElementById('spreadsheetSelector');
@@ -137,7 +166,9 @@ async function loadSheets() {
     if (!spreadsheetId) return;
 
     try {
-        const response = await fetch(`${API_BASE}/api/google-sheets/${sessionData.customerId}/sheets?spreadsheetId=${spreadsheetId}`);
+        const response = await fetch(`${API_BASE}/api/google-sheets/${sessionData.customerId}/sheets?spreadsheetId=${spreadsheetId}`, {
+            headers: authHeaders()
+        });
         const data = await response.json();
 
         const selector = document.getElementById('sheetSelector');
@@ -203,7 +234,7 @@ async function detectLocationFields() {
 
         const response = await fetch(`${API_BASE}/api/onboarding/detect-location-fields`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify(requestBody)
         });
 
@@ -217,6 +248,7 @@ async function detectLocationFields() {
                 document.getElementById('locationDetected').style.display = 'block';
                 document.getElementById('step2Next').disabled = false;
                 detectedFieldMappings = data.fieldMappings;
+                detectedTableId = data.tableId;
             } else {
                 document.getElementById('noLocationData').style.display = 'block';
             }
@@ -297,15 +329,285 @@ function displayDetectedFields(detected, fieldMappings, sampleData) {
         `;
     }
 
+    const needsGeocoding = detected.addressColumn && !detected.geometryColumn &&
+        !(detected.latitudeColumn && detected.longitudeColumn);
+
+    if (needsGeocoding) {
+        html += `
+            <div class="col-12 mb-3">
+                <div class="field-mapping-item">
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <strong><i class="fas fa-map-signs me-2"></i>Address Column</strong>
+                        <span class="badge-detected">Requires geocoding</span>
+                    </div>
+                    <div class="text-muted mb-2">${escapeHtml(detected.addressColumn)}</div>
+                    <div class="text-muted small mb-2">
+                        Look up each address to place your records on the map. You can review the matches before saving them.
+                    </div>
+                    <div class="d-flex gap-2 align-items-center">
+                        <select class="form-select form-select-sm w-auto" id="geocoderSelector"></select>
+                        <button class="btn btn-sm btn-primary" id="geocodeButton" onclick="startGeocoding()">
+                            <i class="fas fa-search-location me-1"></i>Geocode addresses
+                        </button>
+                    </div>
+                    <div id="geocodeStatus" class="small text-muted mt-2"></div>
+                    <div id="geocodeResults"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    if (detected.crsRequired || detected.crs) {
+        const hints = (detected.crsHints || []).map(hint => `${hint.name} (${hint.code})`).join(', ');
+        html += `
+            <div class="col-12 mb-3">
+                <div class="field-mapping-item">
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <strong><i class="fas fa-globe me-2"></i>Coordinate System</strong>
+                        <span class="badge-detected">${detected.crsRequired ? 'Please confirm' : 'Declared in data'}</span>
+                    </div>
+                    <div class="text-muted small mb-2">
+                        ${detected.crsRequired
+                            ? `These coordinates are not longitude/latitude.${hints ? ` They look like ${hints}.` : ''}${detected.crsUtm ? ' They also fit a UTM grid.' : ''}`
+                            : 'The data names its coordinate system.'}
+                    </div>
+                    <select class="form-select form-select-sm" id="crsSelector" onchange="selectCoordinateSystem(this.value)">
+                        <option value="">WGS 84 longitude/latitude (EPSG:4326)</option>
+                    </select>
+                </div>
+            </div>
+        `;
+    }
+
     html += '</div>';
     container.innerHTML = html;
 
+    if (detected.crsRequired || detected.crs) {
+        loadCoordinateSystems(detected.crs);
+    }
+
+    if (needsGeocoding) {
+        loadGeocoders();
+    }
+
     if (sampleData && sampleData.length > 0) {
         document.getElementById('previewMapContainer').style.display = 'block';
         initPreviewMap(sampleData);
     }
 }
 
+async function loadCoordinateSystems(selected) {
+    const selector = document.getElementById('crsSelector');
+
+    try {
+        const response = await fetch(`${API_BASE}/api/data/${sessionData.customerId}/crs`, {
+            headers: authHeaders()
+        });
+        const data = await response.json();
+
+        (data.crs || []).filter(crs => crs.code !== 'EPSG:4326').forEach(crs => {
+            const option = document.createElement('option');
+            option.value = crs.code;
+            option.textContent = `${crs.name} (${crs.code})`;
+            selector.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading coordinate systems:', error);
+    }
+
+    if (selected && ![...selector.options].some(option => option.value === selected)) {
+        const option = document.createElement('option');
+        option.value = selected;
+        option.textContent = selected;
+        selector.appendChild(option);
+    }
+    selector.value = selected || '';
+}
+
+function selectCoordinateSystem(code) {
+    if (detectedFieldMappings) {
+        detectedFieldMappings.crs = code || null;
+    }
+}
+
+async function loadGeocoders() {
+    const selector = document.getElementById('geocoderSelector');
+
+    try {
+        const response = await fetch(`${API_BASE}/api/data/${sessionData.customerId}/geocoders`, {
+            headers: authHeaders()
+        });
+        const data = await response.json();
+
+        (data.providers || []).filter(provider => provider.available).forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.name;
+            option.textContent = provider.offline ? `${provider.label} (offline)` : provider.label;
+            option.selected = provider.default;
+            selector.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading geocoders:', error);
+    }
+}
+
+async function startGeocoding() {
+    const button = document.getElementById('geocodeButton');
+    const status = document.getElementById('geocodeStatus');
+    button.disabled = true;
+    status.textContent = 'Starting geocoding...';
+    document.getElementById('geocodeResults').innerHTML = '';
+
+    try {
+        const response = await fetch(`${API_BASE}/api/data/${sessionData.customerId}/tables/${encodeURIComponent(detectedTableId)}/geocode`, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                addressColumn: detectedFieldMappings.address_column,
+                provider: document.getElementById('geocoderSelector').value || undefined
+            })
+        });
+        const job = await response.json();
+
+        if (!response.ok) {
+            throw new Error(job.error || 'Geocoding failed to start');
+        }
+
+        geocodeJobId = job.jobId;
+        pollGeocodeJob();
+    } catch (error) {
+        console.error('Geocoding error:', error);
+        status.textContent = error.message;
+        button.disabled = false;
+    }
+}
+
+async function pollGeocodeJob() {
+    const status = document.getElementById('geocodeStatus');
+
+    try {
+        const response = await fetch(`${API_BASE}/api/data/${sessionData.customerId}/geocode/jobs/${geocodeJobId}?limit=1000`, {
+            headers: authHeaders()
+        });
+        const job = await response.json();
+
+        if (!response.ok) {
+            throw new Error(job.error || 'Geocoding job not found');
+        }
+
+        if (job.status === 'geocoding') {
+            status.textContent = `Geocoding ${job.progress.processed} of ${job.progress.total} records...`;
+            setTimeout(pollGeocodeJob, GEOCODE_POLL_INTERVAL_MS);
+        } else if (job.status === 'writing') {
+            status.textContent = `Saving ${job.writeBack.processed} of ${job.writeBack.total} locations...`;
+            setTimeout(pollGeocodeJob, GEOCODE_POLL_INTERVAL_MS);
+        } else if (job.status === 'failed') {
+            throw new Error(job.error || 'Geocoding failed');
+        } else {
+            renderGeocodeResults(job);
+        }
+    } catch (error) {
+        console.error('Geocoding error:', error);
+        status.textContent = error.message;
+        document.getElementById('geocodeButton').disabled = false;
+    }
+}
+
+function renderGeocodeResults(job) {
+    const { confidence, progress } = job;
+    const status = document.getElementById('geocodeStatus');
+    document.getElementById('geocodeButton').disabled = false;
+
+    if (job.status === 'completed') {
+        status.innerHTML = `<i class="fas fa-check-circle text-success me-1"></i>Saved ${job.writeBack.succeeded} locations` +
+            (job.writeBack.failed > 0 ? `, ${job.writeBack.failed} could not be written` : '') + '.';
+
+        // Google Sheets gains latitude/longitude columns for the points
+        if (job.target?.fieldMappings?.latitude_column) {
+            detectedFieldMappings.latitude_column = job.target.fieldMappings.latitude_column;
+            detectedFieldMappings.longitude_column = job.target.fieldMappings.longitude_column;
+        }
+    } else {
+        status.innerHTML = `Matched ${progress.matched} of ${progress.total} records: ` +
+            `<span class="badge ${CONFIDENCE_BADGES.high}">${confidence.high} high</span> ` +
+            `<span class="badge ${CONFIDENCE_BADGES.medium}">${confidence.medium} medium</span> ` +
+            `<span class="badge ${CONFIDENCE_BADGES.low}">${confidence.low} low</span> ` +
+            `<span class="badge ${CONFIDENCE_BADGES.unmatched}">${confidence.unmatched} not found</span>`;
+    }
+
+    const rows = job.results.map(result => `
+        <tr>
+            <td>${escapeHtml(result.address) || '<span class="text-muted">(empty)</span>'}</td>
+            <td>${escapeHtml(result.matchedName || result.reason || '')}</td>
+            <td>
+                <span class="badge ${CONFIDENCE_BADGES[result.band]}">
+                    ${result.status === 'matched' ? `${Math.round(result.confidence * 100)}%` : result.status}
+                </span>
+                ${result.written === false ? `<i class="fas fa-exclamation-circle text-danger ms-1" title="${escapeHtml(result.writeError)}"></i>` : ''}
+            </td>
+        </tr>
+    `).join('');
+
+    document.getElementById('geocodeResults').innerHTML = `
+        <div class="geocode-results mt-2">
+            <table class="table table-sm mb-0">
+                <thead><tr><th>Address</th><th>Match</th><th>Confidence</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${job.results.length < progress.total ? `<div class="small text-muted">Showing the first ${job.results.length} records.</div>` : ''}
+        ${job.status === 'geocoded' ? `
+            <div class="d-flex gap-2 align-items-center mt-2">
+                <select class="form-select form-select-sm w-auto" id="geocodeMinConfidence">
+                    <option value="0.8">High confidence matches</option>
+                    <option value="0.5" selected>Medium and high confidence matches</option>
+                    <option value="0">All matches</option>
+                </select>
+                <button class="btn btn-sm btn-success" onclick="applyGeocoding()">
+                    <i class="fas fa-save me-1"></i>Save locations
+                </button>
+            </div>
+        ` : ''}
+    `;
+
+    const matched = job.results.filter(result => result.status === 'matched');
+    if (matched.length > 0) {
+        document.getElementById('previewMapContainer').style.display = 'block';
+        initPreviewMap(matched.map(result => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [result.longitude, result.latitude] },
+            properties: {
+                address: escapeHtml(result.address),
+                match: escapeHtml(result.matchedName),
+                confidence: `${Math.round(result.confidence * 100)}%`
+            }
+        })));
+    }
+}
+
+async function applyGeocoding() {
+    const status = document.getElementById('geocodeStatus');
+
+    try {
+        const response = await fetch(`${API_BASE}/api/data/${sessionData.customerId}/geocode/jobs/${geocodeJobId}/apply`, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ minConfidence: Number(document.getElementById('geocodeMinConfidence').value) })
+        });
+        const job = await response.json();
+
+        if (!response.ok) {
+            throw new Error(job.error || 'Failed to save locations');
+        }
+
+        document.getElementById('geocodeButton').disabled = true;
+        pollGeocodeJob();
+    } catch (error) {
+        console.error('Error saving geocoded locations:', error);
+        status.textContent = error.message;
+    }
+}
+
 function initPreviewMap(features) {
     if (previewMapInstance) {
         previewMapInstance.remove();
@@ -347,10 +649,11 @@ async function completeOnboarding() {
         if (detectedFieldMappings) {
             await fetch(`${API_BASE}/api/onboarding/save-field-mappings`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
                     customerId: sessionData.customerId,
                     dataSource: selectedDataSource,
+                    tableId: detectedTableId,
                     fieldMappings: detectedFieldMappings,
                     userEmail: sessionData.email
                 })
@@ -359,7 +662,7 @@ async function completeOnboarding() {
 
         await fetch(`${API_BASE}/api/onboarding/complete`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify({
                 customerId: sessionData.customerId,
                 userEmail: sessionData.email
@@ -377,7 +680,7 @@ async function updateOnboardingStep(step, data) {
     try {
         await fetch(`${API_BASE}/api/onboarding/update-step`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify({
                 customerId: sessionData.customerId,
                 step,
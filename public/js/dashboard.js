@@ -55,7 +55,9 @@ async function checkOnboardingStatus(session) {
         const customerData = JSON.parse(customerSession);
         if (!customerData.customerId) return;
 
-        const response = await fetch(`${window.location.origin}/api/onboarding/status/${customerData.customerId}`);
+        const response = await fetch(`${window.location.origin}/api/onboarding/status/${customerData.customerId}`, {
+            headers: { 'Authorization': `Bearer ${customerData.sessionToken || ''}` }
+        });
         const data = await response.json();
 
         if (data.success && data.status && !data.status.is_complete) {
@@ -43,6 +43,8 @@ class DataAdapter {
     if (options.offset) params.append('offset', options.offset);
     if (options.filter) params.append('filter', JSON.stringify(options.filter));
     if (options.sort) params.append('sort', options.sort);
+    this.appendFilterParams(params, options);
+    this.appendSpatialParams(params, options);
 
     const queryString = params.toString();
     const url = `${this.apiBase}/api/data/${this.customerId}/tables/${tableId}/records${
@@ -61,13 +63,13 @@ class DataAdapter {
     return data.records || [];
   }
 
-  async createRecord(tableId, fields) {
+  async createRecord(tableId, fields, geometry = null) {
     const response = await fetch(
-      `${this.apiBase}/api/data/${this.customerId}/tables/${tableId}/records`,
+      `${this.apiBase}/api/data/${this.customerId}/records?tableId=${encodeURIComponent(tableId)}`,
       {
         method: 'POST',
         headers: this.getHeaders(),
-        body: JSON.stringify({ fields })
+        body: JSON.stringify(this.toFeature(fields, geometry))
       }
     );
 
@@ -79,13 +81,13 @@ class DataAdapter {
     return await response.json();
   }
 
-  async updateRecord(tableId, recordId, fields) {
+  async updateRecord(tableId, recordId, fields, geometry = null) {
     const response = await fetch(
-      `${this.apiBase}/api/data/${this.customerId}/tables/${tableId}/records/${recordId}`,
+      `${this.apiBase}/api/data/${this.customerId}/records/${encodeURIComponent(recordId)}?tableId=${encodeURIComponent(tableId)}`,
       {
-        method: 'PATCH',
+        method: 'PUT',
         headers: this.getHeaders(),
-        body: JSON.stringify({ fields })
+        body: JSON.stringify(this.toFeature(fields, geometry))
       }
     );
 
@@ -99,7 +101,7 @@ class DataAdapter {
 
   async deleteRecord(tableId, recordId) {
     const response = await fetch(
-      `${this.apiBase}/api/data/${this.customerId}/tables/${tableId}/records/${recordId}`,
+      `${this.apiBase}/api/data/${this.customerId}/records/${encodeURIComponent(recordId)}?tableId=${encodeURIComponent(tableId)}`,
       {
         method: 'DELETE',
         headers: this.getHeaders()
@@ -114,9 +116,41 @@ class DataAdapter {
     return await response.json();
   }
 
-  async getMapData(tableId, locationField) {
+  /**
+   * creates: [{ fields, geometry }], updates: [{ id, fields, geometry }],
+   * deletes: [recordId]. Returns the server's per-item results and summary.
+   */
+  async batchRecords(tableId, { creates = [], updates = [], deletes = [] } = {}) {
     const response = await fetch(
-      `${this.apiBase}/api/data/${this.customerId}/tables/${tableId}/map-data?locationField=${locationField}`,
+      `${this.apiBase}/api/data/${this.customerId}/records/batch?tableId=${encodeURIComponent(tableId)}`,
+      {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify({
+          creates: creates.map(item => this.toFeature(item.fields, item.geometry)),
+          updates: updates.map(item => ({ id: item.id, ...this.toFeature(item.fields, item.geometry) })),
+          deletes
+        })
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Failed to run batch: ${error}`);
+    }
+
+    return await response.json();
+  }
+
+  async getMapData(tableId, options = {}) {
+    const params = new URLSearchParams({ tableId });
+    if (options.limit) params.append('limit', options.limit);
+    if (options.offset) params.append('offset', options.offset);
+    this.appendFilterParams(params, options);
+    this.appendSpatialParams(params, options);
+
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/records?${params.toString()}`,
       { headers: this.getHeaders() }
     );
 
@@ -127,12 +161,540 @@ class DataAdapter {
     return await response.json();
   }
 
+  /**
+   * options.where: a filter expression (see filter-expression.js) or the flat
+   * { field, operator, value } rules of earlier releases, evaluated by the
+   * server over the whole table.
+   */
+  appendFilterParams(params, options) {
+    const where = options.where;
+    if (!where || (Array.isArray(where) ? where.length === 0 : !where.conditions?.length)) return;
+    params.append('where', JSON.stringify(where));
+  }
+
+  /**
+   * Spatial filters evaluated by the server:
+   * bbox: [minLng, minLat, maxLng, maxLat] (or a Leaflet LatLngBounds),
+   * intersects: GeoJSON geometry or WKT, near: [lng, lat] with radius in meters.
+   */
+  appendSpatialParams(params, options) {
+    if (options.bbox) {
+      const bbox = typeof options.bbox.toBBoxString === 'function'
+        ? options.bbox.toBBoxString()
+        : [].concat(options.bbox).join(',');
+      params.append('bbox', bbox);
+    }
+    if (options.intersects) {
+      params.append('intersects', typeof options.intersects === 'string'
+        ? options.intersects
+        : JSON.stringify(options.intersects));
+    }
+    if (options.near) {
+      params.append('near', [].concat(options.near).join(','));
+      params.append('radius', options.radius);
+    }
+  }
+
+  /**
+   * URL template for the table's Mapbox Vector Tiles, for Leaflet.VectorGrid.
+   * Tiles need the session header, so pass getTileFetchOptions() as fetchOptions.
+   */
+  getTileUrl(tableId) {
+    return `${this.apiBase}/api/data/${this.customerId}/tiles/${encodeURIComponent(tableId)}/{z}/{x}/{y}.mvt`;
+  }
+
+  getTileFetchOptions() {
+    return {
+      headers: {
+        'Authorization': `Bearer ${this.getSession()?.sessionToken || ''}`
+      }
+    };
+  }
+
+  /**
+   * Downloads the table from the server export service.
+   * format: geojson, csv, kml, gpx, shapefile or gpkg. options.where is a
+   * filter expression, options.search a quick search term; spatial options
+   * are the same as getMapData.
+   */
+  async exportData(tableId, format, options = {}) {
+    const params = new URLSearchParams({ tableId, format });
+    if (options.name) params.append('name', options.name);
+    this.appendFilterParams(params, options);
+    if (options.search) params.append('q', options.search);
+    this.appendSpatialParams(params, options);
+
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/export?${params.toString()}`,
+      { headers: this.getHeaders() }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Export failed: ${response.statusText}`);
+    }
+
+    return await this.downloadResponse(response, `export.${format}`);
+  }
+
+  /**
+   * Geometry quality report for the table: { summary, records } where each
+   * record lists its issues ({ code, severity, message, repairable }).
+   */
+  async validateTable(tableId, { includeValid = false } = {}) {
+    const params = includeValid ? '?includeValid=true' : '';
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/tables/${encodeURIComponent(tableId)}/validate${params}`,
+      { headers: this.getHeaders() }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Validation failed: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  // Repairs the table's fixable geometries and saves them. options: ids, dryRun.
+  async repairGeometries(tableId, options = {}) {
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/tables/${encodeURIComponent(tableId)}/repair`,
+      {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(options)
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Repair failed: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Nearest features to a point ({ lat, lng }) across tables. options:
+   * tables (ids), tolerance in meters, limit, reverse to add a place
+   * description. Resolves to { features: [{ tableId, distance, feature }], place, errors }.
+   */
+  async identify(latlng, { tables, tolerance, limit, reverse = false } = {}) {
+    const params = new URLSearchParams({ point: `${latlng.lng},${latlng.lat}`, tables: tables.join(',') });
+    if (tolerance) params.set('tolerance', tolerance);
+    if (limit) params.set('limit', limit);
+    if (reverse) params.set('reverse', 'true');
+
+    const response = await fetch(`${this.apiBase}/api/data/${this.customerId}/identify?${params}`, {
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Identify failed: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  async reverseGeocode(latlng, { provider } = {}) {
+    const params = new URLSearchParams({ point: `${latlng.lng},${latlng.lat}` });
+    if (provider) params.set('provider', provider);
+
+    const response = await fetch(`${this.apiBase}/api/data/${this.customerId}/geocode/reverse?${params}`, {
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Reverse geocoding failed: ${response.statusText}`);
+    }
+
+    return (await response.json()).result;
+  }
+
+  /**
+   * Runs an analysis operation over whole tables on the server. Resolves to a
+   * FeatureCollection with metadata { operation, resultCount, skipped, ... }.
+   */
+  async runAnalysis(operation, { inputTableId, overlayTableId = null, options = {} }) {
+    const response = await fetch(`${this.apiBase}/api/data/${this.customerId}/analysis`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({
+        operation,
+        input: { tableId: inputTableId },
+        overlay: overlayTableId ? { tableId: overlayTableId } : null,
+        options
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Analysis failed: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  // The current user's saved layer settings: [{ layerId, layerName, configuration }]
+  async getLayerPreferences() {
+    const response = await fetch(`${this.apiBase}/api/data/${this.customerId}/layer-preferences`, {
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load layer preferences: ${response.statusText}`);
+    }
+
+    return (await response.json()).preferences;
+  }
+
+  async saveLayerPreference(layerId, { layerName, configuration }) {
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/layer-preferences/${encodeURIComponent(layerId)}`,
+      {
+        method: 'PUT',
+        headers: this.getHeaders(),
+        body: JSON.stringify({ layerName, configuration })
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Failed to save layer preferences: ${response.statusText}`);
+    }
+
+    return (await response.json()).preference;
+  }
+
+  /**
+   * Public map configurations (admin). Drafts are saved with updatePublicMap;
+   * visitors only ever see what publishPublicMap last published.
+   */
+  async listPublicMaps() {
+    return (await this.publicMapRequest('')).maps;
+  }
+
+  async createPublicMap({ title, slug, config }) {
+    return (await this.publicMapRequest('', { method: 'POST', body: { title, slug, config } })).map;
+  }
+
+  async updatePublicMap(mapId, changes) {
+    return (await this.publicMapRequest(`/${mapId}`, { method: 'PUT', body: changes })).map;
+  }
+
+  async publishPublicMap(mapId) {
+    return (await this.publicMapRequest(`/${mapId}/publish`, { method: 'POST' })).map;
+  }
+
+  async unpublishPublicMap(mapId) {
+    return (await this.publicMapRequest(`/${mapId}/unpublish`, { method: 'POST' })).map;
+  }
+
+  async deletePublicMap(mapId) {
+    await this.publicMapRequest(`/${mapId}`, { method: 'DELETE' });
+  }
+
+  async publicMapRequest(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${this.apiBase}/api/public-maps/${this.customerId}${path}`, {
+      method,
+      headers: this.getHeaders(),
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `Public map request failed: ${response.statusText}`);
+      error.details = data;
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Saved views of the table page (per tableId) or the map page (tableId
+   * null). listSavedViews returns { views, defaultViewId }, the default being
+   * the current user's role default.
+   */
+  async listSavedViews(page, tableId = null) {
+    const params = new URLSearchParams({ page });
+    if (tableId) params.set('tableId', tableId);
+    return await this.savedViewRequest(`?${params}`);
+  }
+
+  async createSavedView({ page, tableId, name, visibility, defaultRoles, state }) {
+    return (await this.savedViewRequest('', {
+      method: 'POST',
+      body: { page, tableId, name, visibility, defaultRoles, state }
+    })).view;
+  }
+
+  async updateSavedView(viewId, changes) {
+    return (await this.savedViewRequest(`/${viewId}`, { method: 'PUT', body: changes })).view;
+  }
+
+  async deleteSavedView(viewId) {
+    await this.savedViewRequest(`/${viewId}`, { method: 'DELETE' });
+  }
+
+  async savedViewRequest(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${this.apiBase}/api/views/${this.customerId}${path}`, {
+      method,
+      headers: this.getHeaders(),
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.error || `Saved view request failed: ${response.statusText}`);
+      error.details = data;
+      throw error;
+    }
+
+    return data;
+  }
+
+  async getGeocoders() {
+    const response = await fetch(`${this.apiBase}/api/data/${this.customerId}/geocoders`, {
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load geocoders: ${response.statusText}`);
+    }
+
+    return (await response.json()).providers;
+  }
+
+  // Geocodes one address; resolves to the match or null.
+  async geocodeAddress(address, { provider, country } = {}) {
+    const params = new URLSearchParams({ address });
+    if (provider) params.set('provider', provider);
+    if (country) params.set('country', country);
+
+    const response = await fetch(`${this.apiBase}/api/data/${this.customerId}/geocode?${params}`, {
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Geocoding failed: ${response.statusText}`);
+    }
+
+    return (await response.json()).result;
+  }
+
+  /**
+   * Starts geocoding a table's address column. options: addressColumn,
+   * provider, country, overwrite, writeBack, minConfidence. Poll
+   * getGeocodeJob() for progress and the per-record matches.
+   */
+  async geocodeTable(tableId, options = {}) {
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/tables/${encodeURIComponent(tableId)}/geocode`,
+      {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(options)
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Geocoding failed: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  async getGeocodeJob(jobId, { offset = 0, limit = 100 } = {}) {
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/geocode/jobs/${jobId}?offset=${offset}&limit=${limit}`,
+      { headers: this.getHeaders() }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Failed to load geocoding job: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  // Saves the job's matches. options: minConfidence, ids.
+  async applyGeocodeJob(jobId, options = {}) {
+    const response = await fetch(`${this.apiBase}/api/data/${this.customerId}/geocode/jobs/${jobId}/apply`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(options)
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Failed to save locations: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Uploads a file for import and returns the server's preview: detected
+   * format, fields, CRS, geometry types, sample features and rejections.
+   * options: latitudeColumn, longitudeColumn, wktColumn for CSV files; crs
+   * (e.g. EPSG:27700) for files that do not declare their coordinate system.
+   */
+  async previewImport(file, options = {}) {
+    const params = new URLSearchParams({ fileName: file.name });
+    ['latitudeColumn', 'longitudeColumn', 'wktColumn', 'crs'].forEach(key => {
+      if (options[key]) params.append(key, options[key]);
+    });
+
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/import/preview?${params.toString()}`,
+      {
+        method: 'POST',
+        headers: { ...this.getHeaders(), 'Content-Type': 'application/octet-stream' },
+        body: file
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Import preview failed: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Starts writing a previewed import: a new table named tableName for
+   * Teable, appended rows for Google Sheets. Poll getImportStatus for progress.
+   */
+  async commitImport(importId, { tableName } = {}) {
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/import/${encodeURIComponent(importId)}/commit`,
+      {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify({ tableName })
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Import failed: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  async getImportStatus(importId) {
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/import/${encodeURIComponent(importId)}`,
+      { headers: this.getHeaders() }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch import status: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  // Coordinate reference systems the server can reproject: [{ code, name, geographic }]
+  async getCoordinateSystems() {
+    const response = await fetch(`${this.apiBase}/api/data/${this.customerId}/crs`, {
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch coordinate systems: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.crs || [];
+  }
+
+  async getTableCrs(tableId) {
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/tables/${encodeURIComponent(tableId)}/crs`,
+      { headers: this.getHeaders() }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch table coordinate system: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.crs;
+  }
+
+  // Sets the CRS the table's coordinates are stored in (admin only).
+  async setTableCrs(tableId, crs) {
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/tables/${encodeURIComponent(tableId)}/crs`,
+      {
+        method: 'PUT',
+        headers: this.getHeaders(),
+        body: JSON.stringify({ crs })
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Failed to set coordinate system: ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  // Downloads the CSV report of features the import rejected.
+  async downloadImportErrors(importId) {
+    const response = await fetch(
+      `${this.apiBase}/api/data/${this.customerId}/import/${encodeURIComponent(importId)}/errors`,
+      { headers: this.getHeaders() }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to download import errors: ${response.statusText}`);
+    }
+
+    return await this.downloadResponse(response, 'import_rejected.csv');
+  }
+
+  async downloadResponse(response, fallbackName) {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    return fileName;
+  }
+
+  toFeature(fields, geometry = null) {
+    return {
+      type: 'Feature',
+      geometry: geometry,
+      properties: fields || {}
+    };
+  }
+
   getHeaders() {
     const session = this.getSession();
     return {
       'Content-Type': 'application/json',
       'X-Customer-ID': this.customerId,
-      'X-Session-Token': session?.token || ''
+      'Authorization': `Bearer ${session?.sessionToken || ''}`
     };
   }
 
@@ -173,7 +735,7 @@ class DataAdapterFactory {
     const response = await fetch(`${window.location.origin}/api/customers/${customerId}`, {
       headers: {
         'Content-Type': 'application/json',
-        'X-Session-Token': this.getSession()?.token || ''
+        'Authorization': `Bearer ${this.getSession()?.sessionToken || ''}`
       }
     });
 
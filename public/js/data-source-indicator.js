@@ -28,7 +28,8 @@ class DataSourceIndicator {
     try {
       const response = await fetch(`${window.location.origin}/api/customers/${this.customerId}`, {
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.getSession()?.sessionToken || ''}`
         }
       });
 
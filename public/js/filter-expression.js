@@ -0,0 +1,489 @@
+/**
+ * Filter Expressions - nested AND/OR attribute and spatial filters
+ *
+ * Shared by the map and table pages. An expression is a group
+ * { conjunction: 'and' | 'or', conditions: [...] } whose conditions are nested
+ * groups or { field, operator, value, type } conditions; spatial conditions
+ * have type 'geometry' and no field. The same JSON is the ?where= parameter of
+ * the records and export services, which evaluate it over the whole table
+ * (see server/utils/record-filter.js). FilterExpression.matches evaluates it
+ * in the browser for pages without a customer login.
+ */
+
+// Operators in the order the builder lists them, with the value types they
+// accept and their labels. Dates compare by calendar day (UTC).
+const FILTER_OPERATORS = {
+    eq: { types: ['text', 'number', 'date'], label: 'equals' },
+    neq: { types: ['text', 'number', 'date'], label: 'does not equal' },
+    contains: { types: ['text'], label: 'contains' },
+    not_contains: { types: ['text'], label: 'does not contain' },
+    starts_with: { types: ['text'], label: 'starts with' },
+    ends_with: { types: ['text'], label: 'ends with' },
+    gt: { types: ['number', 'date'], label: 'greater than', dateLabel: 'after' },
+    gte: { types: ['number', 'date'], label: 'at least', dateLabel: 'on or after' },
+    lt: { types: ['number', 'date'], label: 'less than', dateLabel: 'before' },
+    lte: { types: ['number', 'date'], label: 'at most', dateLabel: 'on or before' },
+    between: { types: ['number', 'date'], label: 'between' },
+    in: { types: ['text', 'number'], label: 'is one of' },
+    not_in: { types: ['text', 'number'], label: 'is none of' },
+    is_null: { types: ['text', 'number', 'date'], label: 'is empty' },
+    is_not_null: { types: ['text', 'number', 'date'], label: 'is not empty' },
+    intersects: { types: ['geometry'], label: 'intersects' },
+    within: { types: ['geometry'], label: 'is within' },
+    disjoint: { types: ['geometry'], label: 'is outside' }
+};
+
+const NEGATED_FILTER_OPERATORS = {
+    neq: 'eq',
+    not_contains: 'contains',
+    not_in: 'in',
+    is_not_null: 'is_null',
+    disjoint: 'intersects'
+};
+
+// Same limit as the server
+const MAX_FILTER_DEPTH = 4;
+const FILTER_DAY_MS = 24 * 60 * 60 * 1000;
+
+class FilterExpression {
+    static toText(value) {
+        if (value === null || value === undefined) return '';
+        return (typeof value === 'object' ? JSON.stringify(value) : String(value)).toLowerCase();
+    }
+
+    static toNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string' || value.trim() === '') return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    static toDay(value) {
+        const time = Date.parse(String(value ?? ''));
+        return isNaN(time) ? null : Math.floor(time / FILTER_DAY_MS);
+    }
+
+    static isNull(value) {
+        return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    // The builder's value types for a detected field type
+    static toValueType(fieldType) {
+        return ['number', 'date'].includes(fieldType) ? fieldType : 'text';
+    }
+
+    static operatorsFor(type) {
+        return Object.keys(FILTER_OPERATORS).filter(operator => FILTER_OPERATORS[operator].types.includes(type));
+    }
+
+    static operatorLabel(operator, type) {
+        const definition = FILTER_OPERATORS[operator];
+        return (type === 'date' && definition.dateLabel) || definition.label;
+    }
+
+    static isEmpty(expression) {
+        return !expression || !Array.isArray(expression.conditions) || expression.conditions.length === 0;
+    }
+
+    // Field names an expression reads
+    static getFields(expression) {
+        const fields = new Set();
+        const visit = item => {
+            if (item.conditions) item.conditions.forEach(visit);
+            else if (item.field) fields.add(item.field);
+        };
+        if (expression) visit(expression);
+        return [...fields];
+    }
+
+    // JSON for the ?where= parameter; null for an empty expression
+    static encode(expression) {
+        return FilterExpression.isEmpty(expression) ? null : JSON.stringify(expression);
+    }
+
+    // Parses ?where= JSON back into a group, or null when it is not one
+    static decode(text) {
+        if (!text) return null;
+        try {
+            let expression = JSON.parse(text);
+            if (Array.isArray(expression)) expression = { conjunction: 'and', conditions: expression };
+            return expression && Array.isArray(expression.conditions) ? expression : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static compare(fieldValue, conditionValue, type) {
+        if (type === 'number') {
+            const a = FilterExpression.toNumber(fieldValue);
+            return a === null ? null : a - FilterExpression.toNumber(conditionValue);
+        }
+        if (type === 'date') {
+            const a = FilterExpression.toDay(fieldValue);
+            return a === null ? null : a - FilterExpression.toDay(conditionValue);
+        }
+        const a = FilterExpression.toText(fieldValue);
+        const b = FilterExpression.toText(conditionValue);
+        return a === b ? 0 : (a < b ? -1 : 1);
+    }
+
+    static matchesValue(fieldValue, operator, conditionValue, type) {
+        if (Array.isArray(fieldValue)) {
+            return fieldValue.some(item => FilterExpression.matchesValue(item, operator, conditionValue, type));
+        }
+        if (FilterExpression.isNull(fieldValue)) return false;
+
+        const text = FilterExpression.toText(fieldValue);
+        switch (operator) {
+            case 'contains': return text.includes(FilterExpression.toText(conditionValue));
+            case 'starts_with': return text.startsWith(FilterExpression.toText(conditionValue));
+            case 'ends_with': return text.endsWith(FilterExpression.toText(conditionValue));
+            case 'in': return conditionValue.some(item => FilterExpression.compare(fieldValue, item, type) === 0);
+            case 'between': {
+                const from = FilterExpression.compare(fieldValue, conditionValue[0], type);
+                const to = FilterExpression.compare(fieldValue, conditionValue[1], type);
+                return from !== null && from >= 0 && to <= 0;
+            }
+        }
+
+        const difference = FilterExpression.compare(fieldValue, conditionValue, type);
+        if (difference === null || isNaN(difference)) return false;
+        switch (operator) {
+            case 'eq': return difference === 0;
+            case 'gt': return difference > 0;
+            case 'gte': return difference >= 0;
+            case 'lt': return difference < 0;
+            case 'lte': return difference <= 0;
+            default: return false;
+        }
+    }
+
+    // [minLng, minLat, maxLng, maxLat] of a bbox array or GeoJSON geometry
+    static getRegionBounds(value) {
+        if (Array.isArray(value) && value.length === 4) return value.map(Number);
+
+        const coordinates = [];
+        const collect = item => {
+            if (typeof item?.[0] === 'number') coordinates.push(item);
+            else if (Array.isArray(item)) item.forEach(collect);
+        };
+        collect(value?.coordinates);
+        if (coordinates.length === 0) return null;
+
+        const lngs = coordinates.map(c => c[0]);
+        const lats = coordinates.map(c => c[1]);
+        return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)];
+    }
+
+    // In the browser spatial conditions compare bounding boxes; the server
+    // tests the exact geometries
+    static matchesSpatial(bounds, operator, value) {
+        const region = FilterExpression.getRegionBounds(value);
+        if (!bounds || !region) return null;
+
+        if (operator === 'within') {
+            return bounds[0] >= region[0] && bounds[1] >= region[1] && bounds[2] <= region[2] && bounds[3] <= region[3];
+        }
+        return bounds[0] <= region[2] && bounds[2] >= region[0] && bounds[1] <= region[3] && bounds[3] >= region[1];
+    }
+
+    /**
+     * Whether a record matches. properties are the record's fields; bounds
+     * ([minLng, minLat, maxLng, maxLat]) are needed for spatial conditions.
+     */
+    static matches(properties, expression, bounds = null) {
+        if (!expression) return true;
+
+        if (expression.conditions) {
+            return expression.conjunction === 'or'
+                ? expression.conditions.some(item => FilterExpression.matches(properties, item, bounds))
+                : expression.conditions.every(item => FilterExpression.matches(properties, item, bounds));
+        }
+
+        const positive = NEGATED_FILTER_OPERATORS[expression.operator] || expression.operator;
+        const negated = positive !== expression.operator;
+
+        if (expression.type === 'geometry') {
+            const result = FilterExpression.matchesSpatial(bounds, positive, expression.value);
+            return result === null ? false : result !== negated;
+        }
+
+        const fieldValue = properties?.[expression.field];
+        const result = positive === 'is_null'
+            ? FilterExpression.isNull(fieldValue)
+            : FilterExpression.matchesValue(fieldValue, positive, expression.value, expression.type);
+        return result !== negated;
+    }
+}
+
+/**
+ * Editor for one expression. fields are [{ name, type, label? }] with types
+ * text, number or date. With getBounds (returning [minLng, minLat, maxLng,
+ * maxLat]) the field list offers spatial conditions against the map view.
+ */
+class FilterBuilder {
+    constructor(container, { fields = [], onChange, getBounds = null } = {}) {
+        this.container = container;
+        this.fields = fields;
+        this.onChange = onChange || (() => {});
+        this.getBounds = getBounds;
+        this.expression = { conjunction: 'and', conditions: [] };
+
+        container.addEventListener('click', event => this.handleClick(event));
+        container.addEventListener('change', event => this.handleChange(event));
+        container.addEventListener('input', event => this.handleInput(event));
+        this.render();
+    }
+
+    static escape(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    setFields(fields) {
+        this.fields = fields;
+        this.render();
+    }
+
+    setExpression(expression) {
+        this.expression = FilterExpression.isEmpty(expression)
+            ? { conjunction: 'and', conditions: [] }
+            : JSON.parse(JSON.stringify(expression));
+        this.render();
+    }
+
+    clear() {
+        this.setExpression(null);
+    }
+
+    addCondition() {
+        this.expression.conditions.push({ field: '', operator: '', value: '' });
+        this.render();
+    }
+
+    // The expression without incomplete conditions and empty groups, or null
+    getExpression() {
+        const clean = group => {
+            const conditions = group.conditions
+                .map(item => item.conditions ? clean(item) : (this.isComplete(item) ? this.toCondition(item) : null))
+                .filter(Boolean);
+            return conditions.length > 0 ? { conjunction: group.conjunction, conditions } : null;
+        };
+        return clean(this.expression);
+    }
+
+    isComplete(condition) {
+        if (!condition.operator) return false;
+        if (condition.type === 'geometry') return Array.isArray(condition.value);
+        if (!condition.field) return false;
+        if (['is_null', 'is_not_null'].includes(condition.operator)) return true;
+        if (condition.operator === 'between') return Array.isArray(condition.value) && condition.value.every(value => value !== '');
+        if (['in', 'not_in'].includes(condition.operator)) return Array.isArray(condition.value) && condition.value.length > 0;
+        return condition.value !== undefined && condition.value !== '';
+    }
+
+    toCondition(condition) {
+        if (condition.type === 'geometry') {
+            return { operator: condition.operator, type: 'geometry', value: condition.value };
+        }
+        const result = { field: condition.field, operator: condition.operator, type: condition.type };
+        if (['is_null', 'is_not_null'].includes(condition.operator)) return result;
+
+        const convert = value => condition.type === 'number' ? Number(value) : value;
+        result.value = Array.isArray(condition.value) ? condition.value.map(convert) : convert(condition.value);
+        return result;
+    }
+
+    // Conditions and groups are addressed by their index path, e.g. "0.2"
+    getNode(path) {
+        if (path === '') return this.expression;
+        return path.split('.').reduce((node, index) => node.conditions[Number(index)], this.expression);
+    }
+
+    getParent(path) {
+        const parts = path.split('.');
+        const index = Number(parts.pop());
+        return { parent: this.getNode(parts.join('.')), index };
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-filter-action]');
+        if (!button) return;
+
+        const path = button.closest('[data-path]').dataset.path;
+        const action = button.dataset.filterAction;
+
+        if (action === 'add-condition') {
+            this.getNode(path).conditions.push({ field: '', operator: '', value: '' });
+        } else if (action === 'add-group') {
+            this.getNode(path).conditions.push({ conjunction: 'or', conditions: [{ field: '', operator: '', value: '' }] });
+        } else if (action === 'remove') {
+            const { parent, index } = this.getParent(path);
+            parent.conditions.splice(index, 1);
+        } else if (action === 'use-view' && this.getBounds) {
+            this.getNode(path).value = this.getBounds().map(value => Number(value.toFixed(6)));
+        }
+
+        this.render();
+        this.onChange(this.getExpression());
+    }
+
+    handleChange(event) {
+        const target = event.target;
+        const role = target.dataset.filterRole;
+        if (!role) return;
+
+        const node = this.getNode(target.closest('[data-path]').dataset.path);
+
+        if (role === 'conjunction') {
+            node.conjunction = target.value;
+        } else if (role === 'field') {
+            const spatial = target.value === FilterBuilder.GEOMETRY_FIELD;
+            const field = this.fields.find(candidate => candidate.name === target.value);
+            node.field = spatial ? '' : target.value;
+            node.type = spatial ? 'geometry' : FilterExpression.toValueType(field?.type);
+            if (!FilterExpression.operatorsFor(node.type).includes(node.operator)) {
+                node.operator = FilterExpression.operatorsFor(node.type)[0];
+            }
+            node.value = this.emptyValue(node.operator);
+        } else if (role === 'operator') {
+            const wasList = Array.isArray(node.value);
+            node.operator = target.value;
+            if (wasList !== Array.isArray(this.emptyValue(node.operator)) || node.type === 'geometry') {
+                node.value = node.type === 'geometry' ? node.value : this.emptyValue(node.operator);
+            }
+        } else {
+            this.handleInput(event);
+            return;
+        }
+
+        this.render();
+        this.onChange(this.getExpression());
+    }
+
+    // Typing updates the condition without re-rendering, so focus stays put
+    handleInput(event) {
+        const target = event.target;
+        const role = target.dataset.filterRole;
+        if (!['value', 'from', 'to', 'list'].includes(role)) return;
+
+        const node = this.getNode(target.closest('[data-path]').dataset.path);
+        if (role === 'value') {
+            node.value = target.value;
+        } else if (role === 'list') {
+            node.value = target.value.split(',').map(value => value.trim()).filter(value => value !== '');
+        } else {
+            const value = Array.isArray(node.value) ? [...node.value] : ['', ''];
+            value[role === 'from' ? 0 : 1] = target.value;
+            node.value = value;
+        }
+        this.onChange(this.getExpression());
+    }
+
+    emptyValue(operator) {
+        if (operator === 'between') return ['', ''];
+        if (['in', 'not_in'].includes(operator)) return [];
+        return '';
+    }
+
+    render() {
+        this.container.innerHTML = this.renderGroup(this.expression, '', 1);
+    }
+
+    renderGroup(group, path, depth) {
+        const childPath = index => (path === '' ? String(index) : `${path}.${index}`);
+        const body = group.conditions.length === 0
+            ? '<div class="filter-empty text-muted small">No conditions</div>'
+            : group.conditions.map((item, index) => item.conditions
+                ? this.renderGroup(item, childPath(index), depth + 1)
+                : this.renderCondition(item, childPath(index))).join('');
+
+        return `
+            <div class="filter-group" data-path="${path}">
+                <div class="filter-group-header">
+                    <select class="form-select form-select-sm filter-conjunction" data-filter-role="conjunction">
+                        <option value="and" ${group.conjunction === 'and' ? 'selected' : ''}>All of (AND)</option>
+                        <option value="or" ${group.conjunction === 'or' ? 'selected' : ''}>Any of (OR)</option>
+                    </select>
+                    <button type="button" class="btn btn-sm btn-outline-primary" data-filter-action="add-condition" title="Add condition">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                    ${depth < MAX_FILTER_DEPTH ? `
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-filter-action="add-group" title="Add group">
+                            <i class="fas fa-layer-group"></i>
+                        </button>` : ''}
+                    ${path !== '' ? `
+                        <button type="button" class="btn btn-sm btn-outline-danger" data-filter-action="remove" title="Remove group">
+                            <i class="fas fa-times"></i>
+                        </button>` : ''}
+                </div>
+                <div class="filter-group-body">${body}</div>
+            </div>
+        `;
+    }
+
+    renderCondition(condition, path) {
+        const spatial = condition.type === 'geometry';
+        const fieldOptions = this.fields.map(field =>
+            `<option value="${FilterBuilder.escape(field.name)}" ${!spatial && field.name === condition.field ? 'selected' : ''}>${FilterBuilder.escape(field.label || field.name)}</option>`
+        ).join('');
+        const geometryOption = this.getBounds
+            ? `<option value="${FilterBuilder.GEOMETRY_FIELD}" ${spatial ? 'selected' : ''}>Geometry</option>`
+            : '';
+        const operators = condition.type ? FilterExpression.operatorsFor(condition.type) : [];
+
+        return `
+            <div class="filter-condition" data-path="${path}">
+                <select class="form-select form-select-sm" data-filter-role="field">
+                    <option value="">Field...</option>
+                    ${fieldOptions}
+                    ${geometryOption}
+                </select>
+                <select class="form-select form-select-sm" data-filter-role="operator" ${operators.length === 0 ? 'disabled' : ''}>
+                    ${operators.map(operator =>
+                        `<option value="${operator}" ${operator === condition.operator ? 'selected' : ''}>${FilterExpression.operatorLabel(operator, condition.type)}</option>`
+                    ).join('')}
+                </select>
+                ${this.renderValue(condition)}
+                <button type="button" class="btn btn-sm btn-outline-danger" data-filter-action="remove" title="Remove condition">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    renderValue(condition) {
+        const inputType = condition.type === 'number' ? 'number' : (condition.type === 'date' ? 'date' : 'text');
+        const value = condition.value;
+
+        if (!condition.operator || ['is_null', 'is_not_null'].includes(condition.operator)) {
+            return '';
+        }
+        if (condition.type === 'geometry') {
+            const label = Array.isArray(value) ? value.join(', ') : 'not set';
+            return `
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-filter-action="use-view">
+                    <i class="fas fa-crop-alt me-1"></i>Use map view
+                </button>
+                <span class="filter-region small text-muted">${FilterBuilder.escape(label)}</span>
+            `;
+        }
+        if (condition.operator === 'between') {
+            const [from, to] = Array.isArray(value) ? value : ['', ''];
+            return `
+                <input type="${inputType}" class="form-control form-control-sm" data-filter-role="from" value="${FilterBuilder.escape(from)}" placeholder="From">
+                <input type="${inputType}" class="form-control form-control-sm" data-filter-role="to" value="${FilterBuilder.escape(to)}" placeholder="To">
+            `;
+        }
+        if (['in', 'not_in'].includes(condition.operator)) {
+            return `<input type="text" class="form-control form-control-sm" data-filter-role="list" value="${FilterBuilder.escape((value || []).join(', '))}" placeholder="Values, comma separated">`;
+        }
+        return `<input type="${inputType}" class="form-control form-control-sm" data-filter-role="value" value="${FilterBuilder.escape(value)}" placeholder="Value">`;
+    }
+}
+
+FilterBuilder.GEOMETRY_FIELD = '@geometry';
+
+window.FilterExpression = FilterExpression;
+window.FilterBuilder = FilterBuilder;
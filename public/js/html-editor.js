@@ -6,6 +6,14 @@ let htmlEditor, cssEditor, jsEditor;
 let currentTab = 'html';
 let customer = null;
 
+function authHeaders(extra = {}) {
+  const adminSession = JSON.parse(localStorage.getItem('admin_session') || 'null');
+  return {
+    ...extra,
+    'Authorization': `Bearer ${adminSession?.sessionToken || ''}`
+  };
+}
+
 async function init() {
   const params = new URLSearchParams(window.location.search);
   customerId = params.get('customerId');
@@ -31,7 +39,9 @@ async function init() {
 
 async function loadCustomer() {
   try {
-    const response = await fetch(`${API_BASE}/api/customers/${customerId}`);
+    const response = await fetch(`${API_BASE}/api/customers/${customerId}`, {
+      headers: authHeaders()
+    });
     const data = await response.json();
 
     if (data.success) {
@@ -76,7 +86,9 @@ function initializeEditors() {
 
 async function loadCurrentPage() {
   try {
-    const response = await fetch(`${API_BASE}/api/html-editor/customers/${customerId}/pages/${currentPage}`);
+    const response = await fetch(`${API_BASE}/api/html-editor/customers/${customerId}/pages/${currentPage}`, {
+      headers: authHeaders()
+    });
     const data = await response.json();
 
     if (data.success && data.page) {
@@ -154,7 +166,7 @@ async function saveCurrentPage() {
   try {
     const response = await fetch(`${API_BASE}/api/html-editor/customers/${customerId}/pages`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({
         pageName: currentPage,
         htmlContent: htmlEditor.getValue(),
@@ -207,7 +219,9 @@ function refreshPreview() {
 
 async function loadVersionHistory() {
   try {
-    const response = await fetch(`${API_BASE}/api/html-editor/customers/${customerId}/pages/${currentPage}/versions`);
+    const response = await fetch(`${API_BASE}/api/html-editor/customers/${customerId}/pages/${currentPage}/versions`, {
+      headers: authHeaders()
+    });
     const data = await response.json();
 
     const versionList = document.getElementById('versionList');
@@ -244,7 +258,7 @@ async function rollbackToVersion(version) {
   try {
     const response = await fetch(`${API_BASE}/api/html-editor/customers/${customerId}/pages/${currentPage}/rollback/${version}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({
         createdBy: adminSession.email
       })
@@ -9,6 +9,8 @@ let mapConfig = {};
 let previewMap = null;
 let hasUnsavedChanges = false;
 let centerMarker = null;
+let publicMaps = [];
+let currentPublicMap = null;
 
 document.addEventListener('DOMContentLoaded', function() {
     // Check authentication and admin privileges
@@ -112,26 +114,253 @@ function populateTableSelectors() {
     });
 }
 
+// Public maps are stored on the server per customer; the customer session
+// from the customer login is needed to read and save them.
+function getPublicMapAdapter() {
+    const session = JSON.parse(localStorage.getItem('customer_session') || 'null');
+    return session?.customerId && session.sessionToken ? new DataAdapter(session.customerId) : null;
+}
+
 async function loadMapConfiguration() {
     try {
-        // Try to load existing configuration from a system table or localStorage
-        const savedConfig = localStorage.getItem('teable_map_config');
-        
-        if (savedConfig) {
-            mapConfig = JSON.parse(savedConfig);
-            populateConfigurationForm();
-        } else {
-            // Set default configuration
-            mapConfig = getDefaultConfiguration();
-            populateConfigurationForm();
+        const dataAdapter = getPublicMapAdapter();
+        if (!dataAdapter) {
+            throw new Error('Sign in with your customer account to save and publish public maps');
         }
+
+        publicMaps = await dataAdapter.listPublicMaps();
+        showPublicMap(publicMaps[0] || null);
         
-        console.log('Loaded map configuration:', mapConfig);
+        console.log('Loaded public maps:', publicMaps.length);
         
     } catch (error) {
         console.error('Error loading map configuration:', error);
-        mapConfig = getDefaultConfiguration();
-        populateConfigurationForm();
+        showError('Failed to load public maps: ' + error.message);
+        showPublicMap(null);
+    }
+}
+
+// Shows a saved map's draft in the form, or a new unsaved map for null
+function showPublicMap(publicMap) {
+    currentPublicMap = publicMap;
+    mapConfig = publicMap ? JSON.parse(JSON.stringify(publicMap.draftConfig)) : getDefaultConfiguration();
+    populateConfigurationForm();
+    document.getElementById('mapSlug').value = publicMap?.slug || '';
+    updatePublicMapSelector();
+    updatePublicMapStatus();
+
+    hasUnsavedChanges = false;
+    updateSaveIndicator();
+}
+
+function updatePublicMapSelector() {
+    const selector = document.getElementById('publicMapSelector');
+    selector.innerHTML = currentPublicMap ? '' : '<option value="">New map (not saved yet)</option>';
+
+    publicMaps.forEach(publicMap => {
+        const option = document.createElement('option');
+        option.value = publicMap.id;
+        option.textContent = `${publicMap.title} (/${publicMap.slug})`;
+        selector.appendChild(option);
+    });
+
+    selector.value = currentPublicMap?.id || '';
+}
+
+function updatePublicMapStatus() {
+    const badge = document.getElementById('publicMapStatus');
+    const published = currentPublicMap?.status === 'published';
+
+    if (!currentPublicMap) {
+        badge.className = 'badge bg-secondary';
+        badge.textContent = 'Not saved';
+    } else if (published && currentPublicMap.hasUnpublishedChanges) {
+        badge.className = 'badge bg-warning text-dark';
+        badge.textContent = 'Published - draft has unpublished changes';
+    } else {
+        badge.className = published ? 'badge bg-success' : 'badge bg-secondary';
+        badge.textContent = published ? 'Published' : 'Draft';
+    }
+
+    document.getElementById('unpublishMapBtn').style.display = published ? 'inline-block' : 'none';
+    document.getElementById('deleteMapBtn').style.display = currentPublicMap ? 'inline-block' : 'none';
+    updatePublicMapUrl();
+}
+
+function getPublicMapUrl(slug) {
+    // Tenant domains serve published maps at /maps/:slug
+    if (window.CUSTOMER_CONFIG) {
+        return `${window.location.origin}/maps/${slug}`;
+    }
+    const customerId = getPublicMapAdapter()?.customerId;
+    return `${window.location.origin}/public-map.html?customer=${encodeURIComponent(customerId || '')}&map=${encodeURIComponent(slug)}`;
+}
+
+function updatePublicMapUrl() {
+    const link = document.getElementById('publicMapUrl');
+    const slug = document.getElementById('mapSlug').value.trim() || currentPublicMap?.slug;
+
+    link.textContent = slug ? getPublicMapUrl(slug) : '-';
+    link.href = slug ? getPublicMapUrl(slug) : '#';
+    updateEmbedSnippets();
+}
+
+function escapeAttribute(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;');
+}
+
+// The origins typed into the Permissions tab, reduced to scheme://host[:port]
+function parseEmbedOrigins() {
+    const entries = document.getElementById('embedOriginsInput').value.split(/[\s,]+/).filter(Boolean);
+
+    return [...new Set(entries.map(entry => {
+        let url;
+        try {
+            url = new URL(entry);
+        } catch {
+            throw new Error(`Invalid embed origin: ${entry} (expected e.g. https://www.example.com)`);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw new Error(`Invalid embed origin: ${entry} (only http and https sites can embed maps)`);
+        }
+        return url.origin;
+    }))];
+}
+
+// Embed URL parameters from the embed code options (see public-map.js)
+function getEmbedParams() {
+    const params = {};
+
+    if (document.getElementById('embedUsePreviewExtent').checked && previewMap) {
+        const bounds = previewMap.getBounds();
+        params.bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+            .map(value => value.toFixed(5))
+            .join(',');
+    }
+    if (document.getElementById('embedShowLegend').checked) {
+        params.legend = '1';
+    }
+
+    return params;
+}
+
+function updateEmbedSnippets() {
+    const iframeSnippet = document.getElementById('embedIframeSnippet');
+    const scriptSnippet = document.getElementById('embedScriptSnippet');
+    const customerId = getPublicMapAdapter()?.customerId;
+    const slug = currentPublicMap?.slug;
+
+    if (!customerId || !slug) {
+        iframeSnippet.value = scriptSnippet.value = 'Save the map to get its embed code.';
+        return;
+    }
+
+    const height = Math.min(Math.max(parseInt(document.getElementById('embedHeight').value) || 450, 200), 2000);
+    const params = getEmbedParams();
+    const query = new URLSearchParams(params).toString();
+    const embedUrl = `${window.location.origin}/embed/${encodeURIComponent(customerId)}/${encodeURIComponent(slug)}${query ? `?${query}` : ''}`;
+    const title = currentPublicMap.title || 'Map';
+
+    iframeSnippet.value = `<iframe src="${escapeAttribute(embedUrl)}" width="100%" height="${height}" ` +
+        `style="border:0" loading="lazy" title="${escapeAttribute(title)}" allowfullscreen></iframe>`;
+
+    const dataAttributes = Object.entries(params)
+        .map(([name, value]) => ` data-${name}="${escapeAttribute(value)}"`)
+        .join('');
+    scriptSnippet.value = `<script src="${window.location.origin}/js/public-map-embed.js" ` +
+        `data-customer="${escapeAttribute(customerId)}" data-map="${escapeAttribute(slug)}" ` +
+        `data-height="${height}"${dataAttributes} data-frame-title="${escapeAttribute(title)}" async></script>`;
+}
+
+async function copyEmbedSnippet(elementId) {
+    const snippet = document.getElementById(elementId);
+    updateEmbedSnippets();
+
+    try {
+        await navigator.clipboard.writeText(snippet.value);
+        showSuccess('Embed code copied to the clipboard');
+    } catch (error) {
+        snippet.select();
+        showError('Could not copy automatically; the code is selected, press Ctrl+C to copy it');
+    }
+}
+
+function confirmDiscardChanges() {
+    return !hasUnsavedChanges || confirm('You have unsaved changes. Discard them?');
+}
+
+function selectPublicMap(mapId) {
+    if (!confirmDiscardChanges()) {
+        updatePublicMapSelector();
+        return;
+    }
+    showPublicMap(publicMaps.find(publicMap => publicMap.id === mapId) || null);
+}
+
+function newPublicMap() {
+    if (!confirmDiscardChanges()) return;
+    showPublicMap(null);
+}
+
+function replaceCurrentPublicMap(publicMap) {
+    const index = publicMaps.findIndex(candidate => candidate.id === publicMap.id);
+    if (index === -1) {
+        publicMaps.unshift(publicMap);
+    } else {
+        publicMaps[index] = publicMap;
+    }
+    currentPublicMap = publicMap;
+    updatePublicMapSelector();
+    updatePublicMapStatus();
+}
+
+async function publishCurrentMap() {
+    try {
+        if (hasUnsavedChanges || !currentPublicMap) {
+            const saved = await saveAllConfigurations();
+            if (!saved) return;
+        }
+
+        const published = await getPublicMapAdapter().publishPublicMap(currentPublicMap.id);
+        replaceCurrentPublicMap(published);
+        showSaveSuccess(`Map published at <a href="${getPublicMapUrl(published.slug)}" target="_blank" rel="noopener">${getPublicMapUrl(published.slug)}</a>`);
+        
+    } catch (error) {
+        console.error('Error publishing map:', error);
+        const fields = (error.details?.layers || [])
+            .map(layer => `${layer.layer}: ${layer.fields.join(', ')}`)
+            .join('; ');
+        showError('Failed to publish map: ' + error.message + (fields ? ` (${fields})` : ''));
+    }
+}
+
+async function unpublishCurrentMap() {
+    if (!currentPublicMap || !confirm('Take this map offline? Its public URL will stop working until it is published again.')) return;
+
+    try {
+        replaceCurrentPublicMap(await getPublicMapAdapter().unpublishPublicMap(currentPublicMap.id));
+        showSuccess('Map unpublished');
+    } catch (error) {
+        console.error('Error unpublishing map:', error);
+        showError('Failed to unpublish map: ' + error.message);
+    }
+}
+
+async function deleteCurrentMap() {
+    if (!currentPublicMap || !confirm(`Delete the public map "${currentPublicMap.title}"? This cannot be undone.`)) return;
+
+    try {
+        await getPublicMapAdapter().deletePublicMap(currentPublicMap.id);
+        publicMaps = publicMaps.filter(publicMap => publicMap.id !== currentPublicMap.id);
+        hasUnsavedChanges = false;
+        showPublicMap(publicMaps[0] || null);
+        showSuccess('Public map deleted');
+    } catch (error) {
+        console.error('Error deleting map:', error);
+        showError('Failed to delete map: ' + error.message);
     }
 }
 
@@ -157,14 +386,16 @@ function getDefaultConfiguration() {
             enableExport: false,
             enablePopups: true,
             enableLegend: true,
-            enableCoordinates: false
+            enableCoordinates: false,
+            enableIdentify: true
         },
         permissions: {
             allowPublicEditing: false,
             allowPublicExport: false,
             allowPublicPrint: true,
             enableMapSharing: true,
-            enableEmbedding: false
+            enableEmbedding: false,
+            embedOrigins: []
         },
         layers: [],
         styling: {},
@@ -202,6 +433,7 @@ function populateConfigurationForm() {
             element.checked = permissions[permission];
         }
     });
+    document.getElementById('embedOriginsInput').value = (permissions.embedOrigins || []).join('\n');
     
     // Update feature toggles
     updateFeatureToggles();
@@ -213,7 +445,7 @@ function populateConfigurationForm() {
 
 function setupEventListeners() {
     // Track changes for save indicator
-    const inputs = document.querySelectorAll('input, select, textarea');
+    const inputs = document.querySelectorAll('input:not(.embed-option), select, textarea:not(.embed-option)');
     inputs.forEach(input => {
         input.addEventListener('change', () => {
             hasUnsavedChanges = true;
@@ -598,6 +830,7 @@ async function savePublicLayer() {
         const visibility = document.getElementById('publicLayerVisibility').value;
         const order = parseInt(document.getElementById('publicLayerOrder').value) || 1;
         const description = document.getElementById('publicLayerDescription').value.trim();
+        const renderMode = document.getElementById('publicLayerRenderMode')?.value || 'features';
         
         if (!tableId || !layerName) {
             throw new Error('Please select a table and enter a layer name');
@@ -612,6 +845,7 @@ async function savePublicLayer() {
             name: layerName,
             description: description,
             visibility: visibility,
+            renderMode: renderMode,
             order: order,
             visibleFields: [],
             popupFields: [],
@@ -685,7 +919,7 @@ function updatePublicLayersList() {
                             Order: ${layer.order} • 
                             Fields: ${layer.visibleFields.length} visible • 
                             Popup: ${layer.popupFields.length} fields •
-                            Style: ${layer.styling.type}
+                            Style: ${layer.styling.type}${layer.renderMode === 'vectortile' ? ' • Vector tiles' : ''}
                         </div>
                     </div>
                     <div class="d-flex gap-1">
@@ -711,7 +945,7 @@ function updatePublicLayersList() {
 }
 
 function updateLayerSelectors() {
-    const selectors = ['fieldLayerSelector', 'popupLayerSelector', 'styleLayerSelector', 'labelLayerSelector'];
+    const selectors = ['fieldLayerSelector', 'popupLayerSelector', 'styleLayerSelector', 'labelLayerSelector', 'timeLayerSelector'];
     
     selectors.forEach(selectorId => {
         const selector = document.getElementById(selectorId);
@@ -991,6 +1225,67 @@ function loadLayerLabelling() {
     loadFieldsForLabelling();
 }
 
+// Time settings of a public layer: layer.temporal = { enabled, startField, endField }
+async function loadLayerTemporal() {
+    const layerId = document.getElementById('timeLayerSelector').value;
+    const layer = publicLayers.find(l => l.id === layerId);
+    const startSelect = document.getElementById('timeStartField');
+    const endSelect = document.getElementById('timeEndField');
+    
+    startSelect.innerHTML = '<option value="">Select date field...</option>';
+    endSelect.innerHTML = '<option value="">None (single moments)</option>';
+    document.getElementById('enableLayerTime').checked = false;
+    document.getElementById('timeOptions').style.display = 'none';
+    if (!layer) return;
+    
+    try {
+        // Date fields hold YYYY-MM-DD values, as the map's field type detection expects
+        const recordsData = await window.teableAPI.getRecords(layer.tableId, { limit: 20 });
+        const records = recordsData.records || [];
+        const fieldNames = [...new Set(records.flatMap(record => Object.keys(record.fields || {})))];
+        const dateFields = fieldNames.filter(fieldName => {
+            const sample = records.map(record => record.fields[fieldName]).find(value => value !== null && value !== undefined && value !== '');
+            return typeof sample === 'string' && /^\d{4}-\d{2}-\d{2}/.test(sample);
+        });
+        
+        dateFields.forEach(fieldName => {
+            startSelect.appendChild(new Option(fieldName, fieldName));
+            endSelect.appendChild(new Option(fieldName, fieldName));
+        });
+        
+        const temporal = layer.temporal || {};
+        startSelect.value = dateFields.includes(temporal.startField) ? temporal.startField : '';
+        endSelect.value = dateFields.includes(temporal.endField) ? temporal.endField : '';
+        document.getElementById('enableLayerTime').checked = Boolean(temporal.enabled);
+        document.getElementById('timeOptions').style.display = temporal.enabled ? 'block' : 'none';
+        
+        if (dateFields.length === 0) {
+            showError(`No date fields found in layer "${layer.name}"`);
+        }
+        
+    } catch (error) {
+        console.error('Error loading date fields:', error);
+        showError('Failed to load date fields: ' + error.message);
+    }
+}
+
+function updateLayerTemporal() {
+    const layer = publicLayers.find(l => l.id === document.getElementById('timeLayerSelector').value);
+    if (!layer) return;
+    
+    const enabled = document.getElementById('enableLayerTime').checked;
+    document.getElementById('timeOptions').style.display = enabled ? 'block' : 'none';
+    
+    layer.temporal = {
+        enabled,
+        startField: document.getElementById('timeStartField').value,
+        endField: document.getElementById('timeEndField').value
+    };
+    
+    hasUnsavedChanges = true;
+    updateSaveIndicator();
+}
+
 async function loadFieldsForLabelling() {
     const layerId = document.getElementById('labelLayerSelector').value;
     const fieldSelect = document.getElementById('labelField');
@@ -1182,22 +1477,35 @@ async function saveAllConfigurations() {
                 enableExport: document.getElementById('enableExport').checked,
                 enablePopups: document.getElementById('enablePopups').checked,
                 enableLegend: document.getElementById('enableLegend').checked,
-                enableCoordinates: document.getElementById('enableCoordinates').checked
+                enableCoordinates: document.getElementById('enableCoordinates').checked,
+                enableIdentify: document.getElementById('enableIdentify').checked
             },
             permissions: {
                 allowPublicEditing: document.getElementById('allowPublicEditing').checked,
                 allowPublicExport: document.getElementById('allowPublicExport').checked,
                 allowPublicPrint: document.getElementById('allowPublicPrint').checked,
                 enableMapSharing: document.getElementById('enableMapSharing').checked,
-                enableEmbedding: document.getElementById('enableEmbedding').checked
+                enableEmbedding: document.getElementById('enableEmbedding').checked,
+                embedOrigins: parseEmbedOrigins()
             },
             layers: publicLayers,
             lastUpdated: new Date().toISOString(),
             updatedBy: currentUser.email
         };
         
-        // Save to localStorage (in production, this would be saved to a database)
-        localStorage.setItem('teable_map_config', JSON.stringify(config));
+        const dataAdapter = getPublicMapAdapter();
+        if (!dataAdapter) {
+            throw new Error('Sign in with your customer account to save public maps');
+        }
+
+        // Saving only changes the draft; visitors see it once it is published
+        const slug = document.getElementById('mapSlug').value.trim() || undefined;
+        const saved = currentPublicMap
+            ? await dataAdapter.updatePublicMap(currentPublicMap.id, { title: config.general.title, slug, config })
+            : await dataAdapter.createPublicMap({ title: config.general.title, slug, config });
+        replaceCurrentPublicMap(saved);
+        document.getElementById('mapSlug').value = saved.slug;
+        document.getElementById('embedOriginsInput').value = config.permissions.embedOrigins.join('\n');
         
         // Log activity
         try {
@@ -1214,11 +1522,15 @@ async function saveAllConfigurations() {
         hasUnsavedChanges = false;
         updateSaveIndicator();
         
-        showSaveSuccess('All map configurations saved successfully!');
+        showSaveSuccess(saved.status === 'published'
+            ? 'Draft saved. Publish to update the public map.'
+            : 'Draft saved. Publish the map to make it public.');
+        return true;
         
     } catch (error) {
         console.error('Error saving configuration:', error);
         showError('Failed to save configuration: ' + error.message);
+        return false;
     }
 }
 
@@ -1256,9 +1568,18 @@ function showSaveSuccess(message) {
 }
 
 function previewPublicMap() {
-    // Open public map in new window/tab
-    const publicMapUrl = 'public-map.html';
-    window.open(publicMapUrl, '_blank');
+    // The preview shows the saved draft, so unsaved changes are not in it
+    if (!currentPublicMap) {
+        showError('Save the map as a draft before previewing it');
+        return;
+    }
+    if (hasUnsavedChanges) {
+        showError('Save the draft first; the preview shows the saved draft');
+        return;
+    }
+
+    const customerId = getPublicMapAdapter()?.customerId;
+    window.open(`public-map.html?customer=${encodeURIComponent(customerId)}&preview=${encodeURIComponent(currentPublicMap.id)}`, '_blank');
 }
 
 function updateStylePreview() {
@@ -1318,4 +1639,14 @@ window.generateCategorizedColors = generateCategorizedColors;
 window.updateCategorizedRuleColor = updateCategorizedRuleColor;
 window.saveAllConfigurations = saveAllConfigurations;
 window.previewPublicMap = previewPublicMap;
+window.selectPublicMap = selectPublicMap;
+window.newPublicMap = newPublicMap;
+window.publishCurrentMap = publishCurrentMap;
+window.unpublishCurrentMap = unpublishCurrentMap;
+window.deleteCurrentMap = deleteCurrentMap;
+window.updatePublicMapUrl = updatePublicMapUrl;
+window.updateEmbedSnippets = updateEmbedSnippets;
+window.loadLayerTemporal = loadLayerTemporal;
+window.updateLayerTemporal = updateLayerTemporal;
+window.copyEmbedSnippet = copyEmbedSnippet;
 window.updateStylePreview = updateStylePreview;
\ No newline at end of file
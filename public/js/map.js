@@ -4,13 +4,14 @@
 
 let map;
 let mapLayers = [];
-let currentFilters = [];
+let layerFilters = {};
 let measurementGroup;
 let currentMeasurement = null;
 let measurementPoints = [];
 let selectedFeatures = [];
 let currentUser = null;
 let geoJSONData = null;
+let importFile = null;
 let fieldPermissionsCache = {};
 let currentBasemapType = 'openstreetmap';
 let satelliteZoomWarningShown = false;
@@ -333,6 +334,8 @@ async function initializeMap() {
         // Setup modal event listeners
         setupModalEventListeners();
 
+        await setupSavedViews();
+
         console.log('Map initialized successfully with customer context');
 
     } catch (error) {
@@ -659,6 +662,9 @@ function resetAddLayerModal() {
             }
         });
         
+        const vectorTilesToggle = document.getElementById('newLayerVectorTiles');
+        if (vectorTilesToggle) vectorTilesToggle.checked = false;
+
         // Reset color picker
         const colorField = document.getElementById('newLayerColor');
         if (colorField) {
@@ -688,6 +694,14 @@ function resetAddLayerModal() {
         if (uploadProgress) {
             uploadProgress.style.display = 'none';
         }
+        const progressBar = document.querySelector('#uploadProgress .progress-bar');
+        if (progressBar) {
+            progressBar.style.width = '0%';
+        }
+        const importFileInput = document.getElementById('geoJSONFileInput');
+        if (importFileInput) {
+            importFileInput.value = '';
+        }
         
         // Reset button visibility
         const addLayerBtn = document.getElementById('addLayerBtn');
@@ -704,6 +718,7 @@ function resetAddLayerModal() {
         
         // Clear any global variables
         geoJSONData = null;
+        importFile = null;
         
         // Clear any error states
         clearModalErrors();
@@ -741,7 +756,7 @@ async function addNewLayer() {
     if (activeTab === 'table-tab') {
         await addLayerFromTable();
     } else if (activeTab === 'geojson-tab') {
-        await uploadGeoJSON();
+        await startImport();
     }
 }
 
@@ -789,53 +804,69 @@ async function addLayerFromTable() {
             addLayerBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Adding Layer...';
         }
 
-        // Get table data
-        const recordsData = await window.teableAPI.getRecords(tableId, { limit: 1000 });
-        const records = recordsData.records || [];
-
-        if (records.length === 0) {
-            throw new Error('No data found in the selected table');
-        }
+        let layer;
 
-        // Auto-detect geometry field if not specified
-        let detectedGeometryField = geometryField;
-        if (!detectedGeometryField) {
-            const sampleFields = Object.keys(records[0].fields || {});
-            const geometryFieldCandidates = sampleFields.filter(field => {
-                const fieldLower = field.toLowerCase();
-                return fieldLower.includes('geom') || 
-                       fieldLower.includes('wkt') || 
-                       fieldLower.includes('shape') ||
-                       fieldLower.includes('polygon') ||
-                       fieldLower.includes('point') ||
-                       fieldLower.includes('coordinates') ||
-                       fieldLower.includes('geometry');
+        if (document.getElementById('newLayerVectorTiles')?.checked) {
+            // Large tables are streamed as vector tiles instead of loading every record
+            layer = await createVectorTileLayer({
+                id: Date.now().toString(),
+                name: layerName,
+                tableId: tableId,
+                geometryField: geometryField || 'geometry',
+                color: layerColor || '#3498db',
+                visible: true,
+                type: 'table',
+                fieldPermissions: await loadFieldPermissionsForTable(tableId)
             });
+        } else {
+            // Get table data
+            const recordsData = await window.teableAPI.getRecords(tableId, { limit: 1000 });
+            const records = recordsData.records || [];
 
-            if (geometryFieldCandidates.length > 0) {
-                detectedGeometryField = geometryFieldCandidates[0];
-            } else {
-                throw new Error('No geometry field found. Please specify the geometry field manually.');
+            if (records.length === 0) {
+                throw new Error('No data found in the selected table');
             }
-        }
 
-        // Load field permissions for this table
-        const fieldPermissions = await loadFieldPermissionsForTable(tableId);
-        
-        // Create layer configuration with safe defaults
-        const layerConfig = {
-            id: Date.now().toString(),
-            name: layerName,
-            tableId: tableId,
-            geometryField: detectedGeometryField,
-            color: layerColor || '#3498db',
-            visible: true,
-            type: 'table',
-            fieldPermissions: fieldPermissions
-        };
+            // Auto-detect geometry field if not specified
+            let detectedGeometryField = geometryField;
+            if (!detectedGeometryField) {
+                const sampleFields = Object.keys(records[0].fields || {});
+                const geometryFieldCandidates = sampleFields.filter(field => {
+                    const fieldLower = field.toLowerCase();
+                    return fieldLower.includes('geom') || 
+                           fieldLower.includes('wkt') || 
+                           fieldLower.includes('shape') ||
+                           fieldLower.includes('polygon') ||
+                           fieldLower.includes('point') ||
+                           fieldLower.includes('coordinates') ||
+                           fieldLower.includes('geometry');
+                });
+
+                if (geometryFieldCandidates.length > 0) {
+                    detectedGeometryField = geometryFieldCandidates[0];
+                } else {
+                    throw new Error('No geometry field found. Please specify the geometry field manually.');
+                }
+            }
+
+            // Load field permissions for this table
+            const fieldPermissions = await loadFieldPermissionsForTable(tableId);
+        
+            // Create layer configuration with safe defaults
+            const layerConfig = {
+                id: Date.now().toString(),
+                name: layerName,
+                tableId: tableId,
+                geometryField: detectedGeometryField,
+                color: layerColor || '#3498db',
+                visible: true,
+                type: 'table',
+                fieldPermissions: fieldPermissions
+            };
         
-        // Create layer
-        const layer = await createLayerFromData(records, layerConfig);
+            // Create layer
+            layer = await createLayerFromData(records, layerConfig);
+        }
 
         if (layer) {
             // Restore button state
@@ -894,75 +925,19 @@ async function createLayerFromData(records, layerConfig) {
     try {
         const features = [];
         let validFeatureCount = 0;
+        // Records whose geometry could not be drawn; the quality report says why
+        let skippedFeatureCount = 0;
 
         records.forEach((record, index) => {
             const geometry = record.fields[layerConfig.geometryField];
 
             if (geometry && typeof geometry === 'string') {
-                try {
-                    const leafletGeometry = parseWKTToLeaflet(geometry);
-
-                    if (leafletGeometry) {
-                        if (leafletGeometry.lat && leafletGeometry.lng) {
-                            // Point geometry
-                            const marker = L.marker([leafletGeometry.lat, leafletGeometry.lng], {
-                                color: layerConfig.color
-                            });
-
-                            const popupContent = createFeaturePopup(record.fields, layerConfig);
-                            marker.bindPopup(popupContent);
-                            marker.recordId = record.id;
-                            marker.recordData = record.fields;
-                            marker.layerId = layerConfig.id;
-                            marker.featureIndex = index;
-
-                            // Add click handler for selection - NO AUTO-PLAY
-                            marker.on('click', function(e) {
-                                // Store reference for popup controls
-                                window.currentPopupFeature = this;
-                                // Just open popup, don't auto-play media
-                            });
+                const recordFeatures = createRecordFeatures(record, index, layerConfig);
+                features.push(...recordFeatures);
+                validFeatureCount += recordFeatures.length;
 
-                            features.push(marker);
-                            validFeatureCount++;
-
-                        } else if (Array.isArray(leafletGeometry)) {
-                            // Polygon geometry
-                            leafletGeometry.forEach((polygonCoords) => {
-                                if (Array.isArray(polygonCoords) && polygonCoords.length > 0) {
-                                    try {
-                                        const polygon = L.polygon(polygonCoords, {
-                                            fillColor: layerConfig.color,
-                                            color: layerConfig.color,
-                                            weight: 2,
-                                            fillOpacity: 0.7
-                                        });
-
-                                        const popupContent = createFeaturePopup(record.fields, layerConfig);
-                                        polygon.bindPopup(popupContent);
-                                        polygon.recordId = record.id;
-                                        polygon.recordData = record.fields;
-                                        polygon.layerId = layerConfig.id;
-                                        polygon.featureIndex = index;
-
-                                        // Add click handler for selection - NO AUTO-PLAY
-                                        polygon.on('click', function(e) {
-                                            // Store reference for popup controls
-                                            window.currentPopupFeature = this;
-                                            // Just open popup, don't auto-play media
-                                        });
-
-                                        features.push(polygon);
-                                        validFeatureCount++;
-                                    } catch (polygonError) {
-                                        console.warn(`Error creating polygon for record ${index}:`, polygonError);
-                                    }
-                                }
-                            });
-                        }
-                    }
-                } catch (error) {
-                    console.error(`Error parsing geometry for record ${index}:`, error);
+                if (recordFeatures.length === 0) {
+                    skippedFeatureCount++;
                 }
             }
         });
@@ -1016,6 +991,7 @@ async function createLayerFromData(records, layerConfig) {
             features: features,
             records: records,
             featureCount: validFeatureCount,
+            skippedFeatureCount: skippedFeatureCount,
             bounds: null,
             mediaType: mediaType, // Store detected media type
             properties: {
@@ -1065,6 +1041,11 @@ async function createLayerFromData(records, layerConfig) {
         // Add to layers array
         mapLayers.push(layer);
 
+        if (layer.tableId) {
+            await restoreLayerPreference(layer);
+            await restoreLayerFilterFromUrl(layer);
+        }
+
         console.log(`Created layer "${layerConfig.name}" with ${validFeatureCount} features`);
         return layer;
 
@@ -1074,6 +1055,159 @@ async function createLayerFromData(records, layerConfig) {
     }
 }
 
+// Map features for one record's WKT geometry. Multi-part geometries give one
+// feature per part; each carries the record id and index for popups and editing.
+function createRecordFeatures(record, index, layerConfig) {
+    const geometry = record.fields[layerConfig.geometryField];
+    const features = [];
+
+    try {
+        const leafletGeometry = parseWKTToLeaflet(geometry);
+        if (!leafletGeometry) return features;
+
+        const upperWKT = geometry.toUpperCase().trim();
+        const lineStyle = { color: layerConfig.color, weight: 3 };
+
+        if (leafletGeometry.lat && leafletGeometry.lng) {
+            // Point geometry
+            features.push(L.marker([leafletGeometry.lat, leafletGeometry.lng], { color: layerConfig.color }));
+        } else if (upperWKT.startsWith('MULTIPOINT')) {
+            leafletGeometry.forEach(point => features.push(L.marker([point.lat, point.lng], { color: layerConfig.color })));
+        } else if (upperWKT.startsWith('LINESTRING')) {
+            if (leafletGeometry.length >= 2) {
+                features.push(L.polyline(leafletGeometry, lineStyle));
+            }
+        } else if (upperWKT.startsWith('MULTILINESTRING')) {
+            leafletGeometry
+                .filter(line => line.length >= 2)
+                .forEach(line => features.push(L.polyline(line, lineStyle)));
+        } else if (Array.isArray(leafletGeometry)) {
+            // Polygon geometry
+            leafletGeometry.forEach((polygonCoords) => {
+                if (Array.isArray(polygonCoords) && polygonCoords.length > 0) {
+                    try {
+                        features.push(L.polygon(polygonCoords, {
+                            fillColor: layerConfig.color,
+                            color: layerConfig.color,
+                            weight: 2,
+                            fillOpacity: 0.7
+                        }));
+                    } catch (polygonError) {
+                        console.warn(`Error creating polygon for record ${index}:`, polygonError);
+                    }
+                }
+            });
+        }
+    } catch (error) {
+        console.error(`Error parsing geometry for record ${index}:`, error);
+    }
+
+    features.forEach(feature => {
+        feature.bindPopup(createFeaturePopup(record.fields, layerConfig));
+        feature.recordId = record.id;
+        feature.recordData = record.fields;
+        feature.layerId = layerConfig.id;
+        feature.featureIndex = index;
+
+        // Add click handler for selection - NO AUTO-PLAY
+        feature.on('click', function(e) {
+            // Store reference for popup controls
+            window.currentPopupFeature = this;
+            // Just open popup, don't auto-play media
+        });
+    });
+
+    return features;
+}
+
+async function createVectorTileLayer(layerConfig) {
+    if (!L.vectorGrid) {
+        throw new Error('Vector tile support is not available on this page');
+    }
+
+    const session = window.teableAPI.getProxySession();
+    if (!session) {
+        throw new Error('Vector tile layers require a customer login');
+    }
+
+    const dataAdapter = new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource);
+    const color = layerConfig.color || '#3498db';
+
+    const tileLayer = L.vectorGrid.protobuf(dataAdapter.getTileUrl(layerConfig.tableId), {
+        vectorTileLayerStyles: {
+            [layerConfig.tableId]: {
+                fill: true,
+                fillColor: color,
+                fillOpacity: 0.7,
+                color: color,
+                weight: 2,
+                radius: 5
+            }
+        },
+        interactive: true,
+        maxNativeZoom: 18,
+        fetchOptions: dataAdapter.getTileFetchOptions(),
+        getFeatureId: feature => feature.properties.recordId
+    });
+
+    const layer = {
+        ...layerConfig,
+        renderMode: 'vectortile',
+        leafletLayer: tileLayer,
+        features: [],
+        records: [],
+        featureCount: 0,
+        bounds: null,
+        properties: {
+            symbology: {
+                type: 'single',
+                fillColor: color,
+                borderColor: color,
+                fillOpacity: 0.7,
+                borderWidth: 2
+            },
+            labels: {
+                enabled: false,
+                field: '',
+                fontSize: 12,
+                color: '#333333',
+                background: true
+            },
+            popup: {
+                enabled: true,
+                maxWidth: 300
+            }
+        }
+    };
+
+    tileLayer.on('click', event => {
+        const fields = { ...event.layer.properties };
+        delete fields.recordId;
+
+        L.popup({ maxWidth: layer.properties.popup.maxWidth })
+            .setLatLng(event.latlng)
+            .setContent(createFeaturePopup(fields, layer))
+            .openOn(map);
+    });
+
+    // Tiles carry no totals, so ask the records API for the count
+    try {
+        const page = await dataAdapter.getMapData(layerConfig.tableId, { limit: 1 });
+        layer.featureCount = page.metadata?.total || 0;
+    } catch (error) {
+        console.warn('Could not load feature count for vector tile layer:', error);
+    }
+
+    if (layerConfig.visible) {
+        tileLayer.addTo(map);
+    }
+
+    mapLayers.push(layer);
+
+    console.log(`Created vector tile layer "${layerConfig.name}"`);
+    return layer;
+}
+
 function createFeaturePopup(fields, layerConfig) {
     const popupSettings = layerConfig.properties?.popup || {};
     
@@ -1735,6 +1869,9 @@ function updateLayersList() {
                         </div>
                         <div class="small text-muted">
                             ${layer.featureCount} features • ${layer.mediaType || layer.type}
+                            ${layer.skippedFeatureCount > 0 ? `
+                                • <a href="#" class="text-warning" onclick="showGeometryReport('${layer.id}'); return false;" title="Records whose geometry could not be drawn">${layer.skippedFeatureCount} not drawn</a>
+                            ` : ''}
                         </div>
                     </div>
                     <div class="layer-controls">
@@ -1744,6 +1881,19 @@ function updateLayersList() {
                         <button class="btn-table" onclick="showAttributeTable('${layer.id}')" title="Attribute Table">
                             <i class="fas fa-table"></i>
                         </button>
+                        <button class="btn-export" onclick="showExportDialog('${layer.id}')" title="Export">
+                            <i class="fas fa-download"></i>
+                        </button>
+                        ${layer.tableId ? `
+                            <button class="btn-validate" onclick="showGeometryReport('${layer.id}')" title="Geometry Quality">
+                                <i class="fas fa-check-double"></i>
+                            </button>
+                        ` : ''}
+                        ${layer.analysis ? `
+                            <button class="btn-save-table" onclick="showSaveAnalysisDialog('${layer.id}')" title="Save as Table">
+                                <i class="fas fa-save"></i>
+                            </button>
+                        ` : ''}
                         <button class="btn-properties" onclick="showLayerProperties('${layer.id}')" title="Properties">
                             <i class="fas fa-cog"></i>
                         </button>
@@ -1801,6 +1951,36 @@ function generateLayerLegendHtml(layer) {
                 </div>
             `;
         });
+    } else if (symbology.type === 'heatmap') {
+        const heatmap = { ...DEFAULT_HEATMAP_SETTINGS, ...symbology.heatmap };
+        const stops = Object.entries(getHeatmapGradient(heatmap.ramp))
+            .sort(([a], [b]) => a - b)
+            .map(([stop, color]) => `${color} ${Math.round(stop * 100)}%`)
+            .join(', ');
+
+        legendItemsHtml += `
+            <div class="legend-item">
+                <div class="legend-gradient" style="background: linear-gradient(to right, transparent, ${stops})"></div>
+            </div>
+            <div class="legend-item legend-gradient-labels">
+                <span class="legend-label">Low</span>
+                <span class="legend-label">${heatmap.weightField ? `High ${escapeHtml(heatmap.weightField)}` : 'High density'}</span>
+            </div>
+        `;
+    } else if (symbology.type === 'grid' && symbology.grid?.breaks) {
+        const grid = symbology.grid;
+
+        grid.breaks.forEach((breakValue, index) => {
+            const minVal = index === 0 ? grid.min : grid.breaks[index - 1];
+            legendItemsHtml += `
+                <div class="legend-item">
+                    <div class="legend-symbol" style="background-color: ${grid.colors[index]}"></div>
+                    <span class="legend-label">${formatAggregateValue(minVal)} - ${formatAggregateValue(breakValue)}</span>
+                </div>
+            `;
+        });
+        const measure = grid.aggregation === 'count' ? 'features per cell' : `${grid.aggregation} of ${escapeHtml(grid.field)}`;
+        legendItemsHtml += `<div class="legend-item"><span class="legend-count">${measure}</span></div>`;
     } else if (symbology.type === 'simple') {
         const symbolClass = layer.type === 'point' ? 'circle' :
                           layer.type === 'line' ? 'line' : '';
@@ -1872,14 +2052,14 @@ function toggleLayerVisibility(layerId) {
     if (!layer) return;
 
     if (layer.visible) {
-        map.removeLayer(layer.leafletLayer);
+        map.removeLayer(getDisplayedLayer(layer));
         // Also hide labels when layer is hidden
         if (layer.labelGroup) {
             map.removeLayer(layer.labelGroup);
         }
         layer.visible = false;
     } else {
-        layer.leafletLayer.addTo(map);
+        getDisplayedLayer(layer).addTo(map);
         // Show labels when layer is shown (if labels are enabled)
         if (layer.labelGroup && layer.properties?.labels?.enabled) {
             layer.labelGroup.addTo(map);
@@ -1887,6 +2067,10 @@ function toggleLayerVisibility(layerId) {
         layer.visible = true;
     }
 
+    if (isTemporalLayer(layer)) {
+        refreshTimeline();
+    }
+
     updateLayersList();
 	updateMapStatistics();
 }
@@ -2138,8 +2322,8 @@ async function createDockedAttributeTable(layer) {
                                         <i class="fas fa-trash me-1"></i>Delete Selected
                                     </button>
                                 ` : ''}
-                                <button class="btn btn-sm btn-outline-info" onclick="exportTableData('${layer.id}')">
-                                    <i class="fas fa-download me-1"></i>Export CSV
+                                <button class="btn btn-sm btn-outline-info" onclick="showExportDialog('${layer.id}')">
+                                    <i class="fas fa-download me-1"></i>Export
                                 </button>
                             </div>
                             <div class="text-muted small">
@@ -2554,6 +2738,28 @@ function populatePropertiesModal(layer) {
         if (propBorderWidth) propBorderWidth.value = symbology.borderWidth || 2;
         if (propFillOpacity) propFillOpacity.value = symbology.fillOpacity || 0.7;
 
+        // Heatmap and grid settings
+        const heatmap = { ...DEFAULT_HEATMAP_SETTINGS, ...symbology.heatmap };
+        const grid = { ...DEFAULT_GRID_SETTINGS, ...symbology.grid };
+        const setControl = (id, value) => {
+            const control = document.getElementById(id);
+            if (control) control.value = value;
+        };
+        setControl('propHeatmapRadius', heatmap.radius);
+        setControl('propHeatmapBlur', heatmap.blur);
+        setControl('propHeatmapWeightField', heatmap.weightField);
+        setControl('propHeatmapRamp', heatmap.ramp);
+        setControl('propGridShape', grid.shape);
+        setControl('propGridCellSize', grid.cellSize);
+        setControl('propGridAggregation', grid.aggregation);
+        setControl('propGridField', grid.field);
+        setControl('propGridRamp', grid.ramp);
+        setControl('propGridClasses', grid.classes);
+        const heatmapRadiusValue = document.getElementById('heatmapRadiusValue');
+        const heatmapBlurValue = document.getElementById('heatmapBlurValue');
+        if (heatmapRadiusValue) heatmapRadiusValue.textContent = heatmap.radius + 'px';
+        if (heatmapBlurValue) heatmapBlurValue.textContent = heatmap.blur + 'px';
+
         // Update opacity display
         if (fillOpacityValue) fillOpacityValue.textContent = Math.round((symbology.fillOpacity || 0.7) * 100) + '%';
         if (borderWidthValue) borderWidthValue.textContent = (symbology.borderWidth || 2) + 'px';
@@ -2576,6 +2782,9 @@ function populatePropertiesModal(layer) {
         // Update label controls visibility
         if (propLabelControls) propLabelControls.style.display = labels.enabled ? 'block' : 'none';
 
+    // Time tab
+        populateTemporalFieldSelectors(layer);
+
     // iTool tab
         populatePopupFieldsSelector(layer);
         const popup = layer.properties?.popup || {};
@@ -2708,6 +2917,21 @@ function populateFieldSelectors(layer) {
         if (currentValue) graduatedFieldSelect.value = currentValue;
     }
 
+    // Heatmap weights and grid sums use the same numeric fields
+    ['propHeatmapWeightField', 'propGridField'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        if (!select || !graduatedFieldSelect) return;
+        const currentValue = select.value;
+        select.innerHTML = '';
+        select.appendChild(select.id === 'propHeatmapWeightField'
+            ? new Option('None (count each feature)', '')
+            : new Option('Select numeric field...', ''));
+        Array.from(graduatedFieldSelect.options).slice(1).forEach(option => {
+            select.appendChild(new Option(option.textContent, option.value));
+        });
+        if (currentValue) select.value = currentValue;
+    });
+
     // Populate categorized field selector - only show permitted fields
     const categorizedFieldSelect = document.getElementById('propCategorizedField');
     if (categorizedFieldSelect) {
@@ -3177,57 +3401,6 @@ function showFeatureInfo(layerId, featureIndex) {
     console.log(`Feature info displayed for feature ${featureIndex} in layer "${layer.name}" with ${layer.properties?.popup?.fields?.length || 0} configured popup fields`);
 }
 
-function exportTableData(layerId) {
-    const layer = mapLayers.find(l => l.id === layerId);
-    if (!layer || !layer.records) {
-        showError('No data to export');
-        return;
-    }
-
-    try {
-        // Prepare CSV data - only export permitted fields
-        const allFields = Object.keys(layer.records[0].fields || {}).filter(field => field !== layer.geometryField);
-        const permittedFields = filterFieldsByPermissions(allFields, layer);
-
-        if (permittedFields.length === 0) {
-            showError('No fields available for export based on your permissions');
-            return;
-        }
-
-        // Create CSV header
-        let csvContent = permittedFields.join(',') + '\n';
-
-        // Add data rows
-        layer.records.forEach(record => {
-            const row = permittedFields.map(field => {
-                let value = record.fields[field] || '';
-                // Escape commas and quotes
-                if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
-                    value = '"' + value.replace(/"/g, '""') + '"';
-                }
-                return value;
-            });
-            csvContent += row.join(',') + '\n';
-        });
-
-        // Create and download file
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', `${layer.name}_data.csv`);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-
-        showSuccess(`Data exported successfully (${permittedFields.length} permitted fields)`);
-    } catch (error) {
-        console.error('Export error:', error);
-        showError('Failed to export data: ' + error.message);
-    }
-}
-
 function removeLayer(layerId) {
     const layerIndex = mapLayers.findIndex(l => l.id === layerId);
     if (layerIndex === -1) return;
@@ -3235,10 +3408,17 @@ function removeLayer(layerId) {
     const layer = mapLayers[layerIndex];
 
     if (confirm(`Are you sure you want to remove layer "${layer.name}"?`)) {
+        if (geometryEditor?.layerId === layerId) {
+            stopGeometryEditing(true);
+        }
+
         // Remove from map
         if (layer.leafletLayer) {
             map.removeLayer(layer.leafletLayer);
         }
+        if (layer.aggregateLayer) {
+            map.removeLayer(layer.aggregateLayer);
+        }
 
         // Remove labels if they exist
         if (layer.labelGroup) {
@@ -3249,6 +3429,16 @@ function removeLayer(layerId) {
         // Remove from array
         mapLayers.splice(layerIndex, 1);
 
+        if (layerFilters[layerId]) {
+            delete layerFilters[layerId];
+            updateFilterRulesDisplay();
+            updateMapFilterUrl();
+        }
+
+        if (isTemporalLayer(layer)) {
+            refreshTimeline();
+        }
+
         updateLayersList();
         showSuccess(`Layer "${layer.name}" removed successfully`);
     }
@@ -3460,73 +3650,161 @@ function setupGeoJSONDragDrop() {
 
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                handleGeoJSONFile({ target: { files: files } });
+                handleImportFile({ target: { files: files } });
             }
         });
     }
 }
 
-function handleGeoJSONFile(event) {
+const IMPORT_FILE_EXTENSIONS = ['geojson', 'json', 'zip', 'kml', 'kmz', 'gpx', 'csv', 'tsv', 'txt'];
+const MAX_IMPORT_FILE_SIZE = 50 * 1024 * 1024;
+const IMPORT_POLL_INTERVAL = 1000;
+
+function getImportDataAdapter() {
+    const session = window.teableAPI.getProxySession();
+    if (!session) {
+        throw new Error('Importing requires a customer login');
+    }
+    return new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource);
+}
+
+// Files are parsed on the server, which answers with a preview of what will be imported
+async function handleImportFile(event) {
     const file = event.target.files[0];
     if (!file) return;
 
-    if (!file.name.toLowerCase().endsWith('.geojson') && !file.name.toLowerCase().endsWith('.json')) {
-        showError('Please select a valid GeoJSON file (.geojson or .json)');
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!IMPORT_FILE_EXTENSIONS.includes(extension)) {
+        showError('Please select a GeoJSON, zipped Shapefile, KML/KMZ, GPX or CSV file');
         return;
     }
 
-    if (file.size > 10 * 1024 * 1024) { // 10MB limit
-        showError('File size too large. Please select a file smaller than 10MB.');
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+        showError('File size too large. Please select a file smaller than 50MB.');
         return;
     }
 
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            geoJSONData = JSON.parse(e.target.result);
-
-            // Validate GeoJSON
-            if (!geoJSONData.type || geoJSONData.type !== 'FeatureCollection') {
-                throw new Error('Invalid GeoJSON format. Expected FeatureCollection.');
-            }
+    const info = document.getElementById('geoJSONInfo');
+    const preview = document.getElementById('geoJSONPreview');
+    if (info && preview) {
+        info.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i>Reading file...';
+        preview.style.display = 'block';
+    }
 
-            // Show preview
-            showGeoJSONPreview(geoJSONData);
+    try {
+        importFile = file;
+        geoJSONData = await getImportDataAdapter().previewImport(file);
 
-        } catch (error) {
-            showError('Error parsing GeoJSON file: ' + error.message);
+        const tableNameInput = document.getElementById('geoJSONTableName');
+        if (tableNameInput && !tableNameInput.value.trim()) {
+            tableNameInput.value = file.name.replace(/\.[^.]+$/, '');
         }
-    };
 
-    reader.readAsText(file);
+        showImportPreview(geoJSONData);
+    } catch (error) {
+        geoJSONData = null;
+        if (preview) preview.style.display = 'none';
+        showError('Error reading file: ' + error.message);
+    }
+}
+
+// Re-reads the file with the coordinate system the user picked.
+async function changeImportCrs(code) {
+    if (!importFile) return;
+
+    try {
+        const data = await getImportDataAdapter().previewImport(importFile, { crs: code || undefined });
+        data.chosenCrs = code || null;
+        geoJSONData = data;
+        showImportPreview(data);
+    } catch (error) {
+        showError('Error reading file: ' + error.message);
+    }
+}
+
+async function populateImportCrsSelect(data) {
+    const select = document.getElementById('importCrsSelect');
+    if (!select) return;
+
+    const hints = data.crs.hints || [];
+    let systems = [];
+    try {
+        systems = await getImportDataAdapter().getCoordinateSystems();
+    } catch (error) {
+        console.error('Error loading coordinate systems:', error);
+    }
+
+    const option = crs => `<option value="${escapeHtml(crs.code)}">${escapeHtml(crs.name)} (${escapeHtml(crs.code)})</option>`;
+    select.innerHTML = '<option value="">Choose coordinate system...</option>' +
+        (hints.length > 0 ? `<optgroup label="Suggested">${hints.map(option).join('')}</optgroup>` : '') +
+        `<optgroup label="All">${systems.filter(crs => !hints.some(hint => hint.code === crs.code)).map(option).join('')}</optgroup>`;
+    select.value = data.chosenCrs || '';
 }
 
-function showGeoJSONPreview(data) {
+function showImportPreview(data) {
     const preview = document.getElementById('geoJSONPreview');
     const info = document.getElementById('geoJSONInfo');
     const uploadBtn = document.getElementById('uploadGeoJSONBtn');
 
     if (!preview || !info || !uploadBtn) return;
 
-    const featureCount = data.features ? data.features.length : 0;
-    const geometryTypes = new Set();
+    const geometryTypes = Object.entries(data.geometryTypes || {})
+        .map(([type, count]) => `${escapeHtml(type)} (${count})`)
+        .join(', ') || 'None';
+    const crsLabel = `${escapeHtml(data.crs.name)}${data.crs.code ? ` (${escapeHtml(data.crs.code)})` : ''}`;
+    const geometryColumns = data.geometryColumns
+        ? (data.geometryColumns.wkt
+            ? `WKT column "${escapeHtml(data.geometryColumns.wkt)}"`
+            : `Latitude "${escapeHtml(data.geometryColumns.latitude)}", longitude "${escapeHtml(data.geometryColumns.longitude)}"`)
+        : null;
 
-    if (data.features) {
-        data.features.forEach(feature => {
-            if (feature.geometry && feature.geometry.type) {
-                geometryTypes.add(feature.geometry.type);
-            }
-        });
-    }
+    const fieldRows = (data.fields || []).map(field => `
+        <tr><td>${escapeHtml(field.name)}</td><td class="text-muted">${escapeHtml(field.type)}</td></tr>
+    `).join('');
+
+    const rejected = (data.rejected || []).slice(0, 5).map(item => `
+        <li>Feature ${item.index + 1}: ${escapeHtml(item.error)}</li>
+    `).join('');
 
     info.innerHTML = `
-        <strong>Features:</strong> ${featureCount}<br>
-        <strong>Geometry Types:</strong> ${Array.from(geometryTypes).join(', ')}<br>
-        <strong>File Size:</strong> ${(JSON.stringify(data).length / 1024).toFixed(1)} KB
+        <strong>Format:</strong> ${escapeHtml(data.format)}<br>
+        <strong>Features:</strong> ${data.featureCount}<br>
+        <strong>Geometry Types:</strong> ${geometryTypes}<br>
+        <strong>Coordinate System:</strong> ${crsLabel}
+        ${data.crs.supported ? '' : '<span class="badge bg-danger ms-1">Not supported</span>'}<br>
+        ${!data.crs.supported || data.chosenCrs ? `
+            <div class="my-2">
+                <label class="form-label small mb-1" for="importCrsSelect">Coordinate system of the file</label>
+                <select class="form-select form-select-sm" id="importCrsSelect" onchange="changeImportCrs(this.value)"></select>
+            </div>
+        ` : ''}
+        ${geometryColumns ? `<strong>Geometry:</strong> ${geometryColumns}<br>` : ''}
+        ${(data.warnings || []).map(warning => `<div class="text-warning small mt-1"><i class="fas fa-exclamation-triangle me-1"></i>${escapeHtml(warning)}</div>`).join('')}
+        ${fieldRows ? `
+            <div class="mt-2"><strong>Fields:</strong></div>
+            <table class="table table-sm mb-0"><tbody>${fieldRows}</tbody></table>
+        ` : ''}
+        ${data.rejectedCount > 0 ? `
+            <div class="mt-2 text-danger"><strong>${data.rejectedCount} feature(s) will be skipped:</strong></div>
+            <ul class="small mb-1">${rejected}</ul>
+            <button type="button" class="btn btn-sm btn-outline-secondary" onclick="downloadImportErrors('${data.importId}')">
+                <i class="fas fa-file-csv me-1"></i>Download error report
+            </button>
+        ` : ''}
     `;
 
+    // Google Sheets imports append to the connected sheet, so there is no table to name
+    const tableNameGroup = document.getElementById('importTableNameGroup');
+    if (tableNameGroup) {
+        tableNameGroup.style.display = window.CUSTOMER_CONFIG?.dataSource === 'google_sheets' ? 'none' : 'block';
+    }
+
+    if (!data.crs.supported || data.chosenCrs) {
+        populateImportCrsSelect(data);
+    }
+
     preview.style.display = 'block';
-    uploadBtn.disabled = false;
+    uploadBtn.disabled = !data.crs.supported || data.featureCount === 0;
     uploadBtn.style.display = 'inline-block';
 
     const addLayerBtn = document.getElementById('addLayerBtn');
@@ -3535,160 +3813,110 @@ function showGeoJSONPreview(data) {
     }
 }
 
-async function uploadGeoJSON() {
+async function downloadImportErrors(importId = geoJSONData?.importId) {
+    if (!importId) return;
+
+    try {
+        await getImportDataAdapter().downloadImportErrors(importId);
+    } catch (error) {
+        showError('Failed to download error report: ' + error.message);
+    }
+}
+
+function updateImportProgress(status) {
+    const { total, processed } = status.progress;
+    const percent = total > 0 ? Math.round((processed / total) * 100) : 100;
+
+    const progressBar = document.querySelector('#uploadProgress .progress-bar');
+    const uploadStatus = document.getElementById('uploadStatus');
+    if (progressBar) progressBar.style.width = percent + '%';
+    if (uploadStatus) uploadStatus.textContent = `Importing... ${processed} of ${total} features (${percent}%)`;
+}
+
+async function waitForImport(dataAdapter, importId) {
+    for (;;) {
+        const status = await dataAdapter.getImportStatus(importId);
+        updateImportProgress(status);
+
+        if (status.status === 'completed' || status.status === 'failed') {
+            return status;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, IMPORT_POLL_INTERVAL));
+    }
+}
+
+async function startImport() {
     if (!geoJSONData) {
-        showError('No GeoJSON data to upload');
+        showError('No file to import');
         return;
     }
 
+    const isSheets = window.CUSTOMER_CONFIG?.dataSource === 'google_sheets';
     const tableName = document.getElementById('geoJSONTableName').value.trim();
-    if (!tableName) {
+    if (!isSheets && !tableName) {
         showError('Please enter a table name');
         return;
     }
 
-    try {
-        // Show progress
-        const uploadProgress = document.getElementById('uploadProgress');
-        const uploadStatus = document.getElementById('uploadStatus');
+    const uploadProgress = document.getElementById('uploadProgress');
+    const uploadStatus = document.getElementById('uploadStatus');
+    const uploadBtn = document.getElementById('uploadGeoJSONBtn');
 
+    try {
         if (uploadProgress) uploadProgress.style.display = 'block';
-        if (uploadStatus) uploadStatus.textContent = 'Creating table...';
-
-        // Create table schema from GeoJSON
-        const tableSchema = createTableSchemaFromGeoJSON(geoJSONData, tableName);
-
-        // Create table
-        const newTable = await window.teableAPI.createTable(tableSchema);
-
-        if (uploadStatus) uploadStatus.textContent = 'Uploading features...';
-
-        // Upload features
-        const records = geoJSONData.features.map(feature => {
-            const fields = {
-                geometry: JSON.stringify(feature.geometry), // Store as WKT or GeoJSON string
-                ...feature.properties
-            };
-            return fields;
-        });
-
-        // Upload in batches
-        const batchSize = 100;
-        for (let i = 0; i < records.length; i += batchSize) {
-            const batch = records.slice(i, i + batchSize);
-            for (const record of batch) {
-                await window.teableAPI.createRecord(newTable.id, record);
-            }
-
-            const progress = Math.round(((i + batch.length) / records.length) * 100);
-            const progressBar = document.querySelector('.progress-bar');
-            if (progressBar) progressBar.style.width = progress + '%';
-            if (uploadStatus) uploadStatus.textContent = `Uploading... ${progress}%`;
+        if (uploadStatus) uploadStatus.textContent = isSheets ? 'Preparing sheet...' : 'Creating table...';
+        if (uploadBtn) uploadBtn.disabled = true;
+
+        const dataAdapter = getImportDataAdapter();
+        const started = await dataAdapter.commitImport(geoJSONData.importId, { tableName });
+        const result = await waitForImport(dataAdapter, started.importId);
+
+        if (result.status === 'failed') {
+            throw new Error(result.error || 'Import failed');
+        }
+
+        const target = result.target;
+        if (target.created) {
+            const recordsData = await window.teableAPI.getRecords(target.tableId, { limit: 1000 });
+
+            await createLayerFromData(recordsData.records || [], {
+                id: Date.now().toString(),
+                name: target.tableName,
+                tableId: target.tableId,
+                geometryField: 'geometry',
+                color: '#3498db',
+                visible: true,
+                type: 'table',
+                fieldPermissions: await loadFieldPermissionsForTable(target.tableId)
+            });
         }
 
-        // Create layer from uploaded data
-        const layerConfig = {
-            id: Date.now().toString(),
-            name: tableName,
-            tableId: newTable.id,
-            geometryField: 'geometry',
-            color: '#3498db',
-            visible: true,
-            type: 'geojson'
-        };
-
-        // Convert GeoJSON to records format
-        const layerRecords = geoJSONData.features.map((feature, index) => ({
-            id: `geojson_${index}`,
-            fields: {
-                geometry: JSON.stringify(feature.geometry),
-                ...feature.properties
-            }
-        }));
-
-        await createLayerFromData(layerRecords, layerConfig);
-
-        // Close modal
-        const modal = bootstrap.Modal.getInstance(document.getElementById('addLayerModal'));
-        modal.hide();
-
-        // Reset form
-        const geoJSONTableName = document.getElementById('geoJSONTableName');
-        const geoJSONPreview = document.getElementById('geoJSONPreview');
-        const progressBar = document.querySelector('.progress-bar');
+        bootstrap.Modal.getInstance(document.getElementById('addLayerModal'))?.hide();
 
-        if (geoJSONTableName) geoJSONTableName.value = '';
-        if (geoJSONPreview) geoJSONPreview.style.display = 'none';
-        if (uploadProgress) uploadProgress.style.display = 'none';
-        if (progressBar) progressBar.style.width = '0%';
+        const destination = `${target.created ? 'table' : 'sheet'} "${escapeHtml(target.tableName)}"`;
+        const skippedFields = target.skippedFields?.length > 0
+            ? ` Columns not in the sheet were left out: ${escapeHtml(target.skippedFields.join(', '))}.`
+            : '';
 
-        geoJSONData = null;
+        if (result.rejectedCount > 0) {
+            showWarning(`Imported ${result.progress.succeeded} features into ${destination}; ${result.rejectedCount} were rejected. ` +
+                `<a href="#" onclick="downloadImportErrors('${result.importId}'); return false;">Download the error report</a>.${skippedFields}`);
+        } else {
+            showSuccess(`Imported ${result.progress.succeeded} features into ${destination}.${skippedFields}`);
+        }
 
-        showSuccess(`GeoJSON uploaded successfully! Created table "${tableName}" with ${records.length} features.`);
         updateLayersList();
-	updateMapStatistics();
-
+        updateMapStatistics();
     } catch (error) {
-        console.error('Error uploading GeoJSON:', error);
-        showError('Failed to upload GeoJSON: ' + error.message);
+        console.error('Error importing file:', error);
+        showError('Failed to import file: ' + error.message);
 
-        // Hide progress
-        const uploadProgress = document.getElementById('uploadProgress');
         if (uploadProgress) uploadProgress.style.display = 'none';
+        if (uploadBtn) uploadBtn.disabled = false;
     }
 }
 
-function createTableSchemaFromGeoJSON(geoJSON, tableName) {
-    const fields = [
-        { name: 'geometry', type: 'longText' } // Store geometry as text
-    ];
-
-    // Analyze properties to determine field types
-    const propertyTypes = {};
-
-    if (geoJSON.features && geoJSON.features.length > 0) {
-        geoJSON.features.forEach(feature => {
-            if (feature.properties) {
-                Object.keys(feature.properties).forEach(key => {
-                    const value = feature.properties[key];
-                    if (value !== null && value !== undefined) {
-                        const type = typeof value;
-                        if (!propertyTypes[key]) {
-                            propertyTypes[key] = new Set();
-                        }
-                        propertyTypes[key].add(type);
-                    }
-                });
-            }
-        });
-    }
-
-    // Create fields based on detected types
-    Object.keys(propertyTypes).forEach(key => {
-        const types = Array.from(propertyTypes[key]);
-        let fieldType = 'singleLineText'; // default
-
-        if (types.includes('number')) {
-            fieldType = 'number';
-        } else if (types.includes('boolean')) {
-            fieldType = 'checkbox';
-        } else if (types.length === 1 && types[0] === 'string') {
-            fieldType = 'singleLineText';
-        }
-
-        fields.push({
-            name: key,
-            type: fieldType
-        });
-    });
-
-    return {
-        name: tableName,
-        description: `Table created from GeoJSON upload`,
-        fields: fields
-    };
-}
-
 // Layer sorting
 function setupLayerSorting() {
     // Implementation would go here
@@ -4579,11 +4807,49 @@ function switchPropertiesTab(tabName) {
     document.getElementById(tabName + '-tab').style.display = 'block';
 }
 
-function updateSymbologyType() {
-    const symbologyTypeSelect = document.getElementById('propSymbologyType');
-    if (!symbologyTypeSelect) {
-        console.error('Symbology type selector not found');
-        return;
+function populateTemporalFieldSelectors(layer) {
+    const temporal = layer.properties?.temporal || {};
+    const dateFields = getTemporalFields(layer);
+    const startSelect = document.getElementById('propTimeStartField');
+    const endSelect = document.getElementById('propTimeEndField');
+    if (!startSelect || !endSelect) return;
+
+    startSelect.innerHTML = '';
+    startSelect.appendChild(new Option(dateFields.length > 0 ? 'Select date field...' : 'No date fields in this layer', ''));
+    endSelect.innerHTML = '';
+    endSelect.appendChild(new Option('None (features are single moments)', ''));
+    dateFields.forEach(field => {
+        startSelect.appendChild(new Option(field, field));
+        endSelect.appendChild(new Option(field, field));
+    });
+
+    startSelect.value = dateFields.includes(temporal.startField) ? temporal.startField : '';
+    endSelect.value = dateFields.includes(temporal.endField) ? temporal.endField : '';
+    document.getElementById('propEnableTime').checked = Boolean(temporal.enabled && startSelect.value);
+    document.getElementById('propEnableTime').disabled = dateFields.length === 0;
+    updateTimeControls();
+}
+
+function updateTimeControls() {
+    const enabled = document.getElementById('propEnableTime')?.checked;
+    const controls = document.getElementById('propTimeControls');
+    if (controls) controls.style.display = enabled ? 'block' : 'none';
+}
+
+// The grid field only matters when summing or averaging
+function updateGridFieldState() {
+    const aggregation = document.getElementById('propGridAggregation');
+    const field = document.getElementById('propGridField');
+    if (aggregation && field) {
+        field.disabled = aggregation.value === 'count';
+    }
+}
+
+function updateSymbologyType() {
+    const symbologyTypeSelect = document.getElementById('propSymbologyType');
+    if (!symbologyTypeSelect) {
+        console.error('Symbology type selector not found');
+        return;
     }
     
     const symbologyType = symbologyTypeSelect.value;
@@ -4593,6 +4859,11 @@ function updateSymbologyType() {
     const singleControls = document.getElementById('propSingleSymbol');
     const graduatedControls = document.getElementById('propGraduated');
     const categorizedControls = document.getElementById('propCategorized');
+    const heatmapControls = document.getElementById('propHeatmap');
+    const gridControls = document.getElementById('propGrid');
+
+    if (heatmapControls) heatmapControls.style.display = 'none';
+    if (gridControls) gridControls.style.display = 'none';
 
     // Debug: Check if elements exist
     console.log('Control elements found:', {
@@ -4683,6 +4954,16 @@ function updateSymbologyType() {
                 console.error('❌ Categorized controls not found');
             }
             break;
+
+        case 'heatmap':
+        case 'grid':
+            if (window.currentPropertiesLayer) {
+                populateFieldSelectors(window.currentPropertiesLayer);
+            }
+            if (symbologyType === 'heatmap' && heatmapControls) heatmapControls.style.display = 'block';
+            if (symbologyType === 'grid' && gridControls) gridControls.style.display = 'block';
+            updateGridFieldState();
+            break;
             
         default:
             // Default to single symbol if no valid type selected or empty
@@ -5025,6 +5306,25 @@ function applyProperties() {
     if (borderColor) layer.properties.symbology.borderColor = borderColor;
     if (!isNaN(borderWidth)) layer.properties.symbology.borderWidth = borderWidth;
     if (!isNaN(fillOpacity)) layer.properties.symbology.fillOpacity = fillOpacity;
+
+    if (symbologyType === 'heatmap') {
+        layer.properties.symbology.heatmap = {
+            radius: parseInt(document.getElementById('propHeatmapRadius').value) || DEFAULT_HEATMAP_SETTINGS.radius,
+            blur: parseInt(document.getElementById('propHeatmapBlur').value) || DEFAULT_HEATMAP_SETTINGS.blur,
+            weightField: document.getElementById('propHeatmapWeightField').value,
+            ramp: document.getElementById('propHeatmapRamp').value
+        };
+    } else if (symbologyType === 'grid') {
+        const cellSize = parseFloat(document.getElementById('propGridCellSize').value);
+        layer.properties.symbology.grid = {
+            shape: document.getElementById('propGridShape').value,
+            cellSize: cellSize > 0 ? cellSize : DEFAULT_GRID_SETTINGS.cellSize,
+            aggregation: document.getElementById('propGridAggregation').value,
+            field: document.getElementById('propGridField').value,
+            ramp: document.getElementById('propGridRamp').value,
+            classes: parseInt(document.getElementById('propGridClasses').value) || DEFAULT_GRID_SETTINGS.classes
+        };
+    }
     
     console.log('Updated symbology properties:', {
         type: symbologyType,
@@ -5042,6 +5342,14 @@ function applyProperties() {
     layer.properties.labels.color = document.getElementById('propLabelColor').value;
     layer.properties.labels.background = document.getElementById('propLabelBackground').checked;
 
+    // Time settings; the timeline is refreshed once the layer is updated
+    const timeStartField = document.getElementById('propTimeStartField').value;
+    layer.properties.temporal = {
+        enabled: document.getElementById('propEnableTime').checked && Boolean(timeStartField),
+        startField: timeStartField,
+        endField: document.getElementById('propTimeEndField').value
+    };
+
     // Update popup properties with all iTool settings
     if (!layer.properties.popup) layer.properties.popup = {};
     
@@ -5130,8 +5438,11 @@ function applyProperties() {
         }
     }
 
+    refreshTimeline();
+
     // Update layers list to reflect changes
     updateLayersList();
+    saveLayerPreferences(layer);
 
     const fieldCount = selectedPopupFields.length;
     const message = fieldCount === 0 ? 
@@ -5219,6 +5530,22 @@ function applyLayerStyling(layer) {
     }
 
     const symbology = layer.properties.symbology;
+
+    if (isAggregateSymbology(symbology)) {
+        if (layer.renderMode === 'vectortile') {
+            showWarning('Heatmap and grid symbology need the layer loaded as features, not vector tiles');
+            return;
+        }
+        try {
+            renderAggregateLayer(layer);
+        } catch (error) {
+            console.error(`Error rendering ${symbology.type} for layer "${layer.name}":`, error);
+            showError(`Could not draw the ${symbology.type}: ${escapeHtml(error.message)}`);
+        }
+        return;
+    }
+    renderAggregateLayer(layer);
+
     console.log(`Applying ${symbology.type} symbology to layer "${layer.name}" with ${layer.features.length} features`);
 
     let styledCount = 0;
@@ -5373,6 +5700,413 @@ function applyLayerStyling(layer) {
     ensureAddLayerFunctionality();
 }
 
+// Heatmap and grid symbology draw an aggregate of the layer's features in
+// place of the features themselves. Features hidden by filters are left out;
+// lines and polygons count at the centre of their bounds.
+const AGGREGATE_SYMBOLOGY_TYPES = ['heatmap', 'grid'];
+const DEFAULT_HEATMAP_SETTINGS = { radius: 25, blur: 15, weightField: '', ramp: 'classic' };
+const DEFAULT_GRID_SETTINGS = { shape: 'hexagon', cellSize: 1, aggregation: 'count', field: '', ramp: 'oranges', classes: 5 };
+
+function isAggregateSymbology(symbology) {
+    return AGGREGATE_SYMBOLOGY_TYPES.includes(symbology?.type);
+}
+
+// The Leaflet layer shown on the map for a layer: its aggregate when it has one
+function getDisplayedLayer(layer) {
+    return layer.aggregateLayer || layer.leafletLayer;
+}
+
+function getAggregatePoints(layer, field) {
+    return layer.features
+        .filter(feature => layer.leafletLayer.hasLayer(feature))
+        .map(feature => ({
+            latlng: feature.getLatLng ? feature.getLatLng() : feature.getBounds().getCenter(),
+            value: field ? parseFloat(feature.recordData?.[field]) : 1
+        }))
+        .filter(point => Number.isFinite(point.value));
+}
+
+// Color ramps run dark to light; aggregates go from light (low) to dark (high)
+function getAggregateColors(ramp, count) {
+    return generateColorRamp(ramp, count).reverse();
+}
+
+function getHeatmapGradient(ramp) {
+    if (!ramp || ramp === 'classic') {
+        return { 0.4: 'blue', 0.65: 'lime', 1: 'red' };
+    }
+    const colors = getAggregateColors(ramp, 5);
+    return Object.fromEntries(colors.map((color, index) => [(index + 1) / colors.length, color]));
+}
+
+function createHeatmapLayer(layer, settings) {
+    if (!L.heatLayer) {
+        throw new Error('Heatmap support is not available on this page');
+    }
+
+    const points = getAggregatePoints(layer, settings.weightField);
+    // Weights are scaled to 0-1; negative values add nothing
+    const max = Math.max(...points.map(point => point.value), 0) || 1;
+
+    return L.heatLayer(points.map(point => [point.latlng.lat, point.latlng.lng, Math.max(point.value, 0) / max]), {
+        radius: settings.radius,
+        blur: settings.blur,
+        maxZoom: 17,
+        gradient: getHeatmapGradient(settings.ramp)
+    });
+}
+
+// Bins points into square or hexagonal cells in Web Mercator. The cell size
+// (the side of a square or hexagon, in km) is corrected for the scale at the
+// points' mean latitude so cells keep roughly that size on the ground.
+function binAggregatePoints(points, { shape, cellSize }) {
+    const crs = L.CRS.EPSG3857;
+    const meanLat = points.reduce((sum, point) => sum + point.latlng.lat, 0) / points.length;
+    const size = cellSize * 1000 / Math.cos(meanLat * Math.PI / 180);
+    const cells = new Map();
+
+    points.forEach(point => {
+        const { x, y } = crs.project(point.latlng);
+        let key;
+        let corners;
+
+        if (shape === 'square') {
+            const column = Math.floor(x / size);
+            const row = Math.floor(y / size);
+            key = `${column},${row}`;
+            corners = () => [[column, row], [column + 1, row], [column + 1, row + 1], [column, row + 1]]
+                .map(([cx, cy]) => [cx * size, cy * size]);
+        } else {
+            // Pointy-top hexagons in axial coordinates, rounded through cube coordinates
+            const q = (Math.sqrt(3) / 3 * x - y / 3) / size;
+            const r = (2 / 3 * y) / size;
+            let rq = Math.round(q);
+            let rr = Math.round(r);
+            const rs = Math.round(-q - r);
+            const dq = Math.abs(rq - q);
+            const dr = Math.abs(rr - r);
+            const ds = Math.abs(rs + q + r);
+            if (dq > dr && dq > ds) rq = -rr - rs;
+            else if (dr > ds) rr = -rq - rs;
+
+            key = `${rq},${rr}`;
+            corners = () => {
+                const centerX = size * Math.sqrt(3) * (rq + rr / 2);
+                const centerY = size * 1.5 * rr;
+                return Array.from({ length: 6 }, (_, i) => {
+                    const angle = Math.PI / 180 * (60 * i - 30);
+                    return [centerX + size * Math.cos(angle), centerY + size * Math.sin(angle)];
+                });
+            };
+        }
+
+        if (!cells.has(key)) {
+            cells.set(key, {
+                latlngs: corners().map(([cx, cy]) => crs.unproject(L.point(cx, cy))),
+                count: 0,
+                sum: 0
+            });
+        }
+        const cell = cells.get(key);
+        cell.count++;
+        cell.sum += point.value;
+    });
+
+    return [...cells.values()];
+}
+
+function getGridCellValue(cell, aggregation) {
+    if (aggregation === 'sum') return cell.sum;
+    if (aggregation === 'avg') return cell.sum / cell.count;
+    return cell.count;
+}
+
+function formatAggregateValue(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// Cells are classed in equal intervals; the breaks are kept on the settings
+// for the legend.
+function createGridLayer(layer, settings, symbology) {
+    const field = settings.aggregation === 'count' ? null : settings.field;
+    if (settings.aggregation !== 'count' && !field) {
+        throw new Error('Choose a numeric field to sum or average');
+    }
+
+    const points = getAggregatePoints(layer, field);
+    const cells = points.length > 0 ? binAggregatePoints(points, settings) : [];
+    const values = cells.map(cell => getGridCellValue(cell, settings.aggregation));
+    const min = values.length > 0 ? Math.min(...values) : 0;
+    const max = values.length > 0 ? Math.max(...values) : 0;
+    const colors = getAggregateColors(settings.ramp, settings.classes);
+    const interval = (max - min) / settings.classes;
+
+    settings.min = min;
+    settings.breaks = colors.map((_, index) => index === colors.length - 1 ? max : min + interval * (index + 1));
+    settings.colors = colors;
+
+    const label = settings.aggregation === 'count' ? 'Features' : `${settings.aggregation === 'sum' ? 'Sum' : 'Average'} of ${field}`;
+
+    return L.layerGroup(cells.map((cell, index) => {
+        const value = values[index];
+        const classIndex = settings.breaks.findIndex(breakValue => value <= breakValue);
+        return L.polygon(cell.latlngs, {
+            fillColor: colors[classIndex < 0 ? colors.length - 1 : classIndex],
+            color: symbology.borderColor || '#2c3e50',
+            weight: 1,
+            fillOpacity: symbology.fillOpacity || 0.7
+        }).bindPopup(`
+            <strong>${escapeHtml(label)}:</strong> ${formatAggregateValue(value)}<br>
+            <small class="text-muted">${cell.count} feature(s) in this cell</small>
+        `);
+    }));
+}
+
+// Replaces the features on the map with the heatmap or grid, or puts the
+// features back when the symbology is no longer an aggregate.
+function renderAggregateLayer(layer) {
+    if (layer.aggregateLayer) {
+        map.removeLayer(layer.aggregateLayer);
+        layer.aggregateLayer = null;
+    }
+
+    const symbology = layer.properties.symbology;
+    if (!isAggregateSymbology(symbology)) {
+        if (layer.visible && !map.hasLayer(layer.leafletLayer)) {
+            layer.leafletLayer.addTo(map);
+        }
+        return;
+    }
+
+    map.removeLayer(layer.leafletLayer);
+    if (layer.labelGroup) {
+        map.removeLayer(layer.labelGroup);
+        layer.labelGroup = null;
+    }
+
+    if (symbology.type === 'heatmap') {
+        symbology.heatmap = { ...DEFAULT_HEATMAP_SETTINGS, ...symbology.heatmap };
+        layer.aggregateLayer = createHeatmapLayer(layer, symbology.heatmap);
+    } else {
+        symbology.grid = { ...DEFAULT_GRID_SETTINGS, ...symbology.grid };
+        layer.aggregateLayer = createGridLayer(layer, symbology.grid, symbology);
+    }
+
+    if (layer.visible) {
+        layer.aggregateLayer.addTo(map);
+    }
+}
+
+// Redraws aggregates after filters change which features are shown.
+function refreshAggregateLayers() {
+    const aggregated = mapLayers.filter(layer => isAggregateSymbology(layer.properties?.symbology));
+    aggregated.forEach(layer => {
+        try {
+            renderAggregateLayer(layer);
+        } catch (error) {
+            console.error(`Error redrawing aggregate for layer "${layer.name}":`, error);
+        }
+    });
+    if (aggregated.length > 0) {
+        updateLayersList();
+    }
+}
+
+// Saved layer settings (symbology, labels, popup) per table, loaded once per
+// page. Only available with a customer login.
+let layerPreferencesRequest = null;
+
+function getLayerPreferencesAdapter() {
+    const session = window.teableAPI?.getProxySession?.();
+    return session ? new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource) : null;
+}
+
+async function findLayerPreference(tableId) {
+    const dataAdapter = getLayerPreferencesAdapter();
+    if (!dataAdapter || !tableId) return null;
+
+    if (!layerPreferencesRequest) {
+        layerPreferencesRequest = dataAdapter.getLayerPreferences().catch(error => {
+            console.warn('Could not load saved layer settings:', error);
+            layerPreferencesRequest = null;
+            return [];
+        });
+    }
+
+    return (await layerPreferencesRequest).find(preference => preference.layerId === tableId) || null;
+}
+
+async function restoreLayerPreference(layer) {
+    const preference = await findLayerPreference(layer.tableId);
+    if (!preference) return;
+
+    applyLayerConfiguration(layer, preference.configuration);
+    console.log(`Restored saved settings for layer "${layer.name}"`);
+}
+
+// Applies saved { symbology, labels, popup, temporal } settings to a layer
+function applyLayerConfiguration(layer, { symbology, labels, popup, temporal }) {
+    if (symbology) layer.properties.symbology = { ...layer.properties.symbology, ...symbology };
+    if (labels) layer.properties.labels = { ...layer.properties.labels, ...labels };
+    if (popup) {
+        layer.properties.popup = { ...layer.properties.popup, ...popup };
+        layer.features.forEach(feature => feature.bindPopup(createFeaturePopup(feature.recordData, layer)));
+    }
+
+    applyLayerStyling(layer);
+    if (temporal) {
+        layer.properties.temporal = temporal;
+        refreshTimeline();
+    }
+}
+
+async function saveLayerPreferences(layer) {
+    const dataAdapter = getLayerPreferencesAdapter();
+    if (!dataAdapter || !layer.tableId) return;
+
+    const { symbology, labels, popup, temporal } = layer.properties;
+    try {
+        const saved = await dataAdapter.saveLayerPreference(layer.tableId, {
+            layerName: layer.name,
+            configuration: { symbology, labels, popup, temporal }
+        });
+
+        if (layerPreferencesRequest) {
+            const preferences = (await layerPreferencesRequest).filter(preference => preference.layerId !== saved.layerId);
+            layerPreferencesRequest = Promise.resolve([saved, ...preferences]);
+        }
+    } catch (error) {
+        console.error('Error saving layer settings:', error);
+        showWarning(`Layer settings were applied but could not be saved: ${escapeHtml(error.message)}`);
+    }
+}
+
+// Saved views of the map (see saved-views.js) keep the extent, basemap and
+// the table layers with their styling, visibility and filters. Applying a
+// view adds the layers it lists that are not on the map yet and hides the
+// table layers it does not list. Imported files and analysis results are
+// not part of views.
+let savedViews = null;
+
+async function setupSavedViews() {
+    savedViews = new SavedViewsControl(document.getElementById('savedViews'), {
+        page: 'map',
+        captureState: captureMapView,
+        applyState: applyMapView,
+        onError: error => showError('Saved views: ' + escapeHtml(error.message))
+    });
+
+    document.getElementById('savedViewsSection').style.display = savedViews.isAvailable() ? '' : 'none';
+
+    // A linked ?filters= takes precedence over the role's default view
+    const linked = new URLSearchParams(window.location.search).has('filters');
+    await savedViews.load({ applyDefault: !linked });
+}
+
+function captureMapView() {
+    const center = map.getCenter();
+
+    return {
+        center: [center.lat, center.lng],
+        zoom: map.getZoom(),
+        basemap: currentBasemapType,
+        layers: mapLayers
+            .filter(layer => layer.type === 'table' && layer.tableId)
+            .map(layer => {
+                const { symbology, labels, popup, temporal } = layer.properties;
+                return {
+                    tableId: layer.tableId,
+                    name: layer.name,
+                    geometryField: layer.geometryField,
+                    color: layer.color,
+                    vectorTiles: layer.renderMode === 'vectortile',
+                    visible: layer.visible,
+                    properties: { symbology, labels, popup, temporal },
+                    filter: layerFilters[layer.id]?.expression || null
+                };
+            })
+    };
+}
+
+// Loads the table of a view layer the map does not have yet
+async function createViewLayer(config) {
+    let id = Date.now();
+    while (mapLayers.some(layer => layer.id === String(id))) id++;
+
+    const layerConfig = {
+        id: String(id),
+        name: config.name || config.tableId,
+        tableId: config.tableId,
+        geometryField: config.geometryField || 'geometry',
+        color: config.color || '#3498db',
+        visible: config.visible !== false,
+        type: 'table',
+        fieldPermissions: await loadFieldPermissionsForTable(config.tableId)
+    };
+
+    if (config.vectorTiles) {
+        return await createVectorTileLayer(layerConfig);
+    }
+
+    const recordsData = await window.teableAPI.getRecords(config.tableId, { limit: 1000 });
+    const records = recordsData.records || [];
+    if (records.length === 0) {
+        throw new Error('No data found in the table');
+    }
+    return await createLayerFromData(records, layerConfig);
+}
+
+async function applyMapView(state) {
+    if (baseMaps[state.basemap] && state.basemap !== currentBasemapType) {
+        document.getElementById('basemapSelector').value = state.basemap;
+        changeBasemap();
+    }
+
+    const listed = new Set();
+    for (const config of state.layers || []) {
+        if (!config?.tableId) continue;
+
+        let layer = mapLayers.find(candidate => candidate.type === 'table' &&
+            candidate.tableId === config.tableId && !listed.has(candidate.id));
+        try {
+            layer = layer || await createViewLayer(config);
+        } catch (error) {
+            console.error(`Error loading layer "${config.name}" of the view:`, error);
+            showWarning(`Layer "${escapeHtml(config.name || config.tableId)}" could not be loaded: ${escapeHtml(error.message)}`);
+            continue;
+        }
+        listed.add(layer.id);
+
+        if (config.properties && layer.renderMode !== 'vectortile') {
+            applyLayerConfiguration(layer, config.properties);
+        }
+        if (layer.visible !== (config.visible !== false)) {
+            toggleLayerVisibility(layer.id);
+        }
+        try {
+            await setLayerFilter(layer, FilterExpression.isEmpty(config.filter) ? null : config.filter);
+        } catch (error) {
+            console.warn(`Could not apply the filter of layer "${layer.name}":`, error.message);
+        }
+    }
+
+    // Table layers the view does not list are hidden, not removed
+    mapLayers
+        .filter(layer => layer.type === 'table' && !listed.has(layer.id) && layer.visible)
+        .forEach(layer => toggleLayerVisibility(layer.id));
+
+    loadFilterFields();
+    updateFilterRulesDisplay();
+    updateMapFilterUrl();
+    applyFilters({ silent: true });
+    updateLayersList();
+    updateMapStatistics();
+
+    if (Array.isArray(state.center) && state.center.length === 2 && Number.isFinite(state.zoom)) {
+        map.setView(state.center, state.zoom);
+    }
+}
+
 function ensureAddLayerFunctionality() {
     // Don't interfere with currentPropertiesLayer - it's managed elsewhere
     // Just ensure the Add Layer modal functionality is working
@@ -5415,8 +6149,9 @@ function applyLabelsToLayer(layer) {
         layer.labelGroup = null;
     }
 
+    // Heatmaps and grids replace the features, so there is nothing to label
     const labels = layer.properties.labels;
-    if (!labels.enabled || !labels.field) return;
+    if (!labels.enabled || !labels.field || isAggregateSymbology(layer.properties.symbology)) return;
 
     const labelElements = [];
 
@@ -6321,6 +7056,7 @@ function showNewRecordModal(layer, editableFields) {
                         <div class="alert alert-info">
                             <i class="fas fa-info-circle me-2"></i>
                             This will create a new record in the Teable.io table "${layer.name}". 
+                            ${pendingRecordGeometry?.layerId === layer.id ? `The drawn geometry is saved in "${layer.geometryField}". ` : ''}
                             ${editableFields.length > 0 ? `${editableFields.length} editable fields available.` : 'No specific fields configured - record will be created with default values.'}
                         </div>
                         <form id="newRecordForm" novalidate>
@@ -6425,8 +7161,12 @@ async function saveNewRecord(layerId) {
             }
         }
         
-        // Add geometry field as empty if it exists
-        if (layer.geometryField && !recordData.hasOwnProperty(layer.geometryField)) {
+        // A feature drawn with the geometry tools supplies the geometry;
+        // otherwise add the geometry field as empty if it exists
+        const drawnGeometry = pendingRecordGeometry?.layerId === layerId ? pendingRecordGeometry.wkt : null;
+        if (layer.geometryField && drawnGeometry) {
+            recordData[layer.geometryField] = drawnGeometry;
+        } else if (layer.geometryField && !recordData.hasOwnProperty(layer.geometryField)) {
             recordData[layer.geometryField] = '';
         }
         
@@ -6447,6 +7187,11 @@ async function saveNewRecord(layerId) {
             
             // Refresh the attribute table to show the new record
             await refreshAttributeTable(layerId);
+
+            if (drawnGeometry) {
+                pendingRecordGeometry = null;
+                completeDrawnRecord(layer);
+            }
             
             // Update layer statistics
             updateLayersList();
@@ -6701,26 +7446,17 @@ Are you sure you want to proceed with the deletion?`;
         let errorCount = 0;
         const failedRecords = [];
         
-        // Delete records from Teable.io one by one with progress tracking
-        for (let i = 0; i < recordsToDelete.length; i++) {
-            const recordId = recordsToDelete[i];
-            
-            try {
-                console.log(`🗑️ Deleting record ${i + 1}/${recordsToDelete.length}: ${recordId}`);
-                await window.teableAPI.deleteRecord(layer.tableId, recordId);
+        // Delete all selected records from Teable.io in a single batch request
+        const batchResult = await window.teableAPI.batchRecords(layer.tableId, { deletes: recordsToDelete });
+        batchResult.deletes.forEach(result => {
+            if (result.success) {
                 successCount++;
-                
-                // Update progress
-                if (recordsToDelete.length > 5) {
-                    showInfo(`⏳ Deleting... ${successCount}/${recordsToDelete.length} completed`);
-                }
-                
-            } catch (deleteError) {
-                console.error(`❌ Failed to delete record ${recordId}:`, deleteError);
+            } else {
+                console.error(`❌ Failed to delete record ${result.id}:`, result.error);
                 errorCount++;
-                failedRecords.push(recordId);
+                failedRecords.push(result.id);
             }
-        }
+        });
         
         // Remove successfully deleted records from local data
         const successfullyDeleted = recordsToDelete.filter(id => !failedRecords.includes(id));
@@ -7388,15 +8124,43 @@ window.closeDockedTable = closeDockedTable;
 window.startMeasurement = startMeasurement;
 window.clearMeasurements = clearMeasurements;
 window.loadFilterFields = loadFilterFields;
-window.loadFilterValues = loadFilterValues;
 window.addFilterRule = addFilterRule;
 window.removeFilterRule = removeFilterRule;
 window.applyFilters = applyFilters;
+window.applyLayerFilter = applyLayerFilter;
+window.updateTimeControls = updateTimeControls;
 window.clearAllFilters = clearAllFilters;
 window.exportMap = exportMap;
+window.showExportDialog = showExportDialog;
+window.showGeometryReport = showGeometryReport;
+window.toggleIdentifyMode = toggleIdentifyMode;
+window.closeIdentifyPanel = closeIdentifyPanel;
+window.highlightIdentifyResult = highlightIdentifyResult;
+window.zoomToIdentifyResult = zoomToIdentifyResult;
+window.showIdentifyResultInfo = showIdentifyResultInfo;
+window.startGeometryEditing = startGeometryEditing;
+window.stopGeometryEditing = stopGeometryEditing;
+window.setGeometryTool = setGeometryTool;
+window.undoGeometryEdit = undoGeometryEdit;
+window.redoGeometryEdit = redoGeometryEdit;
+window.saveGeometryEdits = saveGeometryEdits;
+window.cancelGeometryEdits = cancelGeometryEdits;
+window.mergeGeometrySelection = mergeGeometrySelection;
+window.showAnalysisDialog = showAnalysisDialog;
+window.updateAnalysisForm = updateAnalysisForm;
+window.runSpatialAnalysis = runSpatialAnalysis;
+window.showSaveAnalysisDialog = showSaveAnalysisDialog;
+window.saveAnalysisLayer = saveAnalysisLayer;
+window.repairLayerGeometries = repairLayerGeometries;
+window.exportLayerData = exportLayerData;
+window.handleImportFile = handleImportFile;
+window.startImport = startImport;
+window.changeImportCrs = changeImportCrs;
+window.downloadImportErrors = downloadImportErrors;
 window.fullscreenMap = fullscreenMap;
 window.switchPropertiesTab = switchPropertiesTab;
 window.updateSymbologyType = updateSymbologyType;
+window.updateGridFieldState = updateGridFieldState;
 window.applyProperties = applyProperties;
 window.applyAndCloseProperties = applyAndCloseProperties;
 window.cancelProperties = cancelProperties;
@@ -7409,7 +8173,6 @@ window.selectAllPopupFields = selectAllPopupFields;
 window.deselectAllPopupFields = deselectAllPopupFields;
 window.zoomToFeature = zoomToFeature;
 window.showFeatureInfo = showFeatureInfo;
-window.exportTableData = exportTableData;
 window.clearSelection = clearSelection;
 window.toggleAllRows = toggleAllRows;
 window.startInlineEdit = startInlineEdit;
@@ -7760,6 +8523,8 @@ document.addEventListener('DOMContentLoaded', function() {
 
 // Measurement tools
 function startMeasurement(type) {
+    if (identifyMode) stopIdentifyMode();
+    if (geometryEditor?.tool) setGeometryTool(null);
     clearMeasurements();
     currentMeasurement = type;
     measurementPoints = [];
@@ -7898,175 +8663,2060 @@ function clearMeasurements() {
     map.off('click', onAreaMeasureClick);
 }
 
-// Filter functionality
-function loadFilterFields() {
-    const layerId = document.getElementById('filterLayer').value;
-    const fieldSelect = document.getElementById('filterField');
+// Identify tool: a map click lists the nearest features of every visible
+// table layer in a side panel, optionally with a description of the place
+const IDENTIFY_TOLERANCE_PIXELS = 12;
+const MAX_IDENTIFY_TOLERANCE_METERS = 50000;
+const IDENTIFY_FIELD_COUNT = 6;
+let identifyMode = false;
+let identifyGroup = null;
+let identifyResults = [];
 
-    if (fieldSelect) {
-        fieldSelect.innerHTML = '<option value="">Select field...</option>';
+function toggleIdentifyMode() {
+    if (identifyMode) {
+        stopIdentifyMode();
+        return;
+    }
 
-        if (!layerId) return;
+    clearMeasurements();
+    if (geometryEditor?.tool) setGeometryTool(null);
+    identifyMode = true;
+    if (!identifyGroup) {
+        identifyGroup = L.layerGroup().addTo(map);
+    }
+    map.on('click', onIdentifyClick);
+    map.getContainer().style.cursor = 'help';
+    document.getElementById('identifyToggleBtn')?.classList.add('active');
+    showInfo('Click the map to identify nearby features');
+}
 
-        const layer = mapLayers.find(l => l.id === layerId);
-        if (!layer || !layer.records || layer.records.length === 0) return;
+function stopIdentifyMode() {
+    identifyMode = false;
+    map.off('click', onIdentifyClick);
+    map.getContainer().style.cursor = '';
+    document.getElementById('identifyToggleBtn')?.classList.remove('active');
+}
 
-        // Get all fields except geometry field
-        const allFields = Object.keys(layer.records[0].fields || {}).filter(field => field !== layer.geometryField);
-        console.log(`Loading filter fields for layer "${layer.name}" - all fields:`, allFields);
-        
-        // Filter out hidden fields based on permissions
-        const permittedFields = filterFieldsByPermissions(allFields, layer);
-        console.log(`Permitted fields for filtering:`, permittedFields);
-        
-        permittedFields.forEach(field => {
-            const permission = getFieldPermission(field, layer);
-            const permissionIcon = permission === 'edit' ? '✏️' : '👁️';
-            const option = document.createElement('option');
-            option.value = field;
-            option.textContent = `${permissionIcon} ${field}`;
-            fieldSelect.appendChild(option);
-        });
-        
-        if (permittedFields.length === 0) {
-            const option = document.createElement('option');
-            option.value = "";
-            option.textContent = "No accessible fields for filtering";
-            option.disabled = true;
-            fieldSelect.appendChild(option);
-        }
-        
-        console.log(`Filter field selector populated with ${permittedFields.length} permitted fields`);
-    }
+function closeIdentifyPanel() {
+    document.getElementById('identifyPanel').style.display = 'none';
+    identifyGroup?.clearLayers();
+    identifyResults = [];
 }
 
-function loadFilterValues() {
-    const layerId = document.getElementById('filterLayer').value;
-    const fieldName = document.getElementById('filterField').value;
-    const valueSelect = document.getElementById('filterValue');
+function formatIdentifyDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
 
-    if (valueSelect) {
-        valueSelect.innerHTML = '<option value="">Select value...</option>';
+async function onIdentifyClick(e) {
+    const session = window.teableAPI.getProxySession();
+    const panel = document.getElementById('identifyPanel');
+    const body = document.getElementById('identifyPanelBody');
+    const visibleLayers = mapLayers.filter(layer => layer.visible && layer.tableId);
 
-        if (!layerId || !fieldName) return;
+    panel.style.display = 'flex';
+    document.getElementById('identifyPanelLocation').textContent =
+        `${e.latlng.lat.toFixed(6)}, ${e.latlng.lng.toFixed(6)}`;
 
-        const layer = mapLayers.find(l => l.id === layerId);
-        if (!layer || !layer.records) return;
+    if (!session) {
+        body.innerHTML = '<div class="text-muted small">Identify requires a customer login.</div>';
+        return;
+    }
+    if (visibleLayers.length === 0) {
+        body.innerHTML = '<div class="text-muted small">Turn on a layer to identify its features.</div>';
+        return;
+    }
 
-        // Check if user has permission to access this field
-        const permission = getFieldPermission(fieldName, layer);
-        if (permission === 'hidden') {
-            console.log(`Field "${fieldName}" is hidden - not loading values`);
-            const option = document.createElement('option');
-            option.value = "";
-            option.textContent = "Field not accessible";
-            option.disabled = true;
-            valueSelect.appendChild(option);
-            return;
-        }
+    // The tolerance is a few pixels at the current zoom
+    const clickPoint = map.latLngToContainerPoint(e.latlng);
+    const edge = map.containerPointToLatLng(clickPoint.add([IDENTIFY_TOLERANCE_PIXELS, 0]));
+    const tolerance = Math.min(Math.max(1, Math.round(e.latlng.distanceTo(edge))), MAX_IDENTIFY_TOLERANCE_METERS);
 
-        // Get unique values for the field
-        const uniqueValues = [...new Set(layer.records.map(record => record.fields[fieldName]))];
-        uniqueValues.forEach(value => {
-            if (value !== null && value !== undefined) {
-                const option = document.createElement('option');
-                option.value = value;
-                option.textContent = value;
-                valueSelect.appendChild(option);
-            }
+    map.closePopup();
+    identifyGroup.clearLayers();
+    L.circleMarker(e.latlng, { radius: 6, color: '#e74c3c', weight: 2, fillOpacity: 0.4 }).addTo(identifyGroup);
+    body.innerHTML = '<div class="text-center p-3"><i class="fas fa-spinner fa-spin me-2"></i>Identifying...</div>';
+
+    try {
+        const dataAdapter = new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource);
+        const result = await dataAdapter.identify(e.latlng, {
+            tables: [...new Set(visibleLayers.map(layer => layer.tableId))],
+            tolerance,
+            reverse: document.getElementById('identifyDescribePlace')?.checked
         });
-        
-        console.log(`Loaded ${uniqueValues.length} unique values for permitted field "${fieldName}"`);
+        renderIdentifyResults(result, visibleLayers);
+    } catch (error) {
+        console.error('Identify error:', error);
+        body.innerHTML = `<div class="text-danger small">${escapeHtml(error.message)}</div>`;
     }
 }
 
-function addFilterRule() {
-    const layerId = document.getElementById('filterLayer').value;
-    const field = document.getElementById('filterField').value;
-    const operator = document.getElementById('filterOperator').value;
-    const value = document.getElementById('filterValue').value;
+function renderIdentifyResults(result, visibleLayers) {
+    const body = document.getElementById('identifyPanelBody');
+    const layersByTable = new Map();
+    visibleLayers.forEach(layer => {
+        if (!layersByTable.has(layer.tableId)) layersByTable.set(layer.tableId, layer);
+    });
 
-    if (!layerId || !field || !operator || !value) {
-        showWarning('Please fill in all filter fields');
-        return;
+    identifyResults = result.features.map(match => ({ ...match, layer: layersByTable.get(match.tableId) }));
+    let html = '';
+
+    const place = result.place?.result;
+    if (place) {
+        html += `
+            <div class="identify-place">
+                <div><i class="fas fa-map-marker-alt me-1"></i>${escapeHtml(place.matchedName)}</div>
+                <div class="small text-muted">${place.distance ? `${formatIdentifyDistance(place.distance)} away · ` : ''}${escapeHtml(result.place.provider)}</div>
+            </div>
+        `;
+    } else if (result.place?.error) {
+        html += `<div class="small text-muted mb-2">Place lookup failed: ${escapeHtml(result.place.error)}</div>`;
     }
 
-    // Validate field permissions before adding filter
-    const layer = mapLayers.find(l => l.id === layerId);
-    if (layer) {
-        const permission = getFieldPermission(field, layer);
-        if (permission === 'hidden') {
-            showError(`Cannot filter on field "${field}" - field is not accessible due to permissions`);
-            return;
-        }
+    if (identifyResults.length === 0) {
+        html += `<div class="text-muted small">No features within ${formatIdentifyDistance(result.tolerance)} of this point.</div>`;
     }
 
-    const filter = {
-        id: Date.now().toString(),
-        layerId: layerId,
-        field: field,
-        operator: operator,
-        value: value
-    };
+    identifyResults.forEach((match, index) => {
+        const properties = match.feature.properties || {};
+        const configured = match.layer?.properties?.popup?.fields;
+        const fields = (Array.isArray(configured) && configured.length > 0 ? configured : Object.keys(properties))
+            .filter(field => field !== match.layer?.geometryField && properties[field] !== undefined && properties[field] !== null && properties[field] !== '')
+            .slice(0, IDENTIFY_FIELD_COUNT);
 
-    currentFilters.push(filter);
-    updateFilterRulesDisplay();
+        html += `
+            <div class="identify-result" onmouseenter="highlightIdentifyResult(${index})">
+                <div class="d-flex justify-content-between align-items-center mb-1">
+                    <strong>${escapeHtml(match.layer?.name || match.tableId)}</strong>
+                    <span class="small text-muted">${formatIdentifyDistance(match.distance)}</span>
+                </div>
+                <table class="table table-sm mb-1">
+                    ${fields.map(field => `
+                        <tr>
+                            <th class="small">${escapeHtml(field)}</th>
+                            <td class="small">${escapeHtml(typeof properties[field] === 'object' ? JSON.stringify(properties[field]) : String(properties[field]))}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                <button class="btn btn-sm btn-outline-primary" onclick="zoomToIdentifyResult(${index})">
+                    <i class="fas fa-search-plus me-1"></i>Zoom
+                </button>
+                <button class="btn btn-sm btn-outline-secondary" onclick="showIdentifyResultInfo(${index})">
+                    <i class="fas fa-info-circle me-1"></i>Details
+                </button>
+            </div>
+        `;
+    });
 
-    // Clear form
-    const filterLayer = document.getElementById('filterLayer');
-    const filterField = document.getElementById('filterField');
-    const filterValue = document.getElementById('filterValue');
+    if (result.errors?.length > 0) {
+        html += `<div class="small text-danger mt-2">${result.errors.map(item =>
+            `${escapeHtml(layersByTable.get(item.tableId)?.name || item.tableId)}: ${escapeHtml(item.error)}`).join('<br>')}</div>`;
+    }
 
-    if (filterLayer) filterLayer.value = '';
-    if (filterField) filterField.innerHTML = '<option value="">Select field...</option>';
-    if (filterValue) filterValue.innerHTML = '<option value="">Select value...</option>';
-    
-    console.log(`Added filter rule for permitted field "${field}" with ${operator} "${value}"`);
+    body.innerHTML = html;
+    if (identifyResults.length > 0) {
+        highlightIdentifyResult(0);
+    }
 }
 
-function updateFilterRulesDisplay() {
-    const container = document.getElementById('filterRules');
+function highlightIdentifyResult(index) {
+    const match = identifyResults[index];
+    if (!match?.feature.geometry) return;
 
-    if (!container) return;
+    identifyGroup.eachLayer(layer => {
+        if (layer.options.identifyHighlight) identifyGroup.removeLayer(layer);
+    });
 
-    if (currentFilters.length === 0) {
-        container.innerHTML = '<p class="text-muted">No filters applied</p>';
-        return;
+    L.geoJSON(match.feature.geometry, {
+        identifyHighlight: true,
+        style: { color: '#f39c12', weight: 4, fillOpacity: 0.2 },
+        pointToLayer: (point, latlng) => L.circleMarker(latlng, { radius: 10, color: '#f39c12', weight: 3, fillOpacity: 0.2 })
+    }).addTo(identifyGroup);
+}
+
+function zoomToIdentifyResult(index) {
+    const match = identifyResults[index];
+    if (!match?.feature.geometry) return;
+
+    const bounds = L.geoJSON(match.feature.geometry).getBounds();
+    if (!bounds.isValid()) return;
+
+    if (match.feature.geometry.type === 'Point') {
+        map.setView(bounds.getCenter(), Math.max(map.getZoom(), 17));
+    } else {
+        map.fitBounds(bounds.pad(0.2));
+    }
+}
+
+function showIdentifyResultInfo(index) {
+    const match = identifyResults[index];
+    const featureIndex = match?.layer?.records?.findIndex(record => String(record.id) === String(match.feature.id)) ?? -1;
+
+    if (featureIndex < 0) {
+        showError('This feature is not loaded in the layer');
+        return;
+    }
+    showFeatureInfo(match.layer.id, featureIndex);
+}
+
+// Geometry editing: draw, reshape, move, split and merge the features of one
+// table layer. Changes are kept as GeoJSON drafts with an undo history and are
+// written to the layer's geometry field as WKT when saved.
+const GEOMETRY_SNAP_PIXELS = 10;
+const GEOMETRY_HISTORY_LIMIT = 50;
+const GEOMETRY_DRAFT_STYLE = { color: '#e67e22', weight: 3, dashArray: '6 4', fillOpacity: 0.2 };
+const GEOMETRY_SELECTED_STYLE = { color: '#f1c40f', weight: 4, fillOpacity: 0.3 };
+const GEOMETRY_DRAW_TOOLS = ['draw-point', 'draw-line', 'draw-polygon', 'split'];
+let geometryEditor = null;
+let geometryEditGroup = null;
+// A drawn feature waiting for its attributes in the new record form
+let pendingRecordGeometry = null;
+
+function parseWKTGeometry(wkt) {
+    const match = /^\s*(?:SRID=\d+;\s*)?(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON)\s*(?:ZM|Z|M)?\s*(\(.*\))\s*$/is.exec(wkt || '');
+    if (!match) return null;
+
+    const number = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?';
+    const position = new RegExp(`(${number})\\s+(${number})(?:\\s+${number})*`, 'gi');
+
+    try {
+        // "(1 2, 3 4)" becomes "[[1,2],[3,4]]"
+        const coordinates = JSON.parse(match[2]
+            .replace(position, (_, x, y) => `[${Number(x)},${Number(y)}]`)
+            .replace(/\(/g, '[')
+            .replace(/\)/g, ']'));
+        const type = {
+            POINT: 'Point',
+            LINESTRING: 'LineString',
+            POLYGON: 'Polygon',
+            MULTIPOINT: 'MultiPoint',
+            MULTILINESTRING: 'MultiLineString',
+            MULTIPOLYGON: 'MultiPolygon'
+        }[match[1].toUpperCase()];
+
+        if (type === 'Point') return { type, coordinates: coordinates[0] };
+        if (type === 'MultiPoint') {
+            // Both "MULTIPOINT (1 2, 3 4)" and "MULTIPOINT ((1 2), (3 4))" are valid
+            return { type, coordinates: coordinates.map(point => Array.isArray(point[0]) ? point[0] : point) };
+        }
+        return { type, coordinates };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Written without spaces between parts, which parseWKTToLeaflet relies on
+function geometryToWKT(geometry) {
+    const position = coords => coords.slice(0, 2).map(value => Number(value.toFixed(8))).join(' ');
+    const path = coords => `(${coords.map(position).join(', ')})`;
+    const polygon = rings => `(${rings.map(path).join(',')})`;
+
+    switch (geometry.type) {
+        case 'Point': return `POINT (${position(geometry.coordinates)})`;
+        case 'MultiPoint': return `MULTIPOINT (${geometry.coordinates.map(point => `(${position(point)})`).join(',')})`;
+        case 'LineString': return `LINESTRING ${path(geometry.coordinates)}`;
+        case 'MultiLineString': return `MULTILINESTRING (${geometry.coordinates.map(path).join(',')})`;
+        case 'Polygon': return `POLYGON ${polygon(geometry.coordinates)}`;
+        case 'MultiPolygon': return `MULTIPOLYGON (${geometry.coordinates.map(polygon).join(',')})`;
+        default: throw new Error(`Unsupported geometry type: ${geometry.type}`);
+    }
+}
+
+function getGeometryFamily(type) {
+    if (type === 'Point' || type === 'MultiPoint') return 'point';
+    if (type === 'LineString' || type === 'MultiLineString') return 'line';
+    return 'polygon';
+}
+
+function toGeometryLatLng(position) {
+    return L.latLng(position[1], position[0]);
+}
+
+function sameGeometryPosition(a, b) {
+    return Math.abs(a[0] - b[0]) < 1e-10 && Math.abs(a[1] - b[1]) < 1e-10;
+}
+
+function withoutRepeatedPositions(positions) {
+    return positions.filter((position, index) => index === 0 || !sameGeometryPosition(position, positions[index - 1]));
+}
+
+function mapGeometryPositions(coordinates, transform) {
+    return typeof coordinates[0] === 'number'
+        ? transform(coordinates)
+        : coordinates.map(item => mapGeometryPositions(item, transform));
+}
+
+// The vertex lists of a geometry. They are the geometry's own arrays, so
+// handles edit the geometry in place; polygon rings are closed.
+function getGeometryPaths(geometry) {
+    switch (geometry.type) {
+        case 'Point': return [{ positions: [geometry.coordinates], closed: false, points: true }];
+        case 'MultiPoint': return [{ positions: geometry.coordinates, closed: false, points: true }];
+        case 'LineString': return [{ positions: geometry.coordinates, closed: false }];
+        case 'MultiLineString': return geometry.coordinates.map(positions => ({ positions, closed: false }));
+        case 'Polygon': return geometry.coordinates.map(positions => ({ positions, closed: true }));
+        case 'MultiPolygon': return geometry.coordinates.flat().map(positions => ({ positions, closed: true }));
+        default: return [];
+    }
+}
+
+function isValidDraftGeometry(geometry) {
+    return getGeometryPaths(geometry).every(({ positions, closed, points }) => {
+        if (points) return positions.length > 0;
+        const distinct = withoutRepeatedPositions(positions).length;
+        return closed ? distinct >= 4 : distinct >= 2;
+    });
+}
+
+function combineGeometryParts(kind, parts) {
+    return parts.length === 1 ? { type: kind, coordinates: parts[0] } : { type: `Multi${kind}`, coordinates: parts };
+}
+
+function intersectGeometrySegments(a, b, c, d) {
+    const r = [b[0] - a[0], b[1] - a[1]];
+    const s = [d[0] - c[0], d[1] - c[1]];
+    const denominator = r[0] * s[1] - r[1] * s[0];
+    if (denominator === 0) return null;
+
+    const offset = [c[0] - a[0], c[1] - a[1]];
+    const t = (offset[0] * s[1] - offset[1] * s[0]) / denominator;
+    const u = (offset[0] * r[1] - offset[1] * r[0]) / denominator;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+    return { t, u, position: [a[0] + t * r[0], a[1] + t * r[1]] };
+}
+
+// Where the cutting line crosses a path, ordered along the path. Positions
+// are fractional: 2.5 is halfway along the path's third segment.
+function findCutterCrossings(path, cutter) {
+    const crossings = [];
+    for (let i = 0; i < path.length - 1; i++) {
+        for (let j = 0; j < cutter.length - 1; j++) {
+            const hit = intersectGeometrySegments(path[i], path[i + 1], cutter[j], cutter[j + 1]);
+            // A crossing through a vertex is found on both of its segments
+            if (hit && !crossings.some(crossing => sameGeometryPosition(crossing.position, hit.position))) {
+                crossings.push({ pathPosition: i + hit.t, cutterPosition: j + hit.u, position: hit.position });
+            }
+        }
+    }
+    return crossings.sort((a, b) => a.pathPosition - b.pathPosition);
+}
+
+function splitLinePart(line, cutter) {
+    const crossings = findCutterCrossings(line, cutter)
+        .filter(crossing => crossing.pathPosition > 0 && crossing.pathPosition < line.length - 1);
+    if (crossings.length === 0) return [line];
+
+    const pieces = [];
+    let current = [line[0]];
+    let vertex = 0;
+    crossings.forEach(crossing => {
+        while (vertex < Math.floor(crossing.pathPosition)) {
+            current.push(line[++vertex]);
+        }
+        current.push(crossing.position);
+        pieces.push(current);
+        current = [crossing.position];
+    });
+    while (vertex < line.length - 1) {
+        current.push(line[++vertex]);
+    }
+    pieces.push(current);
+
+    return pieces.map(withoutRepeatedPositions).filter(piece => piece.length >= 2);
+}
+
+function isPositionInRing(position, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > position[1]) !== (yj > position[1]) &&
+            position[0] < (xj - xi) * (position[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function splitPolygonPart(rings, cutter) {
+    const [shell, ...holes] = rings;
+    if (holes.some(hole => findCutterCrossings(hole, cutter).length > 0)) {
+        throw new Error('The split line must not cross a hole in the polygon');
+    }
+
+    const crossings = findCutterCrossings(shell, cutter);
+    if (crossings.length === 0) return [rings];
+    if (crossings.length !== 2) {
+        throw new Error('Draw the split line so it crosses the polygon boundary exactly twice');
+    }
+
+    const [first, second] = crossings;
+    const vertexCount = shell.length - 1;
+    // The cutting line's vertices inside the polygon, walking from one crossing to the other
+    const cutterBetween = (from, to) => {
+        const positions = [];
+        if (from.cutterPosition < to.cutterPosition) {
+            for (let k = Math.floor(from.cutterPosition) + 1; k < to.cutterPosition; k++) positions.push(cutter[k]);
+        } else {
+            for (let k = Math.ceil(from.cutterPosition) - 1; k > to.cutterPosition; k--) positions.push(cutter[k]);
+        }
+        return positions;
+    };
+
+    const shellA = [first.position];
+    for (let k = Math.floor(first.pathPosition) + 1; k <= Math.floor(second.pathPosition); k++) shellA.push(shell[k]);
+    shellA.push(second.position, ...cutterBetween(second, first), first.position);
+
+    const shellB = [second.position];
+    for (let k = Math.floor(second.pathPosition) + 1; k < vertexCount; k++) shellB.push(shell[k]);
+    for (let k = 0; k <= Math.floor(first.pathPosition); k++) shellB.push(shell[k]);
+    shellB.push(first.position, ...cutterBetween(first, second), second.position);
+
+    const pieces = [shellA, shellB].map(withoutRepeatedPositions);
+    if (pieces.some(ring => ring.length < 4)) {
+        throw new Error('The split would leave an empty piece');
+    }
+
+    return pieces.map(ring => [ring, ...holes.filter(hole => isPositionInRing(hole[0], ring))]);
+}
+
+// The first piece, with any parts the line does not cross, stays on the
+// record; every other piece becomes a new record.
+function splitGeometry(geometry, cutter) {
+    const kind = geometry.type.replace('Multi', '');
+    const parts = geometry.type.startsWith('Multi') ? geometry.coordinates : [geometry.coordinates];
+    const kept = [];
+    const extra = [];
+
+    parts.forEach(part => {
+        const pieces = kind === 'LineString' ? splitLinePart(part, cutter) : splitPolygonPart(part, cutter);
+        kept.push(pieces[0]);
+        extra.push(...pieces.slice(1));
+    });
+
+    if (extra.length === 0) {
+        throw new Error('The split line does not cross the feature');
+    }
+    return [combineGeometryParts(kind, kept), ...extra.map(piece => ({ type: kind, coordinates: piece }))];
+}
+
+// Lines that meet end to end are joined; other parts are kept as a
+// multi-part geometry (overlapping polygons are not dissolved).
+function joinLineParts(lines) {
+    const result = lines.map(line => [...line]);
+    let joined = true;
+
+    while (joined) {
+        joined = false;
+        for (let i = 0; i < result.length && !joined; i++) {
+            for (let j = i + 1; j < result.length && !joined; j++) {
+                const a = result[i];
+                const b = result[j];
+                let merged = null;
+                if (sameGeometryPosition(a[a.length - 1], b[0])) merged = [...a, ...b.slice(1)];
+                else if (sameGeometryPosition(a[a.length - 1], b[b.length - 1])) merged = [...a, ...b.slice(0, -1).reverse()];
+                else if (sameGeometryPosition(a[0], b[b.length - 1])) merged = [...b, ...a.slice(1)];
+                else if (sameGeometryPosition(a[0], b[0])) merged = [...b.slice(1).reverse(), ...a];
+
+                if (merged) {
+                    result[i] = merged;
+                    result.splice(j, 1);
+                    joined = true;
+                }
+            }
+        }
+    }
+    return result;
+}
+
+function mergeGeometries(geometries) {
+    const families = new Set(geometries.map(geometry => getGeometryFamily(geometry.type)));
+    if (families.size !== 1) {
+        throw new Error('Only features of the same geometry type can be merged');
+    }
+
+    const kind = { point: 'Point', line: 'LineString', polygon: 'Polygon' }[[...families][0]];
+    let parts = geometries.flatMap(geometry => geometry.type.startsWith('Multi') ? geometry.coordinates : [geometry.coordinates]);
+    if (kind === 'LineString') {
+        parts = joinLineParts(parts);
+    }
+    return combineGeometryParts(kind, parts);
+}
+
+function getGeometryEditBlocker(layer) {
+    if (!canEditRecords()) return 'You do not have permission to edit records';
+    if (layer.renderMode === 'vectortile') return 'Vector tile layers cannot be edited; load the layer as features to edit it';
+    if (!layer.tableId || !layer.geometryField) return 'This layer has no geometry field to edit';
+    if (getFieldPermission(layer.geometryField, layer) !== 'edit') {
+        return `You do not have edit permission on the geometry field "${layer.geometryField}"`;
+    }
+    return null;
+}
+
+function updateGeometryEditLayerOptions() {
+    const select = document.getElementById('geometryEditLayer');
+    if (!select) return;
+
+    const selected = geometryEditor?.layerId || select.value;
+    select.innerHTML = '<option value="">Select layer...</option>';
+    mapLayers
+        .filter(layer => layer.tableId && layer.renderMode !== 'vectortile')
+        .forEach(layer => {
+            const option = document.createElement('option');
+            option.value = layer.id;
+            option.textContent = layer.name;
+            select.appendChild(option);
+        });
+    select.value = mapLayers.some(layer => layer.id === selected) ? selected : '';
+}
+
+function getGeometryEditLayer() {
+    return geometryEditor ? mapLayers.find(layer => layer.id === geometryEditor.layerId) : null;
+}
+
+function findLayerRecord(layer, recordId) {
+    return layer.records.find(record => String(record.id) === String(recordId));
+}
+
+function isGeometryEditDirty() {
+    return !!geometryEditor && geometryEditor.undoStack.length > 0;
+}
+
+function startGeometryEditing() {
+    const layerId = document.getElementById('geometryEditLayer').value;
+    const layer = mapLayers.find(l => l.id === layerId);
+    if (!layer) {
+        showWarning('Select a layer to edit');
+        return;
+    }
+
+    const blocker = getGeometryEditBlocker(layer);
+    if (blocker) {
+        showError(blocker);
+        return;
+    }
+
+    if (geometryEditor) {
+        if (geometryEditor.layerId === layerId) return;
+        if (!stopGeometryEditing()) return;
+    }
+
+    stopIdentifyMode();
+    clearMeasurements();
+    if (!layer.visible) {
+        toggleLayerVisibility(layer.id);
+    }
+    if (!geometryEditGroup) {
+        geometryEditGroup = L.layerGroup().addTo(map);
+    }
+
+    geometryEditor = {
+        layerId,
+        tool: null,
+        drafts: [],      // { recordId, geometry, copyFrom } - recordId is null until a new record is saved
+        removed: [],     // record ids deleted on save (merged into another record)
+        selection: [],   // record ids picked for merging
+        sketch: [],      // vertices of the line being drawn
+        cursor: null,
+        undoStack: [],
+        redoStack: []
+    };
+
+    bindGeometryEditHandlers(layer);
+    map.on('click', onGeometryEditMapClick);
+    map.on('dblclick', onGeometryEditDoubleClick);
+    map.on('mousemove', onGeometryEditMouseMove);
+    document.addEventListener('keydown', onGeometryEditKeyDown);
+
+    document.getElementById('geometryEditLayerName').textContent = layer.name;
+    document.getElementById('geometryEditToolbar').style.display = 'flex';
+    renderGeometryEdit();
+}
+
+// Returns false when the user keeps unsaved changes
+function stopGeometryEditing(discard = false) {
+    if (!geometryEditor) return true;
+    if (!discard && isGeometryEditDirty() && !confirm('Discard unsaved geometry changes?')) {
+        return false;
+    }
+
+    const layer = getGeometryEditLayer();
+    setGeometryTool(null);
+    resetGeometryEdit();
+    if (layer) {
+        syncGeometryEditFeatures(layer);
+        unbindGeometryEditHandlers(layer);
+    }
+
+    map.off('click', onGeometryEditMapClick);
+    map.off('dblclick', onGeometryEditDoubleClick);
+    map.off('mousemove', onGeometryEditMouseMove);
+    document.removeEventListener('keydown', onGeometryEditKeyDown);
+
+    geometryEditGroup?.clearLayers();
+    geometryEditor = null;
+    document.getElementById('geometryEditToolbar').style.display = 'none';
+    return true;
+}
+
+function bindGeometryEditHandlers(layer) {
+    layer.features.forEach(feature => {
+        feature.off('click', onGeometryEditFeatureClick);
+        feature.on('click', onGeometryEditFeatureClick);
+    });
+}
+
+function unbindGeometryEditHandlers(layer) {
+    layer.features.forEach(feature => feature.off('click', onGeometryEditFeatureClick));
+}
+
+function resetGeometryEdit() {
+    Object.assign(geometryEditor, { drafts: [], removed: [], selection: [], sketch: [], cursor: null, undoStack: [], redoStack: [] });
+}
+
+function cancelGeometryEdits() {
+    if (!geometryEditor) return;
+    resetGeometryEdit();
+    renderGeometryEdit();
+}
+
+function setGeometryTool(tool) {
+    if (!geometryEditor) return;
+
+    // Clicking the active tool again turns it off
+    const next = tool && tool !== geometryEditor.tool ? tool : null;
+    geometryEditor.tool = next;
+    geometryEditor.sketch = [];
+    geometryEditor.cursor = null;
+
+    if (next) {
+        stopIdentifyMode();
+        clearMeasurements();
+    }
+
+    if (next === 'merge') {
+        // Start from the features selected in the attribute table
+        geometryEditor.selection = [...new Set(selectedFeatures
+            .filter(feature => feature.layerId === geometryEditor.layerId && feature.recordId)
+            .map(feature => String(feature.recordId)))];
+    } else {
+        geometryEditor.selection = [];
+    }
+
+    const drawing = GEOMETRY_DRAW_TOOLS.includes(next);
+    if (drawing) {
+        map.doubleClickZoom.disable();
+    } else {
+        map.doubleClickZoom.enable();
+    }
+    map.getContainer().style.cursor = drawing ? 'crosshair' : '';
+
+    document.querySelectorAll('#geometryEditToolbar [data-geometry-tool]').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-geometry-tool') === next);
+    });
+    renderGeometryEdit();
+}
+
+function pushGeometryHistory() {
+    const editor = geometryEditor;
+    editor.undoStack.push(JSON.stringify({ drafts: editor.drafts, removed: editor.removed, sketch: editor.sketch }));
+    if (editor.undoStack.length > GEOMETRY_HISTORY_LIMIT) {
+        editor.undoStack.shift();
+    }
+    editor.redoStack = [];
+}
+
+function restoreGeometryState(snapshot) {
+    Object.assign(geometryEditor, JSON.parse(snapshot), { cursor: null });
+    renderGeometryEdit();
+}
+
+function undoGeometryEdit() {
+    const editor = geometryEditor;
+    if (!editor || editor.undoStack.length === 0) return;
+    editor.redoStack.push(JSON.stringify({ drafts: editor.drafts, removed: editor.removed, sketch: editor.sketch }));
+    restoreGeometryState(editor.undoStack.pop());
+}
+
+function redoGeometryEdit() {
+    const editor = geometryEditor;
+    if (!editor || editor.redoStack.length === 0) return;
+    editor.undoStack.push(JSON.stringify({ drafts: editor.drafts, removed: editor.removed, sketch: editor.sketch }));
+    restoreGeometryState(editor.redoStack.pop());
+}
+
+// Hides the layer's own features for records that are being edited, so only
+// the draft is drawn, and shows them again once they are not.
+function syncGeometryEditFeatures(layer) {
+    const editing = new Set([...(geometryEditor?.drafts || []).map(draft => draft.recordId), ...(geometryEditor?.removed || [])]
+        .filter(Boolean)
+        .map(String));
+
+    layer.features.forEach(feature => {
+        if (editing.has(String(feature.recordId))) {
+            if (layer.leafletLayer.hasLayer(feature)) {
+                layer.leafletLayer.removeLayer(feature);
+                feature.hiddenForGeometryEdit = true;
+            }
+        } else if (feature.hiddenForGeometryEdit) {
+            layer.leafletLayer.addLayer(feature);
+            feature.hiddenForGeometryEdit = false;
+        }
+    });
+}
+
+function renderGeometryEdit() {
+    const editor = geometryEditor;
+    const layer = getGeometryEditLayer();
+    if (!editor || !layer) return;
+
+    geometryEditGroup.clearLayers();
+    editor.shapes = [];
+    editor.sketchLayer = null;
+    editor.snapMarker = null;
+    syncGeometryEditFeatures(layer);
+
+    editor.selection.forEach(recordId => {
+        const geometry = parseWKTGeometry(findLayerRecord(layer, recordId)?.fields[layer.geometryField]);
+        if (geometry) {
+            L.geoJSON(geometry, {
+                interactive: false,
+                style: GEOMETRY_SELECTED_STYLE,
+                pointToLayer: (point, latlng) => L.circleMarker(latlng, { radius: 9, ...GEOMETRY_SELECTED_STYLE })
+            }).addTo(geometryEditGroup);
+        }
+    });
+
+    editor.drafts.forEach((draft, index) => {
+        drawGeometryDraft(index);
+        if (editor.tool === 'vertex') {
+            addGeometryVertexHandles(index);
+        }
+    });
+
+    renderGeometrySketch();
+    updateGeometryEditStatus();
+}
+
+function drawGeometryDraft(index) {
+    const editor = geometryEditor;
+    if (editor.shapes[index]) {
+        geometryEditGroup.removeLayer(editor.shapes[index]);
+    }
+
+    const shape = L.geoJSON(editor.drafts[index].geometry, {
+        style: GEOMETRY_DRAFT_STYLE,
+        pointToLayer: (point, latlng) => L.circleMarker(latlng, { radius: 7, ...GEOMETRY_DRAFT_STYLE, dashArray: null })
+    }).addTo(geometryEditGroup);
+
+    if (editor.tool === 'move') {
+        shape.on('mousedown', e => startGeometryMove(e, index));
+    }
+    editor.shapes[index] = shape;
+}
+
+function addGeometryVertexHandles(draftIndex) {
+    const draft = geometryEditor.drafts[draftIndex];
+    const vertexIcon = L.divIcon({ className: 'geometry-vertex-handle', iconSize: [10, 10] });
+    const midpointIcon = L.divIcon({ className: 'geometry-midpoint-handle', iconSize: [8, 8] });
+
+    getGeometryPaths(draft.geometry).forEach(({ positions, closed, points }) => {
+        const vertexCount = closed ? positions.length - 1 : positions.length;
+        const minimum = points ? 1 : (closed ? 3 : 2);
+
+        for (let i = 0; i < vertexCount; i++) {
+            const handle = L.marker(toGeometryLatLng(positions[i]), { draggable: true, icon: vertexIcon, zIndexOffset: 1000 })
+                .addTo(geometryEditGroup);
+
+            handle.on('dragstart', () => pushGeometryHistory());
+            handle.on('drag', e => {
+                const position = snapGeometryPosition(e.latlng, draftIndex);
+                positions[i][0] = position[0];
+                positions[i][1] = position[1];
+                if (closed && i === 0) {
+                    positions[positions.length - 1] = [...position];
+                }
+                handle.setLatLng(toGeometryLatLng(position));
+                drawGeometryDraft(draftIndex);
+            });
+            handle.on('dragend', renderGeometryEdit);
+            handle.on('contextmenu', e => {
+                L.DomEvent.stop(e);
+                if (vertexCount <= minimum) {
+                    showWarning('This part has too few vertices to remove one');
+                    return;
+                }
+                pushGeometryHistory();
+                positions.splice(i, 1);
+                if (closed && i === 0) {
+                    positions[positions.length - 1] = [...positions[0]];
+                }
+                renderGeometryEdit();
+            });
+        }
+
+        if (points) return;
+
+        // Dragging or clicking a midpoint inserts a vertex there
+        const segmentCount = closed ? vertexCount : positions.length - 1;
+        for (let i = 0; i < segmentCount; i++) {
+            const a = positions[i];
+            const b = positions[i + 1];
+            const midpoint = L.marker(L.latLng((a[1] + b[1]) / 2, (a[0] + b[0]) / 2), { icon: midpointIcon, zIndexOffset: 900 })
+                .addTo(geometryEditGroup);
+            midpoint.on('click', e => {
+                L.DomEvent.stop(e);
+                pushGeometryHistory();
+                positions.splice(i + 1, 0, [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]);
+                renderGeometryEdit();
+            });
+        }
+    });
+}
+
+function renderGeometrySketch() {
+    const editor = geometryEditor;
+    if (editor.sketchLayer) {
+        geometryEditGroup.removeLayer(editor.sketchLayer);
+        editor.sketchLayer = null;
+    }
+    if (editor.sketch.length === 0) return;
+
+    const latlngs = [...editor.sketch, ...(editor.cursor ? [editor.cursor] : [])].map(toGeometryLatLng);
+    const style = { color: editor.tool === 'split' ? '#c0392b' : '#e67e22', weight: 2, dashArray: '4 4', fillOpacity: 0.1, interactive: false };
+
+    editor.sketchLayer = L.layerGroup([
+        editor.tool === 'draw-polygon' ? L.polygon(latlngs, style) : L.polyline(latlngs, style),
+        ...editor.sketch.map(position => L.circleMarker(toGeometryLatLng(position), { radius: 4, color: style.color, fillOpacity: 1, interactive: false }))
+    ]).addTo(geometryEditGroup);
+}
+
+function updateGeometryEditStatus() {
+    const editor = geometryEditor;
+    const hasTarget = editor.drafts.length > 0;
+    const messages = {
+        'draw-point': 'Click the map to place a point.',
+        'draw-line': 'Click to add vertices; double-click or press Enter to finish.',
+        'draw-polygon': 'Click to add vertices; double-click or press Enter to finish.',
+        vertex: hasTarget
+            ? 'Drag vertices to reshape, click a midpoint to add a vertex, right-click a vertex to remove it.'
+            : 'Click a feature to edit its vertices.',
+        move: hasTarget ? 'Drag the feature to move it.' : 'Click a feature to move it.',
+        split: hasTarget
+            ? 'Draw a line across the feature; double-click or press Enter to split.'
+            : 'Click a line or polygon to split.',
+        merge: `${editor.selection.length} selected. Click features to add or remove them.`
+    };
+
+    let html = escapeHtml(messages[editor.tool] || 'Pick a tool to draw or edit features.');
+    if (editor.tool === 'merge' && editor.selection.length >= 2) {
+        html += ` <button class="btn btn-link btn-sm p-0 align-baseline" onclick="mergeGeometrySelection()">Merge ${editor.selection.length} features</button>`;
+    }
+    if (isGeometryEditDirty()) {
+        html += ' <span class="text-warning">Unsaved changes.</span>';
+    }
+
+    document.getElementById('geometryEditStatus').innerHTML = html;
+    document.getElementById('geometryUndoBtn').disabled = editor.undoStack.length === 0;
+    document.getElementById('geometryRedoBtn').disabled = editor.redoStack.length === 0;
+    document.getElementById('geometrySaveBtn').disabled = !isGeometryEditDirty();
+}
+
+// Snaps to the nearest vertex, or failing that the nearest edge, of the
+// visible features and the other drafts within GEOMETRY_SNAP_PIXELS.
+function snapGeometryPosition(latlng, excludeDraft = null) {
+    const position = [latlng.lng, latlng.lat];
+    if (!document.getElementById('geometrySnapToggle')?.checked) return position;
+
+    const point = map.latLngToLayerPoint(latlng);
+    const area = L.latLngBounds(
+        map.layerPointToLatLng(point.subtract([GEOMETRY_SNAP_PIXELS, GEOMETRY_SNAP_PIXELS])),
+        map.layerPointToLatLng(point.add([GEOMETRY_SNAP_PIXELS, GEOMETRY_SNAP_PIXELS]))
+    );
+    let vertex = null;
+    let edge = null;
+
+    const considerPath = (latlngs, closed) => {
+        const points = latlngs.map(item => map.latLngToLayerPoint(item));
+        points.forEach((candidate, index) => {
+            const distance = candidate.distanceTo(point);
+            if (distance <= GEOMETRY_SNAP_PIXELS && (!vertex || distance < vertex.distance)) {
+                vertex = { distance, latlng: latlngs[index] };
+            }
+        });
+        const segmentCount = closed ? points.length : points.length - 1;
+        for (let i = 0; i < segmentCount; i++) {
+            const closest = L.LineUtil.closestPointOnSegment(point, points[i], points[(i + 1) % points.length]);
+            const distance = closest.distanceTo(point);
+            if (distance <= GEOMETRY_SNAP_PIXELS && (!edge || distance < edge.distance)) {
+                edge = { distance, latlng: map.layerPointToLatLng(closest) };
+            }
+        }
+    };
+
+    mapLayers.filter(layer => layer.visible && layer.features).forEach(layer => {
+        layer.features.forEach(feature => {
+            if (!layer.leafletLayer?.hasLayer(feature)) return;
+
+            if (feature.getLatLngs) {
+                if (!feature.getBounds().intersects(area)) return;
+                const closed = feature instanceof L.Polygon;
+                const latlngs = feature.getLatLngs();
+                // Polygons nest rings (and parts); polylines may nest parts
+                const paths = L.LineUtil.isFlat(latlngs) ? [latlngs] : latlngs.flat(L.LineUtil.isFlat(latlngs[0]) ? 0 : 1);
+                paths.forEach(path => considerPath(path, closed));
+            } else if (feature.getLatLng && area.contains(feature.getLatLng())) {
+                considerPath([feature.getLatLng()], false);
+            }
+        });
+    });
+
+    geometryEditor.drafts.forEach((draft, index) => {
+        if (index === excludeDraft) return;
+        getGeometryPaths(draft.geometry).forEach(({ positions, closed }) => {
+            considerPath((closed ? positions.slice(0, -1) : positions).map(toGeometryLatLng), closed);
+        });
+    });
+
+    // Closing a polygon onto its first vertex
+    if (geometryEditor.sketch.length > 2) {
+        considerPath([toGeometryLatLng(geometryEditor.sketch[0])], false);
+    }
+
+    const snapped = vertex || edge;
+    return snapped ? [snapped.latlng.lng, snapped.latlng.lat] : position;
+}
+
+function canStartNewGeometryEdit() {
+    if (geometryEditor.drafts.length > 0 || geometryEditor.removed.length > 0) {
+        if (isGeometryEditDirty()) {
+            showWarning('Save or discard the current changes first');
+            return false;
+        }
+        geometryEditor.drafts = [];
+        geometryEditor.removed = [];
+    }
+    return true;
+}
+
+function addGeometrySketchPoint(latlng) {
+    const editor = geometryEditor;
+    const position = snapGeometryPosition(latlng);
+
+    if (editor.tool === 'draw-point') {
+        if (!canStartNewGeometryEdit()) return;
+        pushGeometryHistory();
+        editor.drafts = [{ recordId: null, geometry: { type: 'Point', coordinates: position } }];
+        renderGeometryEdit();
+        return;
+    }
+
+    if (editor.tool === 'split' && editor.drafts.length === 0) return;
+    if (editor.tool !== 'split' && editor.sketch.length === 0 && !canStartNewGeometryEdit()) return;
+
+    pushGeometryHistory();
+    editor.sketch.push(position);
+    renderGeometryEdit();
+}
+
+function finishGeometrySketch() {
+    const editor = geometryEditor;
+    if (!editor || editor.sketch.length === 0) return;
+
+    const positions = withoutRepeatedPositions(editor.sketch);
+    try {
+        if (editor.tool === 'draw-line') {
+            if (positions.length < 2) throw new Error('A line needs at least two vertices');
+            pushGeometryHistory();
+            editor.drafts = [{ recordId: null, geometry: { type: 'LineString', coordinates: positions } }];
+        } else if (editor.tool === 'draw-polygon') {
+            if (positions.length > 3 && sameGeometryPosition(positions[0], positions[positions.length - 1])) {
+                positions.pop();
+            }
+            if (positions.length < 3) throw new Error('A polygon needs at least three vertices');
+            pushGeometryHistory();
+            editor.drafts = [{ recordId: null, geometry: { type: 'Polygon', coordinates: [[...positions, [...positions[0]]]] } }];
+        } else if (editor.tool === 'split') {
+            if (positions.length < 2) throw new Error('The split line needs at least two vertices');
+            const target = editor.drafts[0];
+            if (!target.recordId) throw new Error('Save the new feature before splitting it');
+            // Neighbouring pieces share their crossing points; copy them so each edits on its own
+            const pieces = JSON.parse(JSON.stringify(splitGeometry(target.geometry, positions)));
+            pushGeometryHistory();
+            editor.drafts = [
+                { ...target, geometry: pieces[0] },
+                ...pieces.slice(1).map(geometry => ({ recordId: null, geometry, copyFrom: target.recordId }))
+            ];
+            showInfo(`Split into ${pieces.length} features. Save to keep the change.`);
+        }
+    } catch (error) {
+        showWarning(error.message);
+        return;
+    }
+
+    editor.sketch = [];
+    editor.cursor = null;
+    renderGeometryEdit();
+}
+
+// Starts editing a record's geometry with the vertex, move or split tool
+function selectGeometryFeature(recordId) {
+    const editor = geometryEditor;
+    const layer = getGeometryEditLayer();
+
+    if (editor.tool === 'merge') {
+        const id = String(recordId);
+        editor.selection = editor.selection.includes(id)
+            ? editor.selection.filter(item => item !== id)
+            : [...editor.selection, id];
+        renderGeometryEdit();
+        return;
+    }
+
+    if (!['vertex', 'move', 'split'].includes(editor.tool)) return;
+    if (editor.drafts.some(draft => String(draft.recordId) === String(recordId))) return;
+    if (!canStartNewGeometryEdit()) return;
+
+    const geometry = parseWKTGeometry(findLayerRecord(layer, recordId)?.fields[layer.geometryField]);
+    if (!geometry) {
+        showError('The geometry of this feature cannot be edited');
+        return;
+    }
+    if (editor.tool === 'split' && getGeometryFamily(geometry.type) === 'point') {
+        showWarning('Only lines and polygons can be split');
+        return;
+    }
+
+    editor.drafts = [{ recordId: findLayerRecord(layer, recordId).id, geometry }];
+    editor.undoStack = [];
+    editor.redoStack = [];
+    renderGeometryEdit();
+}
+
+function mergeGeometrySelection() {
+    const editor = geometryEditor;
+    const layer = getGeometryEditLayer();
+    if (!editor || editor.selection.length < 2) return;
+    if (!canStartNewGeometryEdit()) return;
+
+    try {
+        const records = editor.selection.map(recordId => findLayerRecord(layer, recordId)).filter(Boolean);
+        const geometries = records.map(record => parseWKTGeometry(record.fields[layer.geometryField]));
+        if (geometries.some(geometry => !geometry)) {
+            throw new Error('A selected feature has a geometry that cannot be merged');
+        }
+
+        const merged = mergeGeometries(geometries);
+        pushGeometryHistory();
+        editor.drafts = [{ recordId: records[0].id, geometry: merged }];
+        editor.removed = records.slice(1).map(record => record.id);
+        editor.selection = [];
+        showInfo(`Merged ${records.length} features into the first selected one. Save to keep the change.`);
+        renderGeometryEdit();
+    } catch (error) {
+        showWarning(error.message);
+    }
+}
+
+function startGeometryMove(e, draftIndex) {
+    L.DomEvent.stop(e);
+    const draft = geometryEditor.drafts[draftIndex];
+    const original = JSON.parse(JSON.stringify(draft.geometry));
+    const start = e.latlng;
+
+    // The vertex nearest the grab point is the one that snaps
+    let anchor = null;
+    getGeometryPaths(original).forEach(({ positions }) => positions.forEach(position => {
+        const distance = toGeometryLatLng(position).distanceTo(start);
+        if (!anchor || distance < anchor.distance) anchor = { distance, position };
+    }));
+
+    pushGeometryHistory();
+    let moved = false;
+    map.dragging.disable();
+
+    const onMove = event => {
+        const target = L.latLng(
+            anchor.position[1] + event.latlng.lat - start.lat,
+            anchor.position[0] + event.latlng.lng - start.lng
+        );
+        const snapped = snapGeometryPosition(target, draftIndex);
+        const dx = snapped[0] - anchor.position[0];
+        const dy = snapped[1] - anchor.position[1];
+
+        draft.geometry = {
+            type: original.type,
+            coordinates: mapGeometryPositions(original.coordinates, position => [position[0] + dx, position[1] + dy])
+        };
+        moved = true;
+        drawGeometryDraft(draftIndex);
+    };
+    const onUp = () => {
+        map.off('mousemove', onMove);
+        map.off('mouseup', onUp);
+        map.dragging.enable();
+        if (!moved) {
+            geometryEditor.undoStack.pop();
+        }
+        renderGeometryEdit();
+    };
+
+    map.on('mousemove', onMove);
+    map.on('mouseup', onUp);
+}
+
+function onGeometryEditMapClick(e) {
+    if (!GEOMETRY_DRAW_TOOLS.includes(geometryEditor?.tool)) return;
+    map.closePopup();
+    addGeometrySketchPoint(e.latlng);
+}
+
+function onGeometryEditFeatureClick(e) {
+    if (!geometryEditor?.tool) return;
+
+    // Editing replaces the popup while a tool is active
+    L.DomEvent.stopPropagation(e);
+    map.closePopup();
+
+    if (GEOMETRY_DRAW_TOOLS.includes(geometryEditor.tool) &&
+        (geometryEditor.tool !== 'split' || geometryEditor.drafts.length > 0)) {
+        addGeometrySketchPoint(e.latlng);
+    } else {
+        selectGeometryFeature(this.recordId);
+    }
+}
+
+function onGeometryEditDoubleClick(e) {
+    if (geometryEditor?.sketch.length > 0) {
+        L.DomEvent.stop(e);
+        finishGeometrySketch();
+    }
+}
+
+function onGeometryEditMouseMove(e) {
+    const editor = geometryEditor;
+    if (!GEOMETRY_DRAW_TOOLS.includes(editor?.tool)) return;
+
+    const position = snapGeometryPosition(e.latlng);
+    const snapped = position[0] !== e.latlng.lng || position[1] !== e.latlng.lat;
+
+    if (snapped) {
+        if (!editor.snapMarker) {
+            editor.snapMarker = L.circleMarker(toGeometryLatLng(position), { radius: 6, color: '#8e44ad', fillOpacity: 0, interactive: false })
+                .addTo(geometryEditGroup);
+        }
+        editor.snapMarker.setLatLng(toGeometryLatLng(position));
+    } else if (editor.snapMarker) {
+        geometryEditGroup.removeLayer(editor.snapMarker);
+        editor.snapMarker = null;
+    }
+
+    if (editor.sketch.length > 0) {
+        editor.cursor = position;
+        renderGeometrySketch();
+    }
+}
+
+function onGeometryEditKeyDown(e) {
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && key === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) {
+            redoGeometryEdit();
+        } else {
+            undoGeometryEdit();
+        }
+    } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+        e.preventDefault();
+        redoGeometryEdit();
+    } else if (key === 'enter') {
+        finishGeometrySketch();
+    } else if (key === 'escape') {
+        if (geometryEditor.sketch.length > 0) {
+            geometryEditor.sketch = [];
+            geometryEditor.cursor = null;
+            renderGeometryEdit();
+        } else {
+            setGeometryTool(null);
+        }
+    }
+}
+
+async function saveGeometryEdits() {
+    const editor = geometryEditor;
+    const layer = getGeometryEditLayer();
+    if (!editor || !layer) return;
+
+    if (editor.sketch.length > 0) {
+        showWarning('Finish or discard the line you are drawing first');
+        return;
+    }
+    if (!isGeometryEditDirty()) {
+        showInfo('No geometry changes to save');
+        return;
+    }
+
+    const blocker = getGeometryEditBlocker(layer);
+    if (blocker) {
+        showError(blocker);
+        return;
+    }
+    if (editor.drafts.some(draft => !isValidDraftGeometry(draft.geometry))) {
+        showError('A line needs at least two vertices and a polygon at least three');
+        return;
+    }
+
+    // A newly drawn feature goes through the new record form for its attributes
+    const drawn = editor.drafts.find(draft => !draft.recordId && !draft.copyFrom);
+    if (drawn) {
+        pendingRecordGeometry = { layerId: layer.id, wkt: geometryToWKT(drawn.geometry) };
+        await addNewRecord(layer.id);
+        const modalElement = document.getElementById('newRecordModal');
+        if (modalElement) {
+            modalElement.addEventListener('hidden.bs.modal', () => {
+                pendingRecordGeometry = null;
+            }, { once: true });
+        } else {
+            pendingRecordGeometry = null;
+        }
+        return;
+    }
+
+    if (editor.removed.length > 0 &&
+        !confirm(`Merging deletes ${editor.removed.length} record(s); the first selected record keeps the combined geometry. Continue?`)) {
+        return;
+    }
+
+    const saveBtn = document.getElementById('geometrySaveBtn');
+    saveBtn.disabled = true;
+    saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+
+    try {
+        // Each write is recorded on the draft as it succeeds, so a retry after
+        // a failure neither duplicates new records nor deletes twice
+        for (const draft of editor.drafts) {
+            const wkt = geometryToWKT(draft.geometry);
+
+            if (draft.recordId) {
+                await window.teableAPI.updateRecord(layer.tableId, draft.recordId, { [layer.geometryField]: wkt });
+                const record = findLayerRecord(layer, draft.recordId);
+                if (record) record.fields[layer.geometryField] = wkt;
+            } else {
+                // Split pieces keep the attributes of the feature they came from
+                const source = findLayerRecord(layer, draft.copyFrom);
+                const fields = {};
+                Object.entries(source?.fields || {}).forEach(([name, value]) => {
+                    if (name !== layer.geometryField && getFieldPermission(name, layer) === 'edit') {
+                        fields[name] = value;
+                    }
+                });
+                fields[layer.geometryField] = wkt;
+
+                const created = await window.teableAPI.createRecord(layer.tableId, fields);
+                if (!created?.id) throw new Error('Record creation returned empty result');
+                layer.records.push({ ...created, fields: { ...fields, ...created.fields } });
+                draft.recordId = created.id;
+            }
+        }
+
+        while (editor.removed.length > 0) {
+            const recordId = editor.removed[0];
+            await window.teableAPI.deleteRecord(layer.tableId, recordId);
+            layer.records = layer.records.filter(record => String(record.id) !== String(recordId));
+            editor.removed.shift();
+        }
+
+        const count = editor.drafts.length;
+        resetGeometryEdit();
+        await refreshEditedLayer(layer);
+        showSuccess(`Saved ${count} feature geometr${count === 1 ? 'y' : 'ies'} to "${layer.name}"`);
+
+        try {
+            const currentUser = window.teableAuth?.getCurrentSession();
+            if (currentUser && window.teableAPI?.logActivity) {
+                await window.teableAPI.logActivity(
+                    currentUser.email,
+                    'geometry_edited',
+                    `Edited ${count} feature geometries in layer "${layer.name}"`
+                );
+            }
+        } catch (logError) {
+            console.log('Failed to log activity:', logError.message);
+        }
+    } catch (error) {
+        console.error('Error saving geometry edits:', error);
+        showError('Failed to save geometry: ' + error.message);
+    } finally {
+        saveBtn.innerHTML = '<i class="fas fa-save"></i>';
+        if (geometryEditor) {
+            renderGeometryEdit();
+        }
+    }
+}
+
+// Called by saveNewRecord once a drawn feature has been stored
+function completeDrawnRecord(layer) {
+    if (geometryEditor?.layerId === layer.id) {
+        resetGeometryEdit();
+    }
+    rebuildLayerFeatures(layer);
+    if (geometryEditor) {
+        renderGeometryEdit();
+    }
+}
+
+async function refreshEditedLayer(layer) {
+    // The docked table reloads the layer's records when it is showing them
+    if (document.querySelector(`#dockedAttributeTable tr[data-table-id="${layer.tableId}"]`)) {
+        await refreshAttributeTable(layer.id);
+    }
+    rebuildLayerFeatures(layer);
+    updateLayersList();
+    updateMapStatistics();
+}
+
+// Redraws every feature of a layer from its records after geometry changes
+function rebuildLayerFeatures(layer) {
+    layer.features.forEach(feature => layer.leafletLayer.removeLayer(feature));
+    for (let i = selectedFeatures.length - 1; i >= 0; i--) {
+        if (selectedFeatures[i].layerId === layer.id) selectedFeatures.splice(i, 1);
+    }
+
+    layer.features = layer.records.flatMap((record, index) => createRecordFeatures(record, index, layer));
+    layer.features.forEach(feature => layer.leafletLayer.addLayer(feature));
+    layer.featureCount = layer.records.length;
+
+    updateLayerBounds(layer);
+    applyLayerStyling(layer);
+    if (layer.properties?.labels?.enabled) {
+        applyLabelsToLayer(layer);
+    }
+    if (geometryEditor?.layerId === layer.id) {
+        bindGeometryEditHandlers(layer);
+    }
+}
+
+// Spatial analysis: buffer, intersect, dissolve, clip, centroid and spatial
+// join between map layers, using turf. Layers whose features are all loaded
+// are analysed in the browser; vector tile layers and layers at the record
+// load limit run on the server over the whole table. Results are temporary
+// layers until saved as a new table.
+const ANALYSIS_CLIENT_FEATURE_LIMIT = 1000;
+const ANALYSIS_OPERATIONS = {
+    buffer: { label: 'Buffer', overlay: false },
+    intersect: { label: 'Intersect', overlay: true },
+    dissolve: { label: 'Union / dissolve', overlay: false },
+    clip: { label: 'Clip', overlay: true },
+    centroid: { label: 'Centroid', overlay: false },
+    'spatial-join': { label: 'Spatial join (point in polygon)', overlay: true }
+};
+const ANALYSIS_RESULT_COLORS = ['#e67e22', '#9b59b6', '#16a085', '#c0392b', '#2c3e50'];
+let analysisResultCount = 0;
+
+function needsServerAnalysis(layer) {
+    return layer.renderMode === 'vectortile' || (layer.records || []).length >= ANALYSIS_CLIENT_FEATURE_LIMIT;
+}
+
+async function getAnalysisLayerFields(layer) {
+    if (layer.records?.length > 0) {
+        return Object.keys(layer.records[0].fields || {}).filter(field => field !== layer.geometryField);
+    }
+    if (!layer.tableId) return [];
+
+    try {
+        const fields = await window.teableAPI.getTableFields(layer.tableId);
+        return fields.map(field => field.name).filter(name => name !== layer.geometryField);
+    } catch (error) {
+        console.error('Error loading analysis fields:', error);
+        return [];
+    }
+}
+
+function showAnalysisDialog() {
+    if (mapLayers.length === 0) {
+        showError('Add a layer before running an analysis');
+        return;
+    }
+
+    const options = mapLayers.map(layer => `<option value="${layer.id}">${escapeHtml(layer.name)}</option>`).join('');
+    document.getElementById('analysisInputLayer').innerHTML = options;
+    document.getElementById('analysisOverlayLayer').innerHTML = options;
+    if (mapLayers.length > 1) {
+        document.getElementById('analysisOverlayLayer').selectedIndex = 1;
+    }
+
+    updateAnalysisForm();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('analysisModal')).show();
+}
+
+async function updateAnalysisForm() {
+    const operation = document.getElementById('analysisOperation').value;
+    const { overlay } = ANALYSIS_OPERATIONS[operation];
+    const inputLayer = mapLayers.find(layer => layer.id === document.getElementById('analysisInputLayer').value);
+    const overlayLayer = mapLayers.find(layer => layer.id === document.getElementById('analysisOverlayLayer').value);
+
+    document.getElementById('analysisOverlayGroup').style.display = overlay ? 'block' : 'none';
+    document.getElementById('analysisBufferOptions').style.display = operation === 'buffer' ? 'block' : 'none';
+    document.getElementById('analysisDissolveOptions').style.display = operation === 'dissolve' ? 'block' : 'none';
+    document.getElementById('analysisJoinOptions').style.display = operation === 'spatial-join' ? 'block' : 'none';
+    document.getElementById('analysisResultName').placeholder = inputLayer
+        ? `${inputLayer.name} - ${ANALYSIS_OPERATIONS[operation].label}`
+        : '';
+
+    const operands = [inputLayer, overlay ? overlayLayer : null].filter(Boolean);
+    const onServer = operands.some(needsServerAnalysis);
+    document.getElementById('analysisLocation').textContent = onServer
+        ? 'Runs on the server over the whole table.'
+        : 'Runs in the browser over the loaded features.';
+
+    const fieldOptions = fields => fields.map(field => `<option value="${escapeHtml(field)}">${escapeHtml(field)}</option>`).join('');
+    if (operation === 'dissolve' && inputLayer) {
+        document.getElementById('analysisDissolveField').innerHTML =
+            '<option value="">All features</option>' + fieldOptions(await getAnalysisLayerFields(inputLayer));
+    }
+    if (operation === 'spatial-join' && overlayLayer) {
+        document.getElementById('analysisJoinFields').innerHTML = fieldOptions(await getAnalysisLayerFields(overlayLayer));
+    }
+}
+
+function readAnalysisOptions(operation) {
+    switch (operation) {
+        case 'buffer':
+            return {
+                distance: parseFloat(document.getElementById('analysisBufferDistance').value),
+                units: document.getElementById('analysisBufferUnits').value,
+                dissolve: document.getElementById('analysisBufferDissolve').checked
+            };
+        case 'dissolve':
+            return { field: document.getElementById('analysisDissolveField').value || null };
+        case 'spatial-join': {
+            const fields = Array.from(document.getElementById('analysisJoinFields').selectedOptions).map(option => option.value);
+            return {
+                fields: fields.length > 0 ? fields : null,
+                keepUnmatched: document.getElementById('analysisJoinKeepUnmatched').checked
+            };
+        }
+        default:
+            return {};
+    }
+}
+
+function getAnalysisFeatures(layer) {
+    return (layer.records || []).map(record => {
+        const geometry = parseWKTGeometry(record.fields[layer.geometryField]);
+        if (!geometry) return null;
+
+        const properties = { ...record.fields };
+        delete properties[layer.geometryField];
+        return { type: 'Feature', geometry, properties };
+    }).filter(Boolean);
+}
+
+function unionAnalysisGeometries(geometries) {
+    if (geometries.length === 1) return geometries[0];
+    return turf.union(turf.featureCollection(geometries.map(geometry => turf.feature(geometry))))?.geometry || null;
+}
+
+// Overlay values are added to the input's; names already used get a _2 suffix
+function mergeAnalysisProperties(base, extra, fields = null) {
+    const merged = { ...base };
+    (fields || Object.keys(extra)).forEach(key => {
+        if (!(key in extra)) return;
+        merged[key in merged ? `${key}_2` : key] = extra[key];
+    });
+    return merged;
+}
+
+// The part of a geometry inside a polygon, or null. Lines are split where
+// they cross the boundary and the pieces whose midpoint is inside are kept.
+function intersectAnalysisGeometry(geometry, polygon) {
+    const mask = turf.feature(polygon);
+    const family = getGeometryFamily(geometry.type);
+
+    if (family === 'polygon') {
+        return turf.intersect(turf.featureCollection([turf.feature(geometry), mask]))?.geometry || null;
+    }
+
+    if (family === 'line') {
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+        const pieces = lines.flatMap(line => {
+            const feature = turf.lineString(line);
+            const split = turf.lineSplit(feature, mask).features;
+            return (split.length > 0 ? split : [feature])
+                .filter(piece => turf.booleanPointInPolygon(turf.along(piece, turf.length(piece) / 2), mask));
+        });
+        return pieces.length > 0 ? combineGeometryParts('LineString', pieces.map(piece => piece.geometry.coordinates)) : null;
+    }
+
+    const points = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+    const inside = points.filter(point => turf.booleanPointInPolygon(point, mask));
+    return inside.length > 0 ? combineGeometryParts('Point', inside) : null;
+}
+
+function getAnalysisPoint(geometry) {
+    if (geometry.type === 'Point') return geometry.coordinates;
+    return (getGeometryFamily(geometry.type) === 'polygon' ? turf.centerOfMass(geometry) : turf.centroid(geometry)).geometry.coordinates;
+}
+
+function boxesOverlap(a, b) {
+    return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+// Same operations and result shape as the server's utils/spatial-analysis.js
+function runAnalysisInBrowser(operation, inputFeatures, overlayFeatures, options) {
+    let skipped = 0;
+    const attempt = run => {
+        try {
+            return run();
+        } catch (error) {
+            skipped++;
+            return [];
+        }
+    };
+    const feature = (geometry, properties) => ({ type: 'Feature', geometry, properties });
+
+    const polygons = overlayFeatures
+        .filter(item => getGeometryFamily(item.geometry.type) === 'polygon')
+        .map(item => ({ ...item, bbox: turf.bbox(item) }));
+    const overlapping = geometry => {
+        const box = turf.bbox(geometry);
+        return polygons.filter(polygon => boxesOverlap(box, polygon.bbox));
+    };
+
+    let features = [];
+    switch (operation) {
+        case 'buffer': {
+            features = inputFeatures.flatMap(item => attempt(() => {
+                const buffered = turf.buffer(item, options.distance, { units: options.units });
+                return buffered ? [feature(buffered.geometry, { ...item.properties })] : [];
+            }));
+            if (options.dissolve && features.length > 0) {
+                features = [feature(unionAnalysisGeometries(features.map(item => item.geometry)), { count: features.length })];
+            }
+            break;
+        }
+        case 'dissolve': {
+            const groups = new Map();
+            inputFeatures.forEach(item => {
+                if (getGeometryFamily(item.geometry.type) !== 'polygon') {
+                    skipped++;
+                    return;
+                }
+                const value = options.field ? item.properties[options.field] ?? null : null;
+                const key = JSON.stringify(value);
+                if (!groups.has(key)) groups.set(key, { value, geometries: [] });
+                groups.get(key).geometries.push(item.geometry);
+            });
+            features = [...groups.values()].flatMap(({ value, geometries }) => attempt(() => [feature(
+                unionAnalysisGeometries(geometries),
+                options.field ? { [options.field]: value, count: geometries.length } : { count: geometries.length }
+            )]));
+            break;
+        }
+        case 'centroid':
+            features = inputFeatures.flatMap(item => attempt(() =>
+                [feature({ type: 'Point', coordinates: getAnalysisPoint(item.geometry) }, { ...item.properties })]));
+            break;
+        case 'intersect':
+            features = inputFeatures.flatMap(item => attempt(() => overlapping(item.geometry)
+                .map(polygon => {
+                    const geometry = intersectAnalysisGeometry(item.geometry, polygon.geometry);
+                    return geometry && feature(geometry, mergeAnalysisProperties(item.properties, polygon.properties));
+                })
+                .filter(Boolean)));
+            break;
+        case 'clip': {
+            if (polygons.length === 0) break;
+            const mask = unionAnalysisGeometries(polygons.map(polygon => polygon.geometry));
+            const maskBox = turf.bbox(mask);
+            features = inputFeatures.flatMap(item => attempt(() => {
+                if (!boxesOverlap(turf.bbox(item.geometry), maskBox)) return [];
+                const geometry = intersectAnalysisGeometry(item.geometry, mask);
+                return geometry ? [feature(geometry, { ...item.properties })] : [];
+            }));
+            break;
+        }
+        case 'spatial-join':
+            features = inputFeatures.flatMap(item => attempt(() => {
+                const point = getAnalysisPoint(item.geometry);
+                const containing = overlapping({ type: 'Point', coordinates: point })
+                    .filter(polygon => turf.booleanPointInPolygon(point, polygon));
+                if (containing.length === 0 && !options.keepUnmatched) return [];
+
+                const properties = containing.length > 0
+                    ? mergeAnalysisProperties(item.properties, containing[0].properties, options.fields)
+                    : { ...item.properties };
+                return [feature(item.geometry, { ...properties, join_count: containing.length })];
+            }));
+            break;
     }
 
-    let html = '';
-    currentFilters.forEach(filter => {
-        const layer = mapLayers.find(l => l.id === filter.layerId);
-        const layerName = layer ? layer.name : 'Unknown Layer';
+    features = features.filter(item => item.geometry);
+    return {
+        type: 'FeatureCollection',
+        features,
+        metadata: {
+            operation,
+            inputCount: inputFeatures.length,
+            overlayCount: ANALYSIS_OPERATIONS[operation].overlay ? polygons.length : null,
+            resultCount: features.length,
+            skipped
+        }
+    };
+}
 
-        html += `
+async function runSpatialAnalysis() {
+    if (typeof turf === 'undefined') {
+        showError('The analysis library failed to load');
+        return;
+    }
+
+    const operation = document.getElementById('analysisOperation').value;
+    const inputLayer = mapLayers.find(layer => layer.id === document.getElementById('analysisInputLayer').value);
+    const overlayLayer = ANALYSIS_OPERATIONS[operation].overlay
+        ? mapLayers.find(layer => layer.id === document.getElementById('analysisOverlayLayer').value)
+        : null;
+    const options = readAnalysisOptions(operation);
+
+    if (!inputLayer || (ANALYSIS_OPERATIONS[operation].overlay && !overlayLayer)) {
+        showError('Choose the layers to analyse');
+        return;
+    }
+    if (operation === 'buffer' && !(options.distance > 0)) {
+        showError('Enter a buffer distance greater than 0');
+        return;
+    }
+
+    const operands = [inputLayer, overlayLayer].filter(Boolean);
+    const onServer = operands.some(needsServerAnalysis);
+    const notInTable = operands.find(layer => !layer.tableId);
+    if (onServer && notInTable) {
+        showError(`"${escapeHtml(notInTable.name)}" is not saved as a table, so it cannot be combined with a layer analysed on the server. Save it as a table first.`);
+        return;
+    }
+
+    const runBtn = document.getElementById('runAnalysisBtn');
+    runBtn.disabled = true;
+    runBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Running...';
+
+    try {
+        let result;
+        if (onServer) {
+            const session = window.teableAPI.getProxySession();
+            if (!session) {
+                throw new Error('Server-side analysis requires a customer login');
+            }
+            const dataAdapter = new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource);
+            result = await dataAdapter.runAnalysis(operation, {
+                inputTableId: inputLayer.tableId,
+                overlayTableId: overlayLayer?.tableId,
+                options
+            });
+        } else {
+            result = runAnalysisInBrowser(operation, getAnalysisFeatures(inputLayer), overlayLayer ? getAnalysisFeatures(overlayLayer) : [], options);
+        }
+
+        if (result.features.length === 0) {
+            showWarning(`${ANALYSIS_OPERATIONS[operation].label} produced no features`);
+            return;
+        }
+
+        const name = document.getElementById('analysisResultName').value.trim() ||
+            `${inputLayer.name} - ${ANALYSIS_OPERATIONS[operation].label}`;
+        const layer = await addAnalysisResultLayer(result, name, {
+            operation,
+            inputLayerId: inputLayer.id,
+            overlayLayerId: overlayLayer?.id || null
+        });
+
+        bootstrap.Modal.getInstance(document.getElementById('analysisModal'))?.hide();
+        document.getElementById('analysisResultName').value = '';
+
+        const skipped = result.metadata.skipped > 0 ? ` ${result.metadata.skipped} input features could not be processed.` : '';
+        showSuccess(`Created "${escapeHtml(layer.name)}" with ${result.features.length} features.${skipped}`);
+    } catch (error) {
+        console.error('Analysis error:', error);
+        showError('Analysis failed: ' + error.message);
+    } finally {
+        runBtn.disabled = false;
+        runBtn.innerHTML = '<i class="fas fa-play me-1"></i>Run';
+    }
+}
+
+// Results are kept as in-memory records with a WKT geometry field, like
+// table layers, so styling, labels and the attribute table work on them.
+async function addAnalysisResultLayer(result, name, analysis) {
+    const created = Date.now();
+    const records = result.features
+        .filter(feature => feature.geometry.type !== 'GeometryCollection')
+        .map((feature, index) => ({
+            id: `analysis-${created}-${index}`,
+            fields: { ...feature.properties, geometry: geometryToWKT(feature.geometry) }
+        }));
+
+    const layer = await createLayerFromData(records, {
+        id: created.toString(),
+        name,
+        tableId: null,
+        geometryField: 'geometry',
+        color: ANALYSIS_RESULT_COLORS[analysisResultCount++ % ANALYSIS_RESULT_COLORS.length],
+        visible: true,
+        type: 'analysis',
+        analysis
+    });
+
+    if (layer.bounds) {
+        map.fitBounds(layer.bounds.pad(0.1));
+    }
+    updateLayersList();
+    updateMapStatistics();
+    updateLayerSelectors();
+    return layer;
+}
+
+// Saving goes through the import pipeline: the result is uploaded as a
+// GeoJSON file and committed into a new table, which replaces the layer.
+let savingAnalysisLayerId = null;
+
+function showSaveAnalysisDialog(layerId) {
+    const layer = mapLayers.find(l => l.id === layerId);
+    if (!layer?.analysis) return;
+
+    if (window.CUSTOMER_CONFIG?.dataSource === 'google_sheets') {
+        showError('Analysis results can only be saved as new tables in Teable');
+        return;
+    }
+
+    savingAnalysisLayerId = layerId;
+    document.getElementById('saveAnalysisTableName').value = layer.name;
+    document.getElementById('saveAnalysisFeatureCount').textContent = layer.records.length;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('saveAnalysisModal')).show();
+}
+
+async function saveAnalysisLayer() {
+    const layer = mapLayers.find(l => l.id === savingAnalysisLayerId);
+    if (!layer) return;
+
+    const tableName = document.getElementById('saveAnalysisTableName').value.trim();
+    if (!tableName) {
+        showError('Please enter a table name');
+        return;
+    }
+
+    const saveBtn = document.getElementById('saveAnalysisBtn');
+    saveBtn.disabled = true;
+    saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Saving...';
+
+    try {
+        const collection = {
+            type: 'FeatureCollection',
+            features: layer.records.map(record => {
+                const properties = { ...record.fields };
+                delete properties[layer.geometryField];
+                return { type: 'Feature', geometry: parseWKTGeometry(record.fields[layer.geometryField]), properties };
+            })
+        };
+        const file = new File([JSON.stringify(collection)], `${tableName}.geojson`, { type: 'application/geo+json' });
+
+        const dataAdapter = getImportDataAdapter();
+        const preview = await dataAdapter.previewImport(file);
+        const started = await dataAdapter.commitImport(preview.importId, { tableName });
+        const imported = await waitForImport(dataAdapter, started.importId);
+
+        if (imported.status === 'failed') {
+            throw new Error(imported.error || 'Import failed');
+        }
+
+        const { target } = imported;
+        const recordsData = await window.teableAPI.getRecords(target.tableId, { limit: 1000 });
+        const saved = await createLayerFromData(recordsData.records || [], {
+            id: Date.now().toString(),
+            name: target.tableName,
+            tableId: target.tableId,
+            geometryField: 'geometry',
+            color: layer.properties.symbology.fillColor,
+            visible: layer.visible,
+            type: 'table',
+            fieldPermissions: await loadFieldPermissionsForTable(target.tableId)
+        });
+
+        // The saved layer takes the temporary layer's place in the list
+        map.removeLayer(getDisplayedLayer(layer));
+        if (layer.labelGroup) map.removeLayer(layer.labelGroup);
+        mapLayers.splice(mapLayers.indexOf(saved), 1);
+        mapLayers.splice(mapLayers.indexOf(layer), 1, saved);
+
+        updateLayersList();
+        updateMapStatistics();
+        updateLayerSelectors();
+        bootstrap.Modal.getInstance(document.getElementById('saveAnalysisModal'))?.hide();
+        showSuccess(`Saved ${imported.progress.succeeded} features to table "${escapeHtml(target.tableName)}"`);
+    } catch (error) {
+        console.error('Error saving analysis result:', error);
+        showError('Failed to save the result: ' + error.message);
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.innerHTML = '<i class="fas fa-save me-1"></i>Save';
+    }
+}
+
+// Filter functionality
+//
+// Each layer can have a filter expression (see filter-expression.js), kept in
+// layerFilters[layerId] as { expression, matchIds, total }. Layers backed by a
+// table are filtered by the server over the whole table: matchIds holds the
+// matching record ids and total their count. Without a customer login
+// matchIds is null and the loaded features are matched in the browser.
+// ?filters= holds the applied expressions by table id.
+let filterBuilder = null;
+const MAX_FILTER_MATCHES = 1000;
+
+function getFilterBuilder() {
+    if (!filterBuilder) {
+        filterBuilder = new FilterBuilder(document.getElementById('filterBuilder'), {
+            getBounds: () => map.getBounds().toBBoxString().split(',').map(Number)
+        });
+    }
+    return filterBuilder;
+}
+
+function getFilterFields(layer) {
+    if (!layer.records || layer.records.length === 0) return [];
+
+    const allFields = Object.keys(layer.records[0].fields || {}).filter(field => field !== layer.geometryField);
+    return filterFieldsByPermissions(allFields, layer).map(field => ({
+        name: field,
+        type: FilterExpression.toValueType(detectFieldType(layer, field))
+    }));
+}
+
+// Shows the selected layer's filter in the builder
+function loadFilterFields() {
+    const builder = getFilterBuilder();
+    const layer = mapLayers.find(l => l.id === document.getElementById('filterLayer').value);
+
+    builder.setFields(layer ? getFilterFields(layer) : []);
+    builder.setExpression(layer ? layerFilters[layer.id]?.expression : null);
+}
+
+function addFilterRule() {
+    if (!document.getElementById('filterLayer').value) {
+        showWarning('Please select a layer to filter');
+        return;
+    }
+    getFilterBuilder().addCondition();
+}
+
+function updateFilterRulesDisplay() {
+    const container = document.getElementById('filterRules');
+
+    if (!container) return;
+
+    const filtered = mapLayers.filter(layer => layerFilters[layer.id]);
+    if (filtered.length === 0) {
+        container.innerHTML = '<p class="text-muted">No filters applied</p>';
+        return;
+    }
+
+    container.innerHTML = filtered.map(layer => {
+        const { expression, total } = layerFilters[layer.id];
+        const fields = FilterExpression.getFields(expression);
+        const matches = total !== null ? ` · ${total} matching records` : '';
+
+        return `
             <div class="filter-rule">
                 <div class="d-flex justify-content-between align-items-center">
                     <div>
-                        <strong>${layerName}</strong> → ${filter.field} ${filter.operator} "${filter.value}"
+                        <strong>${escapeHtml(layer.name)}</strong> → ${escapeHtml(fields.join(', ') || 'geometry')}
+                        <span class="text-muted small">${matches}</span>
                     </div>
-                    <button class="btn btn-sm btn-outline-danger" onclick="removeFilterRule('${filter.id}')">
+                    <button class="btn btn-sm btn-outline-danger" onclick="removeFilterRule('${layer.id}')">
                         <i class="fas fa-times"></i>
                     </button>
                 </div>
             </div>
         `;
+    }).join('');
+}
+
+function removeFilterRule(layerId) {
+    if (!layerFilters[layerId]) return;
+
+    delete layerFilters[layerId];
+    if (document.getElementById('filterLayer').value === layerId) {
+        getFilterBuilder().clear();
+    }
+    updateFilterRulesDisplay();
+    updateMapFilterUrl();
+    applyFilters(); // Re-apply remaining filters
+}
+
+// Ids of the records matching the expression, evaluated by the server over
+// the whole table, or null when the layer has to be filtered in the browser.
+// The first page of matches covers every loaded record that matches, since
+// both come in the table's order.
+async function fetchLayerFilterMatches(layer, expression) {
+    const session = window.teableAPI.getProxySession();
+    if (!session || !layer.tableId) return null;
+
+    const dataAdapter = new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource);
+    const result = await dataAdapter.getMapData(layer.tableId, { where: expression, limit: MAX_FILTER_MATCHES });
+    const features = result.features || [];
+
+    return {
+        matchIds: new Set(features.map(feature => feature.id)),
+        total: result.metadata?.total ?? features.length
+    };
+}
+
+async function setLayerFilter(layer, expression) {
+    if (!expression) {
+        delete layerFilters[layer.id];
+        return;
+    }
+
+    const matches = await fetchLayerFilterMatches(layer, expression);
+    layerFilters[layer.id] = {
+        expression,
+        matchIds: matches?.matchIds || null,
+        total: matches ? matches.total : null
+    };
+}
+
+// Applies the builder's expression to the selected layer, then re-filters the map
+async function applyLayerFilter() {
+    const layer = mapLayers.find(l => l.id === document.getElementById('filterLayer').value);
+    if (layer) {
+        try {
+            await setLayerFilter(layer, getFilterBuilder().getExpression());
+        } catch (error) {
+            console.error('Error applying filter:', error);
+            showError(`Failed to apply the filter to "${layer.name}": ${error.message}`);
+            return;
+        }
+        updateFilterRulesDisplay();
+        updateMapFilterUrl();
+    }
+    applyFilters();
+}
+
+function updateMapFilterUrl() {
+    const filters = {};
+    mapLayers.forEach(layer => {
+        if (layer.tableId && layerFilters[layer.id]) {
+            filters[layer.tableId] = layerFilters[layer.id].expression;
+        }
     });
 
-    container.innerHTML = html;
+    const url = new URL(window.location.href);
+    if (Object.keys(filters).length > 0) url.searchParams.set('filters', JSON.stringify(filters));
+    else url.searchParams.delete('filters');
+    history.replaceState(null, '', url);
 }
 
-function removeFilterRule(filterId) {
-    const index = currentFilters.findIndex(f => f.id === filterId);
-    if (index !== -1) {
-        currentFilters.splice(index, 1);
+// Applies the filter ?filters= names for a newly added layer's table
+async function restoreLayerFilterFromUrl(layer) {
+    let filters;
+    try {
+        filters = JSON.parse(new URLSearchParams(window.location.search).get('filters') || '{}');
+    } catch (error) {
+        return;
+    }
+
+    const expression = FilterExpression.decode(JSON.stringify(filters?.[layer.tableId] ?? null));
+    if (!expression) return;
+
+    try {
+        await setLayerFilter(layer, expression);
         updateFilterRulesDisplay();
-        applyFilters(); // Re-apply remaining filters
+        applyFilters({ silent: true });
+    } catch (error) {
+        console.warn(`Could not restore the filter of layer "${layer.name}":`, error.message);
+    }
+}
+
+function featureBounds(feature) {
+    if (feature.getLatLng) {
+        const { lat, lng } = feature.getLatLng();
+        return [lng, lat, lng, lat];
+    }
+    const bounds = feature.getBounds?.();
+    return bounds?.isValid() ? bounds.toBBoxString().split(',').map(Number) : null;
+}
+
+function featureMatchesFilter(filter, feature) {
+    return filter.matchIds
+        ? filter.matchIds.has(feature.recordId)
+        : FilterExpression.matches(feature.recordData, filter.expression, featureBounds(feature));
+}
+
+// Time-enabled layers: layer.properties.temporal = { enabled, startField, endField }
+// names the layer's date fields, and the map timeline filters those layers in
+// applyFilters(). Features without a start date are hidden while the timeline
+// is shown; layers without a time setting are not affected by it.
+let mapTimeline = null;
+
+// Date fields of a layer, by the same type detection as inline editing
+function getTemporalFields(layer) {
+    if (!layer.records || layer.records.length === 0) return [];
+
+    const allFields = Object.keys(layer.records[0].fields || {}).filter(field => field !== layer.geometryField);
+    return filterFieldsByPermissions(allFields, layer).filter(field => detectFieldType(layer, field) === 'date');
+}
+
+function isTemporalLayer(layer) {
+    const temporal = layer.properties?.temporal;
+    return Boolean(temporal?.enabled && temporal.startField && layer.records && layer.features);
+}
+
+function featureInTimeRange(layer, feature, range) {
+    const { startField, endField } = layer.properties.temporal;
+    const data = feature.recordData || {};
+    return MapTimeline.inRange(data[startField], endField ? data[endField] : null, range);
+}
+
+function getTimelineRange() {
+    return mapTimeline?.getRange() || null;
+}
+
+// Shows the timeline over the time span of the visible time-enabled layers,
+// or hides it when there are none, and re-applies the filters.
+function refreshTimeline() {
+    let min = null;
+    let max = null;
+
+    mapLayers.filter(layer => layer.visible && isTemporalLayer(layer)).forEach(layer => {
+        const { startField, endField } = layer.properties.temporal;
+        layer.records.forEach(record => {
+            const start = MapTimeline.parseTime(record.fields[startField]);
+            if (start === null) return;
+            const end = (endField ? MapTimeline.parseTime(record.fields[endField]) : null) ?? start;
+            min = min === null ? start : Math.min(min, start);
+            max = max === null ? end : Math.max(max, end);
+        });
+    });
+
+    const wasActive = Boolean(getTimelineRange());
+    if (!mapTimeline && min !== null) {
+        mapTimeline = new MapTimeline(map, {
+            onChange: () => applyFilters({ silent: true })
+        });
+    }
+    mapTimeline?.setExtent(min, max);
+
+    if (wasActive || getTimelineRange()) {
+        applyFilters({ silent: true });
     }
 }
 
-function applyFilters() {
-    if (currentFilters.length === 0) {
+// Called with { silent: true } by the timeline, which re-applies the filters
+// on every step.
+function applyFilters({ silent = false } = {}) {
+    const timeRange = getTimelineRange();
+
+    if (Object.keys(layerFilters).length === 0 && !timeRange) {
         // Show all features
         mapLayers.forEach(layer => {
             if (layer.visible && layer.leafletLayer) {
@@ -8081,7 +10731,8 @@ function applyFilters() {
                 }
             }
         });
-        showSuccess('All filters cleared - showing all features');
+        refreshAggregateLayers();
+        if (!silent) showSuccess('All filters cleared - showing all features');
         return;
     }
 
@@ -8092,42 +10743,21 @@ function applyFilters() {
     mapLayers.forEach(layer => {
         if (!layer.visible) return;
 
-        const layerFilters = currentFilters.filter(f => f.layerId === layer.id);
+        // Filters that use fields the user can no longer see are not applied
+        let filter = layerFilters[layer.id];
+        if (filter && FilterExpression.getFields(filter.expression).some(field => getFieldPermission(field, layer) === 'hidden')) {
+            console.warn(`Skipping filter of layer "${layer.name}" on hidden fields`);
+            skippedFilters++;
+            filter = null;
+        }
 
         layer.features.forEach(feature => {
             totalCount++;
-            let showFeature = true;
-
-            // Apply all filters for this layer
-            layerFilters.forEach(filter => {
-                // Check if user still has permission to access this field
-                const permission = getFieldPermission(filter.field, layer);
-                if (permission === 'hidden') {
-                    console.warn(`Skipping filter on hidden field "${filter.field}"`);
-                    skippedFilters++;
-                    return; // Skip this filter - don't apply it
-                }
-
-                const fieldValue = feature.recordData[filter.field];
+            let showFeature = !filter || featureMatchesFilter(filter, feature);
 
-                switch (filter.operator) {
-                    case 'equals':
-                        if (String(fieldValue) !== String(filter.value)) showFeature = false;
-                        break;
-                    case 'contains':
-                        if (!String(fieldValue).toLowerCase().includes(String(filter.value).toLowerCase())) showFeature = false;
-                        break;
-                    case 'starts_with':
-                        if (!String(fieldValue).toLowerCase().startsWith(String(filter.value).toLowerCase())) showFeature = false;
-                        break;
-                    case 'greater_than':
-                        if (!(parseFloat(fieldValue) > parseFloat(filter.value))) showFeature = false;
-                        break;
-                    case 'less_than':
-                        if (!(parseFloat(fieldValue) < parseFloat(filter.value))) showFeature = false;
-                        break;
-                }
-            });
+            if (showFeature && timeRange && isTemporalLayer(layer) && !featureInTimeRange(layer, feature, timeRange)) {
+                showFeature = false;
+            }
 
             // Show/hide feature based on filter result
             if (showFeature) {
@@ -8147,6 +10777,9 @@ function applyFilters() {
             applyLabelsToLayer(layer);
         }
     });
+    refreshAggregateLayers();
+
+    if (silent) return;
 
     let message = `Filters applied: showing ${filteredCount} of ${totalCount} features`;
     if (skippedFilters > 0) {
@@ -8156,8 +10789,10 @@ function applyFilters() {
 }
 
 function clearAllFilters() {
-    currentFilters = [];
+    layerFilters = {};
+    getFilterBuilder().clear();
     updateFilterRulesDisplay();
+    updateMapFilterUrl();
     applyFilters(); // This will show all features
 }
 
@@ -8166,6 +10801,7 @@ function updateLayerSelectors() {
     const filterLayerSelect = document.getElementById('filterLayer');
 
     if (filterLayerSelect) {
+        const selected = filterLayerSelect.value;
         filterLayerSelect.innerHTML = '<option value="">Select layer...</option>';
         mapLayers.forEach(layer => {
             const option = document.createElement('option');
@@ -8173,7 +10809,16 @@ function updateLayerSelectors() {
             option.textContent = layer.name;
             filterLayerSelect.appendChild(option);
         });
+
+        // Keep the layer whose filter is being edited
+        if (mapLayers.some(layer => layer.id === selected)) {
+            filterLayerSelect.value = selected;
+        } else if (selected) {
+            loadFilterFields();
+        }
     }
+
+    updateGeometryEditLayerOptions();
 }
 
 function updateMapStatistics() {
@@ -8203,7 +10848,186 @@ function updateMapStatistics() {
 
 // Export functionality
 function exportMap() {
-    showInfo('Map export functionality would be implemented here');
+    showExportDialog();
+}
+
+function showExportDialog(layerId = null) {
+    if (mapLayers.length === 0) {
+        showError('Add a layer before exporting');
+        return;
+    }
+
+    const layerSelect = document.getElementById('exportLayer');
+    layerSelect.innerHTML = mapLayers.map(layer =>
+        `<option value="${layer.id}">${layer.name}</option>`
+    ).join('');
+    layerSelect.value = layerId || mapLayers[0].id;
+
+    const modal = new bootstrap.Modal(document.getElementById('exportDataModal'));
+    modal.show();
+}
+
+// The layer's filter expression for the export service. A filter on hidden
+// fields is left out, as in applyFilters().
+function getLayerExportFilter(layer) {
+    const expression = layerFilters[layer.id]?.expression;
+    if (!expression || FilterExpression.getFields(expression).some(field => getFieldPermission(field, layer) === 'hidden')) {
+        return null;
+    }
+    return expression;
+}
+
+async function exportLayerData() {
+    const layer = mapLayers.find(l => l.id === document.getElementById('exportLayer').value);
+    if (!layer || !layer.tableId) {
+        showError('This layer is not backed by a table and cannot be exported');
+        return;
+    }
+
+    const session = window.teableAPI.getProxySession();
+    if (!session) {
+        showError('Export requires a customer login');
+        return;
+    }
+
+    const format = document.getElementById('exportFormat').value;
+    const options = { name: layer.name };
+
+    if (document.getElementById('exportApplyFilters').checked) {
+        options.where = getLayerExportFilter(layer);
+    }
+
+    if (document.getElementById('exportCurrentExtent').checked) {
+        options.bbox = map.getBounds();
+    }
+
+    const exportBtn = document.getElementById('exportDataBtn');
+    exportBtn.disabled = true;
+    exportBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Exporting...';
+
+    try {
+        const dataAdapter = new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource);
+        const fileName = await dataAdapter.exportData(layer.tableId, format, options);
+
+        bootstrap.Modal.getInstance(document.getElementById('exportDataModal'))?.hide();
+        showSuccess(`Exported "${layer.name}" as ${fileName}`);
+    } catch (error) {
+        console.error('Export error:', error);
+        showError('Failed to export data: ' + error.message);
+    } finally {
+        exportBtn.disabled = false;
+        exportBtn.innerHTML = '<i class="fas fa-download me-1"></i>Export';
+    }
+}
+
+// Geometry quality report
+let geometryReportLayerId = null;
+
+function getGeometryIssueBadge(issue) {
+    const badgeClass = issue.severity === 'warning' ? 'bg-warning text-dark' : 'bg-danger';
+    return `<span class="badge ${badgeClass} me-1" title="${escapeHtml(issue.message)}">${escapeHtml(issue.code)}</span>`;
+}
+
+async function showGeometryReport(layerId) {
+    const layer = mapLayers.find(l => l.id === layerId);
+    if (!layer || !layer.tableId) {
+        showError('This layer is not backed by a table and cannot be checked');
+        return;
+    }
+
+    const session = window.teableAPI.getProxySession();
+    if (!session) {
+        showError('Geometry checks require a customer login');
+        return;
+    }
+
+    geometryReportLayerId = layerId;
+    const body = document.getElementById('geometryReportBody');
+    const repairBtn = document.getElementById('repairGeometriesBtn');
+    document.getElementById('geometryReportLayerName').textContent = layer.name;
+    body.innerHTML = '<div class="text-center p-3"><i class="fas fa-spinner fa-spin me-2"></i>Checking geometries...</div>';
+    repairBtn.style.display = 'none';
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('geometryReportModal')).show();
+
+    try {
+        const dataAdapter = new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource);
+        const report = await dataAdapter.validateTable(layer.tableId);
+        renderGeometryReport(report);
+
+        repairBtn.style.display = canEditRecords() && report.summary.repairable > 0 ? 'inline-block' : 'none';
+    } catch (error) {
+        console.error('Geometry check error:', error);
+        body.innerHTML = `<div class="alert alert-danger mb-0">Failed to check geometries: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderGeometryReport(report) {
+    const { summary, records } = report;
+    const issueCounts = Object.entries(summary.issues)
+        .map(([code, count]) => `<span class="badge bg-secondary me-1">${escapeHtml(code)}: ${count}</span>`)
+        .join('') || '<span class="text-success">None</span>';
+
+    const rows = records.slice(0, 500).map(record => `
+        <tr>
+            <td class="text-nowrap">${escapeHtml(String(record.id))}</td>
+            <td>${record.issues.map(getGeometryIssueBadge).join('')}</td>
+            <td class="small">${record.issues.map(issue => escapeHtml(issue.message)).join('<br>')}</td>
+            <td>${record.repairable ? '<i class="fas fa-wrench text-success" title="Can be repaired"></i>' : ''}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('geometryReportBody').innerHTML = `
+        <div class="row text-center mb-3">
+            <div class="col"><div class="fs-4">${summary.total}</div><small class="text-muted">Records</small></div>
+            <div class="col"><div class="fs-4 text-success">${summary.valid}</div><small class="text-muted">Valid</small></div>
+            <div class="col"><div class="fs-4 text-danger">${summary.errors}</div><small class="text-muted">Errors</small></div>
+            <div class="col"><div class="fs-4 text-warning">${summary.warnings}</div><small class="text-muted">Warnings</small></div>
+            <div class="col"><div class="fs-4 text-primary">${summary.repairable}</div><small class="text-muted">Repairable</small></div>
+        </div>
+        <div class="mb-2"><strong>Issues:</strong> ${issueCounts}</div>
+        ${rows ? `
+            <div class="table-responsive" style="max-height: 400px;">
+                <table class="table table-sm table-striped mb-0">
+                    <thead class="table-dark sticky-top">
+                        <tr><th>Record</th><th>Issues</th><th>Details</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${records.length > 500 ? `<small class="text-muted">Showing 500 of ${records.length} records with issues.</small>` : ''}
+        ` : '<div class="alert alert-success mb-0">All geometries are valid.</div>'}
+    `;
+}
+
+async function repairLayerGeometries() {
+    const layer = mapLayers.find(l => l.id === geometryReportLayerId);
+    if (!layer) return;
+
+    if (!confirm(`Repair the geometries of "${layer.name}" and save them back to the table? Self-intersections and unreadable values are left as they are.`)) {
+        return;
+    }
+
+    const session = window.teableAPI.getProxySession();
+    const repairBtn = document.getElementById('repairGeometriesBtn');
+    repairBtn.disabled = true;
+    repairBtn.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Repairing...';
+
+    try {
+        const dataAdapter = new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource);
+        const result = await dataAdapter.repairGeometries(layer.tableId);
+
+        showSuccess(`Repaired ${result.summary.repaired} geometries in "${layer.name}"` +
+            (result.summary.failed > 0 ? `; ${result.summary.failed} could not be repaired` : '') +
+            '. Reload the layer to see the changes.');
+        await showGeometryReport(layer.id);
+    } catch (error) {
+        console.error('Geometry repair error:', error);
+        showError('Failed to repair geometries: ' + error.message);
+    } finally {
+        repairBtn.disabled = false;
+        repairBtn.innerHTML = '<i class="fas fa-wrench me-1"></i>Repair and Save';
+    }
 }
 
 function fullscreenMap() {
@@ -0,0 +1,63 @@
+/**
+ * Public Map Embed Loader
+ *
+ * Drop-in script for other websites. It puts a published public map in an
+ * iframe right after the script tag:
+ *
+ *   <script src="https://gis.example.com/js/public-map-embed.js"
+ *           data-customer="CUSTOMER_ID" data-map="city-parks"
+ *           data-height="480" data-layers="layer_1" data-basemap="light" async></script>
+ *
+ * Optional attributes: data-width, data-height, data-bbox, data-center,
+ * data-zoom, data-layers, data-basemap, data-legend, data-title (see the embed
+ * URL parameters in public-map.js). Events from the map are dispatched on the
+ * map container as bubbling DOM events named "publicmap:<type>", e.g.
+ *
+ *   document.addEventListener('publicmap:featureclick', e => console.log(e.detail.properties));
+ */
+
+(function() {
+    const script = document.currentScript;
+    if (!script) {
+        console.error('public-map-embed.js must be loaded with a classic <script> tag');
+        return;
+    }
+
+    const customerId = script.dataset.customer;
+    const slug = script.dataset.map;
+    if (!customerId || !slug) {
+        console.error('public-map-embed.js needs data-customer and data-map attributes');
+        return;
+    }
+
+    const appOrigin = new URL(script.src, window.location.href).origin;
+    const params = new URLSearchParams();
+    ['bbox', 'center', 'zoom', 'layers', 'basemap', 'legend', 'title'].forEach(name => {
+        if (script.dataset[name]) params.set(name, script.dataset[name]);
+    });
+
+    const query = params.toString();
+    const container = document.createElement('div');
+    container.className = 'public-map-embed';
+
+    const iframe = document.createElement('iframe');
+    iframe.src = `${appOrigin}/embed/${encodeURIComponent(customerId)}/${encodeURIComponent(slug)}${query ? `?${query}` : ''}`;
+    iframe.title = script.dataset.frameTitle || 'Map';
+    iframe.loading = 'lazy';
+    iframe.style.border = '0';
+    iframe.style.width = script.dataset.width || '100%';
+    iframe.style.height = /^\d+$/.test(script.dataset.height || '') ? `${script.dataset.height}px` : (script.dataset.height || '450px');
+
+    container.appendChild(iframe);
+    script.parentNode.insertBefore(container, script.nextSibling);
+
+    window.addEventListener('message', event => {
+        if (event.source !== iframe.contentWindow || event.origin !== appOrigin) return;
+        if (event.data?.source !== 'public-map' || typeof event.data.type !== 'string') return;
+
+        container.dispatchEvent(new CustomEvent(`publicmap:${event.data.type}`, {
+            bubbles: true,
+            detail: event.data
+        }));
+    });
+})();
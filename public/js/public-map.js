@@ -9,7 +9,11 @@ let measurementGroup;
 let currentMeasurement = null;
 
 document.addEventListener('DOMContentLoaded', function() {
-    initializePublicMap();
+    if (isEmbedRequest()) {
+        initializeEmbeddedMap();
+    } else {
+        initializePublicMap();
+    }
 });
 
 async function initializePublicMap() {
@@ -22,6 +26,7 @@ async function initializePublicMap() {
         
         // Load public layers with real data
         await loadPublicLayers();
+        setupPublicTimeline();
         
         // Setup controls based on configuration
         setupMapControls();
@@ -33,52 +38,205 @@ async function initializePublicMap() {
         
     } catch (error) {
         console.error('❌ Failed to initialize public map:', error);
-        showError('Failed to load map. Please try again later.');
+        const unavailable = ['Map not found', 'Public map not found', 'No map specified'].includes(error.message);
+        showError(unavailable ? 'This map is not published or does not exist.' : 'Failed to load map. Please try again later.');
     }
 }
 
-async function loadMapConfiguration() {
+// Embed mode: the map alone for framing in other sites. The server serves it
+// at /embed/:customerId/:slug; public-map.html?...&embed=1 shows the same.
+// URL parameters set the initial view:
+//   bbox=minLng,minLat,maxLng,maxLat  or  center=lat,lng&zoom=12
+//   layers=layerId,layerId  (the layers shown; others start hidden)
+//   basemap=openstreetmap|satellite|terrain|dark|light
+//   legend=1, title=1       (show the legend and the map title)
+const EMBED_BASEMAPS = ['openstreetmap', 'satellite', 'terrain', 'dark', 'light'];
+let embedOptions = null;
+
+function isEmbedRequest() {
+    return Boolean(window.PUBLIC_MAP?.embed) || new URLSearchParams(window.location.search).get('embed') === '1';
+}
+
+function parseNumberList(value, count) {
+    const numbers = String(value || '').split(',').map(Number);
+    return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+}
+
+function getEmbedOptions() {
+    const params = new URLSearchParams(window.location.search);
+    const bbox = parseNumberList(params.get('bbox'), 4);
+    const center = parseNumberList(params.get('center'), 2);
+    const zoom = parseInt(params.get('zoom'));
+    const layers = params.get('layers');
+    const basemap = params.get('basemap');
+
+    return {
+        bounds: bbox ? L.latLngBounds([bbox[1], bbox[0]], [bbox[3], bbox[2]]) : null,
+        center: center ? L.latLng(center[0], center[1]) : null,
+        zoom: Number.isInteger(zoom) && zoom >= 0 && zoom <= 20 ? zoom : null,
+        layers: layers ? layers.split(',').map(id => id.trim()).filter(Boolean) : null,
+        basemap: EMBED_BASEMAPS.includes(basemap) ? basemap : null,
+        legend: params.get('legend') === '1',
+        title: params.get('title') === '1'
+    };
+}
+
+function hasEmbedExtent() {
+    return Boolean(embedOptions?.bounds || embedOptions?.center);
+}
+
+async function initializeEmbeddedMap() {
+    document.body.classList.add('embed-mode');
+
     try {
-        // Load configuration from localStorage (in production, this would come from an API)
-        const configData = localStorage.getItem('teable_map_config');
-        
-        if (configData) {
-            mapConfig = JSON.parse(configData);
-            console.log('📋 Loaded map configuration:', mapConfig);
-        } else {
-            // Default configuration if none exists
-            mapConfig = {
-                general: {
-                    title: 'Public GIS Map',
-                    description: 'Interactive map with geospatial data',
-                    defaultBasemap: 'openstreetmap',
-                    defaultZoom: 10,
-                    centerLat: 20.5937,
-                    centerLng: 78.9629,
-                    enablePublicAccess: true
-                },
-                features: {
-                    enableMeasurement: true,
-                    enableFiltering: true,
-                    enableQuickSearch: true,
-                    enableBasemapSwitcher: true,
-                    enablePopups: true,
-                    enableLegend: true,
-                    enableCoordinates: false
-                },
-                layers: []
-            };
-            console.log('📋 Using default map configuration');
+        embedOptions = getEmbedOptions();
+        await loadMapConfiguration();
+
+        // Only maps that allow embedding can be shown framed by other sites;
+        // the server's frame-ancestors header enforces the same for browsers
+        if (!mapSource.preview && !mapConfig.permissions?.enableEmbedding) {
+            throw new Error('Embedding is not enabled for this map');
         }
-        
-        // Check if public access is enabled
-        if (!mapConfig.general?.enablePublicAccess) {
-            throw new Error('Public access is not enabled for this map');
+
+        if (embedOptions.title) {
+            document.body.classList.add('embed-show-title');
+        }
+        if (embedOptions.basemap) {
+            mapConfig.general = { ...mapConfig.general, defaultBasemap: embedOptions.basemap };
         }
+
+        initializeMap();
+
+        if (embedOptions.bounds?.isValid()) {
+            map.fitBounds(embedOptions.bounds);
+        } else if (embedOptions.center) {
+            map.setView(embedOptions.center, embedOptions.zoom ?? map.getZoom());
+        }
+
+        await loadPublicLayers();
+        setupPublicTimeline();
+        setupEmbedControls();
+
+        document.getElementById('loading').style.display = 'none';
+        postEmbedMessage('ready', {
+            layers: publicLayers.map(layer => ({ id: layer.id, name: layer.name, visible: Boolean(layer.isVisible) }))
+        });
+
+    } catch (error) {
+        console.error('❌ Failed to initialize embedded map:', error);
+        const unavailable = ['Map not found', 'Public map not found', 'No map specified', 'Embedding is not enabled for this map'].includes(error.message);
+        showError(unavailable ? 'This map is not available for embedding.' : 'Failed to load map. Please try again later.');
+        postEmbedMessage('error', { message: error.message });
+    }
+}
+
+// Embedded maps keep only a collapsed layer switcher, the optional legend and
+// a link to the full map
+function setupEmbedControls() {
+    if (publicLayers.length > 1) {
+        const overlays = {};
+        publicLayers.filter(layer => layer.leafletLayer).forEach(layer => {
+            overlays[escapeHtml(layer.name)] = layer.leafletLayer;
+        });
+        L.control.layers(null, overlays, { collapsed: true }).addTo(map);
+
+        map.on('overlayadd overlayremove', event => {
+            const layer = publicLayers.find(candidate => candidate.leafletLayer === event.layer);
+            if (!layer) return;
+            layer.isVisible = event.type === 'overlayadd';
+            if (embedOptions.legend) updateLegend();
+        });
+    }
+
+    if (embedOptions.legend && publicLayers.length > 0) {
+        updateLegend();
+        document.getElementById('legend').style.display = 'block';
+    }
+
+    if (!mapSource.preview) {
+        const fullMapUrl = `${window.location.origin}/public-map.html?customer=${encodeURIComponent(mapSource.customerId)}&map=${encodeURIComponent(mapSource.slug)}`;
+        map.attributionControl.addAttribution(`<a href="${escapeHtml(fullMapUrl)}" target="_blank" rel="noopener">View larger map</a>`);
+    }
+}
+
+// Events for the embedding page, e.g.
+//   { source: 'public-map', type: 'featureclick', map, layerId, layerName, featureId, properties, latlng }
+// Messages only go to the origins the map allows to embed it (and the app
+// itself); postMessage drops them for any other parent.
+function postEmbedMessage(type, data = {}) {
+    if (!embedOptions || window.parent === window) return;
+
+    const message = { source: 'public-map', type, map: mapSource?.slug || null, ...data };
+    const origins = new Set([window.location.origin, ...(mapConfig.permissions?.embedOrigins || [])]);
+    origins.forEach(origin => {
+        try {
+            window.parent.postMessage(message, origin);
+        } catch (error) {
+            console.warn('Could not post embed message to', origin, error);
+        }
+    });
+}
+
+// Where the map comes from: /maps/:slug pages get window.PUBLIC_MAP from the
+// server, public-map.html takes ?customer=&map= for a published map and
+// ?customer=&preview= for an admin's saved draft.
+let mapSource = null;
+
+function getPublicMapSource() {
+    const params = new URLSearchParams(window.location.search);
+    const customerId = window.PUBLIC_MAP?.customerId || params.get('customer');
+    const slug = window.PUBLIC_MAP?.slug || params.get('map');
+    const previewId = params.get('preview');
+
+    if (!customerId || (!slug && !previewId)) {
+        return null;
+    }
+
+    if (previewId) {
+        return {
+            preview: true,
+            customerId,
+            baseUrl: `/api/public-maps/${encodeURIComponent(customerId)}/${encodeURIComponent(previewId)}/preview`,
+            headers: new DataAdapter(customerId).getHeaders()
+        };
+    }
+
+    return {
+        preview: false,
+        customerId,
+        slug,
+        baseUrl: `/api/public/${encodeURIComponent(customerId)}/maps/${encodeURIComponent(slug)}`,
+        headers: {}
+    };
+}
+
+async function fetchPublicMap(path = '') {
+    const response = await fetch(`${mapSource.baseUrl}${path}`, { headers: mapSource.headers });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Request failed: ${response.status}`);
+    }
+
+    return await response.json();
+}
+
+async function loadMapConfiguration() {
+    try {
+        mapSource = getPublicMapSource();
+        if (!mapSource) {
+            throw new Error('No map specified');
+        }
+
+        const { map: publicMap } = await fetchPublicMap();
+        mapConfig = publicMap.config || {};
+        console.log('📋 Loaded map configuration:', mapConfig);
         
         // Update page title and description
-        document.getElementById('mapTitle').textContent = mapConfig.general?.title || 'Public GIS Map';
+        const title = mapConfig.general?.title || publicMap.title || 'Public GIS Map';
+        document.getElementById('mapTitle').textContent = mapSource.preview ? `${title} (draft preview)` : title;
         document.getElementById('mapDescription').textContent = mapConfig.general?.description || '';
+        document.title = title;
         
         console.log('✅ Map configuration loaded successfully');
         
@@ -164,9 +322,20 @@ async function loadPublicLayers() {
         // Sort layers by order
         publicLayers.sort((a, b) => (a.order || 0) - (b.order || 0));
         
+        // An embed's layers parameter decides which layers start visible
+        if (embedOptions?.layers) {
+            publicLayers.forEach(layer => {
+                layer.visibility = embedOptions.layers.includes(String(layer.id)) ? 'visible' : 'hidden';
+            });
+        }
+        
         // Load each layer with real data
         for (const layerConfig of publicLayers) {
-            await loadPublicLayerWithRealData(layerConfig);
+            if (layerConfig.renderMode === 'vectortile') {
+                loadPublicVectorTileLayer(layerConfig);
+            } else {
+                await loadPublicLayer(layerConfig);
+            }
         }
         
         // Update layer controls
@@ -184,455 +353,209 @@ async function loadPublicLayers() {
     }
 }
 
-async function loadPublicLayerWithRealData(layerConfig) {
+// Layers load as GeoJSON from the map's features endpoint, which only returns
+// the fields the published configuration allows.
+async function loadPublicLayer(layerConfig) {
     try {
-        console.log(`🔍 Loading real data for layer: ${layerConfig.name}`);
+        console.log(`🔍 Loading data for layer: ${layerConfig.name}`);
         
-        // Get client configuration to access Teable API
-        const clientConfig = JSON.parse(localStorage.getItem('teable_client_config') || '{}');
-        
-        if (!clientConfig.baseUrl || !clientConfig.accessToken) {
-            console.warn('⚠️ No client configuration found, using sample data for layer:', layerConfig.name);
-            await loadPublicLayerWithSampleData(layerConfig);
-            return;
+        const collection = await fetchPublicMap(`/layers/${encodeURIComponent(layerConfig.id)}/features`);
+        if (collection.metadata?.truncated) {
+            console.warn(`⚠️ Layer ${layerConfig.name} has more features than a public map shows; only the first ${collection.features.length} are drawn`);
         }
         
-        // Initialize a temporary API instance for data loading
-        const tempAPI = {
-            config: clientConfig,
-            async request(endpoint, options = {}) {
-                const url = `${this.config.baseUrl}${endpoint}`;
-                const requestOptions = {
-                    headers: {
-                        'Authorization': `Bearer ${this.config.accessToken}`,
-                        'Content-Type': 'application/json',
-                        ...options.headers
-                    },
-                    ...options
-                };
-                
-                const response = await fetch(url, requestOptions);
-                if (!response.ok) {
-                    throw new Error(`API Error: ${response.status}`);
-                }
-                return await response.json();
-            },
-            async getRecords(tableId, options = {}) {
-                let endpoint = `/api/table/${tableId}/record`;
-                const params = new URLSearchParams();
-                if (options.limit) params.append('limit', options.limit);
-                if (params.toString()) endpoint += `?${params.toString()}`;
-                return await this.request(endpoint);
-            }
+        const styling = layerConfig.styling || {};
+        const style = {
+            fillColor: styling.fillColor || '#3498db',
+            color: styling.borderColor || '#2c3e50',
+            weight: 2,
+            fillOpacity: styling.fillOpacity || 0.7
         };
         
-        // Load real data from Teable
-        console.log(`📡 Fetching data from table: ${layerConfig.tableId}`);
-        const recordsData = await tempAPI.getRecords(layerConfig.tableId, { limit: 1000 });
-        const records = recordsData.records || [];
-        
-        console.log(`📊 Loaded ${records.length} records for layer: ${layerConfig.name}`);
-        
-        if (records.length === 0) {
-            console.warn(`⚠️ No data found for layer: ${layerConfig.name}`);
-            return;
-        }
-        
-        // Find geometry field
-        const geometryField = findGeometryField(records[0].fields);
-        console.log(`🗺️ Detected geometry field: ${geometryField}`);
-        
-        if (!geometryField) {
-            console.warn(`⚠️ No geometry field found for layer: ${layerConfig.name}`);
-            return;
-        }
-        
-        // Create features from real data
-        const features = [];
-        let validFeatureCount = 0;
-        
-        records.forEach((record, index) => {
-            const geometry = record.fields[geometryField];
-            
-            if (geometry && typeof geometry === 'string') {
-                try {
-                    const leafletGeometry = parseWKTToLeaflet(geometry);
-                    
-                    if (leafletGeometry) {
-                        validFeatureCount++;
-                        
-                        // Handle different geometry types
-                        if (leafletGeometry.lat && leafletGeometry.lng) {
-                            // Point geometry
-                            const marker = L.marker([leafletGeometry.lat, leafletGeometry.lng]);
-                            
-                            if (mapConfig.features?.enablePopups) {
-                                const popupContent = createPublicPopup(layerConfig, record.fields);
-                                marker.bindPopup(popupContent);
-                            }
-                            
-                            // Add labels if configured
-                            if (layerConfig.labels?.enabled && layerConfig.labels?.field && record.fields[layerConfig.labels.field]) {
-                                marker.bindTooltip(String(record.fields[layerConfig.labels.field]), {
-                                    permanent: true,
-                                    direction: 'center',
-                                    className: 'feature-label'
-                                });
-                            }
-                            
-                            features.push(marker);
-                            
-                        } else if (Array.isArray(leafletGeometry)) {
-                            // Polygon or MultiPolygon geometry
-                            leafletGeometry.forEach(polygonCoords => {
-                                if (Array.isArray(polygonCoords) && polygonCoords.length > 0) {
-                                    const polygon = L.polygon(polygonCoords, {
-                                        fillColor: layerConfig.styling?.fillColor || '#3498db',
-                                        color: layerConfig.styling?.borderColor || '#2c3e50',
-                                        weight: 2,
-                                        fillOpacity: layerConfig.styling?.fillOpacity || 0.7
-                                    });
-                                    
-                                    if (mapConfig.features?.enablePopups) {
-                                        const popupContent = createPublicPopup(layerConfig, record.fields);
-                                        polygon.bindPopup(popupContent);
-                                    }
-                                    
-                                    // Add labels if configured
-                                    if (layerConfig.labels?.enabled && layerConfig.labels?.field && record.fields[layerConfig.labels.field]) {
-                                        polygon.bindTooltip(String(record.fields[layerConfig.labels.field]), {
-                                            permanent: true,
-                                            direction: 'center',
-                                            className: 'feature-label'
-                                        });
-                                    }
-                                    
-                                    features.push(polygon);
-                                }
-                            });
-                        }
-                    }
-                } catch (error) {
-                    console.error(`❌ Error parsing geometry for record ${index}:`, error);
+        const geoJsonLayer = L.geoJSON(collection, {
+            style: () => style,
+            pointToLayer: (feature, latlng) => L.circleMarker(latlng, { ...style, radius: 7 }),
+            onEachFeature: (feature, featureLayer) => {
+                const fields = feature.properties || {};
+                
+                if (mapConfig.features?.enablePopups) {
+                    featureLayer.bindPopup(createPublicPopup(layerConfig, fields));
                 }
-            }
-        });
-        
-        console.log(`✅ Created ${features.length} features from ${validFeatureCount} valid geometries`);
-        
-        // Create layer group
-        if (features.length > 0) {
-            layerConfig.leafletLayer = L.layerGroup(features);
-            
-            // Add to map if visible by default
-            if (layerConfig.visibility === 'visible') {
-                layerConfig.leafletLayer.addTo(map);
-                layerConfig.isVisible = true;
                 
-                // Fit map to data bounds on first visible layer
-                if (publicLayers.filter(l => l.isVisible).length === 1) {
-                    const group = new L.featureGroup(features);
-                    const bounds = group.getBounds();
-                    if (bounds.isValid()) {
-                        map.fitBounds(bounds.pad(0.1));
-                        console.log('🎯 Map fitted to layer data bounds');
-                    }
+                if (embedOptions) {
+                    featureLayer.on('click', event => postEmbedMessage('featureclick', {
+                        layerId: layerConfig.id,
+                        layerName: layerConfig.name,
+                        featureId: feature.id ?? null,
+                        properties: fields,
+                        latlng: { lat: event.latlng.lat, lng: event.latlng.lng }
+                    }));
+                }
+                
+                // Add labels if configured
+                const labelField = layerConfig.labels?.enabled ? layerConfig.labels.field : null;
+                if (labelField && fields[labelField] !== undefined && fields[labelField] !== null) {
+                    featureLayer.bindTooltip(escapeHtml(fields[labelField]), {
+                        permanent: true,
+                        direction: 'center',
+                        className: 'feature-label'
+                    });
                 }
-            } else {
-                layerConfig.isVisible = false;
             }
-            
-            console.log(`✅ Successfully loaded layer: ${layerConfig.name} with ${features.length} features`);
-        } else {
-            console.warn(`⚠️ No valid features created for layer: ${layerConfig.name}`);
-        }
-        
-    } catch (error) {
-        console.error(`❌ Error loading real data for layer ${layerConfig.name}:`, error);
-        console.log(`🔄 Falling back to sample data for layer: ${layerConfig.name}`);
-        await loadPublicLayerWithSampleData(layerConfig);
-    }
-}
-
-async function loadPublicLayerWithSampleData(layerConfig) {
-    try {
-        console.log(`🎲 Loading sample data for layer: ${layerConfig.name}`);
-        
-        const features = [];
-        
-        // Create sample polygon features around the map center
-        const centerLat = mapConfig.general?.centerLat || 20.5937;
-        const centerLng = mapConfig.general?.centerLng || 78.9629;
+        });
         
-        for (let i = 0; i < 5; i++) {
-            const lat = centerLat + (Math.random() - 0.5) * 0.5;
-            const lng = centerLng + (Math.random() - 0.5) * 0.5;
-            
-            const polygon = L.polygon([
-                [lat, lng],
-                [lat + 0.05, lng],
-                [lat + 0.05, lng + 0.05],
-                [lat, lng + 0.05]
-            ], {
-                fillColor: layerConfig.styling?.fillColor || '#3498db',
-                color: layerConfig.styling?.borderColor || '#2c3e50',
-                weight: 2,
-                fillOpacity: layerConfig.styling?.fillOpacity || 0.7
-            });
-            
-            // Create popup content based on visible fields
-            const popupContent = createPublicPopup(layerConfig, {
-                id: `sample_${i + 1}`,
-                name: `${layerConfig.name} Sample ${i + 1}`,
-                description: `Sample feature from ${layerConfig.name}`,
-                area: Math.round(Math.random() * 1000) + ' sq m',
-                type: ['Residential', 'Commercial', 'Industrial'][Math.floor(Math.random() * 3)]
-            });
-            
-            if (mapConfig.features?.enablePopups) {
-                polygon.bindPopup(popupContent);
-            }
-            
-            // Add labels if configured
-            if (layerConfig.labels?.enabled && layerConfig.labels?.field) {
-                polygon.bindTooltip(`Sample ${i + 1}`, {
-                    permanent: true,
-                    direction: 'center',
-                    className: 'feature-label'
-                });
-            }
-            
-            features.push(polygon);
+        const features = geoJsonLayer.getLayers();
+        if (features.length === 0) {
+            console.warn(`⚠️ No features found for layer: ${layerConfig.name}`);
+            return;
         }
         
-        // Create layer group
+        layerConfig.features = features;
         layerConfig.leafletLayer = L.layerGroup(features);
         
         // Add to map if visible by default
         if (layerConfig.visibility === 'visible') {
             layerConfig.leafletLayer.addTo(map);
             layerConfig.isVisible = true;
+            
+            // Fit map to data bounds on first visible layer, unless an embed
+            // asked for its own extent
+            if (!hasEmbedExtent() && publicLayers.filter(l => l.isVisible).length === 1) {
+                const bounds = geoJsonLayer.getBounds();
+                if (bounds.isValid()) {
+                    map.fitBounds(bounds.pad(0.1));
+                    console.log('🎯 Map fitted to layer data bounds');
+                }
+            }
         } else {
             layerConfig.isVisible = false;
         }
         
-        console.log(`✅ Loaded sample data for layer: ${layerConfig.name}`);
+        console.log(`✅ Successfully loaded layer: ${layerConfig.name} with ${features.length} features`);
         
     } catch (error) {
-        console.error(`❌ Error loading sample data for layer ${layerConfig.name}:`, error);
+        console.error(`❌ Error loading layer ${layerConfig.name}:`, error);
     }
 }
 
-// Find geometry field in record fields
-function findGeometryField(fields) {
-    const geometryFieldNames = ['geometry', 'geom', 'wkt', 'shape', 'polygon', 'point', 'location'];
-    
-    // First, try exact matches
-    for (const geoName of geometryFieldNames) {
-        if (fields[geoName]) {
-            return geoName;
-        }
-    }
-    
-    // Then try partial matches
-    for (const fieldName of Object.keys(fields)) {
-        const lowerFieldName = fieldName.toLowerCase();
-        if (geometryFieldNames.some(geoName => lowerFieldName.includes(geoName))) {
-            return fieldName;
-        }
+// Large layers stream as vector tiles from the map's tiles endpoint, which
+// carries the same public fields as the features endpoint.
+function loadPublicVectorTileLayer(layerConfig) {
+    if (!L.vectorGrid) {
+        console.warn(`⚠️ Vector tiles unavailable for layer ${layerConfig.name}, loading features instead`);
+        return loadPublicLayer(layerConfig);
     }
-    
-    return null;
-}
 
-// Parse WKT to Leaflet coordinates (same as map.js)
-function parseWKTToLeaflet(wkt) {
-    try {
-        if (!wkt || typeof wkt !== 'string') {
-            return null;
+    const styling = layerConfig.styling || {};
+    const tileUrl = `${mapSource.baseUrl}/layers/${encodeURIComponent(layerConfig.id)}/tiles/{z}/{x}/{y}.mvt`;
+
+    layerConfig.leafletLayer = L.vectorGrid.protobuf(tileUrl, {
+        vectorTileLayerStyles: {
+            [String(layerConfig.id)]: {
+                fill: true,
+                fillColor: styling.fillColor || '#3498db',
+                fillOpacity: styling.fillOpacity || 0.7,
+                color: styling.borderColor || '#2c3e50',
+                weight: 2,
+                radius: 5
+            }
+        },
+        interactive: true,
+        maxNativeZoom: 18,
+        fetchOptions: { headers: mapSource.headers }
+    });
+
+    layerConfig.leafletLayer.on('click', event => {
+        const { recordId, ...fields } = event.layer.properties || {};
+
+        if (mapConfig.features?.enablePopups) {
+            L.popup()
+                .setLatLng(event.latlng)
+                .setContent(createPublicPopup(layerConfig, fields))
+                .openOn(map);
         }
-        
-        const upperWKT = wkt.toUpperCase().trim();
-        
-        if (upperWKT.startsWith('MULTIPOLYGON')) {
-            return parseMultiPolygon(wkt);
-        } else if (upperWKT.startsWith('POLYGON')) {
-            return parsePolygon(wkt);
-        } else if (upperWKT.startsWith('POINT')) {
-            return parsePoint(wkt);
-        } else if (upperWKT.startsWith('MULTIPOINT')) {
-            return parseMultiPoint(wkt);
-        } else if (upperWKT.startsWith('LINESTRING')) {
-            return parseLineString(wkt);
-        } else if (upperWKT.startsWith('MULTILINESTRING')) {
-            return parseMultiLineString(wkt);
+
+        if (embedOptions) {
+            postEmbedMessage('featureclick', {
+                layerId: layerConfig.id,
+                layerName: layerConfig.name,
+                featureId: recordId ?? null,
+                properties: fields,
+                latlng: { lat: event.latlng.lat, lng: event.latlng.lng }
+            });
         }
-        
-        return null;
-    } catch (error) {
-        console.error('Error parsing WKT:', error);
-        return null;
-    }
-}
+    });
 
-function parseMultiPolygon(wkt) {
-    try {
-        let cleanWkt = wkt.replace(/^MULTIPOLYGON\s*\(\s*\(/i, '').replace(/\)\s*\)$/, '');
-        const polygonStrings = cleanWkt.split(')),((');
-        
-        return polygonStrings.map(polygonString => {
-            const cleanPolygon = polygonString.replace(/^\(+/, '').replace(/\)+$/, '');
-            return parsePolygonRings(cleanPolygon);
-        }).filter(polygon => polygon !== null);
-    } catch (error) {
-        console.error('Error parsing MULTIPOLYGON:', error);
-        return null;
+    layerConfig.isVisible = layerConfig.visibility === 'visible';
+    if (layerConfig.isVisible) {
+        layerConfig.leafletLayer.addTo(map);
     }
-}
 
-function parsePolygon(wkt) {
-    try {
-        let cleanWkt = wkt.replace(/^POLYGON\s*\(/i, '').replace(/\)$/, '');
-        return [parsePolygonRings(cleanWkt)];
-    } catch (error) {
-        console.error('Error parsing POLYGON:', error);
-        return null;
-    }
+    console.log(`✅ Loaded vector tile layer: ${layerConfig.name}`);
 }
 
-function parsePolygonRings(polygonString) {
-    try {
-        const rings = polygonString.split('),(');
-        
-        return rings.map(ring => {
-            const cleanRing = ring.replace(/^\(+/, '').replace(/\)+$/, '');
-            const coords = cleanRing.split(',');
-            
-            return coords.map(coord => {
-                const parts = coord.trim().split(/\s+/);
-                if (parts.length >= 2) {
-                    const lon = parseFloat(parts[0]);
-                    const lat = parseFloat(parts[1]);
-                    
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        return [lat, lon]; // Leaflet uses [lat, lon]
-                    }
-                }
-                return null;
-            }).filter(coord => coord !== null);
-        }).filter(ring => ring.length > 0);
-    } catch (error) {
-        console.error('Error parsing polygon rings:', error);
-        return null;
-    }
-}
+// Time-enabled layers (layer.temporal = { enabled, startField, endField },
+// set in map-config) are filtered by a timeline over their dates.
+let publicTimeline = null;
 
-function parsePoint(wkt) {
-    try {
-        const coordString = wkt.replace(/^POINT\s*\(/i, '').replace(/\)$/, '');
-        const parts = coordString.trim().split(/\s+/);
-        
-        if (parts.length >= 2) {
-            const lon = parseFloat(parts[0]);
-            const lat = parseFloat(parts[1]);
-            
-            if (!isNaN(lat) && !isNaN(lon)) {
-                return { lat: lat, lng: lon };
-            }
-        }
-        
-        return null;
-    } catch (error) {
-        console.error('Error parsing POINT:', error);
-        return null;
-    }
+function getTemporalLayers() {
+    return publicLayers.filter(layer => layer.temporal?.enabled && layer.temporal.startField && layer.features);
 }
 
-function parseMultiPoint(wkt) {
-    try {
-        let cleanWkt = wkt.replace(/^MULTIPOINT\s*\(/i, '').replace(/\)$/, '');
-        const pointStrings = cleanWkt.split(/\),\s*\(|\),\s*(?=\d)|\s*,\s*(?=\d)/);
-        
-        return pointStrings.map(pointString => {
-            const cleanPoint = pointString.replace(/^\(+/, '').replace(/\)+$/, '');
-            const parts = cleanPoint.trim().split(/\s+/);
-            
-            if (parts.length >= 2) {
-                const lon = parseFloat(parts[0]);
-                const lat = parseFloat(parts[1]);
-                
-                if (!isNaN(lat) && !isNaN(lon)) {
-                    return { lat: lat, lng: lon };
-                }
-            }
-            return null;
-        }).filter(point => point !== null);
-    } catch (error) {
-        console.error('Error parsing MULTIPOINT:', error);
-        return null;
-    }
-}
+function setupPublicTimeline() {
+    const layers = getTemporalLayers();
+    let min = null;
+    let max = null;
 
-function parseLineString(wkt) {
-    try {
-        const coordString = wkt.replace(/^LINESTRING\s*\(/i, '').replace(/\)$/, '');
-        const coords = coordString.split(',');
-        
-        return coords.map(coord => {
-            const parts = coord.trim().split(/\s+/);
-            if (parts.length >= 2) {
-                const lon = parseFloat(parts[0]);
-                const lat = parseFloat(parts[1]);
-                
-                if (!isNaN(lat) && !isNaN(lon)) {
-                    return [lat, lon];
-                }
-            }
-            return null;
-        }).filter(coord => coord !== null);
-    } catch (error) {
-        console.error('Error parsing LINESTRING:', error);
-        return null;
-    }
+    layers.forEach(layer => {
+        const { startField, endField } = layer.temporal;
+        layer.features.forEach(featureLayer => {
+            const fields = featureLayer.feature?.properties || {};
+            const start = MapTimeline.parseTime(fields[startField]);
+            if (start === null) return;
+            const end = (endField ? MapTimeline.parseTime(fields[endField]) : null) ?? start;
+            min = min === null ? start : Math.min(min, start);
+            max = max === null ? end : Math.max(max, end);
+        });
+    });
+
+    if (min === null) return;
+
+    publicTimeline = new MapTimeline(map, {
+        position: 'bottomright',
+        onChange: applyPublicTimeRange
+    });
+    publicTimeline.setExtent(min, max);
+    applyPublicTimeRange(publicTimeline.getRange());
 }
 
-function parseMultiLineString(wkt) {
-    try {
-        let cleanWkt = wkt.replace(/^MULTILINESTRING\s*\(/i, '').replace(/\)$/, '');
-        const lineStrings = cleanWkt.split('),(');
-        
-        return lineStrings.map(lineString => {
-            const cleanLine = lineString.replace(/^\(+/, '').replace(/\)+$/, '');
-            const coords = cleanLine.split(',');
-            
-            return coords.map(coord => {
-                const parts = coord.trim().split(/\s+/);
-                if (parts.length >= 2) {
-                    const lon = parseFloat(parts[0]);
-                    const lat = parseFloat(parts[1]);
-                    
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        return [lat, lon];
-                    }
-                }
-                return null;
-            }).filter(coord => coord !== null);
-        }).filter(line => line.length > 0);
-    } catch (error) {
-        console.error('Error parsing MULTILINESTRING:', error);
-        return null;
-    }
+// Shows the features of time-enabled layers whose dates fall in the range
+function applyPublicTimeRange(range) {
+    if (!range) return;
+
+    getTemporalLayers().forEach(layer => {
+        const { startField, endField } = layer.temporal;
+        layer.features.forEach(featureLayer => {
+            const fields = featureLayer.feature?.properties || {};
+            const inRange = MapTimeline.inRange(fields[startField], endField ? fields[endField] : null, range);
+            if (inRange && !layer.leafletLayer.hasLayer(featureLayer)) {
+                layer.leafletLayer.addLayer(featureLayer);
+            } else if (!inRange && layer.leafletLayer.hasLayer(featureLayer)) {
+                layer.leafletLayer.removeLayer(featureLayer);
+            }
+        });
+    });
 }
 
 function createPublicPopup(layerConfig, featureData) {
     let content = '<div class="popup-content">';
     
     // Add layer name as header
-    content += `<h6 style="margin-bottom: 10px; color: #2c3e50;">${layerConfig.name}</h6>`;
+    content += `<h6 style="margin-bottom: 10px; color: #2c3e50;">${escapeHtml(layerConfig.name)}</h6>`;
     
     // Add description if available
     if (layerConfig.description) {
-        content += `<p style="font-size: 0.9rem; color: #7f8c8d; margin-bottom: 10px;">${layerConfig.description}</p>`;
+        content += `<p style="font-size: 0.9rem; color: #7f8c8d; margin-bottom: 10px;">${escapeHtml(layerConfig.description)}</p>`;
     }
     
     // Add fields based on configuration
@@ -642,7 +565,7 @@ function createPublicPopup(layerConfig, featureData) {
         if (featureData[fieldName] !== undefined && featureData[fieldName] !== null) {
             content += `
                 <div class="popup-field">
-                    <strong>${fieldName}:</strong> ${featureData[fieldName]}
+                    <strong>${escapeHtml(fieldName)}:</strong> ${escapeHtml(featureData[fieldName])}
                 </div>
             `;
         }
@@ -664,6 +587,10 @@ function setupMapControls() {
         document.getElementById('measurementPanel').style.display = 'block';
     }
     
+    if (features.enableIdentify !== false && publicLayers.length > 0) {
+        document.getElementById('identifyControlPanel').style.display = 'block';
+    }
+    
     if (features.enableBasemapSwitcher) {
         document.getElementById('basemapPanel').style.display = 'block';
         document.getElementById('basemapSelector').value = mapConfig.general?.defaultBasemap || 'openstreetmap';
@@ -807,9 +734,10 @@ function changeBasemap() {
 function startMeasurement(type) {
     // Clear previous measurements
     clearMeasurements();
+    stopIdentifyMode();
     
     // Update button states
-    document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
+    document.querySelectorAll('.measurement-tools .tool-btn').forEach(btn => btn.classList.remove('active'));
     document.getElementById(type + 'Btn').classList.add('active');
     
     currentMeasurement = type;
@@ -941,7 +869,7 @@ function clearMeasurements() {
     currentMeasurement = null;
     
     // Reset button states
-    document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
+    document.querySelectorAll('.measurement-tools .tool-btn').forEach(btn => btn.classList.remove('active'));
     
     // Reset cursor
     map.getContainer().style.cursor = '';
@@ -951,6 +879,164 @@ function clearMeasurements() {
     map.off('click', onAreaMeasureClick);
 }
 
+// Identify tool: a map click lists the nearest features of the visible
+// layers in a side panel. Public maps do not reverse geocode the click, which
+// would spend the customer's geocoding quota on anonymous visitors.
+const IDENTIFY_TOLERANCE_PIXELS = 12;
+const MAX_IDENTIFY_TOLERANCE_METERS = 50000;
+const IDENTIFY_FIELD_COUNT = 6;
+let identifyMode = false;
+let identifyGroup = null;
+let identifyResults = [];
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function toggleIdentifyMode() {
+    if (identifyMode) {
+        stopIdentifyMode();
+        return;
+    }
+
+    clearMeasurements();
+    identifyMode = true;
+    if (!identifyGroup) {
+        identifyGroup = L.layerGroup().addTo(map);
+    }
+    map.on('click', onIdentifyClick);
+    map.getContainer().style.cursor = 'help';
+    document.getElementById('identifyBtn').classList.add('active');
+}
+
+function stopIdentifyMode() {
+    identifyMode = false;
+    map.off('click', onIdentifyClick);
+    map.getContainer().style.cursor = '';
+    document.getElementById('identifyBtn').classList.remove('active');
+}
+
+function closeIdentifyPanel() {
+    document.getElementById('identifyPanel').style.display = 'none';
+    identifyGroup?.clearLayers();
+    identifyResults = [];
+}
+
+function formatIdentifyDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+// The map's identify endpoint searches its layers by layer id and returns
+// only their public fields, so it works for anonymous visitors
+async function onIdentifyClick(e) {
+    const body = document.getElementById('identifyPanelBody');
+    const visibleLayers = publicLayers.filter(layer => layer.isVisible);
+
+    document.getElementById('identifyPanel').style.display = 'flex';
+    document.getElementById('identifyPanelLocation').textContent =
+        `${e.latlng.lat.toFixed(6)}, ${e.latlng.lng.toFixed(6)}`;
+
+    if (visibleLayers.length === 0) {
+        body.innerHTML = '<p class="identify-empty">Turn on a layer to identify its features.</p>';
+        return;
+    }
+
+    // The tolerance is a few pixels at the current zoom
+    const clickPoint = map.latLngToContainerPoint(e.latlng);
+    const edge = map.containerPointToLatLng(clickPoint.add([IDENTIFY_TOLERANCE_PIXELS, 0]));
+    const tolerance = Math.min(Math.max(1, Math.round(e.latlng.distanceTo(edge))), MAX_IDENTIFY_TOLERANCE_METERS);
+
+    map.closePopup();
+    identifyGroup.clearLayers();
+    L.circleMarker(e.latlng, { radius: 6, color: '#e74c3c', weight: 2, fillOpacity: 0.4 }).addTo(identifyGroup);
+    body.innerHTML = '<p class="identify-empty"><i class="fas fa-spinner fa-spin me-2"></i>Identifying...</p>';
+
+    try {
+        const params = new URLSearchParams({
+            point: `${e.latlng.lng},${e.latlng.lat}`,
+            layers: visibleLayers.map(layer => layer.id).join(','),
+            tolerance
+        });
+        const result = await fetchPublicMap(`/identify?${params}`);
+        renderIdentifyResults(result, visibleLayers);
+    } catch (error) {
+        console.error('Identify error:', error);
+        body.innerHTML = `<p class="identify-empty">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderIdentifyResults(result, visibleLayers) {
+    const layersById = new Map(visibleLayers.map(layer => [String(layer.id), layer]));
+
+    identifyResults = result.features.map(match => ({ ...match, layer: layersById.get(String(match.layerId)) }));
+    let html = '';
+
+    if (identifyResults.length === 0) {
+        html += `<p class="identify-empty">No features within ${formatIdentifyDistance(result.tolerance)} of this point.</p>`;
+    }
+
+    identifyResults.forEach((match, index) => {
+        const properties = match.feature.properties || {};
+        const configured = match.layer?.popupFields || match.layer?.visibleFields;
+        const fields = (Array.isArray(configured) && configured.length > 0 ? configured : Object.keys(properties))
+            .filter(field => properties[field] !== undefined && properties[field] !== null && properties[field] !== '')
+            .slice(0, IDENTIFY_FIELD_COUNT);
+
+        html += `
+            <div class="identify-result" onmouseenter="highlightIdentifyResult(${index})" onclick="zoomToIdentifyResult(${index})">
+                <div class="identify-result-header">
+                    <strong>${escapeHtml(match.layer?.name || match.layerId)}</strong>
+                    <span class="identify-meta">${formatIdentifyDistance(match.distance)}</span>
+                </div>
+                ${fields.map(field => `
+                    <div class="popup-field">
+                        <strong>${escapeHtml(field)}:</strong> ${escapeHtml(typeof properties[field] === 'object' ? JSON.stringify(properties[field]) : properties[field])}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    });
+
+    document.getElementById('identifyPanelBody').innerHTML = html;
+    if (identifyResults.length > 0) {
+        highlightIdentifyResult(0);
+    }
+}
+
+function highlightIdentifyResult(index) {
+    const match = identifyResults[index];
+    if (!match?.feature.geometry) return;
+
+    identifyGroup.eachLayer(layer => {
+        if (layer.options.identifyHighlight) identifyGroup.removeLayer(layer);
+    });
+
+    L.geoJSON(match.feature.geometry, {
+        identifyHighlight: true,
+        style: { color: '#f39c12', weight: 4, fillOpacity: 0.2 },
+        pointToLayer: (point, latlng) => L.circleMarker(latlng, { radius: 10, color: '#f39c12', weight: 3, fillOpacity: 0.2 })
+    }).addTo(identifyGroup);
+}
+
+function zoomToIdentifyResult(index) {
+    const match = identifyResults[index];
+    if (!match?.feature.geometry) return;
+
+    const bounds = L.geoJSON(match.feature.geometry).getBounds();
+    if (!bounds.isValid()) return;
+
+    if (match.feature.geometry.type === 'Point') {
+        map.setView(bounds.getCenter(), Math.max(map.getZoom(), 17));
+    } else {
+        map.fitBounds(bounds.pad(0.2));
+    }
+}
+
 function showError(message) {
     document.getElementById('loading').style.display = 'none';
     document.getElementById('errorText').textContent = message;
@@ -962,4 +1048,8 @@ window.toggleLayer = toggleLayer;
 window.performSearch = performSearch;
 window.changeBasemap = changeBasemap;
 window.startMeasurement = startMeasurement;
-window.clearMeasurements = clearMeasurements;
\ No newline at end of file
+window.clearMeasurements = clearMeasurements;
+window.toggleIdentifyMode = toggleIdentifyMode;
+window.closeIdentifyPanel = closeIdentifyPanel;
+window.highlightIdentifyResult = highlightIdentifyResult;
+window.zoomToIdentifyResult = zoomToIdentifyResult;
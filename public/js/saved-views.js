@@ -0,0 +1,305 @@
+/**
+ * Saved Views - named presets of the table and map pages
+ *
+ * Shared by the map and table pages. A view is whatever state object the page
+ * captures (column layout, sort and filter on the table page; extent, layers,
+ * styling and filters on the map page) stored under a name, either private to
+ * its creator or shared with everyone in the customer. Shared views can be the
+ * default view of roles; the page opens with its role's default view.
+ * Views are stored by the server (/api/views), so they need a customer login.
+ */
+
+// Roles a shared view can be the default of, in the order they are listed
+const SAVED_VIEW_ROLES = ['viewer', 'commenter', 'editor', 'admin', 'owner'];
+
+// The server's role order (server/middleware/authorize.js)
+const SAVED_VIEW_ROLE_ORDER = [...SAVED_VIEW_ROLES, 'system_admin', 'super_admin'];
+
+class SavedViewsControl {
+    constructor(container, { page, label = null, getTableId = () => null, captureState, applyState, onError } = {}) {
+        this.container = container;
+        this.page = page;
+        this.label = label;
+        this.getTableId = getTableId;
+        this.captureState = captureState;
+        this.applyState = applyState;
+        this.onError = onError || (error => console.error('Saved views:', error));
+        this.views = [];
+        this.defaultViewId = null;
+        this.currentViewId = null;
+        this.scopeKey = null;
+
+        container.addEventListener('click', event => this.handleClick(event));
+        container.addEventListener('change', event => this.handleChange(event));
+        container.addEventListener('submit', event => {
+            event.preventDefault();
+            this.submitSaveForm();
+        });
+        this.render();
+    }
+
+    static roleAtLeast(role, required) {
+        return SAVED_VIEW_ROLE_ORDER.indexOf(role) >= SAVED_VIEW_ROLE_ORDER.indexOf(required);
+    }
+
+    getAdapter() {
+        const session = window.teableAPI?.getProxySession();
+        return session ? new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource) : null;
+    }
+
+    // The customer login's email and role, which the server checks
+    getUser() {
+        const session = window.teableAPI?.getProxySession() || {};
+        return { email: session.email || null, role: String(session.role || '').toLowerCase() };
+    }
+
+    isAvailable() {
+        return this.getAdapter() !== null && (this.page !== 'table' || Boolean(this.getTableId()));
+    }
+
+    canShare() {
+        return SavedViewsControl.roleAtLeast(this.getUser().role, 'editor');
+    }
+
+    canSetDefaults() {
+        return SavedViewsControl.roleAtLeast(this.getUser().role, 'admin');
+    }
+
+    canManage(view) {
+        return Boolean(view) && (view.createdBy === this.getUser().email || this.canSetDefaults());
+    }
+
+    getCurrentView() {
+        return this.views.find(view => view.id === this.currentViewId) || null;
+    }
+
+    /**
+     * Loads the views of the page (and, on the table page, the current table).
+     * With applyDefault the role's default view is applied when the page has
+     * one. Returns the applied view or null.
+     */
+    async load({ applyDefault = false } = {}) {
+        const tableId = this.page === 'table' ? this.getTableId() : null;
+        const scopeKey = `${this.page}:${tableId || ''}`;
+        if (scopeKey !== this.scopeKey) {
+            this.currentViewId = null;
+            this.scopeKey = scopeKey;
+        }
+
+        const adapter = this.getAdapter();
+        if (!adapter || (this.page === 'table' && !tableId)) {
+            this.views = [];
+            this.defaultViewId = null;
+            this.render();
+            return null;
+        }
+
+        try {
+            const { views, defaultViewId } = await adapter.listSavedViews(this.page, tableId);
+            this.views = views || [];
+            this.defaultViewId = defaultViewId;
+        } catch (error) {
+            this.views = [];
+            this.defaultViewId = null;
+            this.onError(error);
+        }
+
+        if (!this.views.some(view => view.id === this.currentViewId)) {
+            this.currentViewId = null;
+        }
+        this.render();
+
+        if (applyDefault && this.defaultViewId) {
+            return await this.selectView(this.defaultViewId);
+        }
+        return null;
+    }
+
+    async selectView(viewId) {
+        const view = this.views.find(candidate => candidate.id === viewId) || null;
+        this.currentViewId = view?.id || null;
+        this.render();
+        if (!view) return null;
+
+        try {
+            await this.applyState(view.state || {}, view);
+        } catch (error) {
+            this.onError(error);
+        }
+        return view;
+    }
+
+    // Save overwrites the selected view when the user may change it,
+    // otherwise it asks for a name like Save As
+    async save() {
+        const view = this.getCurrentView();
+        if (!this.canManage(view)) {
+            this.showSaveForm();
+            return;
+        }
+
+        try {
+            const updated = await this.getAdapter().updateSavedView(view.id, { state: this.captureState() });
+            this.replaceView(updated);
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+
+    async saveAs({ name, visibility, defaultRoles }) {
+        try {
+            const view = await this.getAdapter().createSavedView({
+                page: this.page,
+                tableId: this.page === 'table' ? this.getTableId() : null,
+                name,
+                visibility,
+                defaultRoles: this.canSetDefaults() ? defaultRoles : undefined,
+                state: this.captureState()
+            });
+            // Other views may have lost their defaults to this one
+            this.currentViewId = view.id;
+            await this.load();
+            return view;
+        } catch (error) {
+            this.onError(error);
+            return null;
+        }
+    }
+
+    async deleteCurrentView() {
+        const view = this.getCurrentView();
+        if (!this.canManage(view) || !confirm(`Delete the view "${view.name}"?`)) return;
+
+        try {
+            await this.getAdapter().deleteSavedView(view.id);
+            this.views = this.views.filter(candidate => candidate.id !== view.id);
+            this.currentViewId = null;
+            this.render();
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+
+    replaceView(view) {
+        this.views = this.views.map(candidate => candidate.id === view.id ? view : candidate);
+        this.render();
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-view-action]');
+        if (!button) return;
+
+        switch (button.dataset.viewAction) {
+            case 'save': this.save(); break;
+            case 'save-as': this.showSaveForm(); break;
+            case 'delete': this.deleteCurrentView(); break;
+            case 'cancel': this.hideSaveForm(); break;
+        }
+    }
+
+    handleChange(event) {
+        if (event.target.matches('.saved-views-select')) {
+            this.selectView(event.target.value || null);
+        } else if (event.target.matches('[name="savedViewShared"]')) {
+            const roles = this.container.querySelector('.saved-views-roles');
+            if (roles) roles.style.display = event.target.checked ? '' : 'none';
+        }
+    }
+
+    showSaveForm() {
+        const form = this.container.querySelector('.saved-views-form');
+        if (!form) return;
+        form.reset();
+        const roles = form.querySelector('.saved-views-roles');
+        if (roles) roles.style.display = 'none';
+        form.style.display = '';
+        form.elements.savedViewName.focus();
+    }
+
+    hideSaveForm() {
+        const form = this.container.querySelector('.saved-views-form');
+        if (form) form.style.display = 'none';
+    }
+
+    async submitSaveForm() {
+        const form = this.container.querySelector('.saved-views-form');
+        const name = form.elements.savedViewName.value.trim();
+        if (!name) return;
+
+        const shared = Boolean(form.elements.savedViewShared?.checked);
+        const defaultRoles = shared
+            ? Array.from(form.querySelectorAll('[name="savedViewRole"]:checked')).map(input => input.value)
+            : [];
+
+        if (await this.saveAs({ name, visibility: shared ? 'shared' : 'private', defaultRoles })) {
+            this.hideSaveForm();
+        }
+    }
+
+    describeView(view) {
+        const tags = [];
+        if (view.visibility === 'shared') tags.push('shared');
+        if (view.defaultRoles?.length) tags.push(`default: ${view.defaultRoles.join(', ')}`);
+        return tags.length ? `${view.name} (${tags.join('; ')})` : view.name;
+    }
+
+    render() {
+        const escape = FilterBuilder.escape;
+
+        if (!this.isAvailable()) {
+            this.container.innerHTML = '';
+            this.container.style.display = 'none';
+            return;
+        }
+        this.container.style.display = '';
+
+        const current = this.getCurrentView();
+        const options = this.views.map(view =>
+            `<option value="${escape(view.id)}" ${view.id === this.currentViewId ? 'selected' : ''}>${escape(this.describeView(view))}</option>`
+        ).join('');
+
+        const roles = SAVED_VIEW_ROLES.map(role => `
+            <label class="form-check form-check-inline small mb-0">
+                <input type="checkbox" class="form-check-input" name="savedViewRole" value="${role}">
+                <span class="form-check-label">${role}</span>
+            </label>`).join('');
+
+        this.container.innerHTML = `
+            ${this.label ? `<label class="form-label fw-semibold">${escape(this.label)}</label>` : ''}
+            <div class="saved-views-bar d-flex align-items-center gap-1">
+                <select class="form-select form-select-sm saved-views-select" title="Saved views">
+                    <option value="">${this.views.length ? 'Select a view...' : 'No saved views'}</option>
+                    ${options}
+                </select>
+                <button type="button" class="btn btn-sm btn-outline-primary" data-view-action="save" title="${current && this.canManage(current) ? 'Save changes to this view' : 'Save as a new view'}">
+                    <i class="fas fa-save"></i>
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-view-action="save-as" title="Save as a new view">
+                    <i class="fas fa-copy"></i>
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-danger" data-view-action="delete" title="Delete this view" ${this.canManage(current) ? '' : 'disabled'}>
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+            <form class="saved-views-form mt-2" style="display: none;">
+                <input type="text" class="form-control form-control-sm mb-2" name="savedViewName" placeholder="View name" maxlength="100" required>
+                ${this.canShare() ? `
+                <label class="form-check small mb-1">
+                    <input type="checkbox" class="form-check-input" name="savedViewShared">
+                    <span class="form-check-label">Share with everyone</span>
+                </label>` : ''}
+                ${this.canSetDefaults() ? `
+                <div class="saved-views-roles mb-1" style="display: none;">
+                    <div class="small text-muted">Default view for</div>
+                    ${roles}
+                </div>` : ''}
+                <div class="mt-1">
+                    <button type="submit" class="btn btn-sm btn-primary">Save View</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-view-action="cancel">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+}
+
+window.SavedViewsControl = SavedViewsControl;
@@ -9,7 +9,12 @@ let currentTablePermissions = {};
 let filteredData = [];
 let selectedRows = new Set();
 let currentRowHeight = 'comfortable';
-let currentFilters = [];
+let filterBuilder = null;
+let filterTableId = null;
+// { records, total } matching the applied filter expression, or null
+let filterMatches = null;
+let savedViews = null;
+let savedViewsTableId = null;
 let currentSort = { field: null, direction: 'asc' };
 let currentPage = 1;
 let rowsPerPage = 50;
@@ -45,6 +50,9 @@ async function initializeTableView() {
         
         // Setup event listeners
         setupEventListeners();
+        setupSavedViews();
+
+        await restoreTableFromUrl();
         
     } catch (error) {
         console.error('Table view initialization failed:', error);
@@ -101,10 +109,14 @@ async function loadTableSelector() {
     }
 }
 
-async function loadTableData() {
+// Opening another table applies its default view unless told otherwise
+// (a linked ?where= filter takes precedence over the default view)
+async function loadTableData({ applyDefaultView = true } = {}) {
     const tableId = document.getElementById('tableSelector').value;
     if (!tableId) {
         showEmptyState();
+        savedViewsTableId = null;
+        savedViews?.load();
         return;
     }
 
@@ -141,6 +153,7 @@ async function loadTableData() {
 
         // Load user permissions for this table
         currentTablePermissions = await loadUserPermissions(tableId);
+        setupFilterBuilder(tableId);
 
         // Filter data based on permissions
         filteredData = filterDataByPermissions([...currentTableData]);
@@ -166,6 +179,18 @@ async function loadTableData() {
         updateTableStats();
         populateColumnControls();
         populateSortMenu();
+
+        // Reloads after edits keep the applied filter
+        if (filterBuilder.getExpression()) {
+            await applyFilters({ silent: true });
+        } else {
+            updateTableUrl(null);
+        }
+
+        if (savedViewsTableId !== tableId) {
+            savedViewsTableId = tableId;
+            await savedViews.load({ applyDefault: applyDefaultView });
+        }
         
         // Log activity
         await window.teableAPI.logActivity(
@@ -701,9 +726,7 @@ function applySorting() {
 
 function clearSort() {
     currentSort = { field: null, direction: 'asc' };
-    filteredData = filterDataByPermissions([...currentTableData]);
-    applyFilters(); // Reapply filters
-    renderTable();
+    refreshFilteredData();
 }
 
 // Filtering
@@ -716,55 +739,109 @@ function toggleFilterPanel() {
     }
 }
 
+// Filter expressions are built in the filter panel (see filter-expression.js)
+// and evaluated by the server over the whole table, not just the loaded
+// records. Without a customer login they are evaluated over the loaded records.
+const MAX_FILTER_RECORDS = 1000;
+
+function getFilterFields() {
+    return currentTableFields
+        .filter(field => (currentTablePermissions[field.id] || getDefaultPermission(currentUser.role)) !== 'hidden')
+        .map(field => ({ name: field.name, type: FilterExpression.toValueType(field.type) }));
+}
+
+// A new table starts without a filter
+function setupFilterBuilder(tableId) {
+    if (!filterBuilder) {
+        filterBuilder = new FilterBuilder(document.getElementById('filterRules'));
+    }
+    if (filterTableId !== tableId) {
+        filterTableId = tableId;
+        filterMatches = null;
+        filterBuilder.clear();
+    }
+    filterBuilder.setFields(getFilterFields());
+}
+
 function addFilterRule() {
-    const rulesContainer = document.getElementById('filterRules');
-    const ruleId = 'filter_' + Date.now();
-    
-    const visibleFields = currentTableFields.filter(field => {
-        const permission = currentTablePermissions[field.id] || getDefaultPermission(currentUser.role);
-        return permission !== 'hidden' && visibleColumns.has(field.name);
-    });
+    filterBuilder?.addCondition();
+}
 
-    const ruleHtml = `
-        <div class="filter-rule" id="${ruleId}">
-            <select class="form-select" onchange="updateFilterOperators('${ruleId}')">
-                <option value="">Select Field</option>
-                ${visibleFields.map(field => {
-                    const permission = currentTablePermissions[field.id] || getDefaultPermission(currentUser.role);
-                    const permissionIcon = permission === 'edit' ? '✏️' : '👁️';
-                    return `<option value="${field.name}">${permissionIcon} ${field.name}</option>`;
-                }).join('')}
-            </select>
-            <select class="form-select" id="${ruleId}_operator">
-                <option value="contains">Contains</option>
-                <option value="equals">Equals</option>
-                <option value="not_equals">Not Equals</option>
-                <option value="starts_with">Starts With</option>
-                <option value="ends_with">Ends With</option>
-                <option value="greater_than">Greater Than</option>
-                <option value="less_than">Less Than</option>
-                <option value="is_empty">Is Empty</option>
-                <option value="is_not_empty">Is Not Empty</option>
-            </select>
-            <input type="text" class="form-control" placeholder="Value" id="${ruleId}_value">
-            <button class="btn btn-outline-danger" onclick="removeFilterRule('${ruleId}')">
-                <i class="fas fa-trash"></i>
-            </button>
-        </div>
-    `;
-    
-    rulesContainer.insertAdjacentHTML('beforeend', ruleHtml);
+// ?table= and ?where= (the filter expression as JSON) make a filtered view linkable
+async function restoreTableFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const tableId = params.get('table');
+    const selector = document.getElementById('tableSelector');
+    if (!tableId || !Array.from(selector.options).some(option => option.value === tableId)) return;
+
+    const expression = FilterExpression.decode(params.get('where'));
+    selector.value = tableId;
+    await loadTableData({ applyDefaultView: !expression });
+
+    if (expression && filterBuilder) {
+        filterBuilder.setExpression(expression);
+        document.getElementById('filterPanel').style.display = 'block';
+        await applyFilters();
+    }
 }
 
-function removeFilterRule(ruleId) {
-    document.getElementById(ruleId)?.remove();
+function updateTableUrl(expression) {
+    const url = new URL(window.location.href);
+    const tableId = document.getElementById('tableSelector').value;
+    const where = FilterExpression.encode(expression);
+
+    if (tableId) url.searchParams.set('table', tableId);
+    else url.searchParams.delete('table');
+    if (where) url.searchParams.set('where', where);
+    else url.searchParams.delete('where');
+
+    history.replaceState(null, '', url);
 }
 
-function applyFilters() {
-    const rules = document.querySelectorAll('.filter-rule');
-    filteredData = filterDataByPermissions([...currentTableData]);
-    
-    // Apply quick search first
+async function fetchFilterMatches(expression) {
+    const session = window.teableAPI.getProxySession();
+    if (!session) {
+        const records = currentTableData.filter(record => FilterExpression.matches(record.fields, expression));
+        return { records, total: records.length };
+    }
+
+    // Matches outside the loaded records come back as features
+    const tableId = document.getElementById('tableSelector').value;
+    const dataAdapter = new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource);
+    const result = await dataAdapter.getMapData(tableId, { where: expression, limit: MAX_FILTER_RECORDS });
+    const loaded = new Map(currentTableData.map(record => [record.id, record]));
+    const records = (result.features || []).map(feature =>
+        loaded.get(feature.id) || { id: feature.id, fields: feature.properties || {} });
+
+    return { records, total: result.metadata?.total ?? records.length };
+}
+
+async function applyFilters({ silent = false } = {}) {
+    const expression = filterBuilder?.getExpression() || null;
+    updateTableUrl(expression);
+
+    try {
+        filterMatches = expression ? await fetchFilterMatches(expression) : null;
+    } catch (error) {
+        console.error('Error applying filters:', error);
+        showError('Failed to apply filters: ' + error.message);
+        return;
+    }
+
+    refreshFilteredData();
+
+    if (!silent && filterMatches) {
+        const { records, total } = filterMatches;
+        showSuccess(records.length < total
+            ? `Filter matches ${total} records; showing the first ${records.length}`
+            : `Filter matches ${total} records`);
+    }
+}
+
+// Applies quick search and sorting to the filter matches (or all records)
+function refreshFilteredData() {
+    filteredData = filterDataByPermissions([...(filterMatches ? filterMatches.records : currentTableData)]);
+
     const quickSearch = document.getElementById('quickSearch').value.toLowerCase();
     if (quickSearch) {
         filteredData = filteredData.filter(record => {
@@ -773,38 +850,7 @@ function applyFilters() {
             );
         });
     }
-    
-    // Apply filter rules
-    rules.forEach(rule => {
-        const fieldSelect = rule.querySelector('select');
-        const operatorSelect = rule.querySelector('select:nth-child(2)');
-        const valueInput = rule.querySelector('input');
-        
-        const field = fieldSelect?.value;
-        const operator = operatorSelect?.value;
-        const value = valueInput?.value;
-        
-        if (!field || !operator) return;
-        
-        filteredData = filteredData.filter(record => {
-            const fieldValue = String(record.fields[field] || '').toLowerCase();
-            const searchValue = (value || '').toLowerCase();
-            
-            switch (operator) {
-                case 'contains': return fieldValue.includes(searchValue);
-                case 'equals': return fieldValue === searchValue;
-                case 'not_equals': return fieldValue !== searchValue;
-                case 'starts_with': return fieldValue.startsWith(searchValue);
-                case 'ends_with': return fieldValue.endsWith(searchValue);
-                case 'greater_than': return parseFloat(fieldValue) > parseFloat(searchValue);
-                case 'less_than': return parseFloat(fieldValue) < parseFloat(searchValue);
-                case 'is_empty': return fieldValue === '';
-                case 'is_not_empty': return fieldValue !== '';
-                default: return true;
-            }
-        });
-    });
-    
+
     currentPage = 1;
     applySorting();
     renderTable();
@@ -812,22 +858,76 @@ function applyFilters() {
 }
 
 function clearAllFilters() {
-    document.getElementById('filterRules').innerHTML = '';
+    filterBuilder?.clear();
+    filterMatches = null;
     document.getElementById('quickSearch').value = '';
-    filteredData = filterDataByPermissions([...currentTableData]);
-    currentPage = 1;
-    applySorting();
-    renderTable();
-    updateTableStats();
+    updateTableUrl(null);
+    refreshFilteredData();
+}
+
+// Saved views (see saved-views.js) keep the column layout, sort, row height,
+// page size, quick search and filter of a table under a name. Hidden columns
+// are stored rather than visible ones so that new fields show up.
+function setupSavedViews() {
+    savedViews = new SavedViewsControl(document.getElementById('savedViews'), {
+        page: 'table',
+        label: 'Saved Views:',
+        getTableId: () => document.getElementById('tableSelector').value || null,
+        captureState: captureTableView,
+        applyState: applyTableView,
+        onError: error => showError('Saved views: ' + error.message)
+    });
+}
+
+function captureTableView() {
+    const hiddenColumns = currentTableFields
+        .filter(field => (currentTablePermissions[field.id] || getDefaultPermission(currentUser.role)) !== 'hidden')
+        .filter(field => !visibleColumns.has(field.name))
+        .map(field => field.name);
+
+    return {
+        hiddenColumns,
+        frozenColumns,
+        sort: currentSort.field ? { ...currentSort } : null,
+        rowHeight: currentRowHeight,
+        rowsPerPage,
+        search: document.getElementById('quickSearch').value,
+        filter: filterBuilder?.getExpression() || null
+    };
+}
+
+async function applyTableView(state) {
+    const hidden = new Set(state.hiddenColumns || []);
+    visibleColumns = new Set(currentTableFields
+        .filter(field => (currentTablePermissions[field.id] || getDefaultPermission(currentUser.role)) !== 'hidden')
+        .filter(field => !hidden.has(field.name))
+        .map(field => field.name));
+
+    frozenColumns = Math.max(0, parseInt(state.frozenColumns) || 0);
+    currentSort = state.sort?.field && visibleColumns.has(state.sort.field)
+        ? { field: state.sort.field, direction: state.sort.direction === 'desc' ? 'desc' : 'asc' }
+        : { field: null, direction: 'asc' };
+    setRowHeight(['compact', 'comfortable', 'tall'].includes(state.rowHeight) ? state.rowHeight : 'comfortable');
+
+    rowsPerPage = [25, 50, 100, 200].includes(Number(state.rowsPerPage)) ? Number(state.rowsPerPage) : 50;
+    document.getElementById('rowsPerPage').value = String(rowsPerPage);
+    document.getElementById('quickSearch').value = state.search || '';
+
+    filterBuilder?.setExpression(state.filter || null);
+    if (state.filter) document.getElementById('filterPanel').style.display = 'block';
+
+    populateColumnControls();
+    populateSortMenu();
+    await applyFilters({ silent: true });
 }
 
 function performQuickSearch() {
-    applyFilters();
+    refreshFilteredData();
 }
 
 function clearQuickSearch() {
     document.getElementById('quickSearch').value = '';
-    applyFilters();
+    refreshFilteredData();
 }
 
 // Row Selection
@@ -914,11 +1014,16 @@ async function saveBatchEdit() {
         return;
     }
     try {
-        for (const recordId of selectedRows) {
-            await window.teableAPI.updateRecord(tableId, recordId, updates);
-        }
+        const result = await window.teableAPI.batchRecords(tableId, {
+            updates: Array.from(selectedRows).map(recordId => ({ id: recordId, fields: updates }))
+        });
         await loadTableData();
-        showSuccess('Batch update successful!');
+        if (result.summary.failed > 0) {
+            const firstError = result.updates.find(item => !item.success)?.error;
+            showError(`Batch update finished with ${result.summary.failed} of ${result.summary.requested} record(s) failed: ${firstError}`);
+        } else {
+            showSuccess('Batch update successful!');
+        }
         const modal = bootstrap.Modal.getInstance(document.getElementById('batchEditModal'));
         if (modal) modal.hide();
     } catch (error) {
@@ -1633,37 +1738,28 @@ function handleKeyboardShortcuts(event) {
     }
 }
 
-async function exportTableData() {
+// Exports through the server so the whole table is included, not just the
+// loaded page, with the current filter expression and quick search applied.
+async function exportTableData(format = 'csv') {
     try {
         const tableId = document.getElementById('tableSelector').value;
         if (!tableId) return;
-        // Prepare CSV header
-        const fields = currentTableFields.map(f => f.name);
-        let csv = fields.join(',') + '\n';
-        // Prepare CSV rows
-        filteredData.forEach(record => {
-            const row = fields.map(field => {
-                let value = record.fields[field];
-                if (value === null || value === undefined) return '';
-                // Escape quotes and commas
-                if (typeof value === 'string') {
-                    value = '"' + value.replace(/"/g, '""') + '"';
-                }
-                return value;
-            });
-            csv += row.join(',') + '\n';
+
+        const session = window.teableAPI.getProxySession();
+        if (!session) {
+            showError('Export requires a customer login');
+            return;
+        }
+
+        const tableName = document.getElementById('tableSelector').selectedOptions[0]?.textContent;
+        const dataAdapter = new DataAdapter(session.customerId, window.CUSTOMER_CONFIG?.dataSource);
+        const fileName = await dataAdapter.exportData(tableId, format, {
+            name: tableName || `table_export_${tableId}`,
+            where: filterBuilder?.getExpression(),
+            search: document.getElementById('quickSearch').value
         });
-        // Download CSV
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `table_export_${tableId}_${new Date().toISOString().split('T')[0]}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        window.URL.revokeObjectURL(url);
-        showSuccess('Table data exported as CSV successfully!');
+
+        showSuccess(`Table data exported as ${fileName}`);
     } catch (error) {
         console.error('Error exporting table:', error);
         showError('Failed to export table: ' + error.message);
@@ -2071,7 +2167,6 @@ window.sortColumn = sortColumn;
 window.clearSort = clearSort;
 window.toggleFilterPanel = toggleFilterPanel;
 window.addFilterRule = addFilterRule;
-window.removeFilterRule = removeFilterRule;
 window.applyFilters = applyFilters;
 window.clearAllFilters = clearAllFilters;
 window.performQuickSearch = performQuickSearch;
@@ -20,26 +20,50 @@ class TeableAPI {
     init(config) {
         this.config = { ...this.config, ...config };
         this.config.baseUrl = this.config.baseUrl?.replace(/\/$/, ''); // Remove trailing slash
-        console.log('Teable API initialized:', this.config);
+
+        // Behind the server proxy the base and space ids are resolved server-side
+        if (this.getProxySession()) {
+            this.config.baseId = this.config.baseId || 'current';
+            this.config.spaceId = this.config.spaceId || 'current';
+        }
+
+        console.log('Teable API initialized:', { ...this.config, accessToken: this.config.accessToken ? '***' : null });
+    }
+
+    /**
+     * Customer session used to reach Teable through /api/data/:customerId/teable,
+     * so the Teable access token never has to be in the browser
+     */
+    getProxySession() {
+        try {
+            const session = JSON.parse(localStorage.getItem('customer_session') || 'null');
+            return session && session.customerId && session.sessionToken ? session : null;
+        } catch (error) {
+            return null;
+        }
     }
 
     /**
      * Make authenticated API request
      */
     async request(endpoint, options = {}) {
-        if (!this.config.baseUrl || !this.config.accessToken) {
+        const proxySession = this.getProxySession();
+
+        if (!proxySession && (!this.config.baseUrl || !this.config.accessToken)) {
             throw new Error('API not properly configured. Please check your Base URL and API Token.');
         }
 
-        const url = `${this.config.baseUrl}${endpoint}`;
+        const url = proxySession
+            ? `${window.location.origin}/api/data/${proxySession.customerId}/teable${endpoint}`
+            : `${this.config.baseUrl}${endpoint}`;
 
         const requestOptions = {
+            ...options,
             headers: {
-                'Authorization': `Bearer ${this.config.accessToken}`,
+                'Authorization': `Bearer ${proxySession ? proxySession.sessionToken : this.config.accessToken}`,
                 'Content-Type': 'application/json',
                 ...options.headers
-            },
-            ...options
+            }
         };
 
         console.log('API Request:', url, requestOptions);
@@ -312,6 +336,104 @@ class TeableAPI {
         return result;
     }
 
+    /**
+     * Create, update and delete many records in one call.
+     * creates: [fields], updates: [{ id, fields }], deletes: [recordId]
+     * Resolves to per-item results ({ success, id, error }) so callers can
+     * report partial failures; it only throws if nothing could be sent.
+     */
+    async batchRecords(tableId, { creates = [], updates = [], deletes = [] } = {}) {
+        const proxySession = this.getProxySession();
+
+        if (proxySession) {
+            const toFeature = fields => ({ type: 'Feature', geometry: null, properties: fields || {} });
+
+            const response = await fetch(
+                `${window.location.origin}/api/data/${proxySession.customerId}/records/batch?tableId=${encodeURIComponent(tableId)}`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${proxySession.sessionToken}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        creates: creates.map(toFeature),
+                        updates: updates.map(update => ({ id: update.id, ...toFeature(update.fields) })),
+                        deletes: deletes,
+                        userEmail: window.teableAuth?.getCurrentSession()?.email
+                    })
+                }
+            );
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`API Error: ${response.status} ${response.statusText} - ${errorText}`);
+            }
+
+            const data = await response.json();
+            return { ...data.results, summary: data.summary };
+        }
+
+        // Direct mode: use Teable's multi-record endpoints in chunks
+        const chunkSize = 100;
+        const runChunks = async (items, send) => {
+            const results = [];
+            for (let i = 0; i < items.length; i += chunkSize) {
+                const chunk = items.slice(i, i + chunkSize);
+                try {
+                    results.push(...await send(chunk));
+                } catch (error) {
+                    console.error('❌ Batch chunk failed:', error);
+                    chunk.forEach(item => results.push({
+                        success: false,
+                        id: typeof item === 'string' ? item : (item.id || null),
+                        error: error.message
+                    }));
+                }
+            }
+            return results;
+        };
+
+        const createResults = await runChunks(creates, async chunk => {
+            const result = await this.request(`/api/table/${tableId}/record`, {
+                method: 'POST',
+                body: JSON.stringify({ records: chunk.map(fields => ({ fields })) })
+            });
+            return chunk.map((fields, index) => ({ success: true, id: result.records?.[index]?.id || null }));
+        });
+
+        const updateResults = await runChunks(updates, async chunk => {
+            await this.request(`/api/table/${tableId}/record`, {
+                method: 'PATCH',
+                body: JSON.stringify({ records: chunk.map(update => ({ id: update.id, fields: update.fields })) })
+            });
+            return chunk.map(update => ({ success: true, id: update.id }));
+        });
+
+        const deleteResults = await runChunks(deletes, async chunk => {
+            const params = new URLSearchParams();
+            chunk.forEach(id => params.append('recordIds', id));
+            await this.request(`/api/table/${tableId}/record?${params.toString()}`, {
+                method: 'DELETE'
+            });
+            return chunk.map(id => ({ success: true, id }));
+        });
+
+        const allResults = [...createResults, ...updateResults, ...deleteResults];
+        const succeeded = allResults.filter(result => result.success).length;
+
+        return {
+            creates: createResults,
+            updates: updateResults,
+            deletes: deleteResults,
+            summary: {
+                requested: allResults.length,
+                succeeded,
+                failed: allResults.length - succeeded
+            }
+        };
+    }
+
     /**
      * Log data changes for audit trail
      */
@@ -780,7 +902,6 @@ class TeableAPI {
 
         const adminUser = {
             email: 'admin@system.local',
-            password_hash: await this.hashPassword('admin123'),
             first_name: 'System',
             last_name: 'Administrator',
             role: 'Admin', // Using Teable.io role
@@ -792,7 +913,8 @@ class TeableAPI {
         };
 
         try {
-            await this.createRecord(this.systemTables.users, adminUser);
+            const created = await this.createRecord(this.systemTables.users, adminUser);
+            await this.setAppUserPasswords(created.id, { password: 'admin123' });
             console.log('Default admin user created');
         } catch (error) {
             // User might already exist
@@ -801,15 +923,58 @@ class TeableAPI {
     }
 
     /**
-     * Hash password using Web Crypto API
+     * Set the password and/or admin password of an app_users record. The
+     * server hashes them (salted scrypt); hashes cannot be written through
+     * the proxy. Needs an admin customer login.
      */
-    async hashPassword(password) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password + 'teable_salt_2024');
-        const hash = await crypto.subtle.digest('SHA-256', data);
-        return Array.from(new Uint8Array(hash))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+    async setAppUserPasswords(recordId, { password, adminPassword } = {}) {
+        const proxySession = this.getProxySession();
+        if (!proxySession) {
+            throw new Error('Sign in with a customer admin account to set passwords');
+        }
+
+        const response = await fetch(`${window.location.origin}/api/data/${proxySession.customerId}/app-users/${encodeURIComponent(recordId)}/password`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${proxySession.sessionToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ password, adminPassword })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to set password');
+        }
+    }
+
+    /**
+     * Check an app_users login on the server, which verifies the password
+     * against the stored record (and upgrades outdated hashes) so hashes
+     * never reach the browser. userType is 'space_owner' (admin password) or
+     * 'app_user'. Returns the user without its password hashes.
+     */
+    async loginAppUser(email, password, userType) {
+        const proxySession = this.getProxySession();
+        if (!proxySession) {
+            throw new Error('Sign in with your customer account first');
+        }
+
+        const response = await fetch(`${window.location.origin}/api/data/${proxySession.customerId}/app-users/login`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${proxySession.sessionToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email, password, userType })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Login failed');
+        }
+
+        return data.user;
     }
 
     /**
@@ -0,0 +1,321 @@
+/**
+ * Map Timeline - range filter and playback for time-enabled layers
+ *
+ * Shared by the map and the public map. The timeline covers an extent in
+ * steps of a day, week or month (in UTC); two sliders pick the first and last
+ * step shown and playback slides that window one step at a time. onChange
+ * receives the selected range { start, end } in milliseconds, end exclusive.
+ */
+
+const TIMELINE_STEPS = {
+    day: 'Day',
+    week: 'Week',
+    month: 'Month'
+};
+
+// Milliseconds per playback step, fastest last
+const TIMELINE_SPEEDS = {
+    2000: '0.5×',
+    1000: '1×',
+    500: '2×',
+    250: '4×'
+};
+
+// Day steps over decades would make the sliders unusable
+const MAX_TIMELINE_STEPS = 5000;
+
+class MapTimeline {
+    constructor(map, { onChange, step = 'day', speed = 1000, position = 'bottomleft' } = {}) {
+        this.map = map;
+        this.onChange = onChange || (() => {});
+        this.step = TIMELINE_STEPS[step] ? step : 'day';
+        this.speed = TIMELINE_SPEEDS[speed] ? Number(speed) : 1000;
+        this.extent = null;
+        this.ticks = [];
+        this.from = 0;
+        this.to = 0;
+        this.timer = null;
+
+        this.control = L.control({ position });
+        this.control.onAdd = () => this.createElement();
+        this.control.addTo(map);
+    }
+
+    // Dates as milliseconds: ISO strings, Date objects and epoch numbers.
+    // Returns null for anything that is not a date.
+    static parseTime(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value.getTime();
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+        const time = Date.parse(String(value));
+        return isNaN(time) ? null : time;
+    }
+
+    // Whether a feature's [start, end] interval touches the selected range.
+    // Features without an end are instants.
+    static inRange(startValue, endValue, range) {
+        const start = MapTimeline.parseTime(startValue);
+        if (start === null) return false;
+
+        const end = MapTimeline.parseTime(endValue) ?? start;
+        return start < range.end && end >= range.start;
+    }
+
+    static floorTime(time, step) {
+        const date = new Date(time);
+        date.setUTCHours(0, 0, 0, 0);
+        if (step === 'week') {
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        } else if (step === 'month') {
+            date.setUTCDate(1);
+        }
+        return date.getTime();
+    }
+
+    static addStep(time, step, count = 1) {
+        const date = new Date(time);
+        if (step === 'month') {
+            date.setUTCMonth(date.getUTCMonth() + count);
+        } else {
+            date.setUTCDate(date.getUTCDate() + count * (step === 'week' ? 7 : 1));
+        }
+        return date.getTime();
+    }
+
+    static formatTime(time, step) {
+        const options = step === 'month'
+            ? { year: 'numeric', month: 'short', timeZone: 'UTC' }
+            : { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' };
+        return new Date(time).toLocaleDateString(undefined, options);
+    }
+
+    createElement() {
+        const container = L.DomUtil.create('div', 'map-timeline');
+        container.innerHTML = `
+            <div class="map-timeline-header">
+                <button type="button" class="map-timeline-btn" data-action="back" title="Step back"><i class="fas fa-step-backward"></i></button>
+                <button type="button" class="map-timeline-btn" data-action="play" title="Play"><i class="fas fa-play"></i></button>
+                <button type="button" class="map-timeline-btn" data-action="forward" title="Step forward"><i class="fas fa-step-forward"></i></button>
+                <span class="map-timeline-label"></span>
+            </div>
+            <div class="map-timeline-sliders">
+                <input type="range" class="map-timeline-from" min="0" max="0" value="0" title="From">
+                <input type="range" class="map-timeline-to" min="0" max="0" value="0" title="To">
+            </div>
+            <div class="map-timeline-options">
+                <label>Step
+                    <select class="map-timeline-step">
+                        ${Object.entries(TIMELINE_STEPS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Speed
+                    <select class="map-timeline-speed">
+                        ${Object.entries(TIMELINE_SPEEDS).reverse().map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+        `;
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        this.elements = {
+            container,
+            label: container.querySelector('.map-timeline-label'),
+            from: container.querySelector('.map-timeline-from'),
+            to: container.querySelector('.map-timeline-to'),
+            play: container.querySelector('[data-action="play"]'),
+            step: container.querySelector('.map-timeline-step'),
+            speed: container.querySelector('.map-timeline-speed')
+        };
+        this.elements.step.value = this.step;
+        this.elements.speed.value = String(this.speed);
+
+        container.querySelector('[data-action="back"]').addEventListener('click', () => this.stepBy(-1));
+        container.querySelector('[data-action="forward"]').addEventListener('click', () => this.stepBy(1));
+        this.elements.play.addEventListener('click', () => this.timer ? this.pause() : this.play());
+
+        // Dragging updates the label; the map is filtered when the slider is released
+        ['from', 'to'].forEach(name => {
+            const slider = this.elements[name];
+            slider.addEventListener('input', () => {
+                this.setWindow(name === 'from' ? Number(slider.value) : this.from, name === 'to' ? Number(slider.value) : this.to, name);
+                this.updateLabel();
+            });
+            slider.addEventListener('change', () => this.notify());
+        });
+        this.elements.step.addEventListener('change', () => this.setStep(this.elements.step.value));
+        this.elements.speed.addEventListener('change', () => this.setSpeed(Number(this.elements.speed.value)));
+
+        container.style.display = 'none';
+        return container;
+    }
+
+    // The earliest and latest times of the time-enabled layers, or null when
+    // there are none (which hides the timeline)
+    setExtent(min, max) {
+        if (min === null || max === null || !Number.isFinite(min) || !Number.isFinite(max)) {
+            this.pause();
+            this.extent = null;
+            this.ticks = [];
+            this.elements.container.style.display = 'none';
+            return;
+        }
+
+        const previous = this.getRange();
+        this.extent = { min: Math.min(min, max), max: Math.max(min, max) };
+        this.buildTicks();
+
+        // Keep the selection where it still fits, otherwise show everything
+        const from = previous ? this.indexOf(previous.start) : 0;
+        const to = previous ? this.indexOf(previous.end - 1) : this.ticks.length - 1;
+        this.setWindow(from, to);
+        this.elements.container.style.display = 'block';
+        this.updateLabel();
+    }
+
+    buildTicks() {
+        // Fall back to coarser steps when the extent is too long for the step
+        const steps = Object.keys(TIMELINE_STEPS);
+        let stepIndex = steps.indexOf(this.step);
+        let ticks = this.computeTicks(steps[stepIndex]);
+        while (ticks.length > MAX_TIMELINE_STEPS && stepIndex < steps.length - 1) {
+            stepIndex++;
+            ticks = this.computeTicks(steps[stepIndex]);
+        }
+
+        this.step = steps[stepIndex];
+        this.elements.step.value = this.step;
+        this.ticks = ticks;
+        this.elements.from.max = this.elements.to.max = String(Math.max(0, ticks.length - 1));
+    }
+
+    computeTicks(step) {
+        const ticks = [];
+        let time = MapTimeline.floorTime(this.extent.min, step);
+        while (time <= this.extent.max && ticks.length <= MAX_TIMELINE_STEPS) {
+            ticks.push(time);
+            time = MapTimeline.addStep(time, step);
+        }
+        return ticks;
+    }
+
+    indexOf(time) {
+        let index = 0;
+        while (index < this.ticks.length - 1 && this.ticks[index + 1] <= time) index++;
+        return index;
+    }
+
+    setWindow(from, to, moved = 'to') {
+        const last = Math.max(0, this.ticks.length - 1);
+        from = Math.min(Math.max(0, from), last);
+        to = Math.min(Math.max(0, to), last);
+
+        // The handle being dragged pushes the other one along
+        if (from > to) {
+            if (moved === 'from') to = from;
+            else from = to;
+        }
+
+        this.from = from;
+        this.to = to;
+        this.elements.from.value = String(from);
+        this.elements.to.value = String(to);
+    }
+
+    // The selected range, or null while the timeline has no extent
+    getRange() {
+        if (!this.extent || this.ticks.length === 0) return null;
+        return {
+            start: this.ticks[this.from],
+            end: MapTimeline.addStep(this.ticks[this.to], this.step)
+        };
+    }
+
+    isActive() {
+        return this.getRange() !== null;
+    }
+
+    updateLabel() {
+        const range = this.getRange();
+        if (!range) return;
+
+        const first = MapTimeline.formatTime(range.start, this.step);
+        const last = MapTimeline.formatTime(this.ticks[this.to], this.step);
+        this.elements.label.textContent = first === last ? first : `${first} – ${last}`;
+    }
+
+    notify() {
+        this.updateLabel();
+        this.onChange(this.getRange());
+    }
+
+    setStep(step) {
+        if (!TIMELINE_STEPS[step] || !this.extent) return;
+        const range = this.getRange();
+        this.step = step;
+        this.buildTicks();
+        this.setWindow(this.indexOf(range.start), this.indexOf(range.end - 1));
+        this.notify();
+    }
+
+    setSpeed(speed) {
+        if (!TIMELINE_SPEEDS[speed]) return;
+        this.speed = speed;
+        if (this.timer) {
+            this.pause();
+            this.play();
+        }
+    }
+
+    // Moves the window by whole steps, keeping its width
+    stepBy(count) {
+        if (!this.extent) return false;
+        const width = this.to - this.from;
+        const from = Math.min(Math.max(0, this.from + count), this.ticks.length - 1 - width);
+        if (from === this.from) return false;
+
+        this.setWindow(from, from + width);
+        this.notify();
+        return true;
+    }
+
+    play() {
+        if (!this.extent || this.timer) return;
+
+        // Playing with everything selected steps through single steps;
+        // playing from the end starts over
+        if (this.from === 0 && this.to >= this.ticks.length - 1) {
+            this.setWindow(0, 0);
+            this.notify();
+        } else if (this.to >= this.ticks.length - 1) {
+            this.setWindow(0, this.to - this.from);
+            this.notify();
+        }
+
+        this.timer = setInterval(() => {
+            if (!this.stepBy(1)) this.pause();
+        }, this.speed);
+        this.elements.play.innerHTML = '<i class="fas fa-pause"></i>';
+        this.elements.play.title = 'Pause';
+    }
+
+    pause() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.elements) {
+            this.elements.play.innerHTML = '<i class="fas fa-play"></i>';
+            this.elements.play.title = 'Play';
+        }
+    }
+
+    remove() {
+        this.pause();
+        this.control.remove();
+    }
+}
+
+window.MapTimeline = MapTimeline;
@@ -191,6 +191,7 @@ class UserSyncManager {
                                 window.teableAPI.systemTables.users,
                                 userData
                             );
+                            await window.teableAPI.setAppUserPasswords(newUser.id, { password: 'temp123' }); // Temporary password
                             
                             result.created++;
                             result.details.push(`Created: ${email}`);
@@ -256,7 +257,6 @@ class UserSyncManager {
 
         const userData = {
             email: spaceUser.email,
-            password_hash: await window.teableAPI.hashPassword('temp123'), // Temporary password
             first_name: firstName,
             last_name: lastName,
             role: userRole,
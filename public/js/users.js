@@ -310,14 +310,9 @@ async function createUser() {
             throw new Error('A user with this email already exists');
         }
 
-        // Hash password
-        const passwordHash = await window.teableAPI.hashPassword(password);
-        const adminPasswordHash = adminPassword ? await window.teableAPI.hashPassword(adminPassword) : null;
-
         // Create user data
         const userData = {
             email: email,
-            password_hash: passwordHash,
             first_name: firstName,
             last_name: lastName,
             role: role, // Using Teable.io role directly
@@ -325,8 +320,7 @@ async function createUser() {
             created_date: new Date().toISOString().split('T')[0],
             last_login: null,
             synced_from_teable: false,
-            teable_user_id: null,
-            admin_password_hash: adminPasswordHash
+            teable_user_id: null
         };
 
         console.log('Creating user with data:', userData);
@@ -334,6 +328,12 @@ async function createUser() {
         // Create user in Teable
         const newUser = await window.teableAPI.createRecord(window.teableAPI.systemTables.users, userData);
 
+        // Passwords are hashed and stored on the server
+        await window.teableAPI.setAppUserPasswords(newUser.id, {
+            password,
+            adminPassword: adminPassword || undefined
+        });
+
         console.log('User created successfully:', newUser);
 
         // If sync with Teable is enabled, attempt to invite to space
@@ -453,21 +453,21 @@ async function updateUser() {
             is_active: isActive
         };
 
-        // Add password hash if new password provided
-        if (newPassword) {
-            if (newPassword.length < 6) {
-                throw new Error('Password must be at least 6 characters long');
-            }
-            updateData.password_hash = await window.teableAPI.hashPassword(newPassword);
-        }
-
-        if (newAdminPassword) {
-            updateData.admin_password_hash = await window.teableAPI.hashPassword(newAdminPassword);
+        if (newPassword && newPassword.length < 6) {
+            throw new Error('Password must be at least 6 characters long');
         }
 
         // Update user in Teable
         await window.teableAPI.updateRecord(window.teableAPI.systemTables.users, userId, updateData);
 
+        // Set new passwords, hashed on the server
+        if (newPassword || newAdminPassword) {
+            await window.teableAPI.setAppUserPasswords(userId, {
+                password: newPassword || undefined,
+                adminPassword: newAdminPassword || undefined
+            });
+        }
+
         // If user is synced from Teable, attempt to update space role
         const user = allUsers.find(u => u.id === userId);
         if (user?.fields.synced_from_teable && window.userSyncManager) {
@@ -563,13 +563,8 @@ async function resetPassword(userId) {
             throw new Error('Password must be at least 6 characters long');
         }
 
-        // Hash new password
-        const passwordHash = await window.teableAPI.hashPassword(newPassword);
-
-        // Update user password
-        await window.teableAPI.updateRecord(window.teableAPI.systemTables.users, userId, {
-            password_hash: passwordHash
-        });
+        // Update user password (hashed on the server)
+        await window.teableAPI.setAppUserPasswords(userId, { password: newPassword });
 
         // Log activity
         const session = window.teableAuth.getCurrentSession();
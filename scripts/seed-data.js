@@ -6,14 +6,20 @@ dotenv.config();
 
 const supabaseUrl = process.env.VITE_SUPABASE_URL;
 const supabaseKey = process.env.VITE_SUPABASE_ANON_KEY;
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-if (!supabaseUrl || !supabaseKey) {
+if (!supabaseUrl || !supabaseKey || !supabaseServiceRoleKey) {
   console.error('Missing Supabase credentials in .env file');
   process.exit(1);
 }
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// customer_teable_config holds access tokens and is closed to anon
+const supabaseAdmin = createClient(supabaseUrl, supabaseServiceRoleKey, {
+  auth: { persistSession: false, autoRefreshToken: false }
+});
+
 function hashPassword(password) {
   return crypto.createHash('sha256').update(password + 'teable_salt_2024').digest('hex');
 }
@@ -128,7 +134,7 @@ async function seedDatabase() {
     for (const customer of createdCustomers) {
       if (!customer.id) continue;
 
-      const { error: configError } = await supabase
+      const { error: configError } = await supabaseAdmin
         .from('customer_teable_config')
         .insert({
           customer_id: customer.id,
@@ -1,7 +1,8 @@
 import { TeableAdapter } from './TeableAdapter.js';
 import { GoogleSheetsAdapter } from './GoogleSheetsAdapter.js';
-import { supabase } from '../config/supabase.js';
+import { supabase, supabaseAdmin } from '../config/supabase.js';
 import { getEncryptionService } from '../utils/encryption.js';
+import { invalidateFeatureCache } from '../utils/feature-cache.js';
 
 const adapterCache = new Map();
 
@@ -41,7 +42,7 @@ export class AdapterFactory {
   }
 
   static async createTeableAdapter(customerId, tableId) {
-    const { data: config, error } = await supabase
+    const { data: config, error } = await supabaseAdmin
       .from('customer_teable_config')
       .select('*')
       .eq('customer_id', customerId)
@@ -52,15 +53,11 @@ export class AdapterFactory {
       throw new Error('Teable configuration not found for customer');
     }
 
-    const adapterConfig = {
-      base_url: config.base_url,
-      space_id: config.space_id,
-      base_id: config.base_id,
-      access_token: config.access_token,
-      table_id: tableId
-    };
-
-    return new TeableAdapter(adapterConfig);
+    return this.createAdapter('teable', {
+      ...config,
+      table_id: tableId,
+      crs: tableId ? config.field_mappings?.[tableId]?.crs : null
+    });
   }
 
   static async createGoogleSheetsAdapter(customerId) {
@@ -75,17 +72,99 @@ export class AdapterFactory {
       throw new Error('Google Sheets configuration not found for customer');
     }
 
-    const encryptionService = getEncryptionService();
+    return this.createAdapter('google_sheets', {
+      ...config,
+      crs: config.field_mappings?.crs
+    });
+  }
+
+  // Builds an uncached adapter from a config row (OAuth tokens still
+  // encrypted). config.crs is the native CRS of the table's coordinates.
+  static createAdapter(type, config) {
+    if (type === 'teable') {
+      return new TeableAdapter({
+        customer_id: config.customer_id,
+        base_url: config.base_url,
+        space_id: config.space_id,
+        base_id: config.base_id,
+        access_token: config.access_token,
+        table_id: config.table_id || null,
+        crs: config.crs || null
+      });
+    }
+
+    if (type === 'google_sheets') {
+      const encryptionService = getEncryptionService();
+
+      return new GoogleSheetsAdapter({
+        customer_id: config.customer_id,
+        spreadsheet_id: config.spreadsheet_id,
+        sheet_name: config.sheet_name,
+        oauth_access_token: encryptionService.decrypt(config.oauth_access_token),
+        oauth_refresh_token: encryptionService.decrypt(config.oauth_refresh_token),
+        field_mappings: config.field_mappings || {},
+        crs: config.crs || null
+      });
+    }
+
+    throw new Error(`Unsupported data source type: ${type}`);
+  }
+
+  // Native CRS stored with the table's field mappings, or null for WGS 84.
+  // Teable keeps mappings per table; Google Sheets has one sheet per customer.
+  static async getTableCrs(customerId, tableId) {
+    const dataSource = await this.getDataSourceType(customerId);
+    const { data: config } = await supabaseAdmin
+      .from(dataSource === 'teable' ? 'customer_teable_config' : 'customer_google_sheets_config')
+      .select('field_mappings')
+      .eq('customer_id', customerId)
+      .eq('is_active', true)
+      .single();
+
+    const mappings = config?.field_mappings || {};
+    return (dataSource === 'teable' ? mappings[tableId]?.crs : mappings.crs) || null;
+  }
+
+  static async setTableCrs(customerId, tableId, crs) {
+    await this.updateFieldMappings(customerId, tableId, { crs });
+  }
+
+  // Merges changes into the table's saved field mappings (per table on
+  // Teable, the sheet's mappings on Google Sheets).
+  static async updateFieldMappings(customerId, tableId, changes) {
+    const dataSource = await this.getDataSourceType(customerId);
+    const table = dataSource === 'teable' ? 'customer_teable_config' : 'customer_google_sheets_config';
+
+    const { data: config, error } = await supabaseAdmin
+      .from(table)
+      .select('id, field_mappings')
+      .eq('customer_id', customerId)
+      .eq('is_active', true)
+      .single();
+
+    if (error || !config) {
+      throw new Error('Data source configuration not found for customer');
+    }
+
+    const mappings = { ...(config.field_mappings || {}) };
+    if (dataSource === 'teable') {
+      mappings[tableId] = { ...(mappings[tableId] || {}), ...changes };
+    } else {
+      Object.assign(mappings, changes);
+    }
+
+    const { error: updateError } = await supabaseAdmin
+      .from(table)
+      .update({ field_mappings: mappings })
+      .eq('id', config.id);
+
+    if (updateError) throw updateError;
 
-    const adapterConfig = {
-      spreadsheet_id: config.spreadsheet_id,
-      sheet_name: config.sheet_name,
-      oauth_access_token: encryptionService.decrypt(config.oauth_access_token),
-      oauth_refresh_token: encryptionService.decrypt(config.oauth_refresh_token),
-      field_mappings: config.field_mappings || {}
-    };
+    // Cached adapters and features were read with the previous mappings
+    this.clearCache(customerId);
+    invalidateFeatureCache(customerId);
 
-    return new GoogleSheetsAdapter(adapterConfig);
+    return dataSource === 'teable' ? mappings[tableId] : mappings;
   }
 
   static clearCache(customerId = null) {
@@ -1,7 +1,30 @@
+import { invalidateFeatureCache } from '../utils/feature-cache.js';
+import { createTransformer } from '../utils/crs.js';
+import { matchesExpression } from '../utils/record-filter.js';
+
+export const MAX_FETCH_ALL_RECORDS = 100000;
+
+// Thrown by fetchAllRecords when the records to read exceed the limit. An
+// answer computed from part of a table (a spatial filter, a total, the
+// feature index) would be silently wrong, so callers refuse with 413.
+export class RecordLimitError extends Error {
+  constructor(limit = MAX_FETCH_ALL_RECORDS) {
+    super(`More than ${limit} records to read; narrow the request with a filter or bbox`);
+    this.name = 'RecordLimitError';
+    this.status = 413;
+    this.code = 'TOO_MANY_RECORDS';
+    this.limit = limit;
+  }
+}
+
 export class BaseDataAdapter {
   constructor(config) {
     this.config = config;
     this.connected = false;
+    this.customerId = config.customer_id || null;
+    // Native CRS of the stored coordinates; features are always WGS 84
+    this.crs = config.crs || null;
+    this.transformer = createTransformer(this.crs);
   }
 
   async connect() {
@@ -20,6 +43,68 @@ export class BaseDataAdapter {
     throw new Error('fetchRecords() must be implemented by subclass');
   }
 
+  // Pages through fetchRecords until the table is exhausted. Used where every
+  // feature has to be inspected, such as spatial filters. Throws
+  // RecordLimitError rather than return part of a larger table.
+  async fetchAllRecords(options = {}, pageSize = 1000) {
+    const features = [];
+    const { options: pageOptions, residual } = options.expression
+      ? await this.prepareFilterExpression(options)
+      : { options, residual: null };
+
+    for (let offset = 0; ; offset += pageSize) {
+      if (offset >= MAX_FETCH_ALL_RECORDS) {
+        const next = await this.fetchRecords({ ...pageOptions, limit: 1, offset, countTotal: false });
+        if ((next.features || []).length > 0) {
+          throw new RecordLimitError();
+        }
+        break;
+      }
+
+      const page = await this.fetchRecords({ ...pageOptions, limit: pageSize, offset, countTotal: false });
+      const pageFeatures = page.features || [];
+      features.push(...(residual ? pageFeatures.filter(feature => matchesExpression(feature, residual)) : pageFeatures));
+
+      if (pageFeatures.length < pageSize) {
+        break;
+      }
+    }
+
+    return {
+      type: 'FeatureCollection',
+      features: features
+    };
+  }
+
+  // Splits options.expression (see utils/record-filter.js) into what the data
+  // source evaluates itself, merged into the returned fetch options, and the
+  // residual expression left for in-process evaluation. The default leaves
+  // all of it in-process.
+  async prepareFilterExpression(options) {
+    const { expression, ...rest } = options;
+    return { options: rest, residual: expression || null };
+  }
+
+  // One page of the records matching options.expression when the data source
+  // cannot page through them itself: every record is read and the matches
+  // are sliced.
+  async fetchMatchingPage(options) {
+    const { limit = 100, offset = 0, countTotal, ...rest } = options;
+    const matches = (await this.fetchAllRecords(rest)).features;
+    const features = matches.slice(offset, offset + limit);
+
+    return {
+      type: 'FeatureCollection',
+      features,
+      metadata: {
+        total: matches.length,
+        limit,
+        offset,
+        hasMore: offset + features.length < matches.length
+      }
+    };
+  }
+
   async getRecord(id) {
     throw new Error('getRecord() must be implemented by subclass');
   }
@@ -36,6 +121,51 @@ export class BaseDataAdapter {
     throw new Error('deleteRecord() must be implemented by subclass');
   }
 
+  // Batch methods return one result per input item, in input order:
+  // { success: true, id, feature } or { success: false, id, error }.
+  // Adapters with a native bulk API override these; the defaults fall back to
+  // the single-record methods so every data source supports batches.
+  async createRecords(features) {
+    return this.runInChunks(features, 1, async ([feature]) => {
+      const created = await this.createRecord(feature);
+      return [{ success: true, id: created?.id ?? null, feature: created }];
+    }, () => null);
+  }
+
+  async updateRecords(updates) {
+    return this.runInChunks(updates, 1, async ([update]) => {
+      const updated = await this.updateRecord(update.id, update.feature);
+      return [{ success: true, id: update.id, feature: updated }];
+    });
+  }
+
+  async deleteRecords(ids) {
+    return this.runInChunks(ids, 1, async ([id]) => {
+      await this.deleteRecord(id);
+      return [{ success: true, id }];
+    }, id => id);
+  }
+
+  // Runs operation over fixed-size chunks. A chunk that throws marks each of
+  // its items as failed and the remaining chunks still run.
+  async runInChunks(items, chunkSize, operation, getId = item => item?.id ?? null) {
+    const results = [];
+
+    for (let i = 0; i < items.length; i += chunkSize) {
+      const chunk = items.slice(i, i + chunkSize);
+
+      try {
+        results.push(...await operation(chunk));
+      } catch (error) {
+        chunk.forEach(item => {
+          results.push({ success: false, id: getId(item), error: error.message });
+        });
+      }
+    }
+
+    return results;
+  }
+
   async getSchema() {
     throw new Error('getSchema() must be implemented by subclass');
   }
@@ -44,6 +174,31 @@ export class BaseDataAdapter {
     throw new Error('getTableList() must be implemented by subclass');
   }
 
+  // Creates a table from [{ name, type }] in the data source's own field types.
+  async createTable(definition) {
+    throw new Error(`${this.getDataSourceType()} does not support creating tables`);
+  }
+
+  // Adds columns for the given field names to the current table.
+  async addFields(names) {
+    throw new Error(`${this.getDataSourceType()} does not support adding fields`);
+  }
+
+  // Whether the table's geometry mapping can hold this geometry.
+  canStoreGeometry(geometry) {
+    return true;
+  }
+
+  // Reprojects a geometry read from the data source to WGS 84.
+  toWGS84(geometry) {
+    return this.transformer && geometry ? this.transformer.toWGS84(geometry) : geometry;
+  }
+
+  // Reprojects a WGS 84 geometry to the table's native CRS before writing.
+  fromWGS84(geometry) {
+    return this.transformer && geometry ? this.transformer.fromWGS84(geometry) : geometry;
+  }
+
   toGeoJSON(records) {
     throw new Error('toGeoJSON() must be implemented by subclass');
   }
@@ -56,6 +211,18 @@ export class BaseDataAdapter {
     throw new Error('normalizeGeometry() must be implemented by subclass');
   }
 
+  // Identifies the table this adapter reads within its customer, used as the
+  // feature cache key.
+  getTableKey() {
+    return null;
+  }
+
+  invalidateFeatureCache() {
+    if (this.customerId) {
+      invalidateFeatureCache(this.customerId, this.getTableKey());
+    }
+  }
+
   getDataSourceType() {
     throw new Error('getDataSourceType() must be implemented by subclass');
   }
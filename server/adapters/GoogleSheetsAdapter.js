@@ -2,6 +2,8 @@ import { BaseDataAdapter } from './BaseDataAdapter.js';
 import { GeometryParser } from '../utils/geometry.js';
 import { google } from 'googleapis';
 
+const BATCH_CHUNK_SIZE = 500;
+
 export class GoogleSheetsAdapter extends BaseDataAdapter {
   constructor(config) {
     super(config);
@@ -66,6 +68,11 @@ export class GoogleSheetsAdapter extends BaseDataAdapter {
   async fetchRecords(options = {}) {
     await this.ensureConnected();
 
+    // Sheets has no query language; filter expressions are evaluated in-process
+    if (options.expression) {
+      return this.fetchMatchingPage(options);
+    }
+
     const { limit = 1000, offset = 0 } = options;
 
     const headers = await this.getHeaders();
@@ -215,6 +222,144 @@ export class GoogleSheetsAdapter extends BaseDataAdapter {
     return { success: true, id };
   }
 
+  async createRecords(features) {
+    await this.ensureConnected();
+
+    const headers = await this.getHeaders();
+    const range = `${this.sheetName}!A:${this.columnToLetter(headers.length)}`;
+
+    const results = await this.runInChunks(features, BATCH_CHUNK_SIZE, async chunk => {
+      const rows = chunk.map(feature => this.fromGeoJSON(feature, headers));
+
+      await this.sheets.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: range,
+        valueInputOption: 'USER_ENTERED',
+        requestBody: {
+          values: rows
+        }
+      });
+
+      return this.toGeoJSON(rows, headers).features.map(feature => ({
+        success: true,
+        id: feature.id,
+        feature
+      }));
+    }, () => null);
+
+    this.invalidateCache();
+    return results;
+  }
+
+  async updateRecords(updates) {
+    await this.ensureConnected();
+
+    const headers = await this.getHeaders();
+    const allData = await this.getData();
+    const idIndex = this.getIdColumnIndex(headers);
+    const lastColumn = this.columnToLetter(headers.length);
+
+    const results = await this.runInChunks(updates, BATCH_CHUNK_SIZE, async chunk => {
+      const data = [];
+      const chunkResults = chunk.map(update => {
+        const rowIndex = allData.findIndex(row => row[idIndex] === update.id);
+        if (rowIndex === -1) {
+          return { success: false, id: update.id, error: `Record with ID "${update.id}" not found` };
+        }
+
+        const updatedRow = this.fromGeoJSON(update.feature, headers, allData[rowIndex]);
+        const sheetRowNumber = rowIndex + 2;
+        data.push({
+          range: `${this.sheetName}!A${sheetRowNumber}:${lastColumn}${sheetRowNumber}`,
+          values: [updatedRow]
+        });
+
+        return {
+          success: true,
+          id: update.id,
+          feature: this.toGeoJSON([updatedRow], headers).features[0]
+        };
+      });
+
+      if (data.length > 0) {
+        await this.sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          requestBody: {
+            valueInputOption: 'USER_ENTERED',
+            data
+          }
+        });
+      }
+
+      return chunkResults;
+    });
+
+    this.invalidateCache();
+    return results;
+  }
+
+  async deleteRecords(ids) {
+    await this.ensureConnected();
+
+    const headers = await this.getHeaders();
+    const allData = await this.getData();
+    const idIndex = this.getIdColumnIndex(headers);
+    const sheetId = await this.getSheetId();
+
+    const resultsById = {};
+    const rowsToDelete = [];
+
+    ids.forEach(id => {
+      const rowIndex = allData.findIndex(row => row[idIndex] === id);
+      if (rowIndex === -1) {
+        resultsById[id] = { success: false, id, error: `Record with ID "${id}" not found` };
+      } else if (!rowsToDelete.some(entry => entry.rowIndex === rowIndex)) {
+        rowsToDelete.push({ id, rowIndex });
+      }
+    });
+
+    // Delete bottom-up so earlier deletions do not shift the rows still queued.
+    rowsToDelete.sort((a, b) => b.rowIndex - a.rowIndex);
+
+    const deleted = await this.runInChunks(rowsToDelete, BATCH_CHUNK_SIZE, async chunk => {
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        requestBody: {
+          requests: chunk.map(entry => ({
+            deleteDimension: {
+              range: {
+                sheetId: sheetId,
+                dimension: 'ROWS',
+                startIndex: entry.rowIndex + 1,
+                endIndex: entry.rowIndex + 2
+              }
+            }
+          }))
+        }
+      });
+
+      return chunk.map(entry => ({ success: true, id: entry.id }));
+    });
+
+    deleted.forEach(result => {
+      resultsById[result.id] = result;
+    });
+
+    this.invalidateCache();
+    return ids.map(id => resultsById[id]);
+  }
+
+  getIdColumnIndex(headers) {
+    const idColumn = this.fieldMappings.id_column || headers[0];
+    const idIndex = headers.indexOf(idColumn);
+
+    if (idIndex === -1) {
+      throw new Error(`ID column "${idColumn}" not found`);
+    }
+
+    return idIndex;
+  }
+
   async getSchema() {
     await this.ensureConnected();
 
@@ -260,6 +405,7 @@ export class GoogleSheetsAdapter extends BaseDataAdapter {
       const properties = {};
       let id = null;
       let geometry = null;
+      let invalidGeometry = null;
 
       headers.forEach((header, index) => {
         const value = row[index];
@@ -269,13 +415,18 @@ export class GoogleSheetsAdapter extends BaseDataAdapter {
         }
 
         if (header === geometryColumn && value) {
-          geometry = this.normalizeGeometry(value);
+          geometry = this.toWGS84(this.normalizeGeometry(value));
+          invalidGeometry = geometry ? null : value;
         } else if (!geometry && latColumn && lngColumn && (header === latColumn || header === lngColumn)) {
           if (header === latColumn || header === lngColumn) {
             const lat = row[headers.indexOf(latColumn)];
             const lng = row[headers.indexOf(lngColumn)];
             if (lat && lng) {
-              geometry = GeometryParser.parseLatLng(lat, lng);
+              // In a projected CRS the columns hold northing and easting
+              geometry = this.transformer
+                ? this.toWGS84(GeometryParser.parseXY(lng, lat))
+                : GeometryParser.parseLatLng(lat, lng);
+              invalidGeometry = geometry ? null : `POINT (${lng} ${lat})`;
             }
           }
         } else {
@@ -283,11 +434,13 @@ export class GoogleSheetsAdapter extends BaseDataAdapter {
         }
       });
 
+      // Unreadable values are kept so validation can report them
       return {
         type: 'Feature',
         id: id || `row-${rowIndex}`,
         geometry: geometry,
-        properties: properties
+        properties: properties,
+        ...(invalidGeometry != null && { invalidGeometry })
       };
     });
 
@@ -305,18 +458,20 @@ export class GoogleSheetsAdapter extends BaseDataAdapter {
     const lngColumn = this.fieldMappings.longitude_column;
 
     if (feature.geometry) {
+      const geometry = this.fromWGS84(feature.geometry);
+
       if (geometryColumn) {
         const geomIndex = headers.indexOf(geometryColumn);
         if (geomIndex !== -1) {
-          const wkt = GeometryParser.toWKT(feature.geometry);
+          const wkt = GeometryParser.toWKT(geometry);
           row[geomIndex] = wkt || '';
         }
-      } else if (latColumn && lngColumn && feature.geometry.type === 'Point') {
+      } else if (latColumn && lngColumn && geometry.type === 'Point') {
         const latIndex = headers.indexOf(latColumn);
         const lngIndex = headers.indexOf(lngColumn);
         if (latIndex !== -1 && lngIndex !== -1) {
-          row[lngIndex] = feature.geometry.coordinates[0];
-          row[latIndex] = feature.geometry.coordinates[1];
+          row[lngIndex] = geometry.coordinates[0];
+          row[latIndex] = geometry.coordinates[1];
         }
       }
     }
@@ -331,6 +486,60 @@ export class GoogleSheetsAdapter extends BaseDataAdapter {
     return row;
   }
 
+  // A latitude/longitude mapping can only hold points.
+  canStoreGeometry(geometry) {
+    if (!geometry || this.fieldMappings.geometry_column) return true;
+    if (this.fieldMappings.latitude_column && this.fieldMappings.longitude_column) {
+      return geometry.type === 'Point';
+    }
+    return false;
+  }
+
+  // Appends header cells for the names not already in row 1.
+  async addFields(names) {
+    await this.ensureConnected();
+
+    const headers = await this.getHeaders();
+    const missing = names.filter(name => !headers.includes(name));
+    if (missing.length === 0) return headers;
+
+    const columnCount = headers.length + missing.length;
+    const response = await this.sheets.spreadsheets.get({ spreadsheetId: this.spreadsheetId });
+    const sheet = response.data.sheets.find(s => s.properties.title === this.sheetName);
+
+    // values.update does not grow the grid, so make room first
+    if (sheet && sheet.properties.gridProperties.columnCount < columnCount) {
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        requestBody: {
+          requests: [{
+            appendDimension: {
+              sheetId: sheet.properties.sheetId,
+              dimension: 'COLUMNS',
+              length: columnCount - sheet.properties.gridProperties.columnCount
+            }
+          }]
+        }
+      });
+    }
+
+    const start = this.columnToLetter(headers.length + 1);
+    const end = this.columnToLetter(columnCount);
+
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!${start}1:${end}1`,
+      valueInputOption: 'RAW',
+      requestBody: {
+        values: [missing]
+      }
+    });
+
+    this.cachedHeaders = [...headers, ...missing];
+    this.invalidateCache();
+    return this.cachedHeaders;
+  }
+
   normalizeGeometry(value) {
     return GeometryParser.autoDetectGeometry(value);
   }
@@ -382,6 +591,11 @@ export class GoogleSheetsAdapter extends BaseDataAdapter {
   invalidateCache() {
     this.cachedData = null;
     this.cacheTimestamp = null;
+    this.invalidateFeatureCache();
+  }
+
+  getTableKey() {
+    return this.sheetName;
   }
 
   columnToLetter(column) {
@@ -1,5 +1,9 @@
 import { BaseDataAdapter } from './BaseDataAdapter.js';
 import { GeometryParser } from '../utils/geometry.js';
+import { toTeableFilter } from '../utils/record-filter.js';
+import { SECRET_FIELDS } from '../utils/app-users.js';
+
+const BATCH_CHUNK_SIZE = 100;
 
 export class TeableAdapter extends BaseDataAdapter {
   constructor(config) {
@@ -63,10 +67,13 @@ export class TeableAdapter extends BaseDataAdapter {
 
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`Teable API Error: ${response.status} - ${errorText}`);
+      const error = new Error(`Teable API Error: ${response.status} - ${errorText}`);
+      error.status = response.status;
+      throw error;
     }
 
-    return await response.json();
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
   }
 
   async fetchRecords(options = {}) {
@@ -74,20 +81,68 @@ export class TeableAdapter extends BaseDataAdapter {
       throw new Error('Table ID not set for Teable adapter');
     }
 
+    // Teable evaluates what it can of a filter expression; anything left over
+    // means reading the whole table
+    if (options.expression) {
+      const { options: nativeOptions, residual } = await this.prepareFilterExpression(options);
+      return residual ? this.fetchMatchingPage(options) : this.fetchRecords(nativeOptions);
+    }
+
     let endpoint = `/api/table/${this.tableId}/record`;
     const params = new URLSearchParams();
 
+    const limit = options.limit || 100;
+    const offset = options.offset || 0;
+
+    // Teable's record list pages with take/skip
+    params.append('take', limit);
+    params.append('skip', offset);
     if (options.limit) params.append('limit', options.limit);
     if (options.offset) params.append('offset', options.offset);
     if (options.sort) params.append('sort', options.sort);
     if (options.filter) params.append('filter', JSON.stringify(options.filter));
 
-    if (params.toString()) {
-      endpoint += `?${params.toString()}`;
-    }
+    endpoint += `?${params.toString()}`;
 
     const result = await this.request(endpoint);
-    return this.toGeoJSON(result.records || []);
+    const geojson = this.toGeoJSON(result.records || []);
+    const total = options.countTotal === false ? null : await this.getRowCount(options.filter);
+
+    geojson.metadata = {
+      total,
+      limit,
+      offset,
+      hasMore: total != null ? offset + geojson.features.length < total : geojson.features.length === limit
+    };
+
+    return geojson;
+  }
+
+  async prepareFilterExpression(options) {
+    const { expression, ...rest } = options;
+    const { filter, residual } = toTeableFilter(expression, await this.getSchema());
+    const filters = [rest.filter, filter].filter(Boolean);
+
+    return {
+      options: {
+        ...rest,
+        ...(filters.length > 0 && { filter: filters.length === 1 ? filters[0] : { conjunction: 'and', filterSet: filters } })
+      },
+      residual
+    };
+  }
+
+  async getRowCount(filter = null) {
+    const params = new URLSearchParams();
+    if (filter) params.append('filter', JSON.stringify(filter));
+
+    try {
+      const result = await this.request(`/api/table/${this.tableId}/aggregation/row-count?${params.toString()}`);
+      return typeof result.rowCount === 'number' ? result.rowCount : null;
+    } catch (error) {
+      console.warn('Could not fetch Teable row count:', error.message);
+      return null;
+    }
   }
 
   async getRecord(id) {
@@ -115,6 +170,8 @@ export class TeableAdapter extends BaseDataAdapter {
       body: JSON.stringify(requestBody)
     });
 
+    this.invalidateFeatureCache();
+
     if (result.records && result.records.length > 0) {
       const features = this.toGeoJSON([result.records[0]]);
       return features.features[0];
@@ -139,6 +196,8 @@ export class TeableAdapter extends BaseDataAdapter {
         body: JSON.stringify(requestBody)
       });
 
+      this.invalidateFeatureCache();
+
       const features = this.toGeoJSON([result]);
       return features.features[0];
     } catch (error) {
@@ -151,6 +210,8 @@ export class TeableAdapter extends BaseDataAdapter {
         body: JSON.stringify(alternativeBody)
       });
 
+      this.invalidateFeatureCache();
+
       const features = this.toGeoJSON(result.records || [result]);
       return features.features[0];
     }
@@ -165,9 +226,86 @@ export class TeableAdapter extends BaseDataAdapter {
       method: 'DELETE'
     });
 
+    this.invalidateFeatureCache();
+
     return { success: true, id };
   }
 
+  async createRecords(features) {
+    if (!this.tableId) {
+      throw new Error('Table ID not set for Teable adapter');
+    }
+
+    const results = await this.runInChunks(features, BATCH_CHUNK_SIZE, async chunk => {
+      const result = await this.request(`/api/table/${this.tableId}/record`, {
+        method: 'POST',
+        body: JSON.stringify({
+          records: chunk.map(feature => ({ fields: this.fromGeoJSON(feature) }))
+        })
+      });
+
+      const created = this.toGeoJSON(result.records || []).features;
+      return chunk.map((feature, index) => ({
+        success: true,
+        id: created[index]?.id ?? null,
+        feature: created[index] || null
+      }));
+    }, () => null);
+
+    this.invalidateFeatureCache();
+    return results;
+  }
+
+  async updateRecords(updates) {
+    if (!this.tableId) {
+      throw new Error('Table ID not set for Teable adapter');
+    }
+
+    const results = await this.runInChunks(updates, BATCH_CHUNK_SIZE, async chunk => {
+      const result = await this.request(`/api/table/${this.tableId}/record`, {
+        method: 'PATCH',
+        body: JSON.stringify({
+          records: chunk.map(update => ({ id: update.id, fields: this.fromGeoJSON(update.feature) }))
+        })
+      });
+
+      const records = Array.isArray(result) ? result : (result.records || []);
+      const updatedById = {};
+      this.toGeoJSON(records).features.forEach(feature => {
+        updatedById[feature.id] = feature;
+      });
+
+      return chunk.map(update => ({
+        success: true,
+        id: update.id,
+        feature: updatedById[update.id] || null
+      }));
+    });
+
+    this.invalidateFeatureCache();
+    return results;
+  }
+
+  async deleteRecords(ids) {
+    if (!this.tableId) {
+      throw new Error('Table ID not set for Teable adapter');
+    }
+
+    const results = await this.runInChunks(ids, BATCH_CHUNK_SIZE, async chunk => {
+      const params = new URLSearchParams();
+      chunk.forEach(id => params.append('recordIds', id));
+
+      await this.request(`/api/table/${this.tableId}/record?${params.toString()}`, {
+        method: 'DELETE'
+      });
+
+      return chunk.map(id => ({ success: true, id }));
+    }, id => id);
+
+    this.invalidateFeatureCache();
+    return results;
+  }
+
   async getSchema() {
     if (!this.tableId) {
       const tables = await this.getTableList();
@@ -187,23 +325,57 @@ export class TeableAdapter extends BaseDataAdapter {
     return response.tables || response || [];
   }
 
+  // fields are [{ name, type }] in Teable field types. An empty records list
+  // stops Teable from seeding the table with blank rows.
+  async createTable({ name, description = '', fields }) {
+    return this.request(`/api/base/${this.baseId}/table`, {
+      method: 'POST',
+      body: JSON.stringify({ name, description, fields, records: [] })
+    });
+  }
+
+  // Adds long text fields for the names the table does not have yet.
+  async addFields(names) {
+    const existing = (await this.getSchema()).map(field => field.name);
+    const missing = names.filter(name => !existing.includes(name));
+
+    for (const name of missing) {
+      await this.request(`/api/table/${this.tableId}/field`, {
+        method: 'POST',
+        body: JSON.stringify({ name, type: 'longText' })
+      });
+    }
+
+    if (missing.length > 0) {
+      this.invalidateFeatureCache();
+    }
+    return [...existing, ...missing];
+  }
+
   toGeoJSON(records) {
     const features = records.map(record => {
       const properties = { ...record.fields };
+      SECRET_FIELDS.forEach(field => delete properties[field]);
       let geometry = null;
+      let invalidGeometry = null;
 
       const geometryField = this.findGeometryField(properties);
       if (geometryField) {
         const geomValue = properties[geometryField];
-        geometry = this.normalizeGeometry(geomValue);
+        geometry = this.toWGS84(this.normalizeGeometry(geomValue));
+        if (!geometry && geomValue) {
+          invalidGeometry = typeof geomValue === 'string' ? geomValue : JSON.stringify(geomValue);
+        }
         delete properties[geometryField];
       }
 
+      // Unreadable values are kept so validation can report them
       return {
         type: 'Feature',
         id: record.id,
         geometry: geometry,
-        properties: properties
+        properties: properties,
+        ...(invalidGeometry != null && { invalidGeometry })
       };
     });
 
@@ -217,7 +389,7 @@ export class TeableAdapter extends BaseDataAdapter {
     const fields = { ...feature.properties };
 
     if (feature.geometry) {
-      const wkt = GeometryParser.toWKT(feature.geometry);
+      const wkt = GeometryParser.toWKT(this.fromWGS84(feature.geometry));
       if (wkt) {
         fields.geometry = wkt;
       }
@@ -265,6 +437,10 @@ export class TeableAdapter extends BaseDataAdapter {
     return null;
   }
 
+  getTableKey() {
+    return this.tableId;
+  }
+
   getDataSourceType() {
     return 'teable';
   }
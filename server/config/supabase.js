@@ -5,13 +5,20 @@ dotenv.config();
 
 const supabaseUrl = process.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = process.env.VITE_SUPABASE_ANON_KEY;
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-if (!supabaseUrl || !supabaseAnonKey) {
+if (!supabaseUrl || !supabaseAnonKey || !supabaseServiceRoleKey) {
   throw new Error('Missing Supabase environment variables');
 }
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey);
 
+// Server-only client for tables that anon and authenticated cannot reach
+// (RLS without policies). The service role key must never reach the browser.
+export const supabaseAdmin = createClient(supabaseUrl, supabaseServiceRoleKey, {
+  auth: { persistSession: false, autoRefreshToken: false }
+});
+
 export async function getCustomerBySubdomain(subdomain) {
   const { data, error } = await supabase
     .from('customers')
@@ -37,7 +44,7 @@ export async function getCustomerByDomain(domain) {
 }
 
 export async function getCustomerTeableConfig(customerId) {
-  const { data, error } = await supabase
+  const { data, error } = await supabaseAdmin
     .from('customer_teable_config')
     .select('*')
     .eq('customer_id', customerId)
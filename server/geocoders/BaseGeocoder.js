@@ -0,0 +1,74 @@
+import { getCachedGeocode, setCachedGeocode, getGeocodeCacheKey, getReverseCacheKey } from '../utils/geocode-cache.js';
+
+// A geocoding provider turns a free-text address into a WGS 84 point.
+// geocode() resolves to { latitude, longitude, confidence, precision,
+// matchedName, countryCode } or null when nothing matches. confidence runs
+// from 0 to 1; precision is one of 'address', 'street', 'locality',
+// 'region' or 'country'. reverse() describes the place at a point with the
+// same shape plus its distance in meters, or null.
+export class BaseGeocoder {
+  constructor(config = {}) {
+    this.config = config;
+    // Minimum delay between provider calls, for services with rate limits
+    this.minIntervalMs = config.minIntervalMs || 0;
+    this.nextRequestAt = 0;
+  }
+
+  getName() {
+    throw new Error('getName() must be implemented by subclass');
+  }
+
+  async geocode(address, options = {}) {
+    throw new Error('geocode() must be implemented by subclass');
+  }
+
+  async reverse(latitude, longitude) {
+    throw new Error(`${this.getName()} does not support reverse geocoding`);
+  }
+
+  // Cached geocode(). Returns { result, cached }.
+  async lookup(address, options = {}) {
+    return this.cached(getGeocodeCacheKey(this.getName(), address, options), () => this.geocode(address, options));
+  }
+
+  // Cached reverse(). Returns { result, cached }.
+  async reverseLookup(latitude, longitude) {
+    return this.cached(getReverseCacheKey(this.getName(), latitude, longitude), () => this.reverse(latitude, longitude));
+  }
+
+  async cached(key, resolve) {
+    const cached = getCachedGeocode(key);
+    if (cached !== undefined) {
+      return { result: cached, cached: true };
+    }
+
+    const result = await resolve();
+    setCachedGeocode(key, result);
+    return { result, cached: false };
+  }
+
+  // Waits until the provider's rate limit allows another call.
+  async throttle() {
+    const wait = this.nextRequestAt - Date.now();
+    this.nextRequestAt = Math.max(Date.now(), this.nextRequestAt) + this.minIntervalMs;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  async fetchJson(url, options = {}) {
+    await this.throttle();
+
+    const response = await fetch(url, options);
+    if (!response.ok) {
+      const error = new Error(`${this.getName()} geocoder returned ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  }
+
+  static roundConfidence(value) {
+    return Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100;
+  }
+}
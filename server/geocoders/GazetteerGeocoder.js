@@ -0,0 +1,312 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BaseGeocoder } from './BaseGeocoder.js';
+import { normalizeAddress } from '../utils/geocode-cache.js';
+import { parseDelimited } from '../utils/import-formats.js';
+import { GeometryParser } from '../utils/geometry.js';
+import { RTree } from '../utils/rtree.js';
+
+const BUNDLED_GAZETTEER = path.join(path.dirname(fileURLToPath(import.meta.url)), 'gazetteer.csv');
+
+// GeoNames dumps (cities15000.txt, allCountries.txt) are tab separated with
+// these columns and no header row.
+const GEONAMES_COLUMNS = 19;
+
+const MAX_NGRAM_WORDS = 4;
+// Reverse lookups name the nearest place within this distance
+const REVERSE_MAX_DISTANCE_METERS = 50000;
+
+function splitAlternates(value, separator) {
+  return String(value || '').split(separator).map(name => name.trim()).filter(Boolean);
+}
+
+function readCsvEntries(text) {
+  const [header, ...rows] = parseDelimited(text.replace(/^\uFEFF/, ''), ',');
+  const column = name => header.map(cell => cell.trim().toLowerCase()).indexOf(name);
+  const columns = {
+    name: column('name'),
+    alternates: column('alternate_names'),
+    type: column('type'),
+    countryCode: column('country_code'),
+    admin: column('admin'),
+    latitude: column('latitude'),
+    longitude: column('longitude'),
+    population: column('population')
+  };
+
+  if (columns.name < 0 || columns.latitude < 0 || columns.longitude < 0) {
+    throw new Error('Gazetteer CSV needs name, latitude and longitude columns');
+  }
+
+  return rows.map(row => ({
+    name: row[columns.name],
+    alternates: splitAlternates(row[columns.alternates], '|'),
+    type: (row[columns.type] || 'place').trim().toLowerCase(),
+    countryCode: (row[columns.countryCode] || '').trim().toUpperCase() || null,
+    admin: splitAlternates(row[columns.admin], '|'),
+    latitude: Number(row[columns.latitude]),
+    longitude: Number(row[columns.longitude]),
+    population: Number(row[columns.population]) || 0
+  }));
+}
+
+function readGeoNamesEntries(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.split('\t'))
+    .filter(cells => cells.length >= GEONAMES_COLUMNS)
+    .map(cells => ({
+      name: cells[1],
+      alternates: [cells[2], ...splitAlternates(cells[3], ',')],
+      type: cells[6] === 'A' && cells[7].startsWith('PCL') ? 'country' : 'place',
+      countryCode: cells[8] || null,
+      admin: splitAlternates(cells[10], ','),
+      latitude: Number(cells[4]),
+      longitude: Number(cells[5]),
+      population: Number(cells[14]) || 0
+    }));
+}
+
+export function readGazetteerFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const firstLine = text.slice(0, text.indexOf('\n'));
+  const entries = firstLine.split('\t').length >= GEONAMES_COLUMNS ? readGeoNamesEntries(text) : readCsvEntries(text);
+
+  return entries.filter(entry => entry.name && Number.isFinite(entry.latitude) && Number.isFinite(entry.longitude));
+}
+
+// Edit distance with an early exit once it exceeds max.
+function withinEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return false;
+    previous = current;
+  }
+  return previous[b.length] <= max;
+}
+
+/**
+ * Offline geocoder over a place-name gazetteer. A small list of countries and
+ * major cities ships with the server; GEOCODER_GAZETTEER_PATH adds CSV files
+ * in the same layout or GeoNames dumps (comma separated paths).
+ *
+ * The address is split on commas into parts. A part naming a country or the
+ * place's region narrows the candidates; the remaining parts are looked up as
+ * place names, whole first and then word by word, with a one or two letter
+ * typo allowance as a last resort. The result is at the place's centre, so
+ * street-level parts that cannot be resolved lower the confidence.
+ */
+export class GazetteerGeocoder extends BaseGeocoder {
+  constructor(config = {}) {
+    super(config);
+    this.files = [BUNDLED_GAZETTEER, ...(config.files || [])];
+    this.index = null;
+  }
+
+  getName() {
+    return 'gazetteer';
+  }
+
+  load() {
+    if (this.index) return this.index;
+
+    const places = new Map();
+    const countries = new Map();
+    const countryEntries = new Map();
+    const fuzzyKeys = new Map();
+    const points = [];
+
+    const add = (map, key, entry) => {
+      if (!key) return;
+      if (!map.has(key)) map.set(key, []);
+      if (!map.get(key).includes(entry)) map.get(key).push(entry);
+    };
+
+    this.files.forEach(file => {
+      readGazetteerFile(file).forEach(entry => {
+        entry.adminKeys = entry.admin.map(normalizeAddress);
+        const names = [entry.name, ...entry.alternates].map(normalizeAddress);
+
+        if (entry.type === 'country') {
+          names.forEach(name => countries.set(name, entry.countryCode));
+          countries.set(normalizeAddress(entry.countryCode), entry.countryCode);
+          countryEntries.set(entry.countryCode, entry);
+          return;
+        }
+
+        names.forEach(name => add(places, name, entry));
+        points.push({ minLng: entry.longitude, minLat: entry.latitude, maxLng: entry.longitude, maxLat: entry.latitude, item: entry });
+      });
+    });
+
+    // Candidate keys for typo matching, bucketed by first letter
+    for (const key of places.keys()) {
+      if (key.length < 4) continue;
+      add(fuzzyKeys, key[0], key);
+    }
+
+    this.index = { places, countries, countryEntries, fuzzyKeys, tree: new RTree(points) };
+    return this.index;
+  }
+
+  async geocode(address, options = {}) {
+    return this.match(address, options);
+  }
+
+  async reverse(latitude, longitude) {
+    const point = [longitude, latitude];
+    const [nearest] = this.load().tree.nearest({
+      limit: 1,
+      maxDistance: REVERSE_MAX_DISTANCE_METERS,
+      boxDistance: box => GeometryParser.haversineDistance(point, [
+        Math.min(Math.max(longitude, box.minLng), box.maxLng),
+        Math.min(Math.max(latitude, box.minLat), box.maxLat)
+      ]),
+      itemDistance: entry => GeometryParser.haversineDistance(point, [entry.longitude, entry.latitude])
+    });
+
+    if (!nearest) return null;
+
+    const { item: entry, distance } = nearest;
+    return {
+      latitude: entry.latitude,
+      longitude: entry.longitude,
+      // Only the place's centre is known, so confidence falls with distance
+      confidence: BaseGeocoder.roundConfidence(1 - distance / REVERSE_MAX_DISTANCE_METERS),
+      precision: 'locality',
+      matchedName: [entry.name, entry.admin[0], entry.countryCode].filter(Boolean).join(', '),
+      countryCode: entry.countryCode,
+      distance: Math.round(distance)
+    };
+  }
+
+  match(address, { countryCode = null } = {}) {
+    const { places, countries, countryEntries } = this.load();
+
+    const parts = String(address ?? '').split(/[,;\n]+/).map(normalizeAddress).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    // The country is usually the last part. "Singapore" on its own is the
+    // city rather than the country, and "CA" after "Los Angeles" is a state.
+    const isRegionOfAnotherPart = i => parts.some((part, j) =>
+      j !== i && (places.get(part) || []).some(entry => entry.adminKeys.includes(parts[i])));
+
+    let country = countryCode ? countryCode.toUpperCase() : null;
+    let countryPart = -1;
+    for (let i = parts.length - 1; i >= 0; i--) {
+      const code = countries.get(parts[i]);
+      if (code && (!country || code === country) &&
+          !(parts.length === 1 && places.has(parts[i])) && !isRegionOfAnotherPart(i)) {
+        country = code;
+        countryPart = i;
+        break;
+      }
+    }
+
+    const remaining = parts.filter((_, index) => index !== countryPart);
+    let best = null;
+
+    const consider = (entries, partIndex, quality) => {
+      const inCountry = entries.filter(entry => !country || entry.countryCode === country);
+      if (inCountry.length === 0) return;
+
+      // Another part naming the region settles ambiguous names. Postcode
+      // numbers next to the region ("DC 20001") are ignored.
+      const otherParts = remaining
+        .filter((_, index) => index !== partIndex)
+        .map(part => part.replace(/\b\d+\b/g, ' ').replace(/\s+/g, ' ').trim());
+      const inRegion = inCountry.filter(entry => entry.adminKeys.some(key => otherParts.includes(key)));
+      const candidates = inRegion.length > 0 ? inRegion : inCountry;
+      const ranked = [...candidates].sort((a, b) => b.population - a.population);
+
+      let confidence = quality;
+      if (ranked.length > 1) {
+        // A much larger namesake is the likely meaning, but not a certain one
+        confidence *= ranked[0].population >= 10 * ranked[1].population ? 0.85 : 0.6;
+      }
+
+      // Street lines and the like are not resolved: the point is the place's centre
+      const unresolved = otherParts.filter(part => part && !ranked[0].adminKeys.includes(part)).length;
+      confidence *= Math.max(0.4, 1 - 0.3 * unresolved);
+
+      if (!best || confidence > best.confidence ||
+          (confidence === best.confidence && ranked[0].population > best.entry.population)) {
+        best = { entry: ranked[0], confidence };
+      }
+    };
+
+    remaining.forEach((part, partIndex) => {
+      if (places.has(part)) {
+        consider(places.get(part), partIndex, 1);
+        return;
+      }
+
+      // "10 Downing Street London SW1A 2AA": look for a place inside the part
+      const words = part.split(' ');
+      for (let size = Math.min(MAX_NGRAM_WORDS, words.length - 1); size >= 1; size--) {
+        for (let start = words.length - size; start >= 0; start--) {
+          const phrase = words.slice(start, start + size).join(' ');
+          if (places.has(phrase) && !/^\d+$/.test(phrase)) {
+            consider(places.get(phrase), partIndex, 0.6);
+          }
+        }
+      }
+    });
+
+    if (!best) {
+      remaining.forEach((part, partIndex) => {
+        const fuzzy = this.findFuzzy(part);
+        if (fuzzy) {
+          consider(places.get(fuzzy), partIndex, 0.7);
+        }
+      });
+    }
+
+    if (best) {
+      const { entry } = best;
+      return {
+        latitude: entry.latitude,
+        longitude: entry.longitude,
+        confidence: BaseGeocoder.roundConfidence(best.confidence),
+        precision: 'locality',
+        matchedName: [entry.name, entry.admin[0], entry.countryCode].filter(Boolean).join(', '),
+        countryCode: entry.countryCode
+      };
+    }
+
+    // Nothing more specific than the country
+    const countryEntry = country && countryEntries.get(country);
+    if (countryEntry && countryPart >= 0) {
+      return {
+        latitude: countryEntry.latitude,
+        longitude: countryEntry.longitude,
+        confidence: remaining.length === 0 ? 0.5 : 0.2,
+        precision: 'country',
+        matchedName: countryEntry.name,
+        countryCode: countryEntry.countryCode
+      };
+    }
+
+    return null;
+  }
+
+  findFuzzy(part) {
+    if (part.length < 4) return null;
+
+    const maxDistance = part.length >= 8 ? 2 : 1;
+    const keys = this.load().fuzzyKeys.get(part[0]) || [];
+    return keys.find(key => withinEditDistance(part, key, maxDistance)) || null;
+  }
+}
@@ -0,0 +1,78 @@
+import { GazetteerGeocoder } from './GazetteerGeocoder.js';
+import { NominatimGeocoder } from './NominatimGeocoder.js';
+import { GoogleGeocoder } from './GoogleGeocoder.js';
+
+// Providers are configured from the environment and shared by all customers,
+// so the gazetteer index and rate limits are per process.
+const PROVIDERS = {
+  gazetteer: {
+    label: 'Offline gazetteer',
+    offline: true,
+    isConfigured: () => true,
+    create: () => new GazetteerGeocoder({
+      files: (process.env.GEOCODER_GAZETTEER_PATH || '').split(',').map(file => file.trim()).filter(Boolean)
+    })
+  },
+  nominatim: {
+    label: 'OpenStreetMap Nominatim',
+    offline: false,
+    isConfigured: () => true,
+    create: () => new NominatimGeocoder({
+      baseUrl: process.env.NOMINATIM_URL,
+      userAgent: process.env.GEOCODER_USER_AGENT,
+      email: process.env.NOMINATIM_EMAIL
+    })
+  },
+  google: {
+    label: 'Google Maps',
+    offline: false,
+    isConfigured: () => !!process.env.GOOGLE_GEOCODING_API_KEY,
+    create: () => new GoogleGeocoder({ apiKey: process.env.GOOGLE_GEOCODING_API_KEY })
+  }
+};
+
+const geocoders = new Map();
+
+export class GeocoderFactory {
+  static getDefaultProvider() {
+    const name = process.env.GEOCODER_PROVIDER || 'gazetteer';
+    return this.isAvailable(name) ? name : 'gazetteer';
+  }
+
+  // Provider that describes clicked points; GEOCODER_REVERSE_PROVIDER can
+  // differ from the batch geocoder, e.g. Nominatim for street names.
+  static getDefaultReverseProvider() {
+    const name = process.env.GEOCODER_REVERSE_PROVIDER;
+    return name && this.isAvailable(name) ? name : this.getDefaultProvider();
+  }
+
+  static isAvailable(name) {
+    return Object.hasOwn(PROVIDERS, name) && PROVIDERS[name].isConfigured();
+  }
+
+  static getGeocoder(name = null) {
+    const provider = name || this.getDefaultProvider();
+
+    if (!this.isAvailable(provider)) {
+      throw new Error(`Geocoding provider is not available: ${provider}`);
+    }
+
+    if (!geocoders.has(provider)) {
+      geocoders.set(provider, PROVIDERS[provider].create());
+    }
+    return geocoders.get(provider);
+  }
+
+  static listProviders() {
+    const defaultProvider = this.getDefaultProvider();
+    const defaultReverseProvider = this.getDefaultReverseProvider();
+    return Object.entries(PROVIDERS).map(([name, provider]) => ({
+      name,
+      label: provider.label,
+      offline: provider.offline,
+      available: provider.isConfigured(),
+      default: name === defaultProvider,
+      defaultReverse: name === defaultReverseProvider
+    }));
+  }
+}
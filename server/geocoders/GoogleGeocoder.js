@@ -0,0 +1,70 @@
+import { BaseGeocoder } from './BaseGeocoder.js';
+import { GeometryParser } from '../utils/geometry.js';
+
+const CONFIDENCE_BY_LOCATION_TYPE = {
+  ROOFTOP: 1,
+  RANGE_INTERPOLATED: 0.8,
+  GEOMETRIC_CENTER: 0.6,
+  APPROXIMATE: 0.4
+};
+
+const PRECISION_BY_TYPE = [
+  { types: ['street_address', 'premise', 'subpremise', 'establishment', 'point_of_interest'], precision: 'address' },
+  { types: ['route', 'intersection'], precision: 'street' },
+  { types: ['locality', 'sublocality', 'postal_code', 'neighborhood'], precision: 'locality' },
+  { types: ['administrative_area_level_1', 'administrative_area_level_2', 'administrative_area_level_3'], precision: 'region' },
+  { types: ['country'], precision: 'country' }
+];
+
+/**
+ * Google Maps Geocoding API. Needs GOOGLE_GEOCODING_API_KEY; usage is billed
+ * to that key's project.
+ */
+export class GoogleGeocoder extends BaseGeocoder {
+  constructor(config = {}) {
+    super({ minIntervalMs: 25, ...config });
+    this.apiKey = config.apiKey;
+  }
+
+  getName() {
+    return 'google';
+  }
+
+  async geocode(address, { countryCode = null } = {}) {
+    const params = new URLSearchParams({ address, key: this.apiKey });
+    if (countryCode) params.set('components', `country:${countryCode}`);
+
+    return this.request(params);
+  }
+
+  async reverse(latitude, longitude) {
+    const result = await this.request(new URLSearchParams({ latlng: `${latitude},${longitude}`, key: this.apiKey }));
+    if (result) {
+      result.distance = Math.round(GeometryParser.haversineDistance([longitude, latitude], [result.longitude, result.latitude]));
+    }
+    return result;
+  }
+
+  async request(params) {
+    const response = await this.fetchJson(`https://maps.googleapis.com/maps/api/geocode/json?${params}`);
+
+    if (response.status === 'ZERO_RESULTS') return null;
+    if (response.status !== 'OK') {
+      throw new Error(`Google geocoder: ${response.error_message || response.status}`);
+    }
+
+    const place = response.results[0];
+    const precision = PRECISION_BY_TYPE.find(level => level.types.some(type => place.types.includes(type)))?.precision || 'locality';
+    let confidence = CONFIDENCE_BY_LOCATION_TYPE[place.geometry.location_type] ?? 0.5;
+    if (place.partial_match) confidence *= 0.8;
+
+    return {
+      latitude: place.geometry.location.lat,
+      longitude: place.geometry.location.lng,
+      confidence: BaseGeocoder.roundConfidence(confidence),
+      precision,
+      matchedName: place.formatted_address,
+      countryCode: place.address_components.find(component => component.types.includes('country'))?.short_name || null
+    };
+  }
+}
@@ -0,0 +1,69 @@
+import { BaseGeocoder } from './BaseGeocoder.js';
+import { GeometryParser } from '../utils/geometry.js';
+
+// Nominatim place_rank thresholds, most specific first
+const PRECISION_BY_RANK = [
+  { rank: 28, precision: 'address', confidence: 0.95 },
+  { rank: 26, precision: 'street', confidence: 0.8 },
+  { rank: 13, precision: 'locality', confidence: 0.6 },
+  { rank: 5, precision: 'region', confidence: 0.4 },
+  { rank: 0, precision: 'country', confidence: 0.2 }
+];
+
+/**
+ * OpenStreetMap Nominatim. The public instance allows one request per second
+ * and requires an identifying User-Agent; set NOMINATIM_URL to use your own
+ * instance without the limit.
+ */
+export class NominatimGeocoder extends BaseGeocoder {
+  constructor(config = {}) {
+    super({ minIntervalMs: config.baseUrl ? 0 : 1100, ...config });
+    this.baseUrl = (config.baseUrl || 'https://nominatim.openstreetmap.org').replace(/\/$/, '');
+    this.userAgent = config.userAgent || 'teable-gis-system';
+    this.email = config.email || null;
+  }
+
+  getName() {
+    return 'nominatim';
+  }
+
+  async geocode(address, { countryCode = null } = {}) {
+    const params = new URLSearchParams({ q: address, format: 'jsonv2', limit: '1', addressdetails: '1' });
+    if (countryCode) params.set('countrycodes', countryCode.toLowerCase());
+    if (this.email) params.set('email', this.email);
+
+    const results = await this.fetchJson(`${this.baseUrl}/search?${params}`, {
+      headers: { 'User-Agent': this.userAgent, 'Accept': 'application/json' }
+    });
+
+    return results?.[0] ? this.toResult(results[0]) : null;
+  }
+
+  async reverse(latitude, longitude) {
+    const params = new URLSearchParams({ lat: String(latitude), lon: String(longitude), format: 'jsonv2', addressdetails: '1' });
+    if (this.email) params.set('email', this.email);
+
+    const place = await this.fetchJson(`${this.baseUrl}/reverse?${params}`, {
+      headers: { 'User-Agent': this.userAgent, 'Accept': 'application/json' }
+    });
+
+    if (!place || place.error) return null;
+
+    const result = this.toResult(place);
+    result.distance = Math.round(GeometryParser.haversineDistance([longitude, latitude], [result.longitude, result.latitude]));
+    return result;
+  }
+
+  toResult(place) {
+    const { precision, confidence } = PRECISION_BY_RANK.find(level => (place.place_rank || 0) >= level.rank);
+
+    return {
+      latitude: Number(place.lat),
+      longitude: Number(place.lon),
+      confidence,
+      precision,
+      matchedName: place.display_name,
+      countryCode: place.address?.country_code?.toUpperCase() || null
+    };
+  }
+}
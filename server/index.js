@@ -11,8 +11,13 @@ import { googleOAuthRouter } from './routes/google-oauth.js';
 import { googleSheetsRouter } from './routes/google-sheets.js';
 import { customerAuthRouter } from './routes/customer-auth.js';
 import { onboardingRouter } from './routes/onboarding.js';
+import { ogcRouter } from './routes/ogc.js';
+import { wfsRouter } from './routes/wfs.js';
+import { publicMapsRouter, publicMapDataRouter, publicMapEmbedRouter } from './routes/public-maps.js';
+import { savedViewsRouter } from './routes/saved-views.js';
 import { tenantMiddleware } from './middleware/tenant.js';
 import { serveCustomerHTML } from './middleware/customer-html.js';
+import { requireSession } from './middleware/session.js';
 
 dotenv.config();
 
@@ -23,6 +28,7 @@ function validateEnvironment() {
   const required = [
     'VITE_SUPABASE_URL',
     'VITE_SUPABASE_ANON_KEY',
+    'SUPABASE_SERVICE_ROLE_KEY',
     'ENCRYPTION_KEY'
   ];
 
@@ -65,7 +71,7 @@ app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Token', 'X-Customer-Id'],
-  exposedHeaders: ['Content-Type']
+  exposedHeaders: ['Content-Type', 'X-Session-Expires']
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -78,13 +84,19 @@ app.use((req, res, next) => {
 app.use(tenantMiddleware);
 
 app.use('/api/auth/google', googleOAuthRouter);
-app.use('/api/google-sheets', googleSheetsRouter);
+app.use('/api/google-sheets', requireSession, googleSheetsRouter);
 app.use('/api/auth/customer', customerAuthRouter);
-app.use('/api/onboarding', onboardingRouter);
+app.use('/api/onboarding', requireSession, onboardingRouter);
 app.use('/api/auth', authRouter);
-app.use('/api/customers', customerRouter);
-app.use('/api/html-editor', htmlEditorRouter);
-app.use('/api/data', dataRouter);
+app.use('/api/customers', requireSession, customerRouter);
+app.use('/api/html-editor', requireSession, htmlEditorRouter);
+app.use('/api/data', requireSession, dataRouter);
+app.use('/api/ogc', requireSession, ogcRouter);
+app.use('/api/wfs', requireSession, wfsRouter);
+app.use('/api/public-maps', requireSession, publicMapsRouter);
+app.use('/api/views', requireSession, savedViewsRouter);
+app.use('/api/public', publicMapDataRouter);
+app.use('/embed', publicMapEmbedRouter);
 
 console.log('📋 Registered API routes:');
 console.log('   - /api/auth/google');
@@ -95,6 +107,12 @@ console.log('   - /api/auth');
 console.log('   - /api/customers');
 console.log('   - /api/html-editor');
 console.log('   - /api/data');
+console.log('   - /api/ogc');
+console.log('   - /api/wfs');
+console.log('   - /api/public-maps');
+console.log('   - /api/views');
+console.log('   - /api/public');
+console.log('   - /embed');
 
 app.use(serveCustomerHTML);
 
@@ -130,12 +148,19 @@ app.use((err, req, res, next) => {
   console.error('Request:', req.method, req.path);
   console.error('========================');
 
-  if (!res.headersSent) {
-    res.status(500).json({
-      error: 'Internal server error',
-      message: err.message
-    });
+  if (res.headersSent) {
+    return;
+  }
+
+  // Malformed requests rejected by Express itself (bad JSON, bad URL encoding)
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
   }
+
+  res.status(500).json({
+    error: 'Internal server error',
+    message: err.message
+  });
 });
 
 app.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,50 @@
+// Role hierarchy shared by every API route. customer_users roles (viewer,
+// editor, admin, owner) sit below the platform roles carried by system admin
+// sessions, so a super admin satisfies any policy.
+export const ROLE_LEVELS = {
+  viewer: 10,
+  commenter: 15,
+  editor: 20,
+  admin: 30,
+  owner: 40,
+  system_admin: 50,
+  super_admin: 60
+};
+
+export function getRoleLevel(role) {
+  if (!role) return 0;
+  return ROLE_LEVELS[String(role).toLowerCase()] || 0;
+}
+
+export function hasRoleOrHigher(session, requiredRole) {
+  if (!session) return false;
+  return getRoleLevel(session.role) >= getRoleLevel(requiredRole);
+}
+
+export function requireRole(requiredRole) {
+  if (!ROLE_LEVELS[requiredRole]) {
+    throw new Error(`Unknown role in route policy: ${requiredRole}`);
+  }
+
+  return function authorizeRole(req, res, next) {
+    if (!req.session) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        code: 'UNAUTHENTICATED'
+      });
+    }
+
+    if (!hasRoleOrHigher(req.session, requiredRole)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'FORBIDDEN',
+        requiredRole,
+        currentRole: req.session.role || null,
+        method: req.method,
+        path: req.originalUrl.split('?')[0]
+      });
+    }
+
+    next();
+  };
+}
@@ -1,11 +1,50 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { readFileSync } from 'fs';
-import { getCustomerHTMLCustomization, getCustomerTeableConfig } from '../config/supabase.js';
+import { getCustomerHTMLCustomization } from '../config/supabase.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Only non-secret branding and capability flags are exposed to the page.
+// Data source credentials stay on the server; pages reach Teable and Google
+// Sheets through the session-protected /api/data endpoints.
+function buildCustomerConfig(customer) {
+  return {
+    name: customer.name,
+    subdomain: customer.subdomain,
+    logoUrl: customer.logo_url,
+    primaryColor: customer.primary_color,
+    secondaryColor: customer.secondary_color,
+    settings: customer.settings,
+    dataSource: customer.data_source || null,
+    capabilities: {
+      teable: customer.data_source === 'teable',
+      googleSheets: customer.data_source === 'google_sheets',
+      dataProxy: true
+    }
+  };
+}
+
+function injectCustomerConfig(html, customer) {
+  return html.replace('</head>', `
+        <script>
+          window.CUSTOMER_CONFIG = ${JSON.stringify(buildCustomerConfig(customer)).replace(/</g, '\\u003c')};
+        </script>
+      </head>`);
+}
+
+// /maps/:slug serves the public map page for one of the tenant's published
+// maps, /embed/:customerId/:slug its embeddable variant. The base href keeps
+// the page's relative asset paths working.
+export function injectPublicMap(html, publicMap) {
+  return html.replace('<head>', '<head>\n    <base href="/">').replace('</head>', `
+        <script>
+          window.PUBLIC_MAP = ${JSON.stringify(publicMap).replace(/</g, '\\u003c')};
+        </script>
+      </head>`);
+}
+
 export async function serveCustomerHTML(req, res, next) {
   if (!req.customer) {
     return next();
@@ -18,12 +57,19 @@ export async function serveCustomerHTML(req, res, next) {
     pageName = 'dashboard';
   }
 
+  const publicMapSlug = requestedPath.match(/^\/maps\/([a-z0-9-]+)\/?$/)?.[1];
+  if (publicMapSlug) {
+    pageName = 'public-map';
+  }
+  const preparePage = html => {
+    html = injectCustomerConfig(html, req.customer);
+    return publicMapSlug ? injectPublicMap(html, { customerId: req.customer.id, slug: publicMapSlug }) : html;
+  };
+
   try {
     const customization = await getCustomerHTMLCustomization(req.customer.id, pageName);
 
     if (customization && customization.html_content) {
-      const teableConfig = await getCustomerTeableConfig(req.customer.id);
-
       let html = customization.html_content;
 
       if (customization.css_content) {
@@ -34,26 +80,7 @@ export async function serveCustomerHTML(req, res, next) {
         html = html.replace('</body>', `<script>${customization.js_content}</script></body>`);
       }
 
-      const customerConfig = {
-        name: req.customer.name,
-        subdomain: req.customer.subdomain,
-        logoUrl: req.customer.logo_url,
-        primaryColor: req.customer.primary_color,
-        secondaryColor: req.customer.secondary_color,
-        settings: req.customer.settings,
-        teableConfig: teableConfig ? {
-          baseUrl: teableConfig.base_url,
-          spaceId: teableConfig.space_id,
-          baseId: teableConfig.base_id,
-          accessToken: teableConfig.access_token
-        } : null
-      };
-
-      html = html.replace('</head>', `
-        <script>
-          window.CUSTOMER_CONFIG = ${JSON.stringify(customerConfig)};
-        </script>
-      </head>`);
+      html = preparePage(html);
 
       res.setHeader('Content-Type', 'text/html');
       return res.send(html);
@@ -63,28 +90,7 @@ export async function serveCustomerHTML(req, res, next) {
     try {
       let html = readFileSync(defaultHTMLPath, 'utf-8');
 
-      const teableConfig = await getCustomerTeableConfig(req.customer.id);
-
-      const customerConfig = {
-        name: req.customer.name,
-        subdomain: req.customer.subdomain,
-        logoUrl: req.customer.logo_url,
-        primaryColor: req.customer.primary_color,
-        secondaryColor: req.customer.secondary_color,
-        settings: req.customer.settings,
-        teableConfig: teableConfig ? {
-          baseUrl: teableConfig.base_url,
-          spaceId: teableConfig.space_id,
-          baseId: teableConfig.base_id,
-          accessToken: teableConfig.access_token
-        } : null
-      };
-
-      html = html.replace('</head>', `
-        <script>
-          window.CUSTOMER_CONFIG = ${JSON.stringify(customerConfig)};
-        </script>
-      </head>`);
+      html = preparePage(html);
 
       res.setHeader('Content-Type', 'text/html');
       return res.send(html);
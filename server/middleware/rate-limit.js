@@ -0,0 +1,38 @@
+// Fixed-window request limits. Counts are kept in memory, so each server
+// process limits on its own.
+const SWEEP_THRESHOLD = 10000;
+
+export function rateLimit({ windowMs, max, keyGenerator = req => req.ip }) {
+  const buckets = new Map();
+
+  function sweep(now) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = keyGenerator(req);
+
+    let bucket = buckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+      if (buckets.size >= SWEEP_THRESHOLD) {
+        sweep(now);
+      }
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(key, bucket);
+    }
+
+    bucket.count += 1;
+
+    if (bucket.count > max) {
+      res.setHeader('Retry-After', Math.ceil((bucket.resetAt - now) / 1000));
+      return res.status(429).json({ error: 'Too many requests, please try again later', code: 'RATE_LIMITED' });
+    }
+
+    next();
+  };
+}
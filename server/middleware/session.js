@@ -0,0 +1,52 @@
+import { extractSessionToken, getSessionByToken, touchSession } from '../utils/sessions.js';
+
+function canAccessCustomer(session, customerId) {
+  if (session.user_type === 'system_admin') {
+    return true;
+  }
+
+  return session.customer_id === customerId;
+}
+
+export async function requireSession(req, res, next) {
+  try {
+    const token = extractSessionToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHENTICATED' });
+    }
+
+    let session = await getSessionByToken(token);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired or invalid', code: 'SESSION_INVALID' });
+    }
+
+    session = await touchSession(session);
+
+    req.session = session;
+    res.setHeader('X-Session-Expires', session.expires_at);
+
+    const bodyCustomerId = req.body?.customerId;
+    if (bodyCustomerId && !canAccessCustomer(session, bodyCustomerId)) {
+      return res.status(403).json({ error: 'Access denied for this customer', code: 'CUSTOMER_MISMATCH' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Session middleware error:', error);
+    res.status(500).json({ error: 'Failed to validate session' });
+  }
+}
+
+export function requireCustomerAccess(req, res, next, customerId) {
+  if (!req.session) {
+    return res.status(401).json({ error: 'Authentication required', code: 'UNAUTHENTICATED' });
+  }
+
+  if (!canAccessCustomer(req.session, customerId)) {
+    return res.status(403).json({ error: 'Access denied for this customer', code: 'CUSTOMER_MISMATCH' });
+  }
+
+  next();
+}
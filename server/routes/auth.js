@@ -1,13 +1,12 @@
 import express from 'express';
-import crypto from 'crypto';
 import { supabase } from '../config/supabase.js';
+import { hashPassword, verifyPassword } from '../utils/passwords.js';
+import { createSession, extractSessionToken, revokeSession } from '../utils/sessions.js';
+import { requireSession } from '../middleware/session.js';
+import { requireRole } from '../middleware/authorize.js';
 
 export const authRouter = express.Router();
 
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password + 'teable_salt_2024').digest('hex');
-}
-
 authRouter.post('/admin/login', async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -27,24 +26,38 @@ authRouter.post('/admin/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const passwordHash = hashPassword(password);
+    const verification = await verifyPassword(password, admin.password_hash);
 
-    if (admin.password_hash !== passwordHash) {
+    if (!verification.valid) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    const loginUpdate = { last_login: new Date().toISOString() };
+    if (verification.needsRehash) {
+      loginUpdate.password_hash = await hashPassword(password);
+    }
+
     await supabase
       .from('system_admins')
-      .update({ last_login: new Date().toISOString() })
+      .update(loginUpdate)
       .eq('id', admin.id);
 
+    const issued = await createSession({
+      userType: 'system_admin',
+      userId: admin.id,
+      email: admin.email,
+      role: admin.is_super_admin ? 'super_admin' : 'system_admin'
+    }, req);
+
     const session = {
       id: admin.id,
       email: admin.email,
       firstName: admin.first_name,
       lastName: admin.last_name,
       isSuperAdmin: admin.is_super_admin,
-      loginTime: new Date().toISOString()
+      loginTime: new Date().toISOString(),
+      sessionToken: issued.token,
+      expiresAt: issued.expiresAt
     };
 
     res.json({ success: true, session });
@@ -54,7 +67,23 @@ authRouter.post('/admin/login', async (req, res) => {
   }
 });
 
-authRouter.post('/admin/register', async (req, res) => {
+authRouter.post('/admin/logout', async (req, res) => {
+  try {
+    const token = extractSessionToken(req);
+
+    if (token) {
+      await revokeSession(token);
+    }
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Admin logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Only super admins create system admins (and decide whether they are super admins)
+authRouter.post('/admin/register', requireSession, requireRole('super_admin'), async (req, res) => {
   try {
     const { email, password, firstName, lastName, isSuperAdmin = false } = req.body;
 
@@ -72,7 +101,7 @@ authRouter.post('/admin/register', async (req, res) => {
       return res.status(409).json({ error: 'Admin already exists' });
     }
 
-    const passwordHash = hashPassword(password);
+    const passwordHash = await hashPassword(password);
 
     const { data: admin, error } = await supabase
       .from('system_admins')
@@ -1,15 +1,12 @@
 import express from 'express';
-import crypto from 'crypto';
 import { supabase, logCustomerActivity } from '../config/supabase.js';
+import { hashPassword, verifyPassword } from '../utils/passwords.js';
+import { createSession, extractSessionToken, getSessionByToken, touchSession, revokeSession } from '../utils/sessions.js';
 
 export const customerAuthRouter = express.Router();
 
 console.log('✅ Customer auth router loaded');
 
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password + 'teable_salt_2024').digest('hex');
-}
-
 function generateSubdomain(orgName) {
   return orgName
     .toLowerCase()
@@ -84,7 +81,7 @@ customerAuthRouter.post('/signup', async (req, res) => {
 
     const userFirstName = firstName || adminEmail.split('@')[0].charAt(0).toUpperCase() + adminEmail.split('@')[0].slice(1);
     const userLastName = lastName || 'Admin';
-    const passwordHash = hashPassword(adminPassword);
+    const passwordHash = await hashPassword(adminPassword);
 
     const { data: user, error: userError } = await supabase
       .from('customer_users')
@@ -130,6 +127,13 @@ customerAuthRouter.post('/signup', async (req, res) => {
       `Customer ${organizationName} signed up with subdomain ${subdomain}`
     );
 
+    const issued = await createSession({
+      userId: user.id,
+      customerId: customer.id,
+      email: user.email,
+      role: user.role
+    }, req);
+
     const session = {
       customerId: customer.id,
       userId: user.id,
@@ -138,8 +142,8 @@ customerAuthRouter.post('/signup', async (req, res) => {
       customerName: customer.name,
       subdomain: customer.subdomain,
       dataSource: customer.data_source,
-      sessionToken: crypto.randomBytes(32).toString('hex'),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+      sessionToken: issued.token,
+      expiresAt: issued.expiresAt
     };
 
     res.json({
@@ -226,9 +230,8 @@ customerAuthRouter.post('/login', async (req, res) => {
       return res.status(404).json({ error: 'Customer account not found' });
     }
 
-    // Verify password
-    const passwordHash = hashPassword(password);
-    if (user.password_hash !== passwordHash) {
+    const verification = await verifyPassword(password, user.password_hash);
+    if (!verification.valid) {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
@@ -236,9 +239,14 @@ customerAuthRouter.post('/login', async (req, res) => {
       return res.status(403).json({ error: 'Account is suspended or inactive. Please contact support.' });
     }
 
+    const loginUpdate = { last_login: new Date().toISOString() };
+    if (verification.needsRehash) {
+      loginUpdate.password_hash = await hashPassword(password);
+    }
+
     await supabase
       .from('customer_users')
-      .update({ last_login: new Date().toISOString() })
+      .update(loginUpdate)
       .eq('id', user.id);
 
     await logCustomerActivity(
@@ -248,6 +256,13 @@ customerAuthRouter.post('/login', async (req, res) => {
       `User ${user.email} logged in`
     );
 
+    const issued = await createSession({
+      userId: user.id,
+      customerId: customer.id,
+      email: user.email,
+      role: user.role
+    }, req);
+
     const session = {
       customerId: customer.id,
       userId: user.id,
@@ -260,8 +275,8 @@ customerAuthRouter.post('/login', async (req, res) => {
       dataSource: customer.data_source,
       primaryColor: customer.primary_color,
       secondaryColor: customer.secondary_color,
-      sessionToken: crypto.randomBytes(32).toString('hex'),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+      sessionToken: issued.token,
+      expiresAt: issued.expiresAt
     };
 
     console.log('Login successful for user:', user.email);
@@ -315,6 +330,12 @@ customerAuthRouter.get('/check-subdomain/:subdomain', async (req, res) => {
 
 customerAuthRouter.post('/logout', async (req, res) => {
   try {
+    const token = extractSessionToken(req);
+
+    if (token) {
+      await revokeSession(token);
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -327,15 +348,30 @@ customerAuthRouter.post('/logout', async (req, res) => {
 
 customerAuthRouter.get('/session', async (req, res) => {
   try {
-    const sessionData = req.headers.authorization?.replace('Bearer ', '');
+    const token = extractSessionToken(req);
 
-    if (!sessionData) {
+    if (!token) {
       return res.status(401).json({ error: 'No session found' });
     }
 
+    let session = await getSessionByToken(token);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired or invalid', valid: false });
+    }
+
+    session = await touchSession(session);
+
     res.json({
       success: true,
-      valid: true
+      valid: true,
+      session: {
+        customerId: session.customer_id,
+        userId: session.user_id,
+        email: session.user_email,
+        role: session.role,
+        expiresAt: session.expires_at
+      }
     });
   } catch (error) {
     console.error('Session check error:', error);
@@ -1,14 +1,14 @@
 import express from 'express';
-import crypto from 'crypto';
-import { supabase, logCustomerActivity } from '../config/supabase.js';
+import { supabase, supabaseAdmin, logCustomerActivity } from '../config/supabase.js';
+import { hashPassword } from '../utils/passwords.js';
+import { requireCustomerAccess } from '../middleware/session.js';
+import { requireRole } from '../middleware/authorize.js';
 
 export const customerRouter = express.Router();
 
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password + 'teable_salt_2024').digest('hex');
-}
+customerRouter.param('id', requireCustomerAccess);
 
-customerRouter.get('/', async (req, res) => {
+customerRouter.get('/', requireRole('system_admin'), async (req, res) => {
   try {
     const { data: customers, error } = await supabase
       .from('customers')
@@ -24,7 +24,7 @@ customerRouter.get('/', async (req, res) => {
   }
 });
 
-customerRouter.get('/:id', async (req, res) => {
+customerRouter.get('/:id', requireRole('viewer'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -43,7 +43,7 @@ customerRouter.get('/:id', async (req, res) => {
   }
 });
 
-customerRouter.post('/', async (req, res) => {
+customerRouter.post('/', requireRole('system_admin'), async (req, res) => {
   try {
     const {
       name,
@@ -102,7 +102,7 @@ customerRouter.post('/', async (req, res) => {
 
     let ownerUser = null;
     if (adminEmail && adminPassword) {
-      const passwordHash = hashPassword(adminPassword);
+      const passwordHash = await hashPassword(adminPassword);
       const emailParts = adminEmail.split('@')[0];
       const firstName = emailParts.charAt(0).toUpperCase() + emailParts.slice(1);
 
@@ -111,6 +111,7 @@ customerRouter.post('/', async (req, res) => {
         .insert({
           customer_id: customer.id,
           email: adminEmail.toLowerCase(),
+          password_hash: passwordHash,
           first_name: firstName,
           last_name: 'Admin',
           role: 'owner',
@@ -142,7 +143,7 @@ customerRouter.post('/', async (req, res) => {
   }
 });
 
-customerRouter.put('/:id', async (req, res) => {
+customerRouter.put('/:id', requireRole('system_admin'), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -170,7 +171,7 @@ customerRouter.put('/:id', async (req, res) => {
   }
 });
 
-customerRouter.delete('/:id', async (req, res) => {
+customerRouter.delete('/:id', requireRole('super_admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -188,7 +189,7 @@ customerRouter.delete('/:id', async (req, res) => {
   }
 });
 
-customerRouter.post('/:id/teable-config', async (req, res) => {
+customerRouter.post('/:id/teable-config', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
     const { baseUrl, spaceId, baseId, accessToken } = req.body;
@@ -197,12 +198,12 @@ customerRouter.post('/:id/teable-config', async (req, res) => {
       return res.status(400).json({ error: 'All Teable config fields are required' });
     }
 
-    await supabase
+    await supabaseAdmin
       .from('customer_teable_config')
       .update({ is_active: false })
       .eq('customer_id', id);
 
-    const { data: config, error } = await supabase
+    const { data: config, error } = await supabaseAdmin
       .from('customer_teable_config')
       .insert({
         customer_id: id,
@@ -237,7 +238,7 @@ customerRouter.post('/:id/teable-config', async (req, res) => {
   }
 });
 
-customerRouter.post('/:id/test-teable', async (req, res) => {
+customerRouter.post('/:id/test-teable', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
     const { baseUrl, spaceId, baseId, accessToken } = req.body;
@@ -275,11 +276,11 @@ customerRouter.post('/:id/test-teable', async (req, res) => {
   }
 });
 
-customerRouter.get('/:id/teable-config', async (req, res) => {
+customerRouter.get('/:id/teable-config', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data: config, error } = await supabase
+    const { data: config, error } = await supabaseAdmin
       .from('customer_teable_config')
       .select('*')
       .eq('customer_id', id)
@@ -295,7 +296,7 @@ customerRouter.get('/:id/teable-config', async (req, res) => {
   }
 });
 
-customerRouter.post('/:id/complete-setup', async (req, res) => {
+customerRouter.post('/:id/complete-setup', requireRole('system_admin'), async (req, res) => {
   try {
     const { id } = req.params;
     const { adminEmail, adminPassword, dataSourceType } = req.body;
@@ -325,7 +326,7 @@ customerRouter.post('/:id/complete-setup', async (req, res) => {
       return res.status(409).json({ error: 'User already exists for this customer' });
     }
 
-    const passwordHash = hashPassword(adminPassword);
+    const passwordHash = await hashPassword(adminPassword);
     const emailParts = adminEmail.split('@')[0];
     const firstName = emailParts.charAt(0).toUpperCase() + emailParts.slice(1);
 
@@ -334,6 +335,7 @@ customerRouter.post('/:id/complete-setup', async (req, res) => {
       .insert({
         customer_id: id,
         email: adminEmail.toLowerCase(),
+        password_hash: passwordHash,
         first_name: firstName,
         last_name: 'Admin',
         role: 'owner',
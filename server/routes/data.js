@@ -1,10 +1,170 @@
 import express from 'express';
 import { AdapterFactory } from '../adapters/AdapterFactory.js';
+import { RecordLimitError } from '../adapters/BaseDataAdapter.js';
 import { logCustomerActivity } from '../config/supabase.js';
+import { requireCustomerAccess } from '../middleware/session.js';
+import { requireRole, hasRoleOrHigher } from '../middleware/authorize.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { loadFieldPermissions, getGeometryFieldNames } from '../utils/field-permissions.js';
+import {
+  resolveTeablePath,
+  extractTableId,
+  matchProxyEndpoint,
+  isTeableScopeAllowed,
+  getRecordFieldSets,
+  filterTeableResponse,
+  clearProxyTableCache,
+  reprojectRecordFields,
+  parseProxyQuery,
+  isRecordEndpoint
+} from '../utils/teable-proxy.js';
+import { parseSpatialQuery, parsePointParam, fetchRecordsPage } from '../utils/spatial-query.js';
+import { invalidateFeatureCache, getFeatureCacheStats, getFeatureIndex } from '../utils/feature-cache.js';
+import { isValidTile, getTileIndex, encodeTile, getTileETag } from '../utils/vector-tiles.js';
+import { EXPORT_FORMATS, resolveExportFormat, getExportFileName } from '../utils/export-formats.js';
+import { parseFilterExpression, getExpressionFields, getNativeQueryFields, matchesExpression, matchesSearch } from '../utils/record-filter.js';
+import { parseImportFile } from '../utils/import-formats.js';
+import { WGS84, getCrs, isWGS84, listCrs } from '../utils/crs.js';
+import { buildValidationReport, validateFeature, repairGeometry } from '../utils/geometry-validation.js';
+import {
+  createImportJob,
+  getImportJob,
+  deleteImportJob,
+  describeImportJob,
+  runImportJob,
+  buildImportErrorReport
+} from '../utils/import-jobs.js';
+import {
+  DEFAULT_MIN_CONFIDENCE,
+  createGeocodeJob,
+  getGeocodeJob,
+  deleteGeocodeJob,
+  describeGeocodeJob,
+  runGeocodeJob,
+  applyGeocodeJob
+} from '../utils/geocode-jobs.js';
+import { GeocoderFactory } from '../geocoders/GeocoderFactory.js';
+import { ANALYSIS_OPERATIONS, parseAnalysisOptions, runAnalysis } from '../utils/spatial-analysis.js';
+import {
+  listLayerPreferences,
+  checkLayerConfiguration,
+  saveLayerPreference,
+  deleteLayerPreference
+} from '../utils/layer-preferences.js';
+import { APP_USER_LOGIN_TYPES, verifyAppUserLogin, setAppUserPasswords, findAppUsersTable } from '../utils/app-users.js';
+import { validatePasswordInput } from '../utils/passwords.js';
 
 export const dataRouter = express.Router();
 
-dataRouter.get('/:customerId/records', async (req, res) => {
+const MAX_BATCH_ITEMS = 5000;
+const EXPORT_PAGE_SIZE = 1000;
+const MAX_EXPORT_RECORDS = 100000;
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+const DEFAULT_IDENTIFY_TOLERANCE_METERS = 100;
+const MAX_IDENTIFY_TOLERANCE_METERS = 50000;
+const MAX_IDENTIFY_TABLES = 20;
+const MAX_IDENTIFY_RESULTS = 50;
+
+const TEABLE_IMPORT_FIELD_TYPES = {
+  text: 'singleLineText',
+  longText: 'longText',
+  number: 'number',
+  boolean: 'checkbox',
+  date: 'date'
+};
+
+dataRouter.param('customerId', requireCustomerAccess);
+
+function rejectReadOnlyFields(res, permissions, feature, adapter) {
+  const readOnlyFields = permissions.findReadOnlyFields(feature, getGeometryFieldNames(adapter));
+
+  if (readOnlyFields.length === 0) {
+    return false;
+  }
+
+  res.status(403).json({
+    error: 'Request modifies fields you are not allowed to edit',
+    code: 'FIELD_READ_ONLY',
+    fields: readOnlyFields
+  });
+  return true;
+}
+
+// Checks the where expression, the legacy filter and sort parameters and any
+// other fields (names or Teable ids) a query uses, so records cannot be
+// probed by the values of fields the user cannot see
+async function rejectHiddenFilterFields(res, permissions, adapter, { expression, filter, sort, fields: queryFields = [] }) {
+  const fields = new Set(getExpressionFields(expression));
+  const nativeFields = [...getNativeQueryFields(filter, sort), ...queryFields];
+
+  if (nativeFields.length > 0 && permissions.hasRestrictions()) {
+    // Teable filters and sorts may name fields by id
+    const namesById = {};
+    ((await adapter.getSchema()) || []).forEach(field => {
+      if (field.id && field.name) {
+        namesById[field.id] = field.name;
+      }
+    });
+    nativeFields.forEach(field => fields.add(namesById[field] || field));
+  }
+
+  const hiddenFields = [...fields].filter(field => !permissions.canView(field));
+
+  if (hiddenFields.length === 0) {
+    return false;
+  }
+
+  res.status(403).json({
+    error: 'Filter uses fields you are not allowed to view',
+    code: 'FIELD_HIDDEN',
+    fields: hiddenFields
+  });
+  return true;
+}
+
+// Routes that read whole tables refuse ones over the record limit (see
+// BaseDataAdapter.fetchAllRecords) instead of answering from part of them
+function sendReadError(res, error) {
+  if (error instanceof RecordLimitError) {
+    return res.status(413).json({ error: error.message, code: error.code, limit: error.limit });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+// Validates batch items up front so a bad item fails on its own instead of
+// failing the whole request. Returns the failures keyed by item index and the
+// items to hand to the adapter.
+function partitionBatchItems(items, validate) {
+  const failures = {};
+  const accepted = [];
+
+  items.forEach((item, index) => {
+    const failure = validate(item);
+    if (failure) {
+      failures[index] = { index, success: false, id: item?.id ?? null, ...failure };
+    } else {
+      accepted.push({ index, item });
+    }
+  });
+
+  return { failures, accepted };
+}
+
+async function runBatchOperation(items, validate, execute) {
+  const { failures, accepted } = partitionBatchItems(items, validate);
+
+  const adapterResults = accepted.length > 0
+    ? await execute(accepted.map(entry => entry.item))
+    : [];
+
+  accepted.forEach((entry, position) => {
+    failures[entry.index] = { index: entry.index, ...adapterResults[position] };
+  });
+
+  return items.map((item, index) => failures[index]);
+}
+
+dataRouter.get('/:customerId/records', requireRole('viewer'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const { tableId, limit, offset, filter, sort } = req.query;
@@ -28,18 +188,36 @@ dataRouter.get('/:customerId/records', async (req, res) => {
       options.sort = sort;
     }
 
-    const geojson = await adapter.fetchRecords(options);
+    const { spatial, error: spatialError } = parseSpatialQuery(req.query);
+    if (spatialError) {
+      return res.status(400).json({ error: spatialError });
+    }
+
+    const { expression, error: whereError } = parseFilterExpression(req.query.where);
+    if (whereError) {
+      return res.status(400).json({ error: whereError });
+    }
+
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+    if (await rejectHiddenFilterFields(res, permissions, adapter, { expression, filter: options.filter, sort: options.sort })) {
+      return;
+    }
+    if (expression) {
+      options.expression = expression;
+    }
+
+    const geojson = permissions.filterFeatureCollection(await fetchRecordsPage(adapter, options, spatial));
 
     geojson.dataSource = adapter.getDataSourceType();
 
     res.json(geojson);
   } catch (error) {
     console.error('Error fetching records:', error);
-    res.status(500).json({ error: error.message });
+    sendReadError(res, error);
   }
 });
 
-dataRouter.get('/:customerId/records/:id', async (req, res) => {
+dataRouter.get('/:customerId/records/:id', requireRole('viewer'), async (req, res) => {
   try {
     const { customerId, id } = req.params;
     const { tableId } = req.query;
@@ -51,14 +229,16 @@ dataRouter.get('/:customerId/records/:id', async (req, res) => {
       return res.status(404).json({ error: 'Record not found' });
     }
 
-    res.json(feature);
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+
+    res.json(permissions.filterFeature(feature));
   } catch (error) {
     console.error('Error fetching record:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-dataRouter.post('/:customerId/records', async (req, res) => {
+dataRouter.post('/:customerId/records', requireRole('editor'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const { tableId } = req.query;
@@ -69,6 +249,12 @@ dataRouter.post('/:customerId/records', async (req, res) => {
     }
 
     const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+
+    if (rejectReadOnlyFields(res, permissions, feature, adapter)) {
+      return;
+    }
+
     const created = await adapter.createRecord(feature);
 
     await logCustomerActivity(
@@ -79,14 +265,110 @@ dataRouter.post('/:customerId/records', async (req, res) => {
       { recordId: created.id }
     );
 
-    res.status(201).json(created);
+    res.status(201).json(permissions.filterFeature(created));
   } catch (error) {
     console.error('Error creating record:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-dataRouter.put('/:customerId/records/:id', async (req, res) => {
+dataRouter.post('/:customerId/records/batch', requireRole('editor'), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { tableId } = req.query;
+    const { creates = [], updates = [], deletes = [] } = req.body || {};
+
+    if (![creates, updates, deletes].every(Array.isArray)) {
+      return res.status(400).json({ error: 'creates, updates and deletes must be arrays' });
+    }
+
+    const itemCount = creates.length + updates.length + deletes.length;
+    if (itemCount === 0) {
+      return res.status(400).json({ error: 'Batch contains no operations' });
+    }
+
+    if (itemCount > MAX_BATCH_ITEMS) {
+      return res.status(413).json({ error: `Batch exceeds the limit of ${MAX_BATCH_ITEMS} operations` });
+    }
+
+    const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+    const geometryFields = getGeometryFieldNames(adapter);
+
+    const validateFeature = feature => {
+      if (!feature || feature.type !== 'Feature') {
+        return { error: 'Item must be a GeoJSON Feature' };
+      }
+
+      const readOnlyFields = permissions.findReadOnlyFields(feature, geometryFields);
+      if (readOnlyFields.length > 0) {
+        return {
+          error: 'Item modifies fields you are not allowed to edit',
+          code: 'FIELD_READ_ONLY',
+          fields: readOnlyFields
+        };
+      }
+
+      return null;
+    };
+
+    const createResults = await runBatchOperation(creates, validateFeature, features => adapter.createRecords(features));
+
+    const updateResults = await runBatchOperation(
+      updates,
+      update => (update?.id == null ? { error: 'Update item is missing an id' } : validateFeature(update)),
+      items => adapter.updateRecords(items.map(update => ({ id: update.id, feature: update })))
+    );
+
+    const deleteResults = await runBatchOperation(
+      deletes,
+      id => (typeof id === 'string' || typeof id === 'number' ? null : { error: 'Delete item must be a record id' }),
+      ids => adapter.deleteRecords(ids)
+    );
+
+    const filterResult = result => (result.feature
+      ? { ...result, feature: permissions.filterFeature(result.feature) }
+      : result);
+
+    const allResults = [...createResults, ...updateResults, ...deleteResults];
+    const succeeded = allResults.filter(result => result.success).length;
+    const summary = {
+      requested: allResults.length,
+      succeeded,
+      failed: allResults.length - succeeded
+    };
+
+    await logCustomerActivity(
+      customerId,
+      req.body.userEmail || 'system',
+      'records_batch',
+      `Batch of ${summary.requested} record operations via ${adapter.getDataSourceType()} (${summary.failed} failed)`,
+      {
+        tableId: tableId || null,
+        creates: creates.length,
+        updates: updates.length,
+        deletes: deletes.length,
+        failed: summary.failed
+      }
+    );
+
+    res.status(summary.failed > 0 ? 207 : 200).json({
+      success: summary.failed === 0,
+      dataSource: adapter.getDataSourceType(),
+      summary,
+      results: {
+        creates: createResults.map(filterResult),
+        updates: updateResults.map(filterResult),
+        deletes: deleteResults
+      }
+    });
+  } catch (error) {
+    console.error('Error running batch operation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+dataRouter.put('/:customerId/records/:id', requireRole('editor'), async (req, res) => {
   try {
     const { customerId, id } = req.params;
     const { tableId } = req.query;
@@ -97,6 +379,12 @@ dataRouter.put('/:customerId/records/:id', async (req, res) => {
     }
 
     const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+
+    if (rejectReadOnlyFields(res, permissions, feature, adapter)) {
+      return;
+    }
+
     const updated = await adapter.updateRecord(id, feature);
 
     await logCustomerActivity(
@@ -107,14 +395,14 @@ dataRouter.put('/:customerId/records/:id', async (req, res) => {
       { recordId: id }
     );
 
-    res.json(updated);
+    res.json(permissions.filterFeature(updated));
   } catch (error) {
     console.error('Error updating record:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-dataRouter.delete('/:customerId/records/:id', async (req, res) => {
+dataRouter.delete('/:customerId/records/:id', requireRole('editor'), async (req, res) => {
   try {
     const { customerId, id } = req.params;
     const { tableId } = req.query;
@@ -137,17 +425,18 @@ dataRouter.delete('/:customerId/records/:id', async (req, res) => {
   }
 });
 
-dataRouter.get('/:customerId/schema', async (req, res) => {
+dataRouter.get('/:customerId/schema', requireRole('viewer'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const { tableId } = req.query;
 
     const adapter = await AdapterFactory.getAdapter(customerId, tableId);
     const schema = await adapter.getSchema();
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
 
     res.json({
       dataSource: adapter.getDataSourceType(),
-      fields: schema
+      fields: permissions.filterSchema(schema)
     });
   } catch (error) {
     console.error('Error fetching schema:', error);
@@ -155,7 +444,7 @@ dataRouter.get('/:customerId/schema', async (req, res) => {
   }
 });
 
-dataRouter.get('/:customerId/tables', async (req, res) => {
+dataRouter.get('/:customerId/tables', requireRole('viewer'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -172,17 +461,18 @@ dataRouter.get('/:customerId/tables', async (req, res) => {
   }
 });
 
-dataRouter.get('/:customerId/tables/:tableId/fields', async (req, res) => {
+dataRouter.get('/:customerId/tables/:tableId/fields', requireRole('viewer'), async (req, res) => {
   try {
     const { customerId, tableId } = req.params;
 
     const adapter = await AdapterFactory.getAdapter(customerId, tableId);
     const fields = await adapter.getSchema();
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
 
     res.json({
       success: true,
       dataSource: adapter.getDataSourceType(),
-      fields: fields
+      fields: permissions.filterSchema(fields)
     });
   } catch (error) {
     console.error('Error fetching table fields:', error);
@@ -190,39 +480,1237 @@ dataRouter.get('/:customerId/tables/:tableId/fields', async (req, res) => {
   }
 });
 
-dataRouter.get('/:customerId/tables/:tableId/records', async (req, res) => {
+// Coordinate reference systems a table can be stored in.
+dataRouter.get('/:customerId/crs', requireRole('viewer'), (req, res) => {
+  res.json({ crs: listCrs() });
+});
+
+dataRouter.get('/:customerId/tables/:tableId/crs', requireRole('viewer'), async (req, res) => {
   try {
     const { customerId, tableId } = req.params;
-    const { limit, offset, filter, sort } = req.query;
+    const code = await AdapterFactory.getTableCrs(customerId, tableId);
 
-    const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+    res.json({ crs: code ? getCrs(code) || { code, name: code, supported: false } : WGS84 });
+  } catch (error) {
+    console.error('Error fetching table CRS:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const options = {
-      limit: limit ? parseInt(limit) : 100,
-      offset: offset ? parseInt(offset) : 0
-    };
+// Sets the CRS the table's coordinates are stored in. Records are read and
+// written through the API in WGS 84 and reprojected by the adapter.
+dataRouter.put('/:customerId/tables/:tableId/crs', requireRole('admin'), async (req, res) => {
+  try {
+    const { customerId, tableId } = req.params;
+    const crs = req.body?.crs ? getCrs(req.body.crs) : WGS84;
 
-    if (filter) {
-      try {
-        options.filter = JSON.parse(filter);
-      } catch (e) {
-        return res.status(400).json({ error: 'Invalid filter format' });
-      }
+    if (!crs) {
+      return res.status(400).json({ error: `Unknown coordinate reference system: ${req.body.crs}` });
     }
 
-    if (sort) {
-      options.sort = sort;
+    await AdapterFactory.setTableCrs(customerId, tableId, isWGS84(crs.code) ? null : crs.code);
+
+    await logCustomerActivity(
+      customerId,
+      req.session?.user_email || 'system',
+      'table_crs_updated',
+      `Set coordinate reference system of ${tableId} to ${crs.code}`
+    );
+
+    res.json({ success: true, crs });
+  } catch (error) {
+    console.error('Error updating table CRS:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Geometry quality report: every record with unreadable, empty or invalid
+// geometry and what is wrong with it. ?includeValid=true lists clean records too.
+dataRouter.get('/:customerId/tables/:tableId/validate', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId, tableId } = req.params;
+
+    const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+
+    // The report quotes the stored geometry values
+    const hiddenFields = getGeometryFieldNames(adapter).filter(field => !permissions.canView(field));
+    if (hiddenFields.length > 0) {
+      return res.status(403).json({
+        error: 'The geometry fields of this table are hidden from you',
+        code: 'FIELD_HIDDEN',
+        fields: hiddenFields
+      });
     }
 
-    const geojson = await adapter.fetchRecords(options);
+    const { features } = permissions.filterFeatureCollection(await adapter.fetchAllRecords());
+    const report = buildValidationReport(features, { includeValid: req.query.includeValid === 'true' });
 
     res.json({
-      success: true,
+      tableId,
       dataSource: adapter.getDataSourceType(),
-      records: geojson.features || []
+      checkedAt: new Date().toISOString(),
+      ...report
     });
   } catch (error) {
-    console.error('Error fetching records:', error);
+    console.error('Error validating geometries:', error);
+    sendReadError(res, error);
+  }
+});
+
+// Repairs what can be fixed mechanically and writes the geometries back.
+// Body: { ids } to limit the repair to some records, { dryRun: true } to only
+// report what would change.
+dataRouter.post('/:customerId/tables/:tableId/repair', requireRole('editor'), async (req, res) => {
+  try {
+    const { customerId, tableId } = req.params;
+    const { ids, dryRun = false } = req.body || {};
+
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array of record ids' });
+    }
+
+    const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+
+    // Repairs only write the geometry fields
+    if (rejectReadOnlyFields(res, permissions, { geometry: {}, properties: {} }, adapter)) {
+      return;
+    }
+
+    const wanted = ids ? new Set(ids.map(String)) : null;
+    const { features } = await adapter.fetchAllRecords();
+    const results = [];
+    const updates = [];
+
+    features
+      .filter(feature => !wanted || wanted.has(String(feature.id)))
+      .forEach(feature => {
+        const { geometry, issues } = validateFeature(feature);
+        if (!issues.some(item => item.repairable)) {
+          if (issues.length > 0) {
+            results.push({ id: feature.id, success: false, repaired: false, error: 'No automatic repair available', issues });
+          }
+          return;
+        }
+
+        const repaired = repairGeometry(geometry);
+        if (!repaired.geometry) {
+          results.push({ id: feature.id, success: false, repaired: false, error: 'Nothing usable remains after repair', issues });
+          return;
+        }
+
+        results.push({ id: feature.id, success: true, repaired: true, repairs: repaired.repairs, issues: repaired.issues });
+        updates.push({ id: feature.id, feature: { type: 'Feature', geometry: repaired.geometry, properties: {} } });
+      });
+
+    if (!dryRun && updates.length > 0) {
+      const written = new Map((await adapter.updateRecords(updates)).map((result, index) => [updates[index].id, result]));
+      results.forEach(result => {
+        const write = written.get(result.id);
+        if (write && !write.success) {
+          Object.assign(result, { success: false, repaired: false, error: write.error });
+        }
+      });
+    }
+
+    const summary = {
+      checked: features.length,
+      repaired: results.filter(result => result.repaired).length,
+      failed: results.filter(result => !result.success).length,
+      dryRun: !!dryRun
+    };
+
+    if (!dryRun) {
+      await logCustomerActivity(
+        customerId,
+        req.session?.user_email || 'system',
+        'geometry_repaired',
+        `Repaired ${summary.repaired} geometries in ${tableId} via ${adapter.getDataSourceType()}`,
+        { tableId, failed: summary.failed }
+      );
+    }
+
+    res.json({ summary, results });
+  } catch (error) {
+    console.error('Error repairing geometries:', error);
+    sendReadError(res, error);
+  }
+});
+
+function parseMinConfidence(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_MIN_CONFIDENCE;
+  }
+  const confidence = Number(value);
+  return Number.isFinite(confidence) && confidence >= 0 && confidence <= 1 ? confidence : null;
+}
+
+// Makes sure geocoded points have somewhere to go: a geometry field on
+// Teable, a geometry or latitude/longitude mapping on Google Sheets. Adding
+// fields or columns changes the table's structure, so only admins can.
+// Returns { adapter, target } or { status, body }.
+async function prepareGeocodeTarget(req, customerId, tableId) {
+  const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+  const dataSource = adapter.getDataSourceType();
+
+  const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+  const readOnlyFields = permissions.findReadOnlyFields({ geometry: {}, properties: {} }, getGeometryFieldNames(adapter));
+  if (readOnlyFields.length > 0) {
+    return {
+      status: 403,
+      body: { error: 'Request modifies fields you are not allowed to edit', code: 'FIELD_READ_ONLY', fields: readOnlyFields }
+    };
+  }
+
+  const adminRequired = action => ({
+    status: 403,
+    body: { error: `${action} requires the admin role`, code: 'FORBIDDEN', requiredRole: 'admin' }
+  });
+
+  if (dataSource === 'teable') {
+    const fields = (await adapter.getSchema()).map(field => field.name);
+    if (fields.includes('geometry')) {
+      return { adapter, target: { dataSource, tableId, addedFields: [], fieldMappings: null } };
+    }
+    if (!hasRoleOrHigher(req.session, 'admin')) {
+      return adminRequired('Adding a geometry field');
+    }
+
+    await adapter.addFields(['geometry']);
+    return { adapter, target: { dataSource, tableId, addedFields: ['geometry'], fieldMappings: null } };
+  }
+
+  if (adapter.canStoreGeometry({ type: 'Point' })) {
+    return { adapter, target: { dataSource, tableId, addedFields: [], fieldMappings: adapter.fieldMappings } };
+  }
+  if (!hasRoleOrHigher(req.session, 'admin')) {
+    return adminRequired('Adding latitude and longitude columns');
+  }
+
+  const headers = await adapter.getHeaders();
+  const addedFields = ['latitude', 'longitude'].filter(name => !headers.includes(name));
+  await adapter.addFields(addedFields);
+  const fieldMappings = await AdapterFactory.updateFieldMappings(customerId, tableId, {
+    latitude_column: 'latitude',
+    longitude_column: 'longitude'
+  });
+
+  return {
+    adapter: await AdapterFactory.getAdapter(customerId, tableId),
+    target: { dataSource, tableId, addedFields, fieldMappings }
+  };
+}
+
+function rejectHiddenAddressField(res, permissions, addressColumn) {
+  if (permissions.canView(addressColumn)) {
+    return false;
+  }
+
+  res.status(403).json({
+    error: 'The address field is hidden from you',
+    code: 'FIELD_HIDDEN',
+    fields: [addressColumn]
+  });
+  return true;
+}
+
+// Writes a geocoded job back in the background and logs the outcome.
+function startGeocodeWriteBack(job, prepared, options) {
+  return applyGeocodeJob(job, {
+    ...prepared,
+    ...options,
+    onComplete: async finished => {
+      await logCustomerActivity(
+        finished.customerId,
+        finished.userEmail,
+        'data_geocoded',
+        `Geocoded ${finished.writeBack.succeeded} of ${finished.progress.total} records in ${finished.tableId} with ${finished.provider}`,
+        { ...finished.target, provider: finished.provider, minConfidence: finished.writeBack.minConfidence, status: finished.status }
+      );
+    }
+  });
+}
+
+dataRouter.get('/:customerId/geocoders', requireRole('viewer'), (req, res) => {
+  res.json({ providers: GeocoderFactory.listProviders() });
+});
+
+// Geocodes one address, e.g. to try a provider before running a batch.
+dataRouter.get('/:customerId/geocode', requireRole('viewer'), async (req, res) => {
+  try {
+    const { address, provider, country } = req.query;
+
+    if (!address || !String(address).trim()) {
+      return res.status(400).json({ error: 'address is required' });
+    }
+    if (provider && !GeocoderFactory.isAvailable(provider)) {
+      return res.status(400).json({ error: `Geocoding provider is not available: ${provider}` });
+    }
+
+    const geocoder = GeocoderFactory.getGeocoder(provider);
+    const { result, cached } = await geocoder.lookup(String(address), { countryCode: country });
+
+    res.json({ address, provider: geocoder.getName(), cached, result });
+  } catch (error) {
+    console.error('Error geocoding address:', error);
+    res.status(error.status ? 502 : 500).json({ error: error.message });
+  }
+});
+
+// Starts geocoding the table's address column. Body: { addressColumn,
+// provider, country, overwrite, writeBack, minConfidence }. Without writeBack
+// the job stops after geocoding so the matches can be reviewed and applied.
+dataRouter.post('/:customerId/tables/:tableId/geocode', requireRole('editor'), async (req, res) => {
+  try {
+    const { customerId, tableId } = req.params;
+    const { provider, country, overwrite = false, writeBack = false } = req.body || {};
+
+    if (provider && !GeocoderFactory.isAvailable(provider)) {
+      return res.status(400).json({ error: `Geocoding provider is not available: ${provider}` });
+    }
+    const minConfidence = parseMinConfidence(req.body?.minConfidence);
+    if (minConfidence === null) {
+      return res.status(400).json({ error: 'minConfidence must be a number between 0 and 1' });
+    }
+
+    const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+    const addressColumn = req.body?.addressColumn || adapter.fieldMappings?.address_column;
+    if (!addressColumn) {
+      return res.status(400).json({ error: 'addressColumn is required' });
+    }
+
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+    if (rejectHiddenAddressField(res, permissions, addressColumn)) {
+      return;
+    }
+
+    const fields = (await adapter.getSchema()).map(field => field.name);
+    if (!fields.includes(addressColumn)) {
+      return res.status(400).json({ error: `Column not found: ${addressColumn}` });
+    }
+
+    // A job only exists to fill in the geometry, so it is not queued for users
+    // who could never write it back
+    if (rejectReadOnlyFields(res, permissions, { geometry: {}, properties: {} }, adapter)) {
+      return;
+    }
+
+    const prepared = writeBack ? await prepareGeocodeTarget(req, customerId, tableId) : null;
+    if (prepared?.body) {
+      return res.status(prepared.status).json(prepared.body);
+    }
+
+    const geocoder = GeocoderFactory.getGeocoder(provider);
+    const { features } = await adapter.fetchAllRecords();
+
+    const job = createGeocodeJob(customerId, {
+      tableId,
+      addressColumn,
+      provider: geocoder.getName(),
+      countryCode: country,
+      overwrite,
+      userEmail: req.session?.user_email || 'system'
+    });
+
+    runGeocodeJob(job, {
+      features,
+      geocoder,
+      onComplete: async finished => {
+        if (prepared && finished.status === 'geocoded') {
+          await startGeocodeWriteBack(finished, prepared, { minConfidence });
+        }
+      }
+    }).catch(error => console.error('Error running geocoding:', error));
+
+    res.status(202).json(describeGeocodeJob(job));
+  } catch (error) {
+    console.error('Error starting geocoding:', error);
+    sendReadError(res, error);
+  }
+});
+
+// Results quote the addresses, so they are shown only to users who may view
+// the address field
+dataRouter.get('/:customerId/geocode/jobs/:jobId', requireRole('editor'), async (req, res) => {
+  try {
+    const job = getGeocodeJob(req.params.customerId, req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Geocoding job not found or expired' });
+    }
+
+    const adapter = await AdapterFactory.getAdapter(req.params.customerId, job.tableId);
+    const permissions = await loadFieldPermissions(req.session, adapter, job.tableId);
+    if (rejectHiddenAddressField(res, permissions, job.addressColumn)) {
+      return;
+    }
+
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 100), 1000);
+    res.json(describeGeocodeJob(job, { offset, limit }));
+  } catch (error) {
+    console.error('Error loading geocoding job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Writes reviewed matches back. Body: { minConfidence, ids }.
+dataRouter.post('/:customerId/geocode/jobs/:jobId/apply', requireRole('editor'), async (req, res) => {
+  try {
+    const { customerId, jobId } = req.params;
+    const job = getGeocodeJob(customerId, jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Geocoding job not found or expired' });
+    }
+    if (!['geocoded', 'completed'].includes(job.status)) {
+      return res.status(409).json({ error: `Geocoding job is ${job.status}` });
+    }
+
+    const { ids } = req.body || {};
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array of record ids' });
+    }
+    const minConfidence = parseMinConfidence(req.body?.minConfidence);
+    if (minConfidence === null) {
+      return res.status(400).json({ error: 'minConfidence must be a number between 0 and 1' });
+    }
+
+    const prepared = await prepareGeocodeTarget(req, customerId, job.tableId);
+    if (prepared.body) {
+      return res.status(prepared.status).json(prepared.body);
+    }
+
+    startGeocodeWriteBack(job, prepared, { minConfidence, ids })
+      .catch(error => console.error('Error writing geocoded locations:', error));
+
+    res.status(202).json(describeGeocodeJob(job));
+  } catch (error) {
+    console.error('Error applying geocoding:', error);
     res.status(500).json({ error: error.message });
   }
 });
+
+dataRouter.delete('/:customerId/geocode/jobs/:jobId', requireRole('editor'), (req, res) => {
+  const job = getGeocodeJob(req.params.customerId, req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Geocoding job not found or expired' });
+  }
+  if (!deleteGeocodeJob(req.params.customerId, req.params.jobId)) {
+    return res.status(409).json({ error: 'A running geocoding job cannot be discarded' });
+  }
+  res.json({ success: true });
+});
+
+async function reverseGeocodePoint(point, provider) {
+  const geocoder = GeocoderFactory.getGeocoder(provider || GeocoderFactory.getDefaultReverseProvider());
+  const { result, cached } = await geocoder.reverseLookup(point[1], point[0]);
+  return { provider: geocoder.getName(), cached, result };
+}
+
+// Describes the place at ?point=lng,lat.
+dataRouter.get('/:customerId/geocode/reverse', requireRole('viewer'), async (req, res) => {
+  try {
+    const point = parsePointParam(req.query.point);
+    if (!point) {
+      return res.status(400).json({ error: 'Invalid point, expected lng,lat' });
+    }
+    if (req.query.provider && !GeocoderFactory.isAvailable(req.query.provider)) {
+      return res.status(400).json({ error: `Geocoding provider is not available: ${req.query.provider}` });
+    }
+
+    res.json({ point, ...(await reverseGeocodePoint(point, req.query.provider)) });
+  } catch (error) {
+    console.error('Error reverse geocoding:', error);
+    res.status(error.status ? 502 : 500).json({ error: error.message });
+  }
+});
+
+// Nearest features to a clicked point across the given tables, from the
+// cached spatial index. ?point=lng,lat&tables=a,b&tolerance=meters&limit=
+// &reverse=true adds a description of the place from the reverse geocoder.
+dataRouter.get('/:customerId/identify', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const point = parsePointParam(req.query.point);
+    if (!point) {
+      return res.status(400).json({ error: 'Invalid point, expected lng,lat' });
+    }
+
+    const tolerance = req.query.tolerance === undefined ? DEFAULT_IDENTIFY_TOLERANCE_METERS : parseFloat(req.query.tolerance);
+    if (!(tolerance > 0 && tolerance <= MAX_IDENTIFY_TOLERANCE_METERS)) {
+      return res.status(400).json({ error: `tolerance must be between 0 and ${MAX_IDENTIFY_TOLERANCE_METERS} meters` });
+    }
+
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 10), MAX_IDENTIFY_RESULTS);
+    const tableIds = [...new Set(String(req.query.tables || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (tableIds.length === 0 || tableIds.length > MAX_IDENTIFY_TABLES) {
+      return res.status(400).json({ error: `tables must list between 1 and ${MAX_IDENTIFY_TABLES} table ids` });
+    }
+
+    const reverse = req.query.reverse === 'true';
+    if (reverse && req.query.provider && !GeocoderFactory.isAvailable(req.query.provider)) {
+      return res.status(400).json({ error: `Geocoding provider is not available: ${req.query.provider}` });
+    }
+
+    const errors = [];
+    const matches = (await Promise.all(tableIds.map(async tableId => {
+      try {
+        const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+        const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+        const nearest = (await getFeatureIndex(adapter)).nearest(point, { limit, maxDistance: tolerance });
+
+        return nearest.map(({ feature, distance }) => ({
+          tableId,
+          distance: Math.round(distance * 10) / 10,
+          feature: permissions.filterFeature(feature)
+        }));
+      } catch (error) {
+        errors.push({ tableId, error: error.message });
+        return [];
+      }
+    }))).flat();
+
+    const features = matches.sort((a, b) => a.distance - b.distance).slice(0, limit);
+
+    let place = null;
+    if (reverse) {
+      try {
+        place = await reverseGeocodePoint(point, req.query.provider);
+      } catch (error) {
+        // The features are still useful without a place name
+        place = { error: error.message };
+      }
+    }
+
+    res.json({ point, tolerance, features, place, errors });
+  } catch (error) {
+    console.error('Error identifying features:', error);
+    sendReadError(res, error);
+  }
+});
+
+// Runs an overlay analysis over whole tables on the server, for layers too
+// large to analyse in the browser. body: { operation, input: { tableId },
+// overlay: { tableId }, options }. Only fields the user may view take part.
+dataRouter.post('/:customerId/analysis', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { operation, input, overlay } = req.body || {};
+
+    const { options, error } = parseAnalysisOptions(operation, req.body?.options);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!input?.tableId) {
+      return res.status(400).json({ error: 'input.tableId is required' });
+    }
+    if (ANALYSIS_OPERATIONS[operation].overlay && !overlay?.tableId) {
+      return res.status(400).json({ error: `overlay.tableId is required for ${operation}` });
+    }
+
+    const loadFeatures = async tableId => {
+      const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+      const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+      return (await getFeatureIndex(adapter)).features.map(feature => permissions.filterFeature(feature));
+    };
+
+    const inputFeatures = await loadFeatures(input.tableId);
+    const overlayFeatures = ANALYSIS_OPERATIONS[operation].overlay ? await loadFeatures(overlay.tableId) : [];
+
+    let result;
+    try {
+      result = runAnalysis(operation, { input: inputFeatures, overlay: overlayFeatures, options });
+    } catch (analysisError) {
+      return res.status(400).json({ error: analysisError.message });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error running analysis:', error);
+    sendReadError(res, error);
+  }
+});
+
+// The session user's saved layer settings, keyed by table id.
+dataRouter.get('/:customerId/layer-preferences', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ preferences: await listLayerPreferences(req.params.customerId, req.session.user_email) });
+  } catch (error) {
+    console.error('Error loading layer preferences:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// body: { layerName, configuration: { symbology, labels, popup } }
+dataRouter.put('/:customerId/layer-preferences/:layerId', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId, layerId } = req.params;
+    const { layerName, configuration } = req.body || {};
+
+    const problem = checkLayerConfiguration(configuration);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const preference = await saveLayerPreference(customerId, req.session, { layerId, layerName, configuration });
+    res.json({ preference });
+  } catch (error) {
+    console.error('Error saving layer preferences:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+dataRouter.delete('/:customerId/layer-preferences/:layerId', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId, layerId } = req.params;
+    if (!await deleteLayerPreference(customerId, req.session.user_email, layerId)) {
+      return res.status(404).json({ error: 'No saved settings for this layer' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting layer preferences:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+dataRouter.get('/:customerId/tables/:tableId/records', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId, tableId } = req.params;
+    const { limit, offset, filter, sort } = req.query;
+
+    const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+
+    const options = {
+      limit: limit ? parseInt(limit) : 100,
+      offset: offset ? parseInt(offset) : 0
+    };
+
+    if (filter) {
+      try {
+        options.filter = JSON.parse(filter);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid filter format' });
+      }
+    }
+
+    if (sort) {
+      options.sort = sort;
+    }
+
+    const { spatial, error: spatialError } = parseSpatialQuery(req.query);
+    if (spatialError) {
+      return res.status(400).json({ error: spatialError });
+    }
+
+    const { expression, error: whereError } = parseFilterExpression(req.query.where);
+    if (whereError) {
+      return res.status(400).json({ error: whereError });
+    }
+
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+    if (await rejectHiddenFilterFields(res, permissions, adapter, { expression, filter: options.filter, sort: options.sort })) {
+      return;
+    }
+    if (expression) {
+      options.expression = expression;
+    }
+
+    const geojson = permissions.filterFeatureCollection(await fetchRecordsPage(adapter, options, spatial));
+
+    res.json({
+      success: true,
+      dataSource: adapter.getDataSourceType(),
+      records: geojson.features || [],
+      metadata: geojson.metadata
+    });
+  } catch (error) {
+    console.error('Error fetching records:', error);
+    sendReadError(res, error);
+  }
+});
+
+dataRouter.get('/:customerId/tiles/:tableId/:z/:x/:y.mvt', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId, tableId } = req.params;
+    const z = Number(req.params.z);
+    const x = Number(req.params.x);
+    const y = Number(req.params.y);
+
+    if (!isValidTile(z, x, y)) {
+      return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+
+    const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+    const tileIndex = getTileIndex(await getFeatureIndex(adapter));
+    const tile = encodeTile(tileIndex, z, x, y, tableId, permissions);
+
+    res.setHeader('Cache-Control', 'private, max-age=60');
+
+    if (!tile) {
+      return res.status(204).end();
+    }
+
+    const etag = getTileETag(tile);
+    res.setHeader('ETag', etag);
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.send(tile);
+  } catch (error) {
+    console.error('Error building vector tile:', error);
+    sendReadError(res, error);
+  }
+});
+
+dataRouter.get('/:customerId/cache/stats', requireRole('admin'), (req, res) => {
+  res.json(getFeatureCacheStats(req.params.customerId));
+});
+
+dataRouter.delete('/:customerId/cache', requireRole('admin'), (req, res) => {
+  const { customerId } = req.params;
+  const { tableId } = req.query;
+
+  invalidateFeatureCache(customerId, tableId || null);
+
+  res.json({ success: true });
+});
+
+async function getTableName(adapter, tableId) {
+  if (adapter.getDataSourceType() === 'google_sheets') {
+    return adapter.sheetName;
+  }
+
+  try {
+    const tables = await adapter.getTableList();
+    return tables.find(table => String(table.id) === String(tableId))?.name || tableId;
+  } catch (error) {
+    return tableId;
+  }
+}
+
+// Resolves once the response can take more data, so slow clients do not make
+// the export buffer the whole table in memory.
+function writeChunk(res, chunk) {
+  if (!chunk || chunk.length === 0 || res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => res.once('drain', resolve));
+}
+
+dataRouter.get('/:customerId/export', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { tableId, filter, sort, q } = req.query;
+
+    const format = resolveExportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({
+        error: `Unsupported export format "${req.query.format || ''}"`,
+        formats: Object.keys(EXPORT_FORMATS)
+      });
+    }
+
+    const options = {};
+
+    if (filter) {
+      try {
+        options.filter = JSON.parse(filter);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid filter format' });
+      }
+    }
+
+    if (sort) {
+      options.sort = sort;
+    }
+
+    const { spatial, error: spatialError } = parseSpatialQuery(req.query);
+    if (spatialError) {
+      return res.status(400).json({ error: spatialError });
+    }
+
+    const { expression, error: whereError } = parseFilterExpression(req.query.where);
+    if (whereError) {
+      return res.status(400).json({ error: whereError });
+    }
+
+    const adapter = await AdapterFactory.getAdapter(customerId, tableId);
+    const permissions = await loadFieldPermissions(req.session, adapter, tableId);
+    if (await rejectHiddenFilterFields(res, permissions, adapter, { expression, filter: options.filter, sort: options.sort })) {
+      return;
+    }
+
+    // The data source evaluates what it can of the filter while paging; the
+    // residual is matched here, record by record
+    const { options: pageOptions, residual } = expression
+      ? await adapter.prepareFilterExpression({ ...options, expression })
+      : { options, residual: null };
+
+    const geometryFields = getGeometryFieldNames(adapter);
+    const fields = (permissions.filterSchema(await adapter.getSchema()) || [])
+      .map(field => field.name)
+      .filter(name => !geometryFields.includes(name));
+
+    const name = getExportFileName(req.query.name || await getTableName(adapter, tableId));
+    const { extension, contentType, createWriter } = EXPORT_FORMATS[format];
+    const writer = createWriter({ name, fields });
+
+    // Spatial queries are answered from the in-memory feature index, so they are read in one page
+    const pageSize = spatial ? MAX_EXPORT_RECORDS : EXPORT_PAGE_SIZE;
+    const fetchPage = offset => fetchRecordsPage(adapter, { ...pageOptions, limit: pageSize, offset, countTotal: false }, spatial);
+
+    // The first page is read before the file starts streaming, so a table
+    // over the limit is still refused with 413
+    const firstPage = await fetchPage(0);
+    if (firstPage.metadata?.total > MAX_EXPORT_RECORDS) {
+      throw new RecordLimitError(MAX_EXPORT_RECORDS);
+    }
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.${extension}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    await writeChunk(res, writer.begin());
+
+    let exported = 0;
+
+    for (let offset = 0; ; offset += pageSize) {
+      const page = offset === 0 ? firstPage : await fetchPage(offset);
+      const features = permissions.filterFeatureCollection(page).features || [];
+
+      // A file cut off at the limit would pass for the whole table
+      if (offset >= MAX_EXPORT_RECORDS) {
+        if (features.length > 0) {
+          throw new RecordLimitError(MAX_EXPORT_RECORDS);
+        }
+        break;
+      }
+
+      for (const feature of features) {
+        if (matchesExpression(feature, residual) && matchesSearch(feature, q, fields)) {
+          exported++;
+          await writeChunk(res, writer.write(feature));
+        }
+      }
+
+      if (features.length < pageSize) {
+        break;
+      }
+    }
+
+    res.end(await writer.end());
+
+    await logCustomerActivity(
+      customerId,
+      req.session?.user_email || 'system',
+      'data_export',
+      `Exported ${exported} records as ${EXPORT_FORMATS[format].label}`,
+      { tableId: tableId || null, format, records: exported }
+    );
+  } catch (error) {
+    console.error('Error exporting data:', error);
+
+    // Once the file has started streaming the only way to signal failure is to abort it
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    sendReadError(res, error);
+  }
+});
+
+// The file is the raw request body (Content-Type application/octet-stream)
+// with its name in ?fileName= so the format can be told from the extension.
+// ?crs= names the CRS of files that do not declare a usable one.
+dataRouter.post('/:customerId/import/preview', requireRole('editor'), express.raw({ type: () => true, limit: MAX_IMPORT_BYTES }), async (req, res) => {
+  const { customerId } = req.params;
+  const { fileName, format, latitudeColumn, longitudeColumn, wktColumn, crs } = req.query;
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Send the file as the request body with Content-Type application/octet-stream' });
+  }
+
+  let parsed;
+  try {
+    parsed = parseImportFile(req.body, { fileName, format, latitudeColumn, longitudeColumn, wktColumn, crs });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const job = createImportJob(customerId, {
+    fileName: fileName || 'upload',
+    userEmail: req.session?.user_email || 'system',
+    parsed
+  });
+
+  res.status(201).json(describeImportJob(job, { includePreview: true }));
+});
+
+// Prepares the write target: a new table for Teable, the configured sheet for
+// Google Sheets. Returns { adapter, target, prepare } or { status, body }.
+async function prepareImportTarget(req, job) {
+  const { customerId } = req.params;
+  const { fields } = job.parsed;
+  const dataSource = await AdapterFactory.getDataSourceType(customerId);
+
+  if (dataSource === 'teable') {
+    if (!hasRoleOrHigher(req.session, 'admin')) {
+      return {
+        status: 403,
+        body: { error: 'Importing into a new table requires the admin role', code: 'FORBIDDEN', requiredRole: 'admin' }
+      };
+    }
+
+    const tableName = String(req.body?.tableName || job.fileName.replace(/\.[^.]+$/, '')).trim();
+    if (!tableName) {
+      return { status: 400, body: { error: 'tableName is required' } };
+    }
+
+    const baseAdapter = await AdapterFactory.getAdapter(customerId);
+    const table = await baseAdapter.createTable({
+      name: tableName,
+      description: `Imported from ${job.fileName}`,
+      fields: [
+        ...fields.map(field => ({ name: field.name, type: TEABLE_IMPORT_FIELD_TYPES[field.type] || 'singleLineText' })),
+        { name: 'geometry', type: 'longText' }
+      ]
+    });
+    clearProxyTableCache(customerId);
+
+    return {
+      adapter: await AdapterFactory.getAdapter(customerId, table.id),
+      target: { dataSource, tableId: table.id, tableName: table.name || tableName, created: true }
+    };
+  }
+
+  const adapter = await AdapterFactory.getAdapter(customerId);
+
+  if (!adapter.canStoreGeometry({ type: 'Point' })) {
+    return { status: 400, body: { error: 'Map a geometry column or latitude/longitude columns for this sheet before importing into it' } };
+  }
+
+  const permissions = await loadFieldPermissions(req.session, adapter, null);
+  const headers = (await adapter.getSchema()).map(field => field.name);
+  const readOnlyFields = fields.map(field => field.name).filter(name => headers.includes(name) && !permissions.canEdit(name));
+  if (readOnlyFields.length > 0) {
+    return {
+      status: 403,
+      body: { error: 'Import writes to fields you are not allowed to edit', code: 'FIELD_READ_ONLY', fields: readOnlyFields }
+    };
+  }
+
+  // New columns change the sheet's structure, so only admins add them
+  const missingFields = fields.map(field => field.name).filter(name => !headers.includes(name));
+  const skippedFields = [];
+  if (missingFields.length > 0) {
+    if (hasRoleOrHigher(req.session, 'admin')) {
+      await adapter.addFields(missingFields);
+    } else {
+      skippedFields.push(...missingFields);
+    }
+  }
+
+  return {
+    adapter,
+    target: { dataSource, tableId: null, tableName: adapter.getTableKey(), created: false, skippedFields },
+    prepare: feature => adapter.canStoreGeometry(feature.geometry)
+      ? feature
+      : { error: `${feature.geometry.type} geometry cannot be stored in latitude/longitude columns` }
+  };
+}
+
+// Starts writing a previewed import. Teable imports create a table named
+// body.tableName; Google Sheets imports append rows to the customer's sheet.
+dataRouter.post('/:customerId/import/:importId/commit', requireRole('editor'), async (req, res) => {
+  try {
+    const { customerId, importId } = req.params;
+    const job = getImportJob(customerId, importId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Import not found or expired' });
+    }
+    if (job.status !== 'previewed') {
+      return res.status(409).json({ error: `Import is already ${job.status}` });
+    }
+    if (!job.parsed.crs.supported) {
+      return res.status(400).json({ error: `Coordinates in ${job.parsed.crs.name} cannot be imported; convert the file to WGS 84 first` });
+    }
+    if (job.parsed.features.length === 0) {
+      return res.status(400).json({ error: 'The file has no features that can be imported' });
+    }
+
+    const prepared = await prepareImportTarget(req, job);
+    if (prepared.body) {
+      return res.status(prepared.status).json(prepared.body);
+    }
+
+    runImportJob(job, {
+      ...prepared,
+      onComplete: async finished => {
+        await logCustomerActivity(
+          customerId,
+          finished.userEmail,
+          'data_import',
+          `Imported ${finished.progress.succeeded} of ${finished.progress.total} features from ${finished.fileName}`,
+          { ...finished.target, format: finished.parsed.format, status: finished.status, rejected: finished.errors.length }
+        );
+      }
+    }).catch(error => console.error('Error running import:', error));
+
+    res.status(202).json(describeImportJob(job));
+  } catch (error) {
+    console.error('Error starting import:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+dataRouter.get('/:customerId/import/:importId', requireRole('editor'), (req, res) => {
+  const job = getImportJob(req.params.customerId, req.params.importId);
+  if (!job) {
+    return res.status(404).json({ error: 'Import not found or expired' });
+  }
+  res.json(describeImportJob(job, { includePreview: job.status === 'previewed' }));
+});
+
+dataRouter.get('/:customerId/import/:importId/errors', requireRole('editor'), (req, res) => {
+  const job = getImportJob(req.params.customerId, req.params.importId);
+  if (!job) {
+    return res.status(404).json({ error: 'Import not found or expired' });
+  }
+
+  const name = getExportFileName(job.fileName.replace(/\.[^.]+$/, ''));
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}_rejected.csv"`);
+  res.send(buildImportErrorReport(job));
+});
+
+dataRouter.delete('/:customerId/import/:importId', requireRole('editor'), (req, res) => {
+  const job = getImportJob(req.params.customerId, req.params.importId);
+  if (!job) {
+    return res.status(404).json({ error: 'Import not found or expired' });
+  }
+  if (!deleteImportJob(req.params.customerId, req.params.importId)) {
+    return res.status(409).json({ error: 'A running import cannot be discarded' });
+  }
+  res.json({ success: true });
+});
+
+// Guessing is limited per client and per account, so neither many accounts
+// from one client nor one account from many clients can be tried quickly
+const appUserLoginLimits = [
+  rateLimit({ windowMs: 15 * 60 * 1000, max: 30 }),
+  rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    keyGenerator: req => `${req.params.customerId}:${String(req.body?.email || '').toLowerCase()}`
+  })
+];
+
+dataRouter.post('/:customerId/app-users/login', requireRole('viewer'), appUserLoginLimits, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { email, password, userType } = req.body || {};
+
+    if (typeof email !== 'string' || !email || !validatePasswordInput(password)) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    if (!APP_USER_LOGIN_TYPES[userType]) {
+      return res.status(400).json({ error: `userType must be one of: ${Object.keys(APP_USER_LOGIN_TYPES).join(', ')}` });
+    }
+
+    const adapter = await AdapterFactory.getAdapter(customerId);
+    if (adapter.getDataSourceType() !== 'teable') {
+      return res.status(400).json({ error: 'App users are only available for Teable data sources' });
+    }
+
+    const user = await verifyAppUserLogin(adapter, { email, password, userType });
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (!user.fields.is_active) {
+      return res.status(403).json({ error: 'Account is inactive' });
+    }
+
+    res.json({
+      success: true,
+      user: {
+        id: user.id,
+        email: user.fields.email,
+        firstName: user.fields.first_name || null,
+        lastName: user.fields.last_name || null,
+        role: user.fields.role || null
+      }
+    });
+  } catch (error) {
+    console.error('App user login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Password hashes cannot be written through the proxy or the data API, so
+// the user pages set passwords here. scrypt is deliberately slow, so this is
+// limited per session.
+const appUserPasswordLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  keyGenerator: req => req.session.id
+});
+
+dataRouter.put('/:customerId/app-users/:recordId/password', requireRole('admin'), appUserPasswordLimit, async (req, res) => {
+  try {
+    const { customerId, recordId } = req.params;
+    const { password, adminPassword } = req.body || {};
+
+    if (password == null && adminPassword == null) {
+      return res.status(400).json({ error: 'password or adminPassword is required' });
+    }
+    if ((password != null && !validatePasswordInput(password)) ||
+        (adminPassword != null && !validatePasswordInput(adminPassword))) {
+      return res.status(400).json({ error: 'Passwords must be between 1 and 1024 characters' });
+    }
+
+    const adapter = await AdapterFactory.getAdapter(customerId);
+    if (adapter.getDataSourceType() !== 'teable') {
+      return res.status(400).json({ error: 'App users are only available for Teable data sources' });
+    }
+
+    if (!(await setAppUserPasswords(adapter, recordId, { password, adminPassword }))) {
+      return res.status(404).json({ error: 'This base has no app_users table' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'App user not found' });
+    }
+    console.error('Error setting app user password:', error);
+    res.status(500).json({ error: 'Failed to set password' });
+  }
+});
+
+dataRouter.all('/:customerId/teable/*path', async (req, res) => {
+  try {
+    const { customerId } = req.params;
+
+    const adapter = await AdapterFactory.getAdapter(customerId);
+    if (adapter.getDataSourceType() !== 'teable') {
+      return res.status(400).json({ error: 'Teable proxy is only available for Teable data sources' });
+    }
+
+    const endpoint = resolveTeablePath(req.params.path, adapter);
+    if (!endpoint) {
+      return res.status(400).json({ error: 'Invalid Teable path encoding' });
+    }
+
+    const allowed = matchProxyEndpoint(req.method, endpoint);
+    if (!allowed) {
+      return res.status(403).json({
+        error: 'This Teable endpoint is not available through the proxy',
+        code: 'ENDPOINT_NOT_ALLOWED',
+        method: req.method,
+        path: req.originalUrl.split('?')[0]
+      });
+    }
+
+    const requiredRole = allowed.role;
+    if (!hasRoleOrHigher(req.session, requiredRole)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'FORBIDDEN',
+        requiredRole,
+        currentRole: req.session.role || null,
+        method: req.method,
+        path: req.originalUrl.split('?')[0]
+      });
+    }
+
+    if (!(await isTeableScopeAllowed(allowed, customerId, adapter))) {
+      return res.status(403).json({
+        error: 'Teable resource does not belong to this customer',
+        code: 'RESOURCE_NOT_ALLOWED'
+      });
+    }
+
+    const tableId = extractTableId(endpoint);
+    const isWrite = !['GET', 'HEAD'].includes(req.method);
+
+    // app_users roles decide who signs in as owner or admin
+    if (tableId && isWrite && !hasRoleOrHigher(req.session, 'admin') &&
+        tableId === (await findAppUsersTable(adapter))?.id) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        code: 'FORBIDDEN',
+        requiredRole: 'admin',
+        currentRole: req.session.role || null,
+        method: req.method,
+        path: req.originalUrl.split('?')[0]
+      });
+    }
+
+    const tableAdapter = tableId ? await AdapterFactory.getAdapter(customerId, tableId) : null;
+    const permissions = tableAdapter
+      ? await loadFieldPermissions(req.session, tableAdapter, tableId)
+      : null;
+
+    const hasBody = !['GET', 'HEAD', 'DELETE'].includes(req.method);
+
+    const query = parseProxyQuery(req.originalUrl, endpoint);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    if (permissions) {
+      const queryFields = query.searchesAllFields
+        ? [...query.fields, ...((await tableAdapter.getSchema()) || []).map(field => field.name)]
+        : query.fields;
+      if (await rejectHiddenFilterFields(res, permissions, tableAdapter, { fields: queryFields })) {
+        return;
+      }
+    }
+
+    // Record bodies can also carry fieldKeyType
+    const body = hasBody && isRecordEndpoint(endpoint)
+      ? { ...(req.body || {}), fieldKeyType: 'name' }
+      : req.body;
+
+    if (permissions && hasBody) {
+      const readOnlyFields = getRecordFieldSets(body)
+        .flatMap(fields => Object.keys(fields).filter(key => !permissions.canEdit(key)));
+
+      if (readOnlyFields.length > 0) {
+        return res.status(403).json({
+          error: 'Request modifies fields you are not allowed to edit',
+          code: 'FIELD_READ_ONLY',
+          fields: [...new Set(readOnlyFields)]
+        });
+      }
+    }
+
+    if (tableAdapter && hasBody) {
+      reprojectRecordFields(getRecordFieldSets(body), tableAdapter, 'fromWGS84');
+    }
+
+    const result = await adapter.request(`${endpoint}${query.queryString}`, {
+      method: req.method,
+      body: hasBody ? JSON.stringify(body || {}) : undefined
+    });
+
+    if (tableId && isWrite) {
+      invalidateFeatureCache(customerId, tableId);
+    }
+
+    if (tableAdapter) {
+      reprojectRecordFields(getRecordFieldSets(result), tableAdapter, 'toWGS84');
+    }
+
+    res.json(permissions ? filterTeableResponse(result, permissions) : result);
+  } catch (error) {
+    console.error('Error proxying Teable request:', error);
+    const status = error.status === 401 ? 502 : (error.status || 500);
+    res.status(status).json({ error: error.message });
+  }
+});
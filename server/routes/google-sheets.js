@@ -2,10 +2,14 @@ import express from 'express';
 import { google } from 'googleapis';
 import { supabase } from '../config/supabase.js';
 import { getEncryptionService } from '../utils/encryption.js';
+import { requireCustomerAccess } from '../middleware/session.js';
+import { requireRole } from '../middleware/authorize.js';
 
 export const googleSheetsRouter = express.Router();
 
-googleSheetsRouter.get('/get-token/:customerId', async (req, res) => {
+googleSheetsRouter.param('customerId', requireCustomerAccess);
+
+googleSheetsRouter.get('/get-token/:customerId', requireRole('admin'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -33,7 +37,7 @@ googleSheetsRouter.get('/get-token/:customerId', async (req, res) => {
   }
 });
 
-googleSheetsRouter.post('/save-selection/:customerId', async (req, res) => {
+googleSheetsRouter.post('/save-selection/:customerId', requireRole('admin'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const { spreadsheetId, sheetName } = req.body;
@@ -96,7 +100,7 @@ async function getAuthorizedClient(customerId) {
   return { oauth2Client, config };
 }
 
-googleSheetsRouter.get('/:customerId/spreadsheets', async (req, res) => {
+googleSheetsRouter.get('/:customerId/spreadsheets', requireRole('admin'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -119,7 +123,7 @@ googleSheetsRouter.get('/:customerId/spreadsheets', async (req, res) => {
   }
 });
 
-googleSheetsRouter.get('/:customerId/sheets', async (req, res) => {
+googleSheetsRouter.get('/:customerId/sheets', requireRole('admin'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const { spreadsheetId } = req.query;
@@ -153,7 +157,7 @@ googleSheetsRouter.get('/:customerId/sheets', async (req, res) => {
   }
 });
 
-googleSheetsRouter.get('/:customerId/preview', async (req, res) => {
+googleSheetsRouter.get('/:customerId/preview', requireRole('admin'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const { spreadsheetId, sheetName } = req.query;
@@ -187,7 +191,7 @@ googleSheetsRouter.get('/:customerId/preview', async (req, res) => {
   }
 });
 
-googleSheetsRouter.post('/:customerId/detect-fields', async (req, res) => {
+googleSheetsRouter.post('/:customerId/detect-fields', requireRole('admin'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const { spreadsheetId, sheetName } = req.body;
@@ -283,7 +287,7 @@ googleSheetsRouter.post('/:customerId/detect-fields', async (req, res) => {
   }
 });
 
-googleSheetsRouter.post('/:customerId/save-config', async (req, res) => {
+googleSheetsRouter.post('/:customerId/save-config', requireRole('admin'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const { spreadsheetId, sheetName, fieldMappings } = req.body;
@@ -1,9 +1,13 @@
 import express from 'express';
 import { supabase, logCustomerActivity } from '../config/supabase.js';
+import { requireCustomerAccess } from '../middleware/session.js';
+import { requireRole } from '../middleware/authorize.js';
 
 export const htmlEditorRouter = express.Router();
 
-htmlEditorRouter.get('/customers/:customerId/pages', async (req, res) => {
+htmlEditorRouter.param('customerId', requireCustomerAccess);
+
+htmlEditorRouter.get('/customers/:customerId/pages', requireRole('admin'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -23,7 +27,7 @@ htmlEditorRouter.get('/customers/:customerId/pages', async (req, res) => {
   }
 });
 
-htmlEditorRouter.get('/customers/:customerId/pages/:pageName', async (req, res) => {
+htmlEditorRouter.get('/customers/:customerId/pages/:pageName', requireRole('admin'), async (req, res) => {
   try {
     const { customerId, pageName } = req.params;
 
@@ -44,7 +48,7 @@ htmlEditorRouter.get('/customers/:customerId/pages/:pageName', async (req, res)
   }
 });
 
-htmlEditorRouter.post('/customers/:customerId/pages', async (req, res) => {
+htmlEditorRouter.post('/customers/:customerId/pages', requireRole('admin'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const { pageName, htmlContent, cssContent, jsContent, createdBy } = req.body;
@@ -134,7 +138,7 @@ htmlEditorRouter.post('/customers/:customerId/pages', async (req, res) => {
   }
 });
 
-htmlEditorRouter.get('/customers/:customerId/pages/:pageName/versions', async (req, res) => {
+htmlEditorRouter.get('/customers/:customerId/pages/:pageName/versions', requireRole('admin'), async (req, res) => {
   try {
     const { customerId, pageName } = req.params;
 
@@ -154,7 +158,7 @@ htmlEditorRouter.get('/customers/:customerId/pages/:pageName/versions', async (r
   }
 });
 
-htmlEditorRouter.post('/customers/:customerId/pages/:pageName/rollback/:version', async (req, res) => {
+htmlEditorRouter.post('/customers/:customerId/pages/:pageName/rollback/:version', requireRole('admin'), async (req, res) => {
   try {
     const { customerId, pageName, version } = req.params;
     const { createdBy } = req.body;
@@ -220,7 +224,7 @@ htmlEditorRouter.post('/customers/:customerId/pages/:pageName/rollback/:version'
   }
 });
 
-htmlEditorRouter.delete('/customers/:customerId/pages/:pageName', async (req, res) => {
+htmlEditorRouter.delete('/customers/:customerId/pages/:pageName', requireRole('admin'), async (req, res) => {
   try {
     const { customerId, pageName } = req.params;
 
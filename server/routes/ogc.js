@@ -0,0 +1,295 @@
+import express from 'express';
+import { AdapterFactory } from '../adapters/AdapterFactory.js';
+import { RecordLimitError } from '../adapters/BaseDataAdapter.js';
+import { requireCustomerAccess } from '../middleware/session.js';
+import { requireRole } from '../middleware/authorize.js';
+import { loadFieldPermissions, getGeometryFieldNames } from '../utils/field-permissions.js';
+import { parseSpatialQuery, fetchRecordsPage } from '../utils/spatial-query.js';
+import { getFeatureIndex } from '../utils/feature-cache.js';
+
+// OGC API - Features (Part 1: Core) over the customer's tables, so desktop GIS
+// clients such as QGIS and ArcGIS can read them directly. Collections are the
+// adapter's tables; everything goes through the BaseDataAdapter interface.
+
+export const ogcRouter = express.Router();
+
+ogcRouter.param('customerId', requireCustomerAccess);
+
+const CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 10000;
+
+const CONFORMANCE_CLASSES = [
+  'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/core',
+  'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/geojson',
+  'http://www.opengis.net/spec/ogcapi-features-5/1.0/conf/schemas'
+];
+
+// Teable field types and the types GoogleSheetsAdapter infers, as JSON Schema
+const SCHEMA_TYPES = {
+  number: { type: 'number' },
+  rating: { type: 'integer' },
+  autoNumber: { type: 'integer' },
+  checkbox: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+  createdTime: { type: 'string', format: 'date-time' },
+  lastModifiedTime: { type: 'string', format: 'date-time' },
+  multipleSelect: { type: 'array', items: { type: 'string' } }
+};
+
+function getServiceUrl(req, customerId) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/${encodeURIComponent(customerId)}`;
+}
+
+function link(href, rel, type, title) {
+  return title ? { href, rel, type, title } : { href, rel, type };
+}
+
+async function getCollections(adapter) {
+  const tables = await adapter.getTableList();
+
+  // A Google Sheets connection is bound to one sheet
+  if (adapter.getDataSourceType() === 'google_sheets') {
+    return tables.filter(table => table.name === adapter.sheetName);
+  }
+
+  return tables;
+}
+
+function describeCollection(table, serviceUrl) {
+  const collectionUrl = `${serviceUrl}/collections/${encodeURIComponent(table.id)}`;
+
+  return {
+    id: String(table.id),
+    title: table.name || String(table.id),
+    description: table.description || undefined,
+    itemType: 'feature',
+    crs: [CRS84],
+    links: [
+      link(collectionUrl, 'self', 'application/json', 'This collection'),
+      link(`${collectionUrl}/items`, 'items', 'application/geo+json', 'Features'),
+      link(`${collectionUrl}/schema`, 'http://www.opengis.net/def/rel/ogc/1.0/schema', 'application/schema+json', 'Schema')
+    ]
+  };
+}
+
+async function findCollection(req, res) {
+  const { customerId, collectionId } = req.params;
+  const adapter = await AdapterFactory.getAdapter(customerId, collectionId);
+  const table = (await getCollections(adapter)).find(candidate => String(candidate.id) === collectionId);
+
+  if (!table) {
+    res.status(404).json({ error: `Collection not found: ${collectionId}` });
+    return null;
+  }
+
+  return { adapter, table };
+}
+
+function toOgcFeature(feature) {
+  return {
+    type: 'Feature',
+    id: feature.id,
+    geometry: feature.geometry,
+    properties: feature.properties || {}
+  };
+}
+
+ogcRouter.get('/:customerId', requireRole('viewer'), (req, res) => {
+  const serviceUrl = getServiceUrl(req, req.params.customerId);
+
+  res.json({
+    title: 'Customer GIS data',
+    description: 'OGC API - Features access to this customer\'s tables',
+    links: [
+      link(serviceUrl, 'self', 'application/json', 'This document'),
+      link(`${serviceUrl}/conformance`, 'conformance', 'application/json', 'Conformance classes'),
+      link(`${serviceUrl}/collections`, 'data', 'application/json', 'Collections')
+    ]
+  });
+});
+
+ogcRouter.get('/:customerId/conformance', requireRole('viewer'), (req, res) => {
+  res.json({ conformsTo: CONFORMANCE_CLASSES });
+});
+
+ogcRouter.get('/:customerId/collections', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const serviceUrl = getServiceUrl(req, customerId);
+
+    const adapter = await AdapterFactory.getAdapter(customerId);
+    const collections = await getCollections(adapter);
+
+    res.json({
+      links: [link(`${serviceUrl}/collections`, 'self', 'application/json', 'Collections')],
+      collections: collections.map(table => describeCollection(table, serviceUrl))
+    });
+  } catch (error) {
+    console.error('Error listing OGC collections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+ogcRouter.get('/:customerId/collections/:collectionId', requireRole('viewer'), async (req, res) => {
+  try {
+    const found = await findCollection(req, res);
+    if (!found) return;
+
+    const collection = describeCollection(found.table, getServiceUrl(req, req.params.customerId));
+    const root = (await getFeatureIndex(found.adapter)).tree.root;
+
+    if (Number.isFinite(root.minLng)) {
+      collection.extent = {
+        spatial: {
+          bbox: [[root.minLng, root.minLat, root.maxLng, root.maxLat]],
+          crs: CRS84
+        }
+      };
+    }
+
+    res.json(collection);
+  } catch (error) {
+    console.error('Error describing OGC collection:', error);
+    res.status(error instanceof RecordLimitError ? 413 : 500).json({ error: error.message });
+  }
+});
+
+ogcRouter.get('/:customerId/collections/:collectionId/schema', requireRole('viewer'), async (req, res) => {
+  try {
+    const found = await findCollection(req, res);
+    if (!found) return;
+
+    const { customerId, collectionId } = req.params;
+    const permissions = await loadFieldPermissions(req.session, found.adapter, collectionId);
+    const geometryFields = getGeometryFieldNames(found.adapter);
+    const fields = (permissions.filterSchema(await found.adapter.getSchema()) || [])
+      .filter(field => !geometryFields.includes(field.name));
+
+    const properties = {
+      geometry: {
+        format: 'geometry-any',
+        'x-ogc-role': 'primary-geometry'
+      }
+    };
+
+    fields.forEach(field => {
+      properties[field.name] = {
+        title: field.name,
+        ...(SCHEMA_TYPES[field.type] || { type: 'string' })
+      };
+    });
+
+    res.type('application/schema+json').json({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      $id: `${getServiceUrl(req, customerId)}/collections/${encodeURIComponent(collectionId)}/schema`,
+      type: 'object',
+      title: found.table.name || collectionId,
+      properties
+    });
+  } catch (error) {
+    console.error('Error building OGC collection schema:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+ogcRouter.get('/:customerId/collections/:collectionId/items', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId, collectionId } = req.params;
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    if (req.query['bbox-crs'] && req.query['bbox-crs'] !== CRS84) {
+      return res.status(400).json({ error: `Only ${CRS84} is supported for bbox-crs` });
+    }
+
+    const { spatial, error: spatialError } = parseSpatialQuery({ bbox: req.query.bbox });
+    if (spatialError) {
+      return res.status(400).json({ error: spatialError });
+    }
+
+    const found = await findCollection(req, res);
+    if (!found) return;
+
+    const pageSize = Math.min(limit, MAX_LIMIT);
+    const permissions = await loadFieldPermissions(req.session, found.adapter, collectionId);
+    const page = await fetchRecordsPage(found.adapter, { limit: pageSize, offset }, spatial);
+    const features = permissions.filterFeatureCollection(page).features.map(toOgcFeature);
+
+    const total = page.metadata?.total;
+    const itemsUrl = `${getServiceUrl(req, customerId)}/collections/${encodeURIComponent(collectionId)}/items`;
+    const pageUrl = pageOffset => {
+      const params = new URLSearchParams({ limit: pageSize, offset: pageOffset });
+      if (req.query.bbox) params.set('bbox', req.query.bbox);
+      return `${itemsUrl}?${params.toString()}`;
+    };
+
+    const links = [
+      link(pageUrl(offset), 'self', 'application/geo+json', 'This page'),
+      link(itemsUrl.replace(/\/items$/, ''), 'collection', 'application/json', 'The collection')
+    ];
+
+    const hasMore = total != null ? offset + features.length < total : features.length === pageSize;
+    if (hasMore) {
+      links.push(link(pageUrl(offset + pageSize), 'next', 'application/geo+json', 'Next page'));
+    }
+
+    if (offset > 0) {
+      links.push(link(pageUrl(Math.max(0, offset - pageSize)), 'prev', 'application/geo+json', 'Previous page'));
+    }
+
+    const body = {
+      type: 'FeatureCollection',
+      timeStamp: new Date().toISOString(),
+      numberReturned: features.length,
+      features,
+      links
+    };
+
+    if (total != null) {
+      body.numberMatched = total;
+    }
+
+    res.type('application/geo+json').send(JSON.stringify(body));
+  } catch (error) {
+    console.error('Error fetching OGC items:', error);
+    res.status(error instanceof RecordLimitError ? 413 : 500).json({ error: error.message });
+  }
+});
+
+ogcRouter.get('/:customerId/collections/:collectionId/items/:featureId', requireRole('viewer'), async (req, res) => {
+  try {
+    const { customerId, collectionId, featureId } = req.params;
+
+    const found = await findCollection(req, res);
+    if (!found) return;
+
+    const feature = await found.adapter.getRecord(featureId);
+    if (!feature) {
+      return res.status(404).json({ error: `Feature not found: ${featureId}` });
+    }
+
+    const permissions = await loadFieldPermissions(req.session, found.adapter, collectionId);
+    const collectionUrl = `${getServiceUrl(req, customerId)}/collections/${encodeURIComponent(collectionId)}`;
+
+    res.type('application/geo+json').send(JSON.stringify({
+      ...toOgcFeature(permissions.filterFeature(feature)),
+      links: [
+        link(`${collectionUrl}/items/${encodeURIComponent(featureId)}`, 'self', 'application/geo+json', 'This feature'),
+        link(collectionUrl, 'collection', 'application/json', 'The collection')
+      ]
+    }));
+  } catch (error) {
+    console.error('Error fetching OGC feature:', error);
+    const status = error.status === 404 ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
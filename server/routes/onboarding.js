@@ -1,9 +1,80 @@
 import express from 'express';
-import { supabase, logCustomerActivity } from '../config/supabase.js';
+import { supabase, supabaseAdmin, logCustomerActivity } from '../config/supabase.js';
 import { AdapterFactory } from '../adapters/AdapterFactory.js';
+import { requireCustomerAccess } from '../middleware/session.js';
+import { requireRole } from '../middleware/authorize.js';
+import { GeometryParser } from '../utils/geometry.js';
+import { getCrs, isWGS84, normalizeCrsCode, detectCrsFromBounds, createTransformer } from '../utils/crs.js';
+import { invalidateFeatureCache } from '../utils/feature-cache.js';
 
 export const onboardingRouter = express.Router();
 
+onboardingRouter.param('customerId', requireCustomerAccess);
+
+// Single letters must stand alone: "y" matches "point_y" but not "city".
+function matchesColumnName(lowerHeader, keywords) {
+  return keywords.some(keyword => keyword.length === 1
+    ? lowerHeader === keyword || new RegExp(`[^a-z0-9]${keyword}$`).test(lowerHeader)
+    : lowerHeader.endsWith(keyword));
+}
+
+// Looks at the sample coordinates to tell WGS 84 from projected data. An
+// EWKT SRID= prefix names the CRS outright; otherwise the value ranges give
+// hints. Returns { crs, crsRequired, crsHints, crsUtm }.
+function detectCoordinateSystem(headers, sampleData, detectedFields) {
+  const result = { crs: null, crsRequired: false, crsHints: [], crsUtm: false };
+  const geometries = [];
+
+  if (detectedFields.geometryColumn) {
+    const index = headers.indexOf(detectedFields.geometryColumn);
+    sampleData.forEach(row => {
+      const value = row[index];
+      if (typeof value !== 'string') return;
+
+      const srid = value.match(/^\s*SRID=(\d+);/i)?.[1];
+      if (srid && !result.crs) {
+        result.crs = normalizeCrsCode(srid);
+      }
+      const geometry = GeometryParser.parseWKT(value.replace(/^\s*SRID=\d+;\s*/i, ''));
+      if (geometry) geometries.push(geometry);
+    });
+  } else if (detectedFields.latitudeColumn && detectedFields.longitudeColumn) {
+    const latIndex = headers.indexOf(detectedFields.latitudeColumn);
+    const lngIndex = headers.indexOf(detectedFields.longitudeColumn);
+    sampleData.forEach(row => {
+      const point = GeometryParser.parseXY(row[lngIndex], row[latIndex]);
+      if (point) geometries.push(point);
+    });
+  }
+
+  if (result.crs) {
+    result.crs = isWGS84(result.crs) ? null : result.crs;
+    return result;
+  }
+
+  const bounds = geometries.reduce((current, geometry) => {
+    const next = GeometryParser.getBounds(geometry);
+    if (!next) return current;
+    if (!current) return { ...next };
+    return {
+      minLng: Math.min(current.minLng, next.minLng),
+      minLat: Math.min(current.minLat, next.minLat),
+      maxLng: Math.max(current.maxLng, next.maxLng),
+      maxLat: Math.max(current.maxLat, next.maxLat)
+    };
+  }, null);
+
+  const detected = detectCrsFromBounds(bounds);
+  if (!detected.supported) {
+    result.crsRequired = true;
+    result.crsHints = detected.hints;
+    result.crsUtm = detected.utm;
+    result.crs = detected.hints[0]?.code || null;
+  }
+
+  return result;
+}
+
 async function detectLocationFields(headers, sampleData) {
   const detectedFields = {
     geometryColumn: null,
@@ -17,12 +88,18 @@ async function detectLocationFields(headers, sampleData) {
   };
 
   const geometryKeywords = ['geometry', 'geom', 'wkt', 'shape', 'the_geom', 'geojson', 'geo'];
-  const latKeywords = ['latitude', 'lat', 'y', 'northing'];
-  const lngKeywords = ['longitude', 'lon', 'lng', 'long', 'x', 'easting'];
+  const latKeywords = ['latitude', 'lat'];
+  const lngKeywords = ['longitude', 'lon', 'lng', 'long'];
+  // Projected coordinates; the values decide the CRS
+  const northingKeywords = ['northing', 'north', 'y'];
+  const eastingKeywords = ['easting', 'east', 'x'];
   const addressKeywords = ['address', 'location', 'addr', 'street', 'place'];
   const idKeywords = ['id', 'objectid', 'fid', 'gid', 'feature_id'];
   const nameKeywords = ['name', 'title', 'label', 'description', 'desc'];
 
+  let northingColumn = null;
+  let eastingColumn = null;
+
   headers.forEach((header, index) => {
     const lowerHeader = header.toLowerCase();
 
@@ -37,18 +114,22 @@ async function detectLocationFields(headers, sampleData) {
       }
     }
 
-    if (latKeywords.some(keyword => lowerHeader === keyword || lowerHeader.endsWith(keyword))) {
+    if (matchesColumnName(lowerHeader, latKeywords)) {
       if (!detectedFields.latitudeColumn) {
         detectedFields.latitudeColumn = header;
         detectedFields.confidence += 20;
       }
+    } else if (matchesColumnName(lowerHeader, northingKeywords) && !northingColumn) {
+      northingColumn = header;
     }
 
-    if (lngKeywords.some(keyword => lowerHeader === keyword || lowerHeader.endsWith(keyword))) {
+    if (matchesColumnName(lowerHeader, lngKeywords)) {
       if (!detectedFields.longitudeColumn) {
         detectedFields.longitudeColumn = header;
         detectedFields.confidence += 20;
       }
+    } else if (matchesColumnName(lowerHeader, eastingKeywords) && !eastingColumn) {
+      eastingColumn = header;
     }
 
     if (addressKeywords.some(keyword => lowerHeader.includes(keyword))) {
@@ -74,6 +155,25 @@ async function detectLocationFields(headers, sampleData) {
 
   if (detectedFields.latitudeColumn && detectedFields.longitudeColumn) {
     detectedFields.suggestions.push(`Lat/Lng pair detected: ${detectedFields.latitudeColumn}, ${detectedFields.longitudeColumn}`);
+  } else if (northingColumn && eastingColumn) {
+    // Easting/northing are stored in the longitude/latitude mappings and
+    // reprojected with the table's CRS
+    detectedFields.latitudeColumn = northingColumn;
+    detectedFields.longitudeColumn = eastingColumn;
+    detectedFields.confidence += 30;
+    detectedFields.suggestions.push(`Easting/Northing pair detected: ${eastingColumn}, ${northingColumn}`);
+  }
+
+  Object.assign(detectedFields, detectCoordinateSystem(headers, sampleData, detectedFields));
+  if (detectedFields.crsRequired) {
+    detectedFields.suggestions.push(detectedFields.crsHints.length > 0
+      ? `Coordinates are projected; likely coordinate system: ${detectedFields.crsHints.map(hint => `${hint.name} (${hint.code})`).join(', ')}`
+      : 'Coordinates are projected; choose the coordinate system they are in');
+    if (detectedFields.crsUtm) {
+      detectedFields.suggestions.push('The values also fit a UTM grid; pick the UTM zone if the data was surveyed in UTM');
+    }
+  } else if (detectedFields.crs) {
+    detectedFields.suggestions.push(`Coordinate system declared in the data: ${detectedFields.crs}`);
   }
 
   if (!detectedFields.idColumn && headers.length > 0) {
@@ -98,7 +198,7 @@ async function detectLocationFields(headers, sampleData) {
   return detectedFields;
 }
 
-onboardingRouter.get('/status/:customerId', async (req, res) => {
+onboardingRouter.get('/status/:customerId', requireRole('viewer'), async (req, res) => {
   try {
     const { customerId } = req.params;
 
@@ -135,7 +235,7 @@ onboardingRouter.get('/status/:customerId', async (req, res) => {
   }
 });
 
-onboardingRouter.post('/update-step', async (req, res) => {
+onboardingRouter.post('/update-step', requireRole('admin'), async (req, res) => {
   try {
     const { customerId, step, data: stepData } = req.body;
 
@@ -200,7 +300,7 @@ onboardingRouter.post('/update-step', async (req, res) => {
   }
 });
 
-onboardingRouter.post('/detect-location-fields', async (req, res) => {
+onboardingRouter.post('/detect-location-fields', requireRole('admin'), async (req, res) => {
   try {
     const { customerId, dataSource, tableId, spreadsheetId, sheetName } = req.body;
 
@@ -222,7 +322,7 @@ onboardingRouter.post('/detect-location-fields', async (req, res) => {
     let adapter;
 
     if (dataSource === 'teable') {
-      const { data: teableConfig } = await supabase
+      const { data: teableConfig } = await supabaseAdmin
         .from('customer_teable_config')
         .select('*')
         .eq('customer_id', customerId)
@@ -251,10 +351,12 @@ onboardingRouter.post('/detect-location-fields', async (req, res) => {
         return res.status(404).json({ error: 'Google Sheets configuration not found' });
       }
 
+      // Detection reads the raw columns, so ignore any saved mappings and CRS
       config = {
         ...sheetsConfig,
         spreadsheet_id: spreadsheetId || sheetsConfig.spreadsheet_id,
-        sheet_name: sheetName || sheetsConfig.sheet_name
+        sheet_name: sheetName || sheetsConfig.sheet_name,
+        field_mappings: {}
       };
 
       adapter = AdapterFactory.createAdapter('google_sheets', config);
@@ -284,9 +386,12 @@ onboardingRouter.post('/detect-location-fields', async (req, res) => {
       longitude_column: detectedFields.longitudeColumn,
       address_column: detectedFields.addressColumn,
       id_column: detectedFields.idColumn,
-      name_column: detectedFields.nameColumn
+      name_column: detectedFields.nameColumn,
+      crs: detectedFields.crs
     };
 
+    const transformer = createTransformer(detectedFields.crs);
+
     await supabase
       .from('customer_onboarding_status')
       .upsert({
@@ -302,8 +407,13 @@ onboardingRouter.post('/detect-location-fields', async (req, res) => {
       success: true,
       detected: detectedFields,
       fieldMappings,
+      // Teable reads the base's first table when no table was chosen
+      tableId: tableId || adapter.getTableKey() || null,
       allFields: headers,
-      sampleData: features.slice(0, 3)
+      // Preview in WGS 84 using the detected CRS
+      sampleData: features.slice(0, 3).map(feature => transformer && feature.geometry
+        ? { ...feature, geometry: transformer.toWGS84(feature.geometry) }
+        : feature)
     });
   } catch (error) {
     console.error('Error detecting location fields:', error);
@@ -314,20 +424,31 @@ onboardingRouter.post('/detect-location-fields', async (req, res) => {
   }
 });
 
-onboardingRouter.post('/save-field-mappings', async (req, res) => {
+onboardingRouter.post('/save-field-mappings', requireRole('admin'), async (req, res) => {
   try {
-    const { customerId, dataSource, fieldMappings } = req.body;
+    const { customerId, dataSource, tableId, fieldMappings } = req.body;
 
     if (!customerId || !fieldMappings) {
       return res.status(400).json({ error: 'customerId and fieldMappings are required' });
     }
 
+    const crs = fieldMappings.crs ? getCrs(fieldMappings.crs) : null;
+    if (fieldMappings.crs && !crs) {
+      return res.status(400).json({ error: `Unknown coordinate reference system: ${fieldMappings.crs}` });
+    }
+    fieldMappings.crs = crs && !isWGS84(crs.code) ? crs.code : null;
+
     if (dataSource === 'google_sheets') {
       await supabase
         .from('customer_google_sheets_config')
         .update({ field_mappings: fieldMappings })
         .eq('customer_id', customerId)
         .eq('is_active', true);
+
+      AdapterFactory.clearCache(customerId);
+      invalidateFeatureCache(customerId);
+    } else if (dataSource === 'teable' && tableId) {
+      await AdapterFactory.setTableCrs(customerId, tableId, fieldMappings.crs);
     }
 
     await supabase
@@ -356,7 +477,7 @@ onboardingRouter.post('/save-field-mappings', async (req, res) => {
   }
 });
 
-onboardingRouter.post('/complete', async (req, res) => {
+onboardingRouter.post('/complete', requireRole('admin'), async (req, res) => {
   try {
     const { customerId, userEmail } = req.body;
 
@@ -390,7 +511,7 @@ onboardingRouter.post('/complete', async (req, res) => {
   }
 });
 
-onboardingRouter.post('/request-assistance', async (req, res) => {
+onboardingRouter.post('/request-assistance', requireRole('viewer'), async (req, res) => {
   try {
     const { customerId, userEmail, requestType, subject, message, currentStep } = req.body;
 
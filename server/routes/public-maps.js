@@ -0,0 +1,509 @@
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readFile } from 'fs/promises';
+import { AdapterFactory } from '../adapters/AdapterFactory.js';
+import { RecordLimitError } from '../adapters/BaseDataAdapter.js';
+import { logCustomerActivity } from '../config/supabase.js';
+import { requireCustomerAccess } from '../middleware/session.js';
+import { requireRole } from '../middleware/authorize.js';
+import { loadFieldPermissions } from '../utils/field-permissions.js';
+import { parseSpatialQuery, parsePointParam } from '../utils/spatial-query.js';
+import { isValidTile, getTileETag } from '../utils/vector-tiles.js';
+import { injectPublicMap } from '../middleware/customer-html.js';
+import {
+  normalizeSlug,
+  isValidSlug,
+  checkPublicMapConfig,
+  listPublicMaps,
+  getPublicMap,
+  createPublicMap,
+  updatePublicMap,
+  setPublicMapStatus,
+  deletePublicMap,
+  getPublishedMap,
+  getPublicLayerFields,
+  findSystemTableLayers,
+  toPublicConfig,
+  getFrameAncestors,
+  isDataOriginAllowed,
+  loadPublicLayerFeatures,
+  loadPublicLayerTile,
+  identifyPublicLayers,
+  DEFAULT_PUBLIC_IDENTIFY_TOLERANCE_METERS,
+  MAX_PUBLIC_IDENTIFY_TOLERANCE_METERS,
+  MAX_PUBLIC_IDENTIFY_RESULTS
+} from '../utils/public-maps.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// publicMapsRouter is the admin API behind map-config (mounted behind
+// requireSession); publicMapDataRouter serves published maps to anonymous
+// visitors and publicMapEmbedRouter the page other sites frame. Neither of
+// the last two needs a session.
+
+export const publicMapsRouter = express.Router();
+export const publicMapDataRouter = express.Router();
+export const publicMapEmbedRouter = express.Router();
+
+publicMapsRouter.param('customerId', requireCustomerAccess);
+
+// Validates title, slug and config from a create or update body. Returns
+// { changes } or { error }; on create a missing slug is derived from the title.
+function parseMapBody(body, { creating }) {
+  const changes = {};
+  const { title, slug, config } = body || {};
+
+  if (config !== undefined || creating) {
+    const problem = checkPublicMapConfig(config);
+    if (problem) return { error: problem };
+    changes.config = config;
+  }
+
+  if (title !== undefined || creating) {
+    changes.title = String(title ?? config?.general?.title ?? '').trim();
+    if (!changes.title) return { error: 'title is required' };
+  }
+
+  if (slug !== undefined || creating) {
+    changes.slug = slug === undefined ? normalizeSlug(changes.title) : String(slug);
+    if (!isValidSlug(changes.slug)) {
+      return { error: 'slug must be lowercase letters, digits and single hyphens, at most 60 characters' };
+    }
+  }
+
+  return { changes };
+}
+
+function sendMapError(res, error, action) {
+  if (error.status === 409) {
+    return res.status(409).json({ error: error.message, code: 'SLUG_TAKEN' });
+  }
+  if (error instanceof RecordLimitError) {
+    return res.status(413).json({ error: error.message, code: error.code });
+  }
+  console.error(`Error ${action} public map:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Fields a layer would publish that the publishing user may not view
+async function findUnviewableFields(customerId, session, layers) {
+  const problems = [];
+
+  for (const layer of layers) {
+    const adapter = await AdapterFactory.getAdapter(customerId, layer.tableId);
+    const permissions = await loadFieldPermissions(session, adapter, layer.tableId);
+    const fields = getPublicLayerFields(layer).filter(field => !permissions.canView(field));
+    if (fields.length > 0) {
+      problems.push({ layerId: layer.id, layer: layer.name, fields });
+    }
+  }
+
+  return problems;
+}
+
+function rejectUnviewableFields(res, problems) {
+  if (problems.length === 0) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'The map publishes fields you are not allowed to view',
+    code: 'FIELD_NOT_VIEWABLE',
+    layers: problems
+  });
+  return true;
+}
+
+function findLayer(config, layerId) {
+  return (config.layers || []).find(candidate => String(candidate.id) === layerId) || null;
+}
+
+async function sendLayerFeatures(req, res, customerId, config) {
+  const layer = findLayer(config, req.params.layerId);
+  if (!layer) {
+    return res.status(404).json({ error: 'Layer not found on this map' });
+  }
+
+  const { spatial, error } = parseSpatialQuery({ bbox: req.query.bbox });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json(await loadPublicLayerFeatures(customerId, layer, spatial));
+}
+
+async function sendLayerTile(req, res, customerId, config, cacheControl) {
+  const layer = findLayer(config, req.params.layerId);
+  if (!layer) {
+    return res.status(404).json({ error: 'Layer not found on this map' });
+  }
+
+  const z = Number(req.params.z);
+  const x = Number(req.params.x);
+  const y = Number(req.params.y);
+  if (!isValidTile(z, x, y)) {
+    return res.status(400).json({ error: 'Invalid tile coordinates' });
+  }
+
+  const tile = await loadPublicLayerTile(customerId, layer, z, x, y);
+  res.setHeader('Cache-Control', cacheControl);
+
+  if (!tile) {
+    return res.status(204).end();
+  }
+
+  const etag = getTileETag(tile);
+  res.setHeader('ETag', etag);
+
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.mapbox-vector-tile');
+  res.send(tile);
+}
+
+// Identify by map layer: ?point=lng,lat&layers=layerId,layerId&tolerance=
+// (meters)&limit=. Without layers every layer of the map is searched.
+function parseIdentifyQuery(query, config) {
+  const point = parsePointParam(query.point);
+  if (!point) {
+    return { error: 'Invalid point, expected lng,lat' };
+  }
+
+  const tolerance = query.tolerance === undefined ? DEFAULT_PUBLIC_IDENTIFY_TOLERANCE_METERS : parseFloat(query.tolerance);
+  if (!(tolerance > 0 && tolerance <= MAX_PUBLIC_IDENTIFY_TOLERANCE_METERS)) {
+    return { error: `tolerance must be between 0 and ${MAX_PUBLIC_IDENTIFY_TOLERANCE_METERS} meters` };
+  }
+
+  const limit = Math.min(Math.max(1, parseInt(query.limit) || 10), MAX_PUBLIC_IDENTIFY_RESULTS);
+  const layerIds = query.layers ? String(query.layers).split(',').map(id => id.trim()).filter(Boolean) : null;
+  const layers = layerIds ? layerIds.map(id => findLayer(config, id)) : (config.layers || []);
+
+  if (layers.includes(null)) {
+    return { error: 'layers must list layers of this map' };
+  }
+
+  return { point, tolerance, limit, layers };
+}
+
+async function sendIdentify(res, customerId, { point, tolerance, limit, layers }) {
+  const features = await identifyPublicLayers(customerId, layers, point, { tolerance, limit });
+  res.json({ point, tolerance, features });
+}
+
+publicMapsRouter.get('/:customerId', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ maps: await listPublicMaps(req.params.customerId) });
+  } catch (error) {
+    sendMapError(res, error, 'listing');
+  }
+});
+
+publicMapsRouter.post('/:customerId', requireRole('admin'), async (req, res) => {
+  try {
+    const { changes, error } = parseMapBody(req.body, { creating: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const map = await createPublicMap(req.params.customerId, req.session, changes);
+    res.status(201).json({ map });
+  } catch (error) {
+    sendMapError(res, error, 'creating');
+  }
+});
+
+publicMapsRouter.get('/:customerId/:mapId', requireRole('admin'), async (req, res) => {
+  try {
+    const map = await getPublicMap(req.params.customerId, req.params.mapId);
+    if (!map) {
+      return res.status(404).json({ error: 'Public map not found' });
+    }
+    res.json({ map });
+  } catch (error) {
+    sendMapError(res, error, 'loading');
+  }
+});
+
+// Saves the draft; the published map only changes on publish.
+publicMapsRouter.put('/:customerId/:mapId', requireRole('admin'), async (req, res) => {
+  try {
+    const { changes, error } = parseMapBody(req.body, { creating: false });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const map = await updatePublicMap(req.params.customerId, req.params.mapId, req.session, changes);
+    if (!map) {
+      return res.status(404).json({ error: 'Public map not found' });
+    }
+    res.json({ map });
+  } catch (error) {
+    sendMapError(res, error, 'saving');
+  }
+});
+
+publicMapsRouter.post('/:customerId/:mapId/publish', requireRole('admin'), async (req, res) => {
+  try {
+    const { customerId, mapId } = req.params;
+    const map = await getPublicMap(customerId, mapId);
+    if (!map) {
+      return res.status(404).json({ error: 'Public map not found' });
+    }
+
+    const layers = map.draftConfig.layers || [];
+
+    const systemLayers = await findSystemTableLayers(customerId, layers);
+    if (systemLayers.length > 0) {
+      return res.status(400).json({
+        error: 'System tables cannot be published',
+        code: 'SYSTEM_TABLE',
+        layers: systemLayers
+      });
+    }
+
+    // Password hashes are never viewable, so layers naming them are refused here
+    const problems = await findUnviewableFields(customerId, req.session, layers);
+    if (rejectUnviewableFields(res, problems)) {
+      return;
+    }
+
+    const published = await setPublicMapStatus(customerId, map, req.session, 'published');
+    await logCustomerActivity(customerId, req.session.user_email, 'public_map_published',
+      `Published public map "${published.title}"`, { mapId, slug: published.slug });
+
+    res.json({ map: published });
+  } catch (error) {
+    sendMapError(res, error, 'publishing');
+  }
+});
+
+publicMapsRouter.post('/:customerId/:mapId/unpublish', requireRole('admin'), async (req, res) => {
+  try {
+    const { customerId, mapId } = req.params;
+    const map = await getPublicMap(customerId, mapId);
+    if (!map) {
+      return res.status(404).json({ error: 'Public map not found' });
+    }
+
+    const unpublished = await setPublicMapStatus(customerId, map, req.session, 'draft');
+    await logCustomerActivity(customerId, req.session.user_email, 'public_map_unpublished',
+      `Unpublished public map "${unpublished.title}"`, { mapId, slug: unpublished.slug });
+
+    res.json({ map: unpublished });
+  } catch (error) {
+    sendMapError(res, error, 'unpublishing');
+  }
+});
+
+publicMapsRouter.delete('/:customerId/:mapId', requireRole('admin'), async (req, res) => {
+  try {
+    if (!await deletePublicMap(req.params.customerId, req.params.mapId)) {
+      return res.status(404).json({ error: 'Public map not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendMapError(res, error, 'deleting');
+  }
+});
+
+// Draft preview: the same response shapes as the anonymous routes, for the draft.
+publicMapsRouter.get('/:customerId/:mapId/preview', requireRole('admin'), async (req, res) => {
+  try {
+    const map = await getPublicMap(req.params.customerId, req.params.mapId);
+    if (!map) {
+      return res.status(404).json({ error: 'Public map not found' });
+    }
+    res.json({ map: { slug: map.slug, title: map.title, status: map.status, config: toPublicConfig(map.draftConfig) } });
+  } catch (error) {
+    sendMapError(res, error, 'loading');
+  }
+});
+
+// Drafts are unchecked until publish, so the preview runs publish's check on
+// the layer before serving its fields.
+publicMapsRouter.get('/:customerId/:mapId/preview/layers/:layerId/features', requireRole('admin'), async (req, res) => {
+  try {
+    const { customerId, mapId, layerId } = req.params;
+    const map = await getPublicMap(customerId, mapId);
+    if (!map) {
+      return res.status(404).json({ error: 'Public map not found' });
+    }
+
+    const layer = findLayer(map.draftConfig, layerId);
+    if (layer && rejectUnviewableFields(res, await findUnviewableFields(customerId, req.session, [layer]))) {
+      return;
+    }
+
+    await sendLayerFeatures(req, res, customerId, map.draftConfig);
+  } catch (error) {
+    sendMapError(res, error, 'loading features of');
+  }
+});
+
+publicMapsRouter.get('/:customerId/:mapId/preview/layers/:layerId/tiles/:z/:x/:y.mvt', requireRole('admin'), async (req, res) => {
+  try {
+    const { customerId, mapId, layerId } = req.params;
+    const map = await getPublicMap(customerId, mapId);
+    if (!map) {
+      return res.status(404).json({ error: 'Public map not found' });
+    }
+
+    const layer = findLayer(map.draftConfig, layerId);
+    if (layer && rejectUnviewableFields(res, await findUnviewableFields(customerId, req.session, [layer]))) {
+      return;
+    }
+
+    await sendLayerTile(req, res, customerId, map.draftConfig, 'private, max-age=60');
+  } catch (error) {
+    sendMapError(res, error, 'loading a tile of');
+  }
+});
+
+publicMapsRouter.get('/:customerId/:mapId/preview/identify', requireRole('admin'), async (req, res) => {
+  try {
+    const { customerId, mapId } = req.params;
+    const map = await getPublicMap(customerId, mapId);
+    if (!map) {
+      return res.status(404).json({ error: 'Public map not found' });
+    }
+
+    const query = parseIdentifyQuery(req.query, map.draftConfig);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+    if (rejectUnviewableFields(res, await findUnviewableFields(customerId, req.session, query.layers))) {
+      return;
+    }
+
+    await sendIdentify(res, customerId, query);
+  } catch (error) {
+    sendMapError(res, error, 'identifying features of');
+  }
+});
+
+// Anonymous visitors get no internal details; a layer over the record limit
+// is reported as such so the map owner can tell why it stays empty
+function sendPublicDataError(res, error, message) {
+  if (error instanceof RecordLimitError) {
+    return res.status(413).json({ error: 'This layer has too many features to serve', code: error.code });
+  }
+  res.status(500).json({ error: message });
+}
+
+// The published map a public data request is for, after sending 404 when
+// there is none or 403 when the requesting site may not use it (see
+// isDataOriginAllowed). Returns null once a response has been sent.
+async function loadPublishedMapFor(req, res) {
+  const map = await getPublishedMap(req.params.customerId, req.params.slug);
+  if (!map) {
+    res.status(404).json({ error: 'Map not found' });
+    return null;
+  }
+
+  // Answers are cached publicly but differ by requesting site
+  res.setHeader('Vary', 'Origin, Referer');
+
+  const referer = req.get('Referer');
+  let requestOrigin = req.get('Origin');
+  if (!requestOrigin && referer) {
+    try {
+      requestOrigin = new URL(referer).origin;
+    } catch {
+      requestOrigin = 'null';
+    }
+  }
+
+  if (!isDataOriginAllowed(map.publishedConfig, requestOrigin, req.get('Host'))) {
+    res.status(403).json({
+      error: 'This map is not available to this site',
+      code: 'ORIGIN_NOT_ALLOWED'
+    });
+    return null;
+  }
+
+  return map;
+}
+
+publicMapDataRouter.get('/:customerId/maps/:slug', async (req, res) => {
+  try {
+    const map = await loadPublishedMapFor(req, res);
+    if (!map) return;
+
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json({
+      map: {
+        slug: map.slug,
+        title: map.title,
+        publishedAt: map.publishedAt,
+        config: toPublicConfig(map.publishedConfig)
+      }
+    });
+  } catch (error) {
+    console.error('Error loading published map:', error);
+    res.status(500).json({ error: 'Failed to load map' });
+  }
+});
+
+publicMapDataRouter.get('/:customerId/maps/:slug/layers/:layerId/features', async (req, res) => {
+  try {
+    const map = await loadPublishedMapFor(req, res);
+    if (!map) return;
+
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    await sendLayerFeatures(req, res, req.params.customerId, map.publishedConfig);
+  } catch (error) {
+    console.error('Error loading published map features:', error);
+    sendPublicDataError(res, error, 'Failed to load map data');
+  }
+});
+
+publicMapDataRouter.get('/:customerId/maps/:slug/layers/:layerId/tiles/:z/:x/:y.mvt', async (req, res) => {
+  try {
+    const map = await loadPublishedMapFor(req, res);
+    if (!map) return;
+
+    await sendLayerTile(req, res, req.params.customerId, map.publishedConfig, 'public, max-age=60');
+  } catch (error) {
+    console.error('Error building published map tile:', error);
+    sendPublicDataError(res, error, 'Failed to load map data');
+  }
+});
+
+publicMapDataRouter.get('/:customerId/maps/:slug/identify', async (req, res) => {
+  try {
+    const map = await loadPublishedMapFor(req, res);
+    if (!map) return;
+
+    const query = parseIdentifyQuery(req.query, map.publishedConfig);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    await sendIdentify(res, req.params.customerId, query);
+  } catch (error) {
+    console.error('Error identifying published map features:', error);
+    sendPublicDataError(res, error, 'Failed to identify features');
+  }
+});
+
+// The embeddable page. Which sites may frame it is enforced by the browser
+// through frame-ancestors, taken from the published configuration; a map that
+// is not published can only be framed by the app itself.
+publicMapEmbedRouter.get('/:customerId/:slug', async (req, res) => {
+  try {
+    const { customerId, slug } = req.params;
+    const map = await getPublishedMap(customerId, slug);
+    const html = await readFile(path.join(__dirname, '../../public/public-map.html'), 'utf-8');
+
+    res.setHeader('Content-Security-Policy', `frame-ancestors ${getFrameAncestors(map?.publishedConfig)}`);
+    res.setHeader('Content-Type', 'text/html');
+    res.status(map ? 200 : 404).send(injectPublicMap(html, { customerId, slug, embed: true }));
+  } catch (error) {
+    console.error('Error serving embedded map:', error);
+    res.status(500).send('Failed to load map');
+  }
+});
@@ -0,0 +1,196 @@
+import express from 'express';
+import { requireCustomerAccess } from '../middleware/session.js';
+import { hasRoleOrHigher } from '../middleware/authorize.js';
+import {
+  VIEW_PAGES,
+  VIEW_VISIBILITIES,
+  VIEW_DEFAULT_ROLES,
+  MAX_VIEW_NAME_LENGTH,
+  MAX_VIEW_STATE_BYTES,
+  listSavedViews,
+  getSavedView,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView
+} from '../utils/saved-views.js';
+
+// Saved views of the table and map pages. Every user can keep private views;
+// sharing a view with the customer takes an editor and making it a role's
+// default an admin. Shared views can be changed by their creator and admins.
+
+export const savedViewsRouter = express.Router();
+
+savedViewsRouter.param('customerId', requireCustomerAccess);
+
+// Validates page, tableId, name, visibility, defaultRoles and state from a
+// create or update body (page and tableId only on create). Returns
+// { changes } or { error }.
+function parseViewBody(body, { creating }) {
+  const changes = {};
+  const { page, tableId, name, visibility, defaultRoles, state } = body || {};
+
+  if (creating) {
+    if (!VIEW_PAGES.includes(page)) {
+      return { error: `page must be one of ${VIEW_PAGES.join(', ')}` };
+    }
+    if (page === 'table' && (typeof tableId !== 'string' || !tableId)) {
+      return { error: 'tableId is required for table views' };
+    }
+    changes.page = page;
+    changes.tableId = page === 'table' ? tableId : null;
+  }
+
+  if (name !== undefined || creating) {
+    changes.name = String(name ?? '').trim();
+    if (!changes.name || changes.name.length > MAX_VIEW_NAME_LENGTH) {
+      return { error: `name is required and at most ${MAX_VIEW_NAME_LENGTH} characters` };
+    }
+  }
+
+  if (visibility !== undefined || creating) {
+    changes.visibility = visibility ?? 'private';
+    if (!VIEW_VISIBILITIES.includes(changes.visibility)) {
+      return { error: `visibility must be one of ${VIEW_VISIBILITIES.join(', ')}` };
+    }
+  }
+
+  if (defaultRoles !== undefined) {
+    if (!Array.isArray(defaultRoles) || defaultRoles.some(role => !VIEW_DEFAULT_ROLES.includes(role))) {
+      return { error: `defaultRoles must be a list of ${VIEW_DEFAULT_ROLES.join(', ')}` };
+    }
+    changes.defaultRoles = [...new Set(defaultRoles)];
+  }
+
+  if (state !== undefined || creating) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      return { error: 'state must be an object' };
+    }
+    if (JSON.stringify(state).length > MAX_VIEW_STATE_BYTES) {
+      return { error: `state must be smaller than ${MAX_VIEW_STATE_BYTES / 1024} KB` };
+    }
+    changes.state = state;
+  }
+
+  return { changes };
+}
+
+// Why the session may not make these changes to a view (null when it may).
+// view is null on create.
+function checkViewPermissions(session, view, changes) {
+  const visibility = changes.visibility ?? view?.visibility;
+  const defaultRoles = changes.defaultRoles ?? (changes.visibility === 'private' ? [] : view?.defaultRoles) ?? [];
+
+  if (view && view.createdBy !== session.user_email && !hasRoleOrHigher(session, 'admin')) {
+    return 'Only the creator of a view or an admin can change it';
+  }
+  if (visibility === 'shared' && view?.visibility !== 'shared' && !hasRoleOrHigher(session, 'editor')) {
+    return 'Sharing views requires the editor role';
+  }
+  if (changes.defaultRoles !== undefined && !hasRoleOrHigher(session, 'admin')) {
+    return 'Setting default views requires the admin role';
+  }
+  if (defaultRoles.length > 0 && visibility !== 'shared') {
+    return 'Only shared views can be default views';
+  }
+  return null;
+}
+
+// Private views of other users are reported as missing
+async function loadVisibleView(customerId, viewId, session) {
+  const view = await getSavedView(customerId, viewId);
+  if (!view || (view.visibility === 'private' && view.createdBy !== session.user_email)) {
+    return null;
+  }
+  return view;
+}
+
+function sendViewError(res, error, action) {
+  if (error.status === 409) {
+    return res.status(409).json({ error: error.message, code: 'VIEW_NAME_TAKEN' });
+  }
+  console.error(`Error ${action} saved view:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// ?page=table&tableId=... or ?page=map
+savedViewsRouter.get('/:customerId', async (req, res) => {
+  try {
+    const { page, tableId } = req.query;
+    if (!VIEW_PAGES.includes(page)) {
+      return res.status(400).json({ error: `page must be one of ${VIEW_PAGES.join(', ')}` });
+    }
+    if (page === 'table' && !tableId) {
+      return res.status(400).json({ error: 'tableId is required for table views' });
+    }
+
+    res.json(await listSavedViews(req.params.customerId, req.session, {
+      page,
+      tableId: page === 'table' ? String(tableId) : null
+    }));
+  } catch (error) {
+    sendViewError(res, error, 'listing');
+  }
+});
+
+savedViewsRouter.post('/:customerId', async (req, res) => {
+  try {
+    const { changes, error } = parseViewBody(req.body, { creating: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const problem = checkViewPermissions(req.session, null, changes);
+    if (problem) {
+      return res.status(403).json({ error: problem, code: 'FORBIDDEN' });
+    }
+
+    const view = await createSavedView(req.params.customerId, req.session, changes);
+    res.status(201).json({ view });
+  } catch (error) {
+    sendViewError(res, error, 'creating');
+  }
+});
+
+savedViewsRouter.put('/:customerId/:viewId', async (req, res) => {
+  try {
+    const { customerId, viewId } = req.params;
+    const { changes, error } = parseViewBody(req.body, { creating: false });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const view = await loadVisibleView(customerId, viewId, req.session);
+    if (!view) {
+      return res.status(404).json({ error: 'Saved view not found' });
+    }
+
+    const problem = checkViewPermissions(req.session, view, changes);
+    if (problem) {
+      return res.status(403).json({ error: problem, code: 'FORBIDDEN' });
+    }
+
+    res.json({ view: await updateSavedView(customerId, view, req.session, changes) });
+  } catch (error) {
+    sendViewError(res, error, 'saving');
+  }
+});
+
+savedViewsRouter.delete('/:customerId/:viewId', async (req, res) => {
+  try {
+    const { customerId, viewId } = req.params;
+    const view = await loadVisibleView(customerId, viewId, req.session);
+    if (!view) {
+      return res.status(404).json({ error: 'Saved view not found' });
+    }
+
+    const problem = checkViewPermissions(req.session, view, {});
+    if (problem) {
+      return res.status(403).json({ error: problem, code: 'FORBIDDEN' });
+    }
+
+    await deleteSavedView(customerId, viewId);
+    res.json({ success: true });
+  } catch (error) {
+    sendViewError(res, error, 'deleting');
+  }
+});
@@ -0,0 +1,325 @@
+import express from 'express';
+import { AdapterFactory } from '../adapters/AdapterFactory.js';
+import { RecordLimitError } from '../adapters/BaseDataAdapter.js';
+import { requireCustomerAccess } from '../middleware/session.js';
+import { requireRole } from '../middleware/authorize.js';
+import { loadFieldPermissions, getGeometryFieldNames } from '../utils/field-permissions.js';
+import { parseSpatialQuery, fetchRecordsPage } from '../utils/spatial-query.js';
+import {
+  EPSG_4326_URN,
+  CRS84_URI,
+  GML_32_FORMAT,
+  GEOJSON_FORMATS,
+  toXmlName,
+  getTypeName,
+  buildCapabilities,
+  buildExceptionReport,
+  buildFeatureTypeSchema,
+  buildFeatureCollection
+} from '../utils/wfs.js';
+
+// WFS 2.0 (KVP over GET) for desktop GIS clients that do not speak OGC API -
+// Features. Supports GetCapabilities, DescribeFeatureType and GetFeature with
+// BBOX, COUNT/MAXFEATURES, STARTINDEX and PROPERTYNAME. Errors are returned as
+// OWS exception reports, which is what WFS clients know how to display.
+
+export const wfsRouter = express.Router();
+
+wfsRouter.param('customerId', requireCustomerAccess);
+
+const SUPPORTED_VERSIONS = ['2.0.0', '1.1.0'];
+const DEFAULT_COUNT = 1000;
+const MAX_COUNT = 10000;
+
+// CRS identifiers with lat/lon axis order, per EPSG
+const LAT_LON_CRS = [
+  EPSG_4326_URN,
+  'urn:x-ogc:def:crs:EPSG:4326',
+  'http://www.opengis.net/def/crs/EPSG/0/4326'
+];
+
+// Identifiers that clients use with lon/lat order
+const LON_LAT_CRS = [
+  CRS84_URI,
+  'urn:ogc:def:crs:OGC:1.3:CRS84',
+  'urn:ogc:def:crs:OGC::CRS84',
+  'EPSG:4326',
+  'http://www.opengis.net/gml/srs/epsg.xml#4326'
+];
+
+class WfsError extends Error {
+  constructor(code, locator, message, status = 400) {
+    super(message);
+    this.code = code;
+    this.locator = locator;
+    this.status = status;
+  }
+}
+
+function sendException(res, error) {
+  res.status(error.status || 400)
+    .type('application/xml')
+    .send(buildExceptionReport(error.code, error.locator, error.message));
+}
+
+// KVP parameter names are case-insensitive
+function getParams(query) {
+  const params = {};
+  Object.entries(query).forEach(([key, value]) => {
+    params[key.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+  });
+  return params;
+}
+
+function splitList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function stripPrefix(name) {
+  return name.includes(':') ? name.slice(name.lastIndexOf(':') + 1) : name;
+}
+
+function parseInteger(params, names, minimum) {
+  const name = names.find(candidate => params[candidate] !== undefined);
+  if (!name) return null;
+
+  const value = Number(params[name]);
+  if (!Number.isInteger(value) || value < minimum) {
+    throw new WfsError('InvalidParameterValue', name.toUpperCase(), `${name.toUpperCase()} must be an integer >= ${minimum}`);
+  }
+  return value;
+}
+
+// True when coordinates in this CRS are written lat/lon.
+function isLatLonCrs(crs, locator) {
+  if (LAT_LON_CRS.includes(crs)) return true;
+  if (LON_LAT_CRS.includes(crs)) return false;
+  throw new WfsError('InvalidParameterValue', locator, `Unsupported CRS: ${crs}. Use ${EPSG_4326_URN} or ${CRS84_URI}`);
+}
+
+// BBOX=minx,miny,maxx,maxy[,crs] converted to lon/lat for parseSpatialQuery.
+// Without a CRS the WFS 2.0 default (EPSG:4326, lat/lon) applies.
+function parseBbox(value) {
+  const parts = splitList(value);
+  const crs = parts.length === 5 ? parts.pop() : EPSG_4326_URN;
+
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(Number(part)))) {
+    throw new WfsError('InvalidParameterValue', 'BBOX', 'BBOX must be minx,miny,maxx,maxy[,crs]');
+  }
+
+  const [a, b, c, d] = parts.map(Number);
+  const bbox = isLatLonCrs(crs, 'BBOX') ? [b, a, d, c] : [a, b, c, d];
+
+  const { spatial, error } = parseSpatialQuery({ bbox: bbox.join(',') });
+  if (error) {
+    throw new WfsError('InvalidParameterValue', 'BBOX', error);
+  }
+  return spatial;
+}
+
+function parseOutputFormat(value) {
+  if (!value) return 'gml';
+
+  const format = value.toLowerCase().replace(/\s+/g, '');
+  if (GEOJSON_FORMATS.includes(format)) return 'geojson';
+  if (format.includes('gml/3.2') || format.includes('version=3.2') || format === 'gml32') return 'gml';
+
+  throw new WfsError('InvalidParameterValue', 'OUTPUTFORMAT', `Unsupported output format: ${value}. Use ${GML_32_FORMAT} or application/json`);
+}
+
+function getServiceUrl(req, customerId) {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  return req.params.customerId ? `${base}/${encodeURIComponent(customerId)}` : base;
+}
+
+async function getFeatureTypes(adapter) {
+  const tables = await adapter.getTableList();
+
+  // A Google Sheets connection is bound to one sheet
+  if (adapter.getDataSourceType() === 'google_sheets') {
+    return tables.filter(table => table.name === adapter.sheetName);
+  }
+
+  return tables;
+}
+
+async function resolveTypeNames(adapter, value, locator) {
+  const tables = await getFeatureTypes(adapter);
+  if (!value) return tables;
+
+  return splitList(value).map(requested => {
+    const name = stripPrefix(requested);
+    const table = tables.find(candidate => getTypeName(candidate) === name || String(candidate.id) === name);
+    if (!table) {
+      throw new WfsError('InvalidParameterValue', locator, `Unknown feature type: ${requested}`);
+    }
+    return table;
+  });
+}
+
+async function getCapabilities(req, res, customerId) {
+  const adapter = await AdapterFactory.getAdapter(customerId);
+
+  res.type('application/xml').send(buildCapabilities({
+    serviceUrl: getServiceUrl(req, customerId),
+    title: req.customer?.name ? `${req.customer.name} WFS` : 'Customer GIS data',
+    tables: await getFeatureTypes(adapter)
+  }));
+}
+
+async function describeFeatureType(req, res, customerId, params) {
+  const adapter = await AdapterFactory.getAdapter(customerId);
+  const tables = await resolveTypeNames(adapter, params.typenames || params.typename, 'TYPENAMES');
+
+  const types = [];
+  for (const table of tables) {
+    const tableAdapter = await AdapterFactory.getAdapter(customerId, table.id);
+    const permissions = await loadFieldPermissions(req.session, tableAdapter, table.id);
+    const geometryFields = getGeometryFieldNames(tableAdapter);
+    const fields = (permissions.filterSchema(await tableAdapter.getSchema()) || [])
+      .filter(field => !geometryFields.includes(field.name));
+    types.push({ table, fields });
+  }
+
+  res.type('application/xml').send(buildFeatureTypeSchema({
+    serviceUrl: getServiceUrl(req, customerId),
+    types
+  }));
+}
+
+async function getFeature(req, res, customerId, params) {
+  const typeNames = params.typenames || params.typename;
+  if (!typeNames) {
+    throw new WfsError('MissingParameterValue', 'TYPENAMES', 'TYPENAMES is required for GetFeature');
+  }
+
+  if (splitList(typeNames).length > 1) {
+    throw new WfsError('OperationParsingFailed', 'TYPENAMES', 'GetFeature supports one feature type per request');
+  }
+
+  const outputFormat = parseOutputFormat(params.outputformat);
+  const srsName = params.srsname || EPSG_4326_URN;
+  const latLonOrder = isLatLonCrs(srsName, 'SRSNAME');
+  const count = Math.min(parseInteger(params, ['count', 'maxfeatures'], 1) ?? DEFAULT_COUNT, MAX_COUNT);
+  const startIndex = parseInteger(params, ['startindex'], 0) ?? 0;
+  const spatial = params.bbox ? parseBbox(params.bbox) : null;
+  const hitsOnly = (params.resulttype || '').toLowerCase() === 'hits';
+
+  const [table] = await resolveTypeNames(await AdapterFactory.getAdapter(customerId), typeNames, 'TYPENAMES');
+  const adapter = await AdapterFactory.getAdapter(customerId, table.id);
+  const permissions = await loadFieldPermissions(req.session, adapter, table.id);
+
+  let propertyNames = null;
+  if (params.propertyname) {
+    const fields = permissions.filterSchema(await adapter.getSchema()) || [];
+    propertyNames = splitList(params.propertyname).map(requested => {
+      const name = stripPrefix(requested);
+      const field = fields.find(candidate => candidate.name === name || toXmlName(candidate.name) === name);
+      if (!field) {
+        throw new WfsError('InvalidParameterValue', 'PROPERTYNAME', `Unknown property: ${requested}`);
+      }
+      return field.name;
+    });
+  }
+
+  const page = await fetchRecordsPage(adapter, { limit: hitsOnly ? 1 : count, offset: hitsOnly ? 0 : startIndex }, spatial);
+  const numberMatched = page.metadata?.total ?? null;
+
+  const features = hitsOnly ? [] : permissions.filterFeatureCollection(page).features.map(feature => {
+    if (!propertyNames) return feature;
+
+    const properties = {};
+    propertyNames.forEach(name => {
+      if (feature.properties && name in feature.properties) {
+        properties[name] = feature.properties[name];
+      }
+    });
+    return { ...feature, properties };
+  });
+
+  if (outputFormat === 'geojson') {
+    const body = {
+      type: 'FeatureCollection',
+      timeStamp: new Date().toISOString(),
+      numberReturned: features.length,
+      features: features.map(feature => ({
+        type: 'Feature',
+        id: feature.id,
+        geometry: feature.geometry,
+        properties: feature.properties || {}
+      }))
+    };
+
+    if (numberMatched != null) {
+      body.numberMatched = numberMatched;
+    }
+
+    return res.type('application/json').send(JSON.stringify(body));
+  }
+
+  res.type(GML_32_FORMAT).send(buildFeatureCollection({
+    serviceUrl: getServiceUrl(req, customerId),
+    members: features.map(feature => ({ table, feature })),
+    numberMatched,
+    srsName,
+    latLonOrder
+  }));
+}
+
+const OPERATIONS = {
+  getcapabilities: getCapabilities,
+  describefeaturetype: describeFeatureType,
+  getfeature: getFeature
+};
+
+async function handleWfsRequest(req, res, customerId) {
+  try {
+    // On a tenant host only that tenant's data is served
+    if (req.customerId && req.customerId !== customerId) {
+      throw new WfsError('OperationProcessingFailed', null, 'Customer does not match this host', 403);
+    }
+
+    const params = getParams(req.query);
+
+    if (params.service && params.service.toUpperCase() !== 'WFS') {
+      throw new WfsError('InvalidParameterValue', 'SERVICE', `Unsupported service: ${params.service}`);
+    }
+
+    if (!params.request) {
+      throw new WfsError('MissingParameterValue', 'REQUEST', 'REQUEST is required');
+    }
+
+    const operation = OPERATIONS[params.request.toLowerCase()];
+    if (!operation) {
+      throw new WfsError('OperationNotSupported', 'REQUEST', `Unsupported request: ${params.request}`);
+    }
+
+    const versions = params.acceptversions ? splitList(params.acceptversions) : [params.version].filter(Boolean);
+    if (versions.length > 0 && !versions.some(version => SUPPORTED_VERSIONS.includes(version))) {
+      throw new WfsError('VersionNegotiationFailed', 'VERSION', `Supported versions: ${SUPPORTED_VERSIONS.join(', ')}`);
+    }
+
+    await operation(req, res, customerId, params);
+  } catch (error) {
+    if (error instanceof WfsError) {
+      return sendException(res, error);
+    }
+
+    if (error instanceof RecordLimitError) {
+      return sendException(res, new WfsError('OperationProcessingFailed', null, error.message, 413));
+    }
+
+    console.error('Error handling WFS request:', error);
+    sendException(res, new WfsError('NoApplicableCode', null, error.message, 500));
+  }
+}
+
+// On a customer subdomain or custom domain the customer id can be omitted
+wfsRouter.get('/', (req, res, next) => {
+  if (!req.customerId) {
+    return sendException(res, new WfsError('MissingParameterValue', 'customerId', 'Use /api/wfs/:customerId'));
+  }
+  requireCustomerAccess(req, res, next, req.customerId);
+}, requireRole('viewer'), (req, res) => handleWfsRequest(req, res, req.customerId));
+
+wfsRouter.get('/:customerId', requireRole('viewer'), (req, res) => handleWfsRequest(req, res, req.params.customerId));
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeCrsCode, isWGS84, getCrs, listCrs, createTransformer, parsePrj, detectCrsFromBounds
+} from '../utils/crs.js';
+import { WGS84_PRJ } from '../utils/shapefile.js';
+import { TeableAdapter } from '../adapters/TeableAdapter.js';
+import { GoogleSheetsAdapter } from '../adapters/GoogleSheetsAdapter.js';
+
+function assertClose(actual, expected, tolerance) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, index) => {
+    assert.ok(Math.abs(value - expected[index]) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+  });
+}
+
+test('normalizeCrsCode: reads the usual ways of naming an EPSG code', () => {
+  assert.equal(normalizeCrsCode('EPSG:27700'), 'EPSG:27700');
+  assert.equal(normalizeCrsCode('27700'), 'EPSG:27700');
+  assert.equal(normalizeCrsCode('urn:ogc:def:crs:EPSG::2056'), 'EPSG:2056');
+  assert.equal(normalizeCrsCode('http://www.opengis.net/def/crs/EPSG/0/32632'), 'EPSG:32632');
+  assert.equal(normalizeCrsCode('urn:ogc:def:crs:OGC:1.3:CRS84'), 'EPSG:4326');
+  assert.equal(normalizeCrsCode('Swiss grid'), null);
+  assert.equal(normalizeCrsCode(''), null);
+
+  assert.equal(isWGS84(null), true);
+  assert.equal(isWGS84('CRS84'), true);
+  assert.equal(isWGS84('EPSG:3857'), false);
+});
+
+test('getCrs: describes bundled CRSs, including every UTM zone', () => {
+  assert.deepEqual(getCrs('EPSG:2056'), { code: 'EPSG:2056', name: 'CH1903+ / LV95', geographic: false, supported: true });
+  assert.deepEqual(getCrs('32632'), { code: 'EPSG:32632', name: 'WGS 84 / UTM zone 32N', geographic: false, supported: true });
+  assert.deepEqual(getCrs('EPSG:32760').name, 'WGS 84 / UTM zone 60S');
+  assert.equal(getCrs('EPSG:4269').geographic, true);
+  assert.equal(getCrs('EPSG:99999'), null);
+
+  const codes = listCrs().map(crs => Number(crs.code.slice(5)));
+  assert.deepEqual(codes, [...codes].sort((a, b) => a - b));
+  assert.ok(codes.includes(4326) && codes.includes(25832) && codes.includes(27700));
+});
+
+test('createTransformer: reprojects to and from WGS 84', () => {
+  const utm = createTransformer('EPSG:32632');
+  assert.deepEqual(utm.fromWGS84({ type: 'Point', coordinates: [9, 0] }), { type: 'Point', coordinates: [500000, 0] });
+  assertClose(utm.toWGS84({ type: 'Point', coordinates: [500000, 0] }).coordinates, [9, 0], 1e-9);
+
+  // Big Ben on the British National Grid, within a metre of the published value
+  const grid = createTransformer('EPSG:27700');
+  assertClose(grid.fromWGS84({ type: 'Point', coordinates: [-0.1246, 51.5007] }).coordinates, [530269, 179640], 1);
+
+  // The LV95 false origin near Bern
+  const swiss = createTransformer('urn:ogc:def:crs:EPSG::2056');
+  assertClose(swiss.toWGS84({ type: 'Point', coordinates: [2600000, 1200000] }).coordinates, [7.43863, 46.95108], 1e-5);
+});
+
+test('createTransformer: round trips keep every part of the geometry and round to the millimetre', () => {
+  const transformer = createTransformer('EPSG:2056');
+  const polygon = {
+    type: 'Polygon',
+    coordinates: [[[2600000, 1200000], [2600100.5, 1200000], [2600100.5, 1200050.25], [2600000, 1200000]]]
+  };
+  const collection = {
+    type: 'GeometryCollection',
+    geometries: [{ type: 'Point', coordinates: [2683000, 1248000] }, polygon]
+  };
+
+  assert.deepEqual(transformer.fromWGS84(transformer.toWGS84(polygon)), polygon);
+  assert.deepEqual(transformer.fromWGS84(transformer.toWGS84(collection)), collection);
+});
+
+test('createTransformer: saving an unchanged geometry does not move it, even across a datum shift', () => {
+  [
+    ['EPSG:27700', [530269.902, 179640.717]],
+    ['EPSG:28992', [121000.5, 487000.25]],
+    ['EPSG:31467', [3500123.456, 5400987.654]],
+    ['EPSG:21781', [600000, 200000]]
+  ].forEach(([code, coordinates]) => {
+    const transformer = createTransformer(code);
+    let point = { type: 'Point', coordinates };
+    for (let save = 0; save < 10; save++) {
+      point = transformer.fromWGS84(transformer.toWGS84(point));
+    }
+    assert.deepEqual(point.coordinates, coordinates, code);
+  });
+});
+
+test('createTransformer: nothing to do for WGS 84 or an unreadable CRS', () => {
+  assert.equal(createTransformer(null), null);
+  assert.equal(createTransformer('EPSG:4326'), null);
+  assert.equal(createTransformer('not a projection'), null);
+});
+
+test('parsePrj: tells the CRS of a shapefile from its .prj', () => {
+  assert.deepEqual(parsePrj(WGS84_PRJ), { code: 'EPSG:4326', name: 'GCS WGS 1984', geographic: true, supported: true, wkt: WGS84_PRJ });
+
+  const lv95 = parsePrj('PROJCS["CH1903+ / LV95",GEOGCS["CH1903+",DATUM["CH1903+",SPHEROID["Bessel 1841",6377397.155,299.1528128,AUTHORITY["EPSG","7004"]]],' +
+    'AUTHORITY["EPSG","4150"]],PROJECTION["Hotine_Oblique_Mercator_Azimuth_Center"],AUTHORITY["EPSG","2056"]]');
+  assert.equal(lv95.code, 'EPSG:2056');
+  assert.equal(lv95.geographic, false);
+  assert.equal(lv95.supported, true);
+
+  assert.deepEqual(parsePrj('garbage'), { code: null, name: 'Unknown', geographic: false, supported: false, wkt: 'garbage' });
+});
+
+test('detectCrsFromBounds: longitude/latitude is WGS 84, projected values get hints', () => {
+  assert.equal(detectCrsFromBounds({ minLng: 8, minLat: 47, maxLng: 9, maxLat: 48 }).code, 'EPSG:4326');
+  assert.equal(detectCrsFromBounds(null).code, 'EPSG:4326');
+
+  const swiss = detectCrsFromBounds({ minLng: 2600000, minLat: 1200000, maxLng: 2683000, maxLat: 1248000 });
+  assert.equal(swiss.supported, false);
+  assert.equal(swiss.hints[0].code, 'EPSG:2056');
+
+  const utm = detectCrsFromBounds({ minLng: 465000, minLat: 5240000, maxLng: 470000, maxLat: 5250000 });
+  assert.equal(utm.utm, true);
+  assert.ok(!utm.hints.some(hint => hint.code === 'EPSG:2056'));
+});
+
+test('adapters: a table stored in a projected CRS is read and written in WGS 84', () => {
+  const teable = new TeableAdapter({ base_url: 'http://teable.test', table_id: 'tblSites', crs: 'EPSG:32632' });
+  const [feature] = teable.toGeoJSON([{ id: 'recSite', fields: { name: 'Site', geometry: 'POINT (500000 0)' } }]).features;
+  assertClose(feature.geometry.coordinates, [9, 0], 1e-9);
+  assert.equal(teable.fromGeoJSON({ geometry: { type: 'Point', coordinates: [9, 0] }, properties: {} }).geometry, 'POINT (500000 0)');
+
+  // Sheet columns hold easting and northing in the longitude/latitude mappings
+  const sheets = new GoogleSheetsAdapter({
+    crs: 'EPSG:32632',
+    field_mappings: { id_column: 'id', latitude_column: 'northing', longitude_column: 'easting' }
+  });
+  const headers = ['id', 'easting', 'northing'];
+  const [row] = sheets.toGeoJSON([['1', '500000', '0.5']], headers).features;
+  assertClose(row.geometry.coordinates, [9, 0], 1e-5);
+  assert.deepEqual(sheets.fromGeoJSON({ geometry: { type: 'Point', coordinates: [9, 0] }, properties: {} }, headers), ['', 500000, 0]);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilterExpression } from '../utils/record-filter.js';
+import { BaseDataAdapter, RecordLimitError, MAX_FETCH_ALL_RECORDS } from '../adapters/BaseDataAdapter.js';
+import { TeableAdapter } from '../adapters/TeableAdapter.js';
+
+// A data source of `size` point records paged like the real adapters
+class MemoryAdapter extends BaseDataAdapter {
+  constructor(size) {
+    super({});
+    this.size = size;
+  }
+
+  async fetchRecords({ limit = 100, offset = 0 } = {}) {
+    const count = Math.max(0, Math.min(limit, this.size - offset));
+    return {
+      type: 'FeatureCollection',
+      features: Array.from({ length: count }, (_, index) => ({
+        type: 'Feature',
+        id: `rec${offset + index}`,
+        geometry: { type: 'Point', coordinates: [0, 0] },
+        properties: { n: offset + index }
+      }))
+    };
+  }
+}
+
+test('fetchAllRecords: reads a table of exactly the limit in full', async () => {
+  const { features } = await new MemoryAdapter(MAX_FETCH_ALL_RECORDS).fetchAllRecords({}, 10000);
+  assert.equal(features.length, MAX_FETCH_ALL_RECORDS);
+});
+
+test('fetchAllRecords: refuses a table over the limit instead of truncating it', async () => {
+  await assert.rejects(
+    new MemoryAdapter(MAX_FETCH_ALL_RECORDS + 1).fetchAllRecords({}, 10000),
+    error => error instanceof RecordLimitError && error.status === 413 && error.code === 'TOO_MANY_RECORDS'
+  );
+});
+
+test('fetchMatchingPage: totals count every match, not a capped subset', async () => {
+  const { expression } = parseFilterExpression({ field: 'n', operator: 'gte', value: 500 });
+  const page = await new MemoryAdapter(2500).fetchMatchingPage({ limit: 10, offset: 2000, expression });
+
+  assert.equal(page.metadata.total, 2000);
+  assert.equal(page.features.length, 0);
+  assert.equal(page.metadata.hasMore, false);
+});
+
+function point(name) {
+  return { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: { name } };
+}
+
+// A Teable adapter whose API calls are answered by respond(method, endpoint, body)
+function teableAdapter(respond) {
+  const adapter = new TeableAdapter({ base_url: 'http://teable.test', access_token: 'token', table_id: 'tblSites' });
+  adapter.requests = [];
+  adapter.request = async (endpoint, options = {}) => {
+    const method = options.method || 'GET';
+    const body = options.body ? JSON.parse(options.body) : null;
+    adapter.requests.push({ method, endpoint, body });
+    return respond(method, endpoint, body);
+  };
+  return adapter;
+}
+
+test('batch: Teable creates records in chunks of 100 and keeps input order', async () => {
+  let next = 0;
+  const adapter = teableAdapter((method, endpoint, body) => ({
+    records: body.records.map(record => ({ id: `rec${next++}`, fields: record.fields }))
+  }));
+
+  const results = await adapter.createRecords(Array.from({ length: 250 }, (_, index) => point(`site ${index}`)));
+
+  assert.deepEqual(adapter.requests.map(request => request.body.records.length), [100, 100, 50]);
+  assert.equal(adapter.requests[0].body.records[0].fields.geometry, 'POINT (1 2)');
+  assert.equal(results.length, 250);
+  assert.ok(results.every((result, index) => result.success && result.id === `rec${index}`));
+  assert.equal(results[249].feature.properties.name, 'site 249');
+});
+
+test('batch: a failed chunk fails only its own items', async () => {
+  let calls = 0;
+  const adapter = teableAdapter((method, endpoint, body) => {
+    if (calls++ === 0) {
+      throw new Error('Teable API Error: 422 - invalid record');
+    }
+    return { records: body.records.map((record, index) => ({ id: `rec${index}`, fields: record.fields })) };
+  });
+
+  const results = await adapter.createRecords(Array.from({ length: 150 }, (_, index) => point(`site ${index}`)));
+
+  assert.equal(results.filter(result => !result.success).length, 100);
+  assert.deepEqual(results[0], { success: false, id: null, error: 'Teable API Error: 422 - invalid record' });
+  assert.ok(results.slice(100).every(result => result.success));
+});
+
+test('batch: Teable deletes by recordIds and reports every id', async () => {
+  const adapter = teableAdapter(() => ({}));
+  const results = await adapter.deleteRecords(['recA', 'recB']);
+
+  assert.equal(adapter.requests[0].method, 'DELETE');
+  assert.equal(adapter.requests[0].endpoint, '/api/table/tblSites/record?recordIds=recA&recordIds=recB');
+  assert.deepEqual(results, [{ success: true, id: 'recA' }, { success: true, id: 'recB' }]);
+});
+
+test('batch: data sources without a bulk API fall back to single records', async () => {
+  class SingleRecordAdapter extends BaseDataAdapter {
+    async updateRecord(id, feature) {
+      if (id === 'missing') {
+        throw new Error('Record not found');
+      }
+      return { ...feature, id };
+    }
+  }
+
+  const results = await new SingleRecordAdapter({}).updateRecords([
+    { id: 'recA', feature: point('A') },
+    { id: 'missing', feature: point('B') },
+    { id: 'recC', feature: point('C') }
+  ]);
+
+  assert.deepEqual(results.map(result => [result.id, result.success]), [['recA', true], ['missing', false], ['recC', true]]);
+  assert.equal(results[1].error, 'Record not found');
+  assert.equal(results[2].feature.properties.name, 'C');
+});
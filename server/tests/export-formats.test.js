@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import initSqlJs from 'sql.js';
+import { EXPORT_FORMATS, resolveExportFormat, getExportFileName } from '../utils/export-formats.js';
+import { parseImportFile } from '../utils/import-formats.js';
+import { readZip } from '../utils/zip.js';
+
+const FEATURES = [
+  { type: 'Feature', id: 'rec1', geometry: { type: 'LineString', coordinates: [[8, 47], [9, 48]] }, properties: { name: 'Pipe', depth: 2, secret: 'x' } },
+  { type: 'Feature', id: 'rec2', geometry: { type: 'Point', coordinates: [8.5, 47.3] }, properties: { name: 'Well & Pump', depth: 12, secret: 'y' } },
+  { type: 'Feature', id: 'rec3', geometry: { type: 'Polygon', coordinates: [[[8, 47], [9, 47], [9, 48], [8, 47]]] }, properties: { name: 'Field', depth: 0 } }
+];
+
+async function writeExport(format, fields, features, name = 'export') {
+  const writer = EXPORT_FORMATS[format].createWriter({ name, fields });
+  const chunks = [writer.begin(), ...features.map(writer.write), await writer.end()];
+  return chunks.some(Buffer.isBuffer) ? Buffer.concat(chunks.map(chunk => Buffer.from(chunk))) : chunks.join('');
+}
+
+function writeCsv(fields, features) {
+  const writer = EXPORT_FORMATS.csv.createWriter({ name: 'export', fields });
+  return writer.begin() + features.map(writer.write).join('') + writer.end();
+}
+
+test('geojson: writes a feature collection with only the listed fields', async () => {
+  const collection = JSON.parse(await writeExport('geojson', ['name', 'depth'], FEATURES, 'assets'));
+
+  assert.equal(collection.name, 'assets');
+  assert.equal(collection.features.length, 3);
+  assert.deepEqual(collection.features[1], {
+    type: 'Feature',
+    id: 'rec2',
+    geometry: { type: 'Point', coordinates: [8.5, 47.3] },
+    properties: { name: 'Well & Pump', depth: 12 }
+  });
+});
+
+test('geojson: an empty table is still a valid collection', async () => {
+  assert.deepEqual(JSON.parse(await writeExport('geojson', ['name'], [])).features, []);
+});
+
+test('csv: cells that spreadsheets would run as formulas are prefixed', () => {
+  const csv = writeCsv(['a', 'b', 'c', 'd', 'e'], [{
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [1, 2] },
+    properties: { a: '=HYPERLINK("http://evil.example")', b: '+1', c: '-2+3', d: '@SUM(A1)', e: '\tx' }
+  }]);
+
+  assert.equal(csv.split('\r\n')[1], `POINT (1 2),"'=HYPERLINK(""http://evil.example"")",'+1,'-2+3,'@SUM(A1),'\tx`);
+});
+
+test('csv: numbers and ordinary text are written unchanged', () => {
+  const csv = writeCsv(['n', 'text'], [{
+    type: 'Feature',
+    geometry: null,
+    properties: { n: -5, text: 'a-b' }
+  }]);
+
+  assert.equal(csv, 'WKT,n,text\r\n,-5,a-b\r\n');
+});
+
+test('csv: renames the geometry column when a field is called WKT', () => {
+  const csv = writeCsv(['WKT'], [{ type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: { WKT: 'text' } }]);
+
+  assert.equal(csv, '_WKT,WKT\r\nPOINT (1 2),text\r\n');
+});
+
+test('kml: placemarks are named and read back with their attributes', async () => {
+  const kml = await writeExport('kml', ['name', 'depth'], FEATURES, 'assets');
+
+  assert.match(kml, /<name>Well &amp; Pump<\/name>/);
+  assert.doesNotMatch(kml, /secret/);
+
+  const parsed = parseImportFile(Buffer.from(kml), { fileName: 'assets.kml' });
+  assert.deepEqual(parsed.geometryTypes, { LineString: 1, Point: 1, Polygon: 1 });
+  assert.deepEqual(parsed.features.map(feature => feature.properties.name), ['Pipe', 'Well & Pump', 'Field']);
+  assert.deepEqual(parsed.features[1].geometry, { type: 'Point', coordinates: [8.5, 47.3] });
+});
+
+test('gpx: waypoints come before tracks and polygons become track segments', async () => {
+  const gpx = await writeExport('gpx', ['name', 'depth'], FEATURES, 'assets');
+
+  assert.ok(gpx.lastIndexOf('<wpt') < gpx.indexOf('<trk>'));
+  assert.equal(gpx.match(/<trk>/g).length, 2);
+  assert.match(gpx, /<wpt lat="47.3" lon="8.5"><name>Well &amp; Pump<\/name><extensions><gis:name>Well &amp; Pump<\/gis:name><gis:depth>12<\/gis:depth><\/extensions><\/wpt>/);
+
+  const parsed = parseImportFile(Buffer.from(gpx), { fileName: 'assets.gpx' });
+  assert.equal(parsed.features.length, 3);
+  assert.deepEqual(parsed.features.find(feature => feature.properties.name === 'Well & Pump').geometry,
+    { type: 'Point', coordinates: [8.5, 47.3] });
+});
+
+test('gpx: features without geometry are left out', async () => {
+  const gpx = await writeExport('gpx', ['name'], [{ type: 'Feature', id: 'rec9', geometry: null, properties: { name: 'Nowhere' } }]);
+
+  assert.doesNotMatch(gpx, /Nowhere/);
+});
+
+test('shapefile: one shapefile per geometry type, each with its projection and encoding', async () => {
+  const zip = await writeExport('shapefile', ['name', 'depth'], FEATURES, 'assets');
+  const names = readZip(zip).map(entry => entry.name).sort();
+
+  assert.deepEqual(names, ['lines', 'points', 'polygons'].flatMap(group =>
+    ['cpg', 'dbf', 'prj', 'shp', 'shx'].map(extension => `assets_${group}.${extension}`)));
+  assert.equal(readZip(zip).find(entry => entry.name === 'assets_points.cpg').data.toString(), 'UTF-8');
+  assert.match(readZip(zip).find(entry => entry.name === 'assets_points.prj').data.toString(), /^GEOGCS\["GCS_WGS_1984"/);
+
+  const parsed = parseImportFile(zip, { fileName: 'assets.zip' });
+  assert.deepEqual(parsed.fields.map(field => field.name), ['name', 'depth']);
+  assert.deepEqual(parsed.features.map(feature => feature.properties.name).sort(), ['Field', 'Pipe', 'Well & Pump']);
+});
+
+test('shapefile: a single geometry type keeps the table name', async () => {
+  const zip = await writeExport('shapefile', ['name'], [FEATURES[1]], 'wells');
+
+  assert.deepEqual(readZip(zip).map(entry => entry.name).sort(), ['wells.cpg', 'wells.dbf', 'wells.prj', 'wells.shp', 'wells.shx']);
+});
+
+test('gpkg: writes a WGS 84 feature table registered in the GeoPackage metadata', async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(await writeExport('gpkg', ['name', 'depth', 'fid'], FEATURES, 'assets'));
+
+  try {
+    const rows = query => {
+      const [result] = db.exec(query);
+      return result ? result.values : [];
+    };
+
+    assert.deepEqual(rows('SELECT table_name, data_type, min_x, min_y, max_x, max_y, srs_id FROM gpkg_contents'),
+      [['assets', 'features', 8, 47, 9, 48, 4326]]);
+    assert.deepEqual(rows('SELECT table_name, column_name, geometry_type_name, srs_id FROM gpkg_geometry_columns'),
+      [['assets', 'geom', 'GEOMETRY', 4326]]);
+    assert.deepEqual(rows('SELECT name, depth, fid_1 FROM assets ORDER BY fid'),
+      [['Pipe', 2, null], ['Well & Pump', 12, null], ['Field', 0, null]]);
+
+    const [[blob]] = rows('SELECT geom FROM assets WHERE name = \'Well & Pump\'');
+    const header = Buffer.from(blob);
+    assert.equal(header.toString('latin1', 0, 2), 'GP');
+    assert.equal(header.readInt32LE(4), 4326);
+    assert.deepEqual([header.readDoubleLE(8), header.readDoubleLE(24)], [8.5, 47.3]);
+  } finally {
+    db.close();
+  }
+});
+
+test('resolveExportFormat: accepts the format keys and their aliases', () => {
+  assert.equal(resolveExportFormat('GeoJSON'), 'geojson');
+  assert.equal(resolveExportFormat('json'), 'geojson');
+  assert.equal(resolveExportFormat('shp'), 'shapefile');
+  assert.equal(resolveExportFormat('zip'), 'shapefile');
+  assert.equal(resolveExportFormat('geopackage'), 'gpkg');
+  assert.equal(resolveExportFormat('wkt'), 'csv');
+  assert.equal(resolveExportFormat('xlsx'), null);
+  assert.equal(resolveExportFormat(undefined), null);
+});
+
+test('getExportFileName: keeps file names safe', () => {
+  assert.equal(getExportFileName('Wells & Pumps (2024)'), 'Wells_Pumps_2024');
+  assert.equal(getExportFileName('Zürich'), 'Zurich');
+  assert.equal(getExportFileName('../../etc/passwd'), 'etc_passwd');
+  assert.equal(getExportFileName(''), 'export');
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RTree } from '../utils/rtree.js';
+import { FeatureIndex, getFeatureIndex, invalidateFeatureCache, getFeatureCacheStats } from '../utils/feature-cache.js';
+import { BaseDataAdapter } from '../adapters/BaseDataAdapter.js';
+
+// Deterministic pseudo-random numbers so failures can be reproduced
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+function randomBoxes(count, next) {
+  return Array.from({ length: count }, (_, item) => {
+    const minLng = next() * 360 - 180;
+    const minLat = next() * 170 - 85;
+    return { minLng, minLat, maxLng: minLng + next() * 2, maxLat: minLat + next() * 2, item };
+  });
+}
+
+const overlaps = (a, b) => a.minLng <= b.maxLng && a.maxLng >= b.minLng && a.minLat <= b.maxLat && a.maxLat >= b.minLat;
+
+test('rtree: search returns exactly the overlapping boxes', () => {
+  const next = random(7);
+  const boxes = randomBoxes(2000, next);
+  const tree = new RTree(boxes);
+
+  for (let i = 0; i < 50; i++) {
+    const query = randomBoxes(1, next)[0];
+    query.maxLng += 10;
+    query.maxLat += 10;
+
+    const expected = boxes.filter(box => overlaps(box, query)).map(box => box.item).sort((a, b) => a - b);
+    assert.deepEqual(tree.search(query).sort((a, b) => a - b), expected);
+  }
+});
+
+test('rtree: nearest returns items in distance order within maxDistance', () => {
+  const boxes = randomBoxes(500, random(11));
+  const tree = new RTree(boxes);
+  const distance = box => Math.hypot(Math.max(box.minLng, 0, -box.maxLng), Math.max(box.minLat, 0, -box.maxLat));
+
+  const results = tree.nearest({
+    limit: 10,
+    maxDistance: 40,
+    boxDistance: distance,
+    itemDistance: item => distance(boxes[item])
+  });
+
+  const expected = boxes.map(box => distance(box)).filter(value => value <= 40).sort((a, b) => a - b).slice(0, 10);
+  assert.deepEqual(results.map(result => result.distance), expected);
+  assert.deepEqual(new RTree([]).search({ minLng: -180, minLat: -90, maxLng: 180, maxLat: 90 }), []);
+});
+
+function point(id, lng, lat) {
+  return { type: 'Feature', id, geometry: { type: 'Point', coordinates: [lng, lat] }, properties: {} };
+}
+
+test('FeatureIndex: indexes valid geometries and answers bbox and nearest queries', () => {
+  const index = new FeatureIndex([
+    point('a', 0, 0),
+    point('b', 0.01, 0),
+    { type: 'Feature', id: 'none', geometry: null, properties: {} },
+    point('c', 10, 10)
+  ]);
+
+  assert.equal(index.features.length, 4);
+  assert.equal(index.indexedCount, 3);
+  assert.deepEqual(index.search({ minLng: -1, minLat: -1, maxLng: 1, maxLat: 1 }).map(feature => feature.id), ['a', 'b']);
+
+  const nearest = index.nearest([0.012, 0], { limit: 2 });
+  assert.deepEqual(nearest.map(result => result.feature.id), ['b', 'a']);
+  assert.ok(Math.abs(nearest[0].distance - 222) < 2);
+});
+
+// A table whose reads are counted, and can be held open to test concurrent misses
+class CountingAdapter extends BaseDataAdapter {
+  constructor(customerId, features) {
+    super({ customer_id: customerId });
+    this.features = features;
+    this.reads = 0;
+  }
+
+  getTableKey() {
+    return 'tblSites';
+  }
+
+  async fetchRecords({ limit = 100, offset = 0 } = {}) {
+    this.reads++;
+    const features = this.features.slice(offset, offset + limit);
+    await this.gate;
+    return { type: 'FeatureCollection', features };
+  }
+}
+
+test('feature cache: builds once per table and serves hits until invalidated', async () => {
+  const adapter = new CountingAdapter('cache-hits', [point('a', 0, 0)]);
+
+  const first = await getFeatureIndex(adapter);
+  const second = await getFeatureIndex(adapter);
+  assert.equal(second, first);
+  assert.equal(adapter.reads, 1);
+
+  adapter.features = [point('a', 0, 0), point('b', 1, 1)];
+  invalidateFeatureCache('cache-hits', 'tblSites');
+
+  const rebuilt = await getFeatureIndex(adapter);
+  assert.equal(rebuilt.features.length, 2);
+  assert.equal(adapter.reads, 2);
+
+  const stats = getFeatureCacheStats('cache-hits');
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 2);
+  assert.equal(stats.builds, 2);
+  assert.equal(stats.invalidations, 1);
+  assert.deepEqual(stats.tables.map(table => [table.table, table.features]), [['tblSites', 2]]);
+});
+
+test('feature cache: concurrent misses share one build', async () => {
+  const adapter = new CountingAdapter('cache-concurrent', [point('a', 0, 0)]);
+  let release;
+  adapter.gate = new Promise(resolve => {
+    release = resolve;
+  });
+
+  const builds = [getFeatureIndex(adapter), getFeatureIndex(adapter), getFeatureIndex(adapter)];
+  release();
+  const [a, b, c] = await Promise.all(builds);
+
+  assert.equal(a, b);
+  assert.equal(b, c);
+  assert.equal(adapter.reads, 1);
+});
+
+test('feature cache: a build overtaken by a write is served once but not cached', async () => {
+  const adapter = new CountingAdapter('cache-stale', [point('old', 0, 0)]);
+  let release;
+  adapter.gate = new Promise(resolve => {
+    release = resolve;
+  });
+
+  const build = getFeatureIndex(adapter);
+  invalidateFeatureCache('cache-stale');
+  adapter.features = [point('new', 0, 0)];
+  release();
+
+  assert.deepEqual((await build).features.map(feature => feature.id), ['old']);
+  assert.deepEqual((await getFeatureIndex(adapter)).features.map(feature => feature.id), ['new']);
+});
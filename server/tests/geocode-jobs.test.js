@@ -0,0 +1,201 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUSTOMER_ID, addTeableTable, teableRequests, startApi, stopApi, call } from './support/api.js';
+import {
+  createGeocodeJob, getGeocodeJob, deleteGeocodeJob, describeGeocodeJob, runGeocodeJob, applyGeocodeJob
+} from '../utils/geocode-jobs.js';
+
+const MATCHES = {
+  Exact: { latitude: 1, longitude: 2, confidence: 0.9, precision: 'address' },
+  Vague: { latitude: 3, longitude: 4, confidence: 0.6, precision: 'locality' },
+  Guess: { latitude: 5, longitude: 6, confidence: 0.2, precision: 'country' }
+};
+
+// Answers from MATCHES, fails for "Broken" and reports repeats as cached
+function fakeGeocoder() {
+  const seen = new Set();
+  return {
+    lookups: [],
+    async lookup(address, options) {
+      this.lookups.push({ address, options });
+      if (address === 'Broken') throw new Error('Provider timeout');
+      const cached = seen.has(address);
+      seen.add(address);
+      return { result: MATCHES[address] || null, cached };
+    }
+  };
+}
+
+function feature(id, address, geometry = null) {
+  return { type: 'Feature', id, geometry, properties: { address } };
+}
+
+function createJob(options = {}) {
+  return createGeocodeJob(CUSTOMER_ID, {
+    tableId: 'tblShops', addressColumn: 'address', provider: 'fake', userEmail: 'editor@example.com', ...options
+  });
+}
+
+test('runGeocodeJob: geocodes each address and records why others were skipped', async () => {
+  const job = createJob({ countryCode: 'CH' });
+  const geocoder = fakeGeocoder();
+
+  await runGeocodeJob(job, {
+    geocoder,
+    features: [
+      feature('r1', ' Exact '),
+      feature('r2', 'Vague'),
+      feature('r3', 'Exact'),
+      feature('r4', 'Unknown'),
+      feature('r5', ''),
+      feature('r6', 'Guess', { type: 'Point', coordinates: [0, 0] }),
+      feature('r7', 'Broken')
+    ]
+  });
+
+  assert.equal(job.status, 'geocoded');
+  assert.deepEqual(job.progress, { total: 7, processed: 7, matched: 3, unmatched: 1, skipped: 2, failed: 1, cached: 1 });
+  assert.deepEqual(geocoder.lookups[0], { address: 'Exact', options: { countryCode: 'CH' } });
+  assert.deepEqual(job.results.map(result => [result.id, result.status, result.reason]), [
+    ['r1', 'matched', undefined],
+    ['r2', 'matched', undefined],
+    ['r3', 'matched', undefined],
+    ['r4', 'unmatched', undefined],
+    ['r5', 'skipped', 'No address'],
+    ['r6', 'skipped', 'Already has a location'],
+    ['r7', 'failed', 'Provider timeout']
+  ]);
+
+  assert.deepEqual(describeGeocodeJob(job).confidence, { high: 2, medium: 1, low: 0, unmatched: 1, skipped: 2, failed: 1 });
+  assert.deepEqual(describeGeocodeJob(job, { offset: 5, limit: 1 }).results.map(result => [result.id, result.band]), [['r6', 'skipped']]);
+});
+
+test('runGeocodeJob: overwrite geocodes records that already have a location', async () => {
+  const job = createJob({ overwrite: true });
+  await runGeocodeJob(job, { geocoder: fakeGeocoder(), features: [feature('r1', 'Guess', { type: 'Point', coordinates: [0, 0] })] });
+
+  assert.equal(job.results[0].status, 'matched');
+  assert.equal(describeGeocodeJob(job).results[0].band, 'low');
+});
+
+test('runGeocodeJob: a provider that keeps failing fails the job', async () => {
+  const job = createJob();
+  const geocoder = fakeGeocoder();
+  await runGeocodeJob(job, { geocoder, features: Array.from({ length: 8 }, (_, index) => feature(`r${index}`, 'Broken')) });
+
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Provider timeout');
+  assert.equal(geocoder.lookups.length, 5);
+});
+
+test('applyGeocodeJob: writes matches at or above the confidence, optionally only some records', async () => {
+  const job = createJob();
+  await runGeocodeJob(job, {
+    geocoder: fakeGeocoder(),
+    features: [feature('r1', 'Exact'), feature('r2', 'Vague'), feature('r3', 'Guess'), feature('r4', 'Exact')]
+  });
+
+  const updates = [];
+  const adapter = {
+    updateRecords: async batch => {
+      updates.push(...batch);
+      return batch.map(update => update.id === 'r4' ? { success: false, error: 'Record locked' } : { success: true });
+    }
+  };
+  let completed = null;
+
+  await applyGeocodeJob(job, { adapter, target: { tableId: 'tblShops' }, minConfidence: 0.5, onComplete: finished => { completed = finished; } });
+
+  assert.equal(completed, job);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(updates.map(update => [update.id, update.feature.geometry.coordinates]), [['r1', [2, 1]], ['r2', [4, 3]], ['r4', [2, 1]]]);
+  assert.deepEqual(job.writeBack, { minConfidence: 0.5, total: 3, processed: 3, succeeded: 2, failed: 1 });
+  assert.equal(job.results.find(result => result.id === 'r4').writeError, 'Record locked');
+
+  updates.length = 0;
+  await applyGeocodeJob(job, { adapter, target: null, minConfidence: 0, ids: ['r3'] });
+  assert.deepEqual(updates.map(update => update.id), ['r3']);
+});
+
+test('geocode jobs: belong to their customer and are only discarded when idle', async () => {
+  const job = createJob();
+  assert.equal(getGeocodeJob('22222222-2222-2222-2222-222222222222', job.id), null);
+  assert.equal(deleteGeocodeJob(CUSTOMER_ID, job.id), false);
+
+  await runGeocodeJob(job, { geocoder: fakeGeocoder(), features: [] });
+  assert.equal(deleteGeocodeJob(CUSTOMER_ID, job.id), true);
+  assert.equal(getGeocodeJob(CUSTOMER_ID, job.id), null);
+});
+
+// The API flow with the offline gazetteer over a table of shops
+addTeableTable({
+  id: 'tblShops',
+  name: 'Shops',
+  fields: [
+    { id: 'fldName', name: 'name', type: 'singleLineText' },
+    { id: 'fldAddress', name: 'address', type: 'singleLineText' },
+    { id: 'fldGeometry', name: 'geometry', type: 'longText' }
+  ],
+  records: [
+    { id: 'recBern', fields: { name: 'Bern shop', address: 'Bern, Switzerland' } },
+    { id: 'recMoon', fields: { name: 'Moon shop', address: 'Sea of Tranquility' } },
+    { id: 'recPlaced', fields: { name: 'Placed shop', address: 'Paris, France', geometry: 'POINT (2 48)' } }
+  ]
+});
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+async function waitFor(path, statuses) {
+  let job = null;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    job = (await call('editor', 'GET', path)).body;
+    if (statuses.includes(job.status)) break;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return job;
+}
+
+test('geocode: a single address through the default provider', async () => {
+  const first = await call('viewer', 'GET', `/api/data/${CUSTOMER_ID}/geocode?address=${encodeURIComponent('Bern, CH')}`);
+  assert.equal(first.body.provider, 'gazetteer');
+  assert.equal(first.body.result.countryCode, 'CH');
+
+  assert.equal((await call('viewer', 'GET', `/api/data/${CUSTOMER_ID}/geocode?address=${encodeURIComponent('bern,  ch')}`)).body.cached, true);
+  assert.equal((await call('viewer', 'GET', `/api/data/${CUSTOMER_ID}/geocode`)).status, 400);
+  assert.equal((await call('viewer', 'GET', `/api/data/${CUSTOMER_ID}/geocode?address=x&provider=google`)).status, 400);
+});
+
+test('geocode: a table job is reviewed and then applied', async () => {
+  const table = `/api/data/${CUSTOMER_ID}/tables/tblShops/geocode`;
+  assert.equal((await call('viewer', 'POST', table, { addressColumn: 'address' })).status, 403);
+  assert.equal((await call('editor', 'POST', table, { addressColumn: 'street' })).status, 400);
+  assert.equal((await call('editor', 'POST', table, { addressColumn: 'address', minConfidence: 2 })).status, 400);
+
+  const started = await call('editor', 'POST', table, { addressColumn: 'address' });
+  assert.equal(started.status, 202);
+
+  const path = `/api/data/${CUSTOMER_ID}/geocode/jobs/${started.body.jobId}`;
+  const geocoded = await waitFor(path, ['geocoded', 'failed']);
+  assert.equal(geocoded.status, 'geocoded');
+  assert.deepEqual(geocoded.results.map(result => [result.id, result.status]),
+    [['recBern', 'matched'], ['recMoon', 'unmatched'], ['recPlaced', 'skipped']]);
+  assert.ok(!teableRequests.some(request => request.method === 'PATCH'));
+
+  assert.equal((await call('editor', 'POST', `${path}/apply`, { ids: 'recBern' })).status, 400);
+  assert.equal((await call('editor', 'POST', `${path}/apply`, {})).status, 202);
+  const completed = await waitFor(path, ['completed', 'failed']);
+  assert.deepEqual(completed.writeBack, { minConfidence: 0.5, total: 1, processed: 1, succeeded: 1, failed: 0 });
+
+  const [patch] = teableRequests.filter(request => request.method === 'PATCH');
+  assert.equal(patch.body.records[0].id, 'recBern');
+  assert.match(patch.body.records[0].fields.geometry, /^POINT \(7\.\d+ 46\.\d+\)$/);
+
+  assert.equal((await call('editor', 'DELETE', path)).status, 200);
+  assert.equal((await call('editor', 'GET', path)).status, 404);
+});
@@ -0,0 +1,159 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GazetteerGeocoder } from '../geocoders/GazetteerGeocoder.js';
+import { NominatimGeocoder } from '../geocoders/NominatimGeocoder.js';
+import { GoogleGeocoder } from '../geocoders/GoogleGeocoder.js';
+import {
+  normalizeAddress, getGeocodeCacheKey, getCachedGeocode, setCachedGeocode, clearGeocodeCache, getGeocodeCacheStats
+} from '../utils/geocode-cache.js';
+
+const gazetteer = new GazetteerGeocoder();
+
+const place = result => result && [result.matchedName, result.confidence, result.precision];
+
+test('gazetteer: a region or country settles ambiguous names', async () => {
+  assert.deepEqual(place(await gazetteer.geocode('Paris')), ['Paris, Île-de-France, FR', 0.85, 'locality']);
+  assert.deepEqual(place(await gazetteer.geocode('Paris, Texas')), ['Paris, TX, US', 1, 'locality']);
+  assert.deepEqual(place(await gazetteer.geocode('Paris, TX 75460')), ['Paris, TX, US', 1, 'locality']);
+  assert.deepEqual(place(await gazetteer.geocode('Paris', { countryCode: 'us' })), ['Paris, TX, US', 1, 'locality']);
+  assert.deepEqual(place(await gazetteer.geocode('Portland, Maine')), ['Portland, ME, US', 1, 'locality']);
+
+  // Namesakes of similar size leave the match uncertain
+  assert.deepEqual(place(await gazetteer.geocode('Portland')), ['Portland, OR, US', 0.6, 'locality']);
+});
+
+test('gazetteer: state codes and city states are not taken for countries', async () => {
+  assert.deepEqual(place(await gazetteer.geocode('Los Angeles, CA')), ['Los Angeles, CA, US', 1, 'locality']);
+  assert.deepEqual(place(await gazetteer.geocode('Singapore')), ['Singapore, SG', 1, 'locality']);
+});
+
+test('gazetteer: street lines lower the confidence; typos and accents are tolerated', async () => {
+  const street = await gazetteer.geocode('10 Downing Street, London, UK');
+  assert.deepEqual([street.latitude, street.longitude], [51.5074, -0.1278]);
+  assert.deepEqual(place(street), ['London, England, GB', 0.7, 'locality']);
+
+  assert.equal((await gazetteer.geocode('Londn')).matchedName, 'London, England, GB');
+  assert.equal((await gazetteer.geocode('München')).matchedName, 'Munich, Bavaria, DE');
+});
+
+test('gazetteer: falls back to the country, or finds nothing', async () => {
+  assert.deepEqual(place(await gazetteer.geocode('France')), ['France', 0.5, 'country']);
+  assert.deepEqual(place(await gazetteer.geocode('Atlantis, France')), ['France', 0.2, 'country']);
+  assert.equal(await gazetteer.geocode('Xyzzy'), null);
+  assert.equal(await gazetteer.geocode(' , '), null);
+});
+
+test('gazetteer: extra CSV and GeoNames files are searched too', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gazetteer-'));
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const csv = path.join(directory, 'villages.csv');
+  fs.writeFileSync(csv, 'name,alternate_names,type,country_code,admin,latitude,longitude,population\n' +
+    'Gruyères,Gruyeres|Greyerz,village,CH,Fribourg,46.5833,7.0833,2200\n');
+
+  const geonames = path.join(directory, 'cities.txt');
+  fs.writeFileSync(geonames, [
+    '2660646', 'Grindelwald', 'Grindelwald', 'Grindelwald BE', '46.62', '8.04', 'P', 'PPL', 'CH', '', 'BE', '', '', '',
+    '3818', '', '1034', 'Europe/Zurich', '2024-01-01'
+  ].join('\t') + '\n');
+
+  const geocoder = new GazetteerGeocoder({ files: [csv, geonames] });
+  assert.deepEqual(place(await geocoder.geocode('Greyerz, Switzerland')), ['Gruyères, Fribourg, CH', 1, 'locality']);
+  assert.deepEqual(place(await geocoder.geocode('Grindelwald, BE')), ['Grindelwald, BE, CH', 1, 'locality']);
+});
+
+// Provider responses, with fetch answering for the service
+function stubFetch(respond) {
+  const requests = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async url => {
+    requests.push(new URL(url));
+    return new Response(JSON.stringify(respond(new URL(url))), { status: 200 });
+  };
+  after(() => {
+    globalThis.fetch = originalFetch;
+  });
+  return requests;
+}
+
+test('nominatim: maps the place rank to precision and confidence', async () => {
+  const requests = stubFetch(url => url.searchParams.get('q') === 'nowhere' ? [] : [{
+    lat: '52.5170365', lon: '13.3888599', place_rank: 30, display_name: 'Unter den Linden 1, Berlin', address: { country_code: 'de' }
+  }]);
+  const geocoder = new NominatimGeocoder({ baseUrl: 'http://nominatim.test/', email: 'ops@example.com' });
+
+  assert.deepEqual(await geocoder.geocode('Unter den Linden 1, Berlin', { countryCode: 'DE' }), {
+    latitude: 52.5170365,
+    longitude: 13.3888599,
+    confidence: 0.95,
+    precision: 'address',
+    matchedName: 'Unter den Linden 1, Berlin',
+    countryCode: 'DE'
+  });
+  assert.equal(requests[0].origin + requests[0].pathname, 'http://nominatim.test/search');
+  assert.equal(requests[0].searchParams.get('countrycodes'), 'de');
+  assert.equal(requests[0].searchParams.get('email'), 'ops@example.com');
+
+  assert.equal(await geocoder.geocode('nowhere'), null);
+  assert.equal(geocoder.minIntervalMs, 0);
+  assert.equal(new NominatimGeocoder().minIntervalMs, 1100);
+});
+
+test('google: maps the location type and match quality to confidence', async () => {
+  const answers = {
+    'Baker Street': {
+      status: 'OK',
+      results: [{
+        types: ['route'],
+        partial_match: true,
+        formatted_address: 'Baker St, London, UK',
+        geometry: { location: { lat: 51.52, lng: -0.157 }, location_type: 'GEOMETRIC_CENTER' },
+        address_components: [{ short_name: 'GB', types: ['country', 'political'] }]
+      }]
+    },
+    nowhere: { status: 'ZERO_RESULTS', results: [] },
+    denied: { status: 'REQUEST_DENIED', error_message: 'The provided API key is invalid.' }
+  };
+  const requests = stubFetch(url => answers[url.searchParams.get('address')]);
+  const geocoder = new GoogleGeocoder({ apiKey: 'key', minIntervalMs: 0 });
+
+  assert.deepEqual(await geocoder.geocode('Baker Street', { countryCode: 'GB' }), {
+    latitude: 51.52,
+    longitude: -0.157,
+    confidence: 0.48,
+    precision: 'street',
+    matchedName: 'Baker St, London, UK',
+    countryCode: 'GB'
+  });
+  assert.equal(requests[0].searchParams.get('components'), 'country:GB');
+  assert.equal(await geocoder.geocode('nowhere'), null);
+  await assert.rejects(geocoder.geocode('denied'), /The provided API key is invalid/);
+});
+
+test('geocode cache: misses are cached, keys ignore spelling and entries clear per provider', async () => {
+  assert.equal(normalizeAddress('  Zürich,  Bahnhofstraße 1 '), 'zurich bahnhofstrasse 1');
+  assert.equal(normalizeAddress('Łódź'), normalizeAddress('Lodz'));
+  assert.equal(normalizeAddress('København'), 'kobenhavn');
+  assert.equal(getGeocodeCacheKey('nominatim', 'Main St.', { countryCode: 'US' }), getGeocodeCacheKey('nominatim', 'main st', { countryCode: 'US' }));
+
+  clearGeocodeCache();
+  let calls = 0;
+  const geocoder = new GazetteerGeocoder();
+  geocoder.geocode = async () => {
+    calls++;
+    return null;
+  };
+
+  assert.deepEqual(await geocoder.lookup('Nowhere'), { result: null, cached: false });
+  assert.deepEqual(await geocoder.lookup('nowhere!'), { result: null, cached: true });
+  assert.equal(calls, 1);
+
+  setCachedGeocode('nominatim::x', { latitude: 1 });
+  clearGeocodeCache('gazetteer');
+  assert.equal(getCachedGeocode(getGeocodeCacheKey('gazetteer', 'nowhere')), undefined);
+  assert.deepEqual(getCachedGeocode('nominatim::x'), { latitude: 1 });
+  assert.equal(getGeocodeCacheStats().entries, 1);
+});
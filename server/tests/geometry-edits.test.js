@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CUSTOMER_ID, TEABLE_CONFIG, addTeableTable, teableRequests, isServiceRole, json, stubSupabase, startApi, stopApi, userIdOf, call
+} from './support/api.js';
+
+// Geometry edits from the map toolbar are saved as WKT through the Teable
+// proxy: drawn and split-off features are created, reshaped, moved and
+// merged ones updated. The editor may not edit the geometry of tblParcels;
+// tblSurvey is stored in UTM zone 32N.
+
+const FIELDS = [
+  { id: 'fldName', name: 'name', type: 'singleLineText' },
+  { id: 'fldGeometry', name: 'geometry', type: 'longText' }
+];
+
+addTeableTable({
+  id: 'tblParcels',
+  name: 'Parcels',
+  fields: FIELDS,
+  records: [{ id: 'recParcel', fields: { name: 'Parcel', geometry: 'POLYGON ((0 0, 1 0, 1 1, 0 0))' } }]
+});
+addTeableTable({
+  id: 'tblSurvey',
+  name: 'Survey',
+  fields: FIELDS,
+  records: [{ id: 'recPeg', fields: { name: 'Peg', geometry: 'POINT (500000 0)' } }]
+});
+TEABLE_CONFIG.field_mappings = { tblSurvey: { crs: 'EPSG:32632' } };
+
+stubSupabase((url, init) => {
+  if (url.pathname === '/rest/v1/user_field_permissions' && isServiceRole(init) &&
+      url.searchParams.get('user_id') === `eq.${userIdOf('editor')}` && url.searchParams.get('table_id') === 'eq.tblParcels') {
+    return json([{ field_id: 'fldGeometry', permission: 'read' }]);
+  }
+});
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+const proxy = path => `/api/data/${CUSTOMER_ID}/teable/api/table/${path}`;
+
+function lastWrite() {
+  return teableRequests.filter(request => request.method !== 'GET').at(-1);
+}
+
+test('geometry edits: a read-only geometry field cannot be reshaped or drawn', async () => {
+  const reshape = await call('editor', 'PATCH', proxy('tblParcels/record/recParcel'), {
+    record: { fields: { geometry: 'POLYGON ((0 0, 2 0, 2 2, 0 0))' } }
+  });
+  assert.equal(reshape.status, 403);
+  assert.deepEqual(reshape.body.fields, ['geometry']);
+
+  const draw = await call('editor', 'POST', proxy('tblParcels/record'), {
+    records: [{ fields: { name: 'New', geometry: 'POINT (0.5 0.5)' } }]
+  });
+  assert.equal(draw.status, 403);
+
+  // Attributes stay editable
+  assert.equal((await call('editor', 'PATCH', proxy('tblParcels/record/recParcel'), { record: { fields: { name: 'Renamed' } } })).status, 200);
+  assert.deepEqual(lastWrite().body.record.fields, { name: 'Renamed' });
+});
+
+test('geometry edits: admins save drawn and split geometries as WKT', async () => {
+  const split = await call('admin', 'PATCH', proxy('tblParcels/record/recParcel'), {
+    record: { fields: { geometry: 'POLYGON ((0 0, 0.5 0, 0.5 0.5, 0 0))' } }
+  });
+  assert.equal(split.status, 200);
+  assert.equal(lastWrite().body.record.fields.geometry, 'POLYGON ((0 0, 0.5 0, 0.5 0.5, 0 0))');
+
+  const piece = await call('admin', 'POST', proxy('tblParcels/record'), {
+    records: [{ fields: { name: 'Parcel (2)', geometry: 'POLYGON ((0.5 0, 1 0, 1 1, 0.5 0.5, 0.5 0))' } }]
+  });
+  assert.equal(piece.status, 200);
+  assert.equal(lastWrite().body.records[0].fields.name, 'Parcel (2)');
+});
+
+test('geometry edits: tables in a projected CRS are written in their native coordinates', async () => {
+  const moved = await call('editor', 'PATCH', proxy('tblSurvey/record/recPeg'), {
+    record: { fields: { geometry: 'POINT (9 0)' } }
+  });
+  assert.equal(moved.status, 200);
+  assert.equal(lastWrite().body.record.fields.geometry, 'POINT (500000 0)');
+
+  const drawn = await call('editor', 'POST', proxy('tblSurvey/record'), {
+    records: [{ fields: { name: 'Line', geometry: 'LINESTRING (9 0, 9 0.001)' } }]
+  });
+  assert.equal(drawn.status, 200);
+  assert.match(lastWrite().body.records[0].fields.geometry, /^LINESTRING \(500000 0, 500000 110\.\d+\)$/);
+});
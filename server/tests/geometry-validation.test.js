@@ -0,0 +1,160 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUSTOMER_ID, addTeableTable, teableRequests, startApi, stopApi, call } from './support/api.js';
+import { validateGeometry, validateFeature, repairGeometry, buildValidationReport } from '../utils/geometry-validation.js';
+
+const codes = issues => issues.map(item => item.code);
+
+test('validateGeometry: a clean polygon and a missing geometry', () => {
+  assert.deepEqual(validateGeometry({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }), []);
+  assert.deepEqual(validateGeometry(null), [{
+    code: 'MISSING_GEOMETRY', severity: 'warning', message: 'Record has no geometry', repairable: false
+  }]);
+});
+
+test('validateGeometry: reports ring problems', () => {
+  // Clockwise, unclosed and with a repeated vertex
+  assert.deepEqual(codes(validateGeometry({ type: 'Polygon', coordinates: [[[0, 0], [0, 1], [0, 1], [1, 1], [1, 0]]] })),
+    ['DUPLICATE_VERTEX', 'UNCLOSED_RING', 'WRONG_WINDING']);
+
+  const bowtie = validateGeometry({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]] });
+  assert.deepEqual(codes(bowtie), ['SELF_INTERSECTION']);
+  assert.equal(bowtie[0].repairable, false);
+
+  const hole = validateGeometry({ type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 4], [0, 0]], [[1, 1], [2, 1], [1, 1]]] });
+  assert.deepEqual(hole.map(({ code, repairable }) => ({ code, repairable })), [{ code: 'TOO_FEW_POINTS', repairable: true }]);
+  assert.match(hole[0].message, /^Polygon hole 1:/);
+});
+
+test('validateGeometry: reports lines and coordinates', () => {
+  assert.deepEqual(codes(validateGeometry({ type: 'LineString', coordinates: [[1, 1], [1, 1]] })), ['DUPLICATE_VERTEX', 'TOO_FEW_POINTS']);
+  assert.deepEqual(codes(validateGeometry({ type: 'LineString', coordinates: [[1, 1], ['a', 2], [2, 2]] })), ['INVALID_COORDINATE']);
+  assert.deepEqual(codes(validateGeometry({ type: 'MultiPoint', coordinates: [] })), ['EMPTY_GEOMETRY']);
+
+  const swapped = validateGeometry({ type: 'Point', coordinates: [47.3, 120.5] });
+  assert.equal(swapped[0].code, 'OUT_OF_RANGE');
+  assert.equal(swapped[0].repairable, true);
+  assert.match(swapped[0].message, /look swapped/);
+
+  assert.equal(validateGeometry({ type: 'Point', coordinates: [200, 100] })[0].repairable, false);
+});
+
+test('validateFeature: re-reads stored values the adapter could not parse', () => {
+  assert.deepEqual(validateFeature({ geometry: null, invalidGeometry: 'POINT (47.3 120.5)' }).geometry, { type: 'Point', coordinates: [47.3, 120.5] });
+  assert.deepEqual(codes(validateFeature({ geometry: null, invalidGeometry: 'POLYGON EMPTY' }).issues), ['EMPTY_GEOMETRY']);
+
+  const unreadable = validateFeature({ geometry: null, invalidGeometry: 'x'.repeat(100) }).issues[0];
+  assert.equal(unreadable.code, 'UNPARSEABLE');
+  assert.ok(unreadable.message.endsWith(`${'x'.repeat(80)}...`));
+});
+
+test('repairGeometry: closes, deduplicates and rewinds rings and drops bad holes', () => {
+  const result = repairGeometry({
+    type: 'Polygon',
+    coordinates: [[[0, 0], [0, 4], [0, 4], [4, 4], [4, 0]], [[1, 1], [2, 1], [1, 1]]]
+  });
+
+  assert.deepEqual(result.geometry, { type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]]] });
+  assert.deepEqual(result.repairs.sort(), ['Closed rings', 'Dropped degenerate holes', 'Fixed ring winding', 'Removed repeated vertices']);
+  assert.deepEqual(result.issues, []);
+});
+
+test('repairGeometry: swaps latitude and longitude and drops degenerate parts', () => {
+  assert.deepEqual(repairGeometry({ type: 'Point', coordinates: [47.3, 120.5] }), {
+    geometry: { type: 'Point', coordinates: [120.5, 47.3] },
+    repairs: ['Swapped latitude and longitude'],
+    issues: []
+  });
+
+  const lines = repairGeometry({ type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[2, 2], [2, 2]]] });
+  assert.deepEqual(lines.geometry, { type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]]] });
+  assert.ok(lines.repairs.includes('Dropped degenerate lines'));
+});
+
+test('repairGeometry: leaves self-intersections and nothing-left geometries alone', () => {
+  const bowtie = { type: 'Polygon', coordinates: [[[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]] };
+  assert.deepEqual(codes(repairGeometry(bowtie).issues), ['SELF_INTERSECTION']);
+
+  const line = repairGeometry({ type: 'LineString', coordinates: [[1, 1], [1, 1]] });
+  assert.equal(line.geometry, null);
+  assert.deepEqual(codes(line.issues), ['DUPLICATE_VERTEX', 'TOO_FEW_POINTS']);
+});
+
+test('buildValidationReport: counts records by their worst issue', () => {
+  const report = buildValidationReport([
+    { id: 'ok', geometry: { type: 'Point', coordinates: [1, 1] } },
+    { id: 'none', geometry: null },
+    { id: 'open', geometry: { type: 'LineString', coordinates: [[0, 0], [0, 0]] } },
+    { id: 'bad', geometry: null, invalidGeometry: 'nonsense' }
+  ]);
+
+  assert.deepEqual(report.summary, {
+    total: 4,
+    valid: 1,
+    withIssues: 3,
+    errors: 2,
+    warnings: 1,
+    repairable: 1,
+    issues: { MISSING_GEOMETRY: 1, DUPLICATE_VERTEX: 1, TOO_FEW_POINTS: 1, UNPARSEABLE: 1 }
+  });
+  assert.deepEqual(report.records.map(record => [record.id, record.valid, record.repairable]),
+    [['none', true, false], ['open', false, true], ['bad', false, false]]);
+  assert.equal(buildValidationReport([{ id: 'ok', geometry: null }], { includeValid: true }).records.length, 1);
+});
+
+// The validate and repair routes over a Teable table of broken geometries
+addTeableTable({
+  id: 'tblPlots',
+  name: 'Plots',
+  fields: [
+    { id: 'fldName', name: 'name', type: 'singleLineText' },
+    { id: 'fldGeometry', name: 'geometry', type: 'longText' }
+  ],
+  records: [
+    { id: 'recGood', fields: { name: 'Good', geometry: 'POINT (8 47)' } },
+    { id: 'recOpen', fields: { name: 'Open', geometry: 'POLYGON ((0 0, 1 0, 1 1, 0 1))' } },
+    { id: 'recSwapped', fields: { name: 'Swapped', geometry: 'POINT (47.3 120.5)' } },
+    { id: 'recBowtie', fields: { name: 'Bowtie', geometry: 'POLYGON ((0 0, 1 1, 1 0, 0 1, 0 0))' } }
+  ]
+});
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+const TABLE = `/api/data/${CUSTOMER_ID}/tables/tblPlots`;
+
+test('validate: reports the broken records of a table', async () => {
+  const { status, body } = await call('viewer', 'GET', `${TABLE}/validate`);
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.total, 4);
+  assert.deepEqual(body.records.map(record => [record.id, codes(record.issues)]), [
+    ['recOpen', ['UNCLOSED_RING']],
+    ['recSwapped', ['OUT_OF_RANGE']],
+    ['recBowtie', ['SELF_INTERSECTION']]
+  ]);
+});
+
+test('repair: a dry run changes nothing; a repair writes only the geometry', async () => {
+  assert.equal((await call('viewer', 'POST', `${TABLE}/repair`, {})).status, 403);
+  assert.equal((await call('editor', 'POST', `${TABLE}/repair`, { ids: 'recOpen' })).status, 400);
+
+  const dryRun = await call('editor', 'POST', `${TABLE}/repair`, { dryRun: true });
+  assert.deepEqual(dryRun.body.summary, { checked: 4, repaired: 2, failed: 1, dryRun: true });
+  assert.ok(!teableRequests.some(request => request.method === 'PATCH'));
+
+  const { body } = await call('editor', 'POST', `${TABLE}/repair`, { ids: ['recOpen', 'recBowtie'] });
+  assert.deepEqual(body.results.map(result => [result.id, result.success, result.repairs || result.error]), [
+    ['recOpen', true, ['Closed rings']],
+    ['recBowtie', false, 'No automatic repair available']
+  ]);
+
+  const patches = teableRequests.filter(request => request.method === 'PATCH');
+  assert.equal(patches.length, 1);
+  assert.deepEqual(patches[0].body.records, [{ id: 'recOpen', fields: { geometry: 'POLYGON ((0 0, 1 0, 1 1, 0 1, 0 0))' } }]);
+});
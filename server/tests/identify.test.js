@@ -0,0 +1,135 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUSTOMER_ID, addTeableTable, isServiceRole, json, stubSupabase, startApi, stopApi, userIdOf, call } from './support/api.js';
+import { GazetteerGeocoder } from '../geocoders/GazetteerGeocoder.js';
+import { NominatimGeocoder } from '../geocoders/NominatimGeocoder.js';
+
+test('gazetteer: reverse names the nearest place, less surely the further away', async () => {
+  const geocoder = new GazetteerGeocoder();
+
+  assert.deepEqual(await geocoder.reverse(46.95, 7.45), {
+    latitude: 46.948,
+    longitude: 7.4474,
+    confidence: 0.99,
+    precision: 'locality',
+    matchedName: 'Bern, CH',
+    countryCode: 'CH',
+    distance: 297
+  });
+  assert.equal(await geocoder.reverse(0, -150), null);
+});
+
+test('nominatim: reverse adds the distance to the described place', async t => {
+  const originalFetch = globalThis.fetch;
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+  globalThis.fetch = async url => new Response(JSON.stringify(new URL(url).searchParams.get('lat') === '0'
+    ? { error: 'Unable to geocode' }
+    : { lat: '52.5163', lon: '13.3777', place_rank: 26, display_name: 'Pariser Platz, Berlin', address: { country_code: 'de' } }));
+
+  const geocoder = new NominatimGeocoder({ baseUrl: 'http://nominatim.test' });
+  const place = await geocoder.reverse(52.5163, 13.3787);
+  assert.equal(place.precision, 'street');
+  assert.equal(place.matchedName, 'Pariser Platz, Berlin');
+  assert.equal(place.distance, 68);
+  assert.equal(await geocoder.reverse(0, 0), null);
+});
+
+// Identify over two tables near the Brandenburg Gate, with the owner of the
+// kiosks hidden from the editor
+addTeableTable({
+  id: 'tblKiosks',
+  name: 'Kiosks',
+  fields: [
+    { id: 'fldName', name: 'name', type: 'singleLineText' },
+    { id: 'fldOwner', name: 'owner', type: 'singleLineText' },
+    { id: 'fldGeometry', name: 'geometry', type: 'longText' }
+  ],
+  records: [
+    { id: 'recNear', fields: { name: 'Near', owner: 'Ann', geometry: 'POINT (13.3778 52.5163)' } },
+    { id: 'recFar', fields: { name: 'Far', owner: 'Bob', geometry: 'POINT (13.3900 52.5163)' } }
+  ]
+});
+addTeableTable({
+  id: 'tblSquares',
+  name: 'Squares',
+  fields: [
+    { id: 'fldName', name: 'name', type: 'singleLineText' },
+    { id: 'fldGeometry', name: 'geometry', type: 'longText' }
+  ],
+  records: [
+    { id: 'recSquare', fields: { name: 'Pariser Platz', geometry: 'POLYGON ((13.3770 52.5160, 13.3800 52.5160, 13.3800 52.5170, 13.3770 52.5170, 13.3770 52.5160))' } }
+  ]
+});
+
+stubSupabase((url, init) => {
+  if (url.pathname === '/rest/v1/user_field_permissions' && isServiceRole(init) &&
+      url.searchParams.get('user_id') === `eq.${userIdOf('editor')}` && url.searchParams.get('table_id') === 'eq.tblKiosks') {
+    return json([{ field_id: 'fldOwner', permission: 'none' }]);
+  }
+});
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+const IDENTIFY = `/api/data/${CUSTOMER_ID}/identify`;
+
+test('identify: nearest features across tables, closest first', async () => {
+  const { status, body } = await call('viewer', 'GET', `${IDENTIFY}?point=13.3777,52.5163&tables=tblKiosks,tblSquares`);
+
+  assert.equal(status, 200);
+  assert.equal(body.tolerance, 100);
+  assert.deepEqual(body.features.map(item => [item.tableId, item.feature.id, item.distance]), [
+    ['tblSquares', 'recSquare', 0],
+    ['tblKiosks', 'recNear', 6.8]
+  ]);
+  assert.equal(body.place, null);
+  assert.deepEqual(body.errors, []);
+});
+
+test('identify: tolerance and limit bound the results', async () => {
+  const wide = await call('viewer', 'GET', `${IDENTIFY}?point=13.3777,52.5163&tables=tblKiosks&tolerance=2000`);
+  assert.deepEqual(wide.body.features.map(item => item.feature.id), ['recNear', 'recFar']);
+
+  const limited = await call('viewer', 'GET', `${IDENTIFY}?point=13.3777,52.5163&tables=tblKiosks,tblSquares&tolerance=2000&limit=1`);
+  assert.deepEqual(limited.body.features.map(item => item.feature.id), ['recSquare']);
+});
+
+test('identify: hidden fields are left out and a failing table is reported', async () => {
+  const { body } = await call('editor', 'GET', `${IDENTIFY}?point=13.3777,52.5163&tables=tblKiosks,tblMissing`);
+
+  assert.deepEqual(body.features[0].feature.properties, { name: 'Near' });
+  assert.deepEqual(body.errors.map(item => item.tableId), ['tblMissing']);
+});
+
+test('identify: describes the place when asked', async () => {
+  const { body } = await call('viewer', 'GET', `${IDENTIFY}?point=7.45,46.95&tables=tblKiosks&reverse=true`);
+
+  assert.deepEqual(body.features, []);
+  assert.equal(body.place.provider, 'gazetteer');
+  assert.equal(body.place.result.matchedName, 'Bern, CH');
+
+  const reverse = await call('viewer', 'GET', `/api/data/${CUSTOMER_ID}/geocode/reverse?point=7.45,46.95`);
+  assert.equal(reverse.body.result.matchedName, 'Bern, CH');
+  assert.equal(reverse.body.cached, true);
+});
+
+test('identify: invalid requests are refused', async () => {
+  const refused = [
+    `${IDENTIFY}?point=abc&tables=tblKiosks`,
+    `${IDENTIFY}?point=13.37,52.51`,
+    `${IDENTIFY}?point=13.37,52.51&tables=tblKiosks&tolerance=0`,
+    `${IDENTIFY}?point=13.37,52.51&tables=tblKiosks&tolerance=60000`,
+    `${IDENTIFY}?point=13.37,52.51&tables=tblKiosks&reverse=true&provider=google`,
+    `/api/data/${CUSTOMER_ID}/geocode/reverse?point=200,100`
+  ];
+  for (const path of refused) {
+    assert.equal((await call('viewer', 'GET', path)).status, 400, path);
+  }
+});
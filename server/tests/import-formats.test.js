@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseImportFile, detectImportFormat } from '../utils/import-formats.js';
+import { writeShapefile } from '../utils/shapefile.js';
+import { createZip } from '../utils/zip.js';
+
+const MIXED_FEATURES = [
+  { type: 'Feature', geometry: { type: 'Point', coordinates: [8.5, 47.3] }, properties: { name: 'Well', depth: 12 } },
+  { type: 'Feature', geometry: { type: 'LineString', coordinates: [[8, 47], [9, 48]] }, properties: { name: 'Pipe', depth: 2 } },
+  { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[8, 47], [9, 47], [9, 48], [8, 47]]] }, properties: { name: 'Field', depth: 0 } }
+];
+
+test('shapefile: every shapefile of a ZIP is imported', () => {
+  const files = writeShapefile(MIXED_FEATURES, { name: 'assets', fields: ['name', 'depth'] });
+  const parsed = parseImportFile(createZip(files), { fileName: 'assets.zip' });
+
+  assert.equal(parsed.format, 'shapefile');
+  assert.deepEqual(parsed.geometryTypes, { Point: 1, LineString: 1, Polygon: 1 });
+  assert.deepEqual(parsed.features.map(feature => feature.properties.name).sort(), ['Field', 'Pipe', 'Well']);
+  assert.deepEqual(parsed.fields, [{ name: 'name', type: 'text' }, { name: 'depth', type: 'number' }]);
+  assert.match(parsed.warnings.join('\n'), /3 shapefiles .* imported together/);
+});
+
+test('shapefile: shapefiles with different CRSs are refused', () => {
+  const files = writeShapefile(MIXED_FEATURES.slice(0, 2), { name: 'assets', fields: ['name'] })
+    .map(file => file.name === 'assets_lines.prj'
+      ? { ...file, data: Buffer.from('PROJCS["CH1903+ / LV95",GEOGCS["CH1903+"],AUTHORITY["EPSG","2056"]]') }
+      : file);
+
+  assert.throws(() => parseImportFile(createZip(files), { fileName: 'assets.zip' }), /different coordinate reference systems/);
+});
+
+test('csv: latitude and longitude columns become points and values are typed', () => {
+  const csv = 'Name,Latitude,Longitude,Count,Active\r\nWell,47.3,8.5,12,true\r\nPump,47.4,8.6,3,false\r\n';
+  const parsed = parseImportFile(Buffer.from(csv), { fileName: 'sites.csv' });
+
+  assert.deepEqual(parsed.geometryColumns, { latitude: 'Latitude', longitude: 'Longitude' });
+  assert.deepEqual(parsed.features[0], {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [8.5, 47.3] },
+    properties: { Name: 'Well', Latitude: 47.3, Longitude: 8.5, Count: 12, Active: true }
+  });
+  assert.deepEqual(parsed.fields.map(field => field.type), ['text', 'number', 'number', 'number', 'boolean']);
+});
+
+test('csv: semicolon files with decimal commas are read', () => {
+  const csv = '﻿name;lat;lon\nWell;47,3;8,5\n';
+  const parsed = parseImportFile(Buffer.from(csv), { fileName: 'sites.csv' });
+
+  assert.deepEqual(parsed.features[0].geometry, { type: 'Point', coordinates: [8.5, 47.3] });
+});
+
+test('csv: a WKT column is used for geometry and left out of the fields', () => {
+  const csv = 'id,wkt\n1,"LINESTRING (8 47, 9 48)"\n2,SRID=4326;POINT (8.5 47.3)\n3,not a geometry\n4,\n';
+  const parsed = parseImportFile(Buffer.from(csv), { fileName: 'lines.csv' });
+
+  assert.deepEqual(parsed.geometryColumns, { wkt: 'wkt' });
+  assert.deepEqual(parsed.fields, [{ name: 'id', type: 'number' }]);
+  assert.deepEqual(parsed.geometryTypes, { LineString: 1, Point: 1 });
+  assert.deepEqual(parsed.sourceIndexes, [0, 1]);
+  assert.deepEqual(parsed.rejected.map(({ index, error }) => ({ index, error })), [
+    { index: 2, error: 'Invalid WKT geometry' },
+    { index: 3, error: 'Missing geometry' }
+  ]);
+});
+
+test('csv: named columns win over detection', () => {
+  const csv = 'lat,lon,y_pos,x_pos\n1,2,47.3,8.5\n';
+  const parsed = parseImportFile(Buffer.from(csv), { fileName: 'sites.csv', latitudeColumn: 'y_pos', longitudeColumn: 'x_pos' });
+
+  assert.deepEqual(parsed.features[0].geometry, { type: 'Point', coordinates: [8.5, 47.3] });
+});
+
+test('csv: files without geometry columns are refused', () => {
+  assert.throws(() => parseImportFile(Buffer.from('name,count\nWell,1\n'), { fileName: 'sites.csv' }), /No geometry found/);
+});
+
+test('geojson: Z values are dropped, out-of-range coordinates rejected and "geometry" properties renamed', () => {
+  const collection = {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [8.5, 47.3, 410] }, properties: { geometry: 'point', tags: ['a'] } },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [8.5, 147.3] }, properties: { geometry: 'far' } },
+      { type: 'Feature', geometry: null, properties: {} }
+    ]
+  };
+  const parsed = parseImportFile(Buffer.from(JSON.stringify(collection)), { fileName: 'points.geojson' });
+
+  assert.deepEqual(parsed.features, [{
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [8.5, 47.3] },
+    properties: { geometry_1: 'point', tags: '["a"]' }
+  }]);
+  assert.deepEqual(parsed.rejected.map(item => item.error), ['Coordinates outside the longitude/latitude range', 'Missing geometry']);
+  assert.deepEqual(parsed.bounds, { minLng: 8.5, minLat: 47.3, maxLng: 8.5, maxLat: 47.3 });
+});
+
+test('geojson: a bare geometry is imported as one feature', () => {
+  const parsed = parseImportFile(Buffer.from('{"type":"LineString","coordinates":[[8,47],[9,48]]}'), { fileName: 'line.json' });
+
+  assert.deepEqual(parsed.geometryTypes, { LineString: 1 });
+  assert.deepEqual(parsed.fields, []);
+});
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+<Placemark><name>Well</name><ExtendedData><Data name="depth"><value>12</value></Data></ExtendedData>
+<Point><coordinates>8.5,47.3,410</coordinates></Point></Placemark>
+<Placemark><name>Pipe</name><LineString><coordinates>8,47 9,48</coordinates></LineString></Placemark>
+</Document></kml>`;
+
+test('kml: placemarks are imported with their extended data', () => {
+  const parsed = parseImportFile(Buffer.from(KML), { fileName: 'assets.kml' });
+
+  assert.deepEqual(parsed.features.map(feature => feature.geometry), [
+    { type: 'Point', coordinates: [8.5, 47.3] },
+    { type: 'LineString', coordinates: [[8, 47], [9, 48]] }
+  ]);
+  assert.equal(parsed.features[0].properties.name, 'Well');
+  assert.equal(parsed.features[0].properties.depth, 12);
+  assert.deepEqual(parsed.fields.find(field => field.name === 'depth'), { name: 'depth', type: 'number' });
+});
+
+test('kmz: the KML document inside the archive is imported', () => {
+  const kmz = createZip([{ name: 'images/icon.png', data: Buffer.from([0x89, 0x50]) }, { name: 'doc.kml', data: KML }]);
+  const parsed = parseImportFile(kmz, { fileName: 'assets.kmz' });
+
+  assert.equal(parsed.format, 'kmz');
+  assert.equal(parsed.features.length, 2);
+  assert.throws(() => parseImportFile(createZip([{ name: 'readme.txt', data: 'x' }]), { fileName: 'empty.kmz' }), /does not contain a KML document/);
+});
+
+test('gpx: waypoints, routes and tracks are imported without internal properties', () => {
+  const gpx = `<?xml version="1.0"?>
+<gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1">
+<wpt lat="47.3" lon="8.5"><ele>410</ele><name>Summit</name></wpt>
+<trk><name>Hike</name><trkseg><trkpt lat="47" lon="8"><time>2024-05-01T10:00:00Z</time></trkpt><trkpt lat="48" lon="9"><time>2024-05-01T11:00:00Z</time></trkpt></trkseg></trk>
+</gpx>`;
+  const parsed = parseImportFile(Buffer.from(gpx), { fileName: 'hike.gpx' });
+
+  assert.deepEqual(parsed.geometryTypes, { Point: 1, LineString: 1 });
+  const track = parsed.features.find(feature => feature.properties.name === 'Hike');
+  assert.deepEqual(track.geometry, { type: 'LineString', coordinates: [[8, 47], [9, 48]] });
+  assert.ok(!parsed.fields.some(field => ['_gpxType', 'coordinateProperties'].includes(field.name)));
+});
+
+test('detectImportFormat: falls back to the file contents', () => {
+  assert.equal(detectImportFormat('upload', Buffer.from('{"type":"FeatureCollection","features":[]}')), 'geojson');
+  assert.equal(detectImportFormat('upload', Buffer.from('<?xml version="1.0"?><gpx version="1.1"></gpx>')), 'gpx');
+  assert.equal(detectImportFormat('upload', Buffer.from(KML)), 'kml');
+  assert.equal(detectImportFormat('upload', createZip([{ name: 'doc.kml', data: KML }])), 'kmz');
+  assert.equal(detectImportFormat('upload', createZip([{ name: 'a.shp', data: 'x' }])), 'shapefile');
+  assert.equal(detectImportFormat('upload', Buffer.from('a,b\n1,2\n')), 'csv');
+  assert.equal(detectImportFormat('upload', Buffer.from('<html></html>')), null);
+});
+
+test('unreadable files are refused as a whole', () => {
+  assert.throws(() => parseImportFile(Buffer.from('{'), { fileName: 'broken.geojson' }), /not valid JSON/);
+  assert.throws(() => parseImportFile(Buffer.from('<kml><Document>'), { fileName: 'broken.kml' }), /not valid XML/);
+  assert.throws(() => parseImportFile(Buffer.from('<html></html>'), { fileName: 'page.html' }), /Unsupported file type/);
+});
@@ -0,0 +1,187 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUSTOMER_ID, TEABLE_DATA, teableRequests, realFetch, startApi, stopApi, call } from './support/api.js';
+import {
+  createImportJob, getImportJob, deleteImportJob, describeImportJob, runImportJob, buildImportErrorReport
+} from '../utils/import-jobs.js';
+
+function point(index) {
+  return { type: 'Feature', geometry: { type: 'Point', coordinates: [index % 180, 0] }, properties: { n: index } };
+}
+
+function createJob(features, rejected = []) {
+  return createImportJob(CUSTOMER_ID, {
+    fileName: 'points.geojson',
+    userEmail: 'editor@example.com',
+    parsed: {
+      format: 'geojson',
+      features,
+      sourceIndexes: features.map((feature, index) => index + rejected.length),
+      rejected,
+      fields: [{ name: 'n', type: 'number' }],
+      geometryTypes: { Point: features.length },
+      bounds: null,
+      crs: { code: 'EPSG:4326', name: 'WGS 84', geographic: true, supported: true, hints: [] },
+      warnings: [],
+      geometryColumns: null
+    }
+  });
+}
+
+test('runImportJob: writes in batches and records every failure', async () => {
+  const job = createJob(Array.from({ length: 1200 }, (item, index) => point(index)), [{ index: 0, error: 'Missing geometry', properties: { n: '=1+1' } }]);
+  const batches = [];
+  const adapter = {
+    createRecords: async features => {
+      batches.push(features.length);
+      return features.map(feature => feature.properties.n === 7 ? { success: false, error: 'Duplicate' } : { success: true });
+    }
+  };
+  let completed = null;
+
+  await runImportJob(job, {
+    adapter,
+    target: { dataSource: 'teable', tableId: 'tblNew' },
+    prepare: feature => feature.properties.n === 3 ? { error: 'Too far away' } : feature,
+    onComplete: finished => { completed = finished; }
+  });
+
+  assert.deepEqual(batches, [499, 500, 200]);
+  assert.equal(job.status, 'completed');
+  assert.equal(completed, job);
+  assert.deepEqual(job.progress, { total: 1200, processed: 1200, succeeded: 1198, failed: 2 });
+  assert.deepEqual(job.parsed.features, []);
+  assert.deepEqual(describeImportJob(job).target, { dataSource: 'teable', tableId: 'tblNew' });
+  assert.equal(describeImportJob(job).rejectedCount, 3);
+
+  assert.equal(buildImportErrorReport(job),
+    'feature,stage,error,n\r\n' +
+    "1,parse,Missing geometry,'=1+1\r\n" +
+    '5,write,Too far away,3\r\n' +
+    '9,write,Duplicate,7\r\n');
+});
+
+test('runImportJob: a data source error fails the job', async () => {
+  const job = createJob([point(1)]);
+
+  await runImportJob(job, {
+    adapter: { createRecords: async () => { throw new Error('Teable is down'); } },
+    target: { dataSource: 'teable' }
+  });
+
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Teable is down');
+});
+
+test('import jobs: belong to their customer and are only discarded when not running', () => {
+  const job = createJob([point(1)]);
+
+  assert.equal(getImportJob('22222222-2222-2222-2222-222222222222', job.id), null);
+  assert.equal(getImportJob(CUSTOMER_ID, job.id), job);
+
+  job.status = 'running';
+  assert.equal(deleteImportJob(CUSTOMER_ID, job.id), false);
+  job.status = 'completed';
+  assert.equal(deleteImportJob(CUSTOMER_ID, job.id), true);
+  assert.equal(getImportJob(CUSTOMER_ID, job.id), null);
+});
+
+test('describeImportJob: the preview holds a sample, never the whole file', () => {
+  const job = createJob(Array.from({ length: 20 }, (item, index) => point(index)));
+  const preview = describeImportJob(job, { includePreview: true });
+
+  assert.equal(preview.featureCount, 20);
+  assert.equal(preview.sample.length, 5);
+  assert.equal(describeImportJob(job).sample, undefined);
+});
+
+// The upload flow against the API, importing into a new Teable table
+const tables = [];
+const written = [];
+TEABLE_DATA['/api/base/bseCustomer/table'] = (url, { method, body }) => {
+  if (method !== 'POST') return tables;
+  tables.push({ id: 'tblImported', name: body.name, fields: body.fields });
+  return tables.at(-1);
+};
+TEABLE_DATA['/api/table/tblImported/field'] = () => ({
+  fields: tables[0].fields.map(field => ({ id: `fld${field.name}`, ...field }))
+});
+TEABLE_DATA['/api/table/tblImported/record'] = (url, { method, body }) => {
+  if (method !== 'POST') return { records: [] };
+  written.push(...body.records);
+  return { records: body.records.map((record, index) => ({ id: `rec${written.length + index}`, ...record })) };
+};
+
+let baseUrl = null;
+
+before(async () => {
+  baseUrl = await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+function upload(sessionName, fileName, content) {
+  return realFetch(`${baseUrl}/api/data/${CUSTOMER_ID}/import/preview?fileName=${encodeURIComponent(fileName)}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${sessionName}-token`, 'Content-Type': 'application/octet-stream' },
+    body: content
+  });
+}
+
+const SITES_CSV = 'name,lat,lon\nWell,47.3,8.5\nPump,47.4,8.6\nLost,,\n';
+
+test('import: preview, commit into a new Teable table and report rejections', async () => {
+  assert.equal((await upload('viewer', 'sites.csv', SITES_CSV)).status, 403);
+  assert.equal((await upload('editor', 'sites.xlsx', Buffer.from([0x50, 0x4b, 0x00]))).status, 400);
+
+  const response = await upload('editor', 'sites.csv', SITES_CSV);
+  assert.equal(response.status, 201);
+  const preview = await response.json();
+  assert.equal(preview.format, 'csv');
+  assert.equal(preview.featureCount, 2);
+  assert.deepEqual(preview.rejected, [{ index: 2, error: 'Missing or non-numeric latitude/longitude' }]);
+
+  const path = `/api/data/${CUSTOMER_ID}/import/${preview.importId}`;
+  const byEditor = await call('editor', 'POST', `${path}/commit`, { tableName: 'Sites' });
+  assert.equal(byEditor.status, 403);
+  assert.equal(byEditor.body.requiredRole, 'admin');
+
+  const commit = await call('admin', 'POST', `${path}/commit`, { tableName: 'Sites' });
+  assert.equal(commit.status, 202);
+
+  let job = commit.body;
+  for (let attempt = 0; attempt < 50 && job.status === 'running'; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    job = (await call('editor', 'GET', path)).body;
+  }
+
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.progress, { total: 2, processed: 2, succeeded: 2, failed: 0 });
+  assert.deepEqual(job.target, { dataSource: 'teable', tableId: 'tblImported', tableName: 'Sites', created: true });
+  assert.deepEqual(tables[0].fields.map(field => field.name), ['name', 'lat', 'lon', 'geometry']);
+  assert.deepEqual(written.map(record => record.fields.name), ['Well', 'Pump']);
+  assert.ok(teableRequests.some(request => request.method === 'POST' && request.url.pathname === '/api/table/tblImported/record'));
+
+  const again = await call('admin', 'POST', `${path}/commit`, { tableName: 'Sites' });
+  assert.equal(again.status, 409);
+
+  const report = await call('editor', 'GET', `${path}/errors`);
+  assert.equal(report.headers.get('content-disposition'), 'attachment; filename="sites_rejected.csv"');
+  assert.equal(report.text, 'feature,stage,error,name,lat,lon\r\n3,parse,Missing or non-numeric latitude/longitude,Lost,,\r\n');
+});
+
+test('import: files in an unsupported CRS are previewed but not committed', async () => {
+  const collection = {
+    type: 'FeatureCollection',
+    crs: { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::99999' } },
+    features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [2600000, 1200000] }, properties: {} }]
+  };
+  const preview = await (await upload('editor', 'far.geojson', JSON.stringify(collection))).json();
+  assert.equal(preview.crs.supported, false);
+
+  const commit = await call('admin', 'POST', `/api/data/${CUSTOMER_ID}/import/${preview.importId}/commit`, {});
+  assert.equal(commit.status, 400);
+  assert.match(commit.body.error, /cannot be imported/);
+});
@@ -0,0 +1,131 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUSTOMER_ID, isServiceRole, json, stubSupabase, startApi, stopApi, userIdOf, call } from './support/api.js';
+import { checkLayerConfiguration } from '../utils/layer-preferences.js';
+
+// user_layer_preferences as a table of rows the stub reads and upserts, with
+// every request kept so tests can check whose rows were asked for
+const rows = [];
+const requests = [];
+
+function matches(row, url) {
+  return ['customer_id', 'user_email', 'layer_id'].every(column => {
+    const filter = url.searchParams.get(column);
+    return !filter || filter === `eq.${row[column]}`;
+  });
+}
+
+stubSupabase((url, init, { method, single }) => {
+  if (url.pathname !== '/rest/v1/user_layer_preferences') return undefined;
+  requests.push({ method, url, serviceRole: isServiceRole(init), body: init.body ? JSON.parse(init.body) : null });
+
+  if (method === 'GET') {
+    return json(rows.filter(row => row.is_active && matches(row, url)));
+  }
+  if (method === 'POST') {
+    const values = JSON.parse(init.body);
+    let row = rows.find(existing => ['customer_id', 'user_email', 'layer_id'].every(column => existing[column] === values[column]));
+    if (!row) {
+      row = { id: rows.length + 1 };
+      rows.push(row);
+    }
+    Object.assign(row, values, { updated_at: new Date().toISOString() });
+    return json(single ? row : [row]);
+  }
+  if (method === 'DELETE') {
+    const removed = rows.filter(row => matches(row, url));
+    removed.forEach(row => rows.splice(rows.indexOf(row), 1));
+    return json(removed.map(row => ({ id: row.id })));
+  }
+  return undefined;
+});
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+const PREFERENCES = `/api/data/${CUSTOMER_ID}/layer-preferences`;
+
+const HEATMAP = { symbology: { type: 'heatmap', radius: 25, weightField: 'severity' }, labels: { enabled: false } };
+const HEXBIN = { symbology: { type: 'grid', shape: 'hexagon', cellSize: 500, aggregation: 'avg', field: 'cost' } };
+
+test('checkLayerConfiguration: only objects below the size limit are accepted', () => {
+  assert.equal(checkLayerConfiguration(HEATMAP), null);
+  assert.equal(checkLayerConfiguration(null), 'configuration must be an object');
+  assert.equal(checkLayerConfiguration([HEATMAP]), 'configuration must be an object');
+  assert.equal(checkLayerConfiguration('heatmap'), 'configuration must be an object');
+  assert.equal(checkLayerConfiguration({ note: 'x'.repeat(64 * 1024) }), 'configuration must be smaller than 64 KB');
+});
+
+test('layer preferences: heatmap and grid settings are saved for the session user and read back', async () => {
+  const saved = await call('viewer', 'PUT', `${PREFERENCES}/tblIncidents`, {
+    layerName: 'Incidents',
+    configuration: HEATMAP,
+    // Ignored: rows always belong to the session
+    user_email: 'editor@example.com'
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.preference.layerId, 'tblIncidents');
+  assert.equal(saved.body.preference.layerName, 'Incidents');
+  assert.deepEqual(saved.body.preference.configuration, HEATMAP);
+
+  const upsert = requests.findLast(request => request.method === 'POST');
+  assert.ok(upsert.serviceRole);
+  assert.equal(upsert.url.searchParams.get('on_conflict'), 'customer_id,user_email,layer_id');
+  assert.equal(upsert.body.user_email, 'viewer@example.com');
+  assert.equal(upsert.body.user_id, userIdOf('viewer'));
+  assert.equal(upsert.body.customer_id, CUSTOMER_ID);
+
+  await call('viewer', 'PUT', `${PREFERENCES}/tblInspections`, { configuration: HEXBIN });
+  // Saving again replaces the earlier settings
+  await call('viewer', 'PUT', `${PREFERENCES}/tblIncidents`, { layerName: 'Incidents', configuration: { ...HEATMAP, symbology: { ...HEATMAP.symbology, radius: 40 } } });
+
+  const listed = await call('viewer', 'GET', PREFERENCES);
+  assert.equal(listed.status, 200);
+  const byLayer = Object.fromEntries(listed.body.preferences.map(preference => [preference.layerId, preference]));
+  assert.deepEqual(Object.keys(byLayer).sort(), ['tblIncidents', 'tblInspections']);
+  assert.equal(byLayer.tblIncidents.configuration.symbology.radius, 40);
+  assert.deepEqual(byLayer.tblInspections.configuration, HEXBIN);
+  // A layer saved without a name is named after its table id
+  assert.equal(byLayer.tblInspections.layerName, 'tblInspections');
+
+  const list = requests.findLast(request => request.method === 'GET');
+  assert.equal(list.url.searchParams.get('user_email'), 'eq.viewer@example.com');
+  assert.equal(list.url.searchParams.get('customer_id'), `eq.${CUSTOMER_ID}`);
+
+  // Another user of the customer does not see them
+  const editor = await call('editor', 'GET', PREFERENCES);
+  assert.deepEqual(editor.body.preferences, []);
+});
+
+test('layer preferences: invalid configurations are refused before anything is written', async () => {
+  const writes = requests.filter(request => request.method === 'POST').length;
+
+  const missing = await call('viewer', 'PUT', `${PREFERENCES}/tblIncidents`, { layerName: 'Incidents' });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'configuration must be an object');
+
+  const tooLarge = await call('viewer', 'PUT', `${PREFERENCES}/tblIncidents`, { configuration: { note: 'x'.repeat(70 * 1024) } });
+  assert.equal(tooLarge.status, 400);
+
+  assert.equal(requests.filter(request => request.method === 'POST').length, writes);
+});
+
+test('layer preferences: deleting resets a layer, and only the user\'s own row', async () => {
+  await call('editor', 'PUT', `${PREFERENCES}/tblShared`, { configuration: HEXBIN });
+  await call('viewer', 'PUT', `${PREFERENCES}/tblShared`, { configuration: HEATMAP });
+
+  const deleted = await call('viewer', 'DELETE', `${PREFERENCES}/tblShared`);
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(deleted.body, { success: true });
+
+  const again = await call('viewer', 'DELETE', `${PREFERENCES}/tblShared`);
+  assert.equal(again.status, 404);
+
+  const editor = await call('editor', 'GET', PREFERENCES);
+  assert.deepEqual(editor.body.preferences.map(preference => preference.layerId), ['tblShared']);
+});
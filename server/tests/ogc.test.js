@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUSTOMER_ID, addTeableTable, isServiceRole, json, stubSupabase, startApi, stopApi, userIdOf, call } from './support/api.js';
+
+// OGC API - Features over a Teable table of three parks, with the budget
+// hidden from the editor.
+
+addTeableTable({
+  id: 'tblParks',
+  name: 'Parks',
+  fields: [
+    { id: 'fldName', name: 'name', type: 'singleLineText' },
+    { id: 'fldVisitors', name: 'visitors', type: 'number' },
+    { id: 'fldBudget', name: 'budget', type: 'number' },
+    { id: 'fldGeometry', name: 'geometry', type: 'longText' }
+  ],
+  records: [
+    { id: 'recVondel', fields: { name: 'Vondelpark', visitors: 10, budget: 5, geometry: 'POINT (4.87 52.36)' } },
+    { id: 'recWester', fields: { name: 'Westerpark', visitors: 20, budget: 6, geometry: 'POINT (4.88 52.39)' } },
+    { id: 'recTiergarten', fields: { name: 'Tiergarten', visitors: 30, budget: 7, geometry: 'POINT (13.35 52.51)' } }
+  ]
+});
+
+stubSupabase((url, init) => {
+  if (url.pathname === '/rest/v1/user_field_permissions' && isServiceRole(init) &&
+      url.searchParams.get('user_id') === `eq.${userIdOf('editor')}`) {
+    return json([{ field_id: 'fldBudget', permission: 'none' }]);
+  }
+});
+
+const COLLECTION = `/api/ogc/${CUSTOMER_ID}/collections/tblParks`;
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+test('ogc: landing page and conformance', async () => {
+  const landing = await call('viewer', 'GET', `/api/ogc/${CUSTOMER_ID}`);
+  assert.deepEqual(landing.body.links.map(item => item.rel), ['self', 'conformance', 'data']);
+
+  const conformance = await call('viewer', 'GET', `/api/ogc/${CUSTOMER_ID}/conformance`);
+  assert.ok(conformance.body.conformsTo.includes('http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/geojson'));
+});
+
+test('ogc: every table is a collection with its extent', async () => {
+  const { body } = await call('viewer', 'GET', `/api/ogc/${CUSTOMER_ID}/collections`);
+  assert.deepEqual(body.collections.map(collection => [collection.id, collection.title]), [['tblParks', 'Parks']]);
+  assert.deepEqual(body.collections[0].links.map(item => item.rel), ['self', 'items', 'http://www.opengis.net/def/rel/ogc/1.0/schema']);
+
+  const collection = await call('viewer', 'GET', COLLECTION);
+  assert.deepEqual(collection.body.extent.spatial.bbox, [[4.87, 52.36, 13.35, 52.51]]);
+
+  const missing = await call('viewer', 'GET', `/api/ogc/${CUSTOMER_ID}/collections/tblNone`);
+  assert.equal(missing.status, 404);
+});
+
+test('ogc: items are GeoJSON pages with numberMatched and next/prev links', async () => {
+  const { status, body } = await call('viewer', 'GET', `${COLLECTION}/items?limit=2&offset=1`);
+
+  assert.equal(status, 200);
+  assert.equal(body.type, 'FeatureCollection');
+  assert.equal(body.numberMatched, 3);
+  assert.equal(body.numberReturned, 2);
+  assert.deepEqual(body.features.map(feature => feature.id), ['recWester', 'recTiergarten']);
+  assert.deepEqual(body.features[0].geometry, { type: 'Point', coordinates: [4.88, 52.39] });
+  assert.deepEqual(body.links.map(item => item.rel), ['self', 'collection', 'prev']);
+});
+
+test('ogc: bbox narrows the items', async () => {
+  const { body } = await call('viewer', 'GET', `${COLLECTION}/items?bbox=4.8,52.3,5,52.4&limit=1`);
+
+  assert.equal(body.numberMatched, 2);
+  assert.deepEqual(body.features.map(feature => feature.id), ['recVondel']);
+  const next = new URL(body.links.find(item => item.rel === 'next').href);
+  assert.equal(next.searchParams.get('bbox'), '4.8,52.3,5,52.4');
+  assert.equal(next.searchParams.get('offset'), '1');
+});
+
+test('ogc: invalid paging and CRS parameters are refused', async () => {
+  for (const query of ['limit=0', 'offset=-1', 'bbox=1,2,3', 'bbox-crs=EPSG:3857']) {
+    const { status } = await call('viewer', 'GET', `${COLLECTION}/items?${query}`);
+    assert.equal(status, 400, query);
+  }
+});
+
+test('ogc: hidden fields are left out of items, features and the schema', async () => {
+  const items = await call('editor', 'GET', `${COLLECTION}/items`);
+  assert.deepEqual(items.body.features[0].properties, { name: 'Vondelpark', visitors: 10 });
+
+  const feature = await call('editor', 'GET', `${COLLECTION}/items/recTiergarten`);
+  assert.deepEqual(feature.body.properties, { name: 'Tiergarten', visitors: 30 });
+  assert.equal(feature.body.links[0].rel, 'self');
+
+  const schema = await call('editor', 'GET', `${COLLECTION}/schema`);
+  assert.deepEqual(Object.keys(schema.body.properties), ['geometry', 'name', 'visitors']);
+  assert.deepEqual(schema.body.properties.geometry, { format: 'geometry-any', 'x-ogc-role': 'primary-geometry' });
+  assert.deepEqual(schema.body.properties.visitors, { title: 'visitors', type: 'number' });
+});
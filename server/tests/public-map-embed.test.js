@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { CUSTOMER_ID, isServiceRole, json, realFetch, stubSupabase, startApi, stopApi } from './support/api.js';
+import { isDataOriginAllowed } from '../utils/public-maps.js';
+import { injectPublicMap } from '../middleware/customer-html.js';
+
+const EMBEDDABLE = { enableEmbedding: true, embedOrigins: ['https://news.example', 'http://localhost:8080'] };
+
+test('isDataOriginAllowed: the app itself and listed origins while embedding is on', () => {
+  const config = { permissions: EMBEDDABLE };
+
+  assert.ok(isDataOriginAllowed(config, undefined, 'maps.example'));
+  assert.ok(isDataOriginAllowed(config, 'https://maps.example', 'maps.example'));
+  assert.ok(isDataOriginAllowed(config, 'https://news.example', 'maps.example'));
+  assert.ok(isDataOriginAllowed(config, 'http://localhost:8080', 'maps.example'));
+
+  assert.ok(!isDataOriginAllowed(config, 'https://evil.example', 'maps.example'));
+  assert.ok(!isDataOriginAllowed(config, 'http://news.example', 'maps.example'));
+  assert.ok(!isDataOriginAllowed(config, 'http://localhost:3000', 'maps.example'));
+  assert.ok(!isDataOriginAllowed(config, 'null', 'maps.example'));
+  assert.ok(!isDataOriginAllowed({ permissions: { ...EMBEDDABLE, enableEmbedding: false } }, 'https://news.example', 'maps.example'));
+  assert.ok(!isDataOriginAllowed(null, 'https://news.example', 'maps.example'));
+});
+
+test('injectPublicMap: the page learns its map, and no value can close the script', () => {
+  const html = injectPublicMap('<html><head><title>Map</title></head><body></body></html>',
+    { customerId: CUSTOMER_ID, slug: '</script><script>alert(1)</script>', embed: true });
+
+  assert.match(html, /<head>\n {4}<base href="\/">/);
+  assert.match(html, /"embed":true/);
+  assert.equal(html.match(/<\/script>/g).length, 1);
+  assert.match(html, /\\u003c\/script>\\u003cscript>alert\(1\)/);
+});
+
+// Published maps by slug: one other sites may embed, one only the app may show
+function publishedMap(slug, permissions) {
+  const config = { general: { title: slug }, permissions, layers: [] };
+  return { id: crypto.randomUUID(), slug, title: slug, status: 'published', draft_config: config, published_config: config };
+}
+
+const MAPS = [publishedMap('harbour', EMBEDDABLE), publishedMap('depots', { enableEmbedding: false, embedOrigins: ['https://news.example'] })];
+
+stubSupabase((url, init) => {
+  if (url.pathname !== '/rest/v1/public_maps' || !isServiceRole(init)) return undefined;
+  return json(MAPS.filter(row => url.searchParams.get('slug') === `eq.${row.slug}`));
+});
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+test('embed page: framing is limited to the map\'s listed origins', async () => {
+  const response = await realFetch(`${baseUrl}/embed/${CUSTOMER_ID}/harbour`);
+  const html = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-security-policy'), "frame-ancestors 'self' https://news.example http://localhost:8080");
+  assert.match(html, new RegExp(`window.PUBLIC_MAP = \\{"customerId":"${CUSTOMER_ID}","slug":"harbour","embed":true\\}`));
+});
+
+test('embed page: maps that cannot be embedded can only be framed by the app', async () => {
+  const closed = await realFetch(`${baseUrl}/embed/${CUSTOMER_ID}/depots`);
+  assert.equal(closed.status, 200);
+  assert.equal(closed.headers.get('content-security-policy'), "frame-ancestors 'self'");
+
+  const missing = await realFetch(`${baseUrl}/embed/${CUSTOMER_ID}/nowhere`);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.headers.get('content-security-policy'), "frame-ancestors 'self'");
+});
+
+test('embedded map data: only listed sites may read it, by Origin or Referer', async () => {
+  const get = (slug, headers) => realFetch(`${baseUrl}/api/public/${CUSTOMER_ID}/maps/${slug}`, { headers });
+
+  const listed = await get('harbour', { Origin: 'https://news.example' });
+  assert.equal(listed.status, 200);
+  assert.equal(listed.headers.get('vary'), 'Origin, Referer');
+  assert.deepEqual((await listed.json()).map.config.permissions, EMBEDDABLE);
+
+  assert.equal((await get('harbour', { Referer: 'https://news.example/2025/harbour-story' })).status, 200);
+  assert.equal((await get('harbour', { Referer: 'https://evil.example/copy' })).status, 403);
+  assert.equal((await get('harbour', { Referer: 'not a url' })).status, 403);
+
+  // Listed, but the map does not allow embedding
+  const closed = await get('depots', { Origin: 'https://news.example' });
+  assert.equal(closed.status, 403);
+  assert.equal((await closed.json()).code, 'ORIGIN_NOT_ALLOWED');
+  assert.equal((await get('depots', {})).status, 200);
+});
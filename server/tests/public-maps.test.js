@@ -0,0 +1,309 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { CUSTOMER_ID, addTeableTable, isServiceRole, json, stubSupabase, startApi, stopApi, call } from './support/api.js';
+import {
+  normalizeSlug,
+  isValidSlug,
+  isValidOrigin,
+  checkPublicMapConfig,
+  getPublicLayerFields,
+  toPublicConfig,
+  getFrameAncestors
+} from '../utils/public-maps.js';
+
+test('normalizeSlug: titles become lowercase hyphenated slugs', () => {
+  assert.equal(normalizeSlug('City Parks 2025'), 'city-parks-2025');
+  assert.equal(normalizeSlug('  Zürich: Bäume & Brunnen! '), 'zurich-baume-brunnen');
+  assert.equal(normalizeSlug(null), '');
+
+  const long = normalizeSlug(`${'a'.repeat(59)} b`);
+  assert.equal(long, 'a'.repeat(59));
+  assert.ok(isValidSlug(long));
+});
+
+test('isValidSlug and isValidOrigin: only the documented shapes pass', () => {
+  assert.ok(isValidSlug('parks-2025'));
+  assert.ok(!isValidSlug('Parks'));
+  assert.ok(!isValidSlug('parks--2025'));
+  assert.ok(!isValidSlug('-parks'));
+  assert.ok(!isValidSlug('a'.repeat(61)));
+
+  assert.ok(isValidOrigin('https://www.example.com'));
+  assert.ok(isValidOrigin('http://localhost:8080'));
+  assert.ok(!isValidOrigin('https://www.example.com/'));
+  assert.ok(!isValidOrigin('https://www.example.com/maps'));
+  assert.ok(!isValidOrigin('ftp://example.com'));
+  assert.ok(!isValidOrigin('example.com'));
+});
+
+test('checkPublicMapConfig: layers and embed origins are checked', () => {
+  assert.equal(checkPublicMapConfig({ layers: [{ id: 'a', tableId: 'tblA' }] }), null);
+  assert.equal(checkPublicMapConfig({}), null);
+  assert.equal(checkPublicMapConfig([]), 'config must be an object');
+  assert.equal(checkPublicMapConfig({ layers: {} }), 'config.layers must be an array');
+  assert.match(checkPublicMapConfig({ layers: Array.from({ length: 51 }, (_, i) => ({ id: i + 1, tableId: 'tblA' })) }), /at most 50 layers/);
+  assert.equal(checkPublicMapConfig({ layers: [{ id: 'a' }] }), 'Every layer needs an id and a tableId');
+  assert.equal(checkPublicMapConfig({ layers: [{ id: 1, tableId: 'tblA' }, { id: '1', tableId: 'tblB' }] }), 'Duplicate layer id: 1');
+  assert.match(checkPublicMapConfig({ permissions: { embedOrigins: ['https://ok.example', 'https://bad.example/path'] } }),
+    /Invalid embed origin: https:\/\/bad.example\/path/);
+  assert.match(checkPublicMapConfig({ permissions: { embedOrigins: 'https://ok.example' } }), /must be an array/);
+});
+
+const PARKS_LAYER = {
+  id: 'parks',
+  name: 'Parks',
+  tableId: 'tblParks',
+  tableName: 'Parks',
+  visibleFields: ['name', 'owner'],
+  popupFields: ['name', 'password_hash'],
+  hiddenFields: ['owner'],
+  labels: { enabled: true, field: 'label' },
+  styling: { type: 'categorized', field: 'category' },
+  temporal: { enabled: false, startField: 'opened' }
+};
+
+test('getPublicLayerFields and toPublicConfig: only fields the layer shows, without table details', () => {
+  assert.deepEqual(getPublicLayerFields(PARKS_LAYER), ['name', 'label', 'category']);
+  assert.deepEqual(getPublicLayerFields({ ...PARKS_LAYER, temporal: { enabled: true, startField: 'opened', endField: 'closed' } }),
+    ['name', 'label', 'category', 'opened', 'closed']);
+
+  const config = toPublicConfig({ general: { title: 'Parks' }, updatedBy: 'admin@example.com', layers: [PARKS_LAYER] });
+  assert.deepEqual(config.general, { title: 'Parks' });
+  assert.equal(config.updatedBy, undefined);
+  assert.deepEqual(config.layers[0], {
+    id: 'parks',
+    name: 'Parks',
+    visibleFields: ['name'],
+    popupFields: ['name'],
+    labels: PARKS_LAYER.labels,
+    styling: PARKS_LAYER.styling,
+    temporal: PARKS_LAYER.temporal,
+    fields: ['name', 'label', 'category']
+  });
+});
+
+test('getFrameAncestors: listed origins only while embedding is on', () => {
+  const permissions = { embedOrigins: ['https://a.example', 'not an origin'] };
+  assert.equal(getFrameAncestors(null), "'self'");
+  assert.equal(getFrameAncestors({ permissions }), "'self'");
+  assert.equal(getFrameAncestors({ permissions: { ...permissions, enableEmbedding: true } }), "'self' https://a.example");
+});
+
+// The API over an in-memory public_maps table and one Teable table of parks
+addTeableTable({
+  id: 'tblParks',
+  name: 'Parks',
+  fields: [
+    { id: 'fldName', name: 'name', type: 'singleLineText' },
+    { id: 'fldOwner', name: 'owner', type: 'singleLineText' },
+    { id: 'fldCategory', name: 'category', type: 'singleLineText' },
+    { id: 'fldGeometry', name: 'geometry', type: 'longText' }
+  ],
+  records: [
+    { id: 'recRose', fields: { name: 'Rose Garden', owner: 'Ann', category: 'garden', geometry: 'POINT (7.4474 46.948)' } },
+    { id: 'recLake', fields: { name: 'Lake Park', owner: 'Bob', category: 'park', geometry: 'POINT (7.46 46.95)' } }
+  ]
+});
+
+const maps = [];
+
+function filterMaps(url) {
+  return maps.filter(row => ['customer_id', 'id', 'slug', 'status'].every(column => {
+    const filter = url.searchParams.get(column);
+    return !filter || filter === `eq.${row[column]}`;
+  }));
+}
+
+function answer(rows, single) {
+  if (!single) return json(rows);
+  if (rows.length === 0) {
+    return new Response(JSON.stringify({ code: 'PGRST116', details: 'The result contains 0 rows', message: 'JSON object requested, multiple (or no) rows returned' }),
+      { status: 406, headers: { 'content-type': 'application/json' } });
+  }
+  return json(rows[0]);
+}
+
+function slugTaken(values, exceptId) {
+  return maps.some(row => row.customer_id === values.customer_id && row.slug === values.slug && row.id !== exceptId);
+}
+
+const UNIQUE_VIOLATION = () => new Response(JSON.stringify({ code: '23505', message: 'duplicate key value violates unique constraint' }),
+  { status: 409, headers: { 'content-type': 'application/json' } });
+
+stubSupabase((url, init, { method, single }) => {
+  if (url.pathname !== '/rest/v1/public_maps' || !isServiceRole(init)) return undefined;
+  const now = new Date().toISOString();
+
+  if (method === 'GET') {
+    return answer(filterMaps(url), single);
+  }
+  if (method === 'POST') {
+    const values = JSON.parse(init.body);
+    if (slugTaken(values)) return UNIQUE_VIOLATION();
+    const row = { id: crypto.randomUUID(), published_config: null, published_at: null, created_at: now, updated_at: now, ...values };
+    maps.push(row);
+    return answer([row], single);
+  }
+  if (method === 'PATCH') {
+    const changes = JSON.parse(init.body);
+    const rows = filterMaps(url);
+    if (changes.slug && rows.some(row => slugTaken({ ...row, slug: changes.slug }, row.id))) return UNIQUE_VIOLATION();
+    rows.forEach(row => Object.assign(row, changes));
+    return answer(rows, single);
+  }
+  if (method === 'DELETE') {
+    const rows = filterMaps(url);
+    rows.forEach(row => maps.splice(maps.indexOf(row), 1));
+    return json(rows.map(row => ({ id: row.id })));
+  }
+  return undefined;
+});
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+const ADMIN_API = `/api/public-maps/${CUSTOMER_ID}`;
+const PUBLIC_API = `/api/public/${CUSTOMER_ID}/maps`;
+
+const CONFIG = {
+  general: { title: 'City Parks' },
+  layers: [{ id: 'parks', name: 'Parks', tableId: 'tblParks', visibleFields: ['name', 'owner'], hiddenFields: ['owner'], popupFields: ['name'] }]
+};
+
+test('public maps: a draft is created, published, served anonymously and taken offline', async () => {
+  const created = await call('admin', 'POST', ADMIN_API, { title: 'City Parks 2025', config: CONFIG });
+  assert.equal(created.status, 201);
+  const { map } = created.body;
+  assert.equal(map.slug, 'city-parks-2025');
+  assert.equal(map.status, 'draft');
+  assert.equal(map.createdBy, 'admin@example.com');
+  assert.equal(map.publishedConfig, null);
+
+  // A draft is not public yet
+  assert.equal((await call(null, 'GET', `${PUBLIC_API}/city-parks-2025`)).status, 404);
+
+  const published = await call('admin', 'POST', `${ADMIN_API}/${map.id}/publish`);
+  assert.equal(published.status, 200);
+  assert.equal(published.body.map.status, 'published');
+  assert.deepEqual(published.body.map.publishedConfig, CONFIG);
+  assert.equal(published.body.map.hasUnpublishedChanges, false);
+
+  const visitor = await call(null, 'GET', `${PUBLIC_API}/city-parks-2025`);
+  assert.equal(visitor.status, 200);
+  assert.equal(visitor.headers.get('cache-control'), 'public, max-age=60');
+  assert.equal(visitor.body.map.title, 'City Parks 2025');
+  assert.equal(visitor.body.map.config.layers[0].tableId, undefined);
+  assert.deepEqual(visitor.body.map.config.layers[0].fields, ['name']);
+
+  const features = await call(null, 'GET', `${PUBLIC_API}/city-parks-2025/layers/parks/features`);
+  assert.equal(features.status, 200);
+  assert.deepEqual(features.body.features.map(feature => feature.properties), [{ name: 'Rose Garden' }, { name: 'Lake Park' }]);
+  assert.deepEqual(features.body.metadata, { layerId: 'parks', count: 2, truncated: false });
+
+  const inView = await call(null, 'GET', `${PUBLIC_API}/city-parks-2025/layers/parks/features?bbox=7.44,46.94,7.45,46.95`);
+  assert.deepEqual(inView.body.features.map(feature => feature.properties.name), ['Rose Garden']);
+
+  assert.equal((await call(null, 'GET', `${PUBLIC_API}/city-parks-2025/layers/tblParks/features`)).status, 404);
+
+  const unpublished = await call('admin', 'POST', `${ADMIN_API}/${map.id}/unpublish`);
+  assert.equal(unpublished.body.map.status, 'draft');
+  assert.equal(unpublished.body.map.publishedConfig, null);
+  assert.equal((await call(null, 'GET', `${PUBLIC_API}/city-parks-2025`)).status, 404);
+});
+
+test('public maps: draft edits stay private until the map is published again', async () => {
+  const { body: { map } } = await call('admin', 'POST', ADMIN_API, { title: 'Gardens', config: CONFIG });
+  await call('admin', 'POST', `${ADMIN_API}/${map.id}/publish`);
+
+  const draft = { ...CONFIG, layers: [{ ...CONFIG.layers[0], visibleFields: ['name', 'category'] }] };
+  const saved = await call('admin', 'PUT', `${ADMIN_API}/${map.id}`, { config: draft });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.map.hasUnpublishedChanges, true);
+  assert.equal(saved.body.map.title, 'Gardens');
+
+  const live = await call(null, 'GET', `${PUBLIC_API}/gardens/layers/parks/features`);
+  assert.deepEqual(live.body.features[0].properties, { name: 'Rose Garden' });
+
+  const preview = await call('admin', 'GET', `${ADMIN_API}/${map.id}/preview/layers/parks/features`);
+  assert.deepEqual(preview.body.features[0].properties, { name: 'Rose Garden', category: 'garden' });
+
+  await call('admin', 'POST', `${ADMIN_API}/${map.id}/publish`);
+  const republished = await call(null, 'GET', `${PUBLIC_API}/gardens/layers/parks/features`);
+  assert.deepEqual(republished.body.features[0].properties, { name: 'Rose Garden', category: 'garden' });
+});
+
+test('public maps: slugs are validated and unique per customer', async () => {
+  const invalid = await call('admin', 'POST', ADMIN_API, { title: 'Trees', slug: 'Trees!', config: CONFIG });
+  assert.equal(invalid.status, 400);
+
+  const untitled = await call('admin', 'POST', ADMIN_API, { config: { layers: [] } });
+  assert.equal(untitled.status, 400);
+  assert.equal(untitled.body.error, 'title is required');
+
+  const badConfig = await call('admin', 'POST', ADMIN_API, { title: 'Trees', config: { layers: [{ id: 'trees' }] } });
+  assert.equal(badConfig.status, 400);
+
+  const first = await call('admin', 'POST', ADMIN_API, { title: 'Trees', config: CONFIG });
+  assert.equal(first.body.map.slug, 'trees');
+
+  const taken = await call('admin', 'POST', ADMIN_API, { title: 'More trees', slug: 'trees', config: CONFIG });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.code, 'SLUG_TAKEN');
+
+  const other = await call('admin', 'POST', ADMIN_API, { title: 'Shrubs', config: CONFIG });
+  const renamed = await call('admin', 'PUT', `${ADMIN_API}/${other.body.map.id}`, { slug: 'trees' });
+  assert.equal(renamed.status, 409);
+});
+
+test('public maps: a published map with public access switched off is not served', async () => {
+  const { body: { map } } = await call('admin', 'POST', ADMIN_API, {
+    title: 'Closed',
+    config: { ...CONFIG, general: { enablePublicAccess: false } }
+  });
+  await call('admin', 'POST', `${ADMIN_API}/${map.id}/publish`);
+
+  assert.equal((await call(null, 'GET', `${PUBLIC_API}/closed`)).status, 404);
+  assert.equal((await call(null, 'GET', `${PUBLIC_API}/closed/layers/parks/features`)).status, 404);
+});
+
+test('public maps: identify answers by map layer with public fields only', async () => {
+  const { body: { map } } = await call('admin', 'POST', ADMIN_API, { title: 'Identify', config: CONFIG });
+  await call('admin', 'POST', `${ADMIN_API}/${map.id}/publish`);
+
+  const found = await call(null, 'GET', `${PUBLIC_API}/identify/identify?point=7.4475,46.948&tolerance=50`);
+  assert.equal(found.status, 200);
+  assert.equal(found.body.tolerance, 50);
+  assert.equal(found.body.features.length, 1);
+  assert.equal(found.body.features[0].layerId, 'parks');
+  assert.deepEqual(found.body.features[0].feature.properties, { name: 'Rose Garden' });
+  assert.ok(found.body.features[0].distance < 10);
+
+  const wide = await call(null, 'GET', `${PUBLIC_API}/identify/identify?point=7.4475,46.948&tolerance=5000&limit=1&layers=parks`);
+  assert.deepEqual(wide.body.features.map(match => match.feature.properties.name), ['Rose Garden']);
+
+  assert.equal((await call(null, 'GET', `${PUBLIC_API}/identify/identify?point=7.4475`)).status, 400);
+  assert.equal((await call(null, 'GET', `${PUBLIC_API}/identify/identify?point=7.4475,46.948&tolerance=0`)).status, 400);
+  assert.equal((await call(null, 'GET', `${PUBLIC_API}/identify/identify?point=7.4475,46.948&layers=tblParks`)).status, 400);
+
+  const preview = await call('admin', 'GET', `${ADMIN_API}/${map.id}/preview/identify?point=7.46,46.95`);
+  assert.deepEqual(preview.body.features.map(match => match.feature.properties), [{ name: 'Lake Park' }]);
+});
+
+test('public maps: deleted maps are gone from the admin and public APIs', async () => {
+  const { body: { map } } = await call('admin', 'POST', ADMIN_API, { title: 'Temporary', config: CONFIG });
+  await call('admin', 'POST', `${ADMIN_API}/${map.id}/publish`);
+
+  assert.deepEqual((await call('admin', 'DELETE', `${ADMIN_API}/${map.id}`)).body, { success: true });
+  assert.equal((await call('admin', 'GET', `${ADMIN_API}/${map.id}`)).status, 404);
+  assert.equal((await call('admin', 'DELETE', `${ADMIN_API}/${map.id}`)).status, 404);
+  assert.equal((await call(null, 'GET', `${PUBLIC_API}/temporary`)).status, 404);
+
+  const listed = await call('admin', 'GET', ADMIN_API);
+  assert.ok(!listed.body.maps.some(candidate => candidate.id === map.id));
+});
@@ -0,0 +1,302 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUSTOMER_ID, addTeableTable, teableRequests, isServiceRole, json, stubSupabase, startApi, stopApi, userIdOf, call } from './support/api.js';
+import {
+  parseFilterExpression,
+  getExpressionFields,
+  getNativeQueryFields,
+  matchesExpression,
+  matchesSearch,
+  toTeableFilter
+} from '../utils/record-filter.js';
+
+function parse(value) {
+  const { expression, error } = parseFilterExpression(value);
+  assert.equal(error, undefined);
+  return expression;
+}
+
+function feature(properties, geometry = { type: 'Point', coordinates: [7.45, 46.95] }) {
+  return { type: 'Feature', geometry, properties };
+}
+
+test('parseFilterExpression: conditions, arrays and groups become one group', () => {
+  assert.equal(parse(undefined), null);
+  assert.equal(parse(''), null);
+  assert.equal(parse({ conjunction: 'or', conditions: [] }), null);
+
+  assert.deepEqual(parse('{"field":"name","operator":"eq","value":"Bern"}'), {
+    conjunction: 'and',
+    conditions: [{ field: 'name', operator: 'eq', type: 'text', value: 'Bern' }]
+  });
+  assert.deepEqual(parse([{ field: 'a', operator: 'is_null' }, { field: 'b', operator: 'eq', value: 3 }]).conditions, [
+    { field: 'a', operator: 'is_null', type: 'text' },
+    { field: 'b', operator: 'eq', type: 'number', value: 3 }
+  ]);
+
+  // The flat rules of earlier releases
+  assert.deepEqual(parse({ field: 'a', operator: 'greater_than', value: '10' }).conditions[0],
+    { field: 'a', operator: 'gt', type: 'number', value: '10' });
+  assert.equal(parse({ field: 'a', operator: 'is_not_empty' }).conditions[0].operator, 'is_not_null');
+});
+
+test('parseFilterExpression: types are inferred from the operator and values', () => {
+  const typeOf = condition => parse(condition).conditions[0].type;
+
+  assert.equal(typeOf({ field: 'n', operator: 'gte', value: '2.5' }), 'number');
+  assert.equal(typeOf({ field: 'd', operator: 'lt', value: '2025-03-01' }), 'date');
+  assert.equal(typeOf({ field: 'd', operator: 'between', value: ['2025-01-01', '2025-12-31T12:00:00Z'] }), 'date');
+  assert.equal(typeOf({ field: 'code', operator: 'eq', value: '007' }), 'text');
+  assert.equal(typeOf({ field: 'n', operator: 'in', value: [1, 2] }), 'number');
+  assert.equal(typeOf({ field: 'n', operator: 'in', value: [1, '2'] }), 'text');
+  assert.equal(typeOf({ field: 'n', operator: 'eq', value: '5', type: 'number' }), 'number');
+  assert.equal(typeOf({ operator: 'intersects', value: [0, 0, 1, 1] }), 'geometry');
+});
+
+test('parseFilterExpression: invalid expressions are explained', () => {
+  const errorOf = value => parseFilterExpression(value).error;
+
+  assert.equal(errorOf('{not json'), 'where must be a JSON filter expression');
+  assert.equal(errorOf('42'), 'where must be a JSON filter expression');
+  assert.match(errorOf({ field: 'a', operator: 'like', value: 'x' }), /Unsupported operator "like"/);
+  assert.equal(errorOf({ operator: 'eq', value: 'x' }), 'Each eq condition needs a field');
+  assert.match(errorOf({ field: 'a', operator: 'gt', value: 'tall' }), /needs number or ISO date values/);
+  assert.equal(errorOf({ field: 'a', operator: 'contains', value: 1, type: 'number' }), 'contains does not apply to number values');
+  assert.match(errorOf({ field: 'a', operator: 'between', value: [1] }), /needs a \[from, to\] pair/);
+  assert.match(errorOf({ field: 'a', operator: 'in', value: [] }), /needs a list of 1 to 500/);
+  assert.match(errorOf({ field: 'a', operator: 'eq', value: { nested: true } }), /needs a text value/);
+  assert.equal(errorOf({ conjunction: 'xor', conditions: [] }), 'conjunction must be "and" or "or"');
+  assert.equal(errorOf({ conditions: [null] }), 'Filter conditions must be objects');
+
+  assert.match(errorOf({ operator: 'within', value: 'POLYGON ((0 0, 1 0' }), /needs a bbox/);
+  assert.match(errorOf({ operator: 'near', value: { point: [7, 200], radius: 10 } }), /near needs a value/);
+  assert.match(errorOf({ operator: 'near', value: { point: [7, 46], radius: 2000000 } }), /near needs a value/);
+
+  let deep = { field: 'a', operator: 'is_null' };
+  for (let depth = 0; depth < 4; depth++) deep = { conditions: [deep] };
+  assert.equal(errorOf(deep), undefined);
+  assert.match(errorOf({ conditions: [deep] }), /at most 4 levels deep/);
+
+  const many = Array.from({ length: 101 }, (_, index) => ({ field: `f${index}`, operator: 'is_null' }));
+  assert.match(errorOf(many), /at most 100 conditions/);
+});
+
+test('matchesExpression: typed comparisons', () => {
+  const matches = (properties, condition) => matchesExpression(feature(properties), parse(condition));
+
+  // Numbers compare as numbers, not as text
+  assert.ok(matches({ n: '10' }, { field: 'n', operator: 'gt', value: 9 }));
+  assert.ok(!matches({ n: 'ten' }, { field: 'n', operator: 'gt', value: 9 }));
+  assert.ok(matches({ n: 5 }, { field: 'n', operator: 'between', value: [5, 6] }));
+  // Dates compare by UTC day
+  assert.ok(matches({ d: '2025-03-01T22:00:00Z' }, { field: 'd', operator: 'eq', value: '2025-03-01', type: 'date' }));
+  assert.ok(matches({ d: '2025-03-02' }, { field: 'd', operator: 'gt', value: '2025-03-01' }));
+  assert.ok(!matches({ d: 'soon' }, { field: 'd', operator: 'lte', value: '2025-03-01' }));
+  // Text ignores case
+  assert.ok(matches({ name: 'Bern' }, { field: 'name', operator: 'eq', value: 'BERN' }));
+  assert.ok(matches({ name: 'Bahnhofplatz' }, { field: 'name', operator: 'starts_with', value: 'bahnhof' }));
+  assert.ok(matches({ name: 'Bahnhofplatz' }, { field: 'name', operator: 'ends_with', value: 'PLATZ' }));
+  assert.ok(matches({ name: 'Bahnhofplatz' }, { field: 'name', operator: 'not_contains', value: 'strasse' }));
+  assert.ok(matches({ kind: 'b' }, { field: 'kind', operator: 'in', value: ['a', 'B'] }));
+  assert.ok(!matches({ kind: 'b' }, { field: 'kind', operator: 'not_in', value: ['a', 'B'] }));
+  // Multi-value fields match when any item does
+  assert.ok(matches({ tags: ['red', 'blue'] }, { field: 'tags', operator: 'eq', value: 'blue' }));
+  // Empty strings and lists are null; negated operators match them
+  assert.ok(matches({ note: '' }, { field: 'note', operator: 'is_null' }));
+  assert.ok(matches({ tags: [] }, { field: 'tags', operator: 'is_null' }));
+  assert.ok(!matches({ note: 'x' }, { field: 'note', operator: 'is_null' }));
+  assert.ok(matches({}, { field: 'name', operator: 'neq', value: 'Bern' }));
+});
+
+test('matchesExpression: nested and/or groups', () => {
+  const expression = parse({
+    conjunction: 'or',
+    conditions: [
+      { field: 'status', operator: 'eq', value: 'open' },
+      { conjunction: 'and', conditions: [{ field: 'priority', operator: 'gte', value: 3 }, { field: 'owner', operator: 'is_not_null' }] }
+    ]
+  });
+
+  assert.ok(matchesExpression(feature({ status: 'open' }), expression));
+  assert.ok(matchesExpression(feature({ status: 'closed', priority: 4, owner: 'Ann' }), expression));
+  assert.ok(!matchesExpression(feature({ status: 'closed', priority: 4 }), expression));
+  assert.ok(!matchesExpression(feature({ status: 'closed', priority: 1, owner: 'Ann' }), expression));
+  assert.ok(matchesExpression(feature({}), null));
+});
+
+test('matchesExpression: spatial predicates against the geometry', () => {
+  const inside = feature({}, { type: 'Point', coordinates: [0.5, 0.5] });
+  const line = feature({}, { type: 'LineString', coordinates: [[0.5, 0.5], [2, 2]] });
+  const noGeometry = feature({}, null);
+  const matches = (item, condition) => matchesExpression(item, parse(condition));
+
+  assert.ok(matches(inside, { operator: 'intersects', value: [0, 0, 1, 1] }));
+  assert.ok(matches(line, { operator: 'intersects', value: [0, 0, 1, 1] }));
+  assert.ok(!matches(line, { operator: 'within', value: 'POLYGON ((0 0, 1 0, 1 1, 0 1, 0 0))' }));
+  assert.ok(matches(inside, { operator: 'within', value: { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] } } }));
+  assert.ok(matches(inside, { operator: 'disjoint', value: [5, 5, 6, 6] }));
+  assert.ok(matches(inside, { operator: 'near', value: { point: [0.5, 0.501], radius: 200 } }));
+  assert.ok(!matches(inside, { operator: 'near', value: { point: [0.5, 0.51], radius: 200 } }));
+
+  // Without a geometry neither a predicate nor its negation matches
+  assert.ok(!matches(noGeometry, { operator: 'intersects', value: [0, 0, 1, 1] }));
+  assert.ok(!matches(noGeometry, { operator: 'disjoint', value: [0, 0, 1, 1] }));
+});
+
+test('getExpressionFields, getNativeQueryFields and matchesSearch', () => {
+  assert.deepEqual(getExpressionFields(parse({
+    conditions: [{ field: 'a', operator: 'is_null' }, { operator: 'intersects', value: [0, 0, 1, 1] }, { conditions: [{ field: 'b', operator: 'eq', value: 1 }, { field: 'a', operator: 'eq', value: 2 }] }]
+  })), ['a', 'b']);
+  assert.deepEqual(getExpressionFields(null), []);
+
+  const filter = { conjunction: 'and', filterSet: [{ fieldId: 'fldSalary', operator: 'isGreater', value: 1 }, { conjunction: 'or', filterSet: [{ fieldId: 'name', operator: 'is', value: 'x' }] }] };
+  assert.deepEqual(getNativeQueryFields(filter, 'population, -salary desc'), ['fldSalary', 'name', 'population', 'salary']);
+  assert.deepEqual(getNativeQueryFields(null, '[{"fieldId":"fldRank","order":"asc"}]'), ['fldRank']);
+  assert.deepEqual(getNativeQueryFields(null, '{"sortObjs":[{"fieldId":"fldRank"}]}'), ['fldRank']);
+
+  const shop = feature({ name: 'Bäckerei Frei', city: 'Bern' });
+  assert.ok(matchesSearch(shop, 'BERN', ['name', 'city']));
+  assert.ok(!matchesSearch(shop, 'bern', ['name']));
+  assert.ok(matchesSearch(shop, '', ['name']));
+});
+
+const SCHEMA = [
+  { id: 'fldName', name: 'name', cellValueType: 'string' },
+  { id: 'fldPopulation', name: 'population', cellValueType: 'number' },
+  { id: 'fldFounded', name: 'founded', cellValueType: 'dateTime' },
+  { id: 'fldTags', name: 'tags', cellValueType: 'string', isMultipleCellValue: true }
+];
+
+test('toTeableFilter: typed conditions become Teable filter items', () => {
+  const { filter, residual } = toTeableFilter(parse([
+    { field: 'name', operator: 'contains', value: 'burg' },
+    { field: 'population', operator: 'between', value: [1000, '5000'] },
+    { field: 'founded', operator: 'lt', value: '1900-06-15T10:00:00Z' },
+    { field: 'population', operator: 'in', value: [1, 2] },
+    { field: 'name', operator: 'is_not_null' }
+  ]), SCHEMA);
+
+  assert.equal(residual, null);
+  assert.deepEqual(filter, {
+    conjunction: 'and',
+    filterSet: [
+      { fieldId: 'fldName', operator: 'contains', value: 'burg' },
+      { conjunction: 'and', filterSet: [
+        { fieldId: 'fldPopulation', operator: 'isGreaterEqual', value: 1000 },
+        { fieldId: 'fldPopulation', operator: 'isLessEqual', value: 5000 }
+      ] },
+      { fieldId: 'fldFounded', operator: 'isBefore', value: { mode: 'exactDate', exactDate: '1900-06-15T00:00:00.000Z', timeZone: 'UTC' } },
+      { conjunction: 'or', filterSet: [
+        { fieldId: 'fldPopulation', operator: 'is', value: 1 },
+        { fieldId: 'fldPopulation', operator: 'is', value: 2 }
+      ] },
+      { fieldId: 'fldName', operator: 'isNotEmpty', value: null }
+    ]
+  });
+});
+
+test('toTeableFilter: what Teable cannot evaluate stays behind as a residual', () => {
+  const spatial = { operator: 'intersects', value: [0, 0, 1, 1] };
+
+  // Under "and" each condition is pushed down on its own
+  const mixed = toTeableFilter(parse([
+    { field: 'population', operator: 'gt', value: 10 },
+    { field: 'name', operator: 'starts_with', value: 'St' },
+    { field: 'tags', operator: 'eq', value: 'river' },
+    { field: 'population', operator: 'eq', value: 'many' },
+    spatial
+  ]), SCHEMA);
+  assert.deepEqual(mixed.filter, { conjunction: 'and', filterSet: [{ fieldId: 'fldPopulation', operator: 'isGreater', value: 10 }] });
+  assert.deepEqual(mixed.residual.conditions.map(condition => condition.operator), ['starts_with', 'eq', 'eq', 'intersects']);
+
+  // An "or" group only as a whole
+  const either = parse({ conjunction: 'or', conditions: [{ field: 'population', operator: 'gt', value: 10 }, spatial] });
+  assert.deepEqual(toTeableFilter(either, SCHEMA), { filter: null, residual: either });
+
+  const nested = toTeableFilter(parse({
+    conditions: [
+      { conjunction: 'or', conditions: [{ field: 'name', operator: 'eq', value: 'Bern' }, { field: 'name', operator: 'eq', value: 'Thun' }] },
+      { conjunction: 'or', conditions: [spatial, { field: 'population', operator: 'lt', value: 5 }] }
+    ]
+  }), SCHEMA);
+  assert.equal(nested.filter.filterSet.length, 1);
+  assert.equal(nested.filter.filterSet[0].conjunction, 'or');
+  assert.equal(nested.residual.conditions[0].conjunction, 'or');
+
+  // Fields missing from the schema are never pushed down
+  assert.deepEqual(toTeableFilter(parse({ field: 'area', operator: 'gt', value: 1 }), SCHEMA).filter, null);
+});
+
+// The records API over a Teable table: Teable answers every page unfiltered,
+// so what comes back filtered was filtered by the server
+addTeableTable({
+  id: 'tblTowns',
+  name: 'Towns',
+  fields: [
+    { id: 'fldName', name: 'name', type: 'singleLineText', cellValueType: 'string' },
+    { id: 'fldPopulation', name: 'population', type: 'number', cellValueType: 'number' },
+    { id: 'fldMayor', name: 'mayor', type: 'singleLineText', cellValueType: 'string' },
+    { id: 'fldGeometry', name: 'geometry', type: 'longText', cellValueType: 'string' }
+  ],
+  records: [
+    { id: 'recBern', fields: { name: 'Bern', population: 134000, mayor: 'A', geometry: 'POINT (7.447 46.948)' } },
+    { id: 'recThun', fields: { name: 'Thun', population: 43000, mayor: 'B', geometry: 'POINT (7.628 46.758)' } },
+    { id: 'recBiel', fields: { name: 'Biel', population: 55000, mayor: 'C', geometry: 'POINT (7.247 47.137)' } }
+  ]
+});
+
+stubSupabase((url, init) => {
+  if (url.pathname === '/rest/v1/user_field_permissions' && isServiceRole(init) &&
+      url.searchParams.get('user_id') === `eq.${userIdOf('editor')}`) {
+    return json([{ field_id: 'fldMayor', permission: 'none' }]);
+  }
+});
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+const RECORDS = `/api/data/${CUSTOMER_ID}/tables/tblTowns/records`;
+const where = expression => `?where=${encodeURIComponent(JSON.stringify(expression))}`;
+
+test('records: conditions Teable can evaluate are sent to it as a native filter', async () => {
+  const { status } = await call('viewer', 'GET', `${RECORDS}${where({ field: 'population', operator: 'gte', value: 50000 })}`);
+  assert.equal(status, 200);
+
+  const request = teableRequests.findLast(candidate => candidate.url.pathname === '/api/table/tblTowns/record');
+  assert.deepEqual(JSON.parse(request.url.searchParams.get('filter')), {
+    conjunction: 'and',
+    filterSet: [{ fieldId: 'fldPopulation', operator: 'isGreaterEqual', value: 50000 }]
+  });
+});
+
+test('records: the rest is evaluated by the server over the whole table', async () => {
+  const { status, body } = await call('viewer', 'GET', `${RECORDS}${where({
+    conjunction: 'or',
+    conditions: [
+      { field: 'name', operator: 'starts_with', value: 'th' },
+      { operator: 'near', value: { point: [7.447, 46.948], radius: 1000 } }
+    ]
+  })}`);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.records.map(record => record.properties.name).sort(), ['Bern', 'Thun']);
+  assert.equal(body.metadata.total, 2);
+});
+
+test('records: invalid and hidden-field filters are refused', async () => {
+  const invalid = await call('viewer', 'GET', `${RECORDS}?where=${encodeURIComponent('{"field":"name","operator":"like"}')}`);
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /Unsupported operator/);
+
+  const hidden = await call('editor', 'GET', `${RECORDS}${where({ field: 'mayor', operator: 'eq', value: 'A' })}`);
+  assert.equal(hidden.status, 403);
+  assert.equal(hidden.body.code, 'FIELD_HIDDEN');
+
+  const byId = await call('editor', 'GET', `${RECORDS}?sort=fldMayor`);
+  assert.equal(byId.status, 403);
+});
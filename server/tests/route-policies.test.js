@@ -0,0 +1,400 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  CUSTOMER_ID,
+  SESSIONS,
+  TEABLE_DATA,
+  teableRequests,
+  realFetch,
+  userIdOf,
+  isServiceRole,
+  json,
+  stubSupabase,
+  startApi,
+  stopApi,
+  call
+} from './support/api.js';
+
+// Route policy tests: every route group answers a session below the route's
+// role with 403 and the structured FORBIDDEN body, and lets a session with
+// the role through. The customer's Teable base has the app_users table and a
+// sites table; the editor has hidden fields (permissions only for the service
+// role, as RLS allows).
+
+Object.assign(TEABLE_DATA, {
+  '/api/base/bseCustomer/table': [{ id: 'tblUsers', name: 'app_users' }],
+  '/api/table/tblUsers/field': {
+    fields: [
+      { id: 'fldEmail', name: 'email' },
+      { id: 'fldRole', name: 'role' },
+      { id: 'fldSalary', name: 'salary' }
+    ]
+  },
+  '/api/table/tblUsers/record': {
+    records: [{
+      id: 'recOwner',
+      fields: { email: 'owner@example.com', role: 'Owner', password_hash: 'a'.repeat(64), admin_password_hash: 'b'.repeat(64) }
+    }]
+  },
+  '/api/table/tblUsers/record/recOwner': { id: 'recOwner', fields: { email: 'owner@example.com', role: 'Owner' } },
+  '/api/table/tblSites/field': {
+    fields: [
+      { id: 'fldName', name: 'name' },
+      { id: 'fldGeometry', name: 'geometry' }
+    ]
+  },
+  '/api/table/tblSites/record': {
+    records: [{ id: 'recSite', fields: { name: 'Depot', geometry: 'POLYGON ((0 0, 1 0, 0 0))' } }]
+  }
+});
+
+// A published map that only https://allowed.example may embed
+const PUBLISHED_MAP = {
+  id: crypto.randomUUID(),
+  slug: 'parks',
+  title: 'Parks',
+  status: 'published',
+  published_config: {
+    permissions: { enableEmbedding: true, embedOrigins: ['https://allowed.example'] },
+    layers: [{ id: 'owners', name: 'Owners', tableId: 'tblOwners', visibleFields: ['email', 'password_hash'] }]
+  }
+};
+
+// A draft that shows the app_users system table
+const USERS_MAP = {
+  id: crypto.randomUUID(),
+  slug: 'users',
+  title: 'Users',
+  status: 'draft',
+  draft_config: { layers: [{ id: 'users', name: 'Users', tableId: 'tblUsers', visibleFields: ['email'] }] }
+};
+
+stubSupabase((url, init, { single }) => {
+  if (url.pathname === '/rest/v1/public_maps' && isServiceRole(init) &&
+      url.searchParams.get('slug') === `eq.${PUBLISHED_MAP.slug}`) {
+    return json(single ? PUBLISHED_MAP : [PUBLISHED_MAP]);
+  }
+  if (url.pathname === '/rest/v1/public_maps' && isServiceRole(init) &&
+      url.searchParams.get('id') === `eq.${USERS_MAP.id}`) {
+    return json(single ? USERS_MAP : [USERS_MAP]);
+  }
+  // RLS only lets Supabase-authenticated users read their own permissions,
+  // so the anon key sees none; the server must use the service role
+  if (url.pathname === '/rest/v1/user_field_permissions' && isServiceRole(init) &&
+      url.searchParams.get('user_id') === `eq.${userIdOf('editor')}`) {
+    return json(url.searchParams.get('table_id') === 'eq.tblSites'
+      ? [{ field_id: 'fldGeometry', permission: 'none' }]
+      : [{ field_id: 'fldSalary', permission: 'none' }]);
+  }
+});
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+// One denied and one allowed request per route group
+const ROUTE_GROUPS = {
+  customers: {
+    denied: [
+      { session: 'admin', method: 'GET', path: '/api/customers', requiredRole: 'system_admin' },
+      { session: 'system_admin', method: 'DELETE', path: `/api/customers/${CUSTOMER_ID}`, requiredRole: 'super_admin' }
+    ],
+    allowed: { session: 'viewer', method: 'GET', path: `/api/customers/${CUSTOMER_ID}` }
+  },
+  data: {
+    denied: [
+      { session: 'viewer', method: 'POST', path: `/api/data/${CUSTOMER_ID}/records`, body: { fields: {} }, requiredRole: 'editor' },
+      { session: 'editor', method: 'PUT', path: `/api/data/${CUSTOMER_ID}/tables/t1/crs`, body: { crs: 'EPSG:4326' }, requiredRole: 'admin' },
+      { session: 'editor', method: 'GET', path: `/api/data/${CUSTOMER_ID}/teable/api/space/current/collaborators`, requiredRole: 'admin' },
+      { session: 'editor', method: 'PUT', path: `/api/data/${CUSTOMER_ID}/app-users/recOwner/password`, body: { password: 'secret' }, requiredRole: 'admin' },
+      { session: 'editor', method: 'PATCH', path: `/api/data/${CUSTOMER_ID}/teable/api/table/tblUsers/record/recOwner`, body: { record: { fields: { role: 'Owner' } } }, requiredRole: 'admin' }
+    ],
+    allowed: { session: 'viewer', method: 'GET', path: `/api/data/${CUSTOMER_ID}/crs` }
+  },
+  'html-editor': {
+    denied: [
+      { session: 'editor', method: 'POST', path: `/api/html-editor/customers/${CUSTOMER_ID}/pages`, body: { pageName: 'map', htmlContent: '' }, requiredRole: 'admin' }
+    ],
+    allowed: { session: 'admin', method: 'GET', path: `/api/html-editor/customers/${CUSTOMER_ID}/pages` }
+  },
+  'google-sheets': {
+    denied: [
+      { session: 'editor', method: 'POST', path: `/api/google-sheets/${CUSTOMER_ID}/save-config`, body: {}, requiredRole: 'admin' }
+    ],
+    allowed: { session: 'admin', method: 'GET', path: `/api/google-sheets/get-token/${CUSTOMER_ID}` }
+  },
+  onboarding: {
+    denied: [
+      { session: 'viewer', method: 'POST', path: '/api/onboarding/update-step', body: { customerId: CUSTOMER_ID, step: 'data_source' }, requiredRole: 'admin' }
+    ],
+    allowed: { session: 'viewer', method: 'GET', path: `/api/onboarding/status/${CUSTOMER_ID}` }
+  },
+  auth: {
+    denied: [
+      { session: 'system_admin', method: 'POST', path: '/api/auth/admin/register', body: { email: 'new@example.com', password: 'secret', firstName: 'New', lastName: 'Admin', isSuperAdmin: true }, requiredRole: 'super_admin' }
+    ],
+    allowed: { session: 'super_admin', method: 'POST', path: '/api/auth/admin/register', body: { email: 'new@example.com', password: 'secret', firstName: 'New', lastName: 'Admin' } }
+  }
+};
+
+for (const [group, { denied, allowed }] of Object.entries(ROUTE_GROUPS)) {
+  for (const request of denied) {
+    test(`${group}: ${request.method} ${request.path} denies ${request.session}`, async () => {
+      const { status, body } = await call(request.session, request.method, request.path, request.body);
+
+      assert.equal(status, 403);
+      assert.deepEqual(body, {
+        error: 'Insufficient permissions',
+        code: 'FORBIDDEN',
+        requiredRole: request.requiredRole,
+        currentRole: SESSIONS[request.session].role,
+        method: request.method,
+        path: request.path
+      });
+    });
+  }
+
+  test(`${group}: ${allowed.method} ${allowed.path} allows ${allowed.session}`, async () => {
+    const { status, body } = await call(allowed.session, allowed.method, allowed.path, allowed.body);
+
+    assert.notEqual(body?.code, 'FORBIDDEN');
+    assert.notEqual(status, 401);
+  });
+}
+
+test('auth: POST /api/auth/admin/register requires a session', async () => {
+  const { status, body } = await call(null, 'POST', '/api/auth/admin/register', {
+    email: 'new@example.com', password: 'secret', firstName: 'New', lastName: 'Admin', isSuperAdmin: true
+  });
+
+  assert.equal(status, 401);
+  assert.equal(body.code, 'UNAUTHENTICATED');
+});
+
+test('auth: hashes cannot be made or checked through the auth routes', async () => {
+  const hash = await call('admin', 'POST', '/api/auth/password/hash', { password: 'secret' });
+  assert.equal(hash.status, 404);
+
+  const verify = await call(null, 'POST', '/api/auth/password/verify', { password: 'secret', hash: 'a'.repeat(64) });
+  assert.equal(verify.status, 404);
+});
+
+test('data: admins set app user passwords on the server', async () => {
+  const path = `/api/data/${CUSTOMER_ID}/app-users/recOwner/password`;
+
+  const { status } = await call('admin', 'PUT', path, { password: 'new-secret' });
+  assert.equal(status, 200);
+
+  const empty = await call('admin', 'PUT', path, {});
+  assert.equal(empty.status, 400);
+});
+
+test('data: records never include password hashes', async () => {
+  const { status, body } = await call('viewer', 'GET', `/api/data/${CUSTOMER_ID}/records?tableId=tblUsers`);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.features[0].properties, { email: 'owner@example.com', role: 'Owner' });
+});
+
+test('data: password hashes cannot be written or filtered on', async () => {
+  const write = await call('admin', 'PATCH', `/api/data/${CUSTOMER_ID}/teable/api/table/tblUsers/record/recOwner`, {
+    record: { fields: { password_hash: 'a'.repeat(64) } }
+  });
+  assert.equal(write.status, 403);
+  assert.equal(write.body.code, 'FIELD_READ_ONLY');
+
+  const where = encodeURIComponent(JSON.stringify({ field: 'password_hash', operator: 'starts_with', value: 'a' }));
+  const filter = await call('system_admin', 'GET', `/api/data/${CUSTOMER_ID}/records?tableId=tblUsers&where=${where}`);
+  assert.equal(filter.status, 403);
+  assert.equal(filter.body.code, 'FIELD_HIDDEN');
+});
+
+test('data: app user logins are rate limited per account', async () => {
+  const path = `/api/data/${CUSTOMER_ID}/app-users/login`;
+  const attempt = { email: 'owner@example.com', password: 'guess', userType: 'space_owner' };
+
+  for (let i = 0; i < 10; i++) {
+    const { status } = await call('viewer', 'POST', path, attempt);
+    assert.notEqual(status, 429);
+  }
+
+  const { status, body } = await call('viewer', 'POST', path, attempt);
+  assert.equal(status, 429);
+  assert.equal(body.code, 'RATE_LIMITED');
+});
+
+test('data: the Teable proxy only forwards listed endpoints', async () => {
+  for (const path of ['/api/space/current/invitation', '/api/base/current/invitation', '/api/space']) {
+    const { status, body } = await call('admin', 'GET', `/api/data/${CUSTOMER_ID}/teable${path}`);
+
+    assert.equal(status, 403, path);
+    assert.equal(body.code, 'ENDPOINT_NOT_ALLOWED', path);
+  }
+
+  const { status } = await call('admin', 'GET', `/api/data/${CUSTOMER_ID}/teable/api/space/current/collaborators`);
+  assert.equal(status, 200);
+});
+
+test('data: the Teable proxy refuses invalid path encoding', async () => {
+  const { status, body } = await call('viewer', 'GET', `/api/data/${CUSTOMER_ID}/teable/api/table/tbl%25zz/record`);
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Invalid Teable path encoding');
+
+  const raw = await call('viewer', 'GET', `/api/data/${CUSTOMER_ID}/teable/api/table/tbl%zz/record`);
+  assert.equal(raw.status, 400);
+});
+
+test('data: the Teable proxy never returns password hashes', async () => {
+  const { status, body } = await call('admin', 'GET', `/api/data/${CUSTOMER_ID}/teable/api/table/tblUsers/record`);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.records[0].fields, { email: 'owner@example.com', role: 'Owner' });
+});
+
+test('data: field permissions are enforced on records', async () => {
+  const where = encodeURIComponent(JSON.stringify({ field: 'salary', operator: 'gt', value: 100000 }));
+  const { status, body } = await call('editor', 'GET', `/api/data/${CUSTOMER_ID}/records?tableId=tblUsers&where=${where}`);
+
+  assert.equal(status, 403);
+  assert.equal(body.code, 'FIELD_HIDDEN');
+});
+
+test('data: the geometry report is refused when the geometry field is hidden', async () => {
+  const path = `/api/data/${CUSTOMER_ID}/tables/tblSites/validate`;
+
+  const hidden = await call('editor', 'GET', path);
+  assert.equal(hidden.status, 403);
+  assert.equal(hidden.body.code, 'FIELD_HIDDEN');
+  assert.deepEqual(hidden.body.fields, ['geometry']);
+
+  const visible = await call('viewer', 'GET', path);
+  assert.equal(visible.status, 200);
+  assert.equal(visible.body.summary.total, 1);
+  assert.deepEqual(visible.body.records.map(record => record.id), ['recSite']);
+});
+
+test('data: geocoding needs a visible address field and an editable geometry', async () => {
+  const hiddenAddress = await call('editor', 'POST', `/api/data/${CUSTOMER_ID}/tables/tblUsers/geocode`, { addressColumn: 'salary' });
+  assert.equal(hiddenAddress.status, 403);
+  assert.equal(hiddenAddress.body.code, 'FIELD_HIDDEN');
+  assert.deepEqual(hiddenAddress.body.fields, ['salary']);
+
+  const readOnlyGeometry = await call('editor', 'POST', `/api/data/${CUSTOMER_ID}/tables/tblSites/geocode`, { addressColumn: 'name' });
+  assert.equal(readOnlyGeometry.status, 403);
+  assert.equal(readOnlyGeometry.body.code, 'FIELD_READ_ONLY');
+  assert.deepEqual(readOnlyGeometry.body.fields, ['geometry']);
+});
+
+test('data: legacy filter and sort cannot use hidden fields', async () => {
+  const filter = encodeURIComponent(JSON.stringify({
+    conjunction: 'and',
+    filterSet: [{ fieldId: 'fldSalary', operator: 'isGreater', value: 100000 }]
+  }));
+  const paths = [
+    `/api/data/${CUSTOMER_ID}/records?tableId=tblUsers&filter=${filter}`,
+    `/api/data/${CUSTOMER_ID}/records?tableId=tblUsers&sort=-salary`,
+    `/api/data/${CUSTOMER_ID}/tables/tblUsers/records?filter=${filter}`,
+    `/api/data/${CUSTOMER_ID}/export?tableId=tblUsers&format=csv&sort=${encodeURIComponent('[{"fieldId":"fldSalary","order":"desc"}]')}`
+  ];
+
+  for (const path of paths) {
+    const { status, body } = await call('editor', 'GET', path);
+
+    assert.equal(status, 403, path);
+    assert.equal(body.code, 'FIELD_HIDDEN', path);
+    assert.deepEqual(body.fields, ['salary'], path);
+  }
+});
+
+test('data: the Teable proxy forwards only known query parameters', async () => {
+  teableRequests.length = 0;
+  const { status } = await call('viewer', 'GET', `/api/data/${CUSTOMER_ID}/teable/api/table/tblUsers/record?take=10&fieldKeyType=id&viewId=viwOther`);
+
+  assert.equal(status, 200);
+  const forwarded = teableRequests.find(request => request.url.pathname === '/api/table/tblUsers/record').url;
+  assert.equal(forwarded.searchParams.get('take'), '10');
+  assert.equal(forwarded.searchParams.get('fieldKeyType'), 'name');
+  assert.equal(forwarded.searchParams.has('viewId'), false);
+});
+
+test('data: the Teable proxy forces field names in record bodies', async () => {
+  teableRequests.length = 0;
+  const { status } = await call('admin', 'PATCH', `/api/data/${CUSTOMER_ID}/teable/api/table/tblUsers/record/recOwner`, {
+    fieldKeyType: 'id',
+    record: { fields: { fldRole: 'Owner' } }
+  });
+
+  assert.equal(status, 200);
+  const forwarded = teableRequests.find(request => request.method === 'PATCH');
+  assert.equal(forwarded.body.fieldKeyType, 'name');
+});
+
+test('data: the Teable proxy refuses queries on hidden fields', async () => {
+  const proxy = `/api/data/${CUSTOMER_ID}/teable/api/table/tblUsers/record`;
+  const filter = encodeURIComponent(JSON.stringify({
+    conjunction: 'and',
+    filterSet: [{ fieldId: 'fldSalary', operator: 'isGreater', value: 100000 }]
+  }));
+  const orderBy = encodeURIComponent(JSON.stringify([{ fieldId: 'fldSalary', order: 'desc' }]));
+
+  for (const query of [`filter=${filter}`, `orderBy=${orderBy}`, 'search=100000&search=salary', 'search=100000', 'projection=salary']) {
+    const { status, body } = await call('editor', 'GET', `${proxy}?${query}`);
+
+    assert.equal(status, 403, query);
+    assert.equal(body.code, 'FIELD_HIDDEN', query);
+  }
+
+  const visible = await call('editor', 'GET', `${proxy}?search=owner&search=email`);
+  assert.equal(visible.status, 200);
+
+  const invalid = await call('editor', 'GET', `${proxy}?filter=not-json`);
+  assert.equal(invalid.status, 400);
+});
+
+test('public maps: only the app and listed embed origins read map data', async () => {
+  const path = `/api/public/${CUSTOMER_ID}/maps/parks`;
+  const get = headers => realFetch(`${baseUrl}${path}`, { headers });
+
+  const rejected = await get({ Origin: 'https://evil.example' });
+  assert.equal(rejected.status, 403);
+  assert.equal((await rejected.json()).code, 'ORIGIN_NOT_ALLOWED');
+
+  const rejectedReferer = await get({ Referer: 'https://evil.example/page.html' });
+  assert.equal(rejectedReferer.status, 403);
+
+  assert.equal((await get({ Origin: 'https://allowed.example' })).status, 200);
+  assert.equal((await get({ Origin: baseUrl })).status, 200);
+  assert.equal((await get({})).status, 200);
+});
+
+test('public maps: system tables cannot be published', async () => {
+  const { status, body } = await call('admin', 'POST', `/api/public-maps/${CUSTOMER_ID}/${USERS_MAP.id}/publish`);
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'SYSTEM_TABLE');
+  assert.deepEqual(body.layers, [{ layerId: 'users', layer: 'Users', table: 'app_users' }]);
+});
+
+test('public maps: password hashes are never served', async () => {
+  const { status, body } = await call(null, 'GET', `/api/public/${CUSTOMER_ID}/maps/parks`);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.map.config.layers[0].fields, ['email']);
+  assert.deepEqual(body.map.config.layers[0].visibleFields, ['email']);
+});
+
+test('a customer user cannot reach another customer', async () => {
+  const otherCustomer = '22222222-2222-2222-2222-222222222222';
+  const { status, body } = await call('admin', 'GET', `/api/html-editor/customers/${otherCustomer}/pages`);
+
+  assert.equal(status, 403);
+  assert.equal(body.code, 'CUSTOMER_MISMATCH');
+});
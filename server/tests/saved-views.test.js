@@ -0,0 +1,239 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { CUSTOMER_ID, isServiceRole, json, stubSupabase, startApi, stopApi, call } from './support/api.js';
+
+// saved_views as an in-memory table. The stub understands the PostgREST
+// filters the saved-views queries use: eq, neq, is.null, ov (array overlap)
+// and an or of eq filters, with order on columns.
+
+const views = [];
+
+function parseValue(value) {
+  return value.startsWith('"') ? JSON.parse(value) : value;
+}
+
+function matchesFilter(row, column, filter) {
+  if (filter.startsWith('eq.')) return String(row[column]) === parseValue(filter.slice(3));
+  if (filter.startsWith('neq.')) return String(row[column]) !== parseValue(filter.slice(4));
+  if (filter === 'is.null') return row[column] === null;
+  if (filter.startsWith('ov.')) {
+    const values = filter.slice(4, -1).split(',');
+    return (row[column] || []).some(value => values.includes(value));
+  }
+  throw new Error(`Unsupported filter ${column}=${filter}`);
+}
+
+function filterViews(url) {
+  const rows = views.filter(row => [...url.searchParams].every(([column, filter]) => {
+    if (['select', 'order', 'columns'].includes(column)) return true;
+    if (column === 'or') {
+      return [...filter.slice(1, -1).matchAll(/(\w+)\.eq\.("[^"]*"|[^,]*)/g)]
+        .some(([, orColumn, value]) => String(row[orColumn]) === parseValue(value));
+    }
+    return matchesFilter(row, column, filter);
+  }));
+
+  const order = (url.searchParams.get('order') || '').split(',').filter(Boolean).map(part => part.split('.'));
+  return rows.sort((a, b) => {
+    for (const [column, direction] of order) {
+      if (a[column] !== b[column]) return (a[column] < b[column] ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function nameTaken(values, exceptId) {
+  return views.some(row => row.id !== exceptId && ['customer_id', 'page', 'table_id', 'created_by', 'name']
+    .every(column => (row[column] ?? '') === (values[column] ?? '')));
+}
+
+const UNIQUE_VIOLATION = () => new Response(JSON.stringify({ code: '23505', message: 'duplicate key value violates unique constraint' }),
+  { status: 409, headers: { 'content-type': 'application/json' } });
+
+stubSupabase((url, init, { method, single }) => {
+  if (url.pathname !== '/rest/v1/saved_views' || !isServiceRole(init)) return undefined;
+  const answer = rows => json(single ? rows[0] : rows);
+
+  if (method === 'GET') {
+    return answer(filterViews(url));
+  }
+  if (method === 'POST') {
+    const values = JSON.parse(init.body);
+    if (nameTaken(values)) return UNIQUE_VIOLATION();
+    const now = new Date().toISOString();
+    const row = { id: crypto.randomUUID(), created_at: now, updated_at: now, ...values };
+    views.push(row);
+    return answer([row]);
+  }
+  if (method === 'PATCH') {
+    const changes = JSON.parse(init.body);
+    const rows = filterViews(url);
+    if (rows.some(row => nameTaken({ ...row, ...changes }, row.id))) return UNIQUE_VIOLATION();
+    rows.forEach(row => Object.assign(row, changes));
+    return answer(rows);
+  }
+  if (method === 'DELETE') {
+    const rows = filterViews(url);
+    rows.forEach(row => views.splice(views.indexOf(row), 1));
+    return json(rows.map(row => ({ id: row.id })));
+  }
+  return undefined;
+});
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+const VIEWS = `/api/views/${CUSTOMER_ID}`;
+
+const TABLE_STATE = {
+  columns: { hidden: ['notes'], frozen: ['name'], widths: { name: 180 } },
+  sort: [{ field: 'population', order: 'desc' }],
+  rowHeight: 'compact',
+  where: { conjunction: 'and', conditions: [{ field: 'population', operator: 'gt', value: 1000 }] }
+};
+
+const MAP_STATE = {
+  extent: { center: [46.95, 7.45], zoom: 12 },
+  layers: [{ tableId: 'tblTowns', visible: true, symbology: { type: 'heatmap', radius: 20 } }]
+};
+
+async function createView(session, body) {
+  const response = await call(session, 'POST', VIEWS, body);
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.view;
+}
+
+async function listViews(session, query) {
+  const response = await call(session, 'GET', `${VIEWS}?${new URLSearchParams(query)}`);
+  assert.equal(response.status, 200);
+  return response.body;
+}
+
+test('saved views: a private table view keeps its state and is seen only by its creator', async () => {
+  const view = await createView('viewer', { page: 'table', tableId: 'tblTowns', name: '  Large towns ', state: TABLE_STATE });
+  assert.equal(view.name, 'Large towns');
+  assert.equal(view.visibility, 'private');
+  assert.equal(view.createdBy, 'viewer@example.com');
+  assert.deepEqual(view.state, TABLE_STATE);
+  assert.deepEqual(view.defaultRoles, []);
+
+  const own = await listViews('viewer', { page: 'table', tableId: 'tblTowns' });
+  assert.deepEqual(own.views.map(candidate => candidate.id), [view.id]);
+  assert.equal(own.defaultViewId, null);
+
+  // Other tables, the map page and other users do not see it
+  assert.deepEqual((await listViews('viewer', { page: 'table', tableId: 'tblRivers' })).views, []);
+  assert.deepEqual((await listViews('viewer', { page: 'map' })).views, []);
+  assert.deepEqual((await listViews('editor', { page: 'table', tableId: 'tblTowns' })).views, []);
+  assert.equal((await call('editor', 'PUT', `${VIEWS}/${view.id}`, { name: 'Mine now' })).status, 404);
+  assert.equal((await call('editor', 'DELETE', `${VIEWS}/${view.id}`)).status, 404);
+});
+
+test('saved views: shared views are listed first for every user of the customer', async () => {
+  const shared = await createView('editor', { page: 'map', name: 'Heat', visibility: 'shared', state: MAP_STATE });
+  const mine = await createView('viewer', { page: 'map', name: 'Around the station', state: MAP_STATE });
+
+  const { views: seen } = await listViews('viewer', { page: 'map' });
+  assert.deepEqual(seen.map(view => view.id), [shared.id, mine.id]);
+  assert.deepEqual(seen[0].state, MAP_STATE);
+  assert.equal(seen[0].tableId, null);
+
+  // Viewers may not share, nor change someone else's shared view
+  const sharing = await call('viewer', 'PUT', `${VIEWS}/${mine.id}`, { visibility: 'shared' });
+  assert.equal(sharing.status, 403);
+  assert.equal(sharing.body.error, 'Sharing views requires the editor role');
+  const editing = await call('viewer', 'PUT', `${VIEWS}/${shared.id}`, { name: 'Mine' });
+  assert.equal(editing.status, 403);
+  assert.equal(editing.body.error, 'Only the creator of a view or an admin can change it');
+
+  // Admins may change any shared view
+  const renamed = await call('admin', 'PUT', `${VIEWS}/${shared.id}`, { name: 'Incident heat' });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.view.name, 'Incident heat');
+  assert.equal(renamed.body.view.updatedBy, 'admin@example.com');
+  assert.equal(renamed.body.view.createdBy, 'editor@example.com');
+});
+
+test('saved views: each role has at most one default view per table', async () => {
+  const scope = { page: 'table', tableId: 'tblParcels' };
+  const first = await createView('admin', { ...scope, name: 'Overview', visibility: 'shared', defaultRoles: ['viewer', 'editor'], state: TABLE_STATE });
+  const second = await createView('admin', { ...scope, name: 'Editing', visibility: 'shared', state: TABLE_STATE });
+
+  assert.equal((await listViews('viewer', scope)).defaultViewId, first.id);
+  assert.equal((await listViews('editor', scope)).defaultViewId, first.id);
+  assert.equal((await listViews('admin', scope)).defaultViewId, null);
+
+  // Giving the editors' default to another view takes it from the first
+  const moved = await call('admin', 'PUT', `${VIEWS}/${second.id}`, { defaultRoles: ['editor', 'editor'] });
+  assert.deepEqual(moved.body.view.defaultRoles, ['editor']);
+  assert.equal((await listViews('editor', scope)).defaultViewId, second.id);
+  assert.equal((await listViews('viewer', scope)).defaultViewId, first.id);
+  assert.deepEqual(views.find(row => row.id === first.id).default_roles, ['viewer']);
+
+  // Defaults on another table are left alone
+  const elsewhere = await createView('admin', { page: 'table', tableId: 'tblTowns', name: 'Towns', visibility: 'shared', defaultRoles: ['viewer'], state: {} });
+  assert.equal((await listViews('viewer', scope)).defaultViewId, first.id);
+  assert.equal((await listViews('viewer', { page: 'table', tableId: 'tblTowns' })).defaultViewId, elsewhere.id);
+
+  // A view made private stops being a default
+  const hidden = await call('admin', 'PUT', `${VIEWS}/${first.id}`, { visibility: 'private' });
+  assert.deepEqual(hidden.body.view.defaultRoles, []);
+  assert.equal((await listViews('viewer', scope)).defaultViewId, null);
+});
+
+test('saved views: defaults need an admin and a shared view', async () => {
+  const editorDefault = await call('editor', 'POST', VIEWS, { page: 'map', name: 'Mine', visibility: 'shared', defaultRoles: ['viewer'], state: {} });
+  assert.equal(editorDefault.status, 403);
+  assert.equal(editorDefault.body.error, 'Setting default views requires the admin role');
+
+  const privateDefault = await call('admin', 'POST', VIEWS, { page: 'map', name: 'Private default', defaultRoles: ['viewer'], state: {} });
+  assert.equal(privateDefault.status, 403);
+  assert.equal(privateDefault.body.error, 'Only shared views can be default views');
+});
+
+test('saved views: bodies are validated', async () => {
+  const errorOf = async body => (await call('viewer', 'POST', VIEWS, body)).body.error;
+
+  assert.match(await errorOf({ page: 'dashboard', name: 'x', state: {} }), /page must be one of table, map/);
+  assert.equal(await errorOf({ page: 'table', name: 'x', state: {} }), 'tableId is required for table views');
+  assert.match(await errorOf({ page: 'map', name: '   ', state: {} }), /name is required/);
+  assert.match(await errorOf({ page: 'map', name: 'x'.repeat(101), state: {} }), /at most 100 characters/);
+  assert.match(await errorOf({ page: 'map', name: 'x', visibility: 'public', state: {} }), /visibility must be one of/);
+  assert.match(await errorOf({ page: 'map', name: 'x', defaultRoles: ['guest'], state: {} }), /defaultRoles must be a list/);
+  assert.equal(await errorOf({ page: 'map', name: 'x', state: [] }), 'state must be an object');
+  assert.equal(await errorOf({ page: 'map', name: 'x', state: { notes: 'x'.repeat(64 * 1024) } }), 'state must be smaller than 64 KB');
+
+  assert.equal((await call('viewer', 'GET', `${VIEWS}?page=table`)).status, 400);
+  assert.equal((await call('viewer', 'GET', `${VIEWS}?page=report`)).status, 400);
+});
+
+test('saved views: names are unique per user, page and table', async () => {
+  await createView('viewer', { page: 'table', tableId: 'tblRoads', name: 'Closed roads', state: {} });
+
+  const taken = await call('viewer', 'POST', VIEWS, { page: 'table', tableId: 'tblRoads', name: 'Closed roads', state: {} });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.code, 'VIEW_NAME_TAKEN');
+
+  // The same name is free for another user and another table
+  await createView('editor', { page: 'table', tableId: 'tblRoads', name: 'Closed roads', state: {} });
+  await createView('viewer', { page: 'table', tableId: 'tblBridges', name: 'Closed roads', state: {} });
+});
+
+test('saved views: creators delete their views, admins shared ones', async () => {
+  const mine = await createView('viewer', { page: 'map', name: 'Temporary', state: {} });
+  const shared = await createView('editor', { page: 'map', name: 'Team', visibility: 'shared', state: {} });
+
+  assert.equal((await call('viewer', 'DELETE', `${VIEWS}/${shared.id}`)).status, 403);
+  assert.deepEqual((await call('viewer', 'DELETE', `${VIEWS}/${mine.id}`)).body, { success: true });
+  assert.deepEqual((await call('admin', 'DELETE', `${VIEWS}/${shared.id}`)).body, { success: true });
+
+  const remaining = (await listViews('viewer', { page: 'map' })).views.map(view => view.id);
+  assert.ok(!remaining.includes(mine.id));
+  assert.ok(!remaining.includes(shared.id));
+});
@@ -0,0 +1,177 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as turf from '@turf/turf';
+import { CUSTOMER_ID, addTeableTable, isServiceRole, json, stubSupabase, startApi, stopApi, userIdOf, call } from './support/api.js';
+import { parseAnalysisOptions, runAnalysis } from '../utils/spatial-analysis.js';
+
+function square(minX, minY, size, properties = {}) {
+  return turf.polygon([[[minX, minY], [minX + size, minY], [minX + size, minY + size], [minX, minY + size], [minX, minY]]], properties);
+}
+
+const ZONES = [square(0, 0, 2, { zone: 'A' }), square(2, 0, 2, { zone: 'B' })];
+
+const round = value => Math.round(value * 1000) / 1000;
+const bbox = feature => turf.bbox(feature).map(round);
+
+test('parseAnalysisOptions: fills in defaults and refuses bad values', () => {
+  assert.deepEqual(parseAnalysisOptions('buffer', { distance: '2', units: 'kilometers' }), {
+    options: { distance: 2, units: 'kilometers', dissolve: false }
+  });
+  assert.deepEqual(parseAnalysisOptions('spatial-join', {}), { options: { fields: null, keepUnmatched: true } });
+  assert.deepEqual(parseAnalysisOptions('dissolve', { field: 7 }), { options: { field: '7' } });
+
+  assert.match(parseAnalysisOptions('voronoi').error, /Unknown operation/);
+  assert.match(parseAnalysisOptions('buffer', { distance: 0 }).error, /distance must be greater than 0/);
+  assert.match(parseAnalysisOptions('buffer', { distance: 1001, units: 'kilometers' }).error, /at most 1000 km/);
+  assert.match(parseAnalysisOptions('buffer', { distance: 1, units: 'parsecs' }).error, /units must be one of/);
+  assert.match(parseAnalysisOptions('spatial-join', { fields: 'zone' }).error, /fields must be an array/);
+});
+
+test('buffer: grows each feature, or dissolves them into one', () => {
+  const points = [turf.point([0, 0], { name: 'a' }), turf.point([0.001, 0], { name: 'b' })];
+
+  const separate = runAnalysis('buffer', { input: points, options: { distance: 100, units: 'meters', dissolve: false } });
+  assert.equal(separate.features.length, 2);
+  assert.deepEqual(separate.features[0].properties, { name: 'a' });
+  assert.ok(Math.abs(turf.area(separate.features[0]) - Math.PI * 100 * 100) < 500);
+
+  const dissolved = runAnalysis('buffer', { input: points, options: { distance: 100, units: 'meters', dissolve: true } });
+  assert.equal(dissolved.features.length, 1);
+  assert.deepEqual(dissolved.features[0].properties, { count: 2 });
+  assert.equal(dissolved.features[0].geometry.type, 'Polygon');
+});
+
+test('dissolve: unions polygons per field value and skips other geometry', () => {
+  const result = runAnalysis('dissolve', {
+    input: [square(0, 0, 1, { kind: 'park' }), square(1, 0, 1, { kind: 'park' }), square(5, 5, 1, { kind: 'lake' }), turf.point([0, 0], { kind: 'park' })],
+    options: { field: 'kind' }
+  });
+
+  assert.deepEqual(result.features.map(feature => [feature.properties, bbox(feature)]), [
+    [{ kind: 'park', count: 2 }, [0, 0, 2, 1]],
+    [{ kind: 'lake', count: 1 }, [5, 5, 6, 6]]
+  ]);
+  assert.equal(result.metadata.skipped, 1);
+});
+
+test('centroid: polygons are placed by their centre of mass', () => {
+  const result = runAnalysis('centroid', { input: [square(0, 0, 2, { zone: 'A' }), turf.lineString([[0, 0], [2, 0]])] });
+
+  assert.deepEqual(result.features.map(feature => feature.geometry.coordinates.map(round)), [[1, 1], [1, 0]]);
+  assert.deepEqual(result.features[0].properties, { zone: 'A' });
+});
+
+test('intersect: each input piece carries the fields of the overlay it falls in', () => {
+  const result = runAnalysis('intersect', {
+    input: [square(1, 1, 2, { zone: 'parcel' }), turf.lineString([[1, 0.5], [3, 0.5]], { road: 'Main' }), turf.point([3, 1], { tree: 'oak' })],
+    overlay: [...ZONES, turf.point([1, 1], { ignored: true })]
+  });
+
+  assert.deepEqual(result.features.map(feature => [feature.geometry.type, bbox(feature), feature.properties]), [
+    ['Polygon', [1, 1, 2, 2], { zone: 'parcel', zone_2: 'A' }],
+    ['Polygon', [2, 1, 3, 2], { zone: 'parcel', zone_2: 'B' }],
+    ['LineString', [1, 0.5, 2, 0.5], { road: 'Main', zone: 'A' }],
+    ['LineString', [2, 0.5, 3, 0.5], { road: 'Main', zone: 'B' }],
+    ['Point', [3, 1, 3, 1], { tree: 'oak', zone: 'B' }]
+  ]);
+  assert.equal(result.metadata.overlayCount, 2);
+});
+
+test('clip: keeps the part of each input inside the overlay, with its own fields', () => {
+  const result = runAnalysis('clip', {
+    input: [turf.lineString([[-1, 1], [5, 1]], { road: 'Ring' }), square(3, 3, 1, { zone: 'outside' }), turf.point([1, 1], { tree: 'elm' })],
+    overlay: ZONES
+  });
+
+  assert.deepEqual(result.features.map(feature => [bbox(feature), feature.properties]), [
+    [[0, 1, 4, 1], { road: 'Ring' }],
+    [[1, 1, 1, 1], { tree: 'elm' }]
+  ]);
+});
+
+test('spatial-join: counts containing polygons and copies the first one\'s fields', () => {
+  const input = [turf.point([1, 1], { id: 1 }), turf.point([9, 9], { id: 2 }), square(2.5, 0.5, 1, { id: 3 })];
+  const overlay = [square(0, 0, 2, { zone: 'A', owner: 'city' }), square(0.5, 0.5, 1, { zone: 'inner' }), square(2, 0, 2, { zone: 'B' })];
+
+  const result = runAnalysis('spatial-join', { input, overlay, options: { fields: ['zone'], keepUnmatched: true } });
+  assert.deepEqual(result.features.map(feature => feature.properties), [
+    { id: 1, zone: 'A', join_count: 2 },
+    { id: 2, join_count: 0 },
+    { id: 3, zone: 'B', join_count: 1 }
+  ]);
+
+  const matchedOnly = runAnalysis('spatial-join', { input, overlay, options: { fields: null, keepUnmatched: false } });
+  assert.deepEqual(matchedOnly.features.map(feature => feature.properties.id), [1, 3]);
+  assert.equal(matchedOnly.features[0].properties.owner, 'city');
+});
+
+test('runAnalysis: features without usable geometry are skipped and counted', () => {
+  const result = runAnalysis('centroid', {
+    input: [{ type: 'Feature', geometry: null, properties: {} }, { type: 'Feature', geometry: { type: 'Point', coordinates: [] }, properties: {} }, turf.point([1, 2])]
+  });
+
+  assert.deepEqual(result.metadata, { operation: 'centroid', inputCount: 3, overlayCount: null, resultCount: 1, skipped: 2 });
+});
+
+// The API over two Teable tables, with the owner of the zones hidden from
+// the editor
+addTeableTable({
+  id: 'tblTrees',
+  name: 'Trees',
+  fields: [
+    { id: 'fldSpecies', name: 'species', type: 'singleLineText' },
+    { id: 'fldGeometry', name: 'geometry', type: 'longText' }
+  ],
+  records: [
+    { id: 'recOak', fields: { species: 'oak', geometry: 'POINT (1 1)' } },
+    { id: 'recElm', fields: { species: 'elm', geometry: 'POINT (9 9)' } }
+  ]
+});
+addTeableTable({
+  id: 'tblZones',
+  name: 'Zones',
+  fields: [
+    { id: 'fldZone', name: 'zone', type: 'singleLineText' },
+    { id: 'fldOwner', name: 'owner', type: 'singleLineText' },
+    { id: 'fldGeometry', name: 'geometry', type: 'longText' }
+  ],
+  records: [{ id: 'recZoneA', fields: { zone: 'A', owner: 'Ann', geometry: 'POLYGON ((0 0, 2 0, 2 2, 0 2, 0 0))' } }]
+});
+
+stubSupabase((url, init) => {
+  if (url.pathname === '/rest/v1/user_field_permissions' && isServiceRole(init) &&
+      url.searchParams.get('user_id') === `eq.${userIdOf('editor')}` && url.searchParams.get('table_id') === 'eq.tblZones') {
+    return json([{ field_id: 'fldOwner', permission: 'none' }]);
+  }
+});
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+const ANALYSIS = `/api/data/${CUSTOMER_ID}/analysis`;
+
+test('analysis: runs a spatial join over two tables without hidden fields', async () => {
+  const body = { operation: 'spatial-join', input: { tableId: 'tblTrees' }, overlay: { tableId: 'tblZones' } };
+
+  const viewer = await call('viewer', 'POST', ANALYSIS, body);
+  assert.equal(viewer.status, 200);
+  assert.deepEqual(viewer.body.features.map(feature => feature.properties), [
+    { species: 'oak', zone: 'A', owner: 'Ann', join_count: 1 },
+    { species: 'elm', join_count: 0 }
+  ]);
+
+  const editor = await call('editor', 'POST', ANALYSIS, body);
+  assert.deepEqual(editor.body.features[0].properties, { species: 'oak', zone: 'A', join_count: 1 });
+});
+
+test('analysis: invalid requests are refused', async () => {
+  assert.equal((await call('viewer', 'POST', ANALYSIS, { operation: 'voronoi', input: { tableId: 'tblTrees' } })).status, 400);
+  assert.equal((await call('viewer', 'POST', ANALYSIS, { operation: 'centroid' })).status, 400);
+  assert.equal((await call('viewer', 'POST', ANALYSIS, { operation: 'clip', input: { tableId: 'tblTrees' } })).status, 400);
+  assert.equal((await call('viewer', 'POST', ANALYSIS, { operation: 'buffer', input: { tableId: 'tblTrees' }, options: { distance: -1 } })).status, 400);
+});
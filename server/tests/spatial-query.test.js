@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSpatialQuery, applySpatialQuery, fetchRecordsPage } from '../utils/spatial-query.js';
+import { BaseDataAdapter } from '../adapters/BaseDataAdapter.js';
+
+function point(id, lng, lat) {
+  return { type: 'Feature', id, geometry: { type: 'Point', coordinates: [lng, lat] }, properties: { name: id } };
+}
+
+// Points along the equator, one every 0.1 degrees (about 11 km)
+const FEATURES = Array.from({ length: 20 }, (_, index) => point(`p${index}`, index / 10, 0));
+
+class MemoryAdapter extends BaseDataAdapter {
+  async fetchRecords({ limit = 100, offset = 0 } = {}) {
+    return { type: 'FeatureCollection', features: FEATURES.slice(offset, offset + limit) };
+  }
+}
+
+test('parseSpatialQuery: no spatial parameters means no spatial filter', () => {
+  assert.deepEqual(parseSpatialQuery({ limit: '10' }), { spatial: null });
+});
+
+test('parseSpatialQuery: rejects malformed parameters', () => {
+  assert.match(parseSpatialQuery({ bbox: '1,2,3' }).error, /Invalid bbox/);
+  assert.match(parseSpatialQuery({ intersects: 'POLYGON ((' }).error, /Invalid intersects/);
+  assert.match(parseSpatialQuery({ near: '200,0', radius: '10' }).error, /Invalid near/);
+  assert.match(parseSpatialQuery({ near: '0,0' }).error, /radius must be between/);
+  assert.match(parseSpatialQuery({ near: '0,0', radius: '2000000' }).error, /radius must be between/);
+});
+
+test('parseSpatialQuery: accepts GeoJSON and WKT geometries', () => {
+  const wkt = parseSpatialQuery({ intersects: 'POLYGON ((0 0, 1 0, 1 1, 0 1, 0 0))' }).spatial;
+  const geojson = parseSpatialQuery({ intersects: JSON.stringify({ type: 'Point', coordinates: [5, 5] }) }).spatial;
+
+  assert.equal(wkt.intersects.type, 'Polygon');
+  assert.deepEqual(geojson.intersects, { type: 'Point', coordinates: [5, 5] });
+});
+
+test('applySpatialQuery: bbox, intersects and near combine with AND', () => {
+  const { spatial } = parseSpatialQuery({
+    bbox: '0.25,-1,2,1',
+    intersects: 'POLYGON ((0 -1, 0.95 -1, 0.95 1, 0 1, 0 -1))'
+  });
+
+  assert.deepEqual(applySpatialQuery(FEATURES, spatial).map(feature => feature.id), ['p3', 'p4', 'p5', 'p6', 'p7', 'p8', 'p9']);
+});
+
+test('applySpatialQuery: near keeps features within the radius, nearest first', () => {
+  const { spatial } = parseSpatialQuery({ near: '1.02,0', radius: '25000' });
+  const matches = applySpatialQuery(FEATURES, spatial, { sortByDistance: true });
+
+  assert.deepEqual(matches.map(feature => feature.id), ['p10', 'p11', 'p9', 'p12', 'p8']);
+});
+
+test('fetchRecordsPage: pages after filtering so the total counts every match', async () => {
+  const { spatial } = parseSpatialQuery({ bbox: '0.45,-1,1.45,1' });
+  const adapter = new MemoryAdapter({});
+
+  const first = await fetchRecordsPage(adapter, { limit: 4, offset: 0 }, spatial);
+  const last = await fetchRecordsPage(adapter, { limit: 4, offset: 8 }, spatial);
+
+  assert.deepEqual(first.metadata, { total: 10, limit: 4, offset: 0, hasMore: true });
+  assert.deepEqual(first.features.map(feature => feature.id), ['p5', 'p6', 'p7', 'p8']);
+  assert.deepEqual(last.features.map(feature => feature.id), ['p13', 'p14']);
+  assert.equal(last.metadata.hasMore, false);
+});
+
+test('fetchRecordsPage: without spatial filters the adapter pages itself', async () => {
+  const page = await fetchRecordsPage(new MemoryAdapter({}), { limit: 3, offset: 2 }, null);
+  assert.deepEqual(page.features.map(feature => feature.id), ['p2', 'p3', 'p4']);
+});
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+
+// Harness for the API tests: the routers mounted as in index.js on a local
+// port, with Supabase and Teable replaced by a fetch stub. Supabase knows the
+// sessions in SESSIONS and one Teable customer (its config only for the
+// service role, as RLS allows) and answers every other query with no rows
+// unless a test adds an answer with stubSupabase; Teable answers GETs and
+// writes alike from TEABLE_DATA, keyed by path (see addTeableTable).
+
+export const SUPABASE_URL = 'http://supabase.test';
+export const TEABLE_URL = 'http://teable.test';
+export const CUSTOMER_ID = '11111111-1111-1111-1111-111111111111';
+
+process.env.VITE_SUPABASE_URL = SUPABASE_URL;
+process.env.VITE_SUPABASE_ANON_KEY = 'anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+process.env.ENCRYPTION_KEY = '0123456789abcdef0123456789abcdef';
+
+export const SESSIONS = {
+  viewer: { user_type: 'customer_user', role: 'viewer' },
+  editor: { user_type: 'customer_user', role: 'editor' },
+  admin: { user_type: 'customer_user', role: 'admin' },
+  system_admin: { user_type: 'system_admin', role: 'system_admin' },
+  super_admin: { user_type: 'system_admin', role: 'super_admin' }
+};
+
+const sessionRows = new Map(Object.entries(SESSIONS).map(([name, session]) => [
+  crypto.createHash('sha256').update(`${name}-token`).digest('hex'),
+  {
+    id: crypto.randomUUID(),
+    ...session,
+    user_id: crypto.randomUUID(),
+    customer_id: session.user_type === 'customer_user' ? CUSTOMER_ID : null,
+    user_email: `${name}@example.com`,
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    last_activity_at: new Date().toISOString(),
+    revoked_at: null
+  }
+]));
+
+export function userIdOf(sessionName) {
+  return [...sessionRows.values()].find(row => row.user_email === `${sessionName}@example.com`).user_id;
+}
+
+// The customer's Teable config row; tests may add field_mappings
+export const TEABLE_CONFIG = {
+  customer_id: CUSTOMER_ID,
+  base_url: TEABLE_URL,
+  space_id: 'spcCustomer',
+  base_id: 'bseCustomer',
+  access_token: 'teable-token',
+  is_active: true
+};
+
+// Answers by path: a body, or a function (url, { method, body }) returning one
+export const TEABLE_DATA = {
+  '/api/base/bseCustomer/table': [],
+  '/api/space/spcCustomer/collaborators': { collaborators: [] }
+};
+
+/**
+ * Adds a table to the customer's base: its fields, its records paged with
+ * take/skip as Teable pages them, each record by id and the row count.
+ */
+export function addTeableTable({ id, name, fields, records = [] }) {
+  TEABLE_DATA['/api/base/bseCustomer/table'].push({ id, name });
+  TEABLE_DATA[`/api/table/${id}/field`] = { fields };
+  TEABLE_DATA[`/api/table/${id}/record`] = url => {
+    const skip = parseInt(url.searchParams.get('skip')) || 0;
+    const take = parseInt(url.searchParams.get('take')) || records.length;
+    return { records: records.slice(skip, skip + take) };
+  };
+  TEABLE_DATA[`/api/table/${id}/aggregation/row-count`] = { rowCount: records.length };
+  records.forEach(record => {
+    TEABLE_DATA[`/api/table/${id}/record/${record.id}`] = record;
+  });
+}
+
+// Requests the stub's Teable received, to check what the server forwards
+export const teableRequests = [];
+
+export const realFetch = globalThis.fetch;
+
+const supabaseAnswers = [];
+
+export function isServiceRole(init) {
+  return new Headers(init.headers).get('apikey') === process.env.SUPABASE_SERVICE_ROLE_KEY;
+}
+
+export function json(body) {
+  return new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+}
+
+/**
+ * Adds a Supabase answer: answer(url, init, { method, single }) returns a
+ * Response, or undefined to leave the request to the next answer. single
+ * is set for .single() queries, which expect an object instead of rows.
+ */
+export function stubSupabase(answer) {
+  supabaseAnswers.push(answer);
+}
+
+globalThis.fetch = async (input, init = {}) => {
+  const url = new URL(typeof input === 'string' ? input : input.url);
+  if (url.origin === TEABLE_URL) {
+    const request = { method: init.method || 'GET', url, body: init.body ? JSON.parse(init.body) : null };
+    teableRequests.push(request);
+    const answer = TEABLE_DATA[url.pathname];
+    const body = typeof answer === 'function' ? answer(url, request) : answer;
+    return body ? json(body) : new Response('{}', { status: 404 });
+  }
+  if (url.origin !== SUPABASE_URL) {
+    return realFetch(input, init);
+  }
+
+  const method = init.method || 'GET';
+  if (url.pathname === '/rest/v1/user_sessions' && method === 'GET') {
+    const hash = (url.searchParams.get('token_hash') || '').replace(/^eq\./, '');
+    const row = sessionRows.get(hash);
+    return json(row ? [row] : []);
+  }
+
+  const accept = new Headers(init.headers).get('accept') || '';
+  const single = accept.includes('vnd.pgrst.object');
+  if (url.pathname === '/rest/v1/customers' && single && url.searchParams.get('id') === `eq.${CUSTOMER_ID}`) {
+    return json({ id: CUSTOMER_ID, data_source: 'teable' });
+  }
+  if (url.pathname === '/rest/v1/customer_teable_config' && single && isServiceRole(init)) {
+    return json(TEABLE_CONFIG);
+  }
+
+  for (const answer of supabaseAnswers) {
+    const response = answer(url, init, { method, single });
+    if (response) return response;
+  }
+
+  return json(single ? {} : []);
+};
+
+let server = null;
+let baseUrl = null;
+
+export async function startApi() {
+  const { default: express } = await import('express');
+  const { requireSession } = await import('../../middleware/session.js');
+  const { authRouter } = await import('../../routes/auth.js');
+  const { customerRouter } = await import('../../routes/customers.js');
+  const { dataRouter } = await import('../../routes/data.js');
+  const { htmlEditorRouter } = await import('../../routes/html-editor.js');
+  const { googleSheetsRouter } = await import('../../routes/google-sheets.js');
+  const { onboardingRouter } = await import('../../routes/onboarding.js');
+  const { ogcRouter } = await import('../../routes/ogc.js');
+  const { wfsRouter } = await import('../../routes/wfs.js');
+  const { publicMapsRouter, publicMapDataRouter, publicMapEmbedRouter } = await import('../../routes/public-maps.js');
+  const { savedViewsRouter } = await import('../../routes/saved-views.js');
+
+  // Mounted as in index.js
+  const app = express();
+  app.use(express.json());
+  app.use('/api/google-sheets', requireSession, googleSheetsRouter);
+  app.use('/api/onboarding', requireSession, onboardingRouter);
+  app.use('/api/auth', authRouter);
+  app.use('/api/customers', requireSession, customerRouter);
+  app.use('/api/html-editor', requireSession, htmlEditorRouter);
+  app.use('/api/data', requireSession, dataRouter);
+  app.use('/api/ogc', requireSession, ogcRouter);
+  app.use('/api/wfs', requireSession, wfsRouter);
+  app.use('/api/public-maps', requireSession, publicMapsRouter);
+  app.use('/api/views', requireSession, savedViewsRouter);
+  app.use('/api/public', publicMapDataRouter);
+  app.use('/embed', publicMapEmbedRouter);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return baseUrl;
+}
+
+export function stopApi() {
+  server?.close();
+}
+
+export async function call(sessionName, method, path, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (sessionName) headers.Authorization = `Bearer ${sessionName}-token`;
+
+  const response = await realFetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // XML, tiles and pages are checked through text
+  }
+  return { status: response.status, headers: response.headers, text, body: parsed };
+}
@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import vm from 'vm';
+
+// public/js/timeline.js is a browser script shared by the map and the public
+// map. It runs here in a context of its own with a fake interval timer; the
+// timeline's control elements are plain objects, as only their values are read.
+// Objects made in that context are cloned before deep comparisons, which
+// would otherwise fail on their prototypes.
+
+const source = readFileSync(new URL('../../public/js/timeline.js', import.meta.url), 'utf-8');
+
+function loadTimeline() {
+  const intervals = [];
+  const context = {
+    window: {},
+    setInterval: (callback, delay) => intervals.push({ callback, delay }),
+    clearInterval: () => {}
+  };
+  vm.runInNewContext(source, context);
+  return { MapTimeline: context.window.MapTimeline, intervals };
+}
+
+const { MapTimeline } = loadTimeline();
+
+function createTimeline(Timeline = MapTimeline, { step = 'day', speed = 1000 } = {}) {
+  const timeline = Object.create(Timeline.prototype);
+  const changes = [];
+  Object.assign(timeline, {
+    onChange: range => changes.push(structuredClone(range)),
+    step,
+    speed,
+    extent: null,
+    ticks: [],
+    from: 0,
+    to: 0,
+    timer: null,
+    elements: {
+      container: { style: {} },
+      label: {},
+      from: {},
+      to: {},
+      play: {},
+      step: {},
+      speed: {}
+    }
+  });
+  return { timeline, changes };
+}
+
+const utc = (...parts) => Date.UTC(...parts);
+
+test('parseTime: ISO strings, dates and epoch numbers; null for anything else', () => {
+  assert.equal(MapTimeline.parseTime('2025-03-04'), utc(2025, 2, 4));
+  assert.equal(MapTimeline.parseTime('2025-03-04T10:30:00Z'), utc(2025, 2, 4, 10, 30));
+  assert.equal(MapTimeline.parseTime(new Date(utc(2025, 0, 1))), utc(2025, 0, 1));
+  assert.equal(MapTimeline.parseTime(utc(2025, 0, 1)), utc(2025, 0, 1));
+
+  assert.equal(MapTimeline.parseTime(''), null);
+  assert.equal(MapTimeline.parseTime(null), null);
+  assert.equal(MapTimeline.parseTime('next week'), null);
+  assert.equal(MapTimeline.parseTime(new Date('nope')), null);
+  assert.equal(MapTimeline.parseTime(Infinity), null);
+});
+
+test('inRange: instants and intervals touching the range, end exclusive', () => {
+  const range = { start: utc(2025, 2, 1), end: utc(2025, 3, 1) };
+
+  assert.ok(MapTimeline.inRange('2025-03-01', null, range));
+  assert.ok(MapTimeline.inRange('2025-03-31T23:59:59Z', '', range));
+  assert.ok(!MapTimeline.inRange('2025-04-01', null, range));
+  assert.ok(!MapTimeline.inRange('2025-02-28', undefined, range));
+
+  // Open before the range and still open in it
+  assert.ok(MapTimeline.inRange('2025-01-15', '2025-03-02', range));
+  assert.ok(!MapTimeline.inRange('2025-01-15', '2025-02-27', range));
+  // A feature without a usable start is never shown
+  assert.ok(!MapTimeline.inRange('', '2025-03-15', range));
+});
+
+test('floorTime and addStep: UTC days, Monday weeks and months', () => {
+  const wednesday = utc(2025, 2, 5, 17, 45);
+
+  assert.equal(MapTimeline.floorTime(wednesday, 'day'), utc(2025, 2, 5));
+  assert.equal(MapTimeline.floorTime(wednesday, 'week'), utc(2025, 2, 3));
+  assert.equal(MapTimeline.floorTime(utc(2025, 2, 9), 'week'), utc(2025, 2, 3));
+  assert.equal(MapTimeline.floorTime(wednesday, 'month'), utc(2025, 2, 1));
+
+  assert.equal(MapTimeline.addStep(utc(2025, 1, 28), 'day'), utc(2025, 2, 1));
+  assert.equal(MapTimeline.addStep(utc(2025, 2, 3), 'week', 2), utc(2025, 2, 17));
+  assert.equal(MapTimeline.addStep(utc(2025, 11, 1), 'month'), utc(2026, 0, 1));
+  assert.equal(MapTimeline.addStep(utc(2025, 2, 1), 'month', -3), utc(2024, 11, 1));
+});
+
+test('setExtent: one tick per step, everything selected, hidden without an extent', () => {
+  const { timeline } = createTimeline();
+  timeline.setExtent(utc(2025, 0, 1, 12), utc(2025, 0, 10, 8));
+
+  assert.equal(timeline.ticks.length, 10);
+  assert.equal(timeline.ticks[0], utc(2025, 0, 1));
+  assert.equal(timeline.elements.from.max, '9');
+  assert.equal(timeline.elements.container.style.display, 'block');
+  assert.deepEqual(structuredClone(timeline.getRange()), { start: utc(2025, 0, 1), end: utc(2025, 0, 11) });
+  assert.equal(typeof timeline.elements.label.textContent, 'string');
+
+  timeline.setExtent(null, null);
+  assert.equal(timeline.getRange(), null);
+  assert.ok(!timeline.isActive());
+  assert.equal(timeline.elements.container.style.display, 'none');
+});
+
+test('setExtent: a selection that still fits is kept when the data changes', () => {
+  const { timeline } = createTimeline();
+  timeline.setExtent(utc(2025, 0, 1), utc(2025, 0, 31));
+  timeline.setWindow(4, 6);
+
+  timeline.setExtent(utc(2024, 11, 1), utc(2025, 1, 28));
+  assert.deepEqual(structuredClone(timeline.getRange()), { start: utc(2025, 0, 5), end: utc(2025, 0, 8) });
+});
+
+test('buildTicks: extents too long for day steps fall back to coarser steps', () => {
+  const { timeline } = createTimeline();
+  timeline.setExtent(utc(2000, 0, 1), utc(2025, 0, 1));
+
+  assert.equal(timeline.step, 'week');
+  assert.equal(timeline.elements.step.value, 'week');
+  assert.ok(timeline.ticks.length <= 5000);
+
+  const { timeline: monthly } = createTimeline(MapTimeline, { step: 'month' });
+  monthly.setExtent(utc(2025, 0, 15), utc(2025, 5, 2));
+  assert.deepEqual(structuredClone(monthly.ticks), [0, 1, 2, 3, 4, 5].map(month => utc(2025, month, 1)));
+});
+
+test('setWindow: the handle being dragged pushes the other one', () => {
+  const { timeline } = createTimeline();
+  timeline.setExtent(utc(2025, 0, 1), utc(2025, 0, 10));
+
+  timeline.setWindow(2, 4);
+  timeline.setWindow(6, 4, 'from');
+  assert.deepEqual([timeline.from, timeline.to], [6, 6]);
+
+  timeline.setWindow(6, 3, 'to');
+  assert.deepEqual([timeline.from, timeline.to], [3, 3]);
+
+  timeline.setWindow(-5, 50);
+  assert.deepEqual([timeline.from, timeline.to], [0, 9]);
+  assert.equal(timeline.elements.to.value, '9');
+});
+
+test('stepBy: the window keeps its width and stops at the ends', () => {
+  const { timeline, changes } = createTimeline();
+  timeline.setExtent(utc(2025, 0, 1), utc(2025, 0, 5));
+  timeline.setWindow(0, 1);
+
+  assert.ok(timeline.stepBy(1));
+  assert.deepEqual(changes.at(-1), { start: utc(2025, 0, 2), end: utc(2025, 0, 4) });
+  assert.ok(timeline.stepBy(5));
+  assert.deepEqual([timeline.from, timeline.to], [3, 4]);
+  assert.ok(!timeline.stepBy(1));
+  assert.ok(timeline.stepBy(-10));
+  assert.deepEqual([timeline.from, timeline.to], [0, 1]);
+  assert.equal(changes.length, 3);
+});
+
+test('setStep: switching steps keeps the selected period', () => {
+  const { timeline, changes } = createTimeline();
+  timeline.setExtent(utc(2025, 0, 1), utc(2025, 2, 31));
+  timeline.setWindow(timeline.indexOf(utc(2025, 1, 10)), timeline.indexOf(utc(2025, 1, 12)));
+
+  timeline.setStep('month');
+  assert.equal(timeline.step, 'month');
+  assert.deepEqual(changes.at(-1), { start: utc(2025, 1, 1), end: utc(2025, 2, 1) });
+
+  timeline.setStep('fortnight');
+  assert.equal(timeline.step, 'month');
+});
+
+test('play: steps one period at a time from the start and pauses at the end', () => {
+  const { MapTimeline: Timeline, intervals } = loadTimeline();
+  const { timeline, changes } = createTimeline(Timeline, { speed: 500 });
+  timeline.setExtent(utc(2025, 0, 1), utc(2025, 0, 3));
+
+  timeline.play();
+  assert.equal(intervals.length, 1);
+  assert.equal(intervals[0].delay, 500);
+  assert.deepEqual(changes[0], { start: utc(2025, 0, 1), end: utc(2025, 0, 2) });
+  assert.equal(timeline.elements.play.title, 'Pause');
+
+  intervals[0].callback();
+  intervals[0].callback();
+  assert.deepEqual(changes.at(-1), { start: utc(2025, 0, 3), end: utc(2025, 0, 4) });
+
+  intervals[0].callback();
+  assert.equal(timeline.timer, null);
+  assert.equal(timeline.elements.play.title, 'Play');
+
+  // Playing again from the end starts over with the same width
+  timeline.play();
+  assert.deepEqual(changes.at(-1), { start: utc(2025, 0, 1), end: utc(2025, 0, 2) });
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VectorTile } from '@mapbox/vector-tile';
+import Pbf from 'pbf';
+import { isValidTile, getTileIndex, encodeTile, getTileETag, TILE_EXTENT } from '../utils/vector-tiles.js';
+import { FeatureIndex } from '../utils/feature-cache.js';
+
+const index = new FeatureIndex([
+  { type: 'Feature', id: 'recOrigin', geometry: { type: 'Point', coordinates: [0, 0] }, properties: { name: 'Origin', salary: 100 } },
+  { type: 'Feature', id: 'recRoad', geometry: { type: 'LineString', coordinates: [[-10, -10], [10, 10]] }, properties: { name: 'Road' } },
+  { type: 'Feature', id: 'recNone', geometry: null, properties: { name: 'No location' } }
+]);
+
+const hidesSalary = { canView: field => field !== 'salary' };
+
+function decode(buffer, layerName) {
+  const layer = new VectorTile(new Pbf(buffer)).layers[layerName];
+  return Array.from({ length: layer.length }, (_, position) => layer.feature(position));
+}
+
+test('isValidTile: tile coordinates must exist at the zoom level', () => {
+  assert.equal(isValidTile(0, 0, 0), true);
+  assert.equal(isValidTile(3, 7, 7), true);
+  assert.equal(isValidTile(3, 8, 0), false);
+  assert.equal(isValidTile(-1, 0, 0), false);
+  assert.equal(isValidTile(23, 0, 0), false);
+  assert.equal(isValidTile(1.5, 0, 0), false);
+});
+
+test('encodeTile: one layer named after the table with record ids and visible fields', () => {
+  const features = decode(encodeTile(getTileIndex(index), 0, 0, 0, 'tblSites', hidesSalary), 'tblSites');
+
+  assert.deepEqual(features.map(feature => feature.properties).sort((a, b) => a.name.localeCompare(b.name)), [
+    { name: 'Origin', recordId: 'recOrigin' },
+    { name: 'Road', recordId: 'recRoad' }
+  ]);
+
+  const origin = features.find(feature => feature.properties.recordId === 'recOrigin');
+  assert.equal(origin.extent, TILE_EXTENT);
+  const [[{ x, y }]] = origin.loadGeometry();
+  assert.deepEqual([x, y], [TILE_EXTENT / 2, TILE_EXTENT / 2]);
+  assert.deepEqual(origin.toGeoJSON(0, 0, 0).geometry.coordinates, [0, 0]);
+});
+
+test('encodeTile: features are clipped to their tiles and empty tiles are null', () => {
+  const northEast = decode(encodeTile(getTileIndex(index), 1, 1, 0, 'tblSites', hidesSalary), 'tblSites');
+  assert.deepEqual(northEast.map(feature => feature.properties.recordId).sort(), ['recOrigin', 'recRoad']);
+
+  assert.equal(encodeTile(getTileIndex(index), 5, 0, 0, 'tblSites', hidesSalary), null);
+});
+
+test('getTileIndex: one sliced index per feature index', () => {
+  assert.equal(getTileIndex(index), getTileIndex(index));
+  assert.notEqual(getTileIndex(new FeatureIndex(index.features)), getTileIndex(index));
+});
+
+test('getTileETag: changes with the tile content', () => {
+  const tileIndex = getTileIndex(index);
+  const tile = encodeTile(tileIndex, 0, 0, 0, 'tblSites', hidesSalary);
+  const withSalary = encodeTile(tileIndex, 0, 0, 0, 'tblSites', { canView: () => true });
+
+  assert.equal(getTileETag(tile), getTileETag(Buffer.from(tile)));
+  assert.notEqual(getTileETag(tile), getTileETag(withSalary));
+});
@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { CUSTOMER_ID, addTeableTable, isServiceRole, json, stubSupabase, startApi, stopApi, userIdOf, call } from './support/api.js';
+
+// WFS 2.0 over a Teable table of three parks, with the budget hidden from the
+// editor.
+
+addTeableTable({
+  id: 'tblParks',
+  name: 'Parks',
+  fields: [
+    { id: 'fldName', name: 'name', type: 'singleLineText' },
+    { id: 'fldVisitors', name: 'visitors', type: 'number' },
+    { id: 'fldBudget', name: 'budget', type: 'number' },
+    { id: 'fldGeometry', name: 'geometry', type: 'longText' }
+  ],
+  records: [
+    { id: 'recVondel', fields: { name: 'Vondelpark & Co', visitors: 10, budget: 5, geometry: 'POINT (4.87 52.36)' } },
+    { id: 'recWester', fields: { name: 'Westerpark', visitors: 20, budget: 6, geometry: 'POINT (4.88 52.39)' } },
+    { id: 'recTiergarten', fields: { name: 'Tiergarten', visitors: 30, budget: 7, geometry: 'POINT (13.35 52.51)' } }
+  ]
+});
+
+stubSupabase((url, init) => {
+  if (url.pathname === '/rest/v1/user_field_permissions' && isServiceRole(init) &&
+      url.searchParams.get('user_id') === `eq.${userIdOf('editor')}`) {
+    return json([{ field_id: 'fldBudget', permission: 'none' }]);
+  }
+});
+
+const WFS = `/api/wfs/${CUSTOMER_ID}?SERVICE=WFS&VERSION=2.0.0`;
+
+function parseXml(text) {
+  const errors = [];
+  const document = new DOMParser({ onError: (level, message) => errors.push(message) }).parseFromString(text, 'application/xml');
+  assert.deepEqual(errors, []);
+  return document;
+}
+
+function textOf(document, tagName) {
+  return Array.from(document.getElementsByTagName(tagName)).map(element => element.textContent);
+}
+
+before(async () => {
+  await startApi();
+});
+
+after(() => {
+  stopApi();
+});
+
+test('wfs: GetCapabilities lists every table as a feature type', async () => {
+  const { status, text } = await call('viewer', 'GET', `${WFS}&REQUEST=GetCapabilities`);
+
+  assert.equal(status, 200);
+  const document = parseXml(text);
+  assert.deepEqual(textOf(document, 'Name'), ['gis:tblParks']);
+  assert.deepEqual(textOf(document, 'Title'), ['Parks']);
+});
+
+test('wfs: DescribeFeatureType describes the visible fields once', async () => {
+  const { text } = await call('editor', 'GET', `${WFS}&REQUEST=DescribeFeatureType&TYPENAMES=gis:tblParks`);
+
+  const elements = Array.from(parseXml(text).getElementsByTagName('xsd:element')).map(element =>
+    [element.getAttribute('name'), element.getAttribute('type')]);
+  assert.deepEqual(elements, [
+    ['tblParks', 'gis:tblParksType'],
+    ['geometry', 'gml:GeometryPropertyType'],
+    ['name', 'xsd:string'],
+    ['visitors', 'xsd:double']
+  ]);
+});
+
+test('wfs: GetFeature writes GML 3.2 in lat/lon order for EPSG:4326', async () => {
+  const { status, headers, text } = await call('editor', 'GET', `${WFS}&REQUEST=GetFeature&TYPENAMES=gis:tblParks&COUNT=2`);
+
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /application\/gml\+xml/);
+  const document = parseXml(text);
+  const collection = document.documentElement;
+  assert.equal(collection.getAttribute('numberMatched'), '3');
+  assert.equal(collection.getAttribute('numberReturned'), '2');
+  assert.deepEqual(textOf(document, 'gml:pos'), ['52.36 4.87', '52.39 4.88']);
+  assert.deepEqual(textOf(document, 'gis:name'), ['Vondelpark & Co', 'Westerpark']);
+  assert.deepEqual(textOf(document, 'gis:budget'), []);
+});
+
+test('wfs: CRS84 and BBOX follow their axis order', async () => {
+  const crs84 = await call('viewer', 'GET', `${WFS}&REQUEST=GetFeature&TYPENAMES=tblParks&SRSNAME=${encodeURIComponent('http://www.opengis.net/def/crs/OGC/1.3/CRS84')}&STARTINDEX=2`);
+  assert.deepEqual(textOf(parseXml(crs84.text), 'gml:pos'), ['13.35 52.51']);
+
+  // Lat/lon by default: this box covers Amsterdam only
+  const bbox = await call('viewer', 'GET', `${WFS}&REQUEST=GetFeature&TYPENAMES=tblParks&BBOX=52.3,4.8,52.4,5`);
+  assert.deepEqual(textOf(parseXml(bbox.text), 'gis:name'), ['Vondelpark & Co', 'Westerpark']);
+});
+
+test('wfs: GeoJSON output, hits and PROPERTYNAME', async () => {
+  const geojson = await call('viewer', 'GET', `${WFS}&REQUEST=GetFeature&TYPENAMES=tblParks&OUTPUTFORMAT=application/json&PROPERTYNAME=name&COUNT=1`);
+  assert.equal(geojson.body.numberMatched, 3);
+  assert.deepEqual(geojson.body.features[0].properties, { name: 'Vondelpark & Co' });
+  assert.deepEqual(geojson.body.features[0].geometry, { type: 'Point', coordinates: [4.87, 52.36] });
+
+  const hits = await call('viewer', 'GET', `${WFS}&REQUEST=GetFeature&TYPENAMES=tblParks&RESULTTYPE=hits`);
+  const collection = parseXml(hits.text).documentElement;
+  assert.equal(collection.getAttribute('numberMatched'), '3');
+  assert.equal(collection.getAttribute('numberReturned'), '0');
+});
+
+test('wfs: errors are OWS exception reports', async () => {
+  const cases = [
+    ['', 'MissingParameterValue', 'REQUEST'],
+    ['&REQUEST=Transaction', 'OperationNotSupported', 'REQUEST'],
+    ['&REQUEST=GetFeature', 'MissingParameterValue', 'TYPENAMES'],
+    ['&REQUEST=GetFeature&TYPENAMES=gis:tblNone', 'InvalidParameterValue', 'TYPENAMES'],
+    ['&REQUEST=GetFeature&TYPENAMES=tblParks&SRSNAME=EPSG:3857', 'InvalidParameterValue', 'SRSNAME'],
+    ['&REQUEST=GetFeature&TYPENAMES=tblParks&PROPERTYNAME=budget', 'InvalidParameterValue', 'PROPERTYNAME']
+  ];
+
+  for (const [query, code, locator] of cases) {
+    const { status, text } = await call('editor', 'GET', `${WFS}${query}`);
+    const exception = parseXml(text).getElementsByTagName('ows:Exception')[0];
+
+    assert.equal(status, 400, query);
+    assert.equal(exception.getAttribute('exceptionCode'), code, query);
+    assert.equal(exception.getAttribute('locator'), locator, query);
+  }
+});
@@ -0,0 +1,114 @@
+import { hashPassword, verifyPassword } from './passwords.js';
+
+// Logins of the app_users table the browser setup creates in a customer's
+// Teable base (ensureSystemTables in public/js/teable-api.js). Passwords are
+// set and checked here against the stored record so hashes never reach the
+// browser.
+
+export const APP_USERS_TABLE = 'app_users';
+const PAGE_SIZE = 1000;
+
+// Only this module reads or writes these fields. The Teable adapter drops
+// them from features and FieldPermissions hides them and refuses writes, on
+// every data route and the proxy.
+export const SECRET_FIELDS = ['password_hash', 'admin_password_hash'];
+
+// Space owners sign in with their admin password, everyone else with theirs
+export const APP_USER_LOGIN_TYPES = {
+  space_owner: 'admin_password_hash',
+  app_user: 'password_hash'
+};
+
+export async function findAppUsersTable(adapter) {
+  const tables = await adapter.getTableList();
+  return tables.find(candidate => candidate.name === APP_USERS_TABLE) || null;
+}
+
+function isOwner(record) {
+  return String(record.fields?.role || '').toLowerCase() === 'owner';
+}
+
+async function findAppUser(adapter, tableId, email, userType) {
+  const hashField = APP_USER_LOGIN_TYPES[userType];
+
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const result = await adapter.request(`/api/table/${tableId}/record?take=${PAGE_SIZE}&skip=${skip}`);
+    const records = result.records || [];
+
+    const user = records.find(record =>
+      String(record.fields?.email || '').toLowerCase() === email &&
+      record.fields?.[hashField] &&
+      (userType !== 'space_owner' || isOwner(record))
+    );
+
+    if (user || records.length < PAGE_SIZE) {
+      return user || null;
+    }
+  }
+}
+
+/**
+ * Finds the app user and checks the password against the stored hash,
+ * recording the login and replacing hashes in outdated formats. Returns the
+ * app_users record, or null when the email or password is wrong.
+ */
+export async function verifyAppUserLogin(adapter, { email, password, userType }) {
+  const table = await findAppUsersTable(adapter);
+  if (!table) {
+    return null;
+  }
+
+  const user = await findAppUser(adapter, table.id, email.toLowerCase(), userType);
+  if (!user) {
+    return null;
+  }
+
+  const hashField = APP_USER_LOGIN_TYPES[userType];
+  const verification = await verifyPassword(password, user.fields[hashField]);
+
+  if (!verification.valid) {
+    return null;
+  }
+
+  const loginUpdate = { last_login: new Date().toISOString().split('T')[0] };
+  if (verification.needsRehash) {
+    loginUpdate[hashField] = await hashPassword(password);
+  }
+
+  try {
+    await adapter.request(`/api/table/${table.id}/record/${user.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ record: { fields: loginUpdate } })
+    });
+  } catch (error) {
+    console.warn('Failed to record app user login:', error.message);
+  }
+
+  return user;
+}
+
+/**
+ * Hashes and stores the password and/or admin password of an app_users
+ * record. Returns false when the base has no app_users table.
+ */
+export async function setAppUserPasswords(adapter, recordId, { password, adminPassword }) {
+  const table = await findAppUsersTable(adapter);
+  if (!table) {
+    return false;
+  }
+
+  const fields = {};
+  if (password != null) {
+    fields.password_hash = await hashPassword(password);
+  }
+  if (adminPassword != null) {
+    fields.admin_password_hash = await hashPassword(adminPassword);
+  }
+
+  await adapter.request(`/api/table/${table.id}/record/${encodeURIComponent(recordId)}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ record: { fields } })
+  });
+
+  return true;
+}
@@ -0,0 +1,248 @@
+import proj4 from 'proj4';
+
+// Coordinate reference systems. The API always speaks WGS 84 longitude/
+// latitude; a table whose coordinates are stored in another CRS (UTM, a
+// national grid) has that CRS in its field mappings and the adapters
+// reproject on read and write. The definitions below are bundled so no
+// lookup service is needed; .prj files outside the list are used directly
+// when proj4 can read their WKT.
+
+export const WGS84 = {
+  code: 'EPSG:4326',
+  name: 'WGS 84',
+  geographic: true,
+  supported: true
+};
+
+const ETRS89 = '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0';
+
+const NAMED_DEFINITIONS = {
+  'EPSG:4326': { name: 'WGS 84', proj4: '+proj=longlat +datum=WGS84 +no_defs' },
+  'EPSG:4269': { name: 'NAD83', proj4: '+proj=longlat +datum=NAD83 +no_defs' },
+  'EPSG:4258': { name: 'ETRS89', proj4: `+proj=longlat ${ETRS89} +no_defs` },
+  'EPSG:4283': { name: 'GDA94', proj4: `+proj=longlat ${ETRS89} +no_defs` },
+  'EPSG:7844': { name: 'GDA2020', proj4: '+proj=longlat +ellps=GRS80 +no_defs' },
+  'EPSG:4674': { name: 'SIRGAS 2000', proj4: `+proj=longlat ${ETRS89} +no_defs` },
+  'EPSG:3857': { name: 'WGS 84 / Pseudo-Mercator', proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs' },
+  'EPSG:3395': { name: 'WGS 84 / World Mercator', proj4: '+proj=merc +lon_0=0 +k=1 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs' },
+  'EPSG:27700': { name: 'OSGB36 / British National Grid', proj4: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs' },
+  'EPSG:2157': { name: 'IRENET95 / Irish Transverse Mercator', proj4: `+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=0.99982 +x_0=600000 +y_0=750000 ${ETRS89} +units=m +no_defs` },
+  'EPSG:2056': { name: 'CH1903+ / LV95', proj4: '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs' },
+  'EPSG:21781': { name: 'CH1903 / LV03', proj4: '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=600000 +y_0=200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs' },
+  'EPSG:2154': { name: 'RGF93 / Lambert-93', proj4: `+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 ${ETRS89} +units=m +no_defs` },
+  'EPSG:28992': { name: 'Amersfoort / RD New', proj4: '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.4171,50.3319,465.5524,1.9342,-1.6677,9.1019,4.0725 +units=m +no_defs' },
+  'EPSG:31467': { name: 'DHDN / 3-degree Gauss-Kruger zone 3', proj4: '+proj=tmerc +lat_0=0 +lon_0=9 +k=1 +x_0=3500000 +y_0=0 +ellps=bessel +towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs' },
+  'EPSG:31468': { name: 'DHDN / 3-degree Gauss-Kruger zone 4', proj4: '+proj=tmerc +lat_0=0 +lon_0=12 +k=1 +x_0=4500000 +y_0=0 +ellps=bessel +towgs84=598.1,73.7,418.2,0.202,0.045,-2.455,6.7 +units=m +no_defs' },
+  'EPSG:3035': { name: 'ETRS89-extended / LAEA Europe', proj4: `+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 ${ETRS89} +units=m +no_defs` },
+  'EPSG:3006': { name: 'SWEREF99 TM', proj4: `+proj=utm +zone=33 ${ETRS89} +units=m +no_defs` },
+  'EPSG:3067': { name: 'ETRS89 / TM35FIN(E,N)', proj4: `+proj=utm +zone=35 ${ETRS89} +units=m +no_defs` },
+  'EPSG:2180': { name: 'ETRS89 / Poland CS92', proj4: `+proj=tmerc +lat_0=0 +lon_0=19 +k=0.9993 +x_0=500000 +y_0=-5300000 ${ETRS89} +units=m +no_defs` },
+  'EPSG:3763': { name: 'ETRS89 / Portugal TM06', proj4: `+proj=tmerc +lat_0=39.6682583333333 +lon_0=-8.13310833333333 +k=1 +x_0=0 +y_0=0 ${ETRS89} +units=m +no_defs` },
+  'EPSG:2193': { name: 'NZGD2000 / New Zealand Transverse Mercator 2000', proj4: `+proj=tmerc +lat_0=0 +lon_0=173 +k=0.9996 +x_0=1600000 +y_0=10000000 ${ETRS89} +units=m +no_defs` },
+  'EPSG:3577': { name: 'GDA94 / Australian Albers', proj4: `+proj=aea +lat_0=0 +lon_0=132 +lat_1=-18 +lat_2=-36 +x_0=0 +y_0=0 ${ETRS89} +units=m +no_defs` },
+  'EPSG:5070': { name: 'NAD83 / Conus Albers', proj4: '+proj=aea +lat_0=23 +lon_0=-96 +lat_1=29.5 +lat_2=45.5 +x_0=0 +y_0=0 +datum=NAD83 +units=m +no_defs' },
+  'EPSG:2263': { name: 'NAD83 / New York Long Island (ftUS)', proj4: '+proj=lcc +lat_0=40.1666666666667 +lon_0=-74 +lat_1=41.0333333333333 +lat_2=40.6666666666667 +x_0=300000 +y_0=0 +datum=NAD83 +units=us-ft +no_defs' }
+};
+
+// UTM families: [first EPSG code, first zone, last zone, name prefix, proj4 parameters]
+const UTM_FAMILIES = [
+  [32601, 1, 60, 'WGS 84 / UTM zone {zone}N', '+datum=WGS84'],
+  [32701, 1, 60, 'WGS 84 / UTM zone {zone}S', '+south +datum=WGS84'],
+  [25828, 28, 38, 'ETRS89 / UTM zone {zone}N', ETRS89],
+  [26901, 1, 23, 'NAD83 / UTM zone {zone}N', '+datum=NAD83'],
+  [28348, 48, 58, 'GDA94 / MGA zone {zone}', `+south ${ETRS89}`],
+  [7846, 46, 59, 'GDA2020 / MGA zone {zone}', '+south +ellps=GRS80']
+];
+
+function buildDefinitions() {
+  const definitions = {};
+
+  UTM_FAMILIES.forEach(([firstCode, firstZone, lastZone, name, parameters]) => {
+    for (let zone = firstZone; zone <= lastZone; zone++) {
+      definitions[`EPSG:${firstCode + zone - firstZone}`] = {
+        name: name.replace('{zone}', zone),
+        proj4: `+proj=utm +zone=${zone} ${parameters} +units=m +no_defs`
+      };
+    }
+  });
+
+  Object.assign(definitions, NAMED_DEFINITIONS);
+
+  Object.entries(definitions).forEach(([code, definition]) => {
+    definition.geographic = definition.proj4.startsWith('+proj=longlat');
+    proj4.defs(code, definition.proj4);
+  });
+
+  return definitions;
+}
+
+export const CRS_DEFINITIONS = buildDefinitions();
+
+/**
+ * Accepts EPSG:27700, 27700, urn:ogc:def:crs:EPSG::27700,
+ * http://www.opengis.net/def/crs/EPSG/0/27700 or CRS84 and returns
+ * "EPSG:<code>", or null when the value does not name an EPSG code.
+ */
+export function normalizeCrsCode(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  if (/CRS:?84$/i.test(text)) return WGS84.code;
+
+  const match = text.match(/^(?:EPSG:{1,2})?(\d{4,5})$/i) ||
+    text.match(/EPSG(?::{1,2}|\/\d+\/)(\d{4,5})$/i);
+  return match ? `EPSG:${match[1]}` : null;
+}
+
+export function isWGS84(code) {
+  return !code || normalizeCrsCode(code) === WGS84.code;
+}
+
+// Describes a bundled CRS, or returns null.
+export function getCrs(value) {
+  const code = normalizeCrsCode(value);
+  const definition = code && CRS_DEFINITIONS[code];
+  return definition
+    ? { code, name: definition.name, geographic: definition.geographic, supported: true }
+    : null;
+}
+
+export function listCrs() {
+  return Object.entries(CRS_DEFINITIONS)
+    .map(([code, definition]) => ({ code, name: definition.name, geographic: definition.geographic }))
+    .sort((a, b) => Number(a.code.slice(5)) - Number(b.code.slice(5)));
+}
+
+function mapCoordinates(coordinates, convert) {
+  if (typeof coordinates[0] === 'number') {
+    return convert(coordinates.slice(0, 2));
+  }
+  return coordinates.map(item => mapCoordinates(item, convert));
+}
+
+function reprojectGeometry(geometry, convert) {
+  if (!geometry) return geometry;
+  if (geometry.type === 'GeometryCollection') {
+    return { ...geometry, geometries: (geometry.geometries || []).map(item => reprojectGeometry(item, convert)) };
+  }
+  if (!Array.isArray(geometry.coordinates)) return geometry;
+  return { ...geometry, coordinates: mapCoordinates(geometry.coordinates, convert) };
+}
+
+/**
+ * Converts GeoJSON geometries between a CRS (an EPSG code from the bundled
+ * list, or WKT) and WGS 84. Returns { toWGS84, fromWGS84 }, or null when no
+ * conversion is needed or the CRS cannot be read.
+ */
+export function createTransformer(crs) {
+  if (!crs || isWGS84(crs)) return null;
+
+  const code = normalizeCrsCode(crs);
+  let converter;
+  try {
+    converter = proj4(code ? (CRS_DEFINITIONS[code] ? code : null) : String(crs), WGS84.code);
+  } catch (error) {
+    return null;
+  }
+  if (!converter) return null;
+
+  // proj4 undoes a datum shift only approximately, which would move stored
+  // coordinates by millimetres on every save; one correction step against
+  // the forward transform removes that. What noise is left on projected
+  // coordinates is rounded away.
+  const refine = coordinate => {
+    const estimate = converter.inverse(coordinate);
+    const roundTrip = converter.inverse(converter.forward(estimate));
+    return estimate.map((value, index) => 2 * value - roundTrip[index]);
+  };
+  const projected = code && !CRS_DEFINITIONS[code].geographic;
+  const inverse = projected
+    ? coordinate => refine(coordinate).map(value => Math.round(value * 1000) / 1000)
+    : refine;
+
+  return {
+    toWGS84: geometry => reprojectGeometry(geometry, coordinate => converter.forward(coordinate)),
+    fromWGS84: geometry => reprojectGeometry(geometry, inverse)
+  };
+}
+
+/**
+ * Describes the CRS in a .prj file (WKT1 as written by ESRI tools, or WKT2).
+ * Returns { code, name, geographic, supported, wkt }; code is null when the
+ * file carries no EPSG identifier for the CRS itself, and supported says
+ * whether its coordinates can be converted to WGS 84.
+ */
+export function parsePrj(text) {
+  const wkt = String(text || '').trim();
+  const root = wkt.match(/^(PROJCS|GEOGCS|PROJCRS|GEOGCRS|GEODCRS|BASEGEOGCRS)\s*\[\s*"([^"]*)"/i);
+
+  if (!root) {
+    return { code: null, name: 'Unknown', geographic: false, supported: false, wkt };
+  }
+
+  const geographic = /^GEO/i.test(root[1]);
+
+  // The CRS's own identifier is the last one in the string; earlier ones
+  // belong to the datum, spheroid, units and so on
+  const authorities = [...wkt.matchAll(/(?:AUTHORITY|ID)\s*\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]\s*\]*$/gi)];
+  const code = authorities.length > 0 ? `EPSG:${authorities[authorities.length - 1][1]}` : null;
+
+  const datum = wkt.match(/DATUM\s*\[\s*"([^"]*)"/i)?.[1] || '';
+  const isWGS84Datum = geographic && /^(D_)?WGS[\s_]*(19)?84$/i.test(datum);
+  const supported = isWGS84Datum || !!(code && CRS_DEFINITIONS[code]) || !!createTransformer(wkt);
+
+  return { code: isWGS84Datum ? WGS84.code : code, name: root[2].replace(/_/g, ' '), geographic, supported, wkt };
+}
+
+// Typical coordinate ranges of the bundled projected CRSs, most specific
+// first, used to suggest a CRS for data that is clearly not longitude/latitude.
+const CRS_HINTS = [
+  { code: 'EPSG:2056', x: [2450000, 2850000], y: [1050000, 1310000] },
+  { code: 'EPSG:31467', x: [3250000, 3700000], y: [5200000, 6150000] },
+  { code: 'EPSG:31468', x: [4250000, 4700000], y: [5200000, 6150000] },
+  { code: 'EPSG:2154', x: [80000, 1250000], y: [6000000, 7150000] },
+  { code: 'EPSG:3006', x: [200000, 1000000], y: [6100000, 7700000] },
+  { code: 'EPSG:2193', x: [1000000, 2200000], y: [4700000, 6300000] },
+  { code: 'EPSG:28992', x: [0, 300000], y: [300000, 625000] },
+  { code: 'EPSG:27700', x: [0, 700000], y: [0, 1300000] },
+  { code: 'EPSG:21781', x: [480000, 840000], y: [60000, 300000] },
+  { code: 'EPSG:2157', x: [400000, 800000], y: [500000, 1000000] },
+  { code: 'EPSG:2180', x: [140000, 900000], y: [120000, 800000] },
+  { code: 'EPSG:3035', x: [1800000, 7500000], y: [1000000, 5500000] },
+  { code: 'EPSG:3857', x: [-20037509, 20037509], y: [-20048967, 20048967] }
+];
+
+/**
+ * Guesses the CRS of coordinates that came without one (CSV files, sheet
+ * columns). Anything inside the longitude/latitude ranges is taken to be
+ * WGS 84; otherwise the result is unsupported and lists likely CRSs in
+ * hints ([{ code, name }], best first). UTM is flagged when the values fit
+ * a UTM grid since the zone cannot be told from the numbers.
+ */
+export function detectCrsFromBounds(bounds) {
+  if (!bounds) {
+    return { ...WGS84 };
+  }
+
+  const geographic = bounds.minLng >= -180 && bounds.maxLng <= 180 &&
+    bounds.minLat >= -90 && bounds.maxLat <= 90;
+
+  if (geographic) {
+    return { ...WGS84 };
+  }
+
+  const within = ([min, max], low, high) => low >= min && high <= max;
+  const hints = CRS_HINTS
+    .filter(hint => within(hint.x, bounds.minLng, bounds.maxLng) && within(hint.y, bounds.minLat, bounds.maxLat))
+    .map(hint => ({ code: hint.code, name: CRS_DEFINITIONS[hint.code].name }));
+
+  const utm = within([160000, 840000], bounds.minLng, bounds.maxLng) && within([0, 10000000], bounds.minLat, bounds.maxLat);
+
+  return {
+    code: null,
+    name: 'Unknown projected CRS',
+    geographic: false,
+    supported: false,
+    hints,
+    utm
+  };
+}
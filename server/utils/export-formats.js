@@ -0,0 +1,198 @@
+import { GeometryParser } from './geometry.js';
+import { escapeXml, toXmlName } from './wfs.js';
+import { createZip } from './zip.js';
+import { writeShapefile } from './shapefile.js';
+import { writeGeoPackage } from './geopackage.js';
+
+// Writers for GET /api/data/:customerId/export. A writer is created per
+// export with { name, fields } and exposes begin(), write(feature) and end();
+// each returns the next chunk of the file (possibly empty). Text formats emit
+// as they go so large tables stream; Shapefile and GeoPackage need the whole
+// table and produce their output in end().
+
+const NAME_FIELDS = ['name', 'title', 'label'];
+const ATTRIBUTES_NAMESPACE = 'urn:teable-gis:attributes';
+
+function pickProperties(feature, fields) {
+  const properties = {};
+  fields.forEach(field => {
+    const value = feature.properties?.[field];
+    if (value !== undefined) {
+      properties[field] = value;
+    }
+  });
+  return properties;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function formatText(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Value used as the feature's label in KML and GPX.
+function getFeatureName(feature, fields) {
+  const nameField = fields.find(field => NAME_FIELDS.includes(field.toLowerCase()) && !isEmpty(feature.properties?.[field]));
+  return nameField ? formatText(feature.properties[nameField]) : String(feature.id ?? '');
+}
+
+// Spreadsheets run text starting with these as a formula; a leading
+// apostrophe makes them show it as text. Numbers are left as they are.
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (isEmpty(value)) return '';
+  let text = formatText(value);
+  if (typeof value !== 'number' && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createGeoJSONWriter({ name, fields }) {
+  let count = 0;
+  return {
+    begin: () => `{"type":"FeatureCollection","name":${JSON.stringify(name)},"features":[\n`,
+    write: feature => (count++ > 0 ? ',\n' : '') + JSON.stringify({
+      type: 'Feature',
+      id: feature.id,
+      geometry: feature.geometry || null,
+      properties: pickProperties(feature, fields)
+    }),
+    end: () => '\n]}\n'
+  };
+}
+
+function createCsvWriter({ fields }) {
+  let geometryColumn = 'WKT';
+  while (fields.includes(geometryColumn)) geometryColumn = `_${geometryColumn}`;
+
+  return {
+    begin: () => [geometryColumn, ...fields].map(csvCell).join(',') + '\r\n',
+    write: feature => [
+      feature.geometry ? GeometryParser.toWKT(feature.geometry) : '',
+      ...fields.map(field => feature.properties?.[field])
+    ].map(csvCell).join(',') + '\r\n',
+    end: () => ''
+  };
+}
+
+function createKmlWriter({ name, fields }) {
+  const schemaId = toXmlName(`${name}_schema`);
+
+  return {
+    begin: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+      `<name>${escapeXml(name)}</name>` +
+      `<Schema name="${escapeXml(name)}" id="${escapeXml(schemaId)}">` +
+      fields.map(field => `<SimpleField name="${escapeXml(field)}" type="string"/>`).join('') +
+      '</Schema>\n',
+    write: feature => {
+      const data = fields
+        .filter(field => !isEmpty(feature.properties?.[field]))
+        .map(field => `<SimpleData name="${escapeXml(field)}">${escapeXml(formatText(feature.properties[field]))}</SimpleData>`)
+        .join('');
+
+      return `<Placemark id="${escapeXml(toXmlName(String(feature.id ?? '')))}">` +
+        `<name>${escapeXml(getFeatureName(feature, fields))}</name>` +
+        `<ExtendedData><SchemaData schemaUrl="#${escapeXml(schemaId)}">${data}</SchemaData></ExtendedData>` +
+        (GeometryParser.toKML(feature.geometry) || '') +
+        '</Placemark>\n';
+    },
+    end: () => '</Document></kml>\n'
+  };
+}
+
+// GPX has waypoints and tracks only: points become <wpt>, lines and polygon
+// rings become <trk> segments. The schema requires all waypoints before any
+// track, so tracks are held back until the end.
+function createGpxWriter({ name, fields }) {
+  const tracks = [];
+
+  const describe = feature => {
+    const extensions = fields
+      .filter(field => !isEmpty(feature.properties?.[field]))
+      .map(field => {
+        const element = toXmlName(field);
+        return `<gis:${element}>${escapeXml(formatText(feature.properties[field]))}</gis:${element}>`;
+      }).join('');
+
+    return `<name>${escapeXml(getFeatureName(feature, fields))}</name>` +
+      (extensions ? `<extensions>${extensions}</extensions>` : '');
+  };
+  const point = ([lon, lat]) => `lat="${lat}" lon="${lon}"`;
+  const segment = coordinates => `<trkseg>${coordinates.map(c => `<trkpt ${point(c)}/>`).join('')}</trkseg>`;
+
+  return {
+    begin: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<gpx xmlns="http://www.topografix.com/GPX/1/1" xmlns:gis="${ATTRIBUTES_NAMESPACE}" version="1.1" creator="Teable GIS">` +
+      `<metadata><name>${escapeXml(name)}</name></metadata>\n`,
+    write: feature => {
+      if (!feature.geometry || !GeometryParser.validateGeometry(feature.geometry)) return '';
+
+      const { points, lines, polygons } = GeometryParser.getComponents(feature.geometry);
+      const segments = [...lines, ...polygons.flat()];
+
+      if (segments.length > 0) {
+        tracks.push(`<trk>${describe(feature)}${segments.map(segment).join('')}</trk>\n`);
+      }
+
+      return points.map(coordinate => `<wpt ${point(coordinate)}>${describe(feature)}</wpt>\n`).join('');
+    },
+    end: () => tracks.join('') + '</gpx>\n'
+  };
+}
+
+function createBufferedWriter(build) {
+  return context => {
+    const features = [];
+    return {
+      begin: () => '',
+      write: feature => {
+        features.push({ ...feature, properties: pickProperties(feature, context.fields) });
+        return '';
+      },
+      end: () => build(features, context)
+    };
+  };
+}
+
+const createShapefileWriter = createBufferedWriter((features, { name, fields }) =>
+  createZip(writeShapefile(features, { name, fields }))
+);
+
+const createGeoPackageWriter = createBufferedWriter((features, { name, fields }) =>
+  writeGeoPackage(features, { tableName: name, fields })
+);
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', contentType: 'application/geo+json', createWriter: createGeoJSONWriter },
+  csv: { label: 'CSV (WKT geometry)', extension: 'csv', contentType: 'text/csv; charset=utf-8', createWriter: createCsvWriter },
+  kml: { label: 'KML', extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml', createWriter: createKmlWriter },
+  gpx: { label: 'GPX', extension: 'gpx', contentType: 'application/gpx+xml', createWriter: createGpxWriter },
+  shapefile: { label: 'Shapefile (zip)', extension: 'zip', contentType: 'application/zip', createWriter: createShapefileWriter },
+  gpkg: { label: 'GeoPackage', extension: 'gpkg', contentType: 'application/geopackage+sqlite3', createWriter: createGeoPackageWriter }
+};
+
+const FORMAT_ALIASES = {
+  json: 'geojson',
+  shp: 'shapefile',
+  zip: 'shapefile',
+  geopackage: 'gpkg',
+  wkt: 'csv'
+};
+
+export function resolveExportFormat(value) {
+  const key = String(value || '').toLowerCase();
+  return EXPORT_FORMATS[key] ? key : (FORMAT_ALIASES[key] || null);
+}
+
+// File-system safe base name for the download and the files inside it.
+export function getExportFileName(name) {
+  const cleaned = String(name || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w.-]+/g, '_').replace(/^[_.]+|_+$/g, '');
+  return cleaned || 'export';
+}
@@ -0,0 +1,200 @@
+import { GeometryParser } from './geometry.js';
+import { RTree } from './rtree.js';
+
+// In-memory feature cache keyed by customer and table. Each entry holds the
+// table's features with their geometries parsed once and an R-tree over their
+// bounding boxes, so bbox and nearest-neighbour queries do not rescan the
+// table. Adapters invalidate their entry whenever they write; the TTL covers
+// edits made directly in Teable or Google Sheets.
+
+const CACHE_TTL_MS = parseInt(process.env.FEATURE_CACHE_TTL_MS || '300000');
+const MAX_ENTRIES = parseInt(process.env.FEATURE_CACHE_MAX_ENTRIES || '50');
+
+const entries = new Map();
+const pendingBuilds = new Map();
+const generations = new Map();
+const metrics = createMetrics();
+const customerMetrics = new Map();
+
+function createMetrics() {
+  return {
+    hits: 0,
+    misses: 0,
+    builds: 0,
+    invalidations: 0,
+    evictions: 0
+  };
+}
+
+function getCustomerId(key) {
+  return key ? key.slice(0, key.indexOf(':')) : null;
+}
+
+// Counts towards the global metrics and the owning customer's metrics.
+function recordMetric(key, name) {
+  metrics[name]++;
+
+  const customerId = getCustomerId(key);
+  if (!customerId) return;
+
+  if (!customerMetrics.has(customerId)) {
+    customerMetrics.set(customerId, createMetrics());
+  }
+  customerMetrics.get(customerId)[name]++;
+}
+
+function getCacheKey(customerId, tableKey) {
+  return `${customerId}:${tableKey ?? 'default'}`;
+}
+
+function clampedDistance(point, box) {
+  const lng = Math.min(Math.max(point[0], box.minLng), box.maxLng);
+  const lat = Math.min(Math.max(point[1], box.minLat), box.maxLat);
+  return GeometryParser.haversineDistance(point, [lng, lat]);
+}
+
+export class FeatureIndex {
+  constructor(features) {
+    this.features = features;
+    this.builtAt = Date.now();
+
+    const boxes = [];
+    features.forEach((feature, position) => {
+      const bounds = feature.geometry && GeometryParser.validateGeometry(feature.geometry)
+        ? GeometryParser.getBounds(feature.geometry)
+        : null;
+
+      if (bounds) {
+        boxes.push({ ...bounds, item: { feature, position } });
+      }
+    });
+
+    this.indexedCount = boxes.length;
+    this.tree = new RTree(boxes);
+  }
+
+  // Features whose bounding box overlaps bounds, in table order.
+  search(bounds) {
+    return this.tree.search(bounds)
+      .sort((a, b) => a.position - b.position)
+      .map(entry => entry.feature);
+  }
+
+  // [{ feature, distance }] nearest first, distance in meters.
+  nearest(point, { limit = Infinity, maxDistance = Infinity } = {}) {
+    return this.tree.nearest({
+      limit,
+      maxDistance,
+      boxDistance: box => clampedDistance(point, box),
+      itemDistance: entry => GeometryParser.distanceToGeometry(point, entry.feature.geometry)
+    }).map(result => ({ feature: result.item.feature, distance: result.distance }));
+  }
+}
+
+function evictOldest() {
+  while (entries.size > MAX_ENTRIES) {
+    const oldestKey = entries.keys().next().value;
+    entries.delete(oldestKey);
+    recordMetric(oldestKey, 'evictions');
+  }
+}
+
+async function buildIndex(adapter, key) {
+  const generation = generations.get(key) || 0;
+  const collection = await adapter.fetchAllRecords();
+  const index = new FeatureIndex(collection.features || []);
+  recordMetric(key, 'builds');
+
+  // A write during the build makes this snapshot stale; serve it once but do not cache it
+  if (key && (generations.get(key) || 0) === generation) {
+    entries.set(key, { index, hits: 0, expiresAt: Date.now() + CACHE_TTL_MS });
+    evictOldest();
+  }
+
+  return index;
+}
+
+/**
+ * Returns the FeatureIndex for the adapter's customer and table, building it
+ * from adapter.fetchAllRecords() on a miss. Concurrent misses share one build.
+ */
+export async function getFeatureIndex(adapter) {
+  const key = adapter.customerId ? getCacheKey(adapter.customerId, adapter.getTableKey()) : null;
+  const entry = key ? entries.get(key) : null;
+
+  if (entry && entry.expiresAt > Date.now()) {
+    recordMetric(key, 'hits');
+    entry.hits++;
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.index;
+  }
+
+  recordMetric(key, 'misses');
+
+  if (!key) {
+    return buildIndex(adapter, null);
+  }
+
+  if (!pendingBuilds.has(key)) {
+    const build = buildIndex(adapter, key).finally(() => {
+      if (pendingBuilds.get(key) === build) {
+        pendingBuilds.delete(key);
+      }
+    });
+    pendingBuilds.set(key, build);
+  }
+
+  return pendingBuilds.get(key);
+}
+
+function invalidateKey(key) {
+  generations.set(key, (generations.get(key) || 0) + 1);
+  pendingBuilds.delete(key);
+
+  if (entries.delete(key)) {
+    recordMetric(key, 'invalidations');
+  }
+}
+
+export function invalidateFeatureCache(customerId, tableKey = null) {
+  if (tableKey != null) {
+    invalidateKey(getCacheKey(customerId, tableKey));
+    return;
+  }
+
+  const prefix = `${customerId}:`;
+  const keys = new Set([...entries.keys(), ...pendingBuilds.keys()]);
+  keys.forEach(key => {
+    if (key.startsWith(prefix)) {
+      invalidateKey(key);
+    }
+  });
+}
+
+export function getFeatureCacheStats(customerId = null) {
+  const counters = customerId ? (customerMetrics.get(customerId) || createMetrics()) : metrics;
+  const lookups = counters.hits + counters.misses;
+  const tables = [];
+
+  for (const [key, entry] of entries) {
+    if (customerId && !key.startsWith(`${customerId}:`)) continue;
+    tables.push({
+      table: key.slice(key.indexOf(':') + 1),
+      features: entry.index.features.length,
+      indexed: entry.index.indexedCount,
+      hits: entry.hits,
+      builtAt: new Date(entry.index.builtAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    });
+  }
+
+  return {
+    ...counters,
+    hitRate: lookups > 0 ? counters.hits / lookups : 0,
+    entries: tables.length,
+    maxEntries: MAX_ENTRIES,
+    ttlMs: CACHE_TTL_MS,
+    tables
+  };
+}
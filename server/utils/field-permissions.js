@@ -0,0 +1,132 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { hasRoleOrHigher } from '../middleware/authorize.js';
+import { SECRET_FIELDS } from './app-users.js';
+
+const SECRET_FIELD_PERMISSIONS = Object.fromEntries(SECRET_FIELDS.map(field => [field, 'none']));
+
+// Mirrors the client-side PermissionsManager: 'none' hides a field, 'view'
+// makes it read-only and 'edit' allows writes. Fields without an explicit row
+// fall back to what the user's role allows, so configuring one field does not
+// lock every other column of the table. Password hashes are hidden from
+// everyone, system admins included.
+export class FieldPermissions {
+  constructor(permissions, defaultPermission) {
+    this.permissions = { ...permissions, ...SECRET_FIELD_PERMISSIONS };
+    this.defaultPermission = defaultPermission;
+  }
+
+  getPermission(fieldName) {
+    return this.permissions[fieldName] || this.defaultPermission;
+  }
+
+  canView(fieldName) {
+    return this.getPermission(fieldName) !== 'none';
+  }
+
+  canEdit(fieldName) {
+    return this.getPermission(fieldName) === 'edit';
+  }
+
+  hasRestrictions() {
+    return Object.keys(this.permissions).length > 0;
+  }
+
+  filterFeature(feature) {
+    if (!feature || !feature.properties || !this.hasRestrictions()) {
+      return feature;
+    }
+
+    const properties = {};
+    Object.entries(feature.properties).forEach(([key, value]) => {
+      if (this.canView(key)) {
+        properties[key] = value;
+      }
+    });
+
+    return { ...feature, properties };
+  }
+
+  filterFeatureCollection(geojson) {
+    if (!geojson || !Array.isArray(geojson.features) || !this.hasRestrictions()) {
+      return geojson;
+    }
+
+    return {
+      ...geojson,
+      features: geojson.features.map(feature => this.filterFeature(feature))
+    };
+  }
+
+  filterSchema(fields) {
+    if (!Array.isArray(fields) || !this.hasRestrictions()) {
+      return fields;
+    }
+
+    return fields.filter(field => this.canView(field.name || field.id));
+  }
+
+  findReadOnlyFields(feature, geometryFields = []) {
+    const readOnly = Object.keys(feature.properties || {}).filter(key => !this.canEdit(key));
+
+    if (feature.geometry) {
+      geometryFields
+        .filter(field => this.permissions[field] && !this.canEdit(field))
+        .forEach(field => readOnly.push(field));
+    }
+
+    return readOnly;
+  }
+}
+
+export function getGeometryFieldNames(adapter) {
+  const mappings = adapter.fieldMappings || {};
+  return [
+    'geometry',
+    mappings.geometry_column,
+    mappings.latitude_column,
+    mappings.longitude_column
+  ].filter(Boolean);
+}
+
+export async function loadFieldPermissions(session, adapter, tableId = null) {
+  const defaultPermission = hasRoleOrHigher(session, 'editor') ? 'edit' : 'view';
+
+  if (!session || session.user_type === 'system_admin') {
+    return new FieldPermissions({}, 'edit');
+  }
+
+  const resolvedTableId = tableId || adapter.tableId || adapter.sheetName;
+  if (!resolvedTableId) {
+    return new FieldPermissions({}, defaultPermission);
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('user_field_permissions')
+    .select('field_id, permission')
+    .eq('user_id', session.user_id)
+    .eq('table_id', String(resolvedTableId));
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    return new FieldPermissions({}, defaultPermission);
+  }
+
+  // Permissions may be stored against Teable field ids; features are keyed by
+  // field name, so translate ids through the schema.
+  const schema = await adapter.getSchema();
+  const namesById = {};
+  (schema || []).forEach(field => {
+    if (field.id && field.name) {
+      namesById[field.id] = field.name;
+    }
+  });
+
+  const permissions = {};
+  data.forEach(row => {
+    const fieldName = namesById[row.field_id] || row.field_id;
+    permissions[fieldName] = row.permission;
+  });
+
+  return new FieldPermissions(permissions, defaultPermission);
+}
@@ -0,0 +1,77 @@
+// In-memory cache of geocoding results keyed by provider and normalized
+// address. Misses are cached too, so a batch over a table with many repeated
+// or unknown addresses only asks the provider once per distinct value. The
+// least recently used entries are evicted beyond GEOCODE_CACHE_MAX_ENTRIES.
+
+const CACHE_TTL_MS = parseInt(process.env.GEOCODE_CACHE_TTL_MS || '604800000');
+const MAX_ENTRIES = parseInt(process.env.GEOCODE_CACHE_MAX_ENTRIES || '10000');
+
+const entries = new Map();
+const metrics = { hits: 0, misses: 0, evictions: 0 };
+
+// Letters that have no decomposition into a base letter and an accent
+const FOLDED_LETTERS = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i' };
+
+// Lowercase, accents folded and punctuation collapsed to single spaces.
+export function normalizeAddress(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[ßæœøłđðþı]/g, letter => FOLDED_LETTERS[letter])
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function getGeocodeCacheKey(provider, address, options = {}) {
+  return `${provider}:${options.countryCode || ''}:${normalizeAddress(address)}`;
+}
+
+// Reverse lookups share the cache at about 10 m resolution.
+export function getReverseCacheKey(provider, latitude, longitude) {
+  return `${provider}:reverse:${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+}
+
+// Returns undefined when the key is not cached and the cached result
+// (possibly null for "no match") otherwise.
+export function getCachedGeocode(key) {
+  const entry = entries.get(key);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    if (entry) entries.delete(key);
+    metrics.misses++;
+    return undefined;
+  }
+
+  // Re-insert so the Map order tracks recency
+  entries.delete(key);
+  entries.set(key, entry);
+  metrics.hits++;
+  return entry.result;
+}
+
+export function setCachedGeocode(key, result) {
+  entries.delete(key);
+  entries.set(key, { result, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    metrics.evictions++;
+  }
+}
+
+export function clearGeocodeCache(provider = null) {
+  if (!provider) {
+    entries.clear();
+    return;
+  }
+  for (const key of entries.keys()) {
+    if (key.startsWith(`${provider}:`)) {
+      entries.delete(key);
+    }
+  }
+}
+
+export function getGeocodeCacheStats() {
+  return { entries: entries.size, maxEntries: MAX_ENTRIES, ttlMs: CACHE_TTL_MS, ...metrics };
+}
@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+
+// In-memory store for batch geocoding. A job geocodes the address column of
+// every record in the background and keeps a result per record with the
+// match confidence; applying it writes the points back through the table's
+// adapter. Jobs are per server process and expire after GEOCODE_JOB_TTL_MS.
+
+const GEOCODE_JOB_TTL_MS = parseInt(process.env.GEOCODE_JOB_TTL_MS || '1800000');
+const WRITE_BATCH_SIZE = 500;
+// A provider that keeps failing (bad key, quota, outage) fails the job
+const MAX_CONSECUTIVE_ERRORS = 5;
+
+export const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+const ACTIVE_STATUSES = ['geocoding', 'writing'];
+
+const jobs = new Map();
+
+function pruneExpiredJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.expiresAt <= now && !ACTIVE_STATUSES.includes(job.status)) {
+      jobs.delete(id);
+    }
+  }
+}
+
+export function createGeocodeJob(customerId, { tableId, addressColumn, provider, countryCode, overwrite, userEmail }) {
+  pruneExpiredJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    customerId,
+    tableId,
+    addressColumn,
+    provider,
+    countryCode: countryCode || null,
+    overwrite: !!overwrite,
+    userEmail,
+    status: 'geocoding',
+    createdAt: new Date().toISOString(),
+    expiresAt: Date.now() + GEOCODE_JOB_TTL_MS,
+    progress: { total: 0, processed: 0, matched: 0, unmatched: 0, skipped: 0, failed: 0, cached: 0 },
+    results: [],
+    writeBack: null,
+    target: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+export function getGeocodeJob(customerId, id) {
+  pruneExpiredJobs();
+  const job = jobs.get(id);
+  return job && job.customerId === customerId ? job : null;
+}
+
+export function deleteGeocodeJob(customerId, id) {
+  const job = getGeocodeJob(customerId, id);
+  if (!job || ACTIVE_STATUSES.includes(job.status)) {
+    return false;
+  }
+  return jobs.delete(id);
+}
+
+function confidenceBand(result) {
+  if (result.status !== 'matched') return result.status;
+  if (result.confidence >= 0.8) return 'high';
+  if (result.confidence >= DEFAULT_MIN_CONFIDENCE) return 'medium';
+  return 'low';
+}
+
+/**
+ * Client view of a job: progress, a count per confidence band and a page of
+ * per-record results.
+ */
+export function describeGeocodeJob(job, { offset = 0, limit = 100 } = {}) {
+  const bands = { high: 0, medium: 0, low: 0, unmatched: 0, skipped: 0, failed: 0 };
+  job.results.forEach(result => {
+    bands[confidenceBand(result)]++;
+  });
+
+  return {
+    jobId: job.id,
+    tableId: job.tableId,
+    addressColumn: job.addressColumn,
+    provider: job.provider,
+    status: job.status,
+    createdAt: job.createdAt,
+    expiresAt: new Date(job.expiresAt).toISOString(),
+    progress: job.progress,
+    confidence: bands,
+    writeBack: job.writeBack,
+    target: job.target,
+    error: job.error,
+    offset,
+    results: job.results.slice(offset, offset + limit).map(result => ({ ...result, band: confidenceBand(result) }))
+  };
+}
+
+/**
+ * Geocodes the address of each feature. Records that already have a geometry
+ * are skipped unless the job overwrites. Runs in the background; results and
+ * progress are recorded on the job.
+ */
+export async function runGeocodeJob(job, { features, geocoder, onComplete }) {
+  job.progress.total = features.length;
+  let consecutiveErrors = 0;
+
+  try {
+    for (const feature of features) {
+      const raw = feature.properties?.[job.addressColumn];
+      const address = raw === null || raw === undefined ? '' : String(raw).trim();
+      const result = { id: feature.id, address, status: 'unmatched', confidence: 0 };
+
+      if (!address) {
+        result.status = 'skipped';
+        result.reason = 'No address';
+      } else if (feature.geometry && !job.overwrite) {
+        result.status = 'skipped';
+        result.reason = 'Already has a location';
+      } else {
+        try {
+          const { result: match, cached } = await geocoder.lookup(address, { countryCode: job.countryCode });
+          consecutiveErrors = 0;
+          if (cached) job.progress.cached++;
+          if (match) {
+            Object.assign(result, { status: 'matched', ...match });
+          }
+        } catch (error) {
+          if (++consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+            throw error;
+          }
+          result.status = 'failed';
+          result.reason = error.message;
+        }
+      }
+
+      job.results.push(result);
+      job.progress[result.status]++;
+      job.progress.processed++;
+    }
+
+    job.status = 'geocoded';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    job.expiresAt = Date.now() + GEOCODE_JOB_TTL_MS;
+  }
+
+  if (onComplete) {
+    await onComplete(job);
+  }
+}
+
+/**
+ * Writes the matched points at or above minConfidence (optionally only the
+ * given record ids) through the adapter in batches. The adapter stores them
+ * as WKT or latitude/longitude according to the table's mapping.
+ */
+export async function applyGeocodeJob(job, { adapter, target, minConfidence = DEFAULT_MIN_CONFIDENCE, ids = null, onComplete }) {
+  const wanted = ids ? new Set(ids.map(String)) : null;
+  const selected = job.results.filter(result =>
+    result.status === 'matched' &&
+    result.confidence >= minConfidence &&
+    (!wanted || wanted.has(String(result.id))));
+
+  job.status = 'writing';
+  job.target = target;
+  job.writeBack = { minConfidence, total: selected.length, processed: 0, succeeded: 0, failed: 0 };
+
+  try {
+    for (let start = 0; start < selected.length; start += WRITE_BATCH_SIZE) {
+      const batch = selected.slice(start, start + WRITE_BATCH_SIZE);
+      const written = await adapter.updateRecords(batch.map(result => ({
+        id: result.id,
+        feature: {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [result.longitude, result.latitude] },
+          properties: {}
+        }
+      })));
+
+      written.forEach((write, position) => {
+        const result = batch[position];
+        if (write?.success) {
+          result.written = true;
+          job.writeBack.succeeded++;
+        } else {
+          result.written = false;
+          result.writeError = write?.error || 'Write failed';
+          job.writeBack.failed++;
+        }
+        job.writeBack.processed++;
+      });
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    job.expiresAt = Date.now() + GEOCODE_JOB_TTL_MS;
+  }
+
+  if (onComplete) {
+    await onComplete(job);
+  }
+}
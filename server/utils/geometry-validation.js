@@ -0,0 +1,392 @@
+import { GeometryParser } from './geometry.js';
+
+// Geometry quality checks for stored records. validateGeometry lists the
+// problems in a GeoJSON geometry (always WGS 84 once read through an
+// adapter); repairGeometry fixes the ones that have a safe mechanical fix.
+// Self-intersections and unreadable values are reported but never repaired.
+//
+// Issue codes:
+//   UNPARSEABLE        the stored value is not WKT or GeoJSON
+//   MISSING_GEOMETRY   the record has no geometry (warning)
+//   EMPTY_GEOMETRY     the geometry has no coordinates
+//   INVALID_COORDINATE a vertex is not two finite numbers
+//   OUT_OF_RANGE       a vertex is outside longitude/latitude bounds
+//   DUPLICATE_VERTEX   consecutive vertices are identical
+//   UNCLOSED_RING      a polygon ring does not end where it starts
+//   TOO_FEW_POINTS     a line or ring has too few distinct vertices
+//   WRONG_WINDING      ring orientation differs from RFC 7946 (warning)
+//   SELF_INTERSECTION  a polygon ring crosses itself
+
+const REPAIRABLE = new Set([
+  'INVALID_COORDINATE',
+  'DUPLICATE_VERTEX',
+  'UNCLOSED_RING',
+  'TOO_FEW_POINTS',
+  'WRONG_WINDING'
+]);
+const WARNINGS = new Set(['MISSING_GEOMETRY', 'WRONG_WINDING']);
+
+function issue(code, message, repairable = REPAIRABLE.has(code)) {
+  return { code, severity: WARNINGS.has(code) ? 'warning' : 'error', message, repairable };
+}
+
+function isPosition(value) {
+  return Array.isArray(value) && value.length >= 2 &&
+    Number.isFinite(value[0]) && Number.isFinite(value[1]);
+}
+
+function inRange([lng, lat]) {
+  return lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+}
+
+function samePosition(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+function removeDuplicates(positions) {
+  return positions.filter((position, index) => index === 0 || !samePosition(position, positions[index - 1]));
+}
+
+// Twice the signed area; positive for counterclockwise rings
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area;
+}
+
+// Sweep over segments sorted by their left end so only segments whose x
+// ranges overlap are compared. Neighbouring segments share a vertex and are
+// skipped, including the last and first segments of the ring.
+function ringSelfIntersects(ring) {
+  const count = ring.length - 1;
+  if (count < 4) return false;
+
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const a = ring[i];
+    const b = ring[i + 1];
+    segments.push({ index: i, a, b, minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]) });
+  }
+  segments.sort((s, t) => s.minX - t.minX);
+
+  for (let i = 0; i < segments.length; i++) {
+    const current = segments[i];
+    for (let j = i + 1; j < segments.length && segments[j].minX <= current.maxX; j++) {
+      const other = segments[j];
+      const gap = Math.abs(current.index - other.index);
+      if (gap === 1 || gap === count - 1) continue;
+      if (GeometryParser.segmentsIntersect(current.a, current.b, other.a, other.b)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+function checkPositions(positions, label, issues) {
+  const invalid = positions.filter(position => !isPosition(position)).length;
+  if (invalid > 0) {
+    issues.push(issue('INVALID_COORDINATE', `${label}: ${invalid} vertex(es) are not numeric coordinates`));
+  }
+
+  const valid = positions.filter(isPosition);
+  const outOfRange = valid.filter(position => !inRange(position)).length;
+  if (outOfRange > 0) {
+    const swapped = valid.every(([lng, lat]) => inRange([lat, lng]));
+    issues.push(issue(
+      'OUT_OF_RANGE',
+      `${label}: ${outOfRange} vertex(es) outside longitude/latitude range${swapped ? ' (latitude and longitude look swapped)' : ''}`,
+      swapped
+    ));
+  }
+
+  const duplicates = valid.length - removeDuplicates(valid).length;
+  if (duplicates > 0) {
+    issues.push(issue('DUPLICATE_VERTEX', `${label}: ${duplicates} repeated consecutive vertex(es)`));
+  }
+
+  return valid;
+}
+
+// droppable: the line or polygon is one part of several, so a degenerate one
+// can be removed
+function checkLine(line, label, issues, droppable = false) {
+  if (!Array.isArray(line)) {
+    issues.push(issue('INVALID_COORDINATE', `${label}: coordinates are not an array`, false));
+    return;
+  }
+  const valid = checkPositions(line, label, issues);
+  if (removeDuplicates(valid).length < 2) {
+    issues.push(issue('TOO_FEW_POINTS', `${label}: a line needs at least 2 distinct vertices`, droppable));
+  }
+}
+
+function checkPolygon(rings, label, issues, droppable = false) {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    issues.push(issue('EMPTY_GEOMETRY', `${label}: no rings`, false));
+    return;
+  }
+
+  rings.forEach((ring, index) => {
+    const ringLabel = `${label} ${index === 0 ? 'outer ring' : `hole ${index}`}`;
+    if (!Array.isArray(ring)) {
+      issues.push(issue('INVALID_COORDINATE', `${ringLabel}: coordinates are not an array`, false));
+      return;
+    }
+
+    const valid = checkPositions(ring, ringLabel, issues);
+    const distinct = removeDuplicates(valid);
+    const closed = distinct.length > 1 && samePosition(distinct[0], distinct[distinct.length - 1]);
+
+    if (valid.length > 0 && !closed) {
+      issues.push(issue('UNCLOSED_RING', `${ringLabel}: first and last vertices differ`));
+    }
+
+    const closedRing = closed ? distinct : [...distinct, distinct[0]];
+    if (distinct.length === 0 || closedRing.length < 4) {
+      // A bad hole can be dropped; a bad outer ring takes its polygon with it
+      issues.push(issue('TOO_FEW_POINTS', `${ringLabel}: a ring needs at least 3 distinct vertices`, index > 0 || droppable));
+      return;
+    }
+
+    const area = signedArea(closedRing);
+    if (index === 0 ? area < 0 : area > 0) {
+      issues.push(issue('WRONG_WINDING', `${ringLabel}: should be ${index === 0 ? 'counterclockwise' : 'clockwise'}`));
+    }
+
+    if (ringSelfIntersects(closedRing)) {
+      issues.push(issue('SELF_INTERSECTION', `${ringLabel}: edges cross each other`, false));
+    }
+  });
+}
+
+function checkGeometry(geometry, label, issues) {
+  const { type, coordinates } = geometry;
+
+  if (type === 'GeometryCollection') {
+    if (!Array.isArray(geometry.geometries) || geometry.geometries.length === 0) {
+      issues.push(issue('EMPTY_GEOMETRY', `${label}: no geometries`, false));
+      return;
+    }
+    geometry.geometries.forEach((member, index) => checkGeometry(member, `${label} member ${index + 1}`, issues));
+    return;
+  }
+
+  if (!GeometryParser.validateGeometry(geometry) || !Array.isArray(coordinates) || coordinates.length === 0) {
+    issues.push(issue('EMPTY_GEOMETRY', `${label}: no coordinates`, false));
+    return;
+  }
+
+  switch (type) {
+    case 'Point':
+      checkPositions([coordinates], label, issues);
+      break;
+    case 'MultiPoint':
+      checkPositions(coordinates, label, issues);
+      break;
+    case 'LineString':
+      checkLine(coordinates, label, issues);
+      break;
+    case 'MultiLineString':
+      coordinates.forEach((line, index) => checkLine(line, `${label} line ${index + 1}`, issues, coordinates.length > 1));
+      break;
+    case 'Polygon':
+      checkPolygon(coordinates, label, issues);
+      break;
+    case 'MultiPolygon':
+      coordinates.forEach((polygon, index) => checkPolygon(polygon, `${label} polygon ${index + 1}`, issues, coordinates.length > 1));
+      break;
+  }
+}
+
+/**
+ * Lists the problems in a GeoJSON geometry as
+ * [{ code, severity, message, repairable }]; empty when it is valid.
+ */
+export function validateGeometry(geometry) {
+  if (!geometry) {
+    return [issue('MISSING_GEOMETRY', 'Record has no geometry', false)];
+  }
+
+  const issues = [];
+  checkGeometry(geometry, geometry.type || 'Geometry', issues);
+  return issues;
+}
+
+/**
+ * Validates a feature read through an adapter. Values the adapter could not
+ * read arrive as feature.invalidGeometry; those are re-parsed where possible
+ * (latitude/longitude out of range) or reported as unparseable.
+ * Returns { geometry, issues }.
+ */
+export function validateFeature(feature) {
+  if (!feature.geometry && feature.invalidGeometry != null) {
+    const raw = String(feature.invalidGeometry);
+    const geometry = GeometryParser.autoDetectGeometry(raw);
+
+    if (geometry) {
+      return { geometry, issues: validateGeometry(geometry) };
+    }
+
+    const preview = raw.length > 80 ? `${raw.slice(0, 80)}...` : raw;
+    return {
+      geometry: null,
+      issues: [/\bEMPTY\b/i.test(raw)
+        ? issue('EMPTY_GEOMETRY', `Stored geometry is empty: ${preview}`, false)
+        : issue('UNPARSEABLE', `Stored value is not valid WKT or GeoJSON: ${preview}`, false)]
+    };
+  }
+
+  return { geometry: feature.geometry || null, issues: validateGeometry(feature.geometry) };
+}
+
+function repairPositions(positions, repairs, swap) {
+  let result = positions.filter(isPosition).map(position => position.slice(0, 2));
+  if (result.length < positions.length) repairs.add('Removed non-numeric vertices');
+
+  if (swap) {
+    result = result.map(([lng, lat]) => [lat, lng]);
+  }
+
+  const deduplicated = removeDuplicates(result);
+  if (deduplicated.length < result.length) repairs.add('Removed repeated vertices');
+  return deduplicated;
+}
+
+function repairLine(line, repairs, swap) {
+  const result = repairPositions(line, repairs, swap);
+  return result.length >= 2 ? result : null;
+}
+
+function repairPolygon(rings, repairs, swap) {
+  const result = [];
+
+  for (let index = 0; index < rings.length; index++) {
+    let ring = repairPositions(rings[index], repairs, swap);
+
+    if (ring.length > 1 && !samePosition(ring[0], ring[ring.length - 1])) {
+      ring = [...ring, ring[0]];
+      repairs.add('Closed rings');
+    }
+
+    if (ring.length < 4) {
+      if (index === 0) return null;
+      repairs.add('Dropped degenerate holes');
+      continue;
+    }
+
+    const area = signedArea(ring);
+    if (result.length === 0 ? area < 0 : area > 0) {
+      ring = [...ring].reverse();
+      repairs.add('Fixed ring winding');
+    }
+
+    result.push(ring);
+  }
+
+  return result.length > 0 ? result : null;
+}
+
+function repairParts(parts, repairPart, repairs, label) {
+  const repaired = parts.map(part => repairPart(part));
+  const kept = repaired.filter(Boolean);
+  if (kept.length < repaired.length) repairs.add(`Dropped degenerate ${label}`);
+  return kept.length > 0 ? kept : null;
+}
+
+function repairGeometryInner(geometry, repairs, swap) {
+  const { type, coordinates } = geometry;
+  let result;
+
+  switch (type) {
+    case 'Point': {
+      const [point] = repairPositions([coordinates], repairs, swap);
+      result = point || null;
+      break;
+    }
+    case 'MultiPoint':
+      result = repairPositions(coordinates, repairs, swap);
+      if (result.length === 0) result = null;
+      break;
+    case 'LineString':
+      result = repairLine(coordinates, repairs, swap);
+      break;
+    case 'MultiLineString':
+      result = repairParts(coordinates, line => repairLine(line, repairs, swap), repairs, 'lines');
+      break;
+    case 'Polygon':
+      result = repairPolygon(coordinates, repairs, swap);
+      break;
+    case 'MultiPolygon':
+      result = repairParts(coordinates, polygon => repairPolygon(polygon, repairs, swap), repairs, 'polygons');
+      break;
+    case 'GeometryCollection': {
+      const geometries = (geometry.geometries || [])
+        .map(member => repairGeometryInner(member, repairs, swap))
+        .filter(Boolean);
+      return geometries.length > 0 ? { type, geometries } : null;
+    }
+    default:
+      return null;
+  }
+
+  return result ? { type, coordinates: result } : null;
+}
+
+/**
+ * Applies the safe fixes: drops non-numeric and repeated vertices, closes
+ * rings, drops degenerate holes and parts, fixes ring winding and swaps
+ * latitude/longitude when every vertex is out of range only that way round.
+ * Returns { geometry, repairs, issues } with the issues left afterwards;
+ * geometry is null when nothing usable remains.
+ */
+export function repairGeometry(geometry) {
+  const before = validateGeometry(geometry);
+  const repairs = new Set();
+
+  const swap = before.some(item => item.code === 'OUT_OF_RANGE' && item.repairable);
+  if (swap) repairs.add('Swapped latitude and longitude');
+
+  const repaired = geometry ? repairGeometryInner(geometry, repairs, swap) : null;
+
+  return {
+    geometry: repaired,
+    repairs: [...repairs],
+    issues: repaired ? validateGeometry(repaired) : before
+  };
+}
+
+/**
+ * Per-record quality report for a feature collection. Records without
+ * issues are only listed with includeValid.
+ */
+export function buildValidationReport(features, { includeValid = false } = {}) {
+  const summary = { total: features.length, valid: 0, withIssues: 0, errors: 0, warnings: 0, repairable: 0, issues: {} };
+  const records = [];
+
+  features.forEach(feature => {
+    const { issues } = validateFeature(feature);
+    const hasErrors = issues.some(item => item.severity === 'error');
+    const repairable = issues.length > 0 && issues.some(item => item.repairable);
+
+    issues.forEach(item => {
+      summary.issues[item.code] = (summary.issues[item.code] || 0) + 1;
+    });
+
+    if (issues.length === 0) {
+      summary.valid++;
+    } else {
+      summary.withIssues++;
+      summary[hasErrors ? 'errors' : 'warnings']++;
+      if (repairable) summary.repairable++;
+    }
+
+    if (issues.length > 0 || includeValid) {
+      records.push({ id: feature.id ?? null, valid: !hasErrors, repairable, issues });
+    }
+  });
+
+  return { summary, records };
+}
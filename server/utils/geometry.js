@@ -1,5 +1,7 @@
 import wellknown from 'wellknown';
 
+const EARTH_RADIUS_METERS = 6371008.8;
+
 export class GeometryParser {
   static parseWKT(wktString) {
     try {
@@ -63,6 +65,21 @@ export class GeometryParser {
     }
   }
 
+  // Point from projected x/y (easting/northing) values; no range check
+  static parseXY(x, y) {
+    const easting = parseFloat(x);
+    const northing = parseFloat(y);
+
+    if (!Number.isFinite(easting) || !Number.isFinite(northing)) {
+      return null;
+    }
+
+    return {
+      type: 'Point',
+      coordinates: [easting, northing]
+    };
+  }
+
   static autoDetectGeometry(value, latColumn = null, lngColumn = null, record = null) {
     if (!value && (!latColumn || !lngColumn || !record)) {
       return null;
@@ -113,6 +130,176 @@ export class GeometryParser {
     }
   }
 
+  /**
+   * GML 3.2 encoding of a GeoJSON geometry. With latLonOrder (the axis order
+   * of urn:ogc:def:crs:EPSG::4326) coordinates are written lat/lon, otherwise
+   * lon/lat as in CRS84. idPrefix seeds the gml:id attributes GML 3.2 requires.
+   */
+  static toGML(geometry, { srsName, latLonOrder = false, idPrefix = 'geom' } = {}) {
+    if (!geometry || !this.validateGeometry(geometry)) {
+      return null;
+    }
+
+    let counter = 0;
+    const nextId = () => `${idPrefix}.${++counter}`;
+    const pos = coordinate => (latLonOrder ? [coordinate[1], coordinate[0]] : [coordinate[0], coordinate[1]]).join(' ');
+    const posList = coordinates => coordinates.map(pos).join(' ');
+
+    const ring = coordinates => `<gml:LinearRing><gml:posList>${posList(coordinates)}</gml:posList></gml:LinearRing>`;
+    const polygon = (rings, attrs) => {
+      const [exterior, ...interiors] = rings;
+      return `<gml:Polygon gml:id="${nextId()}"${attrs}>` +
+        `<gml:exterior>${ring(exterior)}</gml:exterior>` +
+        interiors.map(interior => `<gml:interior>${ring(interior)}</gml:interior>`).join('') +
+        '</gml:Polygon>';
+    };
+    const point = (coordinate, attrs) => `<gml:Point gml:id="${nextId()}"${attrs}><gml:pos>${pos(coordinate)}</gml:pos></gml:Point>`;
+    const line = (coordinates, attrs) => `<gml:LineString gml:id="${nextId()}"${attrs}><gml:posList>${posList(coordinates)}</gml:posList></gml:LineString>`;
+
+    const encode = (g, attrs = '') => {
+      switch (g.type) {
+        case 'Point':
+          return point(g.coordinates, attrs);
+        case 'LineString':
+          return line(g.coordinates, attrs);
+        case 'Polygon':
+          return polygon(g.coordinates, attrs);
+        case 'MultiPoint':
+          return `<gml:MultiPoint gml:id="${nextId()}"${attrs}>` +
+            g.coordinates.map(c => `<gml:pointMember>${point(c, '')}</gml:pointMember>`).join('') +
+            '</gml:MultiPoint>';
+        case 'MultiLineString':
+          return `<gml:MultiCurve gml:id="${nextId()}"${attrs}>` +
+            g.coordinates.map(c => `<gml:curveMember>${line(c, '')}</gml:curveMember>`).join('') +
+            '</gml:MultiCurve>';
+        case 'MultiPolygon':
+          return `<gml:MultiSurface gml:id="${nextId()}"${attrs}>` +
+            g.coordinates.map(c => `<gml:surfaceMember>${polygon(c, '')}</gml:surfaceMember>`).join('') +
+            '</gml:MultiSurface>';
+        case 'GeometryCollection':
+          return `<gml:MultiGeometry gml:id="${nextId()}"${attrs}>` +
+            g.geometries.map(member => `<gml:geometryMember>${encode(member)}</gml:geometryMember>`).join('') +
+            '</gml:MultiGeometry>';
+        default:
+          return null;
+      }
+    };
+
+    return encode(geometry, srsName ? ` srsName="${srsName}"` : '');
+  }
+
+  static toKML(geometry) {
+    if (!geometry || !this.validateGeometry(geometry)) {
+      return null;
+    }
+
+    const coordinates = list => `<coordinates>${list.map(c => `${c[0]},${c[1]}`).join(' ')}</coordinates>`;
+    const ring = list => `<LinearRing>${coordinates(list)}</LinearRing>`;
+    const polygon = rings => '<Polygon>' +
+      `<outerBoundaryIs>${ring(rings[0])}</outerBoundaryIs>` +
+      rings.slice(1).map(inner => `<innerBoundaryIs>${ring(inner)}</innerBoundaryIs>`).join('') +
+      '</Polygon>';
+
+    const encode = g => {
+      switch (g.type) {
+        case 'Point':
+          return `<Point>${coordinates([g.coordinates])}</Point>`;
+        case 'LineString':
+          return `<LineString>${coordinates(g.coordinates)}</LineString>`;
+        case 'Polygon':
+          return polygon(g.coordinates);
+        case 'MultiPoint':
+          return `<MultiGeometry>${g.coordinates.map(c => encode({ type: 'Point', coordinates: c })).join('')}</MultiGeometry>`;
+        case 'MultiLineString':
+          return `<MultiGeometry>${g.coordinates.map(c => encode({ type: 'LineString', coordinates: c })).join('')}</MultiGeometry>`;
+        case 'MultiPolygon':
+          return `<MultiGeometry>${g.coordinates.map(polygon).join('')}</MultiGeometry>`;
+        case 'GeometryCollection':
+          return `<MultiGeometry>${g.geometries.map(encode).join('')}</MultiGeometry>`;
+        default:
+          return '';
+      }
+    };
+
+    return encode(geometry);
+  }
+
+  // Little-endian 2D WKB, as stored in GeoPackage geometry blobs.
+  static toWKB(geometry) {
+    if (!geometry || !this.validateGeometry(geometry)) {
+      return null;
+    }
+
+    const WKB_TYPES = {
+      Point: 1, LineString: 2, Polygon: 3,
+      MultiPoint: 4, MultiLineString: 5, MultiPolygon: 6, GeometryCollection: 7
+    };
+    const parts = [];
+
+    const header = (type, count = null) => {
+      const buffer = Buffer.alloc(count === null ? 5 : 9);
+      buffer.writeUInt8(1, 0);
+      buffer.writeUInt32LE(WKB_TYPES[type], 1);
+      if (count !== null) buffer.writeUInt32LE(count, 5);
+      parts.push(buffer);
+    };
+    const points = coordinates => {
+      const buffer = Buffer.alloc(4 + coordinates.length * 16);
+      buffer.writeUInt32LE(coordinates.length, 0);
+      coordinates.forEach((coordinate, index) => {
+        buffer.writeDoubleLE(coordinate[0], 4 + index * 16);
+        buffer.writeDoubleLE(coordinate[1], 12 + index * 16);
+      });
+      parts.push(buffer);
+    };
+    const rings = polygon => {
+      const count = Buffer.alloc(4);
+      count.writeUInt32LE(polygon.length, 0);
+      parts.push(count);
+      polygon.forEach(points);
+    };
+
+    const encode = g => {
+      switch (g.type) {
+        case 'Point': {
+          header('Point');
+          const buffer = Buffer.alloc(16);
+          buffer.writeDoubleLE(g.coordinates[0], 0);
+          buffer.writeDoubleLE(g.coordinates[1], 8);
+          parts.push(buffer);
+          break;
+        }
+        case 'LineString':
+          header('LineString');
+          points(g.coordinates);
+          break;
+        case 'Polygon':
+          header('Polygon');
+          rings(g.coordinates);
+          break;
+        case 'MultiPoint':
+          header('MultiPoint', g.coordinates.length);
+          g.coordinates.forEach(coordinates => encode({ type: 'Point', coordinates }));
+          break;
+        case 'MultiLineString':
+          header('MultiLineString', g.coordinates.length);
+          g.coordinates.forEach(coordinates => encode({ type: 'LineString', coordinates }));
+          break;
+        case 'MultiPolygon':
+          header('MultiPolygon', g.coordinates.length);
+          g.coordinates.forEach(coordinates => encode({ type: 'Polygon', coordinates }));
+          break;
+        case 'GeometryCollection':
+          header('GeometryCollection', g.geometries.length);
+          g.geometries.forEach(encode);
+          break;
+      }
+    };
+
+    encode(geometry);
+    return Buffer.concat(parts);
+  }
+
   static validateGeometry(geometry) {
     if (!geometry || !geometry.type) {
       return false;
@@ -180,4 +367,223 @@ export class GeometryParser {
         return [];
     }
   }
+
+  static boundsIntersect(a, b) {
+    return !!a && !!b &&
+      a.minLng <= b.maxLng && a.maxLng >= b.minLng &&
+      a.minLat <= b.maxLat && a.maxLat >= b.minLat;
+  }
+
+  // Accepts "minx,miny,maxx,maxy" or an array of four numbers.
+  static parseBbox(value) {
+    const parts = Array.isArray(value) ? value : String(value).split(',');
+    if (parts.length !== 4) {
+      return null;
+    }
+
+    const [minLng, minLat, maxLng, maxLat] = parts.map(part => parseFloat(part));
+    if ([minLng, minLat, maxLng, maxLat].some(isNaN) || minLng > maxLng || minLat > maxLat) {
+      return null;
+    }
+
+    return { minLng, minLat, maxLng, maxLat };
+  }
+
+  static bboxToPolygon(bounds) {
+    const { minLng, minLat, maxLng, maxLat } = bounds;
+    return {
+      type: 'Polygon',
+      coordinates: [[
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat]
+      ]]
+    };
+  }
+
+  // Splits a geometry into points, line strings and polygons (arrays of rings)
+  // so predicates only have to handle the three primitive shapes.
+  static getComponents(geometry, components = { points: [], lines: [], polygons: [] }) {
+    if (!geometry) return components;
+
+    switch (geometry.type) {
+      case 'Point':
+        components.points.push(geometry.coordinates);
+        break;
+      case 'MultiPoint':
+        components.points.push(...geometry.coordinates);
+        break;
+      case 'LineString':
+        components.lines.push(geometry.coordinates);
+        break;
+      case 'MultiLineString':
+        components.lines.push(...geometry.coordinates);
+        break;
+      case 'Polygon':
+        components.polygons.push(geometry.coordinates);
+        break;
+      case 'MultiPolygon':
+        components.polygons.push(...geometry.coordinates);
+        break;
+      case 'GeometryCollection':
+        geometry.geometries.forEach(g => this.getComponents(g, components));
+        break;
+    }
+
+    return components;
+  }
+
+  static pointInRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  static pointInPolygon(point, rings) {
+    if (!rings.length || !this.pointInRing(point, rings[0])) {
+      return false;
+    }
+
+    return !rings.slice(1).some(hole => this.pointInRing(point, hole) && !this.pointOnLine(point, hole));
+  }
+
+  static pointOnSegment(point, a, b) {
+    const cross = (b[0] - a[0]) * (point[1] - a[1]) - (b[1] - a[1]) * (point[0] - a[0]);
+    if (Math.abs(cross) > 1e-12) {
+      return false;
+    }
+
+    return point[0] >= Math.min(a[0], b[0]) && point[0] <= Math.max(a[0], b[0]) &&
+      point[1] >= Math.min(a[1], b[1]) && point[1] <= Math.max(a[1], b[1]);
+  }
+
+  static pointOnLine(point, line) {
+    for (let i = 0; i < line.length - 1; i++) {
+      if (this.pointOnSegment(point, line[i], line[i + 1])) {
+        return true;
+      }
+    }
+    return line.length === 1 && line[0][0] === point[0] && line[0][1] === point[1];
+  }
+
+  static segmentsIntersect(p1, p2, p3, p4) {
+    const orientation = (a, b, c) => {
+      const value = (b[1] - a[1]) * (c[0] - b[0]) - (b[0] - a[0]) * (c[1] - b[1]);
+      if (Math.abs(value) < 1e-12) return 0;
+      return value > 0 ? 1 : 2;
+    };
+
+    const o1 = orientation(p1, p2, p3);
+    const o2 = orientation(p1, p2, p4);
+    const o3 = orientation(p3, p4, p1);
+    const o4 = orientation(p3, p4, p2);
+
+    if (o1 !== o2 && o3 !== o4) return true;
+
+    return (o1 === 0 && this.pointOnSegment(p3, p1, p2)) ||
+      (o2 === 0 && this.pointOnSegment(p4, p1, p2)) ||
+      (o3 === 0 && this.pointOnSegment(p1, p3, p4)) ||
+      (o4 === 0 && this.pointOnSegment(p2, p3, p4));
+  }
+
+  static linesIntersect(lineA, lineB) {
+    for (let i = 0; i < lineA.length - 1; i++) {
+      for (let j = 0; j < lineB.length - 1; j++) {
+        if (this.segmentsIntersect(lineA[i], lineA[i + 1], lineB[j], lineB[j + 1])) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Planar intersection test on lng/lat coordinates: true when the geometries
+  // share at least one point (touching counts).
+  static intersects(geometryA, geometryB) {
+    if (!this.boundsIntersect(this.getBounds(geometryA), this.getBounds(geometryB))) {
+      return false;
+    }
+
+    const a = this.getComponents(geometryA);
+    const b = this.getComponents(geometryB);
+
+    const edgesA = [...a.lines, ...a.polygons.flat()];
+    const edgesB = [...b.lines, ...b.polygons.flat()];
+    const verticesA = [...a.points, ...edgesA.flat()];
+    const verticesB = [...b.points, ...edgesB.flat()];
+
+    const coveredBy = (vertices, components, edges) => vertices.some(vertex =>
+      components.polygons.some(polygon => this.pointInPolygon(vertex, polygon)) ||
+      edges.some(edge => this.pointOnLine(vertex, edge)) ||
+      components.points.some(point => point[0] === vertex[0] && point[1] === vertex[1])
+    );
+
+    if (coveredBy(verticesA, b, edgesB) || coveredBy(verticesB, a, edgesA)) {
+      return true;
+    }
+
+    return edgesA.some(edgeA => edgesB.some(edgeB => this.linesIntersect(edgeA, edgeB)));
+  }
+
+  static haversineDistance(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to[1] - from[1]);
+    const dLng = toRadians(to[0] - from[0]);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  // Shortest distance in meters from a [lng, lat] point to a geometry, 0 when
+  // the point lies inside a polygon. Segments are measured in a local
+  // equirectangular projection, which is accurate for the radii used in queries.
+  static distanceToGeometry(point, geometry) {
+    const components = this.getComponents(geometry);
+    const [lng0, lat0] = point;
+    const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+    const project = ([lng, lat]) => [
+      (lng - lng0) * metersPerDegree * Math.cos(lat0 * Math.PI / 180),
+      (lat - lat0) * metersPerDegree
+    ];
+
+    if (components.polygons.some(polygon => this.pointInPolygon(point, polygon))) {
+      return 0;
+    }
+
+    let min = Infinity;
+
+    components.points.forEach(vertex => {
+      min = Math.min(min, this.haversineDistance(point, vertex));
+    });
+
+    [...components.lines, ...components.polygons.flat()].forEach(line => {
+      if (line.length === 1) {
+        min = Math.min(min, this.haversineDistance(point, line[0]));
+      }
+
+      for (let i = 0; i < line.length - 1; i++) {
+        const [ax, ay] = project(line[i]);
+        const [bx, by] = project(line[i + 1]);
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+        min = Math.min(min, Math.hypot(ax + t * dx, ay + t * dy));
+      }
+    });
+
+    return min;
+  }
 }
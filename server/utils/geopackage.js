@@ -0,0 +1,182 @@
+import initSqlJs from 'sql.js';
+import { GeometryParser } from './geometry.js';
+
+// OGC GeoPackage (1.3) writer: a single WGS 84 feature table built in an
+// in-memory SQLite database and returned as the .gpkg file contents.
+
+const GPKG_APPLICATION_ID = 0x47504b47;
+const GPKG_USER_VERSION = 10300;
+const WGS84_DEFINITION = 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,' +
+  'AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],' +
+  'UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]';
+
+const GEOMETRY_TYPE_NAMES = {
+  Point: 'POINT',
+  LineString: 'LINESTRING',
+  Polygon: 'POLYGON',
+  MultiPoint: 'MULTIPOINT',
+  MultiLineString: 'MULTILINESTRING',
+  MultiPolygon: 'MULTIPOLYGON',
+  GeometryCollection: 'GEOMETRYCOLLECTION'
+};
+
+let sqlModule = null;
+
+function getSqlModule() {
+  if (!sqlModule) {
+    sqlModule = initSqlJs();
+  }
+  return sqlModule;
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function getColumnType(values) {
+  const present = values.filter(value => value !== null && value !== undefined && value !== '');
+  if (present.length === 0) return 'TEXT';
+  if (present.every(value => typeof value === 'boolean')) return 'BOOLEAN';
+  if (present.every(value => Number.isInteger(value))) return 'INTEGER';
+  if (present.every(value => typeof value === 'number' && Number.isFinite(value))) return 'REAL';
+  return 'TEXT';
+}
+
+function toColumnValue(type, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (type === 'BOOLEAN') return value ? 1 : 0;
+  if (type === 'TEXT') return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return value;
+}
+
+// GeoPackage binary header (little endian, xy envelope) followed by WKB.
+function toGeoPackageGeometry(geometry) {
+  const wkb = GeometryParser.toWKB(geometry);
+  const bounds = wkb && GeometryParser.getBounds(geometry);
+  if (!bounds) return null;
+
+  const header = Buffer.alloc(40);
+  header.write('GP', 0, 'ascii');
+  header.writeUInt8(0, 2);
+  header.writeUInt8(0x03, 3);
+  header.writeInt32LE(4326, 4);
+  header.writeDoubleLE(bounds.minLng, 8);
+  header.writeDoubleLE(bounds.maxLng, 16);
+  header.writeDoubleLE(bounds.minLat, 24);
+  header.writeDoubleLE(bounds.maxLat, 32);
+
+  return new Uint8Array(Buffer.concat([header, wkb]));
+}
+
+function createMetadataTables(db) {
+  db.run(`PRAGMA application_id = ${GPKG_APPLICATION_ID}`);
+  db.run(`PRAGMA user_version = ${GPKG_USER_VERSION}`);
+
+  db.run(`CREATE TABLE gpkg_spatial_ref_sys (
+    srs_name TEXT NOT NULL,
+    srs_id INTEGER PRIMARY KEY,
+    organization TEXT NOT NULL,
+    organization_coordsys_id INTEGER NOT NULL,
+    definition TEXT NOT NULL,
+    description TEXT
+  )`);
+
+  db.run(`CREATE TABLE gpkg_contents (
+    table_name TEXT NOT NULL PRIMARY KEY,
+    data_type TEXT NOT NULL,
+    identifier TEXT UNIQUE,
+    description TEXT DEFAULT '',
+    last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+    min_x DOUBLE,
+    min_y DOUBLE,
+    max_x DOUBLE,
+    max_y DOUBLE,
+    srs_id INTEGER,
+    CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id)
+  )`);
+
+  db.run(`CREATE TABLE gpkg_geometry_columns (
+    table_name TEXT NOT NULL,
+    column_name TEXT NOT NULL,
+    geometry_type_name TEXT NOT NULL,
+    srs_id INTEGER NOT NULL,
+    z TINYINT NOT NULL,
+    m TINYINT NOT NULL,
+    CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+    CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+    CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id)
+  )`);
+
+  const insertSrs = db.prepare('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)');
+  insertSrs.run(['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system']);
+  insertSrs.run(['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system']);
+  insertSrs.run(['WGS 84 geodetic', 4326, 'EPSG', 4326, WGS84_DEFINITION, 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid']);
+  insertSrs.free();
+}
+
+/**
+ * Builds a GeoPackage with one feature table named tableName holding the
+ * given properties (fields, in order). Resolves to a Buffer.
+ */
+export async function writeGeoPackage(features, { tableName, fields }) {
+  const SQL = await getSqlModule();
+  const db = new SQL.Database();
+
+  try {
+    createMetadataTables(db);
+
+    const reserved = new Set(['fid', 'geom']);
+    const columns = fields.map(field => {
+      let name = field;
+      while (reserved.has(name.toLowerCase())) name = `${name}_1`;
+      reserved.add(name.toLowerCase());
+      return { field, name, type: getColumnType(features.map(feature => feature.properties?.[field])) };
+    });
+
+    const geometryTypes = new Set(features.filter(feature => feature.geometry).map(feature => feature.geometry.type));
+    const geometryTypeName = geometryTypes.size === 1 ? GEOMETRY_TYPE_NAMES[[...geometryTypes][0]] || 'GEOMETRY' : 'GEOMETRY';
+
+    db.run(`CREATE TABLE ${quoteIdentifier(tableName)} (
+      fid INTEGER PRIMARY KEY AUTOINCREMENT,
+      geom ${geometryTypeName}${columns.map(column => `,\n      ${quoteIdentifier(column.name)} ${column.type}`).join('')}
+    )`);
+
+    const insert = db.prepare(
+      `INSERT INTO ${quoteIdentifier(tableName)} (geom${columns.map(column => `, ${quoteIdentifier(column.name)}`).join('')}) ` +
+      `VALUES (?${columns.map(() => ', ?').join('')})`
+    );
+
+    const extent = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+
+    db.run('BEGIN');
+    features.forEach(feature => {
+      const bounds = feature.geometry ? GeometryParser.getBounds(feature.geometry) : null;
+      if (bounds) {
+        extent.minLng = Math.min(extent.minLng, bounds.minLng);
+        extent.minLat = Math.min(extent.minLat, bounds.minLat);
+        extent.maxLng = Math.max(extent.maxLng, bounds.maxLng);
+        extent.maxLat = Math.max(extent.maxLat, bounds.maxLat);
+      }
+
+      insert.run([
+        feature.geometry ? toGeoPackageGeometry(feature.geometry) : null,
+        ...columns.map(column => toColumnValue(column.type, feature.properties?.[column.field]))
+      ]);
+    });
+    db.run('COMMIT');
+    insert.free();
+
+    const hasExtent = Number.isFinite(extent.minLng);
+    db.run(
+      'INSERT INTO gpkg_contents (table_name, data_type, identifier, min_x, min_y, max_x, max_y, srs_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [tableName, 'features', tableName,
+        hasExtent ? extent.minLng : null, hasExtent ? extent.minLat : null,
+        hasExtent ? extent.maxLng : null, hasExtent ? extent.maxLat : null, 4326]
+    );
+    db.run('INSERT INTO gpkg_geometry_columns VALUES (?, ?, ?, ?, 0, 0)', [tableName, 'geom', geometryTypeName, 4326]);
+
+    return Buffer.from(db.export());
+  } finally {
+    db.close();
+  }
+}
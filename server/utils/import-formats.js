@@ -0,0 +1,554 @@
+import path from 'path';
+import { DOMParser } from '@xmldom/xmldom';
+import { kml, gpx } from '@tmcw/togeojson';
+import { GeometryParser } from './geometry.js';
+import { readZip } from './zip.js';
+import { readShapefile } from './shapefile.js';
+import { WGS84, parsePrj, detectCrsFromBounds, getCrs, isWGS84, normalizeCrsCode, createTransformer } from './crs.js';
+
+// Parsers for POST /api/import/:customerId/preview. Every format is turned
+// into GeoJSON features with 2D geometry; features that cannot be imported
+// are returned as rejections ({ index, error }) instead of failing the file.
+// Field types use the import vocabulary: text, longText, number, boolean, date.
+
+export const IMPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extensions: ['geojson', 'json'] },
+  shapefile: { label: 'Shapefile (zip)', extensions: ['zip'] },
+  kml: { label: 'KML', extensions: ['kml'] },
+  kmz: { label: 'KMZ', extensions: ['kmz'] },
+  gpx: { label: 'GPX', extensions: ['gpx'] },
+  csv: { label: 'CSV', extensions: ['csv', 'tsv', 'txt'] }
+};
+
+export const MAX_IMPORT_FEATURES = 100000;
+
+const GEOMETRY_FIELD = 'geometry';
+const LONG_TEXT_LENGTH = 255;
+const LATITUDE_COLUMNS = ['lat', 'latitude', 'y', 'ycoord', 'ycoordinate', 'pointy', 'latdd', 'northing', 'north'];
+const LONGITUDE_COLUMNS = ['lon', 'lng', 'long', 'longitude', 'x', 'xcoord', 'xcoordinate', 'pointx', 'londd', 'lngdd', 'easting', 'east'];
+const WKT_COLUMNS = ['wkt', 'geometry', 'geom', 'thegeom', 'shape', 'wktgeometry'];
+const WKT_PATTERN = /^\s*(SRID=\d+;\s*)?(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*(Z|M|ZM)?\s*(\(|EMPTY)/i;
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const GPX_INTERNAL_PROPERTIES = ['_gpxType', 'coordinateProperties'];
+
+function stripBom(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+function parseXml(text) {
+  let fatalError = null;
+  try {
+    return new DOMParser({
+      onError: (level, message) => {
+        if (level === 'fatalError') {
+          fatalError = message;
+          throw new Error(message);
+        }
+      }
+    }).parseFromString(stripBom(text), 'text/xml');
+  } catch (error) {
+    throw new Error(`File is not valid XML: ${fatalError || error.message}`);
+  }
+}
+
+function getExtension(fileName) {
+  return path.extname(String(fileName || '')).slice(1).toLowerCase();
+}
+
+/**
+ * Picks the parser for an upload from its file name, falling back to the
+ * first bytes of the file. Returns a key of IMPORT_FORMATS or null.
+ */
+export function detectImportFormat(fileName, buffer) {
+  const extension = getExtension(fileName);
+  const byExtension = Object.keys(IMPORT_FORMATS).find(key => IMPORT_FORMATS[key].extensions.includes(extension));
+  if (byExtension) return byExtension;
+
+  const head = stripBom(buffer.subarray(0, 512).toString('utf8')).trimStart();
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    const names = readZip(buffer).map(entry => entry.name.toLowerCase());
+    return names.some(name => name.endsWith('.kml')) ? 'kmz' : 'shapefile';
+  }
+  if (head.startsWith('{')) return 'geojson';
+  if (head.startsWith('<')) {
+    if (/<gpx[\s>]/i.test(head)) return 'gpx';
+    if (/<kml[\s>]/i.test(head)) return 'kml';
+    return null;
+  }
+  return head ? 'csv' : null;
+}
+
+function parseGeoJSON(buffer) {
+  let data;
+  try {
+    data = JSON.parse(stripBom(buffer.toString('utf8')));
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+
+  let features;
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    features = data.features;
+  } else if (data?.type === 'Feature') {
+    features = [data];
+  } else if (GeometryParser.validateGeometry(data)) {
+    features = [{ type: 'Feature', geometry: data, properties: {} }];
+  } else {
+    throw new Error('File is not a GeoJSON FeatureCollection, Feature or geometry');
+  }
+
+  // RFC 7946 GeoJSON is always WGS 84; older files may name another CRS
+  const crsName = data.crs?.properties?.name;
+  const code = normalizeCrsCode(crsName);
+  const crs = !crsName || isWGS84(code)
+    ? { ...WGS84 }
+    : getCrs(code) || { code, name: crsName, geographic: false, supported: false };
+
+  return { features, crs, coerce: false };
+}
+
+// The shapefiles in a ZIP as [{ name, shp, dbf, prj, cpg }], in archive order
+function findShapefiles(entries) {
+  const shpEntries = entries.filter(entry => entry.name.toLowerCase().endsWith('.shp') && !entry.name.startsWith('__MACOSX/'));
+  if (shpEntries.length === 0) {
+    throw new Error('The ZIP file does not contain a .shp file');
+  }
+
+  return shpEntries.map(shpEntry => {
+    const base = shpEntry.name.slice(0, -4).toLowerCase();
+    const component = extension => entries.find(entry => entry.name.toLowerCase() === `${base}.${extension}`)?.data;
+
+    return {
+      name: path.basename(shpEntry.name),
+      shp: shpEntry.data,
+      dbf: component('dbf'),
+      prj: component('prj'),
+      cpg: component('cpg')
+    };
+  });
+}
+
+// Every shapefile in the ZIP is imported, so the per-geometry-type files
+// writeShapefile makes for mixed tables come back as one table. They must
+// share a CRS.
+function parseShapefileZip(buffer) {
+  const shapefiles = findShapefiles(readZip(buffer));
+  const warnings = [];
+  const features = [];
+  const errors = [];
+  const fieldTypes = [];
+  let crs = null;
+
+  shapefiles.forEach((shapefile, position) => {
+    if (!shapefile.dbf) {
+      warnings.push(`No .dbf file found for ${shapefile.name}; its features are imported without attributes`);
+    }
+
+    const layerCrs = shapefile.prj ? parsePrj(shapefile.prj.toString('latin1')) : null;
+    if (position > 0 && (layerCrs?.code ?? layerCrs?.wkt ?? null) !== (crs?.code ?? crs?.wkt ?? null)) {
+      throw new Error(`The shapefiles in the ZIP file use different coordinate reference systems (${shapefiles[0].name}: ${crs?.name || 'none'}, ${shapefile.name}: ${layerCrs?.name || 'none'}); import them separately`);
+    }
+    crs = layerCrs;
+
+    const layer = readShapefile({ shp: shapefile.shp, dbf: shapefile.dbf, cpg: shapefile.cpg });
+    layer.errors.forEach(item => errors.push({ ...item, index: item.index + features.length }));
+    features.push(...layer.features);
+    layer.fields.forEach(field => {
+      if (!fieldTypes.some(existing => existing.name === field.name)) fieldTypes.push(field);
+    });
+  });
+
+  if (shapefiles.length > 1) {
+    warnings.push(`The ZIP file holds ${shapefiles.length} shapefiles (${shapefiles.map(shapefile => shapefile.name).join(', ')}); their features are imported together`);
+  }
+
+  return { features, errors, fieldTypes, crs, warnings, coerce: false };
+}
+
+function parseKml(text) {
+  const collection = kml(parseXml(text));
+  return { features: collection.features, crs: { ...WGS84 }, coerce: true };
+}
+
+function parseKmz(buffer) {
+  const entries = readZip(buffer);
+  const document = entries.find(entry => entry.name.toLowerCase() === 'doc.kml') ||
+    entries.find(entry => entry.name.toLowerCase().endsWith('.kml'));
+
+  if (!document) {
+    throw new Error('The KMZ file does not contain a KML document');
+  }
+
+  return parseKml(document.data.toString('utf8'));
+}
+
+function parseGpx(text) {
+  const collection = gpx(parseXml(text));
+  collection.features.forEach(feature => {
+    GPX_INTERNAL_PROPERTIES.forEach(key => delete feature.properties?.[key]);
+  });
+  return { features: collection.features, crs: { ...WGS84 }, coerce: true };
+}
+
+function detectDelimiter(line) {
+  const counts = [',', ';', '\t', '|'].map(delimiter => ({
+    delimiter,
+    count: line.replace(/"[^"]*"/g, '').split(delimiter).length - 1
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+// RFC 4180 rows: quoted cells may contain the delimiter, quotes and newlines.
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function normalizeColumnName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function getUniqueHeaders(headerRow) {
+  const used = new Set();
+  return headerRow.map((header, index) => {
+    const base = header.trim() || `column_${index + 1}`;
+    let name = base;
+    for (let suffix = 2; used.has(name.toLowerCase()); suffix++) {
+      name = `${base}_${suffix}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Chooses the CSV geometry source: a WKT column when one holds WKT, otherwise
+ * a latitude/longitude pair. Explicit column names win over detection.
+ */
+function detectGeometryColumns(headers, rows, options) {
+  const has = name => name && headers.includes(name);
+
+  if (has(options.wktColumn)) {
+    return { wkt: options.wktColumn };
+  }
+  if (has(options.latitudeColumn) && has(options.longitudeColumn)) {
+    return { latitude: options.latitudeColumn, longitude: options.longitudeColumn };
+  }
+
+  const firstValue = index => rows.find(row => (row[index] || '').trim() !== '')?.[index] || '';
+  const wktHeaders = headers.filter((header, index) => WKT_PATTERN.test(firstValue(index)));
+  const wkt = wktHeaders.find(header => WKT_COLUMNS.includes(normalizeColumnName(header))) || wktHeaders[0];
+  if (wkt) {
+    return { wkt };
+  }
+
+  const latitude = headers.find(header => LATITUDE_COLUMNS.includes(normalizeColumnName(header)));
+  const longitude = headers.find(header => LONGITUDE_COLUMNS.includes(normalizeColumnName(header)));
+  if (latitude && longitude) {
+    return { latitude, longitude };
+  }
+
+  return {};
+}
+
+function parseCoordinate(value, delimiter) {
+  let text = String(value ?? '').trim();
+  // Semicolon separated files usually come with decimal commas
+  if (delimiter !== ',' && /^-?\d+,\d+$/.test(text)) {
+    text = text.replace(',', '.');
+  }
+  return text === '' ? NaN : Number(text);
+}
+
+function parseCsv(text, options) {
+  const content = stripBom(text);
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0]);
+  const rows = parseDelimited(content, delimiter);
+
+  if (rows.length < 2) {
+    throw new Error('The CSV file needs a header row and at least one data row');
+  }
+
+  const headers = getUniqueHeaders(rows[0]);
+  const dataRows = rows.slice(1);
+  const geometryColumns = detectGeometryColumns(headers, dataRows, options);
+
+  if (!geometryColumns.wkt && !geometryColumns.latitude) {
+    throw new Error('No geometry found in the CSV file. Add a WKT column or latitude and longitude columns, or name them in the import options.');
+  }
+
+  const errors = [];
+  const features = dataRows.map((row, index) => {
+    const properties = {};
+    headers.forEach((header, column) => {
+      if (header !== geometryColumns.wkt) {
+        properties[header] = row[column] ?? '';
+      }
+    });
+
+    let geometry = null;
+    if (geometryColumns.wkt) {
+      const value = row[headers.indexOf(geometryColumns.wkt)] || '';
+      geometry = WKT_PATTERN.test(value) ? GeometryParser.parseWKT(value.replace(/^\s*SRID=\d+;\s*/i, '')) : null;
+      if (!geometry) {
+        errors.push({ index, error: value.trim() ? 'Invalid WKT geometry' : 'Missing geometry' });
+      }
+    } else {
+      const lat = parseCoordinate(row[headers.indexOf(geometryColumns.latitude)], delimiter);
+      const lng = parseCoordinate(row[headers.indexOf(geometryColumns.longitude)], delimiter);
+      if (Number.isFinite(lat) && Number.isFinite(lng)) {
+        geometry = { type: 'Point', coordinates: [lng, lat] };
+      } else {
+        errors.push({ index, error: 'Missing or non-numeric latitude/longitude' });
+      }
+    }
+
+    return { type: 'Feature', geometry, properties };
+  });
+
+  return { features, errors, crs: null, geometryColumns, coerce: true };
+}
+
+// Drops Z and M values so stored geometry is always 2D.
+function to2D(coordinates) {
+  if (!Array.isArray(coordinates)) return coordinates;
+  if (typeof coordinates[0] === 'number') return coordinates.slice(0, 2);
+  return coordinates.map(to2D);
+}
+
+function flattenGeometry(geometry) {
+  if (geometry.type === 'GeometryCollection') {
+    return { type: 'GeometryCollection', geometries: (geometry.geometries || []).map(flattenGeometry) };
+  }
+  return { type: geometry.type, coordinates: to2D(geometry.coordinates) };
+}
+
+function checkGeometry(geometry, checkRange) {
+  if (!geometry) return 'Missing geometry';
+  if (!GeometryParser.validateGeometry(geometry)) return `Unsupported geometry type ${geometry.type}`;
+
+  const coordinates = GeometryParser.extractCoordinates(geometry);
+  if (!coordinates || coordinates.length === 0) return 'Empty geometry';
+  if (coordinates.some(([x, y]) => !Number.isFinite(x) || !Number.isFinite(y))) return 'Non-numeric coordinates';
+  if (checkRange && coordinates.some(([x, y]) => x < -180 || x > 180 || y < -90 || y > 90)) {
+    return 'Coordinates outside the longitude/latitude range';
+  }
+  return null;
+}
+
+function extendBounds(bounds, geometry) {
+  const featureBounds = GeometryParser.getBounds(geometry);
+  if (!featureBounds) return bounds;
+  if (!bounds) return { ...featureBounds };
+
+  return {
+    minLng: Math.min(bounds.minLng, featureBounds.minLng),
+    minLat: Math.min(bounds.minLat, featureBounds.minLat),
+    maxLng: Math.max(bounds.maxLng, featureBounds.maxLng),
+    maxLat: Math.max(bounds.maxLat, featureBounds.maxLat)
+  };
+}
+
+function formatValue(value) {
+  if (value === undefined) return null;
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// Property names are reused as field names; "geometry" is taken by the
+// geometry field itself.
+function getFieldName(name, renamed) {
+  if (!renamed.has(name)) {
+    let fieldName = String(name).trim() || 'field';
+    while (fieldName.toLowerCase() === GEOMETRY_FIELD) fieldName = `${fieldName}_1`;
+    renamed.set(name, fieldName);
+  }
+  return renamed.get(name);
+}
+
+function inferFieldType(values, coerce) {
+  const present = values.filter(value => value !== null && value !== undefined && value !== '');
+  if (present.length === 0) return 'text';
+
+  const isBoolean = value => typeof value === 'boolean' || (coerce && /^(true|false)$/i.test(value));
+  const isNumber = value => (typeof value === 'number' && Number.isFinite(value)) ||
+    (coerce && typeof value === 'string' && NUMBER_PATTERN.test(value.trim()));
+
+  if (present.every(isBoolean)) return 'boolean';
+  if (present.every(isNumber)) return 'number';
+  return present.some(value => String(value).length > LONG_TEXT_LENGTH || /[\r\n]/.test(String(value))) ? 'longText' : 'text';
+}
+
+function coerceValue(type, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (type === 'number') return typeof value === 'number' ? value : Number(String(value).trim());
+  if (type === 'boolean') return typeof value === 'boolean' ? value : /^true$/i.test(value);
+  return typeof value === 'string' ? value : String(value);
+}
+
+/**
+ * Parses an uploaded file. options: { fileName, format, latitudeColumn,
+ * longitudeColumn, wktColumn, crs } (the column names apply to CSV only;
+ * crs names the CRS of files that do not declare a usable one). Coordinates in a
+ * supported CRS are reprojected to WGS 84.
+ * Returns { format, features, sourceIndexes, rejected, fields, geometryTypes,
+ * bounds, crs, warnings, geometryColumns }; sourceIndexes[i] is the position
+ * of features[i] in the file. Throws when the file as a whole is unreadable.
+ */
+export function parseImportFile(buffer, options = {}) {
+  const format = options.format || detectImportFormat(options.fileName, buffer);
+  if (!format || !IMPORT_FORMATS[format]) {
+    throw new Error(`Unsupported file type. Supported: ${Object.values(IMPORT_FORMATS).map(item => item.label).join(', ')}`);
+  }
+
+  let parsed;
+  switch (format) {
+    case 'geojson': parsed = parseGeoJSON(buffer); break;
+    case 'shapefile': parsed = parseShapefileZip(buffer); break;
+    case 'kml': parsed = parseKml(buffer.toString('utf8')); break;
+    case 'kmz': parsed = parseKmz(buffer); break;
+    case 'gpx': parsed = parseGpx(buffer.toString('utf8')); break;
+    case 'csv': parsed = parseCsv(buffer.toString('utf8'), options); break;
+  }
+
+  const warnings = [...(parsed.warnings || [])];
+  if (parsed.features.length > MAX_IMPORT_FEATURES) {
+    throw new Error(`The file holds ${parsed.features.length} features; at most ${MAX_IMPORT_FEATURES} can be imported at once`);
+  }
+
+  const parseErrors = new Map((parsed.errors || []).map(item => [item.index, item.error]));
+  const candidates = parsed.features.map((feature, index) => ({
+    index,
+    geometry: feature?.geometry ? flattenGeometry(feature.geometry) : null,
+    properties: feature?.properties || {}
+  }));
+
+  // Files without a usable CRS are judged by their coordinates unless the
+  // caller names one
+  let crs = parsed.crs;
+  if (!crs?.supported && options.crs) {
+    crs = getCrs(options.crs);
+    if (!crs) {
+      throw new Error(`Unknown coordinate reference system: ${options.crs}`);
+    }
+  }
+  if (!crs) {
+    const bounds = candidates.reduce((result, candidate) =>
+      parseErrors.has(candidate.index) || checkGeometry(candidate.geometry, false) ? result : extendBounds(result, candidate.geometry), null);
+    crs = detectCrsFromBounds(bounds);
+  }
+
+  if (!crs.supported) {
+    warnings.push(`Coordinates are in ${crs.name}${crs.code ? ` (${crs.code})` : ''}, which cannot be converted to WGS 84; choose the coordinate reference system of the file`);
+  } else if (!isWGS84(crs.code)) {
+    const transformer = createTransformer(getCrs(crs.code) ? crs.code : crs.wkt);
+    candidates.forEach(candidate => {
+      if (parseErrors.has(candidate.index) || checkGeometry(candidate.geometry, false)) return;
+      candidate.geometry = transformer.toWGS84(candidate.geometry);
+    });
+  }
+
+  const renamed = new Map();
+  const accepted = [];
+  const sourceIndexes = [];
+  const rejected = [];
+
+  candidates.forEach(candidate => {
+    const error = parseErrors.get(candidate.index) || checkGeometry(candidate.geometry, crs.supported);
+    if (error) {
+      rejected.push({ index: candidate.index, error, properties: candidate.properties });
+      return;
+    }
+
+    const properties = {};
+    Object.entries(candidate.properties).forEach(([key, value]) => {
+      properties[getFieldName(key, renamed)] = formatValue(value);
+    });
+    accepted.push({ type: 'Feature', geometry: candidate.geometry, properties });
+    sourceIndexes.push(candidate.index);
+  });
+
+  // Field order follows first appearance; shapefiles list theirs up front
+  const declaredTypes = new Map((parsed.fieldTypes || []).map(field => [getFieldName(field.name, renamed), field.type]));
+  const fieldNames = [...declaredTypes.keys()];
+  accepted.forEach(feature => {
+    Object.keys(feature.properties).forEach(name => {
+      if (!fieldNames.includes(name)) fieldNames.push(name);
+    });
+  });
+
+  const fields = fieldNames.map(name => {
+    const values = accepted.map(feature => feature.properties[name]);
+    let type = declaredTypes.get(name) || inferFieldType(values, parsed.coerce);
+    if (type === 'text' && inferFieldType(values, false) === 'longText') type = 'longText';
+    return { name, type };
+  });
+
+  if (parsed.coerce) {
+    accepted.forEach(feature => {
+      fields.forEach(field => {
+        if (field.name in feature.properties) {
+          feature.properties[field.name] = coerceValue(field.type, feature.properties[field.name]);
+        }
+      });
+    });
+  }
+
+  const geometryTypes = {};
+  let bounds = null;
+  accepted.forEach(feature => {
+    geometryTypes[feature.geometry.type] = (geometryTypes[feature.geometry.type] || 0) + 1;
+    bounds = extendBounds(bounds, feature.geometry);
+  });
+
+  return {
+    format,
+    features: accepted,
+    sourceIndexes,
+    rejected,
+    fields,
+    geometryTypes,
+    bounds,
+    crs: { code: crs.code, name: crs.name, geographic: crs.geographic, supported: crs.supported, hints: crs.hints || [] },
+    warnings,
+    geometryColumns: parsed.geometryColumns || null
+  };
+}
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+
+// In-memory store for file imports. A preview parses the upload and keeps the
+// features here; committing writes them to the target table in batches while
+// the client polls the job for progress. Jobs are per server process and
+// expire after IMPORT_JOB_TTL_MS.
+
+const IMPORT_JOB_TTL_MS = parseInt(process.env.IMPORT_JOB_TTL_MS || '1800000');
+const IMPORT_BATCH_SIZE = 500;
+const PREVIEW_SAMPLE_SIZE = 5;
+
+const jobs = new Map();
+
+function pruneExpiredJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.expiresAt <= now && job.status !== 'running') {
+      jobs.delete(id);
+    }
+  }
+}
+
+export function createImportJob(customerId, { fileName, userEmail, parsed }) {
+  pruneExpiredJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    customerId,
+    fileName,
+    userEmail,
+    status: 'previewed',
+    createdAt: new Date().toISOString(),
+    expiresAt: Date.now() + IMPORT_JOB_TTL_MS,
+    parsed,
+    target: null,
+    progress: { total: parsed.features.length, processed: 0, succeeded: 0, failed: 0 },
+    // Rejections from parsing plus features the data source refused
+    errors: parsed.rejected.map(item => ({ stage: 'parse', ...item })),
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+export function getImportJob(customerId, id) {
+  pruneExpiredJobs();
+  const job = jobs.get(id);
+  return job && job.customerId === customerId ? job : null;
+}
+
+export function deleteImportJob(customerId, id) {
+  const job = getImportJob(customerId, id);
+  if (!job || job.status === 'running') {
+    return false;
+  }
+  return jobs.delete(id);
+}
+
+/**
+ * Client view of a job. The preview adds the detected schema and a few sample
+ * features; the full feature list never leaves the server.
+ */
+export function describeImportJob(job, { includePreview = false } = {}) {
+  const { parsed } = job;
+  const description = {
+    importId: job.id,
+    fileName: job.fileName,
+    format: parsed.format,
+    status: job.status,
+    createdAt: job.createdAt,
+    expiresAt: new Date(job.expiresAt).toISOString(),
+    progress: job.progress,
+    rejectedCount: job.errors.length,
+    target: job.target,
+    error: job.error
+  };
+
+  if (includePreview) {
+    Object.assign(description, {
+      featureCount: job.progress.total,
+      fields: parsed.fields,
+      geometryTypes: parsed.geometryTypes,
+      geometryColumns: parsed.geometryColumns,
+      bounds: parsed.bounds,
+      crs: parsed.crs,
+      warnings: parsed.warnings,
+      sample: parsed.features.slice(0, PREVIEW_SAMPLE_SIZE),
+      rejected: job.errors.slice(0, 100).map(({ index, error }) => ({ index, error }))
+    });
+  }
+
+  return description;
+}
+
+/**
+ * Writes the job's features through the adapter in batches. prepare(feature)
+ * returns the feature to write or { error } to reject it. Runs in the
+ * background; progress and failures are recorded on the job.
+ */
+export async function runImportJob(job, { adapter, target, prepare = feature => feature, onComplete }) {
+  job.status = 'running';
+  job.target = target;
+
+  const { features, sourceIndexes } = job.parsed;
+
+  try {
+    for (let start = 0; start < features.length; start += IMPORT_BATCH_SIZE) {
+      const batch = [];
+
+      features.slice(start, start + IMPORT_BATCH_SIZE).forEach((feature, offset) => {
+        const index = sourceIndexes[start + offset];
+        const prepared = prepare(feature);
+        if (prepared.error) {
+          job.errors.push({ stage: 'write', index, error: prepared.error, properties: feature.properties });
+          job.progress.failed++;
+          job.progress.processed++;
+        } else {
+          batch.push({ index, feature: prepared });
+        }
+      });
+
+      if (batch.length > 0) {
+        const results = await adapter.createRecords(batch.map(item => item.feature));
+
+        results.forEach((result, position) => {
+          if (result?.success) {
+            job.progress.succeeded++;
+          } else {
+            const { index, feature } = batch[position];
+            job.errors.push({ stage: 'write', index, error: result?.error || 'Write failed', properties: feature.properties });
+            job.progress.failed++;
+          }
+          job.progress.processed++;
+        });
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    job.expiresAt = Date.now() + IMPORT_JOB_TTL_MS;
+    // The features are only needed until they are written
+    job.parsed = { ...job.parsed, features: [], sourceIndexes: [] };
+  }
+
+  if (onComplete) {
+    await onComplete(job);
+  }
+}
+
+// As in the CSV export: text a spreadsheet would run as a formula gets a
+// leading apostrophe, since the attributes come from the uploaded file.
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value !== 'number' && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV report of every rejected feature: its position in the uploaded file
+ * (1-based), the stage that rejected it, the reason and its attributes.
+ */
+export function buildImportErrorReport(job) {
+  const fields = [...new Set(job.errors.flatMap(item => Object.keys(item.properties || {})))];
+  const lines = [['feature', 'stage', 'error', ...fields].map(csvCell).join(',')];
+
+  [...job.errors]
+    .sort((a, b) => a.index - b.index)
+    .forEach(item => {
+      lines.push([item.index + 1, item.stage, item.error, ...fields.map(field => item.properties?.[field])].map(csvCell).join(','));
+    });
+
+  return lines.join('\r\n') + '\r\n';
+}
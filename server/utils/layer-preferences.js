@@ -0,0 +1,72 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+// Per-user map layer settings (symbology, labels, popup) in
+// user_layer_preferences, keyed by customer, user email and the layer's table
+// id. Rows are only ever read and written for the session's own user.
+
+const MAX_CONFIGURATION_BYTES = 64 * 1024;
+
+function toPreference(row) {
+  return {
+    layerId: row.layer_id,
+    layerName: row.layer_name,
+    configuration: row.configuration || {},
+    updatedAt: row.updated_at
+  };
+}
+
+export async function listLayerPreferences(customerId, userEmail) {
+  const { data, error } = await supabaseAdmin
+    .from('user_layer_preferences')
+    .select('layer_id, layer_name, configuration, updated_at')
+    .eq('customer_id', customerId)
+    .eq('user_email', userEmail)
+    .eq('is_active', true)
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(toPreference);
+}
+
+// Returns null when the configuration is acceptable, otherwise the reason.
+export function checkLayerConfiguration(configuration) {
+  if (!configuration || typeof configuration !== 'object' || Array.isArray(configuration)) {
+    return 'configuration must be an object';
+  }
+  if (JSON.stringify(configuration).length > MAX_CONFIGURATION_BYTES) {
+    return `configuration must be smaller than ${MAX_CONFIGURATION_BYTES / 1024} KB`;
+  }
+  return null;
+}
+
+export async function saveLayerPreference(customerId, session, { layerId, layerName, configuration }) {
+  const { data, error } = await supabaseAdmin
+    .from('user_layer_preferences')
+    .upsert({
+      customer_id: customerId,
+      user_id: session.user_id || null,
+      user_email: session.user_email,
+      layer_id: layerId,
+      layer_name: layerName || layerId,
+      configuration,
+      is_active: true
+    }, { onConflict: 'customer_id,user_email,layer_id' })
+    .select('layer_id, layer_name, configuration, updated_at')
+    .single();
+
+  if (error) throw error;
+  return toPreference(data);
+}
+
+export async function deleteLayerPreference(customerId, userEmail, layerId) {
+  const { data, error } = await supabaseAdmin
+    .from('user_layer_preferences')
+    .delete()
+    .eq('customer_id', customerId)
+    .eq('user_email', userEmail)
+    .eq('layer_id', layerId)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
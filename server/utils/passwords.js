@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const HASH_VERSION = '1';
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+const LEGACY_SALT = 'teable_salt_2024';
+const MAX_PASSWORD_LENGTH = 1024;
+
+function getScryptParams() {
+  return {
+    N: parseInt(process.env.PASSWORD_SCRYPT_N || '16384'),
+    r: parseInt(process.env.PASSWORD_SCRYPT_R || '8'),
+    p: parseInt(process.env.PASSWORD_SCRYPT_P || '1')
+  };
+}
+
+async function deriveKey(password, salt, params) {
+  return scrypt(password, salt, KEY_LENGTH, {
+    ...params,
+    maxmem: 256 * params.N * params.r
+  });
+}
+
+function parseHash(storedHash) {
+  const parts = storedHash.split('$');
+  if (parts.length !== 5 || parts[0] !== HASH_PREFIX) {
+    return null;
+  }
+
+  const [, version, paramString, salt, hash] = parts;
+  const params = {};
+  paramString.split(',').forEach(pair => {
+    const [key, value] = pair.split('=');
+    params[key] = parseInt(value);
+  });
+
+  if (!params.N || !params.r || !params.p) {
+    return null;
+  }
+
+  return {
+    version,
+    params,
+    salt: Buffer.from(salt, 'base64'),
+    hash: Buffer.from(hash, 'base64')
+  };
+}
+
+function isLegacyHash(storedHash) {
+  return /^[a-f0-9]{64}$/.test(storedHash);
+}
+
+function legacyHash(password) {
+  return crypto.createHash('sha256').update(password + LEGACY_SALT).digest('hex');
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function validatePasswordInput(password) {
+  return typeof password === 'string' && password.length > 0 && password.length <= MAX_PASSWORD_LENGTH;
+}
+
+export async function hashPassword(password) {
+  if (!validatePasswordInput(password)) {
+    throw new Error('Invalid password');
+  }
+
+  const params = getScryptParams();
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await deriveKey(password, salt, params);
+
+  return [
+    HASH_PREFIX,
+    HASH_VERSION,
+    `N=${params.N},r=${params.r},p=${params.p}`,
+    salt.toString('base64'),
+    key.toString('base64')
+  ].join('$');
+}
+
+/**
+ * Checks a password against a stored hash. Legacy SHA-256 hashes and scrypt
+ * hashes made with outdated parameters verify normally but are reported with
+ * needsRehash so callers can store a fresh hash after a successful login.
+ */
+export async function verifyPassword(password, storedHash) {
+  if (!validatePasswordInput(password) || !storedHash || typeof storedHash !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (isLegacyHash(storedHash)) {
+    const valid = safeEqual(Buffer.from(legacyHash(password)), Buffer.from(storedHash));
+    return { valid, needsRehash: valid };
+  }
+
+  const parsed = parseHash(storedHash);
+  if (!parsed) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const key = await deriveKey(password, parsed.salt, parsed.params);
+  const valid = safeEqual(key, parsed.hash);
+
+  const current = getScryptParams();
+  const outdated = parsed.version !== HASH_VERSION ||
+    parsed.params.N !== current.N ||
+    parsed.params.r !== current.r ||
+    parsed.params.p !== current.p;
+
+  return { valid, needsRehash: valid && outdated };
+}
@@ -0,0 +1,388 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { AdapterFactory } from '../adapters/AdapterFactory.js';
+import { getFeatureIndex } from './feature-cache.js';
+import { matchesSpatialQuery } from './spatial-query.js';
+import { getTileIndex, encodeTile } from './vector-tiles.js';
+import { APP_USERS_TABLE, SECRET_FIELDS } from './app-users.js';
+
+// Public map configurations in public_maps. Admins edit draft_config; publishing
+// copies it to published_config, which is all anonymous visitors can read.
+// Visitors get features only for the layers of the published configuration and
+// only the fields it names: visible and popup fields plus the label, styling
+// and time fields, never hidden fields or password hashes. The system tables
+// the Teable setup creates cannot be published.
+
+export const MAX_PUBLIC_MAP_LAYERS = 50;
+export const MAX_EMBED_ORIGINS = 20;
+export const MAX_PUBLIC_FEATURES = parseInt(process.env.PUBLIC_MAP_MAX_FEATURES || '5000');
+export const DEFAULT_PUBLIC_IDENTIFY_TOLERANCE_METERS = 100;
+export const MAX_PUBLIC_IDENTIFY_TOLERANCE_METERS = 50000;
+export const MAX_PUBLIC_IDENTIFY_RESULTS = 20;
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 60;
+const MAP_COLUMNS = 'id, slug, title, status, draft_config, published_config, published_at, created_by, updated_by, created_at, updated_at';
+
+// Lowercase words joined by hyphens, e.g. "City Parks 2025" -> "city-parks-2025"
+export function normalizeSlug(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+}
+
+export function isValidSlug(slug) {
+  return typeof slug === 'string' && slug.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(slug);
+}
+
+// An origin is a scheme and host with an optional port, nothing more
+export function isValidOrigin(origin) {
+  if (typeof origin !== 'string') return false;
+  try {
+    const url = new URL(origin);
+    return ['http:', 'https:'].includes(url.protocol) && url.origin === origin;
+  } catch {
+    return false;
+  }
+}
+
+// Returns null when the configuration can be stored, otherwise the reason.
+export function checkPublicMapConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'config must be an object';
+  }
+
+  const layers = config.layers ?? [];
+  if (!Array.isArray(layers)) {
+    return 'config.layers must be an array';
+  }
+  if (layers.length > MAX_PUBLIC_MAP_LAYERS) {
+    return `A public map can have at most ${MAX_PUBLIC_MAP_LAYERS} layers`;
+  }
+
+  const embedOrigins = config.permissions?.embedOrigins ?? [];
+  if (!Array.isArray(embedOrigins) || embedOrigins.length > MAX_EMBED_ORIGINS) {
+    return `config.permissions.embedOrigins must be an array of at most ${MAX_EMBED_ORIGINS} origins`;
+  }
+  const badOrigin = embedOrigins.find(origin => !isValidOrigin(origin));
+  if (badOrigin !== undefined) {
+    return `Invalid embed origin: ${badOrigin} (expected e.g. https://www.example.com)`;
+  }
+
+  const ids = new Set();
+  for (const layer of layers) {
+    if (!layer?.id || !layer.tableId) {
+      return 'Every layer needs an id and a tableId';
+    }
+    if (ids.has(String(layer.id))) {
+      return `Duplicate layer id: ${layer.id}`;
+    }
+    ids.add(String(layer.id));
+  }
+
+  return null;
+}
+
+function toPublicMap(row) {
+  return {
+    id: row.id,
+    slug: row.slug,
+    title: row.title,
+    status: row.status,
+    draftConfig: row.draft_config || {},
+    publishedConfig: row.published_config || null,
+    publishedAt: row.published_at,
+    hasUnpublishedChanges: row.status === 'published' &&
+      JSON.stringify(row.draft_config) !== JSON.stringify(row.published_config),
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Supabase reports a taken slug as a unique violation
+function rethrowSlugConflict(error) {
+  if (error.code === '23505') {
+    const conflict = new Error('Another public map already uses this slug');
+    conflict.status = 409;
+    throw conflict;
+  }
+  throw error;
+}
+
+export async function listPublicMaps(customerId) {
+  const { data, error } = await supabaseAdmin
+    .from('public_maps')
+    .select(MAP_COLUMNS)
+    .eq('customer_id', customerId)
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(toPublicMap);
+}
+
+export async function getPublicMap(customerId, mapId) {
+  const { data, error } = await supabaseAdmin
+    .from('public_maps')
+    .select(MAP_COLUMNS)
+    .eq('customer_id', customerId)
+    .eq('id', mapId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? toPublicMap(data) : null;
+}
+
+export async function createPublicMap(customerId, session, { slug, title, config }) {
+  const { data, error } = await supabaseAdmin
+    .from('public_maps')
+    .insert({
+      customer_id: customerId,
+      slug,
+      title,
+      status: 'draft',
+      draft_config: config,
+      created_by: session.user_email,
+      updated_by: session.user_email
+    })
+    .select(MAP_COLUMNS)
+    .single();
+
+  if (error) rethrowSlugConflict(error);
+  return toPublicMap(data);
+}
+
+// changes may hold slug, title and config (the new draft).
+export async function updatePublicMap(customerId, mapId, session, changes) {
+  const update = { updated_by: session.user_email, updated_at: new Date().toISOString() };
+  if (changes.slug !== undefined) update.slug = changes.slug;
+  if (changes.title !== undefined) update.title = changes.title;
+  if (changes.config !== undefined) update.draft_config = changes.config;
+
+  const { data, error } = await supabaseAdmin
+    .from('public_maps')
+    .update(update)
+    .eq('customer_id', customerId)
+    .eq('id', mapId)
+    .select(MAP_COLUMNS)
+    .maybeSingle();
+
+  if (error) rethrowSlugConflict(error);
+  return data ? toPublicMap(data) : null;
+}
+
+// Publishing snapshots the current draft; unpublishing takes the map offline.
+export async function setPublicMapStatus(customerId, map, session, status) {
+  const published = status === 'published';
+
+  const { data, error } = await supabaseAdmin
+    .from('public_maps')
+    .update({
+      status,
+      published_config: published ? map.draftConfig : null,
+      published_at: published ? new Date().toISOString() : null,
+      updated_by: session.user_email,
+      updated_at: new Date().toISOString()
+    })
+    .eq('customer_id', customerId)
+    .eq('id', map.id)
+    .select(MAP_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return toPublicMap(data);
+}
+
+export async function deletePublicMap(customerId, mapId) {
+  const { data, error } = await supabaseAdmin
+    .from('public_maps')
+    .delete()
+    .eq('customer_id', customerId)
+    .eq('id', mapId)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// The published map behind a slug, or null when it does not exist, is not
+// published or has public access switched off.
+export async function getPublishedMap(customerId, slug) {
+  if (!isValidSlug(slug)) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('public_maps')
+    .select(MAP_COLUMNS)
+    .eq('customer_id', customerId)
+    .eq('slug', slug)
+    .eq('status', 'published')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.published_config?.general?.enablePublicAccess === false) return null;
+  return toPublicMap(data);
+}
+
+// The tables ensureSystemTables (public/js/teable-api.js) creates in a
+// customer's Teable base for users, permissions and logs
+const SYSTEM_TABLE_NAMES = [APP_USERS_TABLE, 'field_permissions', 'system_activity', 'data_change_logs'];
+
+/**
+ * Layers that show one of the Teable system tables, as
+ * [{ layerId, layer, table }].
+ */
+export async function findSystemTableLayers(customerId, layers) {
+  const problems = [];
+
+  for (const layer of layers) {
+    const adapter = await AdapterFactory.getAdapter(customerId, layer.tableId);
+    if (adapter.getDataSourceType() !== 'teable') continue;
+
+    const table = (await adapter.getTableList()).find(candidate => candidate.id === layer.tableId);
+    if (table && SYSTEM_TABLE_NAMES.includes(table.name)) {
+      problems.push({ layerId: layer.id, layer: layer.name, table: table.name });
+    }
+  }
+
+  return problems;
+}
+
+export function getPublicLayerFields(layer) {
+  const hidden = new Set([...(layer.hiddenFields || []), ...SECRET_FIELDS]);
+  const fields = new Set([
+    ...(layer.visibleFields || []),
+    ...(layer.popupFields || []),
+    layer.labels?.enabled ? layer.labels.field : null,
+    layer.styling?.field,
+    layer.temporal?.enabled ? layer.temporal.startField : null,
+    layer.temporal?.enabled ? layer.temporal.endField : null
+  ].filter(Boolean));
+
+  return [...fields].filter(field => !hidden.has(field));
+}
+
+// What a visitor's browser receives: table ids and audit fields stay on the
+// server, and layers only list the fields they serve.
+export function toPublicConfig(config) {
+  const { updatedBy, ...rest } = config || {};
+
+  return {
+    ...rest,
+    layers: (config?.layers || []).map(layer => {
+      const { tableId, tableName, hiddenFields, ...rest } = layer;
+      const fields = getPublicLayerFields(layer);
+      return {
+        ...rest,
+        visibleFields: (layer.visibleFields || []).filter(field => fields.includes(field)),
+        popupFields: (layer.popupFields || []).filter(field => fields.includes(field)),
+        fields
+      };
+    })
+  };
+}
+
+// The sites allowed to frame a published map, as a CSP frame-ancestors value.
+// The app's own pages may always frame it (the map-config embed preview);
+// other sites need permissions.enableEmbedding and a listed origin.
+export function getFrameAncestors(config) {
+  const permissions = config?.permissions || {};
+  const origins = permissions.enableEmbedding ? (permissions.embedOrigins || []).filter(isValidOrigin) : [];
+  return ["'self'", ...origins].join(' ');
+}
+
+// Whether a page on requestOrigin may read a published map's data. The app's
+// own pages (host is the request's Host) always may; other sites only when
+// embedding is on and they are listed. Requests that name no origin (direct
+// and same-origin requests) are allowed: browsers send Origin on every
+// cross-origin fetch.
+export function isDataOriginAllowed(config, requestOrigin, host) {
+  if (!requestOrigin) return true;
+
+  let url;
+  try {
+    url = new URL(requestOrigin);
+  } catch {
+    return false;
+  }
+  if (url.host === host) return true;
+
+  const permissions = config?.permissions || {};
+  return Boolean(permissions.enableEmbedding) && (permissions.embedOrigins || []).includes(url.origin);
+}
+
+function toPublicFeature(feature, fields) {
+  return {
+    type: 'Feature',
+    id: feature.id,
+    geometry: feature.geometry,
+    properties: Object.fromEntries(fields
+      .filter(field => feature.properties?.[field] !== undefined)
+      .map(field => [field, feature.properties[field]]))
+  };
+}
+
+/**
+ * Features of one layer of a map configuration with only the layer's public
+ * fields, optionally limited by a parsed spatial query. Returns a
+ * FeatureCollection with metadata.truncated set when MAX_PUBLIC_FEATURES cut
+ * it short.
+ */
+export async function loadPublicLayerFeatures(customerId, layer, spatial = null) {
+  const adapter = await AdapterFactory.getAdapter(customerId, layer.tableId);
+  const index = await getFeatureIndex(adapter);
+  const fields = getPublicLayerFields(layer);
+
+  const candidates = spatial?.bbox
+    ? index.search(spatial.bbox).filter(feature => matchesSpatialQuery(feature, spatial))
+    : index.features.filter(feature => feature.geometry);
+
+  const features = candidates.slice(0, MAX_PUBLIC_FEATURES).map(feature => toPublicFeature(feature, fields));
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    metadata: {
+      layerId: layer.id,
+      count: features.length,
+      truncated: candidates.length > MAX_PUBLIC_FEATURES
+    }
+  };
+}
+
+/**
+ * One vector tile of a layer with only the layer's public fields, in an MVT
+ * layer named after the map layer's id. Returns null for empty tiles.
+ */
+export async function loadPublicLayerTile(customerId, layer, z, x, y) {
+  const adapter = await AdapterFactory.getAdapter(customerId, layer.tableId);
+  const fields = new Set(getPublicLayerFields(layer));
+  const tileIndex = getTileIndex(await getFeatureIndex(adapter));
+
+  return encodeTile(tileIndex, z, x, y, String(layer.id), { canView: field => fields.has(field) });
+}
+
+/**
+ * The features of the given map layers nearest to point ([lng, lat]) within
+ * tolerance meters, nearest first, each with the id of its map layer and only
+ * the layer's public fields. Visitors never learn table ids.
+ */
+export async function identifyPublicLayers(customerId, layers, point, { tolerance, limit }) {
+  const matches = await Promise.all(layers.map(async layer => {
+    const adapter = await AdapterFactory.getAdapter(customerId, layer.tableId);
+    const fields = getPublicLayerFields(layer);
+    const nearest = (await getFeatureIndex(adapter)).nearest(point, { limit, maxDistance: tolerance });
+
+    return nearest.map(({ feature, distance }) => ({
+      layerId: layer.id,
+      distance: Math.round(distance * 10) / 10,
+      feature: toPublicFeature(feature, fields)
+    }));
+  }));
+
+  return matches.flat().sort((a, b) => a.distance - b.distance).slice(0, limit);
+}
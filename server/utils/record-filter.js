@@ -0,0 +1,493 @@
+import { GeometryParser } from './geometry.js';
+
+// Filter expressions for record queries (the ?where= parameter). An expression
+// is a group { conjunction: 'and' | 'or', conditions: [...] } whose conditions
+// are nested groups or conditions { field, operator, value, type }. Spatial
+// conditions test the feature geometry and have no field.
+//
+// TeableAdapter hands what Teable can evaluate to Teable as a native filter
+// (toTeableFilter); everything else, and every condition on other data
+// sources, is evaluated here by matchesExpression.
+
+// Value types each operator accepts
+export const FILTER_OPERATORS = {
+  eq: ['text', 'number', 'date'],
+  neq: ['text', 'number', 'date'],
+  gt: ['number', 'date'],
+  gte: ['number', 'date'],
+  lt: ['number', 'date'],
+  lte: ['number', 'date'],
+  between: ['number', 'date'],
+  contains: ['text'],
+  not_contains: ['text'],
+  starts_with: ['text'],
+  ends_with: ['text'],
+  in: ['text', 'number'],
+  not_in: ['text', 'number'],
+  is_null: ['text', 'number', 'date'],
+  is_not_null: ['text', 'number', 'date'],
+  intersects: ['geometry'],
+  disjoint: ['geometry'],
+  within: ['geometry'],
+  near: ['geometry']
+};
+
+// The flat { field, operator, value } rules of earlier releases
+const LEGACY_OPERATORS = {
+  equals: 'eq',
+  not_equals: 'neq',
+  greater_than: 'gt',
+  less_than: 'lt',
+  is_empty: 'is_null',
+  is_not_empty: 'is_not_null'
+};
+
+const NEGATED_OPERATORS = {
+  neq: 'eq',
+  not_contains: 'contains',
+  not_in: 'in',
+  is_not_null: 'is_null',
+  disjoint: 'intersects'
+};
+
+export const MAX_FILTER_DEPTH = 4;
+export const MAX_FILTER_CONDITIONS = 100;
+const MAX_IN_VALUES = 500;
+const MAX_NEAR_RADIUS_METERS = 1000000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  return (typeof value === 'object' ? JSON.stringify(value) : String(value)).toLowerCase();
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Dates compare by calendar day (UTC), as Teable's date operators do
+function toDay(value) {
+  const time = value instanceof Date ? value.getTime() : Date.parse(String(value ?? ''));
+  return isNaN(time) ? null : Math.floor(time / DAY_MS);
+}
+
+function isNumeric(value) {
+  return toNumber(value) !== null;
+}
+
+function isDate(value) {
+  return typeof value === 'string' && ISO_DATE_PATTERN.test(value) && toDay(value) !== null;
+}
+
+function parseRegion(value) {
+  if (Array.isArray(value)) {
+    const bounds = GeometryParser.parseBbox(value);
+    return bounds ? GeometryParser.bboxToPolygon(bounds) : null;
+  }
+
+  let geometry = typeof value === 'string'
+    ? GeometryParser.autoDetectGeometry(value.trim())
+    : value;
+  if (geometry?.type === 'Feature') {
+    geometry = geometry.geometry;
+  }
+  return geometry && GeometryParser.validateGeometry(geometry) ? geometry : null;
+}
+
+// Without an explicit type, values that read as numbers compare as numbers and
+// ISO dates as dates. Equality stays textual unless the value is a JSON number.
+function inferType(operator, value) {
+  const allowed = FILTER_OPERATORS[operator];
+  if (allowed.length === 1) return allowed[0];
+
+  const values = Array.isArray(value) ? value : [value];
+  if (['gt', 'gte', 'lt', 'lte', 'between'].includes(operator)) {
+    if (values.every(isNumeric)) return 'number';
+    if (values.every(isDate)) return 'date';
+    return null;
+  }
+  return values.length > 0 && values.every(item => typeof item === 'number') ? 'number' : 'text';
+}
+
+function checkValue(type, value) {
+  if (type === 'number') return isNumeric(value);
+  if (type === 'date') return toDay(value) !== null;
+  return value !== null && value !== undefined && typeof value !== 'object';
+}
+
+// Returns the normalized condition or an error message
+function parseCondition(input) {
+  const operator = LEGACY_OPERATORS[input.operator] || input.operator;
+  if (!FILTER_OPERATORS[operator]) {
+    return { error: `Unsupported operator "${input.operator}". Supported: ${Object.keys(FILTER_OPERATORS).join(', ')}` };
+  }
+
+  const type = input.type ?? inferType(operator, input.value);
+
+  if (type === 'geometry') {
+    if (operator === 'near') {
+      const point = Array.isArray(input.value?.point) ? input.value.point.map(Number) : null;
+      const radius = Number(input.value?.radius);
+      if (!point || !GeometryParser.parseLatLng(point[1], point[0]) || !(radius > 0 && radius <= MAX_NEAR_RADIUS_METERS)) {
+        return { error: `near needs a value { point: [lng, lat], radius } with a radius up to ${MAX_NEAR_RADIUS_METERS} meters` };
+      }
+      return { condition: { operator, type, value: { point, radius } } };
+    }
+
+    const region = parseRegion(input.value);
+    if (!region) {
+      return { error: `${operator} needs a bbox [minx, miny, maxx, maxy], a GeoJSON geometry or WKT` };
+    }
+    return { condition: { operator, type, value: region } };
+  }
+
+  if (typeof input.field !== 'string' || !input.field) {
+    return { error: `Each ${operator} condition needs a field` };
+  }
+  if (!type) {
+    return { error: `${operator} on "${input.field}" needs number or ISO date values` };
+  }
+  if (!FILTER_OPERATORS[operator].includes(type)) {
+    return { error: `${operator} does not apply to ${type} values` };
+  }
+
+  const condition = { field: input.field, operator, type };
+
+  if (operator === 'is_null' || operator === 'is_not_null') {
+    return { condition };
+  }
+
+  if (operator === 'between') {
+    if (!Array.isArray(input.value) || input.value.length !== 2 || !input.value.every(item => checkValue(type, item))) {
+      return { error: `between on "${input.field}" needs a [from, to] pair of ${type} values` };
+    }
+  } else if (operator === 'in' || operator === 'not_in') {
+    if (!Array.isArray(input.value) || input.value.length === 0 || input.value.length > MAX_IN_VALUES ||
+        !input.value.every(item => checkValue(type, item))) {
+      return { error: `${operator} on "${input.field}" needs a list of 1 to ${MAX_IN_VALUES} ${type} values` };
+    }
+  } else if (!checkValue(type, input.value)) {
+    return { error: `${operator} on "${input.field}" needs a ${type} value` };
+  }
+
+  return { condition: { ...condition, value: input.value } };
+}
+
+function parseGroup(input, depth, counter) {
+  if (depth > MAX_FILTER_DEPTH) {
+    return { error: `Filter groups can be nested at most ${MAX_FILTER_DEPTH} levels deep` };
+  }
+
+  const conjunction = input.conjunction ?? 'and';
+  if (conjunction !== 'and' && conjunction !== 'or') {
+    return { error: 'conjunction must be "and" or "or"' };
+  }
+  if (!Array.isArray(input.conditions)) {
+    return { error: 'A filter group needs a conditions array' };
+  }
+
+  const conditions = [];
+  for (const item of input.conditions) {
+    if (!item || typeof item !== 'object') {
+      return { error: 'Filter conditions must be objects' };
+    }
+
+    const parsed = Array.isArray(item.conditions)
+      ? parseGroup(item, depth + 1, counter)
+      : parseCondition(item);
+    if (parsed.error) return parsed;
+
+    if (!parsed.group && ++counter.conditions > MAX_FILTER_CONDITIONS) {
+      return { error: `A filter can have at most ${MAX_FILTER_CONDITIONS} conditions` };
+    }
+    conditions.push(parsed.group || parsed.condition);
+  }
+
+  return { group: { conjunction, conditions } };
+}
+
+/**
+ * Parses a filter expression: a group, a single condition or an array of
+ * conditions (all of which must match), as JSON or already parsed.
+ * Returns { expression } (null when there is nothing to filter) or { error }.
+ */
+export function parseFilterExpression(value) {
+  if (value === undefined || value === null || value === '') {
+    return { expression: null };
+  }
+
+  let input;
+  try {
+    input = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return { error: 'where must be a JSON filter expression' };
+  }
+
+  if (Array.isArray(input)) {
+    input = { conjunction: 'and', conditions: input };
+  } else if (input && typeof input === 'object' && !Array.isArray(input.conditions)) {
+    input = { conjunction: 'and', conditions: [input] };
+  }
+  if (!input || typeof input !== 'object') {
+    return { error: 'where must be a JSON filter expression' };
+  }
+
+  const { group, error } = parseGroup(input, 1, { conditions: 0 });
+  if (error) return { error };
+  return { expression: group.conditions.length > 0 ? group : null };
+}
+
+// Field names an expression reads, for permission checks
+export function getExpressionFields(expression) {
+  const fields = new Set();
+  const visit = item => {
+    if (item.conditions) item.conditions.forEach(visit);
+    else if (item.field) fields.add(item.field);
+  };
+  if (expression) visit(expression);
+  return [...fields];
+}
+
+// Fields the legacy ?filter= and ?sort= parameters name, for permission
+// checks. Both are passed to the data source as they are: filter is a Teable
+// filter ({ conjunction, filterSet: [{ fieldId, operator, value }] }), sort a
+// field list ("name,-population") or JSON ([{ fieldId, order }] or
+// { sortObjs: [...] }). Teable may name fields by id instead of name.
+export function getNativeQueryFields(filter, sort) {
+  const fields = new Set();
+  const visit = item => {
+    if (Array.isArray(item)) {
+      item.forEach(visit);
+    } else if (item && typeof item === 'object') {
+      ['fieldId', 'field'].forEach(key => {
+        if (typeof item[key] === 'string' && item[key]) fields.add(item[key]);
+      });
+      Object.values(item).forEach(value => {
+        if (value && typeof value === 'object') visit(value);
+      });
+    }
+  };
+
+  visit(filter);
+
+  if (sort) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(sort);
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (parsed && typeof parsed === 'object') {
+      visit(parsed);
+    } else {
+      String(sort).split(',')
+        .map(part => part.trim().replace(/^[-+]/, '').split(/\s+/)[0])
+        .filter(Boolean)
+        .forEach(field => fields.add(field));
+    }
+  }
+
+  return [...fields];
+}
+
+function isNull(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function compare(fieldValue, conditionValue, type) {
+  if (type === 'number') {
+    const a = toNumber(fieldValue);
+    return a === null ? null : a - toNumber(conditionValue);
+  }
+  if (type === 'date') {
+    const a = toDay(fieldValue);
+    return a === null ? null : a - toDay(conditionValue);
+  }
+  const a = toText(fieldValue);
+  const b = toText(conditionValue);
+  return a === b ? 0 : (a < b ? -1 : 1);
+}
+
+// Positive operators on one value; multi-value fields match when any item does
+function matchesValue(fieldValue, operator, conditionValue, type) {
+  if (Array.isArray(fieldValue)) {
+    return fieldValue.some(item => matchesValue(item, operator, conditionValue, type));
+  }
+  if (isNull(fieldValue)) return false;
+
+  const text = toText(fieldValue);
+  switch (operator) {
+    case 'contains': return text.includes(toText(conditionValue));
+    case 'starts_with': return text.startsWith(toText(conditionValue));
+    case 'ends_with': return text.endsWith(toText(conditionValue));
+    case 'in': return conditionValue.some(item => compare(fieldValue, item, type) === 0);
+    case 'between': {
+      const from = compare(fieldValue, conditionValue[0], type);
+      const to = compare(fieldValue, conditionValue[1], type);
+      return from !== null && from >= 0 && to <= 0;
+    }
+  }
+
+  const difference = compare(fieldValue, conditionValue, type);
+  if (difference === null || isNaN(difference)) return false;
+  switch (operator) {
+    case 'eq': return difference === 0;
+    case 'gt': return difference > 0;
+    case 'gte': return difference >= 0;
+    case 'lt': return difference < 0;
+    case 'lte': return difference <= 0;
+    default: return false;
+  }
+}
+
+// Every vertex of the geometry inside (or on the edge of) the region's polygons
+function isWithin(geometry, region) {
+  const polygons = GeometryParser.getComponents(region).polygons;
+  return polygons.length > 0 && GeometryParser.extractCoordinates(geometry).every(vertex =>
+    polygons.some(polygon => GeometryParser.pointInPolygon(vertex, polygon) ||
+      polygon.some(ring => GeometryParser.pointOnLine(vertex, ring))));
+}
+
+// Features without a valid geometry match no spatial condition, negated or not
+function matchesSpatial(feature, condition) {
+  const geometry = feature.geometry;
+  if (!geometry || !GeometryParser.validateGeometry(geometry)) return null;
+
+  switch (condition.operator) {
+    case 'intersects': return GeometryParser.intersects(geometry, condition.value);
+    case 'within': return isWithin(geometry, condition.value);
+    case 'near': return GeometryParser.distanceToGeometry(condition.value.point, geometry) <= condition.value.radius;
+    default: return false;
+  }
+}
+
+function matchesCondition(feature, condition) {
+  const positive = NEGATED_OPERATORS[condition.operator] || condition.operator;
+  const negated = positive !== condition.operator;
+
+  if (condition.type === 'geometry') {
+    const result = matchesSpatial(feature, { ...condition, operator: positive });
+    return result === null ? false : result !== negated;
+  }
+
+  const fieldValue = feature.properties?.[condition.field];
+  const result = positive === 'is_null'
+    ? isNull(fieldValue)
+    : matchesValue(fieldValue, positive, condition.value, condition.type);
+  return result !== negated;
+}
+
+export function matchesExpression(feature, expression) {
+  if (!expression) return true;
+  if (!expression.conditions) return matchesCondition(feature, expression);
+
+  return expression.conjunction === 'or'
+    ? expression.conditions.some(item => matchesExpression(feature, item))
+    : expression.conditions.every(item => matchesExpression(feature, item));
+}
+
+// Quick search across the given fields, as in the table page's search box.
+export function matchesSearch(feature, search, fields) {
+  const needle = toText(search);
+  return !needle || fields.some(field => toText(feature.properties?.[field]).includes(needle));
+}
+
+// Teable operator names by value type
+const TEABLE_OPERATORS = {
+  number: { eq: 'is', neq: 'isNot', gt: 'isGreater', gte: 'isGreaterEqual', lt: 'isLess', lte: 'isLessEqual' },
+  date: { eq: 'is', neq: 'isNot', gt: 'isAfter', gte: 'isOnOrAfter', lt: 'isBefore', lte: 'isOnOrBefore' },
+  text: { eq: 'is', neq: 'isNot', contains: 'contains', not_contains: 'doesNotContain' }
+};
+
+const TEABLE_VALUE_TYPES = { number: 'number', date: 'dateTime', text: 'string' };
+
+function toTeableValue(value, type) {
+  if (type === 'number') return toNumber(value);
+  if (type === 'date') {
+    return { mode: 'exactDate', exactDate: new Date(toDay(value) * DAY_MS).toISOString(), timeZone: 'UTC' };
+  }
+  return String(value);
+}
+
+// One condition as a Teable filter item (or group), or null when Teable
+// cannot evaluate it the way matchesExpression does
+function toTeableCondition(condition, field) {
+  if (!field || field.isMultipleCellValue || TEABLE_VALUE_TYPES[condition.type] !== field.cellValueType) {
+    return null;
+  }
+
+  const item = (operator, value) => ({ fieldId: field.id, operator, value: value ?? null });
+  const operators = TEABLE_OPERATORS[condition.type];
+
+  switch (condition.operator) {
+    case 'is_null': return item('isEmpty');
+    case 'is_not_null': return item('isNotEmpty');
+    case 'between': return {
+      conjunction: 'and',
+      filterSet: [
+        item(operators.gte, toTeableValue(condition.value[0], condition.type)),
+        item(operators.lte, toTeableValue(condition.value[1], condition.type))
+      ]
+    };
+    case 'in': return {
+      conjunction: 'or',
+      filterSet: condition.value.map(value => item('is', toTeableValue(value, condition.type)))
+    };
+    case 'not_in': return {
+      conjunction: 'and',
+      filterSet: condition.value.map(value => item('isNot', toTeableValue(value, condition.type)))
+    };
+  }
+
+  const operator = operators[condition.operator];
+  return operator ? item(operator, toTeableValue(condition.value, condition.type)) : null;
+}
+
+/**
+ * Translates an expression into Teable's filter syntax, given the table's
+ * fields. Returns { filter, residual }: the Teable filter (or null) and the
+ * part of the expression Teable cannot evaluate (or null), both of which a
+ * record has to match. Under "and" the translatable conditions are pushed
+ * down on their own; an "or" group is pushed down only as a whole.
+ */
+export function toTeableFilter(expression, schema) {
+  if (!expression) return { filter: null, residual: null };
+
+  const fields = new Map((schema || []).map(field => [field.name, field]));
+  const filterSet = [];
+  const residual = [];
+
+  for (const item of expression.conditions) {
+    if (item.conditions) {
+      const nested = toTeableFilter(item, schema);
+      if (expression.conjunction === 'and') {
+        if (nested.filter) filterSet.push(nested.filter);
+        if (nested.residual) residual.push(nested.residual);
+      } else if (nested.filter && !nested.residual) {
+        filterSet.push(nested.filter);
+      } else {
+        return { filter: null, residual: expression };
+      }
+      continue;
+    }
+
+    const translated = item.type === 'geometry' ? null : toTeableCondition(item, fields.get(item.field));
+    if (translated) {
+      filterSet.push(translated);
+    } else if (expression.conjunction === 'and') {
+      residual.push(item);
+    } else {
+      return { filter: null, residual: expression };
+    }
+  }
+
+  return {
+    filter: filterSet.length > 0 ? { conjunction: expression.conjunction, filterSet } : null,
+    residual: residual.length > 0 ? { conjunction: 'and', conditions: residual } : null
+  };
+}
@@ -0,0 +1,172 @@
+// Static R-tree over bounding boxes, bulk loaded with Sort-Tile-Recursive
+// packing. Entries are { minLng, minLat, maxLng, maxLat, item }. The tree is
+// immutable: callers rebuild it when the underlying data changes.
+
+const DEFAULT_NODE_SIZE = 16;
+
+function extend(target, box) {
+  target.minLng = Math.min(target.minLng, box.minLng);
+  target.minLat = Math.min(target.minLat, box.minLat);
+  target.maxLng = Math.max(target.maxLng, box.maxLng);
+  target.maxLat = Math.max(target.maxLat, box.maxLat);
+  return target;
+}
+
+function createNode(children, leaf) {
+  const node = {
+    minLng: Infinity,
+    minLat: Infinity,
+    maxLng: -Infinity,
+    maxLat: -Infinity,
+    leaf,
+    children
+  };
+  children.forEach(child => extend(node, child));
+  return node;
+}
+
+function overlaps(a, b) {
+  return a.minLng <= b.maxLng && a.maxLng >= b.minLng &&
+    a.minLat <= b.maxLat && a.maxLat >= b.minLat;
+}
+
+// Minimal binary heap keyed by distance for best-first nearest search.
+class DistanceQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(entry) {
+    const items = this.items;
+    items.push(entry);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].distance <= entry.distance) break;
+      items[index] = items[parent];
+      index = parent;
+    }
+    items[index] = entry;
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      let index = 0;
+      const half = items.length >> 1;
+      while (index < half) {
+        let child = 2 * index + 1;
+        if (child + 1 < items.length && items[child + 1].distance < items[child].distance) {
+          child++;
+        }
+        if (items[child].distance >= last.distance) break;
+        items[index] = items[child];
+        index = child;
+      }
+      items[index] = last;
+    }
+    return top;
+  }
+}
+
+export class RTree {
+  constructor(entries = [], nodeSize = DEFAULT_NODE_SIZE) {
+    this.nodeSize = Math.max(4, nodeSize);
+    this.size = entries.length;
+    this.root = this.build(entries);
+  }
+
+  build(entries) {
+    if (entries.length === 0) {
+      return createNode([], true);
+    }
+
+    let level = this.pack(entries, true);
+    while (level.length > 1) {
+      level = this.pack(level, false);
+    }
+    return level[0];
+  }
+
+  pack(boxes, leaf) {
+    const nodeSize = this.nodeSize;
+    const centerLng = box => (box.minLng + box.maxLng) / 2;
+    const centerLat = box => (box.minLat + box.maxLat) / 2;
+
+    const sliceCount = Math.ceil(Math.sqrt(Math.ceil(boxes.length / nodeSize)));
+    const sliceSize = sliceCount * nodeSize;
+    const sorted = [...boxes].sort((a, b) => centerLng(a) - centerLng(b));
+    const nodes = [];
+
+    for (let i = 0; i < sorted.length; i += sliceSize) {
+      const slice = sorted.slice(i, i + sliceSize).sort((a, b) => centerLat(a) - centerLat(b));
+      for (let j = 0; j < slice.length; j += nodeSize) {
+        nodes.push(createNode(slice.slice(j, j + nodeSize), leaf));
+      }
+    }
+
+    return nodes;
+  }
+
+  search(bounds) {
+    const results = [];
+    if (this.size === 0 || !overlaps(this.root, bounds)) {
+      return results;
+    }
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      node.children.forEach(child => {
+        if (!overlaps(child, bounds)) return;
+        if (node.leaf) {
+          results.push(child.item);
+        } else {
+          stack.push(child);
+        }
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Best-first k-nearest search. boxDistance(box) must never exceed
+   * itemDistance(item) for any item inside box, so results come out in order.
+   * Returns [{ item, distance }], nearest first.
+   */
+  nearest({ limit = Infinity, maxDistance = Infinity, boxDistance, itemDistance }) {
+    const results = [];
+    if (this.size === 0) {
+      return results;
+    }
+
+    const queue = new DistanceQueue();
+    queue.push({ node: this.root, distance: boxDistance(this.root) });
+
+    while (queue.size > 0 && results.length < limit) {
+      const entry = queue.pop();
+      if (entry.distance > maxDistance) break;
+
+      if (entry.node) {
+        entry.node.children.forEach(child => {
+          if (entry.node.leaf) {
+            queue.push({ item: child.item, distance: itemDistance(child.item) });
+          } else {
+            queue.push({ node: child, distance: boxDistance(child) });
+          }
+        });
+      } else {
+        results.push({ item: entry.item, distance: entry.distance });
+      }
+    }
+
+    return results;
+  }
+}
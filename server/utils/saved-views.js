@@ -0,0 +1,156 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+// Saved views in saved_views: named snapshots of the table page (per table)
+// or the map page. A private view is seen only by its creator; a shared view
+// by every user of the customer. Shared views can be the default view of one
+// or more roles, at most one view per role for each table (or the map).
+
+export const VIEW_PAGES = ['table', 'map'];
+export const VIEW_VISIBILITIES = ['private', 'shared'];
+export const VIEW_DEFAULT_ROLES = ['viewer', 'commenter', 'editor', 'admin', 'owner'];
+
+export const MAX_VIEW_NAME_LENGTH = 100;
+export const MAX_VIEW_STATE_BYTES = 64 * 1024;
+const VIEW_COLUMNS = 'id, page, table_id, name, visibility, default_roles, state, created_by, updated_by, created_at, updated_at';
+
+function toSavedView(row) {
+  return {
+    id: row.id,
+    page: row.page,
+    tableId: row.table_id,
+    name: row.name,
+    visibility: row.visibility,
+    defaultRoles: row.default_roles || [],
+    state: row.state || {},
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Supabase reports a taken name as a unique violation
+function rethrowNameConflict(error) {
+  if (error.code === '23505') {
+    const conflict = new Error('You already have a view with this name');
+    conflict.status = 409;
+    throw conflict;
+  }
+  throw error;
+}
+
+function scopeQuery(query, customerId, page, tableId) {
+  query = query.eq('customer_id', customerId).eq('page', page);
+  return tableId ? query.eq('table_id', tableId) : query.is('table_id', null);
+}
+
+// The views the session's user can see for a page (and table), shared views
+// first, plus the id of the default view for their role (or null).
+export async function listSavedViews(customerId, session, { page, tableId = null }) {
+  const { data, error } = await scopeQuery(supabaseAdmin.from('saved_views').select(VIEW_COLUMNS), customerId, page, tableId)
+    .or(`visibility.eq.shared,created_by.eq.${JSON.stringify(session.user_email)}`)
+    .order('visibility', { ascending: false })
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+
+  const views = (data || []).map(toSavedView);
+  const role = String(session.role || '').toLowerCase();
+  const defaultView = views.find(view => view.visibility === 'shared' && view.defaultRoles.includes(role));
+
+  return { views, defaultViewId: defaultView?.id || null };
+}
+
+export async function getSavedView(customerId, viewId) {
+  const { data, error } = await supabaseAdmin
+    .from('saved_views')
+    .select(VIEW_COLUMNS)
+    .eq('customer_id', customerId)
+    .eq('id', viewId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? toSavedView(data) : null;
+}
+
+// A role has one default view per page and table: giving it to a view takes
+// it away from the others.
+async function releaseDefaultRoles(customerId, view, roles) {
+  if (roles.length === 0) return;
+
+  const { data, error } = await scopeQuery(supabaseAdmin.from('saved_views').select('id, default_roles'), customerId, view.page, view.tableId)
+    .overlaps('default_roles', roles)
+    .neq('id', view.id);
+
+  if (error) throw error;
+
+  for (const row of data || []) {
+    const { error: updateError } = await supabaseAdmin
+      .from('saved_views')
+      .update({ default_roles: row.default_roles.filter(role => !roles.includes(role)) })
+      .eq('customer_id', customerId)
+      .eq('id', row.id);
+    if (updateError) throw updateError;
+  }
+}
+
+export async function createSavedView(customerId, session, changes) {
+  const { data, error } = await supabaseAdmin
+    .from('saved_views')
+    .insert({
+      customer_id: customerId,
+      page: changes.page,
+      table_id: changes.tableId,
+      name: changes.name,
+      visibility: changes.visibility,
+      default_roles: changes.defaultRoles || [],
+      state: changes.state,
+      created_by: session.user_email,
+      updated_by: session.user_email
+    })
+    .select(VIEW_COLUMNS)
+    .single();
+
+  if (error) rethrowNameConflict(error);
+
+  const view = toSavedView(data);
+  await releaseDefaultRoles(customerId, view, view.defaultRoles);
+  return view;
+}
+
+export async function updateSavedView(customerId, view, session, changes) {
+  const update = { updated_by: session.user_email, updated_at: new Date().toISOString() };
+  if (changes.name !== undefined) update.name = changes.name;
+  if (changes.visibility !== undefined) update.visibility = changes.visibility;
+  if (changes.defaultRoles !== undefined) update.default_roles = changes.defaultRoles;
+  if (changes.state !== undefined) update.state = changes.state;
+
+  // Views that stop being shared stop being anyone's default
+  if (update.visibility === 'private') update.default_roles = [];
+
+  const { data, error } = await supabaseAdmin
+    .from('saved_views')
+    .update(update)
+    .eq('customer_id', customerId)
+    .eq('id', view.id)
+    .select(VIEW_COLUMNS)
+    .single();
+
+  if (error) rethrowNameConflict(error);
+
+  const updated = toSavedView(data);
+  await releaseDefaultRoles(customerId, updated, updated.defaultRoles);
+  return updated;
+}
+
+export async function deleteSavedView(customerId, viewId) {
+  const { data, error } = await supabaseAdmin
+    .from('saved_views')
+    .delete()
+    .eq('customer_id', customerId)
+    .eq('id', viewId)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
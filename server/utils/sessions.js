@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_HOURS || '24') * 60 * 60 * 1000;
+const RENEWAL_THRESHOLD_MS = SESSION_TTL_MS / 2;
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+export function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function extractSessionToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim() || null;
+  }
+
+  // Desktop GIS clients (WFS) can only send Basic auth; the password is the session token
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const credentials = Buffer.from(authHeader.slice(6).trim(), 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    return separator === -1 ? null : credentials.slice(separator + 1) || null;
+  }
+
+  return req.headers['x-session-token'] || null;
+}
+
+export async function createSession({ userType = 'customer_user', userId, customerId = null, email, role = null }, req = null) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  const { data, error } = await supabaseAdmin
+    .from('user_sessions')
+    .insert({
+      token_hash: hashSessionToken(token),
+      user_type: userType,
+      user_id: userId,
+      customer_id: customerId,
+      user_email: email,
+      role,
+      expires_at: expiresAt.toISOString(),
+      ip_address: req ? req.ip : null,
+      user_agent: req ? req.get('user-agent') || null : null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return {
+    id: data.id,
+    token,
+    expiresAt: data.expires_at
+  };
+}
+
+export async function getSessionByToken(token) {
+  if (!token) return null;
+
+  const { data, error } = await supabaseAdmin
+    .from('user_sessions')
+    .select('*')
+    .eq('token_hash', hashSessionToken(token))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  if (new Date(data.expires_at).getTime() <= Date.now()) {
+    return null;
+  }
+
+  return data;
+}
+
+export async function touchSession(session) {
+  const now = Date.now();
+  const expiresAt = new Date(session.expires_at).getTime();
+  const lastActivity = session.last_activity_at ? new Date(session.last_activity_at).getTime() : 0;
+
+  const needsRenewal = expiresAt - now < RENEWAL_THRESHOLD_MS;
+  const needsActivityWrite = now - lastActivity > ACTIVITY_WRITE_INTERVAL_MS;
+
+  if (!needsRenewal && !needsActivityWrite) {
+    return session;
+  }
+
+  const updates = { last_activity_at: new Date(now).toISOString() };
+  if (needsRenewal) {
+    updates.expires_at = new Date(now + SESSION_TTL_MS).toISOString();
+  }
+
+  const { error } = await supabaseAdmin
+    .from('user_sessions')
+    .update(updates)
+    .eq('id', session.id);
+
+  if (error) {
+    console.error('Failed to renew session:', error);
+    return session;
+  }
+
+  return { ...session, ...updates };
+}
+
+export async function revokeSession(token) {
+  if (!token) return false;
+
+  const { data, error } = await supabaseAdmin
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('token_hash', hashSessionToken(token))
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+export async function revokeUserSessions(userId) {
+  const { error } = await supabaseAdmin
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+}
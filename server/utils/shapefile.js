@@ -0,0 +1,520 @@
+import { GeometryParser } from './geometry.js';
+
+// ESRI Shapefile reader and writer (.shp, .shx, .dbf, .prj, .cpg).
+// A shapefile holds one geometry type, so mixed collections are split into
+// <name>_points, <name>_lines and <name>_polygons. Attributes go to a dBASE III
+// table with UTF-8 text; field names are cut to the format's 10 characters.
+// The reader accepts every 2D, Z and M shape type and drops the Z and M values.
+
+export const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+const SHAPE_TYPES = { null: 0, point: 1, line: 3, polygon: 5, multipoint: 8 };
+const MAX_CHARACTER_LENGTH = 254;
+const MAX_NUMBER_LENGTH = 20;
+
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+  }
+  return area / 2;
+}
+
+// Shapefile outer rings are clockwise and holes counter-clockwise, the
+// opposite of GeoJSON.
+function orientRings(polygon) {
+  return polygon.map((ring, index) => {
+    const clockwise = ringArea(ring) < 0;
+    return (index === 0) === clockwise ? ring : [...ring].reverse();
+  });
+}
+
+function getGeometryGroup(geometry) {
+  if (!geometry || !GeometryParser.validateGeometry(geometry)) return null;
+
+  const { points, lines, polygons } = GeometryParser.getComponents(geometry);
+  if (polygons.length > 0) return { group: 'polygon', parts: polygons.flatMap(orientRings) };
+  if (lines.length > 0) return { group: 'line', parts: lines };
+  if (points.length > 0) return { group: 'point', points };
+  return null;
+}
+
+function getBox(coordinates) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  coordinates.forEach(([x, y]) => {
+    box[0] = Math.min(box[0], x);
+    box[1] = Math.min(box[1], y);
+    box[2] = Math.max(box[2], x);
+    box[3] = Math.max(box[3], y);
+  });
+  return box;
+}
+
+function encodeShape(shapeType, shape) {
+  if (!shape) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32LE(SHAPE_TYPES.null, 0);
+    return { buffer, coordinates: [] };
+  }
+
+  if (shapeType === SHAPE_TYPES.point) {
+    const buffer = Buffer.alloc(20);
+    buffer.writeInt32LE(shapeType, 0);
+    buffer.writeDoubleLE(shape.points[0][0], 4);
+    buffer.writeDoubleLE(shape.points[0][1], 12);
+    return { buffer, coordinates: shape.points };
+  }
+
+  if (shapeType === SHAPE_TYPES.multipoint) {
+    const buffer = Buffer.alloc(40 + shape.points.length * 16);
+    buffer.writeInt32LE(shapeType, 0);
+    getBox(shape.points).forEach((value, index) => buffer.writeDoubleLE(value, 4 + index * 8));
+    buffer.writeInt32LE(shape.points.length, 36);
+    shape.points.forEach(([x, y], index) => {
+      buffer.writeDoubleLE(x, 40 + index * 16);
+      buffer.writeDoubleLE(y, 48 + index * 16);
+    });
+    return { buffer, coordinates: shape.points };
+  }
+
+  const coordinates = shape.parts.flat();
+  const buffer = Buffer.alloc(44 + shape.parts.length * 4 + coordinates.length * 16);
+  buffer.writeInt32LE(shapeType, 0);
+  getBox(coordinates).forEach((value, index) => buffer.writeDoubleLE(value, 4 + index * 8));
+  buffer.writeInt32LE(shape.parts.length, 36);
+  buffer.writeInt32LE(coordinates.length, 40);
+
+  let offset = 44;
+  let start = 0;
+  shape.parts.forEach(part => {
+    buffer.writeInt32LE(start, offset);
+    offset += 4;
+    start += part.length;
+  });
+  coordinates.forEach(([x, y]) => {
+    buffer.writeDoubleLE(x, offset);
+    buffer.writeDoubleLE(y, offset + 8);
+    offset += 16;
+  });
+
+  return { buffer, coordinates };
+}
+
+function writeShapeFiles(shapeType, shapes) {
+  const records = shapes.map(shape => encodeShape(shapeType, shape));
+  const shpLength = 100 + records.reduce((sum, record) => sum + 8 + record.buffer.length, 0);
+  const shxLength = 100 + records.length * 8;
+
+  const allCoordinates = records.flatMap(record => record.coordinates);
+  const box = allCoordinates.length > 0 ? getBox(allCoordinates) : [0, 0, 0, 0];
+
+  const header = length => {
+    const buffer = Buffer.alloc(100);
+    buffer.writeInt32BE(9994, 0);
+    buffer.writeInt32BE(length / 2, 24);
+    buffer.writeInt32LE(1000, 28);
+    buffer.writeInt32LE(shapeType, 32);
+    box.forEach((value, index) => buffer.writeDoubleLE(value, 36 + index * 8));
+    return buffer;
+  };
+
+  const shp = [header(shpLength)];
+  const shx = [header(shxLength)];
+  let offset = 100;
+
+  records.forEach((record, index) => {
+    const recordHeader = Buffer.alloc(8);
+    recordHeader.writeInt32BE(index + 1, 0);
+    recordHeader.writeInt32BE(record.buffer.length / 2, 4);
+    shp.push(recordHeader, record.buffer);
+
+    const indexEntry = Buffer.alloc(8);
+    indexEntry.writeInt32BE(offset / 2, 0);
+    indexEntry.writeInt32BE(record.buffer.length / 2, 4);
+    shx.push(indexEntry);
+
+    offset += 8 + record.buffer.length;
+  });
+
+  return { shp: Buffer.concat(shp), shx: Buffer.concat(shx) };
+}
+
+// Unique, at most 10 character ASCII names for the dBASE header.
+function getDbfFieldNames(fields) {
+  const used = new Set();
+  return fields.map(field => {
+    const base = (String(field).replace(/[^A-Za-z0-9_]/g, '_') || 'FIELD').slice(0, 10);
+    let name = base;
+    for (let suffix = 1; used.has(name.toUpperCase()); suffix++) {
+      name = `${base.slice(0, 10 - String(suffix).length - 1)}_${suffix}`;
+    }
+    used.add(name.toUpperCase());
+    return name;
+  });
+}
+
+function truncateUtf8(value, maxBytes) {
+  const buffer = Buffer.from(value, 'utf8');
+  if (buffer.length <= maxBytes) return buffer;
+
+  let end = maxBytes;
+  while (end > 0 && (buffer[end] & 0xc0) === 0x80) end--;
+  return buffer.subarray(0, end);
+}
+
+function describeDbfField(values) {
+  const present = values.filter(value => value !== null && value !== undefined && value !== '');
+
+  if (present.length > 0 && present.every(value => typeof value === 'boolean')) {
+    return { type: 'L', length: 1, decimals: 0 };
+  }
+
+  if (present.length > 0 && present.every(value => typeof value === 'number' && Number.isFinite(value))) {
+    const decimals = Math.min(15, Math.max(...present.map(value => (String(value).split('.')[1] || '').length)));
+    const length = Math.max(...present.map(value => value.toFixed(decimals).length));
+    // Numbers too wide for the N type are kept exactly as text
+    if (length <= MAX_NUMBER_LENGTH) {
+      return { type: 'N', length, decimals };
+    }
+  }
+
+  const length = Math.max(1, ...present.map(value => Buffer.byteLength(formatText(value), 'utf8')));
+  return { type: 'C', length: Math.min(length, MAX_CHARACTER_LENGTH), decimals: 0 };
+}
+
+function formatText(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function encodeDbfValue(field, value) {
+  const empty = value === null || value === undefined || value === '';
+
+  if (field.type === 'L') {
+    return Buffer.from(empty ? '?' : (value ? 'T' : 'F'));
+  }
+
+  if (field.type === 'N') {
+    const text = empty ? '' : value.toFixed(field.decimals);
+    return Buffer.from(text.padStart(field.length, ' '));
+  }
+
+  const buffer = Buffer.alloc(field.length, 0x20);
+  if (!empty) truncateUtf8(formatText(value), field.length).copy(buffer);
+  return buffer;
+}
+
+function writeDbf(fields, rows, date = new Date()) {
+  const names = getDbfFieldNames(fields);
+  const descriptors = fields.map((field, index) => ({
+    name: names[index],
+    ...describeDbfField(rows.map(row => row[field]))
+  }));
+
+  const headerLength = 32 + descriptors.length * 32 + 1;
+  const recordLength = 1 + descriptors.reduce((sum, field) => sum + field.length, 0);
+
+  const header = Buffer.alloc(headerLength);
+  header.writeUInt8(0x03, 0);
+  header.writeUInt8(date.getFullYear() - 1900, 1);
+  header.writeUInt8(date.getMonth() + 1, 2);
+  header.writeUInt8(date.getDate(), 3);
+  header.writeUInt32LE(rows.length, 4);
+  header.writeUInt16LE(headerLength, 8);
+  header.writeUInt16LE(recordLength, 10);
+
+  descriptors.forEach((field, index) => {
+    const offset = 32 + index * 32;
+    header.write(field.name, offset, 10, 'ascii');
+    header.write(field.type, offset + 11, 1, 'ascii');
+    header.writeUInt8(field.length, offset + 16);
+    header.writeUInt8(field.decimals, offset + 17);
+  });
+  header.writeUInt8(0x0d, headerLength - 1);
+
+  const records = rows.map(row => Buffer.concat([
+    Buffer.from(' '),
+    ...descriptors.map((field, index) => encodeDbfValue(field, row[fields[index]]))
+  ]));
+
+  return Buffer.concat([header, ...records, Buffer.from([0x1a])]);
+}
+
+/**
+ * Builds the shapefile components for features. fields lists the properties
+ * to write, in order. Returns [{ name, data }] ready for createZip().
+ */
+export function writeShapefile(features, { name, fields }) {
+  const groups = { point: [], line: [], polygon: [] };
+  const nullShapes = [];
+
+  features.forEach(feature => {
+    const shape = getGeometryGroup(feature.geometry);
+    if (shape) {
+      groups[shape.group].push({ feature, shape });
+    } else {
+      nullShapes.push({ feature, shape: null });
+    }
+  });
+
+  const populated = Object.entries(groups).filter(([, items]) => items.length > 0);
+  if (populated.length === 0) {
+    populated.push(['point', []]);
+  }
+
+  // Features without geometry are kept as null shapes in the first file
+  populated[0][1].push(...nullShapes);
+
+  const date = new Date();
+  return populated.flatMap(([group, items]) => {
+    const baseName = populated.length > 1 ? `${name}_${group}s` : name;
+    const shapeType = group === 'point' && items.some(item => item.shape && item.shape.points.length > 1)
+      ? SHAPE_TYPES.multipoint
+      : SHAPE_TYPES[group];
+
+    const { shp, shx } = writeShapeFiles(shapeType, items.map(item => item.shape));
+    const dbf = writeDbf(fields, items.map(item => item.feature.properties || {}), date);
+
+    return [
+      { name: `${baseName}.shp`, data: shp },
+      { name: `${baseName}.shx`, data: shx },
+      { name: `${baseName}.dbf`, data: dbf },
+      { name: `${baseName}.prj`, data: WGS84_PRJ },
+      { name: `${baseName}.cpg`, data: 'UTF-8' }
+    ];
+  });
+}
+
+const READ_SHAPE_GROUPS = {
+  1: 'point', 11: 'point', 21: 'point',
+  3: 'line', 13: 'line', 23: 'line',
+  5: 'polygon', 15: 'polygon', 25: 'polygon',
+  8: 'multipoint', 18: 'multipoint', 28: 'multipoint'
+};
+
+const CODE_PAGES = {
+  65001: 'utf-8',
+  1250: 'windows-1250',
+  1251: 'windows-1251',
+  1252: 'windows-1252',
+  1253: 'windows-1253',
+  1254: 'windows-1254',
+  28591: 'iso-8859-1',
+  28592: 'iso-8859-2',
+  88591: 'iso-8859-1'
+};
+
+function readPoints(buffer, offset, count) {
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    points.push([buffer.readDoubleLE(offset + i * 16), buffer.readDoubleLE(offset + i * 16 + 8)]);
+  }
+  return points;
+}
+
+// Groups shapefile rings into GeoJSON polygons: each clockwise ring starts a
+// polygon and each counter-clockwise ring is a hole of the polygon that
+// contains it. Orientation is flipped to the GeoJSON convention.
+function buildPolygons(rings) {
+  const outers = [];
+  const holes = [];
+  rings.forEach(ring => (ringArea(ring) < 0 ? outers : holes).push(ring));
+
+  const polygons = outers.map(ring => [[...ring].reverse()]);
+  holes.forEach(hole => {
+    const container = polygons.find(polygon => GeometryParser.pointInRing(hole[0], polygon[0]));
+    if (container) {
+      container.push([...hole].reverse());
+    } else {
+      // A lone counter-clockwise ring is a polygon written with the wrong winding
+      polygons.push([hole]);
+    }
+  });
+
+  if (polygons.length === 0) return null;
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+function decodeShape(content) {
+  const shapeType = content.readInt32LE(0);
+  const group = READ_SHAPE_GROUPS[shapeType];
+
+  if (shapeType === SHAPE_TYPES.null) return null;
+  if (!group) throw new Error(`Unsupported shape type ${shapeType}`);
+
+  if (group === 'point') {
+    return { type: 'Point', coordinates: readPoints(content, 4, 1)[0] };
+  }
+
+  if (group === 'multipoint') {
+    const points = readPoints(content, 40, content.readInt32LE(36));
+    return points.length === 1
+      ? { type: 'Point', coordinates: points[0] }
+      : { type: 'MultiPoint', coordinates: points };
+  }
+
+  const numParts = content.readInt32LE(36);
+  const numPoints = content.readInt32LE(40);
+  const starts = [];
+  for (let i = 0; i < numParts; i++) {
+    starts.push(content.readInt32LE(44 + i * 4));
+  }
+  const points = readPoints(content, 44 + numParts * 4, numPoints);
+  const parts = starts.map((start, index) => points.slice(start, starts[index + 1] ?? numPoints));
+
+  if (group === 'line') {
+    return parts.length === 1
+      ? { type: 'LineString', coordinates: parts[0] }
+      : { type: 'MultiLineString', coordinates: parts };
+  }
+
+  return buildPolygons(parts);
+}
+
+function readShapes(shp) {
+  if (shp.length < 100 || shp.readInt32BE(0) !== 9994) {
+    throw new Error('Not a valid .shp file');
+  }
+
+  const fileLength = Math.min(shp.length, shp.readInt32BE(24) * 2);
+  const shapes = [];
+  let offset = 100;
+
+  while (offset + 8 <= fileLength) {
+    const contentLength = shp.readInt32BE(offset + 4) * 2;
+    const content = shp.subarray(offset + 8, offset + 8 + contentLength);
+    offset += 8 + contentLength;
+
+    try {
+      shapes.push({ geometry: decodeShape(content) });
+    } catch (error) {
+      shapes.push({ error: error instanceof RangeError ? 'Truncated shape record' : error.message });
+    }
+  }
+
+  return shapes;
+}
+
+function getTextDecoder(cpg) {
+  const label = String(cpg || '').trim().toLowerCase();
+  const encoding = CODE_PAGES[label] || label;
+  if (encoding) {
+    try {
+      return new TextDecoder(encoding);
+    } catch (error) {
+      // Unknown code page name, fall through to detection
+    }
+  }
+  return null;
+}
+
+// Without a usable .cpg, text is read as UTF-8 when it decodes cleanly and as
+// Windows-1252 (the dBASE default for most exports) otherwise.
+function decodeText(bytes, decoder) {
+  if (decoder) return decoder.decode(bytes);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+function decodeDbfValue(type, text) {
+  const value = text.trim();
+
+  switch (type) {
+    case 'N':
+    case 'F': {
+      if (!value || /^\*+$/.test(value)) return null;
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'L':
+      if (/^[TtYy]$/.test(value)) return true;
+      if (/^[FfNn]$/.test(value)) return false;
+      return null;
+    case 'D':
+      return /^\d{8}$/.test(value) ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : null;
+    default:
+      return value === '' ? null : value;
+  }
+}
+
+const DBF_FIELD_TYPES = { C: 'text', N: 'number', F: 'number', L: 'boolean', D: 'date' };
+
+function readDbf(dbf, cpg) {
+  const decoder = getTextDecoder(cpg);
+  const count = dbf.readUInt32LE(4);
+  const headerLength = dbf.readUInt16LE(8);
+  const recordLength = dbf.readUInt16LE(10);
+
+  const descriptors = [];
+  let offset = 1;
+  for (let position = 32; position + 32 <= headerLength && dbf[position] !== 0x0d; position += 32) {
+    const nameBytes = dbf.subarray(position, position + 11);
+    const end = nameBytes.indexOf(0);
+    const type = String.fromCharCode(dbf[position + 11]);
+    const length = dbf[position + 16];
+
+    descriptors.push({
+      name: decodeText(end === -1 ? nameBytes : nameBytes.subarray(0, end), decoder).trim(),
+      type,
+      offset,
+      length
+    });
+    offset += length;
+  }
+
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const start = headerLength + i * recordLength;
+    if (start + recordLength > dbf.length) break;
+
+    const deleted = dbf[start] === 0x2a;
+    const properties = {};
+    descriptors.forEach(field => {
+      const bytes = dbf.subarray(start + field.offset, start + field.offset + field.length);
+      properties[field.name] = decodeDbfValue(field.type, decodeText(bytes, decoder));
+    });
+    rows.push({ deleted, properties });
+  }
+
+  return {
+    fields: descriptors.map(field => ({ name: field.name, type: DBF_FIELD_TYPES[field.type] || 'text' })),
+    rows
+  };
+}
+
+/**
+ * Reads one shapefile from its components (Buffers; dbf and cpg optional).
+ * Returns { features, fields, errors }; records that could not be decoded
+ * keep their place as features without geometry and are listed in errors as
+ * { index, error }. Coordinates are returned as stored; check the .prj to
+ * know their CRS.
+ */
+export function readShapefile({ shp, dbf, cpg }) {
+  const shapes = readShapes(shp);
+  const table = dbf ? readDbf(dbf, cpg ? cpg.toString('latin1') : null) : { fields: [], rows: [] };
+
+  const features = [];
+  const errors = [];
+
+  shapes.forEach((shape, index) => {
+    const row = table.rows[index];
+    if (row?.deleted) return;
+
+    if (shape.error) {
+      errors.push({ index: features.length, error: shape.error });
+    }
+
+    features.push({
+      type: 'Feature',
+      geometry: shape.geometry || null,
+      properties: row ? row.properties : {}
+    });
+  });
+
+  return { features, fields: table.fields, errors };
+}
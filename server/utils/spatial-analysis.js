@@ -0,0 +1,260 @@
+import * as turf from '@turf/turf';
+import { GeometryParser } from './geometry.js';
+import { FeatureIndex } from './feature-cache.js';
+
+// Overlay analysis for POST /api/data/:customerId/analysis. Operations take an
+// input feature collection and, for intersect, clip and spatial-join, an
+// overlay whose polygons are indexed so each input feature is only compared
+// with the overlay features its bounding box touches. Results are plain
+// GeoJSON without ids: they are temporary layers until saved as a table.
+// Features whose geometry turf cannot process are skipped and counted.
+
+export const ANALYSIS_OPERATIONS = {
+  buffer: { label: 'Buffer', overlay: false },
+  intersect: { label: 'Intersect', overlay: true },
+  dissolve: { label: 'Union / dissolve', overlay: false },
+  clip: { label: 'Clip', overlay: true },
+  centroid: { label: 'Centroid', overlay: false },
+  'spatial-join': { label: 'Spatial join (point in polygon)', overlay: true }
+};
+
+export const MAX_ANALYSIS_FEATURES = parseInt(process.env.ANALYSIS_MAX_FEATURES || '20000');
+
+const BUFFER_UNITS = { meters: 1, kilometers: 1000, miles: 1609.344, feet: 0.3048 };
+const MAX_BUFFER_METERS = 1000000;
+
+/**
+ * Checks the options of an operation. Returns { options } with defaults
+ * filled in, or { error }.
+ */
+export function parseAnalysisOptions(operation, options = {}) {
+  if (!ANALYSIS_OPERATIONS[operation]) {
+    return { error: `Unknown operation. Supported: ${Object.keys(ANALYSIS_OPERATIONS).join(', ')}` };
+  }
+
+  switch (operation) {
+    case 'buffer': {
+      const units = options.units || 'meters';
+      const distance = Number(options.distance);
+      if (!BUFFER_UNITS[units]) {
+        return { error: `units must be one of ${Object.keys(BUFFER_UNITS).join(', ')}` };
+      }
+      if (!(distance > 0 && distance * BUFFER_UNITS[units] <= MAX_BUFFER_METERS)) {
+        return { error: `distance must be greater than 0 and at most ${MAX_BUFFER_METERS / 1000} km` };
+      }
+      return { options: { distance, units, dissolve: options.dissolve === true } };
+    }
+    case 'dissolve':
+      return { options: { field: options.field ? String(options.field) : null } };
+    case 'spatial-join':
+      if (options.fields !== undefined && !Array.isArray(options.fields)) {
+        return { error: 'fields must be an array of overlay field names' };
+      }
+      return { options: { fields: options.fields || null, keepUnmatched: options.keepUnmatched !== false } };
+    default:
+      return { options: {} };
+  }
+}
+
+function isPolygonal(geometry) {
+  return geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon';
+}
+
+function collectionOf(geometries) {
+  return turf.featureCollection(geometries.map(geometry => turf.feature(geometry)));
+}
+
+function unionGeometries(geometries) {
+  if (geometries.length === 1) return geometries[0];
+  return turf.union(collectionOf(geometries))?.geometry || null;
+}
+
+// Overlay field values are added to the input's; names the input already
+// uses get a _2 suffix. fields limits which overlay fields are copied.
+function mergeProperties(base, extra, fields = null) {
+  const merged = { ...base };
+  (fields || Object.keys(extra)).forEach(key => {
+    if (!(key in extra)) return;
+    merged[key in merged ? `${key}_2` : key] = extra[key];
+  });
+  return merged;
+}
+
+function combineParts(type, parts) {
+  if (parts.length === 0) return null;
+  return parts.length === 1 ? { type, coordinates: parts[0] } : { type: `Multi${type}`, coordinates: parts };
+}
+
+// Keeps the pieces of the line between crossings of the polygon boundary
+// whose midpoint lies inside the polygon.
+function clipLines(lines, polygon) {
+  const { polygons } = GeometryParser.getComponents(polygon);
+  const inside = position => polygons.some(rings => GeometryParser.pointInPolygon(position, rings));
+
+  const pieces = lines.flatMap(line => {
+    const feature = turf.lineString(line);
+    const split = turf.lineSplit(feature, turf.feature(polygon)).features;
+    return (split.length > 0 ? split : [feature]).filter(piece =>
+      inside(turf.along(piece, turf.length(piece) / 2).geometry.coordinates));
+  });
+
+  return combineParts('LineString', pieces.map(piece => piece.geometry.coordinates));
+}
+
+// The part of any geometry inside a polygon, or null when they do not overlap.
+function intersectWithPolygon(geometry, polygon) {
+  const { points, lines, polygons } = GeometryParser.getComponents(geometry);
+
+  if (polygons.length > 0) {
+    return turf.intersect(turf.featureCollection([turf.feature(geometry), turf.feature(polygon)]))?.geometry || null;
+  }
+  if (lines.length > 0) {
+    return clipLines(lines, polygon);
+  }
+
+  const { polygons: masks } = GeometryParser.getComponents(polygon);
+  return combineParts('Point', points.filter(point => masks.some(rings => GeometryParser.pointInPolygon(point, rings))));
+}
+
+function representativePoint(geometry) {
+  if (geometry.type === 'Point') return geometry.coordinates;
+  return (isPolygonal(geometry) ? turf.centerOfMass(geometry) : turf.centroid(geometry)).geometry.coordinates;
+}
+
+function buffer(input, { distance, units, dissolve }, report) {
+  const buffered = input.flatMap(feature => report.attempt(() => {
+    const result = turf.buffer(feature, distance, { units });
+    return result ? [{ type: 'Feature', geometry: result.geometry, properties: { ...feature.properties } }] : [];
+  }));
+
+  if (!dissolve || buffered.length === 0) return buffered;
+  return [{ type: 'Feature', geometry: unionGeometries(buffered.map(feature => feature.geometry)), properties: { count: buffered.length } }];
+}
+
+function dissolve(input, { field }, report) {
+  const groups = new Map();
+  input.forEach(feature => {
+    if (!isPolygonal(feature.geometry)) {
+      report.skipped++;
+      return;
+    }
+    const value = field ? feature.properties?.[field] ?? null : null;
+    const key = JSON.stringify(value);
+    if (!groups.has(key)) groups.set(key, { value, geometries: [] });
+    groups.get(key).geometries.push(feature.geometry);
+  });
+
+  return [...groups.values()].flatMap(({ value, geometries }) => report.attempt(() => [{
+    type: 'Feature',
+    geometry: unionGeometries(geometries),
+    properties: field ? { [field]: value, count: geometries.length } : { count: geometries.length }
+  }]));
+}
+
+function centroid(input, report) {
+  return input.flatMap(feature => report.attempt(() => [{
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: representativePoint(feature.geometry) },
+    properties: { ...feature.properties }
+  }]));
+}
+
+function intersect(input, overlayIndex, report) {
+  return input.flatMap(feature => report.attempt(() => overlayIndex.search(GeometryParser.getBounds(feature.geometry))
+    .map(polygon => {
+      const geometry = intersectWithPolygon(feature.geometry, polygon.geometry);
+      return geometry && { type: 'Feature', geometry, properties: mergeProperties(feature.properties, polygon.properties) };
+    })
+    .filter(Boolean)));
+}
+
+function clip(input, overlayIndex, report) {
+  const overlay = overlayIndex.features;
+  if (overlay.length === 0) return [];
+
+  const mask = unionGeometries(overlay.map(feature => feature.geometry));
+  const maskBounds = GeometryParser.getBounds(mask);
+
+  return input.flatMap(feature => report.attempt(() => {
+    if (!GeometryParser.boundsIntersect(GeometryParser.getBounds(feature.geometry), maskBounds)) return [];
+    const geometry = intersectWithPolygon(feature.geometry, mask);
+    return geometry ? [{ type: 'Feature', geometry, properties: { ...feature.properties } }] : [];
+  }));
+}
+
+// Input features that are not points are placed by their centroid.
+// join_count is the number of overlay polygons containing the point; the
+// first one's fields are copied.
+function spatialJoin(input, overlayIndex, { fields, keepUnmatched }, report) {
+  return input.flatMap(feature => report.attempt(() => {
+    const point = representativePoint(feature.geometry);
+    const containing = overlayIndex.search({ minLng: point[0], minLat: point[1], maxLng: point[0], maxLat: point[1] })
+      .filter(polygon => GeometryParser.getComponents(polygon.geometry).polygons
+        .some(rings => GeometryParser.pointInPolygon(point, rings)));
+
+    if (containing.length === 0 && !keepUnmatched) return [];
+
+    const properties = containing.length > 0
+      ? mergeProperties(feature.properties, containing[0].properties, fields)
+      : { ...feature.properties };
+    return [{ type: 'Feature', geometry: feature.geometry, properties: { ...properties, join_count: containing.length } }];
+  }));
+}
+
+/**
+ * Runs an operation over input and overlay feature arrays (overlay only for
+ * operations that take one; its non-polygon features are ignored). Options
+ * must come from parseAnalysisOptions. Throws when the result would exceed
+ * MAX_ANALYSIS_FEATURES.
+ */
+export function runAnalysis(operation, { input, overlay = [], options = {} }) {
+  // Empty coordinate arrays pass validateGeometry but give NaN bounds
+  const usable = features => features.filter(feature => {
+    const bounds = feature?.geometry && GeometryParser.validateGeometry(feature.geometry) && GeometryParser.getBounds(feature.geometry);
+    return Boolean(bounds) && Object.values(bounds).every(Number.isFinite);
+  });
+
+  const inputFeatures = usable(input);
+  const report = {
+    skipped: input.length - inputFeatures.length,
+    attempt(run) {
+      try {
+        return run();
+      } catch (error) {
+        this.skipped++;
+        return [];
+      }
+    }
+  };
+
+  const overlayIndex = ANALYSIS_OPERATIONS[operation].overlay
+    ? new FeatureIndex(usable(overlay).filter(feature => isPolygonal(feature.geometry)))
+    : null;
+
+  let features;
+  switch (operation) {
+    case 'buffer': features = buffer(inputFeatures, options, report); break;
+    case 'dissolve': features = dissolve(inputFeatures, options, report); break;
+    case 'centroid': features = centroid(inputFeatures, report); break;
+    case 'intersect': features = intersect(inputFeatures, overlayIndex, report); break;
+    case 'clip': features = clip(inputFeatures, overlayIndex, report); break;
+    case 'spatial-join': features = spatialJoin(inputFeatures, overlayIndex, options, report); break;
+  }
+
+  features = features.filter(feature => feature.geometry);
+  if (features.length > MAX_ANALYSIS_FEATURES) {
+    throw new Error(`The result has ${features.length} features; at most ${MAX_ANALYSIS_FEATURES} are returned. Filter the layers first`);
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    metadata: {
+      operation,
+      inputCount: input.length,
+      overlayCount: overlayIndex ? overlayIndex.features.length : null,
+      resultCount: features.length,
+      skipped: report.skipped
+    }
+  };
+}
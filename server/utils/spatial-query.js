@@ -0,0 +1,148 @@
+import { GeometryParser } from './geometry.js';
+import { getFeatureIndex } from './feature-cache.js';
+
+// Spatial filters for GET /records. Adapters cannot evaluate them natively, so
+// matching runs over the full table and paging is applied afterwards; that is
+// what keeps metadata.total equal to the number of matching features.
+// Unfiltered, unsorted queries narrow candidates with the cached R-tree first.
+
+const MAX_NEAR_RADIUS_METERS = 1000000;
+
+export function hasSpatialQuery(query) {
+  return Boolean(query.bbox || query.intersects || query.near);
+}
+
+function parseGeometryParam(value) {
+  let parsed = GeometryParser.autoDetectGeometry(String(value).trim());
+
+  if (parsed && parsed.type === 'Feature') {
+    parsed = parsed.geometry;
+  }
+
+  return parsed && GeometryParser.validateGeometry(parsed) ? parsed : null;
+}
+
+// "lng,lat" to [lng, lat], or null when it is not a WGS 84 position.
+export function parsePointParam(value) {
+  const [lng, lat] = String(value ?? '').split(',').map(part => parseFloat(part));
+  return GeometryParser.parseLatLng(lat, lng) ? [lng, lat] : null;
+}
+
+/**
+ * Parses bbox, intersects and near/radius from a request query. Returns
+ * { spatial } (null when no spatial parameter is present) or { error }.
+ */
+export function parseSpatialQuery(query) {
+  if (!hasSpatialQuery(query)) {
+    return { spatial: null };
+  }
+
+  const spatial = {};
+
+  if (query.bbox) {
+    const bounds = GeometryParser.parseBbox(query.bbox);
+    if (!bounds) {
+      return { error: 'Invalid bbox, expected minx,miny,maxx,maxy' };
+    }
+    spatial.bbox = bounds;
+    spatial.bboxPolygon = GeometryParser.bboxToPolygon(bounds);
+  }
+
+  if (query.intersects) {
+    const geometry = parseGeometryParam(query.intersects);
+    if (!geometry) {
+      return { error: 'Invalid intersects geometry, expected GeoJSON or WKT' };
+    }
+    spatial.intersects = geometry;
+    spatial.intersectsBounds = GeometryParser.getBounds(geometry);
+  }
+
+  if (query.near) {
+    const point = parsePointParam(query.near);
+    const radius = parseFloat(query.radius);
+
+    if (!point) {
+      return { error: 'Invalid near, expected lng,lat' };
+    }
+
+    if (isNaN(radius) || radius <= 0 || radius > MAX_NEAR_RADIUS_METERS) {
+      return { error: `radius must be between 0 and ${MAX_NEAR_RADIUS_METERS} meters when near is set` };
+    }
+
+    spatial.near = { point, radius };
+  }
+
+  return { spatial };
+}
+
+export function matchesSpatialQuery(feature, spatial) {
+  const geometry = feature.geometry;
+  if (!geometry || !GeometryParser.validateGeometry(geometry)) {
+    return false;
+  }
+
+  if (spatial.bbox && !GeometryParser.intersects(geometry, spatial.bboxPolygon)) {
+    return false;
+  }
+
+  if (spatial.intersects && !GeometryParser.intersects(geometry, spatial.intersects)) {
+    return false;
+  }
+
+  if (spatial.near && GeometryParser.distanceToGeometry(spatial.near.point, geometry) > spatial.near.radius) {
+    return false;
+  }
+
+  return true;
+}
+
+export function applySpatialQuery(features, spatial, { sortByDistance = false } = {}) {
+  const matches = features.filter(feature => matchesSpatialQuery(feature, spatial));
+
+  if (spatial.near && sortByDistance) {
+    const distances = new Map(matches.map(feature => [
+      feature,
+      GeometryParser.distanceToGeometry(spatial.near.point, feature.geometry)
+    ]));
+    matches.sort((a, b) => distances.get(a) - distances.get(b));
+  }
+
+  return matches;
+}
+
+function queryFeatureIndex(index, spatial) {
+  if (spatial.near) {
+    return index.nearest(spatial.near.point, { maxDistance: spatial.near.radius })
+      .map(result => result.feature)
+      .filter(feature => matchesSpatialQuery(feature, spatial));
+  }
+
+  const bounds = spatial.bbox || spatial.intersectsBounds;
+  return index.search(bounds).filter(feature => matchesSpatialQuery(feature, spatial));
+}
+
+/**
+ * Fetches one page of records. Without spatial filters this is the adapter's
+ * own paging; with them the whole table is filtered and then sliced.
+ */
+export async function fetchRecordsPage(adapter, options, spatial) {
+  if (!spatial) {
+    return adapter.fetchRecords(options);
+  }
+
+  const { limit, offset, ...fetchOptions } = options;
+  const matches = options.filter || options.expression || options.sort
+    ? applySpatialQuery((await adapter.fetchAllRecords(fetchOptions)).features, spatial, { sortByDistance: !options.sort })
+    : queryFeatureIndex(await getFeatureIndex(adapter), spatial);
+
+  return {
+    type: 'FeatureCollection',
+    features: matches.slice(offset, offset + limit),
+    metadata: {
+      total: matches.length,
+      limit,
+      offset,
+      hasMore: offset + limit < matches.length
+    }
+  };
+}
@@ -0,0 +1,242 @@
+// Helpers for the /api/data/:customerId/teable/* proxy. Browsers never see
+// the customer's Teable token; they call the proxy with their session and the
+// server forwards the request through TeableAdapter.request. Only the
+// endpoints in PROXY_ENDPOINTS are forwarded.
+//
+// Clients that do not know the base or space id can use the alias `current`
+// (e.g. /api/base/current/table), which resolves to the customer's config.
+
+import { GeometryParser } from './geometry.js';
+import { getNativeQueryFields } from './record-filter.js';
+
+const TABLE_CACHE_TTL_MS = 60 * 1000;
+const tableIdCache = new Map();
+
+// The Teable endpoints the pages use, with the role each needs: reads of the
+// customer's tables, fields and records need viewer, record writes editor, and
+// creating tables or fields and listing the people in the space or base admin.
+// Everything else (invitations, tokens, settings, other spaces) is refused.
+const PROXY_ENDPOINTS = [
+  { methods: ['GET'], pattern: /^\/api\/space\/([^/]+)$/, scope: 'space', role: 'viewer' },
+  { methods: ['GET'], pattern: /^\/api\/space\/([^/]+)\/(collaborators?|members?|base)$/, scope: 'space', role: 'admin' },
+  { methods: ['GET'], pattern: /^\/api\/base\/([^/]+)$/, scope: 'base', role: 'viewer' },
+  { methods: ['GET'], pattern: /^\/api\/base\/([^/]+)\/table$/, scope: 'base', role: 'viewer' },
+  { methods: ['POST'], pattern: /^\/api\/base\/([^/]+)\/table$/, scope: 'base', role: 'admin' },
+  { methods: ['GET'], pattern: /^\/api\/base\/([^/]+)\/collaborators?$/, scope: 'base', role: 'admin' },
+  { methods: ['GET'], pattern: /^\/api\/table\/([^/]+)\/field$/, scope: 'table', role: 'viewer' },
+  { methods: ['POST'], pattern: /^\/api\/table\/([^/]+)\/field$/, scope: 'table', role: 'admin' },
+  { methods: ['GET'], pattern: /^\/api\/table\/([^/]+)\/record(\/[^/]+)?$/, scope: 'table', role: 'viewer' },
+  { methods: ['POST', 'PATCH', 'DELETE'], pattern: /^\/api\/table\/([^/]+)\/record(\/[^/]+)?$/, scope: 'table', role: 'editor' }
+];
+
+// Query parameters forwarded on proxied requests; the rest are dropped. Record
+// endpoints always get fieldKeyType=name, since field permissions and the
+// response filtering go by field name.
+const PROXY_QUERY_PARAMS = ['take', 'skip', 'limit', 'offset', 'filter', 'orderBy', 'sort', 'search', 'projection', 'cellFormat'];
+const RECORD_ENDPOINT = /^\/api\/table\/[^/]+\/record(\/[^/]+)?$/;
+
+export function isRecordEndpoint(endpoint) {
+  return RECORD_ENDPOINT.test(endpoint);
+}
+
+// Reads the allowed query parameters of a proxied request. Returns
+// { queryString, fields, searchesAllFields } with the fields (names or
+// Teable ids) the query filters, sorts, searches or projects on, or
+// { error } when filter or orderBy is not JSON.
+export function parseProxyQuery(originalUrl, endpoint) {
+  const index = originalUrl.indexOf('?');
+  const incoming = new URLSearchParams(index === -1 ? '' : originalUrl.slice(index + 1));
+  const params = new URLSearchParams();
+  const values = {};
+
+  for (const [key, value] of incoming) {
+    if (PROXY_QUERY_PARAMS.includes(key)) {
+      params.append(key, value);
+      (values[key] ||= []).push(value);
+    }
+  }
+
+  if (isRecordEndpoint(endpoint)) {
+    params.set('fieldKeyType', 'name');
+  }
+
+  let filter = null;
+  let orderBy = null;
+  try {
+    filter = (values.filter || []).map(value => JSON.parse(value));
+    orderBy = (values.orderBy || []).map(value => JSON.parse(value));
+  } catch (error) {
+    return { error: 'filter and orderBy must be JSON' };
+  }
+
+  // Teable reads search as [value, fieldId, hideNotMatch]; without a field
+  // it searches every field
+  const search = values.search || [];
+  const fields = [
+    ...getNativeQueryFields([filter, orderBy], (values.sort || []).join(',')),
+    ...(search[1] ? [search[1]] : []),
+    ...(values.projection || [])
+  ];
+
+  const query = params.toString();
+  return {
+    queryString: query ? `?${query}` : '',
+    fields,
+    searchesAllFields: search.length > 0 && !search[1]
+  };
+}
+
+// Returns the normalized endpoint, or null when a segment is not valid
+// percent-encoding.
+export function resolveTeablePath(pathSegments, adapter) {
+  const segments = Array.isArray(pathSegments) ? pathSegments : String(pathSegments).split('/');
+  const cleaned = segments.filter(segment => segment && segment !== '.' && segment !== '..');
+
+  if (cleaned[0] !== 'api') {
+    cleaned.unshift('api');
+  }
+
+  if (cleaned[1] === 'base' && cleaned[2] === 'current') {
+    cleaned[2] = adapter.baseId;
+  }
+
+  if (cleaned[1] === 'space' && cleaned[2] === 'current') {
+    cleaned[2] = adapter.spaceId;
+  }
+
+  try {
+    return '/' + cleaned.map(segment => encodeURIComponent(decodeURIComponent(segment))).join('/');
+  } catch (error) {
+    if (error instanceof URIError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// The allowlist entry for a request as { role, scope, scopeId }, or null when
+// the endpoint is not forwarded.
+export function matchProxyEndpoint(method, endpoint) {
+  const requestMethod = method === 'HEAD' ? 'GET' : method;
+
+  for (const entry of PROXY_ENDPOINTS) {
+    const match = entry.methods.includes(requestMethod) && endpoint.match(entry.pattern);
+    if (match) {
+      return { role: entry.role, scope: entry.scope, scopeId: match[1] };
+    }
+  }
+
+  return null;
+}
+
+export function extractTableId(endpoint) {
+  const match = endpoint.match(/^\/api\/table\/([^/]+)/);
+  return match ? match[1] : null;
+}
+
+async function getBaseTableIds(customerId, adapter) {
+  const cached = tableIdCache.get(customerId);
+  if (cached && Date.now() - cached.timestamp < TABLE_CACHE_TTL_MS) {
+    return cached.ids;
+  }
+
+  const tables = await adapter.getTableList();
+  const ids = new Set((tables || []).map(table => table.id));
+  tableIdCache.set(customerId, { ids, timestamp: Date.now() });
+  return ids;
+}
+
+export function clearProxyTableCache(customerId) {
+  tableIdCache.delete(customerId);
+}
+
+// Whether the base, space or table an allowed endpoint names is the customer's
+export async function isTeableScopeAllowed({ scope, scopeId }, customerId, adapter) {
+  if (scope === 'base') {
+    return scopeId === adapter.baseId;
+  }
+
+  if (scope === 'space') {
+    return scopeId === adapter.spaceId;
+  }
+
+  if (scope === 'table') {
+    const tableIds = await getBaseTableIds(customerId, adapter);
+    if (!tableIds.has(scopeId)) {
+      clearProxyTableCache(customerId);
+      return (await getBaseTableIds(customerId, adapter)).has(scopeId);
+    }
+    return true;
+  }
+
+  return false;
+}
+
+export function getRecordFieldSets(body) {
+  if (!body || typeof body !== 'object') {
+    return [];
+  }
+
+  if (Array.isArray(body.records)) {
+    return body.records.map(record => record.fields || {});
+  }
+
+  if (body.record && body.record.fields) {
+    return [body.record.fields];
+  }
+
+  if (body.fields) {
+    return [body.fields];
+  }
+
+  return [];
+}
+
+// Converts the geometry value in each record's fields between the table's
+// native CRS and WGS 84 (direction: 'toWGS84' or 'fromWGS84'), in place, so
+// proxy clients see the same coordinates as the data API.
+export function reprojectRecordFields(fieldSets, adapter, direction) {
+  if (!adapter?.transformer) return;
+
+  fieldSets.forEach(fields => {
+    if (!fields || Array.isArray(fields)) return;
+
+    const name = adapter.findGeometryField(fields);
+    const geometry = name ? adapter.normalizeGeometry(fields[name]) : null;
+    if (geometry) {
+      fields[name] = GeometryParser.toWKT(adapter[direction](geometry)) || fields[name];
+    }
+  });
+}
+
+export function filterTeableResponse(result, permissions) {
+  if (!result || typeof result !== 'object') {
+    return result;
+  }
+
+  const restricted = permissions.hasRestrictions();
+  const filterRecord = record => {
+    if (!record || !record.fields) return record;
+    const fields = {};
+    Object.entries(record.fields).forEach(([key, value]) => {
+      if (!restricted || permissions.canView(key)) {
+        fields[key] = value;
+      }
+    });
+    return { ...record, fields };
+  };
+
+  if (Array.isArray(result.records)) {
+    return { ...result, records: result.records.map(filterRecord) };
+  }
+
+  if (Array.isArray(result.fields)) {
+    return restricted ? { ...result, fields: permissions.filterSchema(result.fields) } : result;
+  }
+
+  if (Array.isArray(result)) {
+    return restricted ? permissions.filterSchema(result) : result;
+  }
+
+  return filterRecord(result);
+}
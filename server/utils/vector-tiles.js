@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import geojsonvt from 'geojson-vt';
+import vtpbf from 'vt-pbf';
+
+// Mapbox Vector Tiles built from the cached FeatureIndex. geojson-vt clips to
+// the tile (plus a buffer) and simplifies per zoom level; the sliced index is
+// kept per FeatureIndex, so it is rebuilt exactly when the feature cache is.
+
+export const TILE_EXTENT = 4096;
+export const MAX_TILE_ZOOM = 22;
+
+const tileIndexes = new WeakMap();
+
+export function isValidTile(z, x, y) {
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > MAX_TILE_ZOOM) {
+    return false;
+  }
+
+  const tileCount = 2 ** z;
+  return x >= 0 && x < tileCount && y >= 0 && y < tileCount;
+}
+
+export function getTileIndex(featureIndex) {
+  if (tileIndexes.has(featureIndex)) {
+    return tileIndexes.get(featureIndex);
+  }
+
+  // MVT feature ids must be integers, so record ids travel as the recordId tag
+  const features = featureIndex.features
+    .filter(feature => feature.geometry)
+    .map(feature => ({
+      type: 'Feature',
+      geometry: feature.geometry,
+      properties: { ...feature.properties, recordId: feature.id }
+    }));
+
+  const tileIndex = geojsonvt({ type: 'FeatureCollection', features }, {
+    maxZoom: 18,
+    indexMaxZoom: 5,
+    indexMaxPoints: 100000,
+    tolerance: 3,
+    extent: TILE_EXTENT,
+    buffer: 64
+  });
+
+  tileIndexes.set(featureIndex, tileIndex);
+  return tileIndex;
+}
+
+function filterTags(tags, permissions) {
+  const filtered = {};
+
+  Object.entries(tags || {}).forEach(([key, value]) => {
+    if (value === null || value === undefined) return;
+    if (key !== 'recordId' && !permissions.canView(key)) return;
+    filtered[key] = value;
+  });
+
+  return filtered;
+}
+
+/**
+ * Encodes one tile as an MVT protobuf with a single layer. Properties the
+ * user may not view are dropped. Returns null for empty tiles.
+ */
+export function encodeTile(tileIndex, z, x, y, layerName, permissions) {
+  const tile = tileIndex.getTile(z, x, y);
+  if (!tile || tile.features.length === 0) {
+    return null;
+  }
+
+  const features = tile.features.map(feature => ({
+    ...feature,
+    tags: filterTags(feature.tags, permissions)
+  }));
+
+  const buffer = vtpbf.fromGeojsonVt({ [layerName]: { features } }, {
+    version: 2,
+    extent: TILE_EXTENT
+  });
+
+  return Buffer.from(buffer);
+}
+
+export function getTileETag(buffer) {
+  return `"${crypto.createHash('sha1').update(buffer).digest('base64url')}"`;
+}
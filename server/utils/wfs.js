@@ -0,0 +1,172 @@
+import { GeometryParser } from './geometry.js';
+
+// XML builders for the WFS 2.0 endpoint. Feature types live in the `gis`
+// namespace; table ids and field names are turned into valid XML names.
+
+export const EPSG_4326_URN = 'urn:ogc:def:crs:EPSG::4326';
+export const CRS84_URI = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+export const GML_32_FORMAT = 'application/gml+xml; version=3.2';
+export const GEOJSON_FORMATS = ['application/json', 'json', 'geojson', 'application/geo+json'];
+
+const NAMESPACES = {
+  wfs: 'http://www.opengis.net/wfs/2.0',
+  ows: 'http://www.opengis.net/ows/1.1',
+  fes: 'http://www.opengis.net/fes/2.0',
+  gml: 'http://www.opengis.net/gml/3.2',
+  xlink: 'http://www.w3.org/1999/xlink',
+  xsi: 'http://www.w3.org/2001/XMLSchema-instance',
+  xsd: 'http://www.w3.org/2001/XMLSchema'
+};
+
+const XSD_TYPES = {
+  number: 'xsd:double',
+  rating: 'xsd:integer',
+  autoNumber: 'xsd:integer',
+  checkbox: 'xsd:boolean',
+  date: 'xsd:dateTime',
+  createdTime: 'xsd:dateTime',
+  lastModifiedTime: 'xsd:dateTime'
+};
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export function toXmlName(name) {
+  const cleaned = String(name).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(cleaned) ? cleaned : `_${cleaned}`;
+}
+
+export function getTypeName(table) {
+  return toXmlName(table.id);
+}
+
+function xmlns(prefixes) {
+  return prefixes.map(prefix => `xmlns:${prefix}="${NAMESPACES[prefix]}"`).join(' ');
+}
+
+export function buildExceptionReport(code, locator, text) {
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<ows:ExceptionReport ${xmlns(['ows'])} version="2.0.0">` +
+    `<ows:Exception exceptionCode="${escapeXml(code)}"${locator ? ` locator="${escapeXml(locator)}"` : ''}>` +
+    `<ows:ExceptionText>${escapeXml(text)}</ows:ExceptionText>` +
+    '</ows:Exception></ows:ExceptionReport>';
+}
+
+export function buildCapabilities({ serviceUrl, title, tables }) {
+  const href = escapeXml(`${serviceUrl}?`);
+  const operation = (name, parameters = '') =>
+    `<ows:Operation name="${name}"><ows:DCP><ows:HTTP><ows:Get xlink:href="${href}"/></ows:HTTP></ows:DCP>${parameters}</ows:Operation>`;
+  const allowedValues = values =>
+    `<ows:AllowedValues>${values.map(value => `<ows:Value>${escapeXml(value)}</ows:Value>`).join('')}</ows:AllowedValues>`;
+  const constraint = (name, value) =>
+    `<ows:Constraint name="${name}"><ows:NoValues/><ows:DefaultValue>${value}</ows:DefaultValue></ows:Constraint>`;
+
+  const featureTypes = tables.map(table => '<FeatureType>' +
+    `<Name>gis:${escapeXml(getTypeName(table))}</Name>` +
+    `<Title>${escapeXml(table.name || table.id)}</Title>` +
+    `<DefaultCRS>${EPSG_4326_URN}</DefaultCRS>` +
+    `<OtherCRS>${CRS84_URI}</OtherCRS>` +
+    `<OutputFormats><Format>${GML_32_FORMAT}</Format><Format>application/json</Format></OutputFormats>` +
+    '<ows:WGS84BoundingBox><ows:LowerCorner>-180 -90</ows:LowerCorner><ows:UpperCorner>180 90</ows:UpperCorner></ows:WGS84BoundingBox>' +
+    '</FeatureType>').join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<WFS_Capabilities xmlns="${NAMESPACES.wfs}" ${xmlns(['wfs', 'ows', 'fes', 'gml', 'xlink', 'xsi'])} ` +
+    `xmlns:gis="${escapeXml(serviceUrl)}" version="2.0.0">` +
+    '<ows:ServiceIdentification>' +
+    `<ows:Title>${escapeXml(title)}</ows:Title>` +
+    '<ows:ServiceType>WFS</ows:ServiceType>' +
+    '<ows:ServiceTypeVersion>2.0.0</ows:ServiceTypeVersion>' +
+    '</ows:ServiceIdentification>' +
+    '<ows:OperationsMetadata>' +
+    operation('GetCapabilities') +
+    operation('DescribeFeatureType') +
+    operation('GetFeature', `<ows:Parameter name="outputFormat">${allowedValues([GML_32_FORMAT, 'application/json'])}</ows:Parameter>` +
+      `<ows:Parameter name="resultType">${allowedValues(['results', 'hits'])}</ows:Parameter>`) +
+    constraint('ImplementsBasicWFS', 'FALSE') +
+    constraint('ImplementsTransactionalWFS', 'FALSE') +
+    constraint('KVPEncoding', 'TRUE') +
+    constraint('XMLEncoding', 'FALSE') +
+    constraint('ImplementsResultPaging', 'TRUE') +
+    '</ows:OperationsMetadata>' +
+    `<FeatureTypeList>${featureTypes}</FeatureTypeList>` +
+    '<fes:Filter_Capabilities>' +
+    '<fes:Conformance>' +
+    '<fes:Constraint name="ImplementsQuery"><ows:NoValues/><ows:DefaultValue>TRUE</ows:DefaultValue></fes:Constraint>' +
+    '<fes:Constraint name="ImplementsMinSpatialFilter"><ows:NoValues/><ows:DefaultValue>TRUE</ows:DefaultValue></fes:Constraint>' +
+    '</fes:Conformance>' +
+    '<fes:Spatial_Capabilities><fes:GeometryOperands><fes:GeometryOperand name="gml:Envelope"/></fes:GeometryOperands>' +
+    '<fes:SpatialOperators><fes:SpatialOperator name="BBOX"/></fes:SpatialOperators></fes:Spatial_Capabilities>' +
+    '</fes:Filter_Capabilities>' +
+    '</WFS_Capabilities>';
+}
+
+export function buildFeatureTypeSchema({ serviceUrl, types }) {
+  const elements = types.map(({ table, fields }) => {
+    const typeName = getTypeName(table);
+    const properties = fields.map(field =>
+      `<xsd:element name="${escapeXml(toXmlName(field.name))}" type="${XSD_TYPES[field.type] || 'xsd:string'}" minOccurs="0" nillable="true"/>`
+    ).join('');
+
+    return `<xsd:element name="${typeName}" type="gis:${typeName}Type" substitutionGroup="gml:AbstractFeature"/>` +
+      `<xsd:complexType name="${typeName}Type"><xsd:complexContent><xsd:extension base="gml:AbstractFeatureType"><xsd:sequence>` +
+      '<xsd:element name="geometry" type="gml:GeometryPropertyType" minOccurs="0" nillable="true"/>' +
+      properties +
+      '</xsd:sequence></xsd:extension></xsd:complexContent></xsd:complexType>';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<xsd:schema ${xmlns(['xsd', 'gml'])} xmlns:gis="${escapeXml(serviceUrl)}" ` +
+    `targetNamespace="${escapeXml(serviceUrl)}" elementFormDefault="qualified" version="1.0">` +
+    `<xsd:import namespace="${NAMESPACES.gml}" schemaLocation="http://schemas.opengis.net/gml/3.2.1/gml.xsd"/>` +
+    elements +
+    '</xsd:schema>';
+}
+
+function formatValue(value) {
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * wfs:FeatureCollection in GML 3.2. members is [{ table, feature }];
+ * numberMatched may be null when the total is unknown.
+ */
+export function buildFeatureCollection({ serviceUrl, members, numberMatched, srsName, latLonOrder }) {
+  const memberXml = members.map(({ table, feature }) => {
+    const typeName = getTypeName(table);
+    const featureId = toXmlName(`${typeName}.${feature.id}`);
+    const geometry = GeometryParser.toGML(feature.geometry, {
+      srsName,
+      latLonOrder,
+      idPrefix: `${featureId}.geom`
+    });
+
+    const properties = Object.entries(feature.properties || {})
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => {
+        const name = toXmlName(key);
+        return `<gis:${name}>${escapeXml(formatValue(value))}</gis:${name}>`;
+      }).join('');
+
+    return `<wfs:member><gis:${typeName} gml:id="${escapeXml(featureId)}">` +
+      (geometry ? `<gis:geometry>${geometry}</gis:geometry>` : '') +
+      properties +
+      `</gis:${typeName}></wfs:member>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<wfs:FeatureCollection ${xmlns(['wfs', 'gml', 'xsi'])} xmlns:gis="${escapeXml(serviceUrl)}" ` +
+    `timeStamp="${new Date().toISOString()}" ` +
+    `numberMatched="${numberMatched ?? 'unknown'}" numberReturned="${members.length}">` +
+    memberXml +
+    '</wfs:FeatureCollection>';
+}
@@ -0,0 +1,55 @@
+/*
+  # Create User Sessions Table
+
+  1. New Tables
+    - `user_sessions`
+      - `id` (uuid, primary key)
+      - `token_hash` (text, SHA-256 of the bearer token - raw tokens are never stored)
+      - `user_type` (text, values: 'customer_user', 'system_admin')
+      - `user_id` (uuid, the customer_users or system_admins id)
+      - `customer_id` (uuid, references customers, null for system admins)
+      - `user_email` (text)
+      - `role` (text, role at the time the session was issued)
+      - `expires_at` (timestamptz, extended on activity - sliding renewal)
+      - `last_activity_at` (timestamptz)
+      - `revoked_at` (timestamptz, set on logout)
+      - `ip_address` (text)
+      - `user_agent` (text)
+      - `created_at` (timestamptz)
+
+  2. Security
+    - Enable RLS on `user_sessions` with no policies and no grants for anon
+      or authenticated: the anon key is public, and a row here is a login.
+      Only the Express server reads and writes sessions, with the service role
+
+  3. Indexes
+    - Unique index on token_hash for lookups on every request
+    - Index on user_id for revoking all sessions of a user
+    - Index on expires_at for cleanup of expired sessions
+*/
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_hash text NOT NULL,
+  user_type text NOT NULL DEFAULT 'customer_user',
+  user_id uuid NOT NULL,
+  customer_id uuid REFERENCES customers(id) ON DELETE CASCADE,
+  user_email text NOT NULL,
+  role text,
+  expires_at timestamptz NOT NULL,
+  last_activity_at timestamptz DEFAULT now(),
+  revoked_at timestamptz,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz DEFAULT now(),
+  CONSTRAINT valid_user_type CHECK (user_type IN ('customer_user', 'system_admin'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sessions_token_hash ON user_sessions(token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
+
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on user_sessions" ON user_sessions;
+REVOKE ALL ON user_sessions FROM anon, authenticated;
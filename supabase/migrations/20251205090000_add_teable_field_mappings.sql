@@ -0,0 +1,16 @@
+/*
+  # Add Field Mappings to Teable Configuration
+
+  1. Modified Tables
+    - `customer_teable_config`
+      - `field_mappings` (jsonb, per-table settings keyed by Teable table id,
+        e.g. {"tbl123": {"crs": "EPSG:27700"}})
+
+  2. Notes
+    - `crs` names the coordinate reference system the table's geometry is
+      stored in. Tables without one are WGS 84 (EPSG:4326). Google Sheets
+      keeps the same setting in `customer_google_sheets_config.field_mappings.crs`.
+*/
+
+ALTER TABLE customer_teable_config
+  ADD COLUMN IF NOT EXISTS field_mappings jsonb DEFAULT '{}'::jsonb;
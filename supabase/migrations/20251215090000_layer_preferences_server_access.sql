@@ -0,0 +1,29 @@
+/*
+  # Serve Layer Preferences Through the API
+
+  1. Modified Tables
+    - `user_layer_preferences`
+      - Unique constraint on (customer_id, user_email, layer_id) so saving a
+        layer's settings is an upsert
+      - `configuration` also holds the heatmap and grid binning settings of
+        the layer's symbology (`symbology.heatmap`, `symbology.grid`)
+
+  2. Security
+    - The per-user policies keyed on `app.current_user_email` stay in place
+      and anon gets no new access. The Express server reads and writes
+      preferences for the session's user with the service role, which
+      bypasses RLS.
+*/
+
+-- Keep the most recently updated row of any duplicates before adding the constraint
+DELETE FROM user_layer_preferences a
+  USING user_layer_preferences b
+  WHERE a.customer_id = b.customer_id
+    AND a.user_email = b.user_email
+    AND a.layer_id = b.layer_id
+    AND (a.updated_at, a.id) < (b.updated_at, b.id);
+
+ALTER TABLE user_layer_preferences
+  ADD CONSTRAINT unique_user_layer_preference UNIQUE (customer_id, user_email, layer_id);
+
+DROP POLICY IF EXISTS "Allow all operations on user_layer_preferences" ON user_layer_preferences;
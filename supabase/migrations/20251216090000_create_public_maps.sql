@@ -0,0 +1,49 @@
+/*
+  # Create Public Maps Table
+
+  1. New Tables
+    - `public_maps`
+      - `id` (uuid, primary key)
+      - `customer_id` (uuid, references customers)
+      - `slug` (text, unique per customer - the map is served at /maps/:slug)
+      - `title` (text)
+      - `status` (text, values: 'draft', 'published')
+      - `draft_config` (jsonb, the configuration being edited in map-config)
+      - `published_config` (jsonb, snapshot of draft_config taken on publish;
+        the only configuration anonymous visitors can read)
+      - `published_at` (timestamptz)
+      - `created_by` / `updated_by` (text, user emails)
+      - `created_at` / `updated_at` (timestamptz)
+
+  2. Security
+    - Enable RLS on `public_maps` with no policies and no grants for anon or
+      authenticated: draft configurations are private. Maps are read and
+      written by the Express server with the service role, and anonymous
+      visitors reach published maps through /api/public only.
+
+  3. Indexes
+    - Unique (customer_id, slug)
+*/
+
+CREATE TABLE IF NOT EXISTS public_maps (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  slug text NOT NULL,
+  title text NOT NULL,
+  status text NOT NULL DEFAULT 'draft',
+  draft_config jsonb NOT NULL DEFAULT '{}'::jsonb,
+  published_config jsonb,
+  published_at timestamptz,
+  created_by text,
+  updated_by text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT valid_public_map_status CHECK (status IN ('draft', 'published')),
+  CONSTRAINT valid_public_map_slug CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  CONSTRAINT unique_public_map_slug UNIQUE (customer_id, slug)
+);
+
+ALTER TABLE public_maps ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on public_maps" ON public_maps;
+REVOKE ALL ON public_maps FROM anon, authenticated;
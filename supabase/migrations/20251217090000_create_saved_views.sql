@@ -0,0 +1,60 @@
+/*
+  # Create Saved Views Table
+
+  1. New Tables
+    - `saved_views`
+      - `id` (uuid, primary key)
+      - `customer_id` (uuid, references customers)
+      - `page` (text, values: 'table', 'map')
+      - `table_id` (text, the table a table page view belongs to; null for map views)
+      - `name` (text)
+      - `visibility` (text, values: 'private' - only its creator sees it,
+        'shared' - every user of the customer sees it)
+      - `default_roles` (text[], roles that open this view by default; shared
+        views only, at most one view per role and page/table)
+      - `state` (jsonb, what the view restores)
+        - table page: hidden and frozen columns, column widths, sort, row
+          height, page size, filter expression and quick search
+        - map page: center, zoom, basemap and the table layers with their
+          visibility, symbology, labels, popup, time settings and filter
+      - `created_by` / `updated_by` (text, user emails)
+      - `created_at` / `updated_at` (timestamptz)
+
+  2. Security
+    - Enable RLS on `saved_views` with no policies and no grants for anon or
+      authenticated. Views are read and written by the Express server with
+      the service role, and the server applies the private/shared rules.
+
+  3. Indexes
+    - Unique (customer_id, page, table_id, created_by, name)
+    - (customer_id, page, table_id) for listing
+*/
+
+CREATE TABLE IF NOT EXISTS saved_views (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  page text NOT NULL,
+  table_id text,
+  name text NOT NULL,
+  visibility text NOT NULL DEFAULT 'private',
+  default_roles text[] NOT NULL DEFAULT '{}',
+  state jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_by text NOT NULL,
+  updated_by text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT valid_saved_view_page CHECK (page IN ('table', 'map')),
+  CONSTRAINT valid_saved_view_visibility CHECK (visibility IN ('private', 'shared')),
+  CONSTRAINT saved_view_defaults_shared CHECK (visibility = 'shared' OR default_roles = '{}')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_views_unique_name
+  ON saved_views(customer_id, page, COALESCE(table_id, ''), created_by, name);
+
+CREATE INDEX IF NOT EXISTS idx_saved_views_scope
+  ON saved_views(customer_id, page, table_id);
+
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on saved_views" ON saved_views;
+REVOKE ALL ON saved_views FROM anon, authenticated;
@@ -0,0 +1,20 @@
+/*
+  # Close customer_teable_config to anon and authenticated
+
+  ## Overview
+  20251112110826 let anon and authenticated manage every row of
+  customer_teable_config. The anon key is public and the table holds each
+  customer's Teable access token, so anyone could read the tokens the data
+  proxy keeps from the browser.
+
+  ## Changes
+  1. Drop the "Allow all operations on teable_config" policy
+  2. Revoke all privileges from anon and authenticated
+
+  ## Security
+  - RLS stays enabled with no policies for anon or authenticated. The
+    Express server reads and writes configs with the service role.
+*/
+
+DROP POLICY IF EXISTS "Allow all operations on teable_config" ON customer_teable_config;
+REVOKE ALL ON customer_teable_config FROM anon, authenticated;